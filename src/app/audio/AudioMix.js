@@ -0,0 +1,167 @@
+// src/app/audio/AudioMix.js
+// Sound model: engine layer crossfade, tyre roll / skid levels and the nearest city ambience emitters, from vehicle state.
+// Design: plain numbers only (no Web Audio); BusAudio turns them into gain / frequency targets.
+// @ts-check
+import { TRAFFIC_CONTROL_KIND } from '../traffic/TrafficSystem.js';
+import { clamp, finiteOr } from '../utils/number.js';
+
+// Synthesized engine layers crossfaded by rpm; `order` multiplies the firing frequency, `cutoffHz` is at part load.
+export const ENGINE_LAYERS = Object.freeze([
+    Object.freeze({ id: 'idle', rpm: 650, wave: 'square', order: 0.5, cutoffHz: 260 }),
+    Object.freeze({ id: 'low', rpm: 1300, wave: 'sawtooth', order: 1, cutoffHz: 650 }),
+    Object.freeze({ id: 'high', rpm: 2100, wave: 'sawtooth', order: 2, cutoffHz: 1500 })
+]);
+
+export const AUDIO_MIX_DEFAULTS = Object.freeze({
+    // Four-stroke: each cylinder fires every other revolution
+    cylinders: 6,
+    // Electric motor whine: tone order of the motor speed
+    whineOrder: 8,
+    whineFullRpm: 1500,
+    // Tyre roll fades in from walking pace and is full at this speed
+    rollFullSpeedMps: 22,
+    // Peak wheel slip ratio where the tyres start / fully squeal
+    skidSlipStart: 0.12,
+    skidSlipFull: 0.45,
+    // Lateral acceleration (m/s²) where cornering scrub starts / fully squeals
+    skidLateralStart: 3.5,
+    skidLateralFull: 6.5,
+    // Positional ambience voices and how far they reach
+    maxEmitters: 4,
+    emitterRangeM: 90
+});
+
+function ramp(value, start, full) {
+    return clamp((value - start) / Math.max(1e-6, full - start), 0, 1);
+}
+
+/**
+ * Engine sound for one frame.
+ * Diesel: the layers either side of the current rpm are crossfaded at equal power; load raises the level and opens the
+ * filters. Electric: the layers are silent and a motor whine follows the rpm.
+ * @param {object} params
+ * @param {number} params.rpm
+ * @param {number} params.load - 0..1 share of the torque the drivetrain is putting out.
+ * @param {string} [params.powertrain]
+ * @param {object} [config] - Overrides for AUDIO_MIX_DEFAULTS.
+ * @returns {{firingHz:number, layers:{id:string, gain:number, hz:number, cutoffHz:number}[], whineHz:number, whineGain:number}}
+ */
+export function computeEngineSound({ rpm, load, powertrain = 'diesel' }, config = {}) {
+    const c = { ...AUDIO_MIX_DEFAULTS, ...(config ?? {}) };
+    const r = Math.max(0, finiteOr(rpm, 0));
+    const l = clamp(finiteOr(load, 0), 0, 1);
+    const firingHz = (r / 60) * (c.cylinders / 2);
+    const electric = powertrain === 'electric';
+    const running = !electric && r > 1;
+
+    const weights = ENGINE_LAYERS.map(() => 0);
+    if (running) {
+        const last = ENGINE_LAYERS.length - 1;
+        if (r <= ENGINE_LAYERS[0].rpm) weights[0] = 1;
+        else if (r >= ENGINE_LAYERS[last].rpm) weights[last] = 1;
+        else {
+            for (let i = 0; i < last; i++) {
+                const a = ENGINE_LAYERS[i].rpm;
+                const b = ENGINE_LAYERS[i + 1].rpm;
+                if (r < a || r > b) continue;
+                const t = (r - a) / (b - a);
+                weights[i] = Math.cos(t * Math.PI / 2);
+                weights[i + 1] = Math.sin(t * Math.PI / 2);
+                break;
+            }
+        }
+    }
+
+    const level = 0.45 + 0.55 * l;
+    const layers = ENGINE_LAYERS.map((layer, i) => ({
+        id: layer.id,
+        gain: weights[i] * level,
+        hz: firingHz * layer.order,
+        cutoffHz: layer.cutoffHz * (0.7 + 0.6 * l)
+    }));
+
+    return {
+        firingHz,
+        layers,
+        whineHz: electric ? (r / 60) * c.whineOrder : 0,
+        whineGain: electric ? clamp(r / c.whineFullRpm, 0, 1) * (0.3 + 0.7 * l) : 0
+    };
+}
+
+/**
+ * Tyre noise for one frame: rolling rumble from speed, squeal from wheel slip or hard cornering (not when standing).
+ * @param {object} params
+ * @param {number} params.speedMps
+ * @param {number} [params.slip] - Peak wheel slip ratio (0..1).
+ * @param {number} [params.lateralAccel] - m/s².
+ * @param {object} [config] - Overrides for AUDIO_MIX_DEFAULTS.
+ * @returns {{roll:number, rollCutoffHz:number, skid:number}}
+ */
+export function computeTyreSound({ speedMps, slip = 0, lateralAccel = 0 }, config = {}) {
+    const c = { ...AUDIO_MIX_DEFAULTS, ...(config ?? {}) };
+    const speed = Math.abs(finiteOr(speedMps, 0));
+    const roll = ramp(speed, 0.5, c.rollFullSpeedMps);
+    const squeal = Math.max(
+        ramp(Math.abs(finiteOr(slip, 0)), c.skidSlipStart, c.skidSlipFull),
+        ramp(Math.abs(finiteOr(lateralAccel, 0)), c.skidLateralStart, c.skidLateralFull)
+    );
+    return {
+        roll,
+        rollCutoffHz: 200 + roll * 600,
+        skid: squeal * clamp(speed / 3, 0, 1)
+    };
+}
+
+/**
+ * Ambience emitters within range of the listener, nearest first.
+ * @template {{id:string, position:{x:number, z:number}}} T
+ * @param {T[]} emitters
+ * @param {{x:number, z:number}} listener
+ * @param {object} [config] - Overrides for AUDIO_MIX_DEFAULTS.
+ * @returns {{emitter:T, distance:number}[]}
+ */
+export function pickAmbienceEmitters(emitters, listener, config = {}) {
+    const c = { ...AUDIO_MIX_DEFAULTS, ...(config ?? {}) };
+    const lx = finiteOr(listener?.x, 0);
+    const lz = finiteOr(listener?.z, 0);
+    const out = [];
+    for (const emitter of Array.isArray(emitters) ? emitters : []) {
+        const distance = Math.hypot(finiteOr(emitter?.position?.x, 0) - lx, finiteOr(emitter?.position?.z, 0) - lz);
+        if (distance <= c.emitterRangeM) out.push({ emitter, distance });
+    }
+    out.sort((a, b) => a.distance - b.distance);
+    return out.slice(0, Math.max(0, c.maxEmitters));
+}
+
+/**
+ * City ambience sources: chatter at each bus stop shelter and traffic at each signalled junction (its lights' centre).
+ * @param {object} params
+ * @param {object[]} [params.busStops] - Bus stop placements.
+ * @param {object[]} [params.trafficControls] - Traffic control placements.
+ * @returns {{id:string, kind:'stop'|'junction', position:{x:number, y:number, z:number}}[]}
+ */
+export function createCityAmbienceEmitters({ busStops = [], trafficControls = [] } = {}) {
+    const out = [];
+    for (const stop of Array.isArray(busStops) ? busStops : []) {
+        const p = stop?.shelterPosition ?? stop?.zone?.center ?? null;
+        if (!p || !Number.isFinite(p.x) || !Number.isFinite(p.z)) continue;
+        out.push({ id: `stop:${stop.id}`, kind: 'stop', position: { x: p.x, y: finiteOr(p.y, 0) + 1.5, z: p.z } });
+    }
+
+    const junctions = new Map();
+    for (const control of Array.isArray(trafficControls) ? trafficControls : []) {
+        const p = control?.position;
+        const id = control?.junctionId ?? control?.nodeId ?? null;
+        if (control?.kind !== TRAFFIC_CONTROL_KIND.TRAFFIC_LIGHT || id === null || !p) continue;
+        const j = junctions.get(id) ?? { x: 0, y: 0, z: 0, n: 0 };
+        j.x += p.x;
+        j.y += finiteOr(p.y, 0);
+        j.z += p.z;
+        j.n += 1;
+        junctions.set(id, j);
+    }
+    for (const [id, j] of junctions) {
+        out.push({ id: `junction:${id}`, kind: 'junction', position: { x: j.x / j.n, y: j.y / j.n + 1, z: j.z / j.n } });
+    }
+    return out;
+}
@@ -0,0 +1,81 @@
+// src/app/audio/AudioSettings.js
+// Persisted sound settings: on/off, master volume and the vehicle effects volume.
+// Design: effects (engine, tyres, doors, indicators, horn) have their own bus under master; ambience only follows master.
+// @ts-check
+
+const STORAGE_KEY = 'bus_sim.audio.v1';
+
+export const AUDIO_SETTINGS_DEFAULTS = Object.freeze({
+    enabled: true,
+    masterVolume: 0.8,
+    effectsVolume: 1
+});
+
+function clamp(value, min, max, fallback) {
+    const num = Number(value);
+    if (!Number.isFinite(num)) return fallback;
+    return Math.max(min, Math.min(max, num));
+}
+
+function readUrlParamBool(params, key, fallback) {
+    if (!params?.has?.(key)) return fallback;
+    const v = String(params.get(key)).trim().toLowerCase();
+    if (v === '1' || v === 'true' || v === 'yes' || v === 'on') return true;
+    if (v === '0' || v === 'false' || v === 'no' || v === 'off') return false;
+    return fallback;
+}
+
+export function sanitizeAudioSettings(input) {
+    const src = input && typeof input === 'object' ? input : {};
+    const d = AUDIO_SETTINGS_DEFAULTS;
+    return {
+        enabled: src.enabled !== undefined ? !!src.enabled : d.enabled,
+        masterVolume: clamp(src.masterVolume, 0, 1, d.masterVolume),
+        effectsVolume: clamp(src.effectsVolume, 0, 1, d.effectsVolume)
+    };
+}
+
+export function loadSavedAudioSettings() {
+    if (typeof window === 'undefined') return null;
+    const storage = window.localStorage;
+    if (!storage) return null;
+    const raw = storage.getItem(STORAGE_KEY);
+    if (!raw) return null;
+    try {
+        return sanitizeAudioSettings(JSON.parse(raw));
+    } catch {
+        return null;
+    }
+}
+
+export function saveAudioSettings(settings) {
+    if (typeof window === 'undefined') return false;
+    const storage = window.localStorage;
+    if (!storage) return false;
+    const payload = sanitizeAudioSettings(settings);
+    try {
+        storage.setItem(STORAGE_KEY, JSON.stringify(payload));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * URL overrides: `audio=0` mutes the game.
+ */
+export function getResolvedAudioSettings({ includeUrlOverrides = true } = {}) {
+    const saved = loadSavedAudioSettings();
+    const merged = sanitizeAudioSettings({ ...AUDIO_SETTINGS_DEFAULTS, ...(saved ?? {}) });
+
+    if (includeUrlOverrides && typeof window !== 'undefined') {
+        const params = new URLSearchParams(window.location.search);
+        merged.enabled = readUrlParamBool(params, 'audio', merged.enabled);
+    }
+
+    return merged;
+}
+
+export function getDefaultResolvedAudioSettings() {
+    return sanitizeAudioSettings(AUDIO_SETTINGS_DEFAULTS);
+}
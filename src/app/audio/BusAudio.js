@@ -0,0 +1,460 @@
+// src/app/audio/BusAudio.js
+// Web Audio output for gameplay: engine layers, tyre roll / squeal, door pneumatics, indicator relay, horn and
+// positional city ambience.
+// Design: owns its AudioContext and follows the game through a GameEngine frame listener; without Web Audio (node, or
+// sound switched off) every method is a no-op, so callers never need to check.
+import { AUDIO_MIX_DEFAULTS, ENGINE_LAYERS, computeEngineSound, computeTyreSound, pickAmbienceEmitters } from './AudioMix.js';
+import { sanitizeAudioSettings } from './AudioSettings.js';
+
+// Peak gain of each source before the effects / master volumes.
+const LEVELS = Object.freeze({
+    engine: 0.22,
+    whine: 0.06,
+    roll: 0.25,
+    skid: 0.18,
+    doors: 0.35,
+    tick: 0.4,
+    horn: 0.25,
+    cityBed: 0.1
+});
+
+// Ambience flavours: how the shared noise loop is filtered and how loud a voice plays.
+const AMBIENCE_KINDS = Object.freeze({
+    // Waiting passengers' chatter
+    stop: Object.freeze({ type: 'bandpass', hz: 550, q: 0.7, gain: 0.35 }),
+    // Traffic idling at the lights
+    junction: Object.freeze({ type: 'lowpass', hz: 260, q: 0.5, gain: 0.5 })
+});
+
+const HORN_TONES_HZ = Object.freeze([370, 466]);
+const SMOOTHING_SEC = 0.05;
+const AMBIENCE_PICK_SEC = 0.25;
+// Doors count as still moving this long after their last change (physics steps are not every frame)
+const DOOR_QUIET_SEC = 0.3;
+// Load is torque over the highest torque heard so far, starting from this floor (N·m)
+const MIN_PEAK_TORQUE = 400;
+
+function createDefaultAudioContext() {
+    const Ctor = globalThis.AudioContext ?? globalThis.webkitAudioContext;
+    if (typeof Ctor !== 'function') return null;
+    try {
+        return new Ctor({ latencyHint: 'interactive' });
+    } catch {
+        return null;
+    }
+}
+
+function setParam(ctx, param, value, timeConstant = SMOOTHING_SEC) {
+    param.setTargetAtTime(value, ctx.currentTime, timeConstant);
+}
+
+function setPosition(node, x, y, z) {
+    if (node.positionX) {
+        node.positionX.value = x;
+        node.positionY.value = y;
+        node.positionZ.value = z;
+    } else {
+        node.setPosition?.(x, y, z);
+    }
+}
+
+/**
+ * Put the listener at the camera, facing where it looks (matrixWorld: column 1 is up, column 2 points backwards).
+ */
+function setListenerPose(listener, camera) {
+    const e = camera?.matrixWorld?.elements;
+    if (!listener || !e) return;
+    setPosition(listener, e[12], e[13], e[14]);
+    if (listener.forwardX) {
+        listener.forwardX.value = -e[8];
+        listener.forwardY.value = -e[9];
+        listener.forwardZ.value = -e[10];
+        listener.upX.value = e[4];
+        listener.upY.value = e[5];
+        listener.upZ.value = e[6];
+    } else {
+        listener.setOrientation?.(-e[8], -e[9], -e[10], e[4], e[5], e[6]);
+    }
+}
+
+function sanitizeEmitters(list) {
+    const out = [];
+    for (const entry of Array.isArray(list) ? list : []) {
+        const p = entry?.position;
+        if (!p || !Number.isFinite(p.x) || !Number.isFinite(p.z)) continue;
+        out.push({
+            id: String(entry.id ?? out.length),
+            kind: AMBIENCE_KINDS[entry.kind] ? entry.kind : 'junction',
+            position: { x: p.x, y: Number.isFinite(p.y) ? p.y : 1.5, z: p.z }
+        });
+    }
+    return out;
+}
+
+export class BusAudio {
+    /**
+     * @param {object} params
+     * @param {import('../core/EventBus.js').EventBus} params.eventBus
+     * @param {string} params.vehicleId
+     * @param {() => object|null} params.getVehicleState - Physics state of the bus (drivetrain, locomotion, tyres, doors).
+     * @param {() => {lampOn:boolean}|null} [params.getTurnSignals]
+     * @param {{id:string, kind:'stop'|'junction', position:{x:number, y?:number, z:number}}[]} [params.emitters]
+     * @param {object} [params.settings] - AudioSettings.
+     * @param {() => any} [params.createContext] - AudioContext factory (tests pass a stand-in); null disables sound.
+     * @param {object} [params.mix] - Overrides for AUDIO_MIX_DEFAULTS.
+     */
+    constructor({
+        eventBus,
+        vehicleId,
+        getVehicleState,
+        getTurnSignals = null,
+        emitters = [],
+        settings = null,
+        createContext = createDefaultAudioContext,
+        mix = null
+    }) {
+        this.eventBus = eventBus;
+        this.vehicleId = vehicleId;
+        this.mix = { ...AUDIO_MIX_DEFAULTS, ...(mix ?? {}) };
+        this.settings = sanitizeAudioSettings(settings);
+        this.emitters = sanitizeEmitters(emitters);
+        this.ctx = null;
+
+        this._getVehicleState = getVehicleState;
+        this._getTurnSignals = getTurnSignals;
+        this._createContext = createContext;
+        this._graph = null;
+        this._unavailable = false;
+        this._paused = false;
+        this._unsubFrame = null;
+        this._horn = false;
+        this._lampOn = false;
+        this._doorSum = null;
+        this._doorQuietSec = DOOR_QUIET_SEC;
+        this._peakTorque = MIN_PEAK_TORQUE;
+        this._pickTimer = 0;
+
+        this._unsubHorn = this.eventBus.on('vehicle:horn', (e) => {
+            if (e?.vehicleId === this.vehicleId) this._setHorn(e.on);
+        });
+
+        this._ensureGraph();
+    }
+
+    /**
+     * Follow the engine's frames (listener at the render camera).
+     * @param {{addFrameListener: (fn: (frame: object) => void) => () => void}} engine
+     */
+    attach(engine) {
+        if (this._unsubFrame || !engine?.addFrameListener) return;
+        this._unsubFrame = engine.addFrameListener((frame) => this.update(frame.dt, frame.engine?.camera ?? null));
+    }
+
+    /**
+     * Browsers keep a context suspended until a user gesture; call from input handlers.
+     */
+    resume() {
+        if (!this.ctx || this._paused || this.ctx.state !== 'suspended') return;
+        this.ctx.resume?.()?.catch?.(() => {});
+    }
+
+    /**
+     * Silence everything while the game is behind an overlay.
+     * @param {boolean} paused
+     */
+    setPaused(paused) {
+        this._paused = !!paused;
+        if (!this.ctx) return;
+        const op = this._paused ? this.ctx.suspend?.() : this.ctx.resume?.();
+        op?.catch?.(() => {});
+    }
+
+    /**
+     * @param {object} settings - AudioSettings.
+     */
+    setSettings(settings) {
+        this.settings = sanitizeAudioSettings(settings);
+        this._ensureGraph();
+        this._applyVolumes();
+    }
+
+    /**
+     * @param {{id:string, kind:'stop'|'junction', position:{x:number, y?:number, z:number}}[]} emitters
+     */
+    setEmitters(emitters) {
+        this.emitters = sanitizeEmitters(emitters);
+        const ids = new Set(this.emitters.map((e) => e.id));
+        for (const voice of this._graph?.voices ?? []) {
+            if (voice.emitterId !== null && !ids.has(voice.emitterId)) this._releaseVoice(voice);
+        }
+        this._pickTimer = 0;
+    }
+
+    /**
+     * @param {number} dt
+     * @param {{matrixWorld?: {elements: number[]}}|null} [camera]
+     */
+    update(dt, camera = null) {
+        if (!this._graph || this._paused) return;
+        const step = Number.isFinite(dt) ? Math.max(0, dt) : 0;
+        const state = this._getVehicleState?.() ?? null;
+
+        this._updateEngine(state);
+        this._updateTyres(state);
+        this._updateDoors(state, step);
+        this._updateIndicator();
+
+        const e = camera?.matrixWorld?.elements ?? null;
+        if (e) setListenerPose(this.ctx.listener, camera);
+        this._pickTimer -= step;
+        if (this._pickTimer <= 0) {
+            this._pickTimer = AMBIENCE_PICK_SEC;
+            const listener = e ? { x: e[12], z: e[14] } : state?.locomotion?.position ?? null;
+            if (listener) this._updateAmbience(listener);
+        }
+    }
+
+    dispose() {
+        this._unsubFrame?.();
+        this._unsubFrame = null;
+        this._unsubHorn?.();
+        this._unsubHorn = null;
+        this._graph = null;
+        this.ctx?.close?.()?.catch?.(() => {});
+        this.ctx = null;
+    }
+
+    _ensureGraph() {
+        if (this._graph || this._unavailable || !this.settings.enabled) return;
+        const ctx = this._createContext?.() ?? null;
+        if (!ctx) {
+            this._unavailable = true;
+            return;
+        }
+        this.ctx = ctx;
+        this._graph = this._buildGraph(ctx);
+        this._applyVolumes();
+        if (this._paused) ctx.suspend?.()?.catch?.(() => {});
+    }
+
+    _buildGraph(ctx) {
+        const master = ctx.createGain();
+        master.gain.value = 0;
+        master.connect(ctx.destination);
+        const effects = ctx.createGain();
+        effects.connect(master);
+
+        const noise = ctx.createBuffer(1, Math.round(ctx.sampleRate * 2), ctx.sampleRate);
+        const samples = noise.getChannelData(0);
+        for (let i = 0; i < samples.length; i++) samples[i] = Math.random() * 2 - 1;
+
+        // Relay click: a few ms of decaying noise over a short tone
+        const tick = ctx.createBuffer(1, Math.round(ctx.sampleRate * 0.03), ctx.sampleRate);
+        const click = tick.getChannelData(0);
+        for (let i = 0; i < click.length; i++) {
+            const t = i / ctx.sampleRate;
+            click[i] = Math.exp(-t * 300) * ((Math.random() * 2 - 1) * 0.6 + Math.sin(t * 2 * Math.PI * 1800) * 0.4);
+        }
+
+        const filtered = (type, hz, q) => {
+            const filter = ctx.createBiquadFilter();
+            filter.type = type;
+            filter.frequency.value = hz;
+            filter.Q.value = q;
+            return filter;
+        };
+        const silentGain = () => {
+            const gain = ctx.createGain();
+            gain.gain.value = 0;
+            return gain;
+        };
+        const noiseLoop = (filter, out) => {
+            const src = ctx.createBufferSource();
+            src.buffer = noise;
+            src.loop = true;
+            const gain = silentGain();
+            src.connect(filter);
+            filter.connect(gain);
+            gain.connect(out);
+            src.start(0, Math.random() * 1.9);
+            return { src, filter, gain };
+        };
+
+        const engine = ENGINE_LAYERS.map((layer) => {
+            const osc = ctx.createOscillator();
+            osc.type = layer.wave;
+            const filter = filtered('lowpass', layer.cutoffHz, 0.9);
+            const gain = silentGain();
+            osc.connect(filter);
+            filter.connect(gain);
+            gain.connect(effects);
+            osc.start();
+            return { osc, filter, gain };
+        });
+
+        const whineOsc = ctx.createOscillator();
+        whineOsc.type = 'sine';
+        const whine = silentGain();
+        whineOsc.connect(whine);
+        whine.connect(effects);
+        whineOsc.start();
+
+        const horn = silentGain();
+        const hornFilter = filtered('bandpass', 900, 0.8);
+        hornFilter.connect(horn);
+        horn.connect(effects);
+        for (const hz of HORN_TONES_HZ) {
+            const osc = ctx.createOscillator();
+            osc.type = 'square';
+            osc.frequency.value = hz;
+            osc.connect(hornFilter);
+            osc.start();
+        }
+
+        const roll = noiseLoop(filtered('lowpass', 300, 0.7), effects);
+        const skid = noiseLoop(filtered('bandpass', 1900, 8), effects);
+        const cityBed = noiseLoop(filtered('lowpass', 180, 0.5), master);
+        cityBed.gain.gain.value = LEVELS.cityBed;
+
+        const voices = [];
+        for (let i = 0; i < this.mix.maxEmitters; i++) {
+            const panner = ctx.createPanner();
+            panner.panningModel = 'equalpower';
+            panner.distanceModel = 'inverse';
+            panner.refDistance = 8;
+            panner.maxDistance = this.mix.emitterRangeM;
+            panner.rolloffFactor = 1.5;
+            panner.connect(master);
+            voices.push({ ...noiseLoop(filtered('lowpass', 260, 0.5), panner), panner, emitterId: null });
+        }
+
+        return { master, effects, noise, tick, engine, whineOsc, whine, horn, roll, skid, cityBed, voices };
+    }
+
+    _applyVolumes() {
+        const g = this._graph;
+        if (!g) return;
+        setParam(this.ctx, g.master.gain, this.settings.enabled ? this.settings.masterVolume : 0);
+        setParam(this.ctx, g.effects.gain, this.settings.effectsVolume);
+    }
+
+    _updateEngine(state) {
+        const ctx = this.ctx;
+        const g = this._graph;
+        const drivetrain = state?.drivetrain ?? null;
+        const torque = Math.abs(Number.isFinite(drivetrain?.torque) ? drivetrain.torque : 0);
+        this._peakTorque = Math.max(this._peakTorque, torque);
+        const sound = computeEngineSound({
+            rpm: drivetrain?.rpm ?? 0,
+            load: torque / this._peakTorque,
+            powertrain: drivetrain?.powertrain ?? 'diesel'
+        }, this.mix);
+
+        g.engine.forEach((layer, i) => {
+            const s = sound.layers[i];
+            setParam(ctx, layer.osc.frequency, Math.max(1, s.hz));
+            setParam(ctx, layer.filter.frequency, s.cutoffHz);
+            setParam(ctx, layer.gain.gain, s.gain * LEVELS.engine);
+        });
+        setParam(ctx, g.whineOsc.frequency, Math.max(1, sound.whineHz));
+        setParam(ctx, g.whine.gain, sound.whineGain * LEVELS.whine);
+    }
+
+    _updateTyres(state) {
+        const ctx = this.ctx;
+        const g = this._graph;
+        const loco = state?.locomotion ?? null;
+        const tyres = computeTyreSound({
+            speedMps: loco?.speed ?? 0,
+            slip: state?.tyres?.slip ?? 0,
+            lateralAccel: loco?.lateralAccel ?? 0
+        }, this.mix);
+        setParam(ctx, g.roll.filter.frequency, tyres.rollCutoffHz);
+        setParam(ctx, g.roll.gain.gain, tyres.roll * LEVELS.roll);
+        setParam(ctx, g.skid.gain.gain, tyres.skid * LEVELS.skid);
+    }
+
+    _updateDoors(state, dt) {
+        const open = Array.isArray(state?.doors?.open01) ? state.doors.open01 : [];
+        let sum = 0;
+        for (const v of open) sum += Number.isFinite(v) ? v : 0;
+        const wasMoving = this._doorQuietSec < DOOR_QUIET_SEC;
+        if (this._doorSum !== null && Math.abs(sum - this._doorSum) > 1e-4) this._doorQuietSec = 0;
+        else this._doorQuietSec += dt;
+        this._doorSum = sum;
+        if (!wasMoving && this._doorQuietSec < DOOR_QUIET_SEC) this._playDoorHiss();
+    }
+
+    _updateIndicator() {
+        const lampOn = !!this._getTurnSignals?.()?.lampOn;
+        if (lampOn === this._lampOn) return;
+        this._lampOn = lampOn;
+        // The relay clicks on both edges, softer and lower as the lamp goes out
+        this._playTick(lampOn ? 1 : 0.6, lampOn ? 1 : 0.8);
+    }
+
+    _updateAmbience(listener) {
+        const picked = pickAmbienceEmitters(this.emitters, listener, this.mix);
+        const wanted = new Set(picked.map((p) => p.emitter.id));
+        const voices = this._graph.voices;
+        for (const voice of voices) {
+            if (voice.emitterId !== null && !wanted.has(voice.emitterId)) this._releaseVoice(voice);
+        }
+        for (const { emitter } of picked) {
+            if (voices.some((v) => v.emitterId === emitter.id)) continue;
+            const voice = voices.find((v) => v.emitterId === null);
+            if (!voice) break;
+            const kind = AMBIENCE_KINDS[emitter.kind];
+            voice.emitterId = emitter.id;
+            voice.filter.type = kind.type;
+            voice.filter.frequency.value = kind.hz;
+            voice.filter.Q.value = kind.q;
+            setPosition(voice.panner, emitter.position.x, emitter.position.y, emitter.position.z);
+            setParam(this.ctx, voice.gain.gain, kind.gain, 0.5);
+        }
+    }
+
+    _releaseVoice(voice) {
+        voice.emitterId = null;
+        setParam(this.ctx, voice.gain.gain, 0, 0.2);
+    }
+
+    _setHorn(on) {
+        this._horn = !!on;
+        if (!this._graph) return;
+        setParam(this.ctx, this._graph.horn.gain, this._horn ? LEVELS.horn : 0, 0.01);
+    }
+
+    _playDoorHiss() {
+        const ctx = this.ctx;
+        const g = this._graph;
+        const t = ctx.currentTime;
+        const src = ctx.createBufferSource();
+        src.buffer = g.noise;
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'highpass';
+        filter.frequency.value = 2400;
+        const gain = ctx.createGain();
+        gain.gain.setValueAtTime(0, t);
+        gain.gain.linearRampToValueAtTime(LEVELS.doors, t + 0.03);
+        gain.gain.setTargetAtTime(0, t + 0.1, 0.25);
+        src.connect(filter);
+        filter.connect(gain);
+        gain.connect(g.effects);
+        src.start(t, Math.random());
+        src.stop(t + 1.2);
+    }
+
+    _playTick(level, rate) {
+        const ctx = this.ctx;
+        const g = this._graph;
+        const src = ctx.createBufferSource();
+        src.buffer = g.tick;
+        src.playbackRate.value = rate;
+        const gain = ctx.createGain();
+        gain.gain.value = LEVELS.tick * level;
+        src.connect(gain);
+        gain.connect(g.effects);
+        src.start();
+    }
+}
@@ -0,0 +1,272 @@
+// src/app/career/CareerScoring.js
+// Pure scoring rules for career shifts: timetable punctuality, ride comfort, collisions, red lights and speeding.
+// Design: every rule takes plain samples and returns new values, so the shift tracker only wires events and clocks.
+// @ts-check
+import { TRAFFIC_SIGNAL } from '../traffic/TrafficSystem.js';
+import { toFiniteOr } from '../utils/number.js';
+
+export const CAREER_SCORING_DEFAULTS = Object.freeze({
+    scheduleSpeedKph: 22,
+    dwellSec: 20,
+    shiftLeadSec: 60,
+    earlyToleranceSec: 30,
+    lateToleranceSec: 90,
+    earlyPenaltyPerMin: 40,
+    latePenaltyPerMin: 20,
+    longitudinalJerkLimit: 2.5,
+    lateralJerkLimit: 2.0,
+    comfortPenaltyPerSec: 4,
+    collisionPenalty: 40,
+    vehicleCollisionPenalty: 60,
+    redLightPenalty: 100,
+    junctionEntryDistance: 10,
+    redLightMinSpeedKph: 5,
+    speedToleranceKph: 5,
+    speedingGraceSec: 2,
+    speedingPenalty: 25,
+    speedingPenaltyPerSec: 2,
+    weights: Object.freeze({ punctuality: 0.5, comfort: 0.3, safety: 0.2 })
+});
+
+export const STOP_STATUS = Object.freeze({
+    EARLY: 'early',
+    ON_TIME: 'on_time',
+    LATE: 'late',
+    MISSED: 'missed'
+});
+
+export const CAREER_VIOLATION = Object.freeze({
+    COLLISION: 'collision',
+    RED_LIGHT: 'red_light',
+    SPEEDING: 'speeding'
+});
+
+function clamp01(value) {
+    return Math.max(0, Math.min(1, value));
+}
+
+/**
+ * @param {object} [rules]
+ * @returns {typeof CAREER_SCORING_DEFAULTS}
+ */
+export function resolveCareerRules(rules = {}) {
+    const src = rules && typeof rules === 'object' ? rules : {};
+    return { ...CAREER_SCORING_DEFAULTS, ...src, weights: { ...CAREER_SCORING_DEFAULTS.weights, ...(src.weights ?? {}) } };
+}
+
+/**
+ * Scheduled times for one trip of a line. The first stop is timed on departure, the rest on arrival;
+ * loop lines end back at the first stop.
+ * @param {object} params
+ * @param {string[]} params.stopIds - Line stop ids in order.
+ * @param {number[]} params.legLengths - Metres per leg (stop i -> i + 1; for loops the last leg returns to the first stop).
+ * @param {boolean} [params.loop]
+ * @param {number} params.departureMinutes - Minutes after midnight.
+ * @param {object} [params.rules]
+ * @returns {{stopId:string, kind:'departure'|'arrival', scheduledSec:number}[]}
+ */
+export function buildTripSchedule({ stopIds, legLengths, loop = false, departureMinutes, rules } = /** @type {any} */ ({})) {
+    const r = resolveCareerRules(rules);
+    const ids = Array.isArray(stopIds) ? stopIds : [];
+    if (ids.length < 2) return [];
+    const speed = Math.max(0.1, toFiniteOr(r.scheduleSpeedKph, CAREER_SCORING_DEFAULTS.scheduleSpeedKph) / 3.6);
+    const dwell = Math.max(0, toFiniteOr(r.dwellSec, 0));
+
+    let t = toFiniteOr(departureMinutes, 0) * 60;
+    const out = [{ stopId: ids[0], kind: /** @type {'departure'} */ ('departure'), scheduledSec: t }];
+    const visits = loop ? ids.length : ids.length - 1;
+    for (let i = 0; i < visits; i++) {
+        const length = Math.max(0, toFiniteOr(legLengths?.[i], 0));
+        t += length / speed + (i > 0 ? dwell : 0);
+        out.push({ stopId: ids[(i + 1) % ids.length], kind: 'arrival', scheduledSec: Math.round(t) });
+    }
+    return out;
+}
+
+/**
+ * @param {object} params
+ * @param {number} params.scheduledSec
+ * @param {number|null} params.actualSec - Null when the stop was not served.
+ * @param {object} [params.rules]
+ * @returns {{status:string, deltaSec:number|null, points:number}} Points in 0..100.
+ */
+export function scoreStopPunctuality({ scheduledSec, actualSec, rules } = /** @type {any} */ ({})) {
+    const r = resolveCareerRules(rules);
+    if (!Number.isFinite(actualSec)) return { status: STOP_STATUS.MISSED, deltaSec: null, points: 0 };
+    const deltaSec = Number(actualSec) - toFiniteOr(scheduledSec, 0);
+
+    if (deltaSec < -r.earlyToleranceSec) {
+        const over = (-deltaSec - r.earlyToleranceSec) / 60;
+        return { status: STOP_STATUS.EARLY, deltaSec, points: Math.max(0, 100 - over * r.earlyPenaltyPerMin) };
+    }
+    if (deltaSec > r.lateToleranceSec) {
+        const over = (deltaSec - r.lateToleranceSec) / 60;
+        return { status: STOP_STATUS.LATE, deltaSec, points: Math.max(0, 100 - over * r.latePenaltyPerMin) };
+    }
+    return { status: STOP_STATUS.ON_TIME, deltaSec, points: 100 };
+}
+
+export function createComfortState() {
+    return { drivingSec: 0, discomfortSec: 0, peakLongitudinalJerk: 0, peakLateralJerk: 0 };
+}
+
+/**
+ * Accumulates jerk above the comfort limits; time is weighted by how far over the limit the worse axis is.
+ * @param {ReturnType<typeof createComfortState>} state
+ * @param {{dt:number, speedKph?:number, longitudinalJerk?:number, lateralJerk?:number}} sample
+ * @param {object} [rules]
+ * @returns {ReturnType<typeof createComfortState>}
+ */
+export function accumulateComfort(state, sample, rules) {
+    const r = resolveCareerRules(rules);
+    const prev = state ?? createComfortState();
+    const dt = Math.max(0, toFiniteOr(sample?.dt, 0));
+    if (!(dt > 0)) return prev;
+
+    const lon = Math.abs(toFiniteOr(sample?.longitudinalJerk, 0));
+    const lat = Math.abs(toFiniteOr(sample?.lateralJerk, 0));
+    const excess = Math.max(lon / r.longitudinalJerkLimit, lat / r.lateralJerkLimit);
+    const moving = Math.abs(toFiniteOr(sample?.speedKph, 0)) > 1;
+    return {
+        drivingSec: prev.drivingSec + (moving ? dt : 0),
+        discomfortSec: prev.discomfortSec + (excess > 1 ? dt * excess : 0),
+        peakLongitudinalJerk: Math.max(prev.peakLongitudinalJerk, lon),
+        peakLateralJerk: Math.max(prev.peakLateralJerk, lat)
+    };
+}
+
+/**
+ * @param {ReturnType<typeof createComfortState>} state
+ * @param {object} [rules]
+ * @returns {number} 0..100.
+ */
+export function scoreComfort(state, rules) {
+    const r = resolveCareerRules(rules);
+    return Math.max(0, 100 - toFiniteOr(state?.discomfortSec, 0) * r.comfortPenaltyPerSec);
+}
+
+/**
+ * @param {{hitType?:string}} collision - `vehicle:collision` payload.
+ * @param {object} [rules]
+ * @returns {{type:string, penalty:number, hitType:string|null}}
+ */
+export function scoreCollision(collision, rules) {
+    const r = resolveCareerRules(rules);
+    const hitType = typeof collision?.hitType === 'string' ? collision.hitType : null;
+    const penalty = hitType === 'vehicle' ? r.vehicleCollisionPenalty : r.collisionPenalty;
+    return { type: CAREER_VIOLATION.COLLISION, penalty, hitType };
+}
+
+/**
+ * A red-light run is entering a junction box (crossing `junctionEntryDistance` from its center) while the
+ * signal facing the driver is red. Both samples come from TrafficSignalController.getSignalAhead().
+ * @param {{junctionId:string, signal:string, distance:number}|null} prev
+ * @param {{junctionId:string, signal:string, distance:number}|null} next
+ * @param {number} speedKph
+ * @param {object} [rules]
+ * @returns {{type:string, penalty:number, junctionId:string}|null}
+ */
+export function detectRedLightRun(prev, next, speedKph, rules) {
+    const r = resolveCareerRules(rules);
+    if (!prev || !next || prev.junctionId !== next.junctionId) return null;
+    if (next.signal !== TRAFFIC_SIGNAL.RED || Math.abs(toFiniteOr(speedKph, 0)) < r.redLightMinSpeedKph) return null;
+    if (!(prev.distance > r.junctionEntryDistance && next.distance <= r.junctionEntryDistance)) return null;
+    return { type: CAREER_VIOLATION.RED_LIGHT, penalty: r.redLightPenalty, junctionId: next.junctionId };
+}
+
+export function createSpeedingState() {
+    return { overSec: 0, active: false, episodeSec: 0, peakOverKph: 0 };
+}
+
+/**
+ * Tracks sustained speeding. An episode starts after `speedingGraceSec` over the tolerance and ends on
+ * the first sample back under it; the finished episode is returned as a violation.
+ * @param {ReturnType<typeof createSpeedingState>} state
+ * @param {{dt:number, speedKph:number, limitKph:number|null}} sample
+ * @param {object} [rules]
+ * @returns {{state: ReturnType<typeof createSpeedingState>, violation: {type:string, penalty:number, durationSec:number, peakOverKph:number}|null}}
+ */
+export function accumulateSpeeding(state, sample, rules) {
+    const r = resolveCareerRules(rules);
+    const prev = state ?? createSpeedingState();
+    const dt = Math.max(0, toFiniteOr(sample?.dt, 0));
+    const limit = Number(sample?.limitKph);
+    const over = Number.isFinite(limit) ? Math.abs(toFiniteOr(sample?.speedKph, 0)) - limit - r.speedToleranceKph : -1;
+
+    if (over > 0) {
+        const overSec = prev.overSec + dt;
+        return {
+            state: {
+                overSec,
+                active: prev.active || overSec >= r.speedingGraceSec,
+                episodeSec: prev.episodeSec + dt,
+                peakOverKph: Math.max(prev.peakOverKph, over + r.speedToleranceKph)
+            },
+            violation: null
+        };
+    }
+
+    const violation = prev.active ? speedingViolation(prev, r) : null;
+    return { state: createSpeedingState(), violation };
+}
+
+/**
+ * Closes a speeding episode still running at the end of a shift.
+ * @param {ReturnType<typeof createSpeedingState>} state
+ * @param {object} [rules]
+ */
+export function flushSpeeding(state, rules) {
+    return state?.active ? speedingViolation(state, resolveCareerRules(rules)) : null;
+}
+
+function speedingViolation(state, r) {
+    return {
+        type: CAREER_VIOLATION.SPEEDING,
+        penalty: r.speedingPenalty + state.episodeSec * r.speedingPenaltyPerSec,
+        durationSec: state.episodeSec,
+        peakOverKph: state.peakOverKph
+    };
+}
+
+/**
+ * @param {number} score - 0..100.
+ * @returns {string}
+ */
+export function gradeForScore(score) {
+    const s = toFiniteOr(score, 0);
+    if (s >= 90) return 'A';
+    if (s >= 80) return 'B';
+    if (s >= 65) return 'C';
+    if (s >= 50) return 'D';
+    return 'F';
+}
+
+/**
+ * Combines per-category results into the end-of-shift score.
+ * @param {object} params
+ * @param {{points:number}[]} params.stops - scoreStopPunctuality() results.
+ * @param {ReturnType<typeof createComfortState>} params.comfort
+ * @param {{penalty:number}[]} params.violations
+ * @param {object} [params.rules]
+ * @returns {{punctuality:number, comfort:number, safety:number, total:number, grade:string}}
+ */
+export function computeShiftScore({ stops = [], comfort, violations = [], rules } = /** @type {any} */ ({})) {
+    const r = resolveCareerRules(rules);
+    const list = Array.isArray(stops) ? stops : [];
+    const punctuality = list.length ? list.reduce((sum, s) => sum + toFiniteOr(s?.points, 0), 0) / list.length : 0;
+    const comfortScore = scoreComfort(comfort, r);
+    const penalties = (Array.isArray(violations) ? violations : []).reduce((sum, v) => sum + toFiniteOr(v?.penalty, 0), 0);
+    const safety = Math.max(0, 100 - penalties);
+
+    const w = r.weights;
+    const wSum = Math.max(1e-6, w.punctuality + w.comfort + w.safety);
+    const total = clamp01((punctuality * w.punctuality + comfortScore * w.comfort + safety * w.safety) / wSum / 100) * 100;
+    const round1 = (v) => Math.round(v * 10) / 10;
+    return {
+        punctuality: round1(punctuality),
+        comfort: round1(comfortScore),
+        safety: round1(safety),
+        total: round1(total),
+        grade: gradeForScore(total)
+    };
+}
@@ -0,0 +1,330 @@
+// src/app/career/CareerShift.js
+// Tracks one career shift (a single timetabled trip of a bus line) and builds the end-of-shift report.
+// Design: a GameLoop system fed by stop/collision events plus per-frame samples; all scoring is delegated to CareerScoring.
+// @ts-check
+import { LANE_EDGE_KIND } from '../city/roads/LaneGraph.js';
+import { formatClockMinutes } from '../city/BusRoutes.js';
+import {
+    accumulateComfort,
+    accumulateSpeeding,
+    buildTripSchedule,
+    computeShiftScore,
+    createComfortState,
+    createSpeedingState,
+    detectRedLightRun,
+    flushSpeeding,
+    resolveCareerRules,
+    scoreCollision,
+    scoreStopPunctuality
+} from './CareerScoring.js';
+
+const EPS = 1e-6;
+
+/**
+ * Trip schedule for a resolved line. Legs the lane graph could not route fall back to the straight-line
+ * distance between stop zones so the shift is still playable.
+ * @param {object} params
+ * @param {object} params.route - Normalized route.
+ * @param {object|null} [params.resolved] - resolveBusRoute() result.
+ * @param {object[]} [params.stops] - Stop placements.
+ * @param {number} params.departureMinutes
+ * @param {object} [params.rules]
+ */
+export function createCareerTrip({ route, resolved = null, stops = [], departureMinutes, rules } = /** @type {any} */ ({})) {
+    const byId = new Map((Array.isArray(stops) ? stops : []).map((s) => [s.id, s]));
+    const ids = Array.isArray(route?.stops) ? route.stops : [];
+    const legCount = route?.loop ? ids.length : ids.length - 1;
+    const legLengths = [];
+    for (let i = 0; i < legCount; i++) {
+        const routed = resolved?.legs?.[i];
+        if (routed?.edgeIds && routed.length > EPS) {
+            legLengths.push(routed.length);
+            continue;
+        }
+        const a = byId.get(ids[i])?.zone?.center ?? null;
+        const b = byId.get(ids[(i + 1) % ids.length])?.zone?.center ?? null;
+        legLengths.push(a && b ? Math.hypot(b.x - a.x, b.z - a.z) : 0);
+    }
+    return buildTripSchedule({ stopIds: ids, legLengths, loop: !!route?.loop, departureMinutes, rules }).map((entry) => ({
+        ...entry,
+        name: byId.get(entry.stopId)?.name ?? entry.stopId
+    }));
+}
+
+/**
+ * Posted speed of the nearest lane edge (from `edgeIds`, or the whole graph) to a point.
+ * @param {object} graph - LaneGraph.
+ * @param {{x:number, z:number}} position
+ * @param {object} [options]
+ * @param {string[]|null} [options.edgeIds]
+ * @param {number} [options.maxDistance=12]
+ * @returns {number|null}
+ */
+export function findLaneSpeedLimitKph(graph, position, { edgeIds = null, maxDistance = 12 } = {}) {
+    if (!graph || !position) return null;
+    const edges = Array.isArray(edgeIds) ? edgeIds.map((id) => graph.getEdge(id)).filter(Boolean) : graph.getEdges();
+    let best = null;
+    let bestD = maxDistance;
+    for (const edge of edges) {
+        if (edge.kind !== LANE_EDGE_KIND.LANE || !Array.isArray(edge.points)) continue;
+        for (let i = 1; i < edge.points.length; i++) {
+            const a = edge.points[i - 1];
+            const b = edge.points[i];
+            const dx = b.x - a.x;
+            const dz = b.z - a.z;
+            const len2 = dx * dx + dz * dz;
+            const t = len2 > EPS ? Math.max(0, Math.min(1, ((position.x - a.x) * dx + (position.z - a.z) * dz) / len2)) : 0;
+            const d = Math.hypot(a.x + dx * t - position.x, a.z + dz * t - position.z);
+            if (d < bestD) {
+                bestD = d;
+                best = edge;
+            }
+        }
+    }
+    return best ? best.speed * 3.6 : null;
+}
+
+export class CareerShift {
+    /**
+     * @param {object} params
+     * @param {import('../core/EventBus.js').EventBus} params.eventBus
+     * @param {string} params.vehicleId
+     * @param {object} params.route - Normalized route.
+     * @param {string} [params.busId]
+     * @param {object[]} params.trip - createCareerTrip() entries.
+     * @param {object} [params.rules] - Overrides for CAREER_SCORING_DEFAULTS.
+     * @param {() => ({position:{x:number,z:number}, yaw:number, speedKph:number, longitudinalJerk?:number, lateralJerk?:number}|null)} [params.getSample]
+     * @param {(position: {x:number,z:number}, yaw: number) => ({junctionId:string, signal:string, distance:number}|null)} [params.getSignalAhead]
+     * @param {(position: {x:number,z:number}) => (number|null)} [params.getSpeedLimitKph]
+     * @param {() => (object|null)} [params.getEnergyStats] - Fuel/energy figures for the report (EnergySystem.getStats).
+     * @param {(report: object) => void} [params.onComplete]
+     */
+    constructor({
+        eventBus,
+        vehicleId,
+        route,
+        busId = null,
+        trip = [],
+        rules = {},
+        getSample = null,
+        getSignalAhead = null,
+        getSpeedLimitKph = null,
+        getEnergyStats = null,
+        onComplete = null
+    } = /** @type {any} */ ({})) {
+        this.eventBus = eventBus ?? null;
+        this.vehicleId = vehicleId;
+        this.route = route ?? null;
+        this.busId = busId ?? route?.busId ?? null;
+        this.rules = resolveCareerRules(rules);
+        this._getSample = typeof getSample === 'function' ? getSample : () => null;
+        this._getSignalAhead = typeof getSignalAhead === 'function' ? getSignalAhead : () => null;
+        this._getSpeedLimitKph = typeof getSpeedLimitKph === 'function' ? getSpeedLimitKph : () => null;
+        this._getEnergyStats = typeof getEnergyStats === 'function' ? getEnergyStats : () => null;
+        this._onComplete = typeof onComplete === 'function' ? onComplete : null;
+
+        this.stops = (Array.isArray(trip) ? trip : []).map((entry) => ({ ...entry, actualSec: null, result: null }));
+        this.startSec = (this.stops[0]?.scheduledSec ?? 0) - this.rules.shiftLeadSec;
+        this.clockSec = this.startSec;
+        this._nextIndex = 0;
+        this._comfort = createComfortState();
+        this._speeding = createSpeedingState();
+        this._signal = null;
+        this.violations = [];
+        this.report = null;
+
+        this._unsubArrived = this.eventBus?.on('stop:arrived', (e) => this._onArrived(e)) ?? null;
+        this._unsubDeparted = this.eventBus?.on('stop:departed', (e) => this._onDeparted(e)) ?? null;
+        this._unsubCollision = this.eventBus?.on('vehicle:collision', (e) => this._onCollision(e)) ?? null;
+    }
+
+    get finished() {
+        return this.report !== null;
+    }
+
+    /**
+     * @returns {object|null} Next timetable entry still to be served.
+     */
+    getNextStop() {
+        return this.stops[this._nextIndex] ?? null;
+    }
+
+    /**
+     * @param {number} dt - Seconds.
+     */
+    update(dt) {
+        const step = Math.max(0, Number(dt) || 0);
+        if (this.finished || !(step > 0)) return;
+        this.clockSec += step;
+
+        const sample = this._getSample();
+        if (!sample?.position) return;
+        const speedKph = Number(sample.speedKph) || 0;
+
+        this._comfort = accumulateComfort(this._comfort, {
+            dt: step,
+            speedKph,
+            longitudinalJerk: sample.longitudinalJerk,
+            lateralJerk: sample.lateralJerk
+        }, this.rules);
+
+        const limitKph = this._getSpeedLimitKph(sample.position);
+        const speeding = accumulateSpeeding(this._speeding, { dt: step, speedKph, limitKph }, this.rules);
+        this._speeding = speeding.state;
+        if (speeding.violation) this._addViolation(speeding.violation);
+
+        const signal = this._getSignalAhead(sample.position, sample.yaw);
+        const run = detectRedLightRun(this._signal, signal, speedKph, this.rules);
+        if (run) this._addViolation(run);
+        this._signal = signal;
+    }
+
+    /**
+     * Ends the shift; unserved stops are scored as missed.
+     * @returns {object} Report.
+     */
+    finish() {
+        if (this.report) return this.report;
+        const speeding = flushSpeeding(this._speeding, this.rules);
+        if (speeding) this._addViolation(speeding);
+
+        for (const stop of this.stops) {
+            if (!stop.result) stop.result = scoreStopPunctuality({ scheduledSec: stop.scheduledSec, actualSec: null, rules: this.rules });
+        }
+        const score = computeShiftScore({
+            stops: this.stops.map((s) => s.result),
+            comfort: this._comfort,
+            violations: this.violations,
+            rules: this.rules
+        });
+        const departureMinutes = (this.stops[0]?.scheduledSec ?? 0) / 60;
+        this.report = {
+            routeId: this.route?.id ?? null,
+            routeNumber: this.route?.number ?? null,
+            routeName: this.route?.name ?? null,
+            routeColor: this.route?.color ?? null,
+            busId: this.busId,
+            departure: formatClockMinutes(departureMinutes),
+            completed: this._nextIndex >= this.stops.length,
+            durationSec: this.clockSec - this.startSec,
+            stops: this.stops.map(({ stopId, name, kind, scheduledSec, actualSec, result }) => ({
+                stopId,
+                name,
+                kind,
+                scheduledSec,
+                actualSec,
+                status: result.status,
+                deltaSec: result.deltaSec,
+                points: result.points
+            })),
+            comfort: { ...this._comfort },
+            violations: this.violations.slice(),
+            energy: this._getEnergyStats() ?? null,
+            score
+        };
+        this.eventBus?.emit('career:shiftEnded', { vehicleId: this.vehicleId, report: this.report });
+        this._onComplete?.(this.report);
+        return this.report;
+    }
+
+    getTelemetry(vehicleId) {
+        if (vehicleId !== this.vehicleId) return null;
+        const next = this.getNextStop();
+        return {
+            clockSec: this.clockSec,
+            nextStopId: next?.stopId ?? null,
+            nextStopName: next?.name ?? null,
+            nextScheduledSec: next?.scheduledSec ?? null,
+            servedStops: this._nextIndex,
+            totalStops: this.stops.length,
+            violations: this.violations.length,
+            finished: this.finished
+        };
+    }
+
+    /**
+     * Shift clock, served stops and running scores (save games).
+     * @returns {object}
+     */
+    getSnapshot() {
+        return {
+            clockSec: this.clockSec,
+            nextIndex: this._nextIndex,
+            actualSec: this.stops.map((s) => s.actualSec),
+            comfort: { ...this._comfort },
+            speeding: { ...this._speeding },
+            violations: this.violations.map((v) => ({ ...v }))
+        };
+    }
+
+    /**
+     * Restores a getSnapshot() taken on the same trip; stop results are rescored from the saved arrival times.
+     * @param {object} snapshot
+     */
+    restoreSnapshot(snapshot) {
+        if (!snapshot || typeof snapshot !== 'object' || this.finished) return;
+        if (Number.isFinite(snapshot.clockSec)) this.clockSec = snapshot.clockSec;
+        this._nextIndex = Math.max(0, Math.min(this.stops.length, Math.trunc(Number(snapshot.nextIndex) || 0)));
+        const actual = Array.isArray(snapshot.actualSec) ? snapshot.actualSec : [];
+        this.stops.forEach((stop, i) => {
+            const actualSec = Number.isFinite(actual[i]) ? actual[i] : null;
+            stop.actualSec = i < this._nextIndex ? actualSec : null;
+            stop.result = i < this._nextIndex
+                ? scoreStopPunctuality({ scheduledSec: stop.scheduledSec, actualSec: stop.actualSec, rules: this.rules })
+                : null;
+        });
+        this._comfort = { ...createComfortState(), ...(snapshot.comfort ?? {}) };
+        this._speeding = { ...createSpeedingState(), ...(snapshot.speeding ?? {}) };
+        this.violations = Array.isArray(snapshot.violations) ? snapshot.violations.map((v) => ({ ...v })) : [];
+        this._signal = null;
+    }
+
+    dispose() {
+        this._unsubArrived?.();
+        this._unsubDeparted?.();
+        this._unsubCollision?.();
+        this._unsubArrived = null;
+        this._unsubDeparted = null;
+        this._unsubCollision = null;
+    }
+
+    _addViolation(violation) {
+        this.violations.push({ ...violation, clockSec: this.clockSec });
+        this.eventBus?.emit('career:violation', { vehicleId: this.vehicleId, violation });
+    }
+
+    _record(index) {
+        for (let i = this._nextIndex; i < index; i++) {
+            this.stops[i].result = scoreStopPunctuality({ scheduledSec: this.stops[i].scheduledSec, actualSec: null, rules: this.rules });
+        }
+        const stop = this.stops[index];
+        stop.actualSec = this.clockSec;
+        stop.result = scoreStopPunctuality({ scheduledSec: stop.scheduledSec, actualSec: this.clockSec, rules: this.rules });
+        this._nextIndex = index + 1;
+        this.eventBus?.emit('career:stopScored', { vehicleId: this.vehicleId, stopId: stop.stopId, ...stop.result });
+        if (this._nextIndex >= this.stops.length) this.finish();
+    }
+
+    _onDeparted(e) {
+        if (this.finished || e?.vehicleId !== this.vehicleId || this._nextIndex !== 0) return;
+        if (this.stops[0]?.stopId === e.stopId) this._record(0);
+    }
+
+    _onArrived(e) {
+        if (this.finished || e?.vehicleId !== this.vehicleId) return;
+        // Serving the first stop is timed on departure; on loop lines it must not count as finishing the loop.
+        if (this._nextIndex === 0 && this.stops[0]?.stopId === e.stopId) return;
+        // Arriving further down the line skips (misses) the stops in between.
+        for (let i = Math.max(1, this._nextIndex); i < this.stops.length; i++) {
+            if (this.stops[i].stopId === e.stopId) {
+                this._record(i);
+                return;
+            }
+        }
+    }
+
+    _onCollision(e) {
+        if (this.finished || e?.vehicleId !== this.vehicleId) return;
+        this._addViolation(scoreCollision(e, this.rules));
+    }
+}
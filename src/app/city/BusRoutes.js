@@ -0,0 +1,400 @@
+// src/app/city/BusRoutes.js
+// Bus line spec records (stops + lane path + timetable), lane-graph auto-routing between stops and route validation.
+// Design: lines reference stops by id and persist lane edge ids per leg; legs that no longer match the lane graph are re-routed on resolve.
+// @ts-check
+import { LANE_EDGE_KIND } from './roads/LaneGraph.js';
+import { BUS_CATALOG, getBusSpec } from '../vehicle/buses/BusCatalog.js';
+import { toFiniteOr } from '../utils/number.js';
+
+const EPS = 1e-6;
+const ROUTES_JSON_VERSION = 1;
+
+export const BUS_ROUTE_DEFAULTS = Object.freeze({
+    color: '#e53935',
+    busId: 'city',
+    headwayMinutes: 10,
+    firstDeparture: '06:00',
+    lastDeparture: '22:00',
+    anchorMaxDistance: 12,
+    anchorHeadingDot: 0.7,
+    uTurnAngleDeg: 150,
+    uTurnWindow: 30,
+    turnRadiusTolerance: 0.7,
+    wheelbaseRatio: 0.6
+});
+
+export const BUS_ROUTE_ISSUE = Object.freeze({
+    UNKNOWN_STOP: 'unknown_stop',
+    TOO_FEW_STOPS: 'too_few_stops',
+    UNREACHABLE: 'unreachable',
+    U_TURN: 'u_turn',
+    TIGHT_TURN: 'tight_turn',
+    STALE_PATH: 'stale_path'
+});
+
+export const BUS_ROUTE_SEVERITY = Object.freeze({
+    ERROR: 'error',
+    WARNING: 'warning'
+});
+
+function trimmedString(value) {
+    return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+/**
+ * Parses an `HH:MM` clock string into minutes after midnight (hours may exceed 23 for after-midnight trips).
+ * @param {string} value
+ * @returns {number|null}
+ */
+export function parseClockMinutes(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value ?? '').trim());
+    if (!match) return null;
+    const h = Number(match[1]);
+    const m = Number(match[2]);
+    if (h > 47 || m > 59) return null;
+    return h * 60 + m;
+}
+
+/**
+ * @param {number} minutes - Minutes after midnight.
+ * @returns {string} `HH:MM`.
+ */
+export function formatClockMinutes(minutes) {
+    const total = Math.max(0, Math.round(toFiniteOr(minutes, 0)));
+    const h = Math.floor(total / 60);
+    const m = total % 60;
+    return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+}
+
+/**
+ * @param {number} seconds - Seconds after midnight.
+ * @returns {string} `HH:MM:SS`.
+ */
+export function formatClockSeconds(seconds) {
+    const total = Math.max(0, Math.round(toFiniteOr(seconds, 0)));
+    return `${formatClockMinutes(Math.floor(total / 60))}:${String(total % 60).padStart(2, '0')}`;
+}
+
+function normalizeColor(value) {
+    if (Number.isInteger(value) && value >= 0 && value <= 0xffffff) return `#${value.toString(16).padStart(6, '0')}`;
+    const str = trimmedString(value);
+    if (str && /^#[0-9a-fA-F]{6}$/.test(str)) return str.toLowerCase();
+    return BUS_ROUTE_DEFAULTS.color;
+}
+
+function normalizeTimetable(raw) {
+    const src = raw && typeof raw === 'object' ? raw : {};
+    if (Array.isArray(src.departures)) {
+        const minutes = Array.from(new Set(src.departures.map(parseClockMinutes).filter((m) => m !== null))).sort((a, b) => a - b);
+        if (minutes.length) return { departures: minutes.map(formatClockMinutes) };
+    }
+    const first = parseClockMinutes(src.firstDeparture) ?? parseClockMinutes(BUS_ROUTE_DEFAULTS.firstDeparture);
+    const lastRaw = parseClockMinutes(src.lastDeparture) ?? parseClockMinutes(BUS_ROUTE_DEFAULTS.lastDeparture);
+    const last = Math.max(first, lastRaw);
+    const headway = Math.max(1, Math.min(240, Math.round(toFiniteOr(src.headwayMinutes, BUS_ROUTE_DEFAULTS.headwayMinutes))));
+    return { headwayMinutes: headway, firstDeparture: formatClockMinutes(first), lastDeparture: formatClockMinutes(last) };
+}
+
+/**
+ * Normalizes a raw route spec record; returns null when it has no usable stop list.
+ * `legs` holds one lane edge id list per stop-to-stop leg (null until the route has been auto-routed).
+ * @param {object} raw
+ * @param {number} [index=0]
+ * @returns {{id:string, number:string, name:string, color:string, busId:string, stops:string[], loop:boolean, legs:(string[]|null)[]|null, timetable:object}|null}
+ */
+export function normalizeBusRouteSpec(raw, index = 0) {
+    if (!raw || typeof raw !== 'object' || !Array.isArray(raw.stops)) return null;
+    const stops = raw.stops.map(trimmedString).filter(Boolean);
+    if (!stops.length) return null;
+
+    const id = trimmedString(raw.id) ?? `route_${(index | 0) + 1}`;
+    const number = trimmedString(raw.number) ?? (Number.isFinite(raw.number) ? String(raw.number) : String((index | 0) + 1));
+    const name = trimmedString(raw.name) ?? `Line ${number}`;
+    const busId = trimmedString(raw.busId);
+    const loop = !!raw.loop;
+
+    const legCount = loop ? stops.length : stops.length - 1;
+    let legs = null;
+    if (Array.isArray(raw.legs) && raw.legs.length === legCount) {
+        legs = raw.legs.map((leg) => (Array.isArray(leg) && leg.length ? leg.map((e) => String(e)) : null));
+    }
+
+    return {
+        id,
+        number,
+        name,
+        color: normalizeColor(raw.color),
+        busId: busId && getBusSpec(busId) ? busId : BUS_ROUTE_DEFAULTS.busId,
+        stops,
+        loop,
+        legs,
+        timetable: normalizeTimetable(raw.timetable)
+    };
+}
+
+/**
+ * Normalizes a list of route records, dropping invalid ones and duplicate ids.
+ * @param {object[]} list
+ * @returns {object[]}
+ */
+export function normalizeBusRouteList(list) {
+    const src = Array.isArray(list) ? list : [];
+    const out = [];
+    const seen = new Set();
+    for (let i = 0; i < src.length; i++) {
+        const route = normalizeBusRouteSpec(src[i], i);
+        if (!route || seen.has(route.id)) continue;
+        seen.add(route.id);
+        out.push(route);
+    }
+    return out;
+}
+
+/**
+ * Departure times of a line in minutes after midnight (explicit list or expanded headway).
+ * @param {object} route - Normalized route.
+ * @returns {number[]}
+ */
+export function getRouteDepartures(route) {
+    const tt = route?.timetable ?? normalizeTimetable(null);
+    if (Array.isArray(tt.departures)) return tt.departures.map(parseClockMinutes).filter((m) => m !== null);
+    const first = parseClockMinutes(tt.firstDeparture) ?? 0;
+    const last = parseClockMinutes(tt.lastDeparture) ?? first;
+    const headway = Math.max(1, toFiniteOr(tt.headwayMinutes, BUS_ROUTE_DEFAULTS.headwayMinutes));
+    const out = [];
+    for (let t = first; t <= last + EPS; t += headway) out.push(t);
+    return out;
+}
+
+/**
+ * Minimum drivable turn radius (rear axle centre) for a catalog bus, using the physics wheelbase estimate.
+ * @param {string|object} busIdOrSpec
+ * @returns {number}
+ */
+export function getBusMinTurnRadius(busIdOrSpec) {
+    const spec = typeof busIdOrSpec === 'string' ? getBusSpec(busIdOrSpec) : (busIdOrSpec ?? BUS_CATALOG[0]);
+    const length = toFiniteOr(spec?.dimensions?.length, 12);
+    const maxSteer = toFiniteOr(spec?.tuning?.maxSteerDeg, 35) * Math.PI / 180;
+    const wheelbase = Math.max(2.5, length * BUS_ROUTE_DEFAULTS.wheelbaseRatio);
+    return wheelbase / Math.max(EPS, Math.tan(maxSteer));
+}
+
+/**
+ * Snaps a stop placement onto the lane edge serving it.
+ * @param {object} graph - LaneGraph.
+ * @param {object} stop - Placement from computeBusStopPlacements().
+ * @param {object} [options]
+ * @param {number} [options.maxDistance]
+ * @param {number} [options.headingDot]
+ * @returns {{edgeId:string, s:number, distance:number}|null}
+ */
+export function anchorStopOnLaneGraph(graph, stop, {
+    maxDistance = BUS_ROUTE_DEFAULTS.anchorMaxDistance,
+    headingDot = BUS_ROUTE_DEFAULTS.anchorHeadingDot
+} = {}) {
+    const point = stop?.zone?.center ?? null;
+    const dir = stop?.travelDir ?? null;
+    if (!graph || !point || !dir) return null;
+
+    let best = null;
+    for (const edge of graph.getEdges()) {
+        if (edge.kind !== LANE_EDGE_KIND.LANE || !Array.isArray(edge.points) || edge.points.length < 2) continue;
+        const a = edge.points[0];
+        const b = edge.points[edge.points.length - 1];
+        const dx = b.x - a.x;
+        const dz = b.z - a.z;
+        const len = Math.hypot(dx, dz);
+        if (!(len > EPS)) continue;
+        const ux = dx / len;
+        const uz = dz / len;
+        if (ux * dir.x + uz * dir.z < headingDot) continue;
+        const s = Math.max(0, Math.min(len, (point.x - a.x) * ux + (point.z - a.z) * uz));
+        const distance = Math.hypot(a.x + ux * s - point.x, a.z + uz * s - point.z);
+        if (distance > maxDistance || (best && distance >= best.distance - 1e-9)) continue;
+        best = { edgeId: edge.id, s: s * (toFiniteOr(edge.length, len) / len), distance };
+    }
+    return best;
+}
+
+function routeLeg(graph, from, to) {
+    const a = graph.getEdge(from.edgeId);
+    const b = graph.getEdge(to.edgeId);
+    if (!a || !b) return null;
+    if (a.id === b.id && to.s >= from.s) return { edgeIds: [a.id], length: to.s - from.s };
+    const mid = graph.findPath(a.to, b.from);
+    if (!mid) return null;
+    return { edgeIds: [a.id, ...mid.edgeIds, b.id], length: (a.length - from.s) + mid.length + to.s };
+}
+
+function storedLegLength(graph, edgeIds, from, to) {
+    if (!Array.isArray(edgeIds) || !edgeIds.length) return null;
+    if (edgeIds[0] !== from.edgeId || edgeIds[edgeIds.length - 1] !== to.edgeId) return null;
+    if (edgeIds.length === 1) return graph.getEdge(edgeIds[0]) && to.s >= from.s ? to.s - from.s : null;
+    let length = 0;
+    let prev = null;
+    for (const id of edgeIds) {
+        const edge = graph.getEdge(id);
+        if (!edge || (prev && prev.to !== edge.from)) return null;
+        length += edge.length;
+        prev = edge;
+    }
+    return length - from.s - (prev.length - to.s);
+}
+
+function legPolyline(graph, edgeIds) {
+    const out = [];
+    for (const id of edgeIds) {
+        for (const p of graph.getEdge(id)?.points ?? []) {
+            const last = out[out.length - 1];
+            if (last && Math.hypot(p.x - last.x, p.z - last.z) <= EPS) continue;
+            out.push({ x: p.x, z: p.z });
+        }
+    }
+    return out;
+}
+
+function findUTurn(points, { angleDeg, window }) {
+    const segs = [];
+    let s = 0;
+    for (let i = 0; i + 1 < points.length; i++) {
+        const dx = points[i + 1].x - points[i].x;
+        const dz = points[i + 1].z - points[i].z;
+        const len = Math.hypot(dx, dz);
+        segs.push({ x: dx / len, z: dz / len, s, point: points[i] });
+        s += len;
+    }
+    const limit = Math.cos(angleDeg * Math.PI / 180);
+    for (let i = 0; i < segs.length; i++) {
+        for (let j = i + 1; j < segs.length && segs[j].s - segs[i].s <= window; j++) {
+            if (segs[i].x * segs[j].x + segs[i].z * segs[j].z <= limit) return segs[j].point;
+        }
+    }
+    return null;
+}
+
+function minCircumradius(points) {
+    let min = Infinity;
+    for (let i = 0; i + 2 < points.length; i++) {
+        const p0 = points[i];
+        const p1 = points[i + 1];
+        const p2 = points[i + 2];
+        const a = Math.hypot(p1.x - p0.x, p1.z - p0.z);
+        const b = Math.hypot(p2.x - p1.x, p2.z - p1.z);
+        const c = Math.hypot(p2.x - p0.x, p2.z - p0.z);
+        const cross = Math.abs((p1.x - p0.x) * (p2.z - p0.z) - (p1.z - p0.z) * (p2.x - p0.x));
+        if (cross <= 1e-9) continue;
+        min = Math.min(min, (a * b * c) / (2 * cross));
+    }
+    return min;
+}
+
+/**
+ * Resolves a route against a lane graph: anchors stops, reuses or auto-routes each leg and validates the result.
+ * Errors: unknown/unanchored stops, unreachable legs, U-turns. Warnings: turns tighter than the bus can drive, stale stored legs.
+ * @param {object} params
+ * @param {object} params.graph - LaneGraph.
+ * @param {object} params.route - Normalized route.
+ * @param {object[]} params.stops - Placements from computeBusStopPlacements().
+ * @param {object} [params.options] - Overrides for BUS_ROUTE_DEFAULTS.
+ * @returns {{routeId:string, ok:boolean, legs:object[], length:number, minTurnRadius:number, issues:object[]}}
+ */
+export function resolveBusRoute({ graph, route, stops = [], options = {} } = /** @type {any} */ ({})) {
+    const o = { ...BUS_ROUTE_DEFAULTS, ...(options ?? {}) };
+    const issues = [];
+    const issue = (severity, code, message, extra = {}) => issues.push({ severity, code, message, ...extra });
+    const minTurnRadius = getBusMinTurnRadius(route?.busId ?? o.busId);
+    const result = { routeId: route?.id ?? '', ok: false, legs: [], length: 0, minTurnRadius, issues };
+
+    const ids = Array.isArray(route?.stops) ? route.stops : [];
+    if (ids.length < 2) {
+        issue(BUS_ROUTE_SEVERITY.ERROR, BUS_ROUTE_ISSUE.TOO_FEW_STOPS, 'A line needs at least two stops.');
+        return result;
+    }
+
+    const byId = new Map((Array.isArray(stops) ? stops : []).map((s) => [s.id, s]));
+    const anchors = ids.map((id, stopIndex) => {
+        const stop = byId.get(id);
+        if (!stop) {
+            issue(BUS_ROUTE_SEVERITY.ERROR, BUS_ROUTE_ISSUE.UNKNOWN_STOP, `Stop "${id}" does not exist.`, { stopIndex, stopId: id });
+            return null;
+        }
+        const anchor = anchorStopOnLaneGraph(graph, stop, { maxDistance: o.anchorMaxDistance, headingDot: o.anchorHeadingDot });
+        if (!anchor) issue(BUS_ROUTE_SEVERITY.ERROR, BUS_ROUTE_ISSUE.UNREACHABLE, `Stop "${id}" is not on a drivable lane.`, { stopIndex, stopId: id });
+        return anchor;
+    });
+
+    const legCount = route.loop ? ids.length : ids.length - 1;
+    for (let legIndex = 0; legIndex < legCount; legIndex++) {
+        const fromIndex = legIndex;
+        const toIndex = (legIndex + 1) % ids.length;
+        const from = anchors[fromIndex];
+        const to = anchors[toIndex];
+        const leg = { fromStopId: ids[fromIndex], toStopId: ids[toIndex], edgeIds: null, length: 0 };
+        result.legs.push(leg);
+        if (!from || !to) continue;
+
+        const stored = route.legs?.[legIndex] ?? null;
+        const storedLength = stored ? storedLegLength(graph, stored, from, to) : null;
+        if (storedLength !== null) {
+            leg.edgeIds = stored.slice();
+            leg.length = storedLength;
+        } else {
+            const routed = routeLeg(graph, from, to);
+            if (!routed) {
+                issue(BUS_ROUTE_SEVERITY.ERROR, BUS_ROUTE_ISSUE.UNREACHABLE, `No lane path from "${leg.fromStopId}" to "${leg.toStopId}".`, { legIndex });
+                continue;
+            }
+            if (stored) issue(BUS_ROUTE_SEVERITY.WARNING, BUS_ROUTE_ISSUE.STALE_PATH, `Stored path of leg ${legIndex + 1} no longer matches the roads; re-routed.`, { legIndex });
+            leg.edgeIds = routed.edgeIds;
+            leg.length = routed.length;
+        }
+        result.length += leg.length;
+
+        const uTurnAt = findUTurn(legPolyline(graph, leg.edgeIds), { angleDeg: o.uTurnAngleDeg, window: o.uTurnWindow });
+        if (uTurnAt) {
+            issue(BUS_ROUTE_SEVERITY.ERROR, BUS_ROUTE_ISSUE.U_TURN, `Leg ${legIndex + 1} reverses direction within ${o.uTurnWindow} m.`, { legIndex, position: uTurnAt });
+        }
+
+        for (const edgeId of leg.edgeIds) {
+            const edge = graph.getEdge(edgeId);
+            if (edge?.kind !== LANE_EDGE_KIND.TURN) continue;
+            const radius = minCircumradius(edge.points ?? []);
+            if (radius >= minTurnRadius * o.turnRadiusTolerance) continue;
+            issue(
+                BUS_ROUTE_SEVERITY.WARNING,
+                BUS_ROUTE_ISSUE.TIGHT_TURN,
+                `Leg ${legIndex + 1} turn radius ${radius.toFixed(1)} m is below the ${minTurnRadius.toFixed(1)} m the bus needs.`,
+                { legIndex, edgeId, radius, position: edge.points?.[Math.floor((edge.points?.length ?? 0) / 2)] ?? null }
+            );
+        }
+    }
+
+    result.ok = !issues.some((i) => i.severity === BUS_ROUTE_SEVERITY.ERROR);
+    return result;
+}
+
+/**
+ * Serializes routes for the standalone routes download.
+ * @param {object[]} routes
+ * @returns {string}
+ */
+export function exportBusRoutesJson(routes) {
+    return JSON.stringify({ version: ROUTES_JSON_VERSION, routes: normalizeBusRouteList(routes) }, null, 2);
+}
+
+/**
+ * Parses a routes document (`{ routes }`, a bare array, or a whole city spec).
+ * @param {string} text
+ * @returns {object[]|null} Normalized routes, or null when the text is not a routes document.
+ */
+export function parseBusRoutesJson(text) {
+    let data = null;
+    try {
+        data = JSON.parse(String(text ?? ''));
+    } catch {
+        return null;
+    }
+    const list = Array.isArray(data) ? data : data?.routes;
+    if (!Array.isArray(list)) return null;
+    return normalizeBusRouteList(list);
+}
@@ -0,0 +1,162 @@
+// src/app/city/BusStopPlacement.js
+// Normalizes bus stop spec records and resolves them to world placements along CityMap roads.
+// Design: stops are authored as (roadId, offset, side) so they survive road geometry edits; world data is derived.
+// @ts-check
+import { ROAD_DEFAULTS } from '../../graphics/assets3d/generators/GeneratorParams.js';
+import { toFiniteOr } from '../utils/number.js';
+
+const EPS = 1e-6;
+
+export const BUS_STOP_SIDE = Object.freeze({
+    RIGHT: 'right',
+    LEFT: 'left'
+});
+
+export const BUS_STOP_DEFAULTS = Object.freeze({
+    zoneLength: 18,
+    shelterLength: 4.2,
+    shelterDepth: 1.5
+});
+
+/**
+ * Normalizes a raw stop spec record; returns null when required fields are invalid.
+ * @param {object} raw
+ * @param {number} [index=0]
+ * @returns {{id:string, name:string, roadId:number, offset:number, side:string}|null}
+ */
+export function normalizeBusStopSpec(raw, index = 0) {
+    if (!raw || typeof raw !== 'object') return null;
+    const roadId = Number(raw.roadId);
+    if (!Number.isInteger(roadId) || roadId < 0) return null;
+    const offset = Number(raw.offset);
+    if (!Number.isFinite(offset) || offset < 0) return null;
+    const side = raw.side === BUS_STOP_SIDE.LEFT ? BUS_STOP_SIDE.LEFT : BUS_STOP_SIDE.RIGHT;
+    const id = (typeof raw.id === 'string' && raw.id.trim()) ? raw.id.trim() : `stop_${(index | 0) + 1}`;
+    const name = (typeof raw.name === 'string' && raw.name.trim()) ? raw.name.trim() : id;
+    return { id, name, roadId, offset, side };
+}
+
+/**
+ * World XZ polyline of a CityMap road segment (shared with other road-anchored placements such as the depot).
+ * @param {object} map
+ * @param {object} road
+ * @returns {{x:number,z:number}[]|null}
+ */
+export function resolveRoadPolylineWorld(map, road) {
+    if (road?.kind === 'polyline' && Array.isArray(road.points) && road.points.length >= 2) {
+        return road.points.map((p) => ({ x: toFiniteOr(p?.x, 0), z: toFiniteOr(Number.isFinite(p?.z) ? p.z : p?.y, 0) }));
+    }
+    if (road?.a && road?.b && typeof map?.tileToWorldCenter === 'function') {
+        const a = map.tileToWorldCenter(road.a.x, road.a.y);
+        const b = map.tileToWorldCenter(road.b.x, road.b.y);
+        return [{ x: a.x, z: a.z }, { x: b.x, z: b.z }];
+    }
+    return null;
+}
+
+/**
+ * Point and unit direction `offset` meters along a polyline (clamped to its end).
+ * @param {{x:number,z:number}[]} points
+ * @param {number} offset
+ * @returns {{point:{x:number,z:number}, dir:{x:number,z:number}}|null}
+ */
+export function pointAlongPolyline(points, offset) {
+    let remaining = Math.max(0, offset);
+    let last = null;
+    for (let i = 0; i + 1 < points.length; i++) {
+        const a = points[i];
+        const b = points[i + 1];
+        const dx = b.x - a.x;
+        const dz = b.z - a.z;
+        const len = Math.hypot(dx, dz);
+        if (!(len > EPS)) continue;
+        const dir = { x: dx / len, z: dz / len };
+        last = { point: { x: b.x, z: b.z }, dir };
+        if (remaining <= len) return { point: { x: a.x + dir.x * remaining, z: a.z + dir.z * remaining }, dir };
+        remaining -= len;
+    }
+    return last;
+}
+
+/**
+ * Resolves CityMap stops to world placements (stop zone in the curb lane + shelter/pole/marking positions).
+ * @param {object} params
+ * @param {object} params.map - CityMap with `stops` and `roadSegments`.
+ * @param {object|null} [params.generatorConfig=null]
+ * @returns {object[]}
+ */
+export function computeBusStopPlacements({ map, generatorConfig = null } = {}) {
+    const stops = Array.isArray(map?.stops) ? map.stops : [];
+    if (!stops.length) return [];
+
+    const roadCfg = { ...ROAD_DEFAULTS, ...(generatorConfig?.road ?? {}) };
+    const laneWidth = toFiniteOr(roadCfg.laneWidth, ROAD_DEFAULTS.laneWidth);
+    const shoulder = toFiniteOr(roadCfg.shoulder, ROAD_DEFAULTS.shoulder);
+    const curbT = toFiniteOr(roadCfg.curb?.thickness, ROAD_DEFAULTS.curb.thickness);
+    const curbH = toFiniteOr(roadCfg.curb?.height, ROAD_DEFAULTS.curb.height);
+    const sidewalkWidth = toFiniteOr(roadCfg.sidewalk?.extraWidth, ROAD_DEFAULTS.sidewalk.extraWidth);
+    const roadY = toFiniteOr(roadCfg.surfaceY, ROAD_DEFAULTS.surfaceY);
+
+    const out = [];
+    for (const stop of stops) {
+        const road = map.roadSegments?.[stop.roadId] ?? null;
+        const points = road ? resolveRoadPolylineWorld(map, road) : null;
+        if (!points) continue;
+        const at = pointAlongPolyline(points, stop.offset);
+        if (!at) continue;
+
+        const isRight = stop.side !== BUS_STOP_SIDE.LEFT;
+        const lanes = Math.max(1, (isRight ? road.lanesF : road.lanesB) | 0);
+        const sideSign = isRight ? 1 : -1;
+        const right = { x: -at.dir.z, z: at.dir.x };
+        const outward = { x: right.x * sideSign, z: right.z * sideSign };
+        const travelDir = isRight ? { x: at.dir.x, z: at.dir.z } : { x: -at.dir.x, z: -at.dir.z };
+
+        const zoneOffset = (lanes - 0.5) * laneWidth;
+        const curbOffset = lanes * laneWidth + shoulder;
+        const shelterOffset = curbOffset + curbT + Math.max(sidewalkWidth, BUS_STOP_DEFAULTS.shelterDepth) * 0.5 + 0.6;
+        const place = (d, y) => ({ x: at.point.x + outward.x * d, y, z: at.point.z + outward.z * d });
+
+        out.push({
+            id: stop.id,
+            name: stop.name,
+            roadId: stop.roadId,
+            offset: stop.offset,
+            side: stop.side,
+            travelDir,
+            heading: Math.atan2(travelDir.z, travelDir.x),
+            rotationY: Math.atan2(-outward.x, -outward.z),
+            zone: {
+                center: { x: at.point.x + outward.x * zoneOffset, z: at.point.z + outward.z * zoneOffset },
+                dir: travelDir,
+                halfLength: BUS_STOP_DEFAULTS.zoneLength * 0.5,
+                halfWidth: laneWidth * 0.5
+            },
+            markingPosition: place(curbOffset - laneWidth * 0.5, roadY),
+            markingSize: { length: BUS_STOP_DEFAULTS.zoneLength, width: laneWidth },
+            shelterPosition: place(shelterOffset, roadY + curbH),
+            polePosition: {
+                x: at.point.x + outward.x * (curbOffset + curbT + 0.3) + travelDir.x * BUS_STOP_DEFAULTS.zoneLength * 0.4,
+                y: roadY + curbH,
+                z: at.point.z + outward.z * (curbOffset + curbT + 0.3) + travelDir.z * BUS_STOP_DEFAULTS.zoneLength * 0.4
+            }
+        });
+    }
+    return out;
+}
+
+/**
+ * True when a world XZ point lies inside a stop placement's zone rectangle.
+ * @param {object} placement
+ * @param {{x:number,z:number}} point
+ * @returns {boolean}
+ */
+export function isPointInBusStopZone(placement, point) {
+    const zone = placement?.zone ?? null;
+    if (!zone || !point) return false;
+    const dx = toFiniteOr(point.x, 0) - zone.center.x;
+    const dz = toFiniteOr(point.z, 0) - zone.center.z;
+    const along = dx * zone.dir.x + dz * zone.dir.z;
+    const lateral = dx * -zone.dir.z + dz * zone.dir.x;
+    return Math.abs(along) <= zone.halfLength && Math.abs(lateral) <= zone.halfWidth;
+}
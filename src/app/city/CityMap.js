@@ -5,6 +5,9 @@ import { getBuildingConfigById } from './buildings/index.js';
 import { createDemoCitySpec } from './specs/DemoCitySpec.js';
 import { createRoadNetworkFromWorldSegments } from './roads/RoadNetwork.js';
 import { generateCenterlineFromPolyline } from '../geometry/PolylineTAT.js';
+import { normalizeBusStopSpec } from './BusStopPlacement.js';
+import { normalizeDepotSpec } from './DepotPlacement.js';
+import { normalizeBusRouteList } from './BusRoutes.js';
 export const DIR = { N: 1, E: 2, S: 4, W: 8 };
 export const TILE = { EMPTY: 0, ROAD: 1 };
 
@@ -253,6 +256,9 @@ export class CityMap {
         this.roadIntersections = new Uint8Array(n);
 
         this.buildings = [];
+        this.stops = [];
+        this.depot = null;
+        this.routes = [];
     }
 
     index(x, y) { return (x | 0) + (y | 0) * this.width; }
@@ -606,7 +612,9 @@ export class CityMap {
             tileSize: this.tileSize,
             origin: { x: this.origin.x, z: this.origin.z },
             roads: [],
-            buildings: []
+            buildings: [],
+            stops: [],
+            routes: []
         };
 
         const roads = Array.isArray(this.roadSegments) ? this.roadSegments : [];
@@ -675,6 +683,19 @@ export class CityMap {
             spec.buildings.push(record);
         }
 
+        const stops = Array.isArray(this.stops) ? this.stops : [];
+        for (const stop of stops) {
+            if (!stop) continue;
+            spec.stops.push({ id: stop.id, name: stop.name, roadId: stop.roadId, offset: stop.offset, side: stop.side });
+        }
+
+        if (this.depot) {
+            const { id, name, roadId, offset, side, zoneLength, refuelLitersPerSec, chargePowerKw } = this.depot;
+            spec.depot = { id, name, roadId, offset, side, zoneLength, refuelLitersPerSec, chargePowerKw };
+        }
+
+        spec.routes = normalizeBusRouteList(this.routes);
+
         return spec;
     }
 
@@ -708,8 +729,26 @@ export class CityMap {
         map.finalize({ seed: spec.seed ?? config.seed ?? null });
 
         map.buildings = CityMap._buildingsFromSpec(spec.buildings, map);
+        map.stops = CityMap._stopsFromSpec(spec.stops, map);
+        const depot = normalizeDepotSpec(spec.depot);
+        map.depot = depot && map.roadSegments[depot.roadId] ? depot : null;
+        map.routes = normalizeBusRouteList(spec.routes);
         return map;
     }
+
+    static _stopsFromSpec(stopsSpec, map) {
+        const list = Array.isArray(stopsSpec) ? stopsSpec : [];
+        const out = [];
+        const seen = new Set();
+        for (let i = 0; i < list.length; i++) {
+            const stop = normalizeBusStopSpec(list[i], i);
+            if (!stop || seen.has(stop.id)) continue;
+            if (!map.roadSegments[stop.roadId]) continue;
+            seen.add(stop.id);
+            out.push(stop);
+        }
+        return out;
+    }
 
     static _buildingsFromSpec(buildingsSpec, map) {
         const list = Array.isArray(buildingsSpec) ? buildingsSpec : [];
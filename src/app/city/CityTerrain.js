@@ -0,0 +1,39 @@
+// src/app/city/CityTerrain.js
+// Terrain biome sampler for a gameplay city: a TerrainEngine laid over the square city floor and seeded from the city seed.
+// @ts-check
+import { createTerrainEngine } from './terrain_engine/index.js';
+
+export const CITY_TERRAIN_DEFAULTS = Object.freeze({
+    patchSizeMeters: 72,
+    defaultBiomeId: 'grass',
+    weights: Object.freeze({ stone: 0.15, grass: 0.55, land: 0.30 })
+});
+
+/**
+ * TerrainEngine covering a city floor of `size` meters centered on the origin; outside it the engine reports the
+ * default biome.
+ * @param {object} params
+ * @param {string} params.seed - City seed (same seed, same biome layout).
+ * @param {number} params.size - City floor edge length (m).
+ * @returns {ReturnType<typeof createTerrainEngine>}
+ */
+export function createCityTerrainEngine({ seed, size } = /** @type {any} */ ({})) {
+    if (typeof seed !== 'string' || !seed.trim()) throw new Error('[CityTerrain] seed must be a non-empty string.');
+    if (!Number.isFinite(size) || size <= 0) throw new Error('[CityTerrain] size must be a positive finite number.');
+    const half = size * 0.5;
+    return createTerrainEngine({
+        seed: `${seed.trim()}:terrain`,
+        bounds: { minX: -half, maxX: half, minZ: -half, maxZ: half },
+        patch: {
+            sizeMeters: CITY_TERRAIN_DEFAULTS.patchSizeMeters,
+            originX: -half,
+            originZ: -half,
+            layout: 'voronoi'
+        },
+        biomes: {
+            mode: 'patch_grid',
+            defaultBiomeId: CITY_TERRAIN_DEFAULTS.defaultBiomeId,
+            weights: CITY_TERRAIN_DEFAULTS.weights
+        }
+    });
+}
@@ -0,0 +1,95 @@
+// src/app/city/DepotPlacement.js
+// Normalizes the optional city `depot` record and resolves it to a world placement (refuel/charge bay in the curb lane).
+// Design: like bus stops the depot is authored as (roadId, offset, side); its world zone is derived.
+// @ts-check
+import { ROAD_DEFAULTS } from '../../graphics/assets3d/generators/GeneratorParams.js';
+import { BUS_STOP_SIDE, isPointInBusStopZone, pointAlongPolyline, resolveRoadPolylineWorld } from './BusStopPlacement.js';
+import { toFiniteOr } from '../utils/number.js';
+
+export const DEPOT_DEFAULTS = Object.freeze({
+    zoneLength: 30,
+    refuelLitersPerSec: 2.5,
+    chargePowerKw: 150
+});
+
+/**
+ * Normalizes a raw depot spec record; returns null when it is missing or its road anchor is invalid.
+ * @param {object|null} raw
+ * @returns {{id:string, name:string, roadId:number, offset:number, side:string, zoneLength:number, refuelLitersPerSec:number, chargePowerKw:number}|null}
+ */
+export function normalizeDepotSpec(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const roadId = Number(raw.roadId);
+    if (!Number.isInteger(roadId) || roadId < 0) return null;
+    const offset = Number(raw.offset);
+    if (!Number.isFinite(offset) || offset < 0) return null;
+    const id = (typeof raw.id === 'string' && raw.id.trim()) ? raw.id.trim() : 'depot';
+    return {
+        id,
+        name: (typeof raw.name === 'string' && raw.name.trim()) ? raw.name.trim() : id,
+        roadId,
+        offset,
+        side: raw.side === BUS_STOP_SIDE.LEFT ? BUS_STOP_SIDE.LEFT : BUS_STOP_SIDE.RIGHT,
+        zoneLength: Math.max(5, toFiniteOr(raw.zoneLength, DEPOT_DEFAULTS.zoneLength)),
+        refuelLitersPerSec: Math.max(0, toFiniteOr(raw.refuelLitersPerSec, DEPOT_DEFAULTS.refuelLitersPerSec)),
+        chargePowerKw: Math.max(0, toFiniteOr(raw.chargePowerKw, DEPOT_DEFAULTS.chargePowerKw))
+    };
+}
+
+/**
+ * Resolves `map.depot` to a world placement (bay zone in the curb lane + marking and pump/charger positions).
+ * @param {object} params
+ * @param {object} params.map - CityMap with `depot` and `roadSegments`.
+ * @param {object|null} [params.generatorConfig=null]
+ * @returns {object|null}
+ */
+export function computeDepotPlacement({ map, generatorConfig = null } = {}) {
+    const depot = map?.depot ?? null;
+    if (!depot) return null;
+    const road = map.roadSegments?.[depot.roadId] ?? null;
+    const points = road ? resolveRoadPolylineWorld(map, road) : null;
+    const at = points ? pointAlongPolyline(points, depot.offset) : null;
+    if (!at) return null;
+
+    const roadCfg = { ...ROAD_DEFAULTS, ...(generatorConfig?.road ?? {}) };
+    const laneWidth = toFiniteOr(roadCfg.laneWidth, ROAD_DEFAULTS.laneWidth);
+    const shoulder = toFiniteOr(roadCfg.shoulder, ROAD_DEFAULTS.shoulder);
+    const curbT = toFiniteOr(roadCfg.curb?.thickness, ROAD_DEFAULTS.curb.thickness);
+    const curbH = toFiniteOr(roadCfg.curb?.height, ROAD_DEFAULTS.curb.height);
+    const roadY = toFiniteOr(roadCfg.surfaceY, ROAD_DEFAULTS.surfaceY);
+
+    const isRight = depot.side !== BUS_STOP_SIDE.LEFT;
+    const lanes = Math.max(1, (isRight ? road.lanesF : road.lanesB) | 0);
+    const sideSign = isRight ? 1 : -1;
+    const outward = { x: -at.dir.z * sideSign, z: at.dir.x * sideSign };
+    const travelDir = isRight ? { x: at.dir.x, z: at.dir.z } : { x: -at.dir.x, z: -at.dir.z };
+    const zoneOffset = (lanes - 0.5) * laneWidth;
+    const curbOffset = lanes * laneWidth + shoulder;
+    const place = (d, y) => ({ x: at.point.x + outward.x * d, y, z: at.point.z + outward.z * d });
+
+    return {
+        ...depot,
+        travelDir,
+        heading: Math.atan2(travelDir.z, travelDir.x),
+        rotationY: Math.atan2(-outward.x, -outward.z),
+        zone: {
+            center: { x: at.point.x + outward.x * zoneOffset, z: at.point.z + outward.z * zoneOffset },
+            dir: travelDir,
+            halfLength: depot.zoneLength * 0.5,
+            halfWidth: laneWidth * 0.5
+        },
+        markingPosition: place(curbOffset - laneWidth * 0.5, roadY),
+        markingSize: { length: depot.zoneLength, width: laneWidth },
+        postPosition: place(curbOffset + curbT + 0.8, roadY + curbH)
+    };
+}
+
+/**
+ * True when a world XZ point lies inside the depot bay.
+ * @param {object|null} placement
+ * @param {{x:number,z:number}|null} point
+ * @returns {boolean}
+ */
+export function isPointInDepot(placement, point) {
+    return isPointInBusStopZone(placement, point);
+}
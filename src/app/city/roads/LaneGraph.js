@@ -0,0 +1,616 @@
+// src/app/city/roads/LaneGraph.js
+// Derives a directed lane-level travel graph from RoadNetwork (+ optional RoadEngine junctions) for routing and AI.
+// Design: lane entry/exit nodes per edge direction; turn connectors are Dubins curves so paths are drivable and deterministic.
+// @ts-check
+
+import { dubinsSolve } from '../../geometry/dubins/dubinsSolve.js';
+import { buildRoadEngineRoadsFromCityMap } from '../../road_engine/RoadEngineCityMapAdapter.js';
+import { computeRoadEngineEdges } from '../../road_engine/RoadEngineCompute.js';
+import { toFiniteOr } from '../../utils/number.js';
+
+const EPS = 1e-6;
+const LANE_GRAPH_VERSION = 1;
+
+export const LANE_EDGE_KIND = Object.freeze({
+    LANE: 'lane',
+    LANE_CHANGE: 'lane_change',
+    TURN: 'turn'
+});
+
+export const LANE_TURN = Object.freeze({
+    STRAIGHT: 'straight',
+    LEFT: 'left',
+    RIGHT: 'right'
+});
+
+export const LANE_GRAPH_DEFAULTS = Object.freeze({
+    laneWidth: 4.8,
+    speedKph: 50,
+    turnRadius: 8,
+    lateralAccel: 2.5,
+    laneChangeMinLength: 20,
+    laneChangePenalty: 6,
+    junctionMatchRadius: 12,
+    sampleStep: 1.0
+});
+
+function compareString(a, b) {
+    const aa = String(a ?? '');
+    const bb = String(b ?? '');
+    if (aa < bb) return -1;
+    if (aa > bb) return 1;
+    return 0;
+}
+
+function round6(v) {
+    return Math.round((Number(v) || 0) * 1e6) / 1e6;
+}
+
+function rightOf(dir) {
+    return { x: -dir.z, z: dir.x };
+}
+
+function headingOf(dir) {
+    return Math.atan2(dir.z, dir.x);
+}
+
+function laneNodeId(edgeId, direction, laneIndex, role) {
+    return `ln:${edgeId}:${direction}${laneIndex}:${role}`;
+}
+
+class MinHeap {
+    constructor(compare) {
+        this._items = [];
+        this._compare = compare;
+    }
+
+    get size() {
+        return this._items.length;
+    }
+
+    push(item) {
+        const items = this._items;
+        items.push(item);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this._compare(items[i], items[parent]) >= 0) break;
+            [items[i], items[parent]] = [items[parent], items[i]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this._items;
+        if (!items.length) return null;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length && last) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const l = i * 2 + 1;
+                const r = l + 1;
+                let best = i;
+                if (l < items.length && this._compare(items[l], items[best]) < 0) best = l;
+                if (r < items.length && this._compare(items[r], items[best]) < 0) best = r;
+                if (best === i) break;
+                [items[i], items[best]] = [items[best], items[i]];
+                i = best;
+            }
+        }
+        return top;
+    }
+}
+
+export class LaneGraph {
+    constructor({ laneWidth = LANE_GRAPH_DEFAULTS.laneWidth } = {}) {
+        this.version = LANE_GRAPH_VERSION;
+        this.laneWidth = Math.max(EPS, toFiniteOr(laneWidth, LANE_GRAPH_DEFAULTS.laneWidth));
+
+        this.nodes = new Map();
+        this.edges = new Map();
+        this.nodeIds = [];
+        this.edgeIds = [];
+        this._outgoing = new Map();
+        this._maxSpeed = 0;
+    }
+
+    getNode(id) {
+        return this.nodes.get(id) ?? null;
+    }
+
+    getEdge(id) {
+        return this.edges.get(id) ?? null;
+    }
+
+    getNodes() {
+        return this.nodeIds.map((id) => this.nodes.get(id)).filter(Boolean);
+    }
+
+    getEdges() {
+        return this.edgeIds.map((id) => this.edges.get(id)).filter(Boolean);
+    }
+
+    /**
+     * @param {string} nodeId
+     * @returns {object[]} Outgoing edges sorted by id.
+     */
+    getOutgoing(nodeId) {
+        const ids = this._outgoing.get(nodeId) ?? [];
+        return ids.map((id) => this.edges.get(id)).filter(Boolean);
+    }
+
+    addNode(node) {
+        if (!node?.id || this.nodes.has(node.id)) return this.nodes.get(node?.id) ?? null;
+        this.nodes.set(node.id, node);
+        this.nodeIds.push(node.id);
+        this._outgoing.set(node.id, []);
+        return node;
+    }
+
+    addEdge(edge) {
+        if (!edge?.id || this.edges.has(edge.id)) return this.edges.get(edge?.id) ?? null;
+        if (!this.nodes.has(edge.from) || !this.nodes.has(edge.to)) return null;
+        this.edges.set(edge.id, edge);
+        this.edgeIds.push(edge.id);
+        this._outgoing.get(edge.from)?.push(edge.id);
+        this._maxSpeed = Math.max(this._maxSpeed, toFiniteOr(edge.speed, 0));
+        return edge;
+    }
+
+    finalize() {
+        this.nodeIds.sort(compareString);
+        this.edgeIds.sort(compareString);
+        for (const list of this._outgoing.values()) list.sort(compareString);
+        return this;
+    }
+
+    /**
+     * Returns the lane node closest to a world XZ point, optionally filtered by role ('entry'|'exit').
+     * @param {{x:number,z:number}} point
+     * @param {object} [options]
+     * @param {string|null} [options.role=null]
+     * @returns {object|null}
+     */
+    findClosestNode(point, { role = null } = {}) {
+        const px = toFiniteOr(point?.x, 0);
+        const pz = toFiniteOr(point?.z, 0);
+        let best = null;
+        let bestD = Infinity;
+        for (const id of this.nodeIds) {
+            const node = this.nodes.get(id);
+            if (!node || (role && node.role !== role)) continue;
+            const d = Math.hypot(node.position.x - px, node.position.z - pz);
+            if (d < bestD - 1e-9) {
+                best = node;
+                bestD = d;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Deterministic A* shortest path between two lane nodes.
+     * @param {string} fromNodeId
+     * @param {string} toNodeId
+     * @param {object} [options]
+     * @param {'distance'|'time'} [options.cost='distance']
+     * @returns {{nodeIds:string[], edgeIds:string[], cost:number, length:number}|null}
+     */
+    findPath(fromNodeId, toNodeId, { cost = 'distance' } = {}) {
+        const start = this.nodes.get(fromNodeId);
+        const goal = this.nodes.get(toNodeId);
+        if (!start || !goal) return null;
+        if (start.id === goal.id) return { nodeIds: [start.id], edgeIds: [], cost: 0, length: 0 };
+
+        const byTime = cost === 'time';
+        const maxSpeed = Math.max(EPS, this._maxSpeed);
+        const edgeCost = (edge) => (byTime ? edge.time : edge.cost);
+        const heuristic = (node) => {
+            const d = Math.hypot(node.position.x - goal.position.x, node.position.z - goal.position.z);
+            return byTime ? d / maxSpeed : d;
+        };
+
+        const g = new Map([[start.id, 0]]);
+        const cameFrom = new Map();
+        const closed = new Set();
+        const open = new MinHeap((a, b) => (a.f - b.f) || (a.g - b.g) || compareString(a.id, b.id));
+        open.push({ id: start.id, g: 0, f: heuristic(start) });
+
+        while (open.size) {
+            const current = open.pop();
+            if (!current || closed.has(current.id)) continue;
+            if (current.id === goal.id) break;
+            closed.add(current.id);
+
+            for (const edge of this.getOutgoing(current.id)) {
+                if (closed.has(edge.to)) continue;
+                const next = current.g + edgeCost(edge);
+                const prev = g.get(edge.to);
+                if (prev !== undefined && next >= prev - 1e-9) continue;
+                g.set(edge.to, next);
+                cameFrom.set(edge.to, edge);
+                const node = this.nodes.get(edge.to);
+                open.push({ id: edge.to, g: next, f: next + (node ? heuristic(node) : 0) });
+            }
+        }
+
+        if (!cameFrom.has(goal.id)) return null;
+        const edgeIds = [];
+        const nodeIds = [goal.id];
+        let length = 0;
+        let cursor = goal.id;
+        while (cursor !== start.id) {
+            const edge = cameFrom.get(cursor);
+            edgeIds.push(edge.id);
+            length += edge.length;
+            cursor = edge.from;
+            nodeIds.push(cursor);
+        }
+        edgeIds.reverse();
+        nodeIds.reverse();
+        return { nodeIds, edgeIds, cost: g.get(goal.id) ?? 0, length };
+    }
+
+    toJSON() {
+        return {
+            version: this.version,
+            laneWidth: this.laneWidth,
+            nodes: this.nodeIds.map((id) => {
+                const n = this.nodes.get(id);
+                return {
+                    id: n.id,
+                    roadEdgeId: n.roadEdgeId,
+                    direction: n.direction,
+                    laneIndex: n.laneIndex,
+                    role: n.role,
+                    junctionNodeId: n.junctionNodeId,
+                    position: { x: n.position.x, z: n.position.z },
+                    heading: n.heading
+                };
+            }),
+            edges: this.edgeIds.map((id) => {
+                const e = this.edges.get(id);
+                const out = {
+                    id: e.id,
+                    kind: e.kind,
+                    from: e.from,
+                    to: e.to,
+                    length: e.length,
+                    speed: e.speed,
+                    cost: e.cost,
+                    roadEdgeId: e.roadEdgeId,
+                    junctionNodeId: e.junctionNodeId,
+                    turn: e.turn,
+                    points: e.points.map((p) => ({ x: p.x, z: p.z }))
+                };
+                return out;
+            })
+        };
+    }
+
+    /**
+     * @param {object} json - Output of toJSON().
+     * @returns {LaneGraph}
+     */
+    static fromJSON(json) {
+        const src = json && typeof json === 'object' ? json : {};
+        const graph = new LaneGraph({ laneWidth: src.laneWidth });
+        for (const n of Array.isArray(src.nodes) ? src.nodes : []) {
+            if (typeof n?.id !== 'string') continue;
+            graph.addNode({
+                id: n.id,
+                roadEdgeId: n.roadEdgeId ?? null,
+                direction: n.direction ?? null,
+                laneIndex: n.laneIndex | 0,
+                role: n.role ?? null,
+                junctionNodeId: n.junctionNodeId ?? null,
+                position: { x: toFiniteOr(n.position?.x, 0), z: toFiniteOr(n.position?.z, 0) },
+                heading: toFiniteOr(n.heading, 0)
+            });
+        }
+        for (const e of Array.isArray(src.edges) ? src.edges : []) {
+            if (typeof e?.id !== 'string') continue;
+            graph.addEdge(makeEdge({
+                id: e.id,
+                kind: e.kind,
+                from: e.from,
+                to: e.to,
+                length: e.length,
+                speed: e.speed,
+                cost: e.cost,
+                roadEdgeId: e.roadEdgeId ?? null,
+                junctionNodeId: e.junctionNodeId ?? null,
+                turn: e.turn ?? null,
+                points: Array.isArray(e.points) ? e.points.map((p) => ({ x: toFiniteOr(p?.x, 0), z: toFiniteOr(p?.z, 0) })) : []
+            }));
+        }
+        return graph.finalize();
+    }
+}
+
+function makeEdge({ id, kind, from, to, length, speed, cost = null, roadEdgeId = null, junctionNodeId = null, turn = null, points = [] }) {
+    const len = Math.max(0, toFiniteOr(length, 0));
+    const spd = Math.max(EPS, toFiniteOr(speed, LANE_GRAPH_DEFAULTS.speedKph / 3.6));
+    return {
+        id,
+        kind,
+        from,
+        to,
+        length: round6(len),
+        speed: round6(spd),
+        cost: round6(Math.max(len, toFiniteOr(cost, len))),
+        time: round6(Math.max(len, toFiniteOr(cost, len)) / spd),
+        roadEdgeId,
+        junctionNodeId,
+        turn,
+        points
+    };
+}
+
+function resolveJunctionTrims(network, junctions, matchRadius) {
+    const trims = new Map();
+    const list = Array.isArray(junctions) ? junctions : [];
+    if (!list.length) return trims;
+
+    for (const node of network.getNodes()) {
+        let best = null;
+        let bestD = matchRadius;
+        for (const junction of list) {
+            const c = junction?.center;
+            if (!c) continue;
+            const d = Math.hypot(toFiniteOr(c.x, 0) - node.position.x, toFiniteOr(c.z, 0) - node.position.z);
+            if (d < bestD - 1e-9 || (best && Math.abs(d - bestD) <= 1e-9 && compareString(junction.id, best.id) < 0)) {
+                best = junction;
+                bestD = d;
+            }
+        }
+        if (!best) continue;
+
+        for (const edgeId of node.edgeIds) {
+            const edge = network.getEdge(edgeId);
+            if (!edge) continue;
+            const sign = edge.a === node.id ? 1 : -1;
+            const out = { x: edge.dir.x * sign, z: edge.dir.z * sign };
+            let trim = 0;
+            for (const ep of Array.isArray(best.endpoints) ? best.endpoints : []) {
+                const dirOut = ep?.dirOut;
+                if (!dirOut || (dirOut.x * out.x + dirOut.z * out.z) < 0.95) continue;
+                const dx = toFiniteOr(ep.world?.x, 0) - node.position.x;
+                const dz = toFiniteOr(ep.world?.z, 0) - node.position.z;
+                trim = Math.max(trim, dx * out.x + dz * out.z);
+            }
+            if (trim > EPS) trims.set(`${node.id}|${edgeId}`, trim);
+        }
+    }
+    return trims;
+}
+
+function isStraightThrough(network, node) {
+    if (node.edgeIds.length !== 2) return false;
+    const [e0, e1] = node.edgeIds.map((id) => network.getEdge(id));
+    if (!e0 || !e1) return false;
+    const s0 = e0.a === node.id ? 1 : -1;
+    const s1 = e1.a === node.id ? 1 : -1;
+    const dot = (e0.dir.x * s0) * (e1.dir.x * s1) + (e0.dir.z * s0) * (e1.dir.z * s1);
+    return dot < -0.999;
+}
+
+function resolveDefaultTrim(network, node, edgeId, laneWidth) {
+    if (node.edgeIds.length <= 1 || isStraightThrough(network, node)) return 0;
+    let halfWidth = 0;
+    for (const otherId of node.edgeIds) {
+        if (otherId === edgeId) continue;
+        const other = network.getEdge(otherId);
+        if (!other) continue;
+        halfWidth = Math.max(halfWidth, Math.max(other.lanesF | 0, other.lanesB | 0) * laneWidth);
+    }
+    return halfWidth;
+}
+
+function classifyTurn(inDir, outDir) {
+    const cross = inDir.x * outDir.z - inDir.z * outDir.x;
+    const dot = inDir.x * outDir.x + inDir.z * outDir.z;
+    if (dot > 0.7) return LANE_TURN.STRAIGHT;
+    return cross > 0 ? LANE_TURN.RIGHT : LANE_TURN.LEFT;
+}
+
+function sampleDubins(path, step) {
+    const pts = [];
+    const total = path.getLength();
+    const n = Math.max(1, Math.ceil(total / Math.max(EPS, step)));
+    for (let i = 0; i <= n; i++) {
+        const q = path.sample(Math.min(total, (total * i) / n));
+        pts.push({ x: round6(q[0]), z: round6(q[1]) });
+    }
+    return pts;
+}
+
+/**
+ * Builds the lane graph.
+ * @param {object} params
+ * @param {object} params.roadNetwork - RoadNetwork instance.
+ * @param {object|null} [params.roadEngine=null] - computeRoadEngineEdges() output; junction endpoints trim lanes.
+ * @param {number} [params.laneWidth]
+ * @param {number} [params.speedKph]
+ * @param {number} [params.turnRadius]
+ * @returns {LaneGraph}
+ */
+export function createLaneGraph({
+    roadNetwork,
+    roadEngine = null,
+    laneWidth = null,
+    speedKph = LANE_GRAPH_DEFAULTS.speedKph,
+    turnRadius = LANE_GRAPH_DEFAULTS.turnRadius,
+    lateralAccel = LANE_GRAPH_DEFAULTS.lateralAccel,
+    laneChangeMinLength = LANE_GRAPH_DEFAULTS.laneChangeMinLength,
+    laneChangePenalty = LANE_GRAPH_DEFAULTS.laneChangePenalty,
+    junctionMatchRadius = LANE_GRAPH_DEFAULTS.junctionMatchRadius,
+    sampleStep = LANE_GRAPH_DEFAULTS.sampleStep
+} = {}) {
+    const lw = Math.max(EPS, toFiniteOr(laneWidth ?? roadEngine?.settings?.laneWidth, LANE_GRAPH_DEFAULTS.laneWidth));
+    const graph = new LaneGraph({ laneWidth: lw });
+    if (!roadNetwork || typeof roadNetwork.getEdges !== 'function') return graph.finalize();
+
+    const speed = Math.max(EPS, toFiniteOr(speedKph, LANE_GRAPH_DEFAULTS.speedKph) / 3.6);
+    const radius = Math.max(EPS, toFiniteOr(turnRadius, LANE_GRAPH_DEFAULTS.turnRadius));
+    const trims = resolveJunctionTrims(roadNetwork, roadEngine?.junctions, Math.max(EPS, toFiniteOr(junctionMatchRadius, 12)));
+    const trimAt = (node, edgeId) => trims.get(`${node.id}|${edgeId}`) ?? resolveDefaultTrim(roadNetwork, node, edgeId, lw);
+
+    const edges = roadNetwork.getEdges().slice().sort((a, b) => compareString(a.id, b.id));
+    const lanesByEnd = new Map();
+    const remember = (nodeId, kind, lane) => {
+        const key = `${nodeId}|${kind}`;
+        if (!lanesByEnd.has(key)) lanesByEnd.set(key, []);
+        lanesByEnd.get(key).push(lane);
+    };
+
+    for (const edge of edges) {
+        const nodeA = roadNetwork.getNode(edge.a);
+        const nodeB = roadNetwork.getNode(edge.b);
+        if (!nodeA || !nodeB) continue;
+
+        const directions = [
+            { direction: 'F', lanes: edge.lanesF | 0, from: nodeA, to: nodeB, start: edge.centerline.a, dir: { x: edge.dir.x, z: edge.dir.z } },
+            { direction: 'B', lanes: edge.lanesB | 0, from: nodeB, to: nodeA, start: edge.centerline.b, dir: { x: -edge.dir.x, z: -edge.dir.z } }
+        ];
+
+        for (const d of directions) {
+            if (d.lanes <= 0) continue;
+            const trimStart = trimAt(d.from, edge.id);
+            const trimEnd = trimAt(d.to, edge.id);
+            const usable = edge.length - trimStart - trimEnd;
+            if (!(usable > EPS)) continue;
+            const right = rightOf(d.dir);
+            const heading = round6(headingOf(d.dir));
+            const laneNodes = [];
+
+            for (let i = 0; i < d.lanes; i++) {
+                const offset = (i + 0.5) * lw;
+                const base = { x: d.start.x + right.x * offset, z: d.start.z + right.z * offset };
+                const entry = graph.addNode({
+                    id: laneNodeId(edge.id, d.direction, i, 'entry'),
+                    roadEdgeId: edge.id,
+                    direction: d.direction,
+                    laneIndex: i,
+                    role: 'entry',
+                    junctionNodeId: d.from.id,
+                    position: { x: round6(base.x + d.dir.x * trimStart), z: round6(base.z + d.dir.z * trimStart) },
+                    heading
+                });
+                const exit = graph.addNode({
+                    id: laneNodeId(edge.id, d.direction, i, 'exit'),
+                    roadEdgeId: edge.id,
+                    direction: d.direction,
+                    laneIndex: i,
+                    role: 'exit',
+                    junctionNodeId: d.to.id,
+                    position: { x: round6(base.x + d.dir.x * (edge.length - trimEnd)), z: round6(base.z + d.dir.z * (edge.length - trimEnd)) },
+                    heading
+                });
+                graph.addEdge(makeEdge({
+                    id: `le:${edge.id}:${d.direction}${i}`,
+                    kind: LANE_EDGE_KIND.LANE,
+                    from: entry.id,
+                    to: exit.id,
+                    length: usable,
+                    speed,
+                    roadEdgeId: edge.id,
+                    points: [{ ...entry.position }, { ...exit.position }]
+                }));
+                laneNodes.push({ entry, exit, laneIndex: i, lanes: d.lanes, dir: d.dir, roadEdgeId: edge.id });
+                remember(d.to.id, 'in', laneNodes[laneNodes.length - 1]);
+                remember(d.from.id, 'out', laneNodes[laneNodes.length - 1]);
+            }
+
+            if (usable >= laneChangeMinLength) {
+                for (let i = 0; i < laneNodes.length; i++) {
+                    for (const j of [i - 1, i + 1]) {
+                        if (j < 0 || j >= laneNodes.length) continue;
+                        const length = Math.hypot(usable, lw);
+                        graph.addEdge(makeEdge({
+                            id: `lc:${edge.id}:${d.direction}${i}>${j}`,
+                            kind: LANE_EDGE_KIND.LANE_CHANGE,
+                            from: laneNodes[i].entry.id,
+                            to: laneNodes[j].exit.id,
+                            length,
+                            speed,
+                            cost: length + Math.max(0, toFiniteOr(laneChangePenalty, 0)),
+                            roadEdgeId: edge.id,
+                            points: [{ ...laneNodes[i].entry.position }, { ...laneNodes[j].exit.position }]
+                        }));
+                    }
+                }
+            }
+        }
+    }
+
+    for (const node of roadNetwork.getNodes().slice().sort((a, b) => compareString(a.id, b.id))) {
+        const incoming = lanesByEnd.get(`${node.id}|in`) ?? [];
+        const outgoing = lanesByEnd.get(`${node.id}|out`) ?? [];
+        for (const inLane of incoming) {
+            for (const outLane of outgoing) {
+                if (outLane.roadEdgeId === inLane.roadEdgeId) continue;
+                const turn = classifyTurn(inLane.dir, outLane.dir);
+                const last = inLane.lanes - 1;
+                const outLast = outLane.lanes - 1;
+                if (turn === LANE_TURN.RIGHT && (inLane.laneIndex !== last || outLane.laneIndex !== outLast)) continue;
+                if (turn === LANE_TURN.LEFT && (inLane.laneIndex !== 0 || outLane.laneIndex !== 0)) continue;
+                if (turn === LANE_TURN.STRAIGHT && outLane.laneIndex !== Math.min(inLane.laneIndex, outLast)) continue;
+
+                const a = inLane.exit;
+                const b = outLane.entry;
+                const gap = Math.hypot(b.position.x - a.position.x, b.position.z - a.position.z);
+                let points = [{ ...a.position }, { ...b.position }];
+                let length = gap;
+                if (gap > EPS && turn !== LANE_TURN.STRAIGHT) {
+                    const solved = dubinsSolve({
+                        start: { position: { x: a.position.x, y: a.position.z }, heading: a.heading },
+                        end: { position: { x: b.position.x, y: b.position.z }, heading: b.heading },
+                        radius: Math.min(radius, Math.max(EPS, gap * 0.5))
+                    });
+                    if (solved.ok && solved.path) {
+                        length = solved.path.getLength();
+                        points = sampleDubins(solved.path, sampleStep);
+                    }
+                }
+                const turnRadiusUsed = turn === LANE_TURN.STRAIGHT ? Infinity : Math.min(radius, Math.max(EPS, gap * 0.5));
+                const turnSpeed = Math.min(speed, Math.sqrt(Math.max(EPS, toFiniteOr(lateralAccel, 2.5)) * turnRadiusUsed));
+                graph.addEdge(makeEdge({
+                    id: `tc:${node.id}:${a.id}>${b.id}`,
+                    kind: LANE_EDGE_KIND.TURN,
+                    from: a.id,
+                    to: b.id,
+                    length,
+                    speed: turnSpeed,
+                    junctionNodeId: node.id,
+                    turn,
+                    points
+                }));
+            }
+        }
+    }
+
+    return graph.finalize();
+}
+
+/**
+ * Convenience builder: runs RoadEngine junction derivation for a CityMap and builds its lane graph.
+ * @param {object} map - CityMap instance.
+ * @param {object} [options] - Forwarded to createLaneGraph (laneWidth defaults to 4.8).
+ * @returns {LaneGraph}
+ */
+export function createLaneGraphFromCityMap(map, options = {}) {
+    const laneWidth = Math.max(EPS, toFiniteOr(options?.laneWidth, LANE_GRAPH_DEFAULTS.laneWidth));
+    const roadEngine = computeRoadEngineEdges({
+        roads: buildRoadEngineRoadsFromCityMap(map),
+        settings: {
+            tileSize: map?.tileSize,
+            laneWidth,
+            origin: map?.origin,
+            junctions: { enabled: true, autoCreate: true }
+        }
+    });
+    return createLaneGraph({ ...options, roadNetwork: map?.roadNetwork ?? null, roadEngine, laneWidth });
+}
@@ -1485,6 +1485,64 @@ export const BIG_CITY_2_SPEC_SOURCE = Object.freeze(
                 ],
                 "rendered": true
             }
+        ],
+        "stops": [
+            {
+                "id": "stop_central_east",
+                "name": "Central Avenue East",
+                "roadId": 0,
+                "offset": 150,
+                "side": "right"
+            },
+            {
+                "id": "stop_central_west",
+                "name": "Central Avenue West",
+                "roadId": 0,
+                "offset": 330,
+                "side": "left"
+            },
+            {
+                "id": "stop_market_north",
+                "name": "Market Street North",
+                "roadId": 10,
+                "offset": 180,
+                "side": "right"
+            },
+            {
+                "id": "stop_harbor_road",
+                "name": "Harbor Road",
+                "roadId": 13,
+                "offset": 170,
+                "side": "left"
+            }
+        ],
+        "depot": {
+            "id": "depot_central",
+            "name": "Central Depot",
+            "roadId": 5,
+            "offset": 130,
+            "side": "right"
+        },
+        "routes": [
+            {
+                "id": "line_1",
+                "number": "1",
+                "name": "Central Loop",
+                "color": "#e53935",
+                "busId": "city",
+                "stops": [
+                    "stop_central_east",
+                    "stop_market_north",
+                    "stop_central_west",
+                    "stop_harbor_road"
+                ],
+                "loop": true,
+                "timetable": {
+                    "headwayMinutes": 12,
+                    "firstDeparture": "06:00",
+                    "lastDeparture": "22:00"
+                }
+            }
         ]
     }
 );
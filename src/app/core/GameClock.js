@@ -0,0 +1,45 @@
+// src/app/core/GameClock.js
+// In-game time of day, advanced by the GameLoop as a gameplay system.
+// Design: seconds after midnight wrapping at 24h; career shifts drive their own clock and sync it back here.
+// @ts-check
+
+export const DAY_SECONDS = 24 * 3600;
+export const GAME_CLOCK_DEFAULT_START_SEC = 8 * 3600;
+
+function wrapDay(seconds) {
+    const s = Number(seconds);
+    if (!Number.isFinite(s)) return GAME_CLOCK_DEFAULT_START_SEC;
+    return ((s % DAY_SECONDS) + DAY_SECONDS) % DAY_SECONDS;
+}
+
+export class GameClock {
+    /**
+     * @param {object} [params]
+     * @param {number} [params.timeOfDaySec] - Start time in seconds after midnight.
+     * @param {number} [params.timeScale=1] - Game seconds per real second.
+     */
+    constructor({ timeOfDaySec = GAME_CLOCK_DEFAULT_START_SEC, timeScale = 1 } = {}) {
+        this.timeOfDaySec = wrapDay(timeOfDaySec);
+        this.timeScale = Math.max(0, Number(timeScale) || 0);
+    }
+
+    /**
+     * @param {number} seconds - Seconds after midnight.
+     */
+    setTime(seconds) {
+        this.timeOfDaySec = wrapDay(seconds);
+    }
+
+    /**
+     * @param {number} dt - Seconds.
+     */
+    update(dt) {
+        const step = Math.max(0, Number(dt) || 0);
+        if (!(step > 0)) return;
+        this.timeOfDaySec = wrapDay(this.timeOfDaySec + step * this.timeScale);
+    }
+
+    getTelemetry() {
+        return { timeOfDaySec: this.timeOfDaySec };
+    }
+}
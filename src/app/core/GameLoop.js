@@ -13,8 +13,9 @@
  * 2. Controller update (apply input to physics)
  * 3. Physics update (fixed timestep simulation)
  * 4. Vehicle visual update (apply physics to 3D models)
- * 5. World update (city, traffic, etc.)
- * 6. UI update (HUD, gauges)
+ * 5. Gameplay systems (passengers, etc.)
+ * 6. World update (city, traffic, etc.)
+ * 7. UI update (HUD, gauges)
  * 
  * Usage:
  *   const loop = new GameLoop(simulation);
@@ -47,6 +48,9 @@ export class GameLoop {
         /** @type {import('../ui/input/InputManager.js').InputManager|null} */
         this.inputManager = null;
 
+        /** @type {Map<string, object>} */
+        this.systems = new Map();
+
         /** @type {object|null} */
         this.world = null;
 
@@ -90,6 +94,37 @@ export class GameLoop {
         this.ui = ui;
     }
 
+    /**
+     * Register a gameplay system updated each frame after vehicle controllers.
+     * Systems may expose `getTelemetry(vehicleId)`; it is reported under `name` in getTelemetry().
+     * @param {string} name
+     * @param {{update?: (dt: number) => void, getTelemetry?: (vehicleId: string) => object|null, dispose?: () => void}} system
+     */
+    addSystem(name, system) {
+        if (!name || !system) return;
+        this.systems.set(name, system);
+    }
+
+    /**
+     * Remove and dispose a gameplay system.
+     * @param {string} name
+     */
+    removeSystem(name) {
+        const system = this.systems.get(name);
+        if (system) {
+            system.dispose?.();
+            this.systems.delete(name);
+        }
+    }
+
+    /**
+     * @param {string} name
+     * @returns {object|null}
+     */
+    getSystem(name) {
+        return this.systems.get(name) ?? null;
+    }
+
     /**
      * Add a vehicle controller.
      * @param {import('../vehicle/VehicleController.js').VehicleController} controller
@@ -161,6 +196,8 @@ export class GameLoop {
      */
     update(dt) {
         if (this.paused) {
+            // Gamepad buttons still poll so a bound pause button can resume
+            this.inputManager?.pollButtons?.();
             this.events.emit('gameloop:frame', { dt: 0, paused: true });
             return;
         }
@@ -179,7 +216,12 @@ export class GameLoop {
             controller.update(scaledDt);
         }
 
-        // 4. Update world (city, traffic, etc.)
+        // 4. Update gameplay systems (passengers, etc.)
+        for (const system of this.systems.values()) {
+            system.update?.(scaledDt);
+        }
+
+        // 5. Update world (city, traffic, etc.)
         // Note: City.update expects engine, not dt
         if (this.world?.update) {
             if (this.engine) {
@@ -189,12 +231,12 @@ export class GameLoop {
             }
         }
 
-        // 5. Update UI (HUD, gauges)
+        // 6. Update UI (HUD, gauges)
         if (this.ui?.update) {
             this.ui.update(scaledDt);
         }
 
-        // 6. Emit frame event
+        // 7. Emit frame event
         this._frameCount++;
         this.events.emit('gameloop:frame', {
             dt: scaledDt,
@@ -220,14 +262,50 @@ export class GameLoop {
         const state = this.physics?.getVehicleState(vehicleId);
         if (!state) return null;
 
-        return {
+        const telemetry = {
             speedKph: state.locomotion?.speedKph ?? 0,
             rpm: state.drivetrain?.rpm ?? 0,
             gear: state.drivetrain?.gear ?? 1,
+            transmission: state.drivetrain?.mode ? {
+                mode: state.drivetrain.mode,
+                shiftMap: state.drivetrain.shiftMap,
+                gearLabel: state.drivetrain.gearLabel,
+                fromGearLabel: state.drivetrain.fromGearLabel,
+                shifting: state.drivetrain.shifting === true,
+                stalled: state.drivetrain.stalled === true,
+                hillHold: state.drivetrain.hillHold === true,
+                kickdown: state.drivetrain.kickdown === true
+            } : null,
+            powertrain: state.drivetrain?.powertrain && state.drivetrain.powertrain !== 'diesel' ? {
+                type: state.drivetrain.powertrain,
+                powerKw: state.drivetrain.powerKw ?? 0,
+                soc: state.drivetrain.soc ?? 0,
+                regenForce: state.drivetrain.regenForce ?? 0,
+                charging: state.drivetrain.charging === true,
+                consumptionKwhPerKm: state.drivetrain.consumptionKwhPerKm ?? 0,
+                rangeKm: state.drivetrain.rangeKm ?? null
+            } : null,
+            retarder: {
+                kind: state.drivetrain?.retarderKind ?? 'retarder',
+                stage: state.drivetrain?.retarderStage ?? 0,
+                stages: state.drivetrain?.retarderStages ?? 0,
+                force: state.drivetrain?.retarderForce ?? 0,
+                active: state.drivetrain?.retarderActive === true,
+                exhaustBrake: state.drivetrain?.exhaustBrake === true,
+                exhaustActive: state.drivetrain?.exhaustBrakeActive === true
+            },
+            speedControl: this.controllers.get(vehicleId)?.getSpeedControl?.() ?? null,
             steerAngle: state.locomotion?.steerAngle ?? 0,
             bodyPitch: state.suspension?.bodyPitch ?? 0,
             bodyRoll: state.suspension?.bodyRoll ?? 0
         };
+
+        for (const [name, system] of this.systems) {
+            const data = system.getTelemetry?.(vehicleId) ?? null;
+            if (data) telemetry[name] = data;
+        }
+
+        return telemetry;
     }
 
     /**
@@ -240,6 +318,11 @@ export class GameLoop {
         }
         this.controllers.clear();
 
+        for (const system of this.systems.values()) {
+            system.dispose?.();
+        }
+        this.systems.clear();
+
         // Detach input
         this.inputManager?.dispose?.();
         this.inputManager = null;
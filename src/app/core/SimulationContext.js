@@ -56,7 +56,9 @@ export class SimulationContext {
 
     /**
      * Set the environment (map, config) for collision detection.
-     * @param {object} env - { map, config }
+     * City buildings, curbs and traffic control props become fixed colliders;
+     * contacts are emitted as 'vehicle:collision' { vehicleId, hitType, hitId, impulse, point }.
+     * @param {object} env - { map, config, roads?, trafficControls? }
      */
     setEnvironment(env) {
         this._environment = env ?? null;
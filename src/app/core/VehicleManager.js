@@ -9,7 +9,7 @@
  * - Provide lookup by ID
  * 
  * Events emitted (via EventBus):
- * - 'vehicle:added'   { id, vehicle, anchor, api }
+ * - 'vehicle:added'   { id, vehicle, anchor, api, physics }
  * - 'vehicle:removed' { id }
  * 
  * Usage:
@@ -17,6 +17,17 @@
  *   const id = manager.addVehicle(busModel, busAnchor, busApi);
  *   manager.removeVehicle(id);
  */
+
+/**
+ * How the physics layer should drive a registered vehicle.
+ * - RAYCAST: full Rapier raycast vehicle driven by controller input (player buses).
+ * - KINEMATIC: pose is pushed from outside each frame (AI traffic); physics only adds a collider.
+ */
+export const VEHICLE_PHYSICS = Object.freeze({
+    RAYCAST: 'raycast',
+    KINEMATIC: 'kinematic'
+});
+
 export class VehicleManager {
     /**
      * @param {import('./EventBus.js').EventBus} eventBus
@@ -25,7 +36,7 @@ export class VehicleManager {
         /** @type {import('./EventBus.js').EventBus} */
         this.eventBus = eventBus;
 
-        /** @type {Map<string, { vehicle: object, anchor: object, api: object }>} */
+        /** @type {Map<string, { vehicle: object, anchor: object, api: object, physics: string }>} */
         this._vehicles = new Map();
 
         /** @type {number} */
@@ -46,9 +57,11 @@ export class VehicleManager {
      * @param {object} anchor - The floor anchor group
      * @param {object} api - The BusRig API
      * @param {string} [id] - Optional custom ID (auto-generated if not provided)
+     * @param {object} [options]
+     * @param {string} [options.physics=VEHICLE_PHYSICS.RAYCAST] - See VEHICLE_PHYSICS
      * @returns {string} The vehicle ID
      */
-    addVehicle(vehicle, anchor, api, id) {
+    addVehicle(vehicle, anchor, api, id, { physics = VEHICLE_PHYSICS.RAYCAST } = {}) {
         const vehicleId = id ?? this._generateId();
 
         if (this._vehicles.has(vehicleId)) {
@@ -59,7 +72,8 @@ export class VehicleManager {
             id: vehicleId,
             vehicle,
             anchor,
-            api
+            api,
+            physics
         };
 
         this._vehicles.set(vehicleId, entry);
@@ -98,7 +112,7 @@ export class VehicleManager {
     /**
      * Get a vehicle entry by ID.
      * @param {string} vehicleId
-     * @returns {{ id: string, vehicle: object, anchor: object, api: object } | null}
+     * @returns {{ id: string, vehicle: object, anchor: object, api: object, physics: string } | null}
      */
     getVehicle(vehicleId) {
         return this._vehicles.get(vehicleId) ?? null;
@@ -106,7 +120,7 @@ export class VehicleManager {
 
     /**
      * Get all registered vehicles.
-     * @returns {Array<{ id: string, vehicle: object, anchor: object, api: object }>}
+     * @returns {Array<{ id: string, vehicle: object, anchor: object, api: object, physics: string }>}
      */
     getAllVehicles() {
         return [...this._vehicles.values()];
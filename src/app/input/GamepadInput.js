@@ -0,0 +1,189 @@
+// src/app/input/GamepadInput.js
+// Gamepad API backend: polls the selected gamepad (or wheel + pedal set) and maps it to analog driving controls.
+// Design: pure mapping helpers plus a small poller; `getGamepads` is injectable so the mapping runs without a browser.
+// @ts-check
+
+import {
+    INPUT_DEVICE_AUTO,
+    INPUT_DEVICE_KEYBOARD,
+    sanitizeInputDeviceSettings
+} from './InputDeviceSettings.js';
+import { clamp, finiteOr } from '../utils/number.js';
+
+function defaultGetGamepads() {
+    if (typeof navigator === 'undefined' || typeof navigator.getGamepads !== 'function') return [];
+    return navigator.getGamepads();
+}
+
+/**
+ * Removes the deadzone around rest and rescales the rest of the travel so the output has no step.
+ * @param {number} value - -1..1 (or 0..1)
+ * @param {number} deadzone - 0..1
+ * @returns {number}
+ */
+export function applyDeadzone(value, deadzone) {
+    const v = clamp(finiteOr(value, 0), -1, 1);
+    const dz = clamp(finiteOr(deadzone, 0), 0, 0.95);
+    const a = Math.abs(v);
+    if (a <= dz) return 0;
+    return Math.sign(v) * (a - dz) / (1 - dz);
+}
+
+/**
+ * Power response curve keeping the sign; exponents above 1 soften the centre / the first part of pedal travel.
+ * @param {number} value
+ * @param {number} exponent
+ * @returns {number}
+ */
+export function applyResponseCurve(value, exponent) {
+    const v = clamp(finiteOr(value, 0), -1, 1);
+    const e = Math.max(1, finiteOr(exponent, 1));
+    return Math.sign(v) * Math.pow(Math.abs(v), e);
+}
+
+/**
+ * Raw reading of a binding: axis position, or analog button value (triggers). null when the device lacks it.
+ * @param {{axes?: ArrayLike<number>, buttons?: ArrayLike<{value?:number, pressed?:boolean}>}} gamepad
+ * @param {{source:string, index:number}} binding
+ * @returns {number|null}
+ */
+export function readBindingRaw(gamepad, binding) {
+    if (!gamepad || !binding) return null;
+    if (binding.source === 'axis') {
+        const v = gamepad.axes?.[binding.index];
+        return Number.isFinite(v) ? v : null;
+    }
+    if (binding.source === 'button') {
+        const b = gamepad.buttons?.[binding.index];
+        if (!b) return null;
+        return Number.isFinite(b.value) ? b.value : (b.pressed ? 1 : 0);
+    }
+    return null;
+}
+
+/**
+ * Pedal travel 0..1 from a raw reading (inverted and/or full -1..1 range as mapped).
+ * @param {number} raw
+ * @param {{invert:boolean, fullRange:boolean}} binding
+ * @returns {number}
+ */
+export function mapPedal(raw, binding) {
+    let v = finiteOr(raw, 0);
+    if (binding.invert) v = -v;
+    if (binding.fullRange) v = (v + 1) * 0.5;
+    return clamp(v, 0, 1);
+}
+
+/**
+ * Gamepad to drive with: a specific `gamepad.id`, the first connected one (`auto`) or none (`keyboard`).
+ * @param {ArrayLike<any>} gamepads
+ * @param {string} deviceId
+ * @returns {any|null}
+ */
+export function selectGamepad(gamepads, deviceId) {
+    if (deviceId === INPUT_DEVICE_KEYBOARD) return null;
+    const pads = Array.from(gamepads ?? []).filter((p) => p && p.connected !== false);
+    if (deviceId && deviceId !== INPUT_DEVICE_AUTO) return pads.find((p) => p.id === deviceId) ?? null;
+    return pads[0] ?? null;
+}
+
+/**
+ * Connected gamepads for device pickers.
+ * @param {() => ArrayLike<any>} [getGamepads]
+ * @returns {{id:string, index:number, mapping:string}[]}
+ */
+export function listGamepads(getGamepads = defaultGetGamepads) {
+    let pads = [];
+    try {
+        pads = Array.from(getGamepads() ?? []);
+    } catch {
+        return [];
+    }
+    return pads
+        .filter((p) => p && p.connected !== false)
+        .map((p) => ({ id: String(p.id ?? ''), index: p.index ?? 0, mapping: String(p.mapping ?? '') }));
+}
+
+export class GamepadInput {
+    /**
+     * @param {object} [params]
+     * @param {object|null} [params.settings] - InputDeviceSettings.
+     * @param {(() => ArrayLike<any>)|null} [params.getGamepads] - Defaults to `navigator.getGamepads()`.
+     */
+    constructor({ settings = null, getGamepads = null } = {}) {
+        this._getGamepads = typeof getGamepads === 'function' ? getGamepads : defaultGetGamepads;
+        this.settings = sanitizeInputDeviceSettings(settings);
+        /** `id` of the gamepad driving the bus, or null. */
+        this.deviceId = null;
+        this._pedalMoved = { throttle: false, brake: false, clutch: false };
+    }
+
+    /**
+     * @param {object|null} settings
+     */
+    setSettings(settings) {
+        this.settings = sanitizeInputDeviceSettings(settings);
+        this._resetPedals();
+    }
+
+    _resetPedals() {
+        this._pedalMoved = { throttle: false, brake: false, clutch: false };
+    }
+
+    /**
+     * @param {string} control
+     * @param {object} gamepad
+     * @returns {number|null}
+     */
+    _readPedal(control, gamepad) {
+        const binding = this.settings.axes[control];
+        const raw = readBindingRaw(gamepad, binding);
+        if (raw === null) return null;
+        // Browsers report untouched axes as exactly 0, which is half travel on a full-range pedal: treat as released.
+        if (binding.fullRange && binding.source === 'axis' && !this._pedalMoved[control]) {
+            if (raw === 0) return 0;
+            this._pedalMoved[control] = true;
+        }
+        const pedal = applyDeadzone(mapPedal(raw, binding), this.settings.pedalDeadzone);
+        return applyResponseCurve(pedal, this.settings.pedalCurve);
+    }
+
+    /**
+     * Current analog controls, or null when no gamepad drives. Steering follows the device directly, so a stick or
+     * an (unpowered) wheel returning to its centre brings the steering back with it.
+     * `buttons` holds the pressed state of every digital button, for actions bound to them (InputBindings).
+     * @returns {{steering:number, throttle:number, brake:number, clutch:number|null, buttons:boolean[], deviceId:string}|null}
+     */
+    poll() {
+        let pads = [];
+        try {
+            pads = this._getGamepads() ?? [];
+        } catch {
+            pads = [];
+        }
+        const pad = selectGamepad(pads, this.settings.deviceId);
+        const id = pad ? String(pad.id ?? '') : null;
+        if (id !== this.deviceId) {
+            this.deviceId = id;
+            this._resetPedals();
+        }
+        if (!pad) return null;
+
+        const steerBinding = this.settings.axes.steering;
+        const steerRaw = readBindingRaw(pad, steerBinding);
+        let steering = 0;
+        if (steerRaw !== null) {
+            steering = steerBinding.invert ? -steerRaw : steerRaw;
+            steering = applyResponseCurve(applyDeadzone(steering, this.settings.steeringDeadzone), this.settings.steeringCurve);
+        }
+
+        return {
+            steering,
+            throttle: this._readPedal('throttle', pad) ?? 0,
+            brake: this._readPedal('brake', pad) ?? 0,
+            clutch: this._readPedal('clutch', pad),
+            buttons: Array.from(pad.buttons ?? [], (b) => !!b?.pressed),
+            deviceId: id
+        };
+    }
+}
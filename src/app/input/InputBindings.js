@@ -0,0 +1,273 @@
+// src/app/input/InputBindings.js
+// Action map: named driving and game actions with the keyboard keys and gamepad buttons bound to them (persisted).
+// Design: InputManager and GameplayState resolve key codes / buttons to actions here; saves carry a version and are
+// migrated forward on load (renamed actions, actions added since the save get their default keys when free).
+// @ts-check
+
+const STORAGE_KEY = 'bus_sim.inputBindings';
+
+export const INPUT_BINDINGS_VERSION = 2;
+
+/** Keyboard keys per action. */
+export const MAX_KEYS_PER_ACTION = 2;
+
+export const INPUT_ACTION_GROUPS = Object.freeze([
+    Object.freeze({ id: 'driving', label: 'Driving' }),
+    Object.freeze({ id: 'vehicle', label: 'Bus' }),
+    Object.freeze({ id: 'game', label: 'Game' })
+]);
+
+function action(id, label, group, keys, button = null, since = 1) {
+    return Object.freeze({ id, label, group, keys: Object.freeze(keys), button, since });
+}
+
+// `button` is the default gamepad button (standard mapping); `since` is the bindings version the action appeared in.
+export const INPUT_ACTIONS = Object.freeze([
+    action('steer_left', 'Steer left', 'driving', ['ArrowLeft', 'KeyA']),
+    action('steer_right', 'Steer right', 'driving', ['ArrowRight', 'KeyD']),
+    action('throttle', 'Throttle', 'driving', ['ArrowUp', 'KeyW']),
+    action('brake', 'Brake', 'driving', ['ArrowDown', 'KeyS']),
+    action('handbrake', 'Handbrake', 'driving', ['Space'], 1),
+    action('clutch', 'Clutch', 'driving', ['KeyC']),
+    action('shift_up', 'Shift up', 'driving', ['KeyE'], 5),
+    action('shift_down', 'Shift down', 'driving', ['KeyZ'], 4),
+    action('transmission_mode', 'Auto / manual gearbox', 'driving', ['KeyM']),
+    action('shift_map', 'Shift map', 'driving', ['KeyN']),
+    action('retarder_up', 'Retarder up', 'driving', ['KeyR'], 13),
+    action('retarder_down', 'Retarder down', 'driving', ['KeyF'], 12),
+    action('exhaust_brake', 'Exhaust brake', 'driving', ['KeyX']),
+    action('cruise_toggle', 'Cruise control', 'driving', ['KeyV']),
+    action('limiter_toggle', 'Speed limiter', 'driving', ['KeyL']),
+    action('cruise_faster', 'Set speed +', 'driving', ['Equal']),
+    action('cruise_slower', 'Set speed -', 'driving', ['Minus']),
+    action('toggle_headlights', 'Headlights', 'vehicle', ['KeyH'], 2),
+    action('toggle_doors', 'Passenger doors', 'vehicle', ['KeyO'], 0),
+    action('toggle_kneel', 'Kneel / ramp', 'vehicle', ['KeyK'], 3),
+    action('repair', 'Repair at depot', 'vehicle', ['KeyG']),
+    action('indicator_left', 'Indicator left', 'vehicle', ['Comma'], 14, 2),
+    action('indicator_right', 'Indicator right', 'vehicle', ['Period'], 15, 2),
+    action('hazard_lights', 'Hazard lights', 'vehicle', ['Slash'], null, 2),
+    action('horn', 'Horn', 'vehicle', ['KeyB'], 10, 2),
+    action('open_setup', 'Setup menu', 'game', ['KeyQ']),
+    action('pause', 'Pause', 'game', ['KeyP'], 9),
+    action('camera_tour', 'Camera tour', 'game', ['KeyT']),
+    action('save_game', 'Save game', 'game', ['F5']),
+    action('leave', 'Leave / end shift', 'game', ['Escape'])
+]);
+
+const ACTIONS_BY_ID = new Map(INPUT_ACTIONS.map((a) => [a.id, a]));
+
+// Actions renamed in a bindings version: { [version]: { oldId: newId } } applied when migrating past that version.
+const RENAMED_ACTIONS = Object.freeze({});
+
+const KEY_LABELS = {
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    Space: 'Space',
+    Escape: 'Esc',
+    Equal: '+',
+    Minus: '-',
+    Backquote: '`',
+    BracketLeft: '[',
+    BracketRight: ']',
+    Semicolon: ';',
+    Quote: "'",
+    Comma: ',',
+    Period: '.',
+    Slash: '/',
+    Backslash: '\\'
+};
+
+/**
+ * @param {string} id
+ * @returns {object|null} INPUT_ACTIONS entry.
+ */
+export function getInputAction(id) {
+    return ACTIONS_BY_ID.get(id) ?? null;
+}
+
+/**
+ * Short label of a `KeyboardEvent.code` ("KeyA" -> "A", "ArrowLeft" -> "←").
+ * @param {string} code
+ * @returns {string}
+ */
+export function formatKeyCode(code) {
+    const c = String(code ?? '');
+    if (!c) return '';
+    if (KEY_LABELS[c]) return KEY_LABELS[c];
+    const m = /^(?:Key|Digit)(.)$/.exec(c) ?? /^Numpad(.+)$/.exec(c);
+    if (m) return c.startsWith('Numpad') ? `Num ${m[1]}` : m[1];
+    return c.replace(/(Left|Right)$/, ' $1');
+}
+
+/**
+ * @param {{keys: Record<string, string[]>}} bindings
+ * @param {string} id
+ * @returns {string} e.g. "←/A", or "" when unbound.
+ */
+export function formatActionKeys(bindings, id) {
+    return (bindings?.keys?.[id] ?? []).map(formatKeyCode).join('/');
+}
+
+export function getDefaultInputBindings() {
+    const keys = {};
+    const buttons = {};
+    for (const a of INPUT_ACTIONS) {
+        keys[a.id] = [...a.keys];
+        buttons[a.id] = a.button;
+    }
+    return { keys, buttons };
+}
+
+function sanitizeKeyList(list) {
+    const out = [];
+    for (const code of Array.isArray(list) ? list : []) {
+        if (typeof code !== 'string') continue;
+        const c = code.trim().slice(0, 40);
+        if (c && !out.includes(c)) out.push(c);
+        if (out.length >= MAX_KEYS_PER_ACTION) break;
+    }
+    return out;
+}
+
+function sanitizeButton(value) {
+    const num = Number(value);
+    if (value === null || value === undefined || value === '' || !Number.isFinite(num)) return null;
+    return Math.max(0, Math.min(31, Math.round(num)));
+}
+
+/**
+ * Known actions only; missing actions fall back to their defaults, an empty key list means unbound.
+ * @param {any} input
+ * @param {readonly object[]} [actions]
+ */
+export function sanitizeInputBindings(input, actions = INPUT_ACTIONS) {
+    const src = input && typeof input === 'object' ? input : {};
+    const keysSrc = src.keys && typeof src.keys === 'object' ? src.keys : {};
+    const buttonsSrc = src.buttons && typeof src.buttons === 'object' ? src.buttons : {};
+    const keys = {};
+    const buttons = {};
+    for (const a of actions) {
+        keys[a.id] = Object.prototype.hasOwnProperty.call(keysSrc, a.id) ? sanitizeKeyList(keysSrc[a.id]) : [...a.keys];
+        buttons[a.id] = Object.prototype.hasOwnProperty.call(buttonsSrc, a.id) ? sanitizeButton(buttonsSrc[a.id]) : a.button;
+    }
+    return { keys, buttons };
+}
+
+/**
+ * Upgrades a stored payload (`{ version, keys, buttons }`) to the current version. Payloads from a newer build are
+ * dropped rather than guessed at.
+ * @param {any} raw
+ * @param {readonly object[]} [actions]
+ * @returns {{keys: Record<string, string[]>, buttons: Record<string, number|null>}|null}
+ */
+export function migrateInputBindings(raw, actions = INPUT_ACTIONS) {
+    if (!raw || typeof raw !== 'object') return null;
+    const version = Number.isInteger(raw.version) ? raw.version : 0;
+    if (version > INPUT_BINDINGS_VERSION || version < 1) return null;
+
+    const keys = { ...(raw.keys && typeof raw.keys === 'object' ? raw.keys : {}) };
+    const buttons = { ...(raw.buttons && typeof raw.buttons === 'object' ? raw.buttons : {}) };
+    for (let v = version + 1; v <= INPUT_BINDINGS_VERSION; v++) {
+        for (const [from, to] of Object.entries(RENAMED_ACTIONS[v] ?? {})) {
+            if (from in keys && !(to in keys)) keys[to] = keys[from];
+            if (from in buttons && !(to in buttons)) buttons[to] = buttons[from];
+            delete keys[from];
+            delete buttons[from];
+        }
+    }
+
+    // Actions newer than the save: default keys / button only where the player has not used them for something else.
+    const usedKeys = new Set(Object.values(keys).flat());
+    const usedButtons = new Set(Object.values(buttons).filter((b) => b !== null && b !== undefined));
+    for (const a of actions) {
+        if (a.since <= version || a.id in keys) continue;
+        keys[a.id] = a.keys.filter((code) => !usedKeys.has(code));
+        buttons[a.id] = a.button !== null && !usedButtons.has(a.button) ? a.button : null;
+        for (const code of keys[a.id]) usedKeys.add(code);
+    }
+
+    return sanitizeInputBindings({ keys, buttons }, actions);
+}
+
+/**
+ * Keys and gamepad buttons bound to more than one action (all actions are live while driving, so any overlap
+ * is a conflict). Buttons used by analog axes (`axes` from InputDeviceSettings) count as taken too.
+ * @param {{keys: Record<string, string[]>, buttons: Record<string, number|null>}} bindings
+ * @param {{axes?: Record<string, {source:string, index:number}>}} [options]
+ * @returns {{keys: {code:string, actions:string[]}[], buttons: {button:number, actions:string[]}[]}}
+ */
+export function findBindingConflicts(bindings, { axes = null } = {}) {
+    const byKey = new Map();
+    const byButton = new Map();
+    for (const a of INPUT_ACTIONS) {
+        for (const code of bindings?.keys?.[a.id] ?? []) {
+            if (!byKey.has(code)) byKey.set(code, []);
+            byKey.get(code).push(a.id);
+        }
+        const button = bindings?.buttons?.[a.id];
+        if (Number.isInteger(button)) {
+            if (!byButton.has(button)) byButton.set(button, []);
+            byButton.get(button).push(a.id);
+        }
+    }
+    for (const [control, b] of Object.entries(axes ?? {})) {
+        if (b?.source !== 'button' || !byButton.has(b.index)) continue;
+        byButton.get(b.index).push(`axis:${control}`);
+    }
+    return {
+        keys: [...byKey].filter(([, ids]) => ids.length > 1).map(([code, ids]) => ({ code, actions: ids })),
+        buttons: [...byButton].filter(([, ids]) => ids.length > 1).map(([button, ids]) => ({ button, actions: ids }))
+    };
+}
+
+/**
+ * Lookup tables for event handling; the first action (in INPUT_ACTIONS order) wins a conflicting key.
+ * @returns {{keys: Map<string, string>, buttons: Map<number, string>}}
+ */
+export function createActionLookup(bindings) {
+    const keys = new Map();
+    const buttons = new Map();
+    for (const a of INPUT_ACTIONS) {
+        for (const code of bindings?.keys?.[a.id] ?? []) if (!keys.has(code)) keys.set(code, a.id);
+        const button = bindings?.buttons?.[a.id];
+        if (Number.isInteger(button) && !buttons.has(button)) buttons.set(button, a.id);
+    }
+    return { keys, buttons };
+}
+
+export function loadSavedInputBindings() {
+    if (typeof window === 'undefined') return null;
+    const storage = window.localStorage;
+    if (!storage) return null;
+    const raw = storage.getItem(STORAGE_KEY);
+    if (!raw) return null;
+    try {
+        return migrateInputBindings(JSON.parse(raw));
+    } catch {
+        return null;
+    }
+}
+
+export function saveInputBindings(bindings) {
+    if (typeof window === 'undefined') return false;
+    const storage = window.localStorage;
+    if (!storage) return false;
+    const payload = { version: INPUT_BINDINGS_VERSION, ...sanitizeInputBindings(bindings) };
+    try {
+        storage.setItem(STORAGE_KEY, JSON.stringify(payload));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+export function getResolvedInputBindings() {
+    return loadSavedInputBindings() ?? getDefaultInputBindings();
+}
+
+export function getDefaultResolvedInputBindings() {
+    return getDefaultInputBindings();
+}
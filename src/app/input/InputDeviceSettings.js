@@ -0,0 +1,147 @@
+// src/app/input/InputDeviceSettings.js
+// Persisted game controller settings: which gamepad drives the bus, its axis mapping, deadzones and response curves.
+// Design: wheels and pedal sets report as gamepads too; `layout` only picks the preset `axes` a mapping starts from.
+// @ts-check
+
+const STORAGE_KEY = 'bus_sim.inputDevice.v1';
+
+export const INPUT_DEVICE_AUTO = 'auto';
+export const INPUT_DEVICE_KEYBOARD = 'keyboard';
+
+export const INPUT_DEVICE_LAYOUTS = Object.freeze(['gamepad', 'wheel']);
+export const INPUT_AXIS_CONTROLS = Object.freeze(['steering', 'throttle', 'brake', 'clutch']);
+export const INPUT_AXIS_SOURCES = Object.freeze(['none', 'axis', 'button']);
+
+const MAX_INDEX = 31;
+
+function binding(source, index, invert = false, fullRange = false) {
+    return Object.freeze({ source, index, invert, fullRange });
+}
+
+// `fullRange` pedals travel the whole -1..1 axis (wheel pedal sets); otherwise 0..1 (analog triggers).
+const LAYOUT_AXES = Object.freeze({
+    // Standard mapping: left stick steers, right trigger throttle, left trigger brake.
+    gamepad: Object.freeze({
+        steering: binding('axis', 0),
+        throttle: binding('button', 7),
+        brake: binding('button', 6),
+        clutch: binding('none', 0)
+    }),
+    // Common wheel + pedals: separate pedal axes resting at +1 and reading -1 when floored.
+    wheel: Object.freeze({
+        steering: binding('axis', 0),
+        throttle: binding('axis', 2, true, true),
+        brake: binding('axis', 3, true, true),
+        clutch: binding('axis', 1, true, true)
+    })
+});
+
+export const INPUT_DEVICE_SETTINGS_DEFAULTS = Object.freeze({
+    deviceId: INPUT_DEVICE_AUTO,
+    layout: 'gamepad',
+    steeringDeadzone: 0.08,
+    pedalDeadzone: 0.04,
+    steeringCurve: 1.6,
+    pedalCurve: 1.2,
+    axes: LAYOUT_AXES.gamepad
+});
+
+function clamp(value, min, max, fallback) {
+    const num = Number(value);
+    if (!Number.isFinite(num)) return fallback;
+    return Math.max(min, Math.min(max, num));
+}
+
+function readUrlParamBool(params, key, fallback) {
+    if (!params?.has?.(key)) return fallback;
+    const v = String(params.get(key)).trim().toLowerCase();
+    if (v === '1' || v === 'true' || v === 'yes' || v === 'on') return true;
+    if (v === '0' || v === 'false' || v === 'no' || v === 'off') return false;
+    return fallback;
+}
+
+function sanitizeBinding(input, fallback) {
+    const src = input && typeof input === 'object' ? input : {};
+    return {
+        source: INPUT_AXIS_SOURCES.includes(src.source) ? src.source : fallback.source,
+        index: Math.round(clamp(src.index, 0, MAX_INDEX, fallback.index)),
+        invert: src.invert !== undefined ? !!src.invert : fallback.invert,
+        fullRange: src.fullRange !== undefined ? !!src.fullRange : fallback.fullRange
+    };
+}
+
+/**
+ * Preset axis mapping of a layout (copies).
+ * @param {string} layout
+ */
+export function getInputDeviceLayoutAxes(layout) {
+    const preset = LAYOUT_AXES[layout] ?? LAYOUT_AXES.gamepad;
+    const axes = {};
+    for (const control of INPUT_AXIS_CONTROLS) axes[control] = { ...preset[control] };
+    return axes;
+}
+
+export function sanitizeInputDeviceSettings(input) {
+    const src = input && typeof input === 'object' ? input : {};
+    const d = INPUT_DEVICE_SETTINGS_DEFAULTS;
+    const layout = INPUT_DEVICE_LAYOUTS.includes(src.layout) ? src.layout : d.layout;
+    const deviceId = typeof src.deviceId === 'string' && src.deviceId.trim() ? src.deviceId.trim().slice(0, 200) : d.deviceId;
+    const preset = LAYOUT_AXES[layout];
+    const axesSrc = src.axes && typeof src.axes === 'object' ? src.axes : {};
+    const axes = {};
+    for (const control of INPUT_AXIS_CONTROLS) axes[control] = sanitizeBinding(axesSrc[control], preset[control]);
+    return {
+        deviceId,
+        layout,
+        steeringDeadzone: clamp(src.steeringDeadzone, 0, 0.5, d.steeringDeadzone),
+        pedalDeadzone: clamp(src.pedalDeadzone, 0, 0.5, d.pedalDeadzone),
+        steeringCurve: clamp(src.steeringCurve, 1, 3, d.steeringCurve),
+        pedalCurve: clamp(src.pedalCurve, 1, 3, d.pedalCurve),
+        axes
+    };
+}
+
+export function loadSavedInputDeviceSettings() {
+    if (typeof window === 'undefined') return null;
+    const storage = window.localStorage;
+    if (!storage) return null;
+    const raw = storage.getItem(STORAGE_KEY);
+    if (!raw) return null;
+    try {
+        return sanitizeInputDeviceSettings(JSON.parse(raw));
+    } catch {
+        return null;
+    }
+}
+
+export function saveInputDeviceSettings(settings) {
+    if (typeof window === 'undefined') return false;
+    const storage = window.localStorage;
+    if (!storage) return false;
+    const payload = sanitizeInputDeviceSettings(settings);
+    try {
+        storage.setItem(STORAGE_KEY, JSON.stringify(payload));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * URL overrides: `gamepad=0` drives with the keyboard only.
+ */
+export function getResolvedInputDeviceSettings({ includeUrlOverrides = true } = {}) {
+    const saved = loadSavedInputDeviceSettings();
+    const merged = sanitizeInputDeviceSettings({ ...INPUT_DEVICE_SETTINGS_DEFAULTS, ...(saved ?? {}) });
+
+    if (includeUrlOverrides && typeof window !== 'undefined') {
+        const params = new URLSearchParams(window.location.search);
+        if (!readUrlParamBool(params, 'gamepad', true)) merged.deviceId = INPUT_DEVICE_KEYBOARD;
+    }
+
+    return merged;
+}
+
+export function getDefaultResolvedInputDeviceSettings() {
+    return sanitizeInputDeviceSettings(INPUT_DEVICE_SETTINGS_DEFAULTS);
+}
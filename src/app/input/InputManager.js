@@ -1,5 +1,7 @@
 // src/app/input/InputManager.js
 import { RampedControl } from './RampedControl.js';
+import { GamepadInput } from './GamepadInput.js';
+import { createActionLookup, getDefaultInputBindings } from './InputBindings.js';
 
 /**
  * Default input configuration.
@@ -27,15 +29,80 @@ const DEFAULT_CONFIG = {
     brakeMaxRate: 3.2,
     brakeReturnRampTime: 0.55,
     brakeMinReturnRate: 0.55,
-    brakeMaxReturnRate: 3.4
+    brakeMaxReturnRate: 3.4,
+
+    // Clutch pedal ramp (fast to press, slow release so launches can slip the clutch)
+    clutchRampTime: 0.2,
+    clutchMinRate: 3.0,
+    clutchMaxRate: 8.0,
+    clutchReturnRampTime: 0.8,
+    clutchMinReturnRate: 0.5,
+    clutchMaxReturnRate: 1.6,
+
+    // Retarder stalk positions (0 = off)
+    retarderStages: 4,
+
+    // Gamepad / wheel settings (InputDeviceSettings); null uses the defaults
+    inputDevice: null,
+    getGamepads: null,
+
+    // Key / button bindings (InputBindings); null uses the defaults
+    inputBindings: null
 };
 
+// Held state (`keys` entry) behind each driving / bus action.
+const ACTION_KEYS = Object.freeze({
+    steer_left: 'left',
+    steer_right: 'right',
+    throttle: 'up',
+    brake: 'down',
+    handbrake: 'space',
+    clutch: 'c',
+    shift_up: 'e',
+    shift_down: 'z',
+    transmission_mode: 'm',
+    shift_map: 'n',
+    retarder_up: 'r',
+    retarder_down: 'f',
+    exhaust_brake: 'x',
+    toggle_headlights: 'h',
+    toggle_doors: 'o',
+    toggle_kneel: 'k',
+    repair: 'g',
+    cruise_toggle: 'v',
+    limiter_toggle: 'l',
+    cruise_faster: 'plus',
+    cruise_slower: 'minus',
+    indicator_left: 'indicatorLeft',
+    indicator_right: 'indicatorRight',
+    hazard_lights: 'hazard',
+    horn: 'horn'
+});
+
+// Actions that only emit an event when pressed.
+const ACTION_EDGES = Object.freeze({
+    shift_up: ['input:shift', { direction: 1 }],
+    shift_down: ['input:shift', { direction: -1 }],
+    transmission_mode: ['input:transmissionMode', {}],
+    shift_map: ['input:shiftMap', {}],
+    repair: ['input:repair', {}],
+    cruise_toggle: ['input:cruise', { mode: 'cruise' }],
+    limiter_toggle: ['input:cruise', { mode: 'limiter' }],
+    cruise_faster: ['input:cruiseAdjust', { direction: 1 }],
+    cruise_slower: ['input:cruiseAdjust', { direction: -1 }],
+    indicator_left: ['input:indicator', { side: 'left' }],
+    indicator_right: ['input:indicator', { side: 'right' }],
+    hazard_lights: ['input:hazard', {}]
+});
+
 /**
  * InputManager handles keyboard/touch input and provides smoothed control values.
  * 
  * Responsibilities:
- * - Listen to keyboard events
+ * - Listen to keyboard events and resolve them to actions through the (rebindable) bindings
  * - Apply ramped smoothing to inputs
+ * - Poll the gamepad / wheel backend; its analog axes drive a control unless its key is held
+ * - Take on-screen touch wheel / pedal values (setTouchControls) and touch buttons (setAction)
  * - Emit input events via EventBus
  * - Provide current input state
  * 
@@ -65,7 +132,26 @@ export class InputManager {
             up: false,
             down: false,
             space: false,  // Handbrake
-            h: false       // Headlights toggle
+            c: false,      // Clutch pedal
+            e: false,      // Shift up
+            z: false,      // Shift down
+            m: false,      // Transmission mode toggle
+            n: false,      // Shift map cycle
+            r: false,      // Retarder stalk up
+            f: false,      // Retarder stalk down
+            x: false,      // Exhaust brake toggle
+            h: false,      // Headlights toggle
+            o: false,      // Passenger doors toggle
+            k: false,      // Kneel toggle
+            g: false,      // Depot repair
+            v: false,      // Cruise control toggle
+            l: false,      // Speed limiter toggle
+            plus: false,   // Set speed up
+            minus: false,  // Set speed down
+            indicatorLeft: false,
+            indicatorRight: false,
+            hazard: false,
+            horn: false
         };
 
         // Ramped controls
@@ -107,10 +193,44 @@ export class InputManager {
             maxReturnRate: c.brakeMaxReturnRate
         });
 
+        this.clutch = new RampedControl({
+            value: 0,
+            min: 0,
+            max: 1,
+            rampTime: c.clutchRampTime,
+            minRate: c.clutchMinRate,
+            maxRate: c.clutchMaxRate,
+            returnRampTime: c.clutchReturnRampTime,
+            minReturnRate: c.clutchMinReturnRate,
+            maxReturnRate: c.clutchMaxReturnRate
+        });
+
+        // Analog backend (Gamepad API); `_deviceId` is the gamepad currently driving, if any
+        this.gamepad = new GamepadInput({ settings: c.inputDevice, getGamepads: c.getGamepads });
+        this._deviceId = null;
+        this._analogActive = { steering: false, throttle: false, brake: false, clutch: false };
+
+        // On-screen touch wheel / pedals (null = not touched); they take precedence over the gamepad
+        this._touch = { steering: null, throttle: null, brake: null };
+
+        // Action map: key code / gamepad button -> action
+        this._actionLookup = createActionLookup(c.inputBindings ?? getDefaultInputBindings());
+        this._buttonsDown = [];
+
         // Headlight toggle state
         this._headlightsOn = false;
         this._headlightToggleCooldown = 0;
 
+        // Passenger doors toggle state
+        this._doorsOpen = false;
+
+        // Kneel (and wheelchair ramp) toggle state
+        this._kneelOn = false;
+
+        // Retarder stalk and exhaust brake switch
+        this._retarderStage = 0;
+        this._exhaustBrakeOn = false;
+
         // Bound event handlers
         this._onKeyDown = (e) => this._handleKey(e, true);
         this._onKeyUp = (e) => this._handleKey(e, false);
@@ -140,7 +260,8 @@ export class InputManager {
     }
 
     /**
-     * Handle keyboard events.
+     * Handle keyboard events: the key code resolves to an action through the bindings; game actions (pause, setup,
+     * ...) are left to the state that owns them.
      * @param {KeyboardEvent} e
      * @param {boolean} isDown
      */
@@ -148,52 +269,89 @@ export class InputManager {
         const tag = e.target?.tagName?.toLowerCase() ?? '';
         if (tag === 'input' || tag === 'textarea' || e.isComposing) return;
 
-        const code = e.code;
-        let handled = false;
-
-        // Steering
-        if (code === 'ArrowLeft' || code === 'KeyA') {
-            this.keys.left = isDown;
-            handled = true;
-        }
-        if (code === 'ArrowRight' || code === 'KeyD') {
-            this.keys.right = isDown;
-            handled = true;
+        const action = this._actionLookup.keys.get(e.code);
+        if (action && this.setAction(action, isDown)) {
+            e.preventDefault();
         }
+    }
 
-        // Throttle/Brake
-        if (code === 'ArrowUp' || code === 'KeyW') {
-            this.keys.up = isDown;
-            handled = true;
+    /**
+     * Press or release a driving / bus action (keyboard, gamepad buttons, touch controls).
+     * @param {string} action - INPUT_ACTIONS id.
+     * @param {boolean} isDown
+     * @returns {boolean} false for actions this manager does not handle (game actions).
+     */
+    setAction(action, isDown) {
+        const key = ACTION_KEYS[action];
+        if (!key) return false;
+        const pressed = isDown && !this.keys[key];
+        const released = !isDown && this.keys[key];
+        this.keys[key] = !!isDown;
+
+        // Horn sounds while held
+        if (action === 'horn') {
+            if (pressed || released) this.eventBus.emit('input:horn', { on: !!isDown });
+            return true;
         }
-        if (code === 'ArrowDown' || code === 'KeyS') {
-            this.keys.down = isDown;
-            handled = true;
+        if (!pressed) return true;
+
+        // Transmission: sequential shifts, mode toggle and shift map cycle; depot repair; cruise control / limiter and
+        // their set speed; indicators and hazard lights (on press only)
+        const edge = ACTION_EDGES[action];
+        if (edge) {
+            this.eventBus.emit(edge[0], { ...edge[1] });
+            return true;
         }
 
-        // Handbrake
-        if (code === 'Space') {
-            this.keys.space = isDown;
-            handled = true;
+        switch (action) {
+            // Retarder stalk and exhaust brake
+            case 'retarder_up':
+                this.setRetarderStage(this._retarderStage + 1);
+                break;
+            case 'retarder_down':
+                this.setRetarderStage(this._retarderStage - 1);
+                break;
+            case 'exhaust_brake':
+                this.setExhaustBrake(!this._exhaustBrakeOn);
+                break;
+            case 'toggle_headlights':
+                if (this._headlightToggleCooldown <= 0) {
+                    this._headlightsOn = !this._headlightsOn;
+                    this._headlightToggleCooldown = 0.3;
+                    this.eventBus.emit('input:headlights', { on: this._headlightsOn });
+                }
+                break;
+            case 'toggle_doors':
+                this.setDoorsOpen(!this._doorsOpen);
+                break;
+            case 'toggle_kneel':
+                this.setKneel(!this._kneelOn);
+                break;
+            default:
+                break;
         }
+        return true;
+    }
 
-        // Headlights toggle (on key down only)
-        if (code === 'KeyH' && isDown && !this.keys.h) {
-            this.keys.h = true;
-            if (this._headlightToggleCooldown <= 0) {
-                this._headlightsOn = !this._headlightsOn;
-                this._headlightToggleCooldown = 0.3;
-                this.eventBus.emit('input:headlights', { on: this._headlightsOn });
-            }
-            handled = true;
-        }
-        if (code === 'KeyH' && !isDown) {
-            this.keys.h = false;
+    /**
+     * Gamepad buttons bound to actions: driving actions follow the button, game actions emit `input:action` on press.
+     * @param {boolean[]|undefined} buttons
+     */
+    _updateButtons(buttons) {
+        const list = buttons ?? [];
+        for (const [index, action] of this._actionLookup.buttons) {
+            const down = !!list[index];
+            if (down === !!this._buttonsDown[index]) continue;
+            this._buttonsDown[index] = down;
+            if (!this.setAction(action, down) && down) this.eventBus.emit('input:action', { action });
         }
+    }
 
-        if (handled) {
-            e.preventDefault();
-        }
+    /**
+     * Poll gamepad buttons only (while the loop is paused and `update` does not run).
+     */
+    pollButtons() {
+        this._updateButtons(this.gamepad.poll()?.buttons);
     }
 
     /**
@@ -210,10 +368,30 @@ export class InputManager {
         const throttleInput = this.keys.up ? 1 : 0;
         const brakeInput = this.keys.down ? 1 : 0;
 
+        // Gamepad / wheel: a control follows its axis once the axis leaves rest and until its key is pressed again,
+        // so an idle pad does not snap keyboard ramps back; following reseeds the ramp so keys take over without a jump.
+        const pad = this.gamepad.poll();
+        this._updateButtons(pad?.buttons);
+        const deviceId = pad?.deviceId ?? null;
+        if (deviceId !== this._deviceId) {
+            this._deviceId = deviceId;
+            this._analogActive = { steering: false, throttle: false, brake: false, clutch: false };
+            this.eventBus.emit('input:device', { id: deviceId });
+        }
+        const blend = (name, control, keyInput, analog) => {
+            if (keyInput) this._analogActive[name] = false;
+            else if (typeof analog === 'number' && Math.abs(analog) > 0.0001) this._analogActive[name] = true;
+            if (!this._analogActive[name] || typeof analog !== 'number') return control.update(dt, keyInput);
+            control.value = Math.max(control.min, Math.min(control.max, analog));
+            return control.value;
+        };
+
         // Update ramped controls
-        const steerVal = this.steer.update(dt, steerInput);
-        const throttleVal = this.throttle.update(dt, throttleInput);
-        const brakeVal = this.brake.update(dt, brakeInput);
+        const touch = this._touch;
+        const steerVal = blend('steering', this.steer, steerInput, touch.steering ?? pad?.steering);
+        const throttleVal = blend('throttle', this.throttle, throttleInput, touch.throttle ?? pad?.throttle);
+        const brakeVal = blend('brake', this.brake, brakeInput, touch.brake ?? pad?.brake);
+        const clutchVal = blend('clutch', this.clutch, this.keys.c ? 1 : 0, pad?.clutch);
 
         // Update headlight cooldown
         if (this._headlightToggleCooldown > 0) {
@@ -226,13 +404,16 @@ export class InputManager {
             throttle: throttleVal,
             brake: brakeVal,
             handbrake: this.keys.space ? 1 : 0,
+            clutch: clutchVal,
+            retarder: this._retarderStage,
+            exhaustBrake: this._exhaustBrakeOn,
             headlights: this._headlightsOn
         });
     }
 
     /**
      * Get current control values.
-     * @returns {object} { steering, throttle, brake, handbrake, headlights }
+     * @returns {object} { steering, throttle, brake, handbrake, clutch, retarder, exhaustBrake, headlights }
      */
     getControls() {
         return {
@@ -240,10 +421,51 @@ export class InputManager {
             throttle: this.throttle.value,
             brake: this.brake.value,
             handbrake: this.keys.space ? 1 : 0,
+            clutch: this.clutch.value,
+            retarder: this._retarderStage,
+            exhaustBrake: this._exhaustBrakeOn,
             headlights: this._headlightsOn
         };
     }
 
+    /**
+     * @returns {string|null} `id` of the gamepad / wheel currently driving, or null for the keyboard.
+     */
+    getActiveDevice() {
+        return this._deviceId;
+    }
+
+    /**
+     * Apply new gamepad / wheel settings (device, axis mapping, deadzones, curves).
+     * @param {object|null} settings - InputDeviceSettings.
+     */
+    setInputDeviceSettings(settings) {
+        this.gamepad.setSettings(settings);
+    }
+
+    /**
+     * Analog values from the on-screen touch controls; null releases a control (its ramp returns it).
+     * @param {{steering?:number|null, throttle?:number|null, brake?:number|null}} values
+     */
+    setTouchControls(values) {
+        for (const name of ['steering', 'throttle', 'brake']) {
+            if (!values || !(name in values)) continue;
+            const v = values[name];
+            this._touch[name] = typeof v === 'number' && Number.isFinite(v) ? v : null;
+        }
+    }
+
+    /**
+     * Apply new key / gamepad button bindings.
+     * @param {object|null} bindings - InputBindings.
+     */
+    setInputBindings(bindings) {
+        // Release everything: a key held under the old bindings would otherwise never see its key up
+        for (const key of Object.keys(this.keys)) this.keys[key] = false;
+        this._actionLookup = createActionLookup(bindings ?? getDefaultInputBindings());
+        this._buttonsDown = [];
+    }
+
     /**
      * Get raw key states.
      * @returns {object}
@@ -260,21 +482,94 @@ export class InputManager {
         this._headlightsOn = !!on;
     }
 
+    /**
+     * Set passenger doors open/closed and emit `input:doors`.
+     * @param {boolean} open
+     */
+    setDoorsOpen(open) {
+        this._doorsOpen = !!open;
+        this.eventBus.emit('input:doors', { open: this._doorsOpen });
+    }
+
+    /**
+     * @returns {boolean} Last requested passenger door state.
+     */
+    getDoorsOpen() {
+        return this._doorsOpen;
+    }
+
+    /**
+     * Request kneeling (ramp included where fitted) or rising and emit `input:kneel`.
+     * @param {boolean} on
+     */
+    setKneel(on) {
+        this._kneelOn = !!on;
+        this.eventBus.emit('input:kneel', { on: this._kneelOn });
+    }
+
+    /**
+     * @returns {boolean} Last requested kneel state.
+     */
+    getKneel() {
+        return this._kneelOn;
+    }
+
+    /**
+     * Move the retarder stalk (0 = off .. `retarderStages`) and emit `input:retarder`.
+     * @param {number} stage
+     */
+    setRetarderStage(stage) {
+        const max = Math.max(0, Math.round(this.config.retarderStages ?? 0));
+        this._retarderStage = Math.max(0, Math.min(max, Math.round(Number(stage) || 0)));
+        this.eventBus.emit('input:retarder', { stage: this._retarderStage, exhaustBrake: this._exhaustBrakeOn });
+    }
+
+    /**
+     * Switch the exhaust brake and emit `input:retarder`.
+     * @param {boolean} on
+     */
+    setExhaustBrake(on) {
+        this._exhaustBrakeOn = !!on;
+        this.eventBus.emit('input:retarder', { stage: this._retarderStage, exhaustBrake: this._exhaustBrakeOn });
+    }
+
     /**
      * Reset all inputs to neutral.
      */
     reset() {
+        if (this.keys?.horn) this.eventBus.emit('input:horn', { on: false });
         this.keys = {
             left: false,
             right: false,
             up: false,
             down: false,
             space: false,
-            h: false
+            c: false,
+            e: false,
+            z: false,
+            m: false,
+            n: false,
+            r: false,
+            f: false,
+            x: false,
+            h: false,
+            o: false,
+            k: false,
+            g: false,
+            v: false,
+            l: false,
+            plus: false,
+            minus: false,
+            indicatorLeft: false,
+            indicatorRight: false,
+            hazard: false,
+            horn: false
         };
+        this._touch = { steering: null, throttle: null, brake: null };
         this.steer.value = 0;
         this.throttle.value = 0;
         this.brake.value = 0;
+        this.clutch.value = 0;
     }
 
     /**
@@ -0,0 +1,75 @@
+// src/app/input/TouchInput.js
+// Touch driving helpers: on-screen wheel / pedal geometry to analog controls, and when touch controls turn on.
+// Design: pure functions over pointer coordinates so the mapping runs without a browser; the HUD layer owns the DOM.
+// @ts-check
+import { clamp } from '../utils/number.js';
+
+/** Wheel rotation at full lock either way (matches the 270° HUD wheel). */
+export const TOUCH_WHEEL_MAX_DEG = 135;
+
+function readUrlParamBool(params, key, fallback) {
+    if (!params?.has?.(key)) return fallback;
+    const v = String(params.get(key)).trim().toLowerCase();
+    if (v === '1' || v === 'true' || v === 'yes' || v === 'on') return true;
+    if (v === '0' || v === 'false' || v === 'no' || v === 'off') return false;
+    return fallback;
+}
+
+/**
+ * Wheel angle of a pointer around the wheel centre: 0° at the top, positive clockwise (screen y down).
+ * @param {number} x
+ * @param {number} y
+ * @param {{left:number, top:number, width:number, height:number}} rect
+ * @returns {number} -180..180
+ */
+export function wheelAngleFromPointer(x, y, rect) {
+    const dx = x - (rect.left + rect.width * 0.5);
+    const dy = y - (rect.top + rect.height * 0.5);
+    if (Math.abs(dx) < 1e-6 && Math.abs(dy) < 1e-6) return 0;
+    return Math.atan2(dx, -dy) * 180 / Math.PI;
+}
+
+/**
+ * Steering -1..1 for a wheel grabbed at `angleDeg`. Past full lock (the gap at the bottom of the wheel) the
+ * steering stays at the lock it was already nearest, so dragging across the bottom does not flip sides.
+ * @param {number} angleDeg
+ * @param {number} prevSteer
+ * @param {number} [maxDeg]
+ * @returns {number}
+ */
+export function steerFromWheelAngle(angleDeg, prevSteer, maxDeg = TOUCH_WHEEL_MAX_DEG) {
+    const a = Number.isFinite(angleDeg) ? angleDeg : 0;
+    if (Math.abs(a) <= maxDeg) return clamp(a / maxDeg, -1, 1);
+    const side = Number.isFinite(prevSteer) && prevSteer !== 0 ? Math.sign(prevSteer) : Math.sign(a);
+    return side;
+}
+
+/**
+ * Pedal travel 0..1 for a finger on a pedal track: the fill follows the finger up from the bottom.
+ * @param {number} y
+ * @param {{top:number, height:number}} rect
+ * @returns {number}
+ */
+export function pedalFromPointer(y, rect) {
+    if (!(rect.height > 0)) return 0;
+    return clamp((rect.top + rect.height - y) / rect.height, 0, 1);
+}
+
+/**
+ * Touch controls are on for coarse pointers (tablets, phones); `touch=1` / `touch=0` in the URL forces them.
+ * @param {object} [params]
+ * @param {boolean} [params.includeUrlOverrides]
+ * @returns {boolean}
+ */
+export function getResolvedTouchControlsEnabled({ includeUrlOverrides = true } = {}) {
+    if (typeof window === 'undefined') return false;
+    let coarse = false;
+    try {
+        coarse = !!window.matchMedia?.('(pointer: coarse)')?.matches;
+    } catch {
+        coarse = false;
+    }
+    if (!includeUrlOverrides) return coarse;
+    const params = new URLSearchParams(window.location.search);
+    return readUrlParamBool(params, 'touch', coarse);
+}
@@ -0,0 +1,220 @@
+// src/app/physics/colliders/CityStaticColliders.js
+// Builds engine-agnostic static collider shape descriptors from city data (buildings, curbs, traffic controls).
+// Design: Pure data so RapierVehicleSim can create fixed colliders without pulling in rendering code.
+// Each builder validates its city input once on entry (absent fields take defaults, non-finite numbers throw).
+// @ts-check
+
+const EPS = 1e-6;
+
+export const STATIC_COLLIDER_TYPE = Object.freeze({
+    BUILDING: 'building',
+    CURB: 'curb',
+    TRAFFIC_LIGHT: 'traffic_light',
+    STOP_SIGN: 'stop_sign'
+});
+
+export const STATIC_COLLIDER_DEFAULTS = Object.freeze({
+    buildingWallThickness: 0.4,
+    buildingMinHeight: 3.0,
+    props: Object.freeze({
+        traffic_light: Object.freeze({ radius: 0.09, height: 2.2 }),
+        stop_sign: Object.freeze({ radius: 0.05, height: 2.4 })
+    })
+});
+
+/**
+ * `value` when it is finite, `fallback` when it is absent and there is one; anything else is a broken city spec.
+ */
+function readNumber(value, fallback, name) {
+    if ((value === undefined || value === null) && fallback !== undefined) return fallback;
+    if (!Number.isFinite(value)) throw new Error(`[CityStaticColliders] ${name} must be a finite number.`);
+    return value;
+}
+
+function readPoint(p, name) {
+    return { x: readNumber(p?.x, undefined, `${name}.x`), z: readNumber(p?.z, undefined, `${name}.z`) };
+}
+
+function sanitizeBuilding(building) {
+    const id = building.id ?? 'building';
+    const name = `building "${id}"`;
+    let height = 0;
+    for (const layer of Array.isArray(building.layers) ? building.layers : []) {
+        if (layer?.type !== 'floor') continue;
+        height += Math.max(0, readNumber(layer.floors, 0, `${name} layer floors`))
+            * Math.max(0, readNumber(layer.floorHeight, 3.0, `${name} layer floorHeight`));
+    }
+    if (!(height > EPS)) {
+        height = Math.max(1, readNumber(building.floors, 1, `${name} floors`))
+            * Math.max(0, readNumber(building.floorHeight, 3.0, `${name} floorHeight`));
+    }
+    const loops = (Array.isArray(building.footprintLoops) ? building.footprintLoops : [])
+        .filter((l) => Array.isArray(l) && l.length >= 3)
+        .map((l) => l.map((p, i) => readPoint(p, `${name} footprint point ${i}`)));
+    const tiles = [];
+    for (const tile of Array.isArray(building.tiles) ? building.tiles : []) {
+        const tx = Array.isArray(tile) ? tile[0] : tile?.x;
+        const ty = Array.isArray(tile) ? tile[1] : tile?.y;
+        if (Number.isFinite(tx) && Number.isFinite(ty)) tiles.push([tx | 0, ty | 0]);
+    }
+    return { id, height, loops, tiles };
+}
+
+function pushWallSegments(out, building, { baseY, height, thickness }) {
+    let index = 0;
+    for (const pts of building.loops) {
+        for (let i = 0; i < pts.length; i++) {
+            const a = pts[i];
+            const b = pts[(i + 1) % pts.length];
+            const dx = b.x - a.x;
+            const dz = b.z - a.z;
+            const length = Math.hypot(dx, dz);
+            if (!(length > EPS)) continue;
+            out.push({
+                id: `${building.id}:wall:${index++}`,
+                type: STATIC_COLLIDER_TYPE.BUILDING,
+                sourceId: building.id,
+                shape: 'cuboid',
+                center: { x: (a.x + b.x) * 0.5, y: baseY + height * 0.5, z: (a.z + b.z) * 0.5 },
+                halfExtents: { x: length * 0.5 + thickness * 0.5, y: height * 0.5, z: thickness * 0.5 },
+                rotationY: Math.atan2(-dz, dx)
+            });
+        }
+    }
+}
+
+function pushTileBlocks(out, building, tileGrid, { baseY, height }) {
+    if (!tileGrid) return;
+    let index = 0;
+    for (const [tx, ty] of building.tiles) {
+        const p = tileGrid.tileToWorldCenter(tx, ty);
+        if (!p) continue;
+        out.push({
+            id: `${building.id}:tile:${index++}`,
+            type: STATIC_COLLIDER_TYPE.BUILDING,
+            sourceId: building.id,
+            shape: 'cuboid',
+            center: { x: p.x, y: baseY + height * 0.5, z: p.z },
+            halfExtents: { x: tileGrid.tileSize * 0.5, y: height * 0.5, z: tileGrid.tileSize * 0.5 },
+            rotationY: 0
+        });
+    }
+}
+
+/**
+ * Builds static collider descriptors for all buildings of a CityMap.
+ * Footprint loops become thin wall boxes (works for concave outlines); tile-only buildings become one box per tile.
+ * The map is validated once here: absent fields take their defaults, present non-finite numbers throw.
+ * @param {object} map
+ * @param {object} [options]
+ * @param {number} [options.groundY=0]
+ * @param {number} [options.wallThickness]
+ * @param {number} [options.minHeight]
+ * @returns {object[]}
+ */
+export function buildBuildingColliderShapes(map, {
+    groundY = 0,
+    wallThickness = STATIC_COLLIDER_DEFAULTS.buildingWallThickness,
+    minHeight = STATIC_COLLIDER_DEFAULTS.buildingMinHeight
+} = {}) {
+    const baseY = readNumber(groundY, 0, 'groundY');
+    const thickness = Math.max(0.05, readNumber(wallThickness, STATIC_COLLIDER_DEFAULTS.buildingWallThickness, 'wallThickness'));
+    const floorHeight = Math.max(0, readNumber(minHeight, 0, 'minHeight'));
+    const tileSize = readNumber(map?.tileSize, 0, 'map.tileSize');
+    const tileGrid = tileSize > EPS && typeof map?.tileToWorldCenter === 'function'
+        ? { tileSize, tileToWorldCenter: (tx, ty) => {
+            const p = map.tileToWorldCenter(tx, ty);
+            return p ? readPoint(p, `tile ${tx},${ty} center`) : null;
+        } }
+        : null;
+    const buildings = (Array.isArray(map?.buildings) ? map.buildings : [])
+        .filter(Boolean)
+        .map(sanitizeBuilding);
+
+    const out = [];
+    for (const building of buildings) {
+        const height = Math.max(floorHeight, building.height);
+        if (building.loops.length) pushWallSegments(out, building, { baseY, height, thickness });
+        else pushTileBlocks(out, building, tileGrid, { baseY, height });
+    }
+    return out;
+}
+
+/**
+ * Converts non-indexed curb triangle positions (see buildRoadCurbMeshDataFromRoadEnginePrimitives) into a trimesh descriptor.
+ * @param {ArrayLike<number>|null|undefined} positions
+ * @returns {object|null}
+ */
+export function buildCurbColliderShape(positions) {
+    const count = positions ? Math.floor((positions.length ?? 0) / 9) * 9 : 0;
+    if (!count) return null;
+    const vertices = new Float32Array(count);
+    for (let i = 0; i < count; i++) vertices[i] = readNumber(positions[i], undefined, `curb position ${i}`);
+    const indices = new Uint32Array(count / 3);
+    for (let i = 0; i < indices.length; i++) indices[i] = i;
+    return {
+        id: 'curbs',
+        type: STATIC_COLLIDER_TYPE.CURB,
+        sourceId: null,
+        shape: 'trimesh',
+        vertices,
+        indices
+    };
+}
+
+/**
+ * Builds pole colliders for traffic control placements (see computeTrafficControlPlacements).
+ * @param {object[]} placements
+ * @param {object} [options]
+ * @param {number} [options.groundY=0]
+ * @returns {object[]}
+ */
+export function buildTrafficControlColliderShapes(placements, { groundY = 0 } = {}) {
+    const list = Array.isArray(placements) ? placements : [];
+    const groundBaseY = readNumber(groundY, 0, 'groundY');
+    const out = [];
+    for (let i = 0; i < list.length; i++) {
+        const p = list[i];
+        const dims = STATIC_COLLIDER_DEFAULTS.props[p?.kind] ?? null;
+        if (!dims || !p?.position) continue;
+        const name = `${p.kind} placement ${i}`;
+        const { x, z } = readPoint(p.position, `${name} position`);
+        const scale = Math.max(EPS, readNumber(p.scale, 1, `${name} scale`));
+        const height = dims.height * scale;
+        const baseY = readNumber(p.position.y, groundBaseY, `${name} position.y`);
+        out.push({
+            id: `${p.kind}:${i}`,
+            type: p.kind,
+            sourceId: p.nodeId ?? p.junctionId ?? null,
+            shape: 'cylinder',
+            center: { x, y: baseY + height * 0.5, z },
+            radius: dims.radius * scale,
+            halfHeight: height * 0.5
+        });
+    }
+    return out;
+}
+
+/**
+ * Collects every static collider descriptor for a city environment.
+ * Throws when the city data holds non-finite numbers.
+ * @param {object} params
+ * @param {object|null} [params.map]
+ * @param {ArrayLike<number>|null} [params.curbPositions]
+ * @param {object[]|null} [params.trafficControlPlacements]
+ * @param {number} [params.groundY=0]
+ * @returns {object[]}
+ */
+export function buildCityStaticColliderShapes({
+    map = null,
+    curbPositions = null,
+    trafficControlPlacements = null,
+    groundY = 0
+} = {}) {
+    const shapes = [];
+    shapes.push(...buildBuildingColliderShapes(map, { groundY }));
+    const curbs = buildCurbColliderShape(curbPositions);
+    if (curbs) shapes.push(curbs);
+    shapes.push(...buildTrafficControlColliderShapes(trafficControlPlacements, { groundY }));
+    return shapes;
+}
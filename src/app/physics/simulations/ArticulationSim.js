@@ -0,0 +1,143 @@
+// src/app/physics/simulations/ArticulationSim.js
+// Articulated (bendy) bus geometry math only: hitch placement, articulation angle, trailer pose and swept envelope.
+// Poses are anchor poses in the XZ plane ({ position: { x, z }, yaw }); the front section owns the anchor.
+// Section-local +Z points forward and the articulation angle is the trailer yaw relative to the front section.
+import { clamp, finiteOr } from '../../utils/number.js';
+
+const DEFAULT_ARTICULATION = {
+    frontLength: 10.6,
+    bellowsLength: 1.0,
+    trailerLength: 6.4,
+    trailerAxleZ: -1.0,
+    trailerMass: 5500,
+    maxAngleDeg: 50,
+    jointDamping: 6000
+};
+
+function wrapAngle(rad) {
+    return Math.atan2(Math.sin(rad), Math.cos(rad));
+}
+
+/**
+ * Rotates a section-local XZ offset by `yaw` (three.js Y rotation).
+ */
+function rotateLocal(x, z, yaw) {
+    const c = Math.cos(yaw);
+    const s = Math.sin(yaw);
+    return { x: x * c + z * s, z: -x * s + z * c };
+}
+
+/**
+ * Normalizes `spec.articulation`; returns null for rigid buses.
+ * `hitchZ` is the joint position relative to the front section center, `trailerOffsetZ` the trailer center relative to the joint.
+ */
+function buildArticulationConfig(articulation, { width = 2.55 } = {}) {
+    if (!articulation || typeof articulation !== 'object') return null;
+    const src = articulation;
+    const frontLength = Math.max(2, finiteOr(src.frontLength, DEFAULT_ARTICULATION.frontLength));
+    const bellowsLength = Math.max(0.2, finiteOr(src.bellowsLength, DEFAULT_ARTICULATION.bellowsLength));
+    const trailerLength = Math.max(1, finiteOr(src.trailerLength, DEFAULT_ARTICULATION.trailerLength));
+    const halfTrailer = trailerLength * 0.5;
+    return {
+        frontLength,
+        bellowsLength,
+        trailerLength,
+        totalLength: frontLength + bellowsLength + trailerLength,
+        width: Math.max(0.5, finiteOr(src.width, width)),
+        trailerAxleZ: clamp(finiteOr(src.trailerAxleZ, DEFAULT_ARTICULATION.trailerAxleZ), -halfTrailer, halfTrailer),
+        trailerMass: Math.max(0, finiteOr(src.trailerMass, DEFAULT_ARTICULATION.trailerMass)),
+        maxAngle: clamp(finiteOr(src.maxAngleDeg, DEFAULT_ARTICULATION.maxAngleDeg), 5, 85) * Math.PI / 180,
+        jointDamping: Math.max(0, finiteOr(src.jointDamping, DEFAULT_ARTICULATION.jointDamping)),
+        hitchZ: -(frontLength + bellowsLength) * 0.5,
+        trailerOffsetZ: -(bellowsLength + trailerLength) * 0.5
+    };
+}
+
+/**
+ * Trailer yaw relative to the front section, wrapped to [-π, π].
+ */
+function computeArticulationAngle(frontYaw, trailerYaw) {
+    return wrapAngle(finiteOr(trailerYaw, 0) - finiteOr(frontYaw, 0));
+}
+
+/**
+ * World XZ position of the joint for a front-section pose.
+ */
+function computeHitchPosition(config, pose) {
+    const local = rotateLocal(0, config.hitchZ, pose.yaw);
+    return { x: pose.position.x + local.x, z: pose.position.z + local.z };
+}
+
+/**
+ * Trailer center pose for a front-section pose and an articulation angle.
+ */
+function computeTrailerPose(config, pose, angle) {
+    const hitch = computeHitchPosition(config, pose);
+    const yaw = wrapAngle(pose.yaw + angle);
+    const offset = rotateLocal(0, config.trailerOffsetZ, yaw);
+    return { position: { x: hitch.x + offset.x, z: hitch.z + offset.z }, yaw };
+}
+
+/**
+ * Body outline of both sections in the front section's frame.
+ * `tailSwing` is how far the trailer's rear corners reach past the front section's sides;
+ * `sweptWidth` is the lateral extent of the whole vehicle across both sections.
+ */
+function computeSweptEnvelope(config, angle) {
+    const a = clamp(finiteOr(angle, 0), -Math.PI, Math.PI);
+    const halfWidth = config.width * 0.5;
+    const halfFront = config.frontLength * 0.5;
+    const toFront = (x, z) => {
+        const p = rotateLocal(x, config.trailerOffsetZ + z, a);
+        return { x: p.x, z: config.hitchZ + p.z };
+    };
+    const halfTrailer = config.trailerLength * 0.5;
+    const front = [
+        { x: -halfWidth, z: halfFront },
+        { x: halfWidth, z: halfFront },
+        { x: halfWidth, z: -halfFront },
+        { x: -halfWidth, z: -halfFront }
+    ];
+    const trailer = [
+        toFront(-halfWidth, halfTrailer),
+        toFront(halfWidth, halfTrailer),
+        toFront(halfWidth, -halfTrailer),
+        toFront(-halfWidth, -halfTrailer)
+    ];
+    const tail = [trailer[2], trailer[3]];
+
+    let minX = -halfWidth;
+    let maxX = halfWidth;
+    for (const p of trailer) {
+        minX = Math.min(minX, p.x);
+        maxX = Math.max(maxX, p.x);
+    }
+    let tailSwing = 0;
+    let tailSide = 0;
+    for (const p of tail) {
+        const over = Math.abs(p.x) - halfWidth;
+        if (over > tailSwing) {
+            tailSwing = over;
+            tailSide = Math.sign(p.x);
+        }
+    }
+    return { front, trailer, tail, sweptWidth: maxX - minX, tailSwing, tailSide };
+}
+
+/**
+ * Maps a section-local point to world XZ for an anchor pose.
+ */
+function sectionPointToWorld(pose, point) {
+    const p = rotateLocal(point.x, point.z, pose.yaw);
+    return { x: pose.position.x + p.x, z: pose.position.z + p.z };
+}
+
+export {
+    DEFAULT_ARTICULATION,
+    buildArticulationConfig,
+    computeArticulationAngle,
+    computeHitchPosition,
+    computeSweptEnvelope,
+    computeTrailerPose,
+    sectionPointToWorld
+};
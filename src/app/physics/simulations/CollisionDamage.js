@@ -0,0 +1,78 @@
+// src/app/physics/simulations/CollisionDamage.js
+// Rapier side of crash damage: a reported contact point goes into the frame of the body it hit, then into DamageSim.
+import { applyImpact, classifyImpactZone, computeDamageEffects, computeImpactEnergy } from './DamageSim.js';
+
+/**
+ * World point in the frame of a Rapier body (translation, then the inverse of its unit rotation).
+ */
+function toBodyFrame(body, point) {
+    const t = body.translation();
+    const q = body.rotation();
+    const vx = point.x - t.x;
+    const vy = point.y - t.y;
+    const vz = point.z - t.z;
+    // Rotate by the conjugate: u = -q.xyz, v' = v + w * c + u × c with c = 2 (u × v).
+    const ux = -q.x;
+    const uy = -q.y;
+    const uz = -q.z;
+    const cx = 2 * (uy * vz - uz * vy);
+    const cy = 2 * (uz * vx - ux * vz);
+    const cz = 2 * (ux * vy - uy * vx);
+    return {
+        x: vx + q.w * cx + (uy * cz - uz * cy),
+        y: vy + q.w * cy + (uz * cx - ux * cz),
+        z: vz + q.w * cz + (ux * cy - uy * cx)
+    };
+}
+
+/**
+ * Turns a reported collision into zone damage and tags it with `damageZone` / `damageAmount`. Trailer hits are classified
+ * in the trailer frame (its flanks and tail are the bus flanks and tail) and then placed along the straightened bus, in
+ * the front body frame like every other hit.
+ * @param {object|null} config - buildDamageConfig() result.
+ * @param {object} state - createDamageState() result (mutated).
+ * @param {{point:{x:number, y:number, z:number}|null, impulse:number}} collision - Mutated when it does damage.
+ * @param {object} params
+ * @param {any} params.body - Rapier body that was hit (the trailer body for trailer hits).
+ * @param {object|null} [params.trailer] - TrailerBody trailer when the hit was on it.
+ * @param {{x:number, z:number}} params.halfExtents - Front body half width / half length.
+ * @param {number} params.mass - kg, payload included.
+ * @returns {{zone:string, amount:number}|null} null when nothing was damaged.
+ */
+function applyCollisionDamage(config, state, collision, { body, trailer = null, halfExtents, mass }) {
+    if (!config || !collision.point || !body) return null;
+    const local = toBodyFrame(body, collision.point);
+
+    let zone = null;
+    if (trailer) {
+        zone = classifyImpactZone({ x: local.x, z: Math.min(0, local.z) }, { x: halfExtents.x, z: trailer.config.trailerLength * 0.5 });
+        if (zone === 'front') zone = local.x < 0 ? 'left' : 'right';
+        local.z += trailer.bodyConfig.hitchZ + trailer.bodyConfig.trailerOffsetZ;
+    }
+    const hit = applyImpact(config, state, {
+        energy: computeImpactEnergy(collision.impulse, mass),
+        local,
+        halfExtents,
+        zone
+    });
+    if (!hit) return null;
+    collision.damageZone = hit.zone;
+    collision.damageAmount = hit.amount;
+    return hit;
+}
+
+/**
+ * Mechanical effects of the current damage; mirrors the level and power factor into the published damage state.
+ * @returns {{steerOffset:number, powerFactor:number, headlights:boolean[], level:number}}
+ */
+function syncDamageEffects(config, state) {
+    const effects = computeDamageEffects(config, state);
+    state.level = effects.level;
+    state.powerFactor = effects.powerFactor;
+    return effects;
+}
+
+export {
+    applyCollisionDamage,
+    syncDamageEffects
+};
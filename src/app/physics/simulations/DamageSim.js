@@ -0,0 +1,210 @@
+// src/app/physics/simulations/DamageSim.js
+// Collision damage math only (no Rapier): impact energy per body zone and the mechanical and visual effects it causes.
+// Zones are in the body frame (+Z forward): front, rear, left (-X, the curb/door side) and right (+X).
+import { clamp, finiteOr } from '../../utils/number.js';
+
+const DAMAGE_ZONES = Object.freeze(['front', 'rear', 'left', 'right']);
+
+const DEFAULT_DAMAGE = {
+    minEnergy: 1500,
+    zoneEnergy: 400000,
+    maxSteerOffsetDeg: 4,
+    maxPowerLoss: 0.6,
+    headlightBreakEnergy: 12000,
+    maxDent: 0.35,
+    dentReach: 1.2,
+    dentSpread: 2.5
+};
+
+const EPS = 1e-6;
+
+/**
+ * Normalizes `spec.damage` (optional); every bus takes damage.
+ */
+function buildDamageConfig(damage) {
+    const src = damage && typeof damage === 'object' ? damage : {};
+    return {
+        minEnergy: Math.max(0, finiteOr(src.minEnergy, DEFAULT_DAMAGE.minEnergy)),
+        zoneEnergy: Math.max(1, finiteOr(src.zoneEnergy, DEFAULT_DAMAGE.zoneEnergy)),
+        maxSteerOffset: clamp(finiteOr(src.maxSteerOffsetDeg, DEFAULT_DAMAGE.maxSteerOffsetDeg), 0, 15) * Math.PI / 180,
+        maxPowerLoss: clamp(finiteOr(src.maxPowerLoss, DEFAULT_DAMAGE.maxPowerLoss), 0, 1),
+        headlightBreakEnergy: Math.max(0, finiteOr(src.headlightBreakEnergy, DEFAULT_DAMAGE.headlightBreakEnergy)),
+        maxDent: Math.max(0, finiteOr(src.maxDent, DEFAULT_DAMAGE.maxDent)),
+        dentReach: Math.max(0.1, finiteOr(src.dentReach, DEFAULT_DAMAGE.dentReach)),
+        dentSpread: Math.max(0.1, finiteOr(src.dentSpread, DEFAULT_DAMAGE.dentSpread))
+    };
+}
+
+/**
+ * `zones[zone].level` is 0 (intact) .. 1 (wrecked); `at` is the energy-weighted impact position along that face
+ * (body X for front/rear, body Z for the sides). `revision` changes whenever the visuals need rebuilding.
+ */
+function createDamageState() {
+    const zones = {};
+    for (const zone of DAMAGE_ZONES) zones[zone] = { level: 0, at: 0 };
+    return {
+        zones,
+        alignment: 0,
+        headlights: [false, false],
+        impacts: 0,
+        revision: 0
+    };
+}
+
+/**
+ * Body zone hit by a contact point in the body frame; compares against the half extents so long buses still get side hits.
+ * @param {{x:number, z:number}} local
+ * @param {{x:number, z:number}} halfExtents
+ * @returns {string}
+ */
+function classifyImpactZone(local, halfExtents) {
+    const nx = finiteOr(local?.x, 0) / Math.max(EPS, finiteOr(halfExtents?.x, 1));
+    const nz = finiteOr(local?.z, 0) / Math.max(EPS, finiteOr(halfExtents?.z, 1));
+    if (Math.abs(nz) >= Math.abs(nx)) return nz >= 0 ? 'front' : 'rear';
+    return nx < 0 ? 'left' : 'right';
+}
+
+/**
+ * Impact energy (J) of a contact impulse absorbed by a body of `massKg`.
+ */
+function computeImpactEnergy(impulse, massKg) {
+    const j = Math.abs(finiteOr(impulse, 0));
+    const m = Math.max(1, finiteOr(massKg, 1));
+    return (j * j) / (2 * m);
+}
+
+/**
+ * Adds one impact. Hits on the front half knock the steering out of line toward the struck side
+ * (a positive steer angle turns toward +X); a hard front hit breaks the headlight on that side.
+ * @param {object} config - buildDamageConfig() result.
+ * @param {object} state - createDamageState() result (mutated).
+ * @param {object} params
+ * @param {number} params.energy - J.
+ * @param {{x:number, z:number}} params.local - Contact point in the body frame.
+ * @param {{x:number, z:number}} params.halfExtents
+ * @param {string|null} [params.zone] - Zone already classified by the caller (e.g. in a trailer frame).
+ * @returns {{zone:string, amount:number}|null} null for scrapes below `minEnergy`.
+ */
+function applyImpact(config, state, { energy, local, halfExtents, zone: knownZone = null }) {
+    const e = finiteOr(energy, 0);
+    if (!(e >= config.minEnergy) || !local) return null;
+
+    const zone = DAMAGE_ZONES.includes(knownZone) ? knownZone : classifyImpactZone(local, halfExtents);
+    const amount = e / config.zoneEnergy;
+    const z = state.zones[zone];
+    const along = zone === 'front' || zone === 'rear' ? finiteOr(local.x, 0) : finiteOr(local.z, 0);
+    z.at = (z.at * z.level + along * amount) / Math.max(EPS, z.level + amount);
+    z.level = Math.min(1, z.level + amount);
+
+    const x = finiteOr(local.x, 0);
+    if (zone !== 'rear' && (zone === 'front' || finiteOr(local.z, 0) > 0) && Math.abs(x) > EPS) {
+        state.alignment = clamp(state.alignment + Math.sign(x) * amount * config.maxSteerOffset, -config.maxSteerOffset, config.maxSteerOffset);
+    }
+
+    if (zone === 'front' && e >= config.headlightBreakEnergy) {
+        const center = Math.abs(x) < finiteOr(halfExtents?.x, 1) * 0.25;
+        if (center || x < 0) state.headlights[0] = true;
+        if (center || x > 0) state.headlights[1] = true;
+    }
+
+    state.impacts += 1;
+    state.revision += 1;
+    return { zone, amount };
+}
+
+/**
+ * Mechanical effects. The engine sits in the rear of these buses, so rear damage costs power.
+ * @returns {{steerOffset:number, powerFactor:number, headlights:boolean[], level:number}}
+ */
+function computeDamageEffects(config, state) {
+    if (!config || !state) return { steerOffset: 0, powerFactor: 1, headlights: [false, false], level: 0 };
+    let sum = 0;
+    for (const zone of DAMAGE_ZONES) sum += state.zones[zone].level;
+    return {
+        steerOffset: state.alignment,
+        powerFactor: 1 - config.maxPowerLoss * state.zones.rear.level,
+        headlights: [...state.headlights],
+        level: sum / DAMAGE_ZONES.length
+    };
+}
+
+/**
+ * Push-in of a panel point for the current damage. `bounds` are the panel bounds in the point's frame and `center` is
+ * the front body center in that frame (impact positions are stored relative to it).
+ * Dents fade with depth into the body and with distance from the impact position along the face.
+ * @param {object} config
+ * @param {object} zones - state.zones
+ * @param {{minX:number, maxX:number, minZ:number, maxZ:number}} bounds
+ * @param {{x:number, z:number}} center
+ * @param {{x:number, y:number, z:number}} p
+ * @returns {{x:number, z:number}}
+ */
+function computeDentOffset(config, zones, bounds, center, p) {
+    const out = { x: 0, z: 0 };
+    // Cheap deterministic crumple so the dent is not a flat push.
+    const jitter = 0.75 + 0.25 * Math.sin(p.x * 7.3 + p.y * 3.1 + p.z * 5.9);
+    const dent = (zone, depth, across) => {
+        const z = zones?.[zone];
+        if (!z || !(z.level > 0)) return 0;
+        const reach = 1 - depth / config.dentReach;
+        if (reach <= 0) return 0;
+        const spread = Math.max(0, 1 - Math.abs(across - z.at) / config.dentSpread);
+        return z.level * config.maxDent * reach * spread * jitter;
+    };
+    out.z -= dent('front', bounds.maxZ - p.z, p.x - center.x);
+    out.z += dent('rear', p.z - bounds.minZ, p.x - center.x);
+    out.x += dent('left', p.x - bounds.minX, p.z - center.z);
+    out.x -= dent('right', bounds.maxX - p.x, p.z - center.z);
+    return out;
+}
+
+function repairDamage(state) {
+    const fresh = createDamageState();
+    state.zones = fresh.zones;
+    state.alignment = 0;
+    state.headlights = fresh.headlights;
+    state.impacts = 0;
+    state.revision += 1;
+    return state;
+}
+
+function snapshotDamage(state) {
+    if (!state) return null;
+    const zones = {};
+    for (const zone of DAMAGE_ZONES) zones[zone] = { level: state.zones[zone].level, at: state.zones[zone].at };
+    return { zones, alignment: state.alignment, headlights: [...state.headlights], impacts: state.impacts };
+}
+
+/**
+ * Restores a snapshotDamage() result; out-of-range values are clamped, unknown fields ignored.
+ */
+function restoreDamage(config, state, snapshot) {
+    if (!state || !snapshot || typeof snapshot !== 'object') return state;
+    for (const zone of DAMAGE_ZONES) {
+        const src = snapshot.zones?.[zone];
+        state.zones[zone].level = clamp(finiteOr(src?.level, 0), 0, 1);
+        state.zones[zone].at = finiteOr(src?.at, 0);
+    }
+    const maxOffset = config?.maxSteerOffset ?? 0;
+    state.alignment = clamp(finiteOr(snapshot.alignment, 0), -maxOffset, maxOffset);
+    const lights = Array.isArray(snapshot.headlights) ? snapshot.headlights : [];
+    state.headlights = [lights[0] === true, lights[1] === true];
+    state.impacts = Math.max(0, Math.trunc(finiteOr(snapshot.impacts, 0)));
+    state.revision += 1;
+    return state;
+}
+
+export {
+    DAMAGE_ZONES,
+    DEFAULT_DAMAGE,
+    applyImpact,
+    buildDamageConfig,
+    classifyImpactZone,
+    computeDamageEffects,
+    computeDentOffset,
+    computeImpactEnergy,
+    createDamageState,
+    repairDamage,
+    restoreDamage,
+    snapshotDamage
+};
@@ -0,0 +1,260 @@
+// src/app/physics/simulations/DriverAssistSim.js
+// Driver assists (ABS, traction control, stability control) math only; modulates requested wheel forces.
+// Slip is estimated per wheel against the Rapier friction limit (frictionSlip * suspension force).
+import { clamp, finiteOr } from '../../utils/number.js';
+
+const DEFAULT_DRIVER_ASSIST = {
+    wheelInertia: 28,
+    peakSlip: 0.12,
+    abs: {
+        enabled: true,
+        slipThreshold: 0.2,
+        minSpeed: 1.5,
+        releaseRate: 14,
+        applyRate: 5,
+        minFactor: 0.15
+    },
+    tcs: {
+        enabled: true,
+        slipThreshold: 0.18,
+        minSpeed: 0,
+        cutRate: 8,
+        recoverRate: 2.5,
+        minFactor: 0.1
+    },
+    esc: {
+        enabled: true,
+        minSpeed: 4,
+        yawRateThreshold: 0.06,
+        gain: 2.5,
+        maxBrakeFraction: 0.4,
+        driveCut: 0.6,
+        understeerGradient: 0.0025,
+        gripMu: 0.85
+    }
+};
+
+const ASSIST_KEYS = ['abs', 'tcs', 'esc'];
+const GRAVITY = 9.81;
+
+/**
+ * Merges bus tuning (`tuning.driverAssist`) and player toggles (`{ abs, tcs, esc }` booleans) over the defaults.
+ * This is the only place tuning is validated: every field of the result is a finite number or a boolean.
+ */
+function resolveDriverAssistConfig(tuning, toggles) {
+    const src = tuning && typeof tuning === 'object' ? tuning : {};
+    const out = {
+        wheelInertia: Math.max(1, finiteOr(src.wheelInertia, DEFAULT_DRIVER_ASSIST.wheelInertia)),
+        peakSlip: clamp(finiteOr(src.peakSlip, DEFAULT_DRIVER_ASSIST.peakSlip), 0.02, 0.5)
+    };
+    for (const key of ASSIST_KEYS) {
+        const defaults = DEFAULT_DRIVER_ASSIST[key];
+        const overrides = src[key] && typeof src[key] === 'object' ? src[key] : {};
+        const merged = {};
+        for (const [field, fallback] of Object.entries(defaults)) {
+            const value = overrides[field];
+            merged[field] = typeof fallback === 'boolean'
+                ? (typeof value === 'boolean' ? value : fallback)
+                : finiteOr(value, fallback);
+        }
+        if (typeof toggles?.[key] === 'boolean') merged.enabled = merged.enabled && toggles[key];
+        out[key] = merged;
+    }
+    return out;
+}
+
+function createDriverAssistState(wheelCount) {
+    const n = Math.max(0, wheelCount | 0);
+    return {
+        wheels: Array.from({ length: n }, () => ({ slip: 0, lockOmega: 0, absFactor: 1, escBrake: 0 })),
+        tcsFactor: 1,
+        escDriveFactor: 1,
+        yawRateRef: 0,
+        yawRateError: 0,
+        abs: { active: false, count: 0, lastActiveAt: null },
+        tcs: { active: false, count: 0, lastActiveAt: null },
+        esc: { active: false, count: 0, lastActiveAt: null, mode: null },
+        time: 0
+    };
+}
+
+/**
+ * Longitudinal slip estimate for one wheel. Below the grip limit slip grows linearly up to `peakSlip`;
+ * beyond it the surplus force spins the wheel up (drive) or down toward lock (brake) through the wheel inertia.
+ * @returns {number} Slip ratio; negative when braking, positive under drive, |slip| <= 1.
+ */
+function estimateWheelSlip(wheel, { demand, grip, speed, radius, inertia, peakSlip, dt }) {
+    const g = Math.max(1, grip);
+    const r = Math.max(0.05, radius);
+    const excess = Math.abs(demand) - g;
+    const rate = (Math.abs(excess) * r / Math.max(1, inertia)) * dt;
+    wheel.lockOmega = excess > 0 ? wheel.lockOmega + rate : Math.max(0, wheel.lockOmega - rate);
+    if (Math.abs(demand) < 1e-3) wheel.lockOmega = 0;
+    const saturated = wheel.lockOmega * r / Math.max(1, Math.abs(speed));
+    const magnitude = clamp(Math.min(1, Math.abs(demand) / g) * peakSlip + saturated, 0, 1);
+    wheel.slip = demand < 0 ? -magnitude : magnitude;
+    return wheel.slip;
+}
+
+function markActive(entry, active, time) {
+    if (active && !entry.active) entry.count += 1;
+    if (active) entry.lastActiveAt = time;
+    entry.active = active;
+}
+
+/**
+ * Reference yaw rate from a linear bicycle model, capped by the lateral grip.
+ */
+function computeReferenceYawRate(speed, steerAngle, wheelbase, esc) {
+    const v = Math.abs(speed);
+    if (!(wheelbase > 0.1) || v < 1e-3) return 0;
+    const k = Math.max(0, esc.understeerGradient);
+    const raw = (speed * Math.tan(steerAngle)) / (wheelbase * (1 + k * v * v));
+    const cap = (Math.max(0.1, esc.gripMu) * GRAVITY) / Math.max(1, v);
+    return clamp(raw, -cap, cap);
+}
+
+/**
+ * One assist step. All inputs are finite numbers (RapierVehicleSim._applyDriverAssist) and `config` comes from
+ * resolveDriverAssistConfig.
+ * `wheels[i]`: { x (lateral offset, body frame), isFront, brakeForce, driveForce (requested, N), normalForce (N), frictionSlip? }.
+ * A per-wheel `frictionSlip` (surface-scaled grip) overrides the vehicle-wide value for that wheel.
+ * Brake forces oppose travel; forward travel is +Z so braking a wheel at lateral offset x adds a yaw moment of x * force.
+ * @returns {{brakeForces:number[], driveForces:number[]}}
+ */
+function computeDriverAssist(state, config, {
+    dt,
+    speed: v,
+    yawRate,
+    steerAngle,
+    wheelbase,
+    wheelRadius,
+    frictionSlip,
+    maxBrakeForce,
+    wheels: list
+}) {
+    const step = Math.max(0, dt);
+    state.time += step;
+    while (state.wheels.length < list.length) state.wheels.push({ slip: 0, lockOmega: 0, absFactor: 1, escBrake: 0 });
+
+    const brakeForces = list.map((w) => Math.max(0, w.brakeForce));
+    const driveForces = list.map((w) => w.driveForce);
+    const mu = Math.max(0.1, frictionSlip);
+
+    // Slip estimation against the forces the assists let through last step.
+    // Like the Rapier wheel friction, a wheel with engine force ignores its brake.
+    const travelSign = v < -0.05 ? -1 : 1;
+    const lastDriveFactor = state.tcsFactor * state.escDriveFactor;
+    for (let i = 0; i < list.length; i++) {
+        const w = state.wheels[i];
+        const demand = Math.abs(driveForces[i]) > 1e-3
+            ? driveForces[i] * lastDriveFactor * travelSign
+            : -brakeForces[i] * (config.abs.enabled ? w.absFactor : 1);
+        estimateWheelSlip(w, {
+            demand,
+            grip: Math.max(0.1, list[i].frictionSlip ?? mu) * Math.max(0, list[i].normalForce),
+            speed: v,
+            radius: wheelRadius,
+            inertia: config.wheelInertia,
+            peakSlip: config.peakSlip,
+            dt: step
+        });
+    }
+
+    // ABS: release brake pressure on wheels heading into lock, reapply once they roll again.
+    let absActive = false;
+    const abs = config.abs;
+    for (let i = 0; i < list.length; i++) {
+        const w = state.wheels[i];
+        if (!abs.enabled || brakeForces[i] <= 0 || Math.abs(v) < abs.minSpeed) {
+            w.absFactor = 1;
+            continue;
+        }
+        if (w.slip < -abs.slipThreshold) w.absFactor = Math.max(abs.minFactor, w.absFactor - abs.releaseRate * step);
+        else w.absFactor = Math.min(1, w.absFactor + abs.applyRate * step);
+        if (w.absFactor < 0.999) absActive = true;
+        brakeForces[i] *= w.absFactor;
+    }
+    markActive(state.abs, absActive, state.time);
+
+    // Traction control: one engine-torque cut factor driven by the worst spinning drive wheel.
+    const tcs = config.tcs;
+    let maxDriveSlip = 0;
+    let driving = false;
+    for (let i = 0; i < list.length; i++) {
+        if (Math.abs(driveForces[i]) < 1e-3) continue;
+        driving = true;
+        maxDriveSlip = Math.max(maxDriveSlip, state.wheels[i].slip);
+    }
+    if (!tcs.enabled || !driving || Math.abs(v) < tcs.minSpeed) {
+        state.tcsFactor = 1;
+    } else if (maxDriveSlip > tcs.slipThreshold) {
+        state.tcsFactor = Math.max(tcs.minFactor, state.tcsFactor - tcs.cutRate * step);
+    } else {
+        state.tcsFactor = Math.min(1, state.tcsFactor + tcs.recoverRate * step);
+    }
+    markActive(state.tcs, state.tcsFactor < 0.999, state.time);
+
+    // Stability control: brake a single axle side to pull the measured yaw rate back toward the reference.
+    const esc = config.esc;
+    state.yawRateRef = computeReferenceYawRate(v, steerAngle, wheelbase, esc);
+    state.yawRateError = yawRate - state.yawRateRef;
+    for (const w of state.wheels) w.escBrake = 0;
+    state.escDriveFactor = 1;
+    state.esc.mode = null;
+    const errorAbs = Math.abs(state.yawRateError);
+    if (esc.enabled && v >= esc.minSpeed && errorAbs > esc.yawRateThreshold) {
+        const intensity = clamp((errorAbs - esc.yawRateThreshold) * esc.gain, 0, 1);
+        const oversteer = Math.abs(yawRate) > Math.abs(state.yawRateRef);
+        const side = -Math.sign(state.yawRateError);
+        const extra = intensity * esc.maxBrakeFraction * Math.max(0, maxBrakeForce);
+        const targets = [];
+        for (let i = 0; i < list.length; i++) {
+            if (!!list[i].isFront !== oversteer) continue;
+            if (Math.sign(list[i].x) === side) targets.push(i);
+        }
+        for (const i of targets) {
+            const w = state.wheels[i];
+            w.escBrake = extra / targets.length;
+            brakeForces[i] += w.escBrake * (abs.enabled ? w.absFactor : 1);
+            // Rapier ignores the brake on a wheel that has engine force.
+            driveForces[i] = 0;
+        }
+        state.escDriveFactor = 1 - intensity * clamp(esc.driveCut, 0, 1);
+        state.esc.mode = oversteer ? 'oversteer' : 'understeer';
+        markActive(state.esc, targets.length > 0, state.time);
+    } else {
+        markActive(state.esc, false, state.time);
+    }
+
+    const driveFactor = state.tcsFactor * state.escDriveFactor;
+    for (let i = 0; i < driveForces.length; i++) driveForces[i] *= driveFactor;
+
+    return { brakeForces, driveForces };
+}
+
+function getDriverAssistDebug(state, config) {
+    if (!state) return null;
+    const pick = (key) => ({
+        enabled: config?.[key]?.enabled === true,
+        active: state[key].active,
+        count: state[key].count,
+        lastActiveAt: state[key].lastActiveAt
+    });
+    return {
+        abs: pick('abs'),
+        tcs: { ...pick('tcs'), factor: state.tcsFactor },
+        esc: { ...pick('esc'), mode: state.esc.mode, yawRateRef: state.yawRateRef, yawRateError: state.yawRateError },
+        wheels: state.wheels.map((w) => ({ slip: w.slip, absFactor: w.absFactor, escBrake: w.escBrake }))
+    };
+}
+
+export {
+    DEFAULT_DRIVER_ASSIST,
+    computeDriverAssist,
+    computeReferenceYawRate,
+    createDriverAssistState,
+    estimateWheelSlip,
+    getDriverAssistDebug,
+    resolveDriverAssistConfig
+};
@@ -0,0 +1,322 @@
+// src/app/physics/simulations/ElectricPowertrainSim.js
+// Electric traction motor, regenerative braking and battery math only; does not move vehicles or apply forces.
+// Used for `powertrain: 'electric'` (motor only) and `'hybrid'` (motor assisting the diesel driveline).
+import { clamp, finiteOr } from '../../utils/number.js';
+
+const POWERTRAIN_TYPES = ['diesel', 'electric', 'hybrid'];
+
+// Torque is N*m at the motor shaft; `reduction` is the single-speed ratio from motor to wheels.
+const DEFAULT_ELECTRIC_MOTOR = {
+    maxTorque: 2600,
+    maxPowerKw: 250,
+    maxRpm: 4200,
+    reduction: 12,
+    efficiency: 0.92,
+    reverseTorqueFrac: 0.5,
+    regenMaxPowerKw: 160,
+    regenMinSpeed: 1.5,
+    coastRegen: 0.08,
+    regenStages: 4
+};
+
+const DEFAULT_BATTERY = {
+    capacityKwh: 320,
+    initialSoc: 0.85,
+    minSoc: 0.03,
+    limpSoc: 0.1,
+    limpPowerFrac: 0.3,
+    fullSoc: 0.98,
+    auxPowerKw: 6
+};
+
+// Charge-sustaining strategy: assist above `targetSoc - band`, otherwise load the engine to recharge.
+const DEFAULT_HYBRID = {
+    targetSoc: 0.6,
+    band: 0.05,
+    chargePowerKw: 40,
+    chargeMinSpeed: 2
+};
+
+function omegaToRpm(omega) {
+    return (omega ?? 0) * 60 / (Math.PI * 2);
+}
+
+function normalizePowertrainType(type) {
+    const key = String(type ?? '').toLowerCase();
+    return POWERTRAIN_TYPES.includes(key) ? key : 'diesel';
+}
+
+function mergeNumbers(defaults, src) {
+    const input = src && typeof src === 'object' ? src : {};
+    const out = {};
+    for (const [key, fallback] of Object.entries(defaults)) out[key] = finiteOr(input[key], fallback);
+    return out;
+}
+
+/**
+ * `electric`: { motor, battery, hybrid } bus tuning; motor torque and power scale with the bus length like the diesel engine.
+ * `hybrid` settings are only kept when `type === 'hybrid'`.
+ */
+function buildElectricConfig(electric, lengthScale, type = 'electric') {
+    const src = electric && typeof electric === 'object' ? electric : {};
+    const scale = Number.isFinite(lengthScale) ? lengthScale : 1;
+    const motor = mergeNumbers(DEFAULT_ELECTRIC_MOTOR, src.motor);
+    motor.maxTorque = Math.max(0, motor.maxTorque * scale);
+    motor.maxPowerKw = Math.max(0, motor.maxPowerKw * scale);
+    motor.regenMaxPowerKw = Math.max(0, motor.regenMaxPowerKw * scale);
+    motor.maxRpm = Math.max(1, motor.maxRpm);
+    motor.reduction = Math.max(0.1, motor.reduction);
+    motor.efficiency = clamp(motor.efficiency, 0.1, 1);
+    motor.regenStages = Math.max(1, Math.round(motor.regenStages));
+    const battery = mergeNumbers(DEFAULT_BATTERY, src.battery);
+    battery.capacityKwh = Math.max(0.1, battery.capacityKwh);
+    battery.initialSoc = clamp(battery.initialSoc, 0, 1);
+    return {
+        type: normalizePowertrainType(type),
+        motor,
+        battery,
+        hybrid: type === 'hybrid' ? mergeNumbers(DEFAULT_HYBRID, src.hybrid) : null
+    };
+}
+
+function createElectricState(electricConfig) {
+    return {
+        soc: electricConfig?.battery?.initialSoc ?? DEFAULT_BATTERY.initialSoc,
+        direction: 1,
+        motorRpm: 0,
+        motorTorque: 0,
+        powerKw: 0,
+        regenForce: 0,
+        charging: false,
+        tripKm: 0,
+        tripKwh: 0,
+        regenKwh: 0
+    };
+}
+
+/**
+ * Motor shaft torque limit: flat `maxTorque` up to the base speed, constant power above it, nothing past `maxRpm`.
+ * @returns {number} N*m (>= 0).
+ */
+function computeMotorTorqueLimit(motor, motorOmega, powerKw = motor?.maxPowerKw) {
+    if (!motor) return 0;
+    const omega = Math.abs(finiteOr(motorOmega, 0));
+    if (omegaToRpm(omega) >= motor.maxRpm) return 0;
+    const powerCap = omega > 1e-3 ? (Math.max(0, powerKw) * 1000) / omega : Infinity;
+    return Math.min(motor.maxTorque, powerCap);
+}
+
+/**
+ * Traction power available from the battery as a fraction of the motor rating (limp mode when nearly empty).
+ */
+function computeTractionDerate(battery, soc) {
+    if (soc <= battery.minSoc) return 0;
+    if (soc >= battery.limpSoc) return 1;
+    const t = (soc - battery.minSoc) / Math.max(1e-6, battery.limpSoc - battery.minSoc);
+    return battery.limpPowerFrac * t;
+}
+
+/**
+ * Regen acceptance; a full battery cannot take more charge.
+ */
+function computeRegenAcceptance(battery, soc) {
+    if (soc >= 1) return 0;
+    if (soc <= battery.fullSoc) return 1;
+    return clamp((1 - soc) / Math.max(1e-6, 1 - battery.fullSoc), 0, 1);
+}
+
+/**
+ * Largest regenerative braking force (N, total at the wheels) the motor can absorb at this speed.
+ * Fades out below `regenMinSpeed`, where the friction brakes bring the bus to rest.
+ */
+function computeRegenForceLimit(electricConfig, electricState, speed, wheelRadius) {
+    const motor = electricConfig?.motor;
+    if (!motor) return 0;
+    const v = Math.abs(finiteOr(speed, 0));
+    const r = Math.max(0.05, finiteOr(wheelRadius, 0.5));
+    const motorOmega = (v / r) * motor.reduction;
+    const torque = computeMotorTorqueLimit(motor, motorOmega, motor.regenMaxPowerKw);
+    const fade = clamp(v / Math.max(0.1, motor.regenMinSpeed), 0, 1);
+    return ((torque * motor.reduction) / r) * fade * computeRegenAcceptance(electricConfig.battery, electricState.soc);
+}
+
+/**
+ * One powertrain step.
+ * - `throttle` drives the motor (or assists the engine for hybrids) in `direction` (+1 forward, -1 reverse, 0 neutral).
+ * - `brakeForce` (N, total) is the driver's brake demand; regen takes as much of it as it can and the rest is returned
+ *   as `frictionBrakeForce` for the wheel brakes.
+ * - `regenLevel` (0..1) adds off-throttle regen like a retarder stalk; `coastRegen` is the minimum.
+ * - `engineDriving` lets a hybrid under its target SOC recharge from the engine while it pulls.
+ * @returns {{driveForceTotal:number, driveForce:number, regenForce:number, frictionBrakeForce:number, motorRpm:number, motorTorque:number, powerKw:number, soc:number, charging:boolean, consumptionKwhPerKm:number, rangeKm:number|null}}
+ */
+function computeElectricOutput(electricConfig, electricState, {
+    speed,
+    wheelRadius,
+    throttle,
+    brakeForce = 0,
+    regenLevel = 0,
+    direction = electricState?.direction ?? 1,
+    engineDriving = false,
+    dt = 1 / 60,
+    driveWheelCount = 2
+}) {
+    const { motor, battery, hybrid } = electricConfig;
+    const step = Math.max(0, finiteOr(dt, 0));
+    const v = finiteOr(speed, 0);
+    const r = Math.max(0.05, finiteOr(wheelRadius, 0.5));
+    const dir = Math.sign(finiteOr(direction, 0));
+    const pedal = clamp(finiteOr(throttle, 0), 0, 1);
+    const demand = Math.max(0, finiteOr(brakeForce, 0));
+    const motorOmega = (Math.abs(v) / r) * motor.reduction;
+    const toWheelForce = (torque) => (torque * motor.reduction) / r;
+
+    // Traction (or hybrid assist) torque at the motor shaft; negative torque charges the battery.
+    let motorTorque = 0;
+    let charging = false;
+    if (dir !== 0 && pedal > 0.01) {
+        const limit = computeMotorTorqueLimit(motor, motorOmega, motor.maxPowerKw * computeTractionDerate(battery, electricState.soc));
+        const assist = limit * pedal * (dir < 0 ? clamp(motor.reverseTorqueFrac, 0, 1) : 1);
+        if (hybrid && electricState.soc < hybrid.targetSoc - hybrid.band) {
+            if (engineDriving && Math.abs(v) >= hybrid.chargeMinSpeed) {
+                const chargeTorque = computeMotorTorqueLimit(motor, motorOmega, hybrid.chargePowerKw);
+                const fill = clamp((hybrid.targetSoc - electricState.soc) / Math.max(1e-6, hybrid.band * 2), 0, 1);
+                motorTorque = -chargeTorque * fill * computeRegenAcceptance(battery, electricState.soc);
+                charging = motorTorque < 0;
+            }
+        } else {
+            motorTorque = assist;
+        }
+    }
+
+    // Regen: first the brake pedal, then coast regen / the regen stalk while off the throttle.
+    const regenLimit = dir !== 0 ? computeRegenForceLimit(electricConfig, electricState, v, r) : 0;
+    const pedalRegen = Math.min(demand, regenLimit);
+    let coastRegen = 0;
+    if (pedal <= 0.05) {
+        const level = Math.max(clamp(motor.coastRegen, 0, 1), clamp(finiteOr(regenLevel, 0), 0, 1));
+        coastRegen = Math.max(0, (regenLimit - pedalRegen)) * level;
+    }
+    const regenForce = pedalRegen + coastRegen;
+    const frictionBrakeForce = demand - pedalRegen;
+
+    // Electrical power (kW): positive drains the battery, negative charges it.
+    const driveForceTotal = toWheelForce(motorTorque) * dir;
+    const mechKw = (motorTorque * motorOmega) / 1000;
+    const regenMechKw = (regenForce * Math.abs(v)) / 1000;
+    const tractionKw = mechKw >= 0 ? mechKw / motor.efficiency : mechKw * motor.efficiency;
+    const powerKw = tractionKw - (regenMechKw * motor.efficiency) + (hybrid ? 0 : battery.auxPowerKw);
+    const energyKwh = (powerKw * step) / 3600;
+    electricState.soc = clamp(electricState.soc - energyKwh / battery.capacityKwh, 0, 1);
+    electricState.tripKm += (Math.abs(v) * step) / 1000;
+    electricState.tripKwh += energyKwh;
+    if (powerKw < 0) electricState.regenKwh -= energyKwh;
+
+    electricState.motorRpm = omegaToRpm(motorOmega);
+    electricState.motorTorque = motorTorque;
+    electricState.powerKw = powerKw;
+    electricState.regenForce = regenForce;
+    electricState.charging = charging || regenForce > 1;
+
+    const consumption = getElectricConsumption(electricConfig, electricState);
+    return {
+        driveForceTotal,
+        driveForce: driveForceTotal / Math.max(1, driveWheelCount),
+        regenForce,
+        frictionBrakeForce,
+        motorRpm: electricState.motorRpm,
+        motorTorque,
+        powerKw,
+        soc: electricState.soc,
+        charging: electricState.charging,
+        ...consumption
+    };
+}
+
+/**
+ * Trip consumption (kWh/km, net of regen) and the range left on the usable charge at that rate.
+ */
+function getElectricConsumption(electricConfig, electricState) {
+    const km = electricState?.tripKm ?? 0;
+    const consumptionKwhPerKm = km > 0.05 ? electricState.tripKwh / km : 0;
+    const battery = electricConfig?.battery ?? DEFAULT_BATTERY;
+    const usableKwh = Math.max(0, (electricState?.soc ?? 0) - battery.minSoc) * battery.capacityKwh;
+    return {
+        consumptionKwhPerKm,
+        rangeKm: consumptionKwhPerKm > 0.01 ? usableKwh / consumptionKwhPerKm : null
+    };
+}
+
+/**
+ * Adds charge to the battery (depot charging).
+ * @returns {number} kWh actually stored.
+ */
+function chargeBattery(electricConfig, electricState, kwh) {
+    if (!electricState) return 0;
+    const capacity = electricConfig?.battery?.capacityKwh ?? DEFAULT_BATTERY.capacityKwh;
+    const space = Math.max(0, (1 - electricState.soc) * capacity);
+    const added = clamp(finiteOr(kwh, 0), 0, space);
+    electricState.soc = clamp(electricState.soc + added / capacity, 0, 1);
+    return added;
+}
+
+/**
+ * Drive selector for electric buses: R, N and D (+1 moves towards D).
+ * @returns {boolean} True when the direction changed.
+ */
+function requestDirectionShift(electricState, direction) {
+    if (!electricState) return false;
+    const step = Math.sign(finiteOr(direction, 0));
+    const next = clamp(Math.round(electricState.direction) + step, -1, 1);
+    if (!step || next === electricState.direction) return false;
+    electricState.direction = next;
+    return true;
+}
+
+function directionLabel(direction) {
+    if (direction > 0) return 'D';
+    if (direction < 0) return 'R';
+    return 'N';
+}
+
+const ELECTRIC_SNAPSHOT_KEYS = ['soc', 'direction', 'tripKm', 'tripKwh', 'regenKwh'];
+
+// Persistent part of an electric state (save games).
+function snapshotElectricState(electricState) {
+    if (!electricState) return null;
+    const out = {};
+    for (const key of ELECTRIC_SNAPSHOT_KEYS) {
+        const value = Number(electricState[key]);
+        out[key] = Number.isFinite(value) ? value : 0;
+    }
+    return out;
+}
+
+function restoreElectricState(electricState, snapshot) {
+    if (!electricState || !snapshot || typeof snapshot !== 'object') return electricState;
+    for (const key of ELECTRIC_SNAPSHOT_KEYS) {
+        const value = Number(snapshot[key]);
+        if (Number.isFinite(value)) electricState[key] = value;
+    }
+    electricState.soc = clamp(electricState.soc, 0, 1);
+    electricState.direction = clamp(Math.round(electricState.direction), -1, 1);
+    return electricState;
+}
+
+export {
+    DEFAULT_BATTERY,
+    DEFAULT_ELECTRIC_MOTOR,
+    DEFAULT_HYBRID,
+    POWERTRAIN_TYPES,
+    buildElectricConfig,
+    chargeBattery,
+    computeElectricOutput,
+    computeMotorTorqueLimit,
+    computeRegenForceLimit,
+    createElectricState,
+    directionLabel,
+    getElectricConsumption,
+    normalizePowertrainType,
+    requestDirectionShift,
+    restoreElectricState,
+    snapshotElectricState
+};
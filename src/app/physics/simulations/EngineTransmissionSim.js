@@ -1,5 +1,7 @@
 // src/app/physics/simulations/EngineTransmissionSim.js
 // Powertrain math only; does not move vehicles or apply forces.
+import { clamp, lerp } from '../../utils/number.js';
+
 const DEFAULT_ENGINE_GEARS = [
     { label: 'R', ratio: -3.1 },
     { label: 'N', ratio: 0 },
@@ -22,28 +24,51 @@ const DEFAULT_ENGINE = {
     efficiency: 0.88,
     engineInertia: 9.5,
     clutchStiffness: 22.0,
+    clutchPedalStiffness: 400.0,
     clutchMaxTorque: 2200,
     clutchEngageTime: 0.25,
     clutchLockSpeed: 4.0,
     idleControlKp: 42.0,
     frictionTorque: 90.0,
     frictionViscous: 0.35,
+    exhaustBrakeTorque: 520,
     shiftTimeSec: 0.32,
     shiftCooldownSec: 0.55,
     shiftUpRpm: 2000,
     shiftDownRpm: 1100,
+    kickdownThrottle: 0.92,
+    stallRpm: 380,
+    stallRestartSec: 0.8,
+    hillHoldSec: 1.5,
+    hillHoldSpeed: 0.3,
+    hillHoldBrake: 0.55,
+    bsfc: 215,
+    bsfcPartLoad: 0.35,
+    idleFuelLph: 2.4,
+    fuelDensity: 0.835,
+    tankLiters: 300,
+    initialFuel: 0.8,
     autoShift: true,
     gears: DEFAULT_ENGINE_GEARS,
     defaultGearIndex: 2
 };
 
-function clamp(value, min, max) {
-    return Math.max(min, Math.min(max, value));
-}
+// Automatic shift maps scale `shiftUpRpm`/`shiftDownRpm`; kickdown always shifts on the power map.
+const SHIFT_MAPS = {
+    eco: { upRpmScale: 0.8, downRpmScale: 0.85 },
+    normal: { upRpmScale: 1, downRpmScale: 1 },
+    power: { upRpmScale: 1.12, downRpmScale: 1.25 }
+};
 
-function lerp(a, b, t) {
-    return a + (b - a) * t;
-}
+const SHIFT_MAP_IDS = Object.keys(SHIFT_MAPS);
+
+// Hydraulic retarder on the gearbox output shaft; torque is in N*m at the propshaft.
+const DEFAULT_RETARDER = {
+    stages: 4,
+    maxTorque: 2800,
+    fullTorqueRpm: 900,
+    maxPowerKw: 320
+};
 
 function rpmToOmega(rpm) {
     return (rpm ?? 0) * (Math.PI * 2) / 60;
@@ -114,6 +139,26 @@ function sampleTorque(engineConfig, rpm) {
     return Math.max(0, (engineConfig.maxTorque ?? DEFAULT_ENGINE.maxTorque) * Math.pow(base, sharpness));
 }
 
+/**
+ * Fuel flow for the torque the engine is producing (throttle plus idle control).
+ * Brake specific consumption (`bsfc`, g/kWh) worsens at part load; a running engine never drops below `idleFuelLph`.
+ * @returns {number} Litres per hour.
+ */
+function computeFuelRate(engineConfig, { rpm, torque, running = true }) {
+    if (!running) return 0;
+    const config = engineConfig ?? DEFAULT_ENGINE;
+    const rpmValue = Math.max(0, Number.isFinite(rpm) ? rpm : 0);
+    const fueledTorque = Math.max(0, Number.isFinite(torque) ? torque : 0);
+    const peak = sampleTorque(config, rpmValue);
+    const load = peak > 0 ? clamp(fueledTorque / peak, 0, 1) : 0;
+    const bsfc = Math.max(0, config.bsfc ?? DEFAULT_ENGINE.bsfc)
+        * (1 + Math.max(0, config.bsfcPartLoad ?? DEFAULT_ENGINE.bsfcPartLoad) * (1 - load) * (1 - load));
+    const powerKw = (fueledTorque * rpmToOmega(rpmValue)) / 1000;
+    const density = Math.max(0.1, config.fuelDensity ?? DEFAULT_ENGINE.fuelDensity);
+    const loadLph = (powerKw * bsfc) / (density * 1000);
+    return Math.max(Math.max(0, config.idleFuelLph ?? DEFAULT_ENGINE.idleFuelLph), loadLph);
+}
+
 function computeEngineOutput(engineConfig, engineState, speed, wheelRadius, throttle, dt = 1 / 60, driveWheelCount = 2) {
     const gears = engineState.gears;
     const forwardIndices = engineState.forwardIndices;
@@ -146,37 +191,45 @@ function computeEngineOutput(engineConfig, engineState, speed, wheelRadius, thro
     const currentRpm = omegaToRpm(omega);
     const currentDrivelineRpm = omegaToRpm(Math.abs(wheelOmega * driveRatioForIndex(gearIndex)));
 
-    if (engineConfig.autoShift && !engineState.manual && forwardIndices.length && engineState.shiftCooldown <= 0) {
-        if (!forwardIndices.includes(gearIndex)) {
-            gearIndex = forwardIndices[0];
-        } else {
-            const upRpm = engineConfig.shiftUpRpm ?? DEFAULT_ENGINE.shiftUpRpm;
-            const downRpm = engineConfig.shiftDownRpm ?? DEFAULT_ENGINE.shiftDownRpm;
-            const pos = forwardIndices.indexOf(gearIndex);
-
-            const canUpshift = (pos >= 0) && (pos < forwardIndices.length - 1) && throttle > 0.05 && speedAbs > 0.25;
-            const canDownshift = (pos > 0);
-
-            if (canUpshift && currentDrivelineRpm > upRpm) {
-                const candidate = forwardIndices[pos + 1];
-                const predictedOmega = Math.abs(wheelOmega * driveRatioForIndex(candidate));
-                const predictedRpm = omegaToRpm(predictedOmega);
-                if (predictedRpm > downRpm * 1.08) {
-                    gearIndex = candidate;
-                }
-            } else if (canDownshift && currentDrivelineRpm < downRpm) {
-                const candidate = forwardIndices[pos - 1];
-                const predictedOmega = Math.abs(wheelOmega * driveRatioForIndex(candidate));
-                const predictedRpm = omegaToRpm(predictedOmega);
-                if (predictedRpm < redlineRpm * 0.98) {
-                    gearIndex = candidate;
-                }
+    const kickdownThrottle = engineConfig.kickdownThrottle ?? DEFAULT_ENGINE.kickdownThrottle;
+    const kickdown = !engineState.manual && throttle >= kickdownThrottle;
+    engineState.kickdown = kickdown;
+
+    // Automatic mode only shifts between forward gears; N and R are held until the driver selects D.
+    if (engineConfig.autoShift && !engineState.manual && forwardIndices.includes(gearIndex) && engineState.shiftCooldown <= 0) {
+        const map = SHIFT_MAPS[kickdown ? 'power' : engineState.shiftMap] ?? SHIFT_MAPS.normal;
+        const upRpm = (engineConfig.shiftUpRpm ?? DEFAULT_ENGINE.shiftUpRpm) * map.upRpmScale;
+        const downRpm = (engineConfig.shiftDownRpm ?? DEFAULT_ENGINE.shiftDownRpm) * map.downRpmScale;
+        const pos = forwardIndices.indexOf(gearIndex);
+
+        const canUpshift = (pos >= 0) && (pos < forwardIndices.length - 1) && throttle > 0.05 && speedAbs > 0.25;
+        const canDownshift = (pos > 0);
+        const kickdownOmega = canDownshift
+            ? Math.abs(wheelOmega * driveRatioForIndex(forwardIndices[pos - 1]))
+            : 0;
+
+        if (kickdown && canDownshift && omegaToRpm(kickdownOmega) < upRpm * 0.92) {
+            gearIndex = forwardIndices[pos - 1];
+        } else if (canUpshift && currentDrivelineRpm > upRpm) {
+            const candidate = forwardIndices[pos + 1];
+            const predictedOmega = Math.abs(wheelOmega * driveRatioForIndex(candidate));
+            const predictedRpm = omegaToRpm(predictedOmega);
+            if (predictedRpm > downRpm * 1.08) {
+                gearIndex = candidate;
+            }
+        } else if (canDownshift && currentDrivelineRpm < downRpm) {
+            const candidate = forwardIndices[pos - 1];
+            const predictedOmega = Math.abs(wheelOmega * driveRatioForIndex(candidate));
+            const predictedRpm = omegaToRpm(predictedOmega);
+            if (predictedRpm < redlineRpm * 0.98) {
+                gearIndex = candidate;
             }
         }
     }
 
     const prevGear = engineState.gearIndex;
     if (prevGear !== gearIndex) {
+        engineState.shiftFrom = prevGear;
         const shiftTimeSec = Math.max(0, engineConfig.shiftTimeSec ?? DEFAULT_ENGINE.shiftTimeSec);
         engineState.shiftTimer = shiftTimeSec;
         const cooldownSec = Math.max(shiftTimeSec, engineConfig.shiftCooldownSec ?? DEFAULT_ENGINE.shiftCooldownSec);
@@ -190,10 +243,30 @@ function computeEngineOutput(engineConfig, engineState, speed, wheelRadius, thro
 
     const drivelineOmega = Math.abs(wheelOmega * driveRatio);
 
-    const clutchTarget = (Math.abs(driveRatio) > 1e-4) && (speedAbs > 0.35 || throttle > 0.04) ? 1 : 0;
-    const clutchTau = Math.max(1e-3, engineConfig.clutchEngageTime ?? DEFAULT_ENGINE.clutchEngageTime);
-    const clutchAlpha = 1 - Math.exp(-clampedDt / clutchTau);
-    engineState.clutch = lerp(Number.isFinite(engineState.clutch) ? engineState.clutch : clutchTarget, clutchTarget, clutchAlpha);
+    // Pedal clutch: the driver owns engagement (no launch assist) and the engine can stall.
+    const byPedal = engineState.clutchByPedal === true;
+    if (byPedal) {
+        engineState.clutch = Math.abs(driveRatio) > 1e-4 ? 1 - clamp(engineState.clutchPedal ?? 0, 0, 1) : 0;
+    } else {
+        const clutchTarget = (Math.abs(driveRatio) > 1e-4) && (speedAbs > 0.35 || throttle > 0.04) ? 1 : 0;
+        const clutchTau = Math.max(1e-3, engineConfig.clutchEngageTime ?? DEFAULT_ENGINE.clutchEngageTime);
+        const clutchAlpha = 1 - Math.exp(-clampedDt / clutchTau);
+        engineState.clutch = lerp(Number.isFinite(engineState.clutch) ? engineState.clutch : clutchTarget, clutchTarget, clutchAlpha);
+    }
+
+    if (engineState.stalled) {
+        // An empty tank keeps the engine off until it is refuelled.
+        const canRestart = engineState.clutch < 0.1 && (engineState.fuelLiters ?? 1) > 0;
+        engineState.restartTimer = canRestart ? (engineState.restartTimer ?? 0) + clampedDt : 0;
+        if (engineState.restartTimer >= Math.max(0, engineConfig.stallRestartSec ?? DEFAULT_ENGINE.stallRestartSec)) {
+            engineState.stalled = false;
+            engineState.restartTimer = 0;
+            omega = idleOmega;
+        } else {
+            omega = 0;
+        }
+    }
+    const running = !engineState.stalled;
 
     const shiftBlend = engineState.shiftTimer > 0
         ? (1 - clamp(engineState.shiftTimer / Math.max(1e-3, engineConfig.shiftTimeSec ?? DEFAULT_ENGINE.shiftTimeSec), 0, 1))
@@ -201,21 +274,29 @@ function computeEngineOutput(engineConfig, engineState, speed, wheelRadius, thro
 
     const lockSpeed = Math.max(0.1, engineConfig.clutchLockSpeed ?? DEFAULT_ENGINE.clutchLockSpeed);
     const lockT = clamp(speedAbs / lockSpeed, 0, 1);
-    const lockFactor = 0.15 + 0.85 * (lockT * lockT * (3 - 2 * lockT));
+    const lockFactor = byPedal ? 1 : 0.15 + 0.85 * (lockT * lockT * (3 - 2 * lockT));
     const slipOmega = omega - drivelineOmega;
     const maxClutchTorque = Math.max(0, engineConfig.clutchMaxTorque ?? DEFAULT_ENGINE.clutchMaxTorque);
     const clutchStiffness = Math.max(0, engineConfig.clutchStiffness ?? DEFAULT_ENGINE.clutchStiffness);
 
     const rpmBefore = omegaToRpm(omega);
     const torqueCurve = sampleTorque(engineConfig, rpmBefore);
-    const throttleClamped = clamp(throttle, 0, 1);
+    const throttleClamped = running ? clamp(throttle, 0, 1) : 0;
     const engineTorque = torqueCurve * throttleClamped;
 
+    // Exhaust brake: extra pumping loss that grows with rpm; it brakes the bus through the engaged clutch.
+    const exhaustActive = running && engineState.exhaustBrake === true && throttleClamped < 0.05;
+    const exhaustT = clamp((omega - idleOmega) / Math.max(1e-3, redlineOmega - idleOmega), 0, 1);
+    const exhaustTorque = exhaustActive
+        ? Math.max(0, engineConfig.exhaustBrakeTorque ?? DEFAULT_ENGINE.exhaustBrakeTorque) * (0.25 + 0.75 * exhaustT)
+        : 0;
+
     const friction = Math.max(0, (engineConfig.frictionTorque ?? DEFAULT_ENGINE.frictionTorque))
-        + Math.max(0, (engineConfig.frictionViscous ?? DEFAULT_ENGINE.frictionViscous)) * Math.abs(omega);
+        + Math.max(0, (engineConfig.frictionViscous ?? DEFAULT_ENGINE.frictionViscous)) * Math.abs(omega)
+        + exhaustTorque;
 
     const idleErr = idleOmega - omega;
-    const idleAssist = idleErr > 0
+    const idleAssist = running && idleErr > 0
         ? idleErr * Math.max(0, engineConfig.idleControlKp ?? DEFAULT_ENGINE.idleControlKp)
         : 0;
 
@@ -224,12 +305,40 @@ function computeEngineOutput(engineConfig, engineState, speed, wheelRadius, thro
     const syncTorque = clutchStiffness * coupling * slipOmega;
     const desiredTorque = engineTorque + idleAssist;
     const clutchCap = maxClutchTorque * coupling;
-    let clutchTorque = desiredTorque + syncTorque;
+    let clutchTorque = byPedal
+        ? Math.max(0, engineConfig.clutchPedalStiffness ?? DEFAULT_ENGINE.clutchPedalStiffness) * slipOmega
+        : desiredTorque + syncTorque;
     clutchTorque = clamp(clutchTorque, -clutchCap, clutchCap);
 
     const inertia = Math.max(0.05, engineConfig.engineInertia ?? DEFAULT_ENGINE.engineInertia);
-    omega += ((engineTorque + idleAssist - clutchTorque - friction) / inertia) * clampedDt;
-    omega = clamp(omega, idleOmega, redlineOmega);
+    if (running) {
+        omega += ((engineTorque + idleAssist - clutchTorque - friction) / inertia) * clampedDt;
+        omega = clamp(omega, byPedal ? 0 : idleOmega, redlineOmega);
+        const stallOmega = rpmToOmega(engineConfig.stallRpm ?? DEFAULT_ENGINE.stallRpm);
+        if (byPedal && coupling > 0.25 && omega < stallOmega) {
+            engineState.stalled = true;
+            engineState.restartTimer = 0;
+            engineState.stallCount = (engineState.stallCount ?? 0) + 1;
+            omega = 0;
+        }
+    }
+
+    // Fuel burn; running dry stops the engine like a stall (not counted as one).
+    const fuelRateLph = computeFuelRate(engineConfig, {
+        rpm: omegaToRpm(omega),
+        torque: engineTorque + idleAssist,
+        running: !engineState.stalled
+    });
+    const burned = Math.min(Math.max(0, engineState.fuelLiters ?? 0), (fuelRateLph * clampedDt) / 3600);
+    engineState.fuelLiters = Math.max(0, (engineState.fuelLiters ?? 0) - burned);
+    engineState.fuelUsedLiters = (engineState.fuelUsedLiters ?? 0) + burned;
+    if (speedAbs < 0.3) engineState.idleFuelLiters = (engineState.idleFuelLiters ?? 0) + burned;
+    engineState.fuelRateLph = fuelRateLph;
+    if (engineState.fuelLiters <= 0 && !engineState.stalled) {
+        engineState.stalled = true;
+        engineState.restartTimer = 0;
+        omega = 0;
+    }
 
     const rpm = omegaToRpm(omega);
 
@@ -247,6 +356,7 @@ function computeEngineOutput(engineConfig, engineState, speed, wheelRadius, thro
     engineState.clutchTorque = clutchTorque;
     engineState.coupling = coupling;
     engineState.shiftBlend = shiftBlend;
+    engineState.exhaustBrakeTorque = exhaustTorque;
 
     return {
         gearIndex: engineState.gearIndex,
@@ -263,7 +373,14 @@ function computeEngineOutput(engineConfig, engineState, speed, wheelRadius, thro
         coupling: engineState.coupling,
         shiftBlend: engineState.shiftBlend,
         shiftTimer: engineState.shiftTimer,
-        shiftCooldown: engineState.shiftCooldown
+        shiftCooldown: engineState.shiftCooldown,
+        stalled: engineState.stalled === true,
+        kickdown: engineState.kickdown === true,
+        exhaustBrakeActive: exhaustActive,
+        exhaustBrakeTorque: exhaustTorque,
+        fuelRateLph,
+        fuelLiters: engineState.fuelLiters,
+        outOfFuel: engineState.fuelLiters <= 0
     };
 }
 
@@ -275,6 +392,7 @@ function createEngineState(engineConfig) {
         .map((entry) => entry.index);
     const gearIndex = resolveDefaultGearIndex(gears, engineConfig?.defaultGearIndex ?? DEFAULT_ENGINE.defaultGearIndex);
     const idleRpm = engineConfig?.idleRpm ?? DEFAULT_ENGINE.idleRpm;
+    const tankLiters = Math.max(0, engineConfig?.tankLiters ?? DEFAULT_ENGINE.tankLiters);
     return {
         gears,
         forwardIndices,
@@ -288,15 +406,206 @@ function createEngineState(engineConfig) {
         clutch: 1,
         shiftTimer: 0,
         shiftCooldown: 0,
-        manual: false
+        manual: false,
+        clutchByPedal: false,
+        clutchPedal: 0,
+        stalled: false,
+        restartTimer: 0,
+        stallCount: 0,
+        kickdown: false,
+        shiftMap: 'normal',
+        shiftFrom: gearIndex,
+        hillHoldTimer: 0,
+        hillHold: false,
+        exhaustBrake: false,
+        exhaustBrakeTorque: 0,
+        tankLiters,
+        fuelLiters: tankLiters * clamp(engineConfig?.initialFuel ?? DEFAULT_ENGINE.initialFuel, 0, 1),
+        fuelUsedLiters: 0,
+        idleFuelLiters: 0,
+        fuelRateLph: 0
     };
 }
 
+/**
+ * Tops up the tank (depot refuelling).
+ * @returns {number} Litres actually added.
+ */
+function refuelEngine(engineState, liters) {
+    if (!engineState) return 0;
+    const space = Math.max(0, (engineState.tankLiters ?? 0) - (engineState.fuelLiters ?? 0));
+    const added = clamp(Number.isFinite(liters) ? liters : 0, 0, space);
+    engineState.fuelLiters = (engineState.fuelLiters ?? 0) + added;
+    return added;
+}
+
+function buildRetarderConfig(retarder) {
+    if (retarder === false) return null;
+    const base = { ...DEFAULT_RETARDER, ...(retarder && typeof retarder === 'object' ? retarder : {}) };
+    return {
+        stages: Math.max(1, Math.round(Number.isFinite(base.stages) ? base.stages : DEFAULT_RETARDER.stages)),
+        maxTorque: Math.max(0, Number.isFinite(base.maxTorque) ? base.maxTorque : DEFAULT_RETARDER.maxTorque),
+        fullTorqueRpm: Math.max(1, Number.isFinite(base.fullTorqueRpm) ? base.fullTorqueRpm : DEFAULT_RETARDER.fullTorqueRpm),
+        maxPowerKw: Math.max(0, Number.isFinite(base.maxPowerKw) ? base.maxPowerKw : DEFAULT_RETARDER.maxPowerKw)
+    };
+}
+
+/**
+ * Retarder braking torque at the propshaft for a stalk position (0 = off).
+ * Torque builds with the square of shaft speed up to `fullTorqueRpm`, then is capped by `maxTorque` and `maxPowerKw`.
+ * @returns {number} Braking torque (N*m, >= 0).
+ */
+function computeRetarderTorque(retarderConfig, shaftOmega, stage) {
+    if (!retarderConfig) return 0;
+    const level = clamp(Math.round(Number.isFinite(stage) ? stage : 0), 0, retarderConfig.stages) / retarderConfig.stages;
+    if (level <= 0) return 0;
+    const omega = Math.abs(Number.isFinite(shaftOmega) ? shaftOmega : 0);
+    const rise = Math.min(1, Math.pow(omegaToRpm(omega) / retarderConfig.fullTorqueRpm, 2));
+    const torque = retarderConfig.maxTorque * level * rise;
+    const powerCap = omega > 1e-3 ? (retarderConfig.maxPowerKw * 1000 * level) / omega : Infinity;
+    return Math.min(torque, powerCap);
+}
+
+function startShift(engineConfig, engineState, gearIndex) {
+    if (gearIndex === engineState.gearIndex) return false;
+    engineState.shiftFrom = engineState.gearIndex;
+    const shiftTimeSec = Math.max(0, engineConfig?.shiftTimeSec ?? DEFAULT_ENGINE.shiftTimeSec);
+    engineState.gearIndex = gearIndex;
+    engineState.shiftTimer = shiftTimeSec;
+    engineState.shiftCooldown = Math.max(
+        engineState.shiftCooldown ?? 0,
+        Math.max(shiftTimeSec, engineConfig?.shiftCooldownSec ?? DEFAULT_ENGINE.shiftCooldownSec)
+    );
+    return true;
+}
+
+/**
+ * Driver transmission modes: 'auto' shifts forward gears by itself with a launch-assisted clutch;
+ * 'manual' holds the selected gear and hands the clutch to the pedal (`clutchPedal`, 1 = pressed).
+ */
+function setTransmissionMode(engineState, mode) {
+    if (!engineState) return;
+    const manual = mode === 'manual';
+    engineState.manual = manual;
+    engineState.clutchByPedal = manual;
+    if (!manual) engineState.stalled = false;
+}
+
+function getTransmissionMode(engineState) {
+    return engineState?.clutchByPedal ? 'manual' : 'auto';
+}
+
+function setShiftMap(engineState, map) {
+    if (!engineState || !SHIFT_MAPS[map]) return;
+    engineState.shiftMap = map;
+}
+
+/**
+ * Sequential shift request (+1 up, -1 down) through the gear list order (R, N, 1..n).
+ * In automatic mode the selector moves R <-> N <-> D: any forward gear counts as D.
+ * @returns {boolean} True when the gear changed.
+ */
+function requestGearShift(engineConfig, engineState, direction) {
+    if (!engineState || !Array.isArray(engineState.gears) || !engineState.gears.length) return false;
+    const dir = Math.sign(direction);
+    if (!dir) return false;
+    const forward = engineState.forwardIndices ?? [];
+    const current = engineState.gearIndex;
+    const last = engineState.gears.length - 1;
+    if (!engineState.manual && forward.length) {
+        if (forward.includes(current)) {
+            return dir < 0 && current === forward[0] && current > 0 ? startShift(engineConfig, engineState, current - 1) : false;
+        }
+        const next = clamp(current + dir, 0, last);
+        return startShift(engineConfig, engineState, forward.includes(next) ? forward[0] : next);
+    }
+    return startShift(engineConfig, engineState, clamp(current + dir, 0, last));
+}
+
+/**
+ * Hill-hold: after a stop on the brake, keeps a holding brake for `hillHoldSec` once the pedal is released,
+ * or until the drivetrain takes up the load (throttle with the clutch biting).
+ * @returns {number} Brake input (0..1) to hold with.
+ */
+function updateHillHold(engineConfig, engineState, { speed, brake, throttle, dt }) {
+    if (!engineState) return 0;
+    const holdSec = Math.max(0, engineConfig?.hillHoldSec ?? DEFAULT_ENGINE.hillHoldSec);
+    const stopped = Math.abs(Number.isFinite(speed) ? speed : 0) < Math.max(0, engineConfig?.hillHoldSpeed ?? DEFAULT_ENGINE.hillHoldSpeed);
+    const step = Number.isFinite(dt) ? Math.max(0, dt) : 0;
+    if (stopped && brake > 0.2) {
+        engineState.hillHoldTimer = holdSec;
+        engineState.hillHold = false;
+        return 0;
+    }
+    const gear = engineState.gears?.[engineState.gearIndex];
+    const driving = throttle > 0.05 && (gear?.ratio ?? 0) !== 0 && (engineState.clutch ?? 0) > 0.5 && !engineState.stalled;
+    if (brake > 0.05 || driving || !(engineState.hillHoldTimer > 0)) {
+        engineState.hillHoldTimer = driving ? 0 : engineState.hillHoldTimer;
+        engineState.hillHold = false;
+        return 0;
+    }
+    engineState.hillHoldTimer = Math.max(0, engineState.hillHoldTimer - step);
+    engineState.hillHold = engineState.hillHoldTimer > 0;
+    return engineState.hillHold ? clamp(engineConfig?.hillHoldBrake ?? DEFAULT_ENGINE.hillHoldBrake, 0, 1) : 0;
+}
+
+const ENGINE_SNAPSHOT_KEYS = [
+    'gearIndex', 'rpm', 'omega', 'drivelineRpm', 'clutch', 'shiftTimer', 'shiftCooldown',
+    'fuelLiters', 'fuelUsedLiters', 'idleFuelLiters'
+];
+
+// Persistent part of an engine state (save games); gears come from the engine config on restore.
+function snapshotEngineState(engineState) {
+    if (!engineState) return null;
+    const out = {
+        manual: !!engineState.manual,
+        clutchByPedal: !!engineState.clutchByPedal,
+        stalled: !!engineState.stalled,
+        shiftMap: SHIFT_MAPS[engineState.shiftMap] ? engineState.shiftMap : 'normal'
+    };
+    for (const key of ENGINE_SNAPSHOT_KEYS) {
+        const value = Number(engineState[key]);
+        out[key] = Number.isFinite(value) ? value : 0;
+    }
+    return out;
+}
+
+function restoreEngineState(engineState, snapshot) {
+    if (!engineState || !snapshot || typeof snapshot !== 'object') return engineState;
+    for (const key of ENGINE_SNAPSHOT_KEYS) {
+        const value = Number(snapshot[key]);
+        if (Number.isFinite(value)) engineState[key] = value;
+    }
+    const gearCount = engineState.gears?.length ?? 0;
+    engineState.gearIndex = clamp(Math.round(engineState.gearIndex), 0, Math.max(0, gearCount - 1));
+    engineState.fuelLiters = clamp(engineState.fuelLiters, 0, engineState.tankLiters ?? engineState.fuelLiters);
+    engineState.manual = !!snapshot.manual;
+    engineState.clutchByPedal = !!snapshot.clutchByPedal;
+    engineState.stalled = engineState.clutchByPedal && !!snapshot.stalled;
+    if (SHIFT_MAPS[snapshot.shiftMap]) engineState.shiftMap = snapshot.shiftMap;
+    if (!Number.isFinite(Number(snapshot.omega)) && Number.isFinite(Number(snapshot.rpm))) engineState.omega = rpmToOmega(engineState.rpm);
+    return engineState;
+}
+
 export {
     DEFAULT_ENGINE,
     DEFAULT_ENGINE_GEARS,
+    DEFAULT_RETARDER,
+    SHIFT_MAPS,
+    SHIFT_MAP_IDS,
     buildEngineConfig,
+    buildRetarderConfig,
     computeEngineOutput,
+    computeFuelRate,
+    computeRetarderTorque,
     createEngineState,
-    gearLabelToNumber
+    gearLabelToNumber,
+    getTransmissionMode,
+    refuelEngine,
+    requestGearShift,
+    restoreEngineState,
+    setShiftMap,
+    setTransmissionMode,
+    snapshotEngineState,
+    updateHillHold
 };
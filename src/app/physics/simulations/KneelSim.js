@@ -0,0 +1,109 @@
+// src/app/physics/simulations/KneelSim.js
+// Kneeling suspension and wheelchair ramp sequencing math only (no Rapier).
+// Kneeling lowers the curb-side (door side, -X) suspension; the ramp folds out once fully kneeled and is stowed before rising.
+import { clamp, finiteOr } from '../../utils/number.js';
+
+const DEFAULT_KNEEL = {
+    drop: 0.09,
+    kneelTime: 1.6,
+    rampTime: 2.2,
+    maxSpeed: 0.5,
+    holdBrake: 0.6,
+    side: -1,
+    ramp: true
+};
+
+const EPS = 1e-4;
+
+/**
+ * Normalizes `spec.kneel`; returns null for buses that cannot kneel.
+ */
+function buildKneelConfig(kneel) {
+    if (!kneel || typeof kneel !== 'object') return null;
+    return {
+        drop: clamp(finiteOr(kneel.drop, DEFAULT_KNEEL.drop), 0.01, 0.2),
+        kneelTime: Math.max(0.1, finiteOr(kneel.kneelTime, DEFAULT_KNEEL.kneelTime)),
+        rampTime: Math.max(0.1, finiteOr(kneel.rampTime, DEFAULT_KNEEL.rampTime)),
+        maxSpeed: Math.max(0, finiteOr(kneel.maxSpeed, DEFAULT_KNEEL.maxSpeed)),
+        holdBrake: clamp(finiteOr(kneel.holdBrake, DEFAULT_KNEEL.holdBrake), 0, 1),
+        side: kneel.side === 1 ? 1 : DEFAULT_KNEEL.side,
+        ramp: kneel.ramp !== false
+    };
+}
+
+function createKneelState() {
+    return {
+        requested: false,
+        level: 0,
+        ramp: 0,
+        phase: 'up',
+        kneeled: false,
+        rampDeployed: false,
+        interlock: false
+    };
+}
+
+/**
+ * Advances one step. Lowering only starts while (nearly) stationary; raising stows the ramp first.
+ * @param {object} config - buildKneelConfig() result.
+ * @param {object} state - createKneelState() result (mutated).
+ * @param {object} params
+ * @param {number} params.dt
+ * @param {number} [params.speed] - m/s (sign ignored).
+ * @returns {object} state
+ */
+function stepKneel(config, state, { dt, speed = 0 }) {
+    const step = Math.max(0, finiteOr(dt, 0));
+    const levelRate = step / config.kneelTime;
+    const rampRate = step / config.rampTime;
+
+    if (state.requested) {
+        const stationary = Math.abs(finiteOr(speed, 0)) <= config.maxSpeed;
+        if (state.level < 1) {
+            // A bus that is still rolling keeps the request pending but does not start lowering.
+            if (stationary || state.level > 0) state.level = Math.min(1, state.level + levelRate);
+            state.phase = state.level > 0 ? 'lowering' : 'pending';
+        } else if (config.ramp && state.ramp < 1) {
+            state.ramp = Math.min(1, state.ramp + rampRate);
+            state.phase = 'deploying';
+        } else {
+            state.phase = config.ramp ? 'deployed' : 'kneeled';
+        }
+    } else if (state.ramp > 0) {
+        state.ramp = Math.max(0, state.ramp - rampRate);
+        state.phase = 'stowing';
+    } else if (state.level > 0) {
+        state.level = Math.max(0, state.level - levelRate);
+        state.phase = 'raising';
+    } else {
+        state.phase = 'up';
+    }
+
+    if (state.phase === 'raising' && state.level === 0) state.phase = 'up';
+    state.kneeled = state.level >= 1;
+    state.rampDeployed = state.ramp >= 1;
+    state.interlock = state.level > EPS || state.ramp > EPS;
+    return state;
+}
+
+/**
+ * Suspension rest length of one wheel for the current kneel level; only wheels on the kneel side are lowered.
+ * @param {object} config
+ * @param {number} baseRestLength
+ * @param {number} level - 0..1
+ * @param {number} wheelX - Wheel X in the body frame.
+ * @returns {number}
+ */
+function computeKneelRestLength(config, baseRestLength, level, wheelX) {
+    if (!config || Math.sign(finiteOr(wheelX, 0)) !== config.side) return baseRestLength;
+    const drop = config.drop * clamp(finiteOr(level, 0), 0, 1);
+    return Math.max(0.05, baseRestLength - drop);
+}
+
+export {
+    DEFAULT_KNEEL,
+    buildKneelConfig,
+    computeKneelRestLength,
+    createKneelState,
+    stepKneel
+};
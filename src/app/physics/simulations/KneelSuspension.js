@@ -0,0 +1,50 @@
+// src/app/physics/simulations/KneelSuspension.js
+// Rapier side of kneeling: the curb-side wheels of a raycast vehicle controller follow the KneelSim level.
+import { computeKneelRestLength, createKneelState, stepKneel } from './KneelSim.js';
+
+/**
+ * Kneeling rig for one vehicle; null when the bus cannot kneel.
+ * @param {object|null} config - buildKneelConfig() result.
+ * @param {object} params
+ * @param {number[]} params.wheelIndices - Controller wheel indices.
+ * @param {{x:number}[]} params.wheelCenters - Body-frame wheel centers by controller index.
+ * @param {number} params.baseRestLength
+ * @param {boolean} [params.requested]
+ * @returns {{config:object, wheels:{index:number, x:number}[], baseRestLength:number, state:object}|null}
+ */
+function createKneelSuspension(config, { wheelIndices, wheelCenters, baseRestLength, requested = false }) {
+    if (!config) return null;
+    const wheels = wheelIndices
+        .map((index) => ({ index, x: wheelCenters[index]?.x ?? 0 }))
+        .filter((w) => Math.sign(w.x) === config.side);
+    return { config, wheels, baseRestLength, state: { ...createKneelState(), requested } };
+}
+
+/**
+ * Steps the kneel state and moves the kneeling wheels' rest length when the level changed.
+ * @returns {boolean} True when the suspension moved (the body should be woken).
+ */
+function updateKneelSuspension(kneel, controller, { requested, dt, speed }) {
+    const state = kneel.state;
+    state.requested = requested;
+    const prevLevel = state.level;
+    stepKneel(kneel.config, state, { dt, speed });
+    if (state.level === prevLevel) return false;
+    for (const w of kneel.wheels) {
+        controller.setWheelSuspensionRestLength(w.index, computeKneelRestLength(kneel.config, kneel.baseRestLength, state.level, w.x));
+    }
+    return true;
+}
+
+/**
+ * Brake held while kneeled or with the ramp out; 0 when standing up or for buses that cannot kneel.
+ */
+function getKneelHoldBrake(kneel) {
+    return kneel?.state.interlock === true ? kneel.config.holdBrake : 0;
+}
+
+export {
+    createKneelSuspension,
+    getKneelHoldBrake,
+    updateKneelSuspension
+};
@@ -2,17 +2,76 @@
 // Rapier vehicle integration; does not handle rendering or UI.
 // Design: `tuning.engineForce` is a per-wheel force cap (and fallback input when `tuning.engine` is absent).
 // When `tuning.engine` is provided, EngineTransmissionSim computes wheel force from `maxTorque`/ratios and is clamped by `engineForce`.
+// `powertrain: 'electric'` replaces the engine with ElectricPowertrainSim; `'hybrid'` adds its motor to the diesel driveline.
+// Regen braking takes its share of the brake pedal first and acts on the drive wheels; the friction brakes get the rest.
+// Articulated buses (`spec.articulation`) add a trailer body (TrailerBody) on a yaw-limited revolute joint with its own unpowered raycast axle.
+// Collisions dent the body zone they hit (CollisionDamage); damage pulls the steering and costs engine power.
+// Tyre grip follows the surface under each wheel and the road wetness (WheelSurfaces).
+// Low-floor buses (`spec.kneel`) kneel by shortening the curb-side suspension rest length (KneelSuspension); kneeling holds the brake like an open door.
 import * as THREE from 'three';
 import { PhysicsLoop } from '../PhysicsLoop.js';
 import { FixedTimestepPoseBuffer } from '../interpolation/FixedTimestepPoseBuffer.js';
 import { loadRapier } from '../rapier/RapierLoader.js';
+import { buildCityStaticColliderShapes } from '../colliders/CityStaticColliders.js';
+import { VEHICLE_PHYSICS } from '../../core/VehicleManager.js';
+import { clamp } from '../../utils/number.js';
 import {
+    DEFAULT_ENGINE,
     DEFAULT_ENGINE_GEARS,
     buildEngineConfig,
+    buildRetarderConfig,
     computeEngineOutput,
+    computeRetarderTorque,
     createEngineState,
-    gearLabelToNumber
+    gearLabelToNumber,
+    getTransmissionMode,
+    refuelEngine,
+    requestGearShift,
+    restoreEngineState,
+    setShiftMap,
+    setTransmissionMode,
+    snapshotEngineState,
+    updateHillHold
 } from './EngineTransmissionSim.js';
+import {
+    computeDriverAssist,
+    createDriverAssistState,
+    getDriverAssistDebug,
+    resolveDriverAssistConfig
+} from './DriverAssistSim.js';
+import {
+    buildElectricConfig,
+    chargeBattery,
+    computeElectricOutput,
+    createElectricState,
+    directionLabel,
+    normalizePowertrainType,
+    requestDirectionShift,
+    restoreElectricState,
+    snapshotElectricState
+} from './ElectricPowertrainSim.js';
+import { buildArticulationConfig } from './ArticulationSim.js';
+import {
+    applyTrailerBrakes,
+    createArticulationState,
+    createTrailer,
+    interpolateArticulationAngle,
+    placeTrailer,
+    removeTrailer,
+    syncArticulationState
+} from './TrailerBody.js';
+import { buildKneelConfig } from './KneelSim.js';
+import { createKneelSuspension, getKneelHoldBrake, updateKneelSuspension } from './KneelSuspension.js';
+import {
+    buildDamageConfig,
+    computeDamageEffects,
+    createDamageState,
+    repairDamage,
+    restoreDamage,
+    snapshotDamage
+} from './DamageSim.js';
+import { applyCollisionDamage, syncDamageEffects } from './CollisionDamage.js';
+import { buildCitySurfaceIndex, createWheelSurfaces, updateWheelSurfaces } from '../surfaces/WheelSurfaces.js';
 
 const DEFAULT_CONFIG = {
     fixedDt: 1 / 60,
@@ -25,7 +84,15 @@ const DEFAULT_CONFIG = {
     handbrakeForce: 12000,
     wheelRadius: 0.55,
     suspensionRestLength: 0.35,
-    maxSteerDeg: 35
+    maxSteerDeg: 35,
+    staticColliders: true,
+    collisionForceThreshold: 20000,
+    collisionCooldown: 0.35,
+    doorTravelTime: 1.4,
+    doorHoldBrake: 0.6,
+    comfortFilterSec: 0.15,
+    // Road wetness 0..1; blends every surface toward its wet grip.
+    surfaceWetness: 0
 };
 
 const FALLBACK_DIMENSIONS = {
@@ -58,10 +125,6 @@ const DEFAULT_TUNING = {
     sideFrictionStiffness: 1.3
 };
 
-function clamp(value, min, max) {
-    return Math.max(min, Math.min(max, value));
-}
-
 function computeBoxInertia(mass, width, height, length) {
     if (!Number.isFinite(mass) || mass <= 0) return { x: null, y: null, z: null };
     const round100 = (value) => Math.round(value / 100) * 100;
@@ -80,6 +143,10 @@ function degToRad(deg) {
     return deg * (Math.PI / 180);
 }
 
+function wrapAngle(rad) {
+    return Math.atan2(Math.sin(rad), Math.cos(rad));
+}
+
 function yawFromQuat(q) {
     if (!q) return 0;
     const siny = 2 * (q.w * q.y + q.x * q.z);
@@ -140,7 +207,14 @@ function resolveBusTuning(entry, model) {
         ...DEFAULT_TUNING.suspension,
         ...(base.suspension ?? {})
     };
-    const engine = buildEngineConfig(base.engine ?? null, lengthScale);
+    const powertrain = normalizePowertrainType(spec?.powertrain ?? base.powertrain);
+    const engine = powertrain === 'electric' ? null : buildEngineConfig(base.engine ?? null, lengthScale);
+    const electric = powertrain === 'diesel' ? null : buildElectricConfig(base.electric ?? null, lengthScale, powertrain);
+    const articulation = buildArticulationConfig(spec?.articulation ?? base.articulation ?? null, {
+        width: entry?.config?.dimensions?.width ?? spec?.dimensions?.width
+    });
+    const kneel = buildKneelConfig(spec?.kneel ?? base.kneel ?? null);
+    const damage = buildDamageConfig(spec?.damage ?? base.damage ?? null);
 
     return {
         ...base,
@@ -149,7 +223,12 @@ function resolveBusTuning(entry, model) {
         brakeForce: base.brakeForce * lengthScale,
         handbrakeForce: base.handbrakeForce * lengthScale,
         suspension,
-        engine
+        powertrain,
+        engine,
+        electric,
+        articulation,
+        kneel,
+        damage
     };
 }
 
@@ -393,10 +472,22 @@ export class RapierVehicleSim {
         this._vehicles = new Map();
         this._pendingVehicles = new Map();
         this._vehicleIds = new Set();
+        this._driverAssistToggles = { abs: true, tcs: true, esc: true };
+        // Driver transmission choices per vehicle id; they survive remove/add (model reloads).
+        this._transmissionPrefs = new Map();
+        this._kinematicVehicles = new Map();
 
         this._environment = null;
         this._groundY = 0;
         this._groundBody = null;
+        this._staticBody = null;
+        this._staticEnv = null;
+        this._staticColliderInfo = new Map();
+        this._vehicleColliderIds = new Map();
+        this._surfaceIndex = null;
+        this._surfaceWetness = clamp(Number(this.config.surfaceWetness) || 0, 0, 1);
+        this._eventQueue = null;
+        this._simTime = 0;
 
         this._rapier = null;
         this._world = null;
@@ -409,12 +500,33 @@ export class RapierVehicleSim {
         this._initPromise = this._initRapier();
 
         this._unsubAdded = this.eventBus.on('vehicle:added', (e) => {
+            if (e.physics === VEHICLE_PHYSICS.KINEMATIC) {
+                this.addKinematicVehicle(e.id, e.vehicle, e.anchor, e.api);
+                return;
+            }
             this.addVehicle(e.id, e.vehicle, e.anchor, e.api);
         });
 
         this._unsubRemoved = this.eventBus.on('vehicle:removed', (e) => {
+            this.removeKinematicVehicle(e.id);
             this.removeVehicle(e.id);
         });
+
+        this._unsubPayload = this.eventBus.on('vehicle:payloadChanged', (e) => {
+            this.setPayloadMass(e?.vehicleId, e?.payloadKg);
+        });
+    }
+
+    get ready() {
+        return this._ready;
+    }
+
+    /**
+     * Resolves once Rapier has loaded and the world exists, or failed to load (`ready` stays false).
+     * @returns {Promise<void>}
+     */
+    whenReady() {
+        return this._initPromise;
     }
 
     async _initRapier() {
@@ -425,9 +537,11 @@ export class RapierVehicleSim {
             const gravity = this._resolveGravity(this.config.gravity);
             this._world = new rapier.World(gravity);
             this._world.timestep = this.loop.fixedDt;
+            this._eventQueue = new rapier.EventQueue(true);
             this._ready = true;
 
             this._refreshGround();
+            this._refreshStaticColliders();
             this._flushPendingVehicles();
         } catch (err) {
             this._initError = err;
@@ -495,6 +609,133 @@ export class RapierVehicleSim {
         this._groundBody = body;
     }
 
+    _refreshStaticColliders() {
+        if (!this._ready || !this._world || !this._rapier) return;
+        const env = this._environment;
+        if (this._staticBody && this._staticEnv === env) return;
+
+        if (this._staticBody) {
+            this._world.removeRigidBody(this._staticBody);
+            this._staticBody = null;
+        }
+        this._staticColliderInfo.clear();
+        this._staticEnv = env;
+        if (!env || this.config.staticColliders === false) return;
+
+        const shapes = buildCityStaticColliderShapes({
+            map: env.map ?? null,
+            curbPositions: env.roads?.curbBlocks?.geometry?.attributes?.position?.array ?? null,
+            trafficControlPlacements: env.trafficControls?.placements ?? null,
+            groundY: this._groundY
+        });
+        if (!shapes.length) return;
+
+        const rapier = this._rapier;
+        const body = this._world.createRigidBody(rapier.RigidBodyDesc.fixed());
+        for (const shape of shapes) {
+            let desc = null;
+            if (shape.shape === 'cuboid') {
+                const h = shape.halfExtents;
+                const half = (shape.rotationY ?? 0) * 0.5;
+                desc = rapier.ColliderDesc.cuboid(h.x, h.y, h.z)
+                    .setTranslation(shape.center.x, shape.center.y, shape.center.z)
+                    .setRotation({ x: 0, y: Math.sin(half), z: 0, w: Math.cos(half) });
+            } else if (shape.shape === 'cylinder') {
+                desc = rapier.ColliderDesc.cylinder(shape.halfHeight, shape.radius)
+                    .setTranslation(shape.center.x, shape.center.y, shape.center.z);
+            } else if (shape.shape === 'trimesh') {
+                desc = rapier.ColliderDesc.trimesh(shape.vertices, shape.indices);
+            }
+            if (!desc) continue;
+            desc.setFriction(0.8);
+            desc.setRestitution(0.05);
+            const collider = this._world.createCollider(desc, body);
+            this._staticColliderInfo.set(collider.handle, { type: shape.type, id: shape.id, sourceId: shape.sourceId ?? null });
+        }
+        this._staticBody = body;
+    }
+
+    _drainCollisionEvents(dt) {
+        if (!this._eventQueue || !this._world) return;
+        const threshold = Math.max(0, Number(this.config.collisionForceThreshold) || 0);
+        const cooldown = Math.max(0, Number(this.config.collisionCooldown) || 0);
+
+        this._eventQueue.drainContactForceEvents((event) => {
+            const h1 = event.collider1();
+            const h2 = event.collider2();
+            const v1 = this._vehicleColliderIds.get(h1) ?? null;
+            const v2 = this._vehicleColliderIds.get(h2) ?? null;
+            const force = Number(event.totalForceMagnitude()) || 0;
+            if (force < threshold) return;
+
+            const point = this._resolveContactPoint(h1, h2);
+            const dir = event.maxForceDirection?.() ?? null;
+            const pairs = [];
+            if (v1) pairs.push({ vehicleId: v1, otherHandle: h2, otherVehicleId: v2 });
+            if (v2) pairs.push({ vehicleId: v2, otherHandle: h1, otherVehicleId: v1 });
+
+            for (const { vehicleId, otherHandle, otherVehicleId } of pairs) {
+                const entry = this._vehicles.get(vehicleId);
+                if (!entry) continue;
+                const info = otherVehicleId
+                    ? { type: 'vehicle', id: otherVehicleId, sourceId: otherVehicleId }
+                    : (this._staticColliderInfo.get(otherHandle) ?? null);
+                if (!info) continue;
+
+                const key = `${info.type}:${info.id}`;
+                const last = entry._collisionTimes.get(key);
+                if (Number.isFinite(last) && this._simTime - last < cooldown) continue;
+                entry._collisionTimes.set(key, this._simTime);
+
+                const collision = {
+                    vehicleId,
+                    hitType: info.type,
+                    hitId: info.id,
+                    hitSourceId: info.sourceId,
+                    impulse: force * dt,
+                    force,
+                    point,
+                    direction: dir ? { x: dir.x, y: dir.y, z: dir.z } : null,
+                    time: this._simTime
+                };
+                entry.state.collision = collision;
+                this._applyCollisionDamage(entry, collision, entry.trailer?.colliderHandle === (v1 === vehicleId ? h1 : h2));
+                this.eventBus.emit('vehicle:collision', collision);
+            }
+        });
+    }
+
+    _applyCollisionDamage(entry, collision, onTrailer) {
+        const trailer = onTrailer ? entry.trailer : null;
+        const hit = applyCollisionDamage(entry.damageConfig, entry.state.damage, collision, {
+            body: trailer ? trailer.body : entry.body,
+            trailer,
+            halfExtents: {
+                x: (entry.chassisSize?.x ?? FALLBACK_DIMENSIONS.width) * 0.5,
+                z: (entry.chassisSize?.z ?? FALLBACK_DIMENSIONS.length) * 0.5
+            },
+            mass: (entry.tuning?.mass ?? DEFAULT_TUNING.mass) + (entry.payloadMass ?? 0)
+        });
+        if (hit) this._syncDamageEffects(entry);
+    }
+
+    _syncDamageEffects(entry) {
+        entry.damageEffects = syncDamageEffects(entry.damageConfig, entry.state.damage);
+    }
+
+    _resolveContactPoint(handle1, handle2) {
+        const c1 = this._world.getCollider(handle1);
+        const c2 = this._world.getCollider(handle2);
+        if (!c1 || !c2) return null;
+        let point = null;
+        this._world.contactPair(c1, c2, (manifold) => {
+            if (point || !(manifold.numSolverContacts() > 0)) return;
+            const p = manifold.solverContactPoint(0);
+            if (p) point = { x: p.x, y: p.y, z: p.z };
+        });
+        return point;
+    }
+
     _resolveGroundY(env) {
         const roadY = env?.genConfig?.road?.surfaceY ?? env?.generatorConfig?.road?.surfaceY ?? env?.config?.road?.surfaceY;
         if (typeof roadY === 'number' && Number.isFinite(roadY)) return roadY;
@@ -522,12 +763,26 @@ export class RapierVehicleSim {
         }
 
         for (const entry of this._vehicles.values()) {
+            this._updateDoors(entry, dt);
             if (!entry.controller) continue;
+            this._updateKneel(entry, dt);
+            this._updateWheelSurfaces(entry);
             this._applyVehicleInput(entry, dt);
             entry.controller.updateVehicle(dt);
+            entry.trailer?.controller.updateVehicle(dt);
         }
 
-        this._world.step();
+        for (const entry of this._kinematicVehicles.values()) {
+            if (!entry.body && !this._tryCreateKinematicBody(entry)) continue;
+            const { x, y, z, yaw } = entry.pose;
+            const half = yaw * 0.5;
+            entry.body.setNextKinematicTranslation({ x, y: y + entry.halfExtents.y, z });
+            entry.body.setNextKinematicRotation({ x: 0, y: Math.sin(half), z: 0, w: Math.cos(half) });
+        }
+
+        this._world.step(this._eventQueue ?? undefined);
+        this._simTime += dt;
+        this._drainCollisionEvents(dt);
 
         for (const entry of this._vehicles.values()) {
             if (!entry.controller || !entry.body) continue;
@@ -542,6 +797,10 @@ export class RapierVehicleSim {
             const renderPose = entry.state.renderPose;
             buffer.interpolate(a, renderPose);
             renderPose.alpha = a;
+            const trailer = entry.trailer;
+            if (trailer) {
+                renderPose.articulationAngle = interpolateArticulationAngle(trailer, a);
+            }
 
             const anchor = entry.anchor;
             if (!anchor?.position || !anchor?.rotation) continue;
@@ -551,8 +810,55 @@ export class RapierVehicleSim {
         }
     }
 
+    _updateDoors(entry, dt) {
+        const doors = entry.state.doors;
+        const count = doors.open01.length;
+        if (!count) return;
+        const rate = dt / Math.max(1e-3, this.config.doorTravelTime ?? DEFAULT_CONFIG.doorTravelTime);
+        let anyOpen = false;
+        for (let i = 0; i < count; i++) {
+            const target = entry.doorTargets[i] ?? 0;
+            const cur = doors.open01[i];
+            doors.open01[i] = cur < target ? Math.min(target, cur + rate) : Math.max(target, cur - rate);
+            if (doors.open01[i] > 1e-4) anyOpen = true;
+        }
+        doors.anyOpen = anyOpen;
+    }
+
+    _updateKneel(entry, dt) {
+        if (!entry.kneel) return;
+        const moved = updateKneelSuspension(entry.kneel, entry.controller, {
+            requested: entry.kneelRequested === true,
+            dt,
+            speed: entry.state.locomotion.speed
+        });
+        if (moved) entry.body?.wakeUp();
+    }
+
+    _updateWheelSurfaces(entry) {
+        const surface = { index: this._surfaceIndex, wetness: this._surfaceWetness, tuning: entry.tuning };
+        updateWheelSurfaces(entry.controller, entry.wheelIndices.all, entry.wheelSurfaces, surface);
+        const trailer = entry.trailer;
+        if (trailer?.controller) updateWheelSurfaces(trailer.controller, trailer.wheelIndices, trailer.wheelSurfaces, surface);
+    }
+
     _applyVehicleInput(entry, dt) {
-        const input = entry.input;
+        // Door interlock: while any door is open the brake is held and throttle is ignored.
+        const interlock = entry.state.doors.anyOpen === true;
+        entry.state.doors.interlock = interlock;
+        // A kneeled bus (or one with its ramp out) is held the same way.
+        const kneelHold = entry.state.kneel?.interlock === true;
+        const holdBrake = Math.max(
+            interlock ? (this.config.doorHoldBrake ?? DEFAULT_CONFIG.doorHoldBrake) : 0,
+            getKneelHoldBrake(entry.kneel)
+        );
+        const input = interlock || kneelHold
+            ? {
+                ...entry.input,
+                throttle: 0,
+                brake: Math.max(entry.input.brake, holdBrake)
+            }
+            : entry.input;
         const allWheels = entry.wheelIndices.all;
         const steerWheels = entry.wheelIndices.front.length ? entry.wheelIndices.front : allWheels;
         const driveWheels = entry.wheelIndices.rear.length ? entry.wheelIndices.rear : allWheels;
@@ -561,9 +867,10 @@ export class RapierVehicleSim {
         const frontWheels = entry.wheelIndices.front ?? [];
         const rearWheels = entry.wheelIndices.rear ?? [];
 
-        const steering = -input.steering * entry.maxSteerRad;
+        // Crash damage knocks the steering out of line; the driver has to hold against the pull.
+        const steering = clamp(-input.steering * entry.maxSteerRad + entry.damageEffects.steerOffset, -entry.maxSteerRad, entry.maxSteerRad);
         let driveForceTotal = input.throttle * entry.engineForce;
-        const brakeForceTotal = (input.brake * entry.brakeForce) + (input.handbrake * entry.handbrakeForce);
+        let brakeForceTotal = (input.brake * entry.brakeForce) + (input.handbrake * entry.handbrakeForce);
         let drivetrain = entry.state.drivetrain;
 
         if (entry.engineConfig && entry.engine && entry.controller?.currentVehicleSpeed) {
@@ -572,6 +879,8 @@ export class RapierVehicleSim {
                 speed = 0;
             }
             const wheelRadius = Math.max(1e-3, entry.wheelRadius ?? DEFAULT_CONFIG.wheelRadius);
+            entry.engine.clutchPedal = input.clutch ?? 0;
+            entry.engine.exhaustBrake = input.exhaustBrake === true;
             const output = computeEngineOutput(
                 entry.engineConfig,
                 entry.engine,
@@ -601,8 +910,38 @@ export class RapierVehicleSim {
             drivetrain.shiftBlend = output.shiftBlend;
             drivetrain.shiftTimer = output.shiftTimer;
             drivetrain.shiftCooldown = output.shiftCooldown;
+            drivetrain.stalled = output.stalled;
+            drivetrain.kickdown = output.kickdown;
+            drivetrain.exhaustBrakeActive = output.exhaustBrakeActive;
+            drivetrain.exhaustBrakeTorque = output.exhaustBrakeTorque;
+            this._syncFuelState(entry);
+
+            const hold = updateHillHold(entry.engineConfig, entry.engine, {
+                speed,
+                brake: input.brake,
+                throttle: input.throttle,
+                dt
+            });
+            if (hold > input.brake) brakeForceTotal += (hold - input.brake) * entry.brakeForce;
+            drivetrain.hillHold = entry.engine.hillHold;
+            this._syncTransmissionState(entry);
         }
 
+        const retarderForce = this._computeRetarderForce(entry, input);
+        let regenForce = 0;
+        if (entry.electricConfig && entry.electric) {
+            const pedalBrake = input.brake * entry.brakeForce;
+            const electric = this._computeElectricDrive(entry, input, dt, pedalBrake, driveWheels.length || allWheels.length || 1);
+            const engineForceCap = Math.abs(entry.engineForce ?? 0);
+            driveForceTotal = entry.engine ? driveForceTotal + electric.driveForce : electric.driveForce;
+            if (engineForceCap > 0 && Number.isFinite(engineForceCap)) {
+                driveForceTotal = clamp(driveForceTotal, -engineForceCap, engineForceCap);
+            }
+            brakeForceTotal = Math.max(0, brakeForceTotal - (pedalBrake - electric.frictionBrakeForce * dt));
+            regenForce = electric.regenForce;
+        }
+
+        driveForceTotal *= entry.damageEffects.powerFactor;
         entry._driveForce = driveForceTotal;
         entry._brakeForce = brakeForceTotal;
 
@@ -617,6 +956,7 @@ export class RapierVehicleSim {
             entry.controller.setWheelEngineForce(i, 0);
         }
 
+        const wheelBrakes = allWheels.map(() => 0);
         if (brakeForceTotal > 0 && allWheels.length) {
             const frontCount = frontWheels.length;
             const rearCount = rearWheels.length;
@@ -630,15 +970,23 @@ export class RapierVehicleSim {
             }
             const frontPerWheel = frontCount ? frontBrake / frontCount : brakeForceTotal / totalCount;
             const rearPerWheel = rearCount ? rearBrake / rearCount : brakeForceTotal / totalCount;
-            for (const i of allWheels) {
+            allWheels.forEach((i, k) => {
                 const isFront = frontCount ? frontWheels.includes(i) : false;
-                entry.controller.setWheelBrake(i, isFront ? frontPerWheel : rearPerWheel);
-            }
-        } else {
-            for (const i of allWheels) {
-                entry.controller.setWheelBrake(i, 0);
-            }
+                wheelBrakes[k] = isFront ? frontPerWheel : rearPerWheel;
+            });
         }
+        // The retarder and regen brake the driveline, so they act on the drive wheels only.
+        const drivelineBrakeForce = retarderForce + regenForce;
+        if (drivelineBrakeForce > 0 && driveWheels.length) {
+            allWheels.forEach((i, k) => {
+                if (driveWheels.includes(i)) wheelBrakes[k] += (drivelineBrakeForce / driveWheels.length) * dt;
+            });
+        }
+        const wheelDrives = allWheels.map((i) => (driveWheels.includes(i) ? driveForceTotal : 0));
+        const assisted = this._applyDriverAssist(entry, dt, steerAngles.center, wheelBrakes, wheelDrives);
+        allWheels.forEach((i, k) => {
+            entry.controller.setWheelBrake(i, assisted.brakes[k]);
+        });
 
         if (steerLeftWheels.length || steerRightWheels.length) {
             for (const i of steerLeftWheels) {
@@ -653,14 +1001,209 @@ export class RapierVehicleSim {
             }
         }
 
-        const driveForce = driveForceTotal;
-        for (const i of driveWheels) {
-            entry.controller.setWheelEngineForce(i, driveForce);
-        }
+        allWheels.forEach((i, k) => {
+            if (assisted.drives[k] !== 0) entry.controller.setWheelEngineForce(i, assisted.drives[k]);
+        });
 
         entry._steerAngle = steerAngles.center;
         entry._steerAngleLeft = steerAngles.left;
         entry._steerAngleRight = steerAngles.right;
+
+        if (entry.trailer) {
+            // The trailer axle brakes like a rear axle; it is never driven.
+            const bias = Number.isFinite(entry.brakeBias) ? clamp(entry.brakeBias, 0, 1) : 0.6;
+            const rearShare = frontWheels.length && rearWheels.length ? 1 - bias : 1;
+            const perWheel = (brakeForceTotal * rearShare) / Math.max(1, rearWheels.length || allWheels.length);
+            applyTrailerBrakes(entry.trailer, perWheel, !!entry.body && !entry.body.isSleeping?.());
+        }
+    }
+
+    _applyDriverAssist(entry, dt, steerAngle, brakes, drives) {
+        const assist = entry.driverAssist;
+        const wheels = entry.wheelIndices.all;
+        if (!assist || !entry.driverAssistConfig || !entry.body || !wheels.length || !(dt > 0)) return { brakes, drives };
+
+        const controller = entry.controller;
+        let speed = controller.currentVehicleSpeed?.() ?? 0;
+        if (!Number.isFinite(speed) || !entry._spawnSettled) speed = 0;
+        const front = new Set(entry.wheelIndices.front);
+        const staticLoad = ((entry.tuning?.mass ?? DEFAULT_TUNING.mass) + (entry.payloadMass ?? 0)) * 9.81 / wheels.length;
+        const frictionSlip = entry.tuning?.frictionSlip ?? DEFAULT_TUNING.frictionSlip;
+
+        // Rapier wheel brakes are impulses per step; the assist works in forces.
+        const result = computeDriverAssist(assist, entry.driverAssistConfig, {
+            dt,
+            speed,
+            yawRate: entry.body.angvel().y,
+            steerAngle,
+            wheelbase: entry.wheelbase ?? 0,
+            wheelRadius: entry.wheelRadius ?? DEFAULT_CONFIG.wheelRadius,
+            frictionSlip,
+            maxBrakeForce: (entry.brakeForce ?? 0) / dt,
+            wheels: wheels.map((i, k) => {
+                const load = controller.wheelSuspensionForce?.(i);
+                return {
+                    x: entry.wheelConnections?.[i]?.x ?? 0,
+                    isFront: front.has(i),
+                    brakeForce: brakes[k] / dt,
+                    driveForce: drives[k],
+                    normalForce: controller.wheelIsInContact?.(i) === false ? 0 : (Number.isFinite(load) ? load : staticLoad),
+                    frictionSlip: frictionSlip * (entry.wheelSurfaces?.[i]?.friction ?? 1)
+                };
+            })
+        });
+        // Peak wheel slip (tyre audio)
+        let slip = 0;
+        for (const w of assist.wheels) slip = Math.max(slip, Math.abs(w.slip));
+        entry.state.tyres.slip = slip;
+        return { brakes: result.brakeForces.map((f) => f * dt), drives: result.driveForces };
+    }
+
+    /**
+     * Player toggles for the driver assists; per-bus thresholds come from `tuning.driverAssist`.
+     * @param {{abs?:boolean, tcs?:boolean, esc?:boolean}} toggles
+     */
+    setDriverAssists(toggles) {
+        const src = toggles && typeof toggles === 'object' ? toggles : {};
+        for (const key of ['abs', 'tcs', 'esc']) {
+            if (typeof src[key] === 'boolean') this._driverAssistToggles[key] = src[key];
+        }
+        for (const entry of this._vehicles.values()) {
+            if (entry.tuning) entry.driverAssistConfig = resolveDriverAssistConfig(entry.tuning.driverAssist, this._driverAssistToggles);
+        }
+    }
+
+    /**
+     * Retarder stalk position for this bus: 0 .. retarder stages, or 0 .. regen levels on electric buses without a retarder
+     * (0 when it has neither). Before the vehicle is built its stalk range is unknown, so only the lower bound applies.
+     */
+    _clampRetarderStage(entry, stage) {
+        const position = Math.max(0, Math.round(stage));
+        if (!entry.controller) return position;
+        if (entry.retarderConfig) return Math.min(position, entry.retarderConfig.stages);
+        if (!entry.engine && entry.electricConfig) return Math.min(position, entry.electricConfig.motor.regenStages);
+        return 0;
+    }
+
+    /**
+     * Retarder braking force (N, total at the wheels) for the stalk position in `input.retarder`.
+     * Released while the driver is on the throttle.
+     */
+    _computeRetarderForce(entry, input) {
+        const drivetrain = entry.state.drivetrain;
+        const config = entry.retarderConfig ?? null;
+        const stage = config ? input.retarder : 0;
+        let speed = entry.controller?.currentVehicleSpeed?.() ?? 0;
+        if (!Number.isFinite(speed) || !entry._spawnSettled) speed = 0;
+        const wheelRadius = Math.max(1e-3, entry.wheelRadius ?? DEFAULT_CONFIG.wheelRadius);
+        const finalDrive = entry.engineConfig?.finalDrive ?? DEFAULT_ENGINE.finalDrive;
+        const shaftOmega = (Math.abs(speed) / wheelRadius) * finalDrive;
+        const torque = input.throttle > 0.05 ? 0 : computeRetarderTorque(config, shaftOmega, stage);
+        const force = (torque * finalDrive) / wheelRadius;
+        drivetrain.retarderStage = stage;
+        drivetrain.retarderStages = config?.stages ?? 0;
+        drivetrain.retarderTorque = torque;
+        drivetrain.retarderForce = force;
+        drivetrain.retarderActive = force > 1;
+        drivetrain.exhaustBrake = input.exhaustBrake === true;
+        return force;
+    }
+
+    /**
+     * Electric motor step (traction for electric buses, assist/charging for hybrids) and regen braking.
+     * `pedalBrake` is the brake pedal impulse; regen takes what it can and `frictionBrakeForce` (N) is left for the wheel brakes.
+     * Electric buses without a retarder use the retarder stalk to select the off-throttle regen level.
+     */
+    _computeElectricDrive(entry, input, dt, pedalBrake, driveWheelCount) {
+        const config = entry.electricConfig;
+        const drivetrain = entry.state.drivetrain;
+        let speed = entry.controller?.currentVehicleSpeed?.() ?? 0;
+        if (!Number.isFinite(speed) || (!entry._spawnSettled && (entry._contactCount ?? 0) === 0)) speed = 0;
+        const engine = entry.engine;
+        const gear = engine?.gears?.[engine.gearIndex] ?? null;
+        const stalkRegen = !engine && !entry.retarderConfig;
+        const stage = stalkRegen ? input.retarder : 0;
+        const output = computeElectricOutput(config, entry.electric, {
+            speed,
+            wheelRadius: Math.max(1e-3, entry.wheelRadius ?? DEFAULT_CONFIG.wheelRadius),
+            throttle: input.throttle,
+            brakeForce: dt > 0 ? pedalBrake / dt : 0,
+            regenLevel: stage / config.motor.regenStages,
+            direction: engine ? (engine.stalled ? 0 : Math.sign(gear?.ratio ?? 0)) : entry.electric.direction,
+            engineDriving: !!engine && !engine.stalled && (engine.clutch ?? 0) > 0.5,
+            dt,
+            driveWheelCount
+        });
+        drivetrain.motorRpm = output.motorRpm;
+        drivetrain.motorTorque = output.motorTorque;
+        drivetrain.powerKw = output.powerKw;
+        drivetrain.regenForce = output.regenForce;
+        drivetrain.soc = output.soc;
+        drivetrain.charging = output.charging;
+        drivetrain.consumptionKwhPerKm = output.consumptionKwhPerKm;
+        drivetrain.rangeKm = output.rangeKm;
+        drivetrain.energyUsedKwh = entry.electric.tripKwh;
+        drivetrain.regenKwh = entry.electric.regenKwh;
+        drivetrain.batteryKwh = config.battery.capacityKwh;
+        if (!engine) {
+            drivetrain.rpm = output.motorRpm;
+            drivetrain.torque = output.motorTorque;
+            this._syncElectricDirection(entry);
+        }
+        if (stalkRegen) {
+            drivetrain.retarderKind = 'regen';
+            drivetrain.retarderStage = stage;
+            drivetrain.retarderStages = config.motor.regenStages;
+            drivetrain.retarderForce = output.regenForce;
+            drivetrain.retarderActive = stage > 0 && output.regenForce > 1;
+        }
+        return output;
+    }
+
+    _syncFuelState(entry) {
+        const engine = entry.engine;
+        if (!engine) return;
+        const drivetrain = entry.state.drivetrain;
+        drivetrain.fuelLiters = engine.fuelLiters;
+        drivetrain.fuelTankLiters = engine.tankLiters;
+        drivetrain.fuelRateLph = engine.fuelRateLph;
+        drivetrain.fuelUsedLiters = engine.fuelUsedLiters;
+        drivetrain.idleFuelLiters = engine.idleFuelLiters;
+        drivetrain.outOfFuel = engine.fuelLiters <= 0;
+    }
+
+    _syncElectricDirection(entry) {
+        const drivetrain = entry.state.drivetrain;
+        const direction = entry.electric?.direction ?? 1;
+        drivetrain.mode = 'direct';
+        drivetrain.shiftMap = null;
+        drivetrain.gear = direction;
+        drivetrain.gearLabel = directionLabel(direction);
+        drivetrain.fromGearLabel = drivetrain.gearLabel;
+        drivetrain.shifting = false;
+        drivetrain.stalled = false;
+    }
+
+    _syncTransmissionState(entry) {
+        const engine = entry.engine;
+        if (!engine) return;
+        const drivetrain = entry.state.drivetrain;
+        const gear = engine.gears[engine.gearIndex];
+        const from = engine.gears[engine.shiftFrom ?? engine.gearIndex] ?? gear;
+        drivetrain.mode = getTransmissionMode(engine);
+        drivetrain.shiftMap = engine.shiftMap;
+        drivetrain.gearLabel = gear?.label ?? 'N';
+        drivetrain.shifting = (engine.shiftTimer ?? 0) > 0;
+        drivetrain.fromGearLabel = drivetrain.shifting ? (from?.label ?? drivetrain.gearLabel) : drivetrain.gearLabel;
+        drivetrain.clutchPedal = engine.clutchPedal ?? 0;
+        drivetrain.stalled = engine.stalled === true;
+    }
+
+    _applyTransmissionPrefs(entry) {
+        const prefs = this._transmissionPrefs.get(entry.id);
+        if (!entry.engine || !prefs) return;
+        if (prefs.mode) setTransmissionMode(entry.engine, prefs.mode);
+        if (prefs.shiftMap) setShiftMap(entry.engine, prefs.shiftMap);
     }
 
     _syncVehicleState(entry, dt) {
@@ -684,6 +1227,7 @@ export class RapierVehicleSim {
                 entry.body.setRotation(TMP_QUAT, true);
                 entry.body.setLinvel({ x: 0, y: 0, z: 0 }, true);
                 entry.body.setAngvel({ x: 0, y: 0, z: 0 }, true);
+                if (entry.trailer) placeTrailer(entry.trailer, entry.body, yaw, entry.trailer.angle);
                 entry._spawnSnapped = true;
                 rot = entry.body.rotation();
             }
@@ -705,6 +1249,18 @@ export class RapierVehicleSim {
         entry.wheelSpinAccum += (speed / wheelRadius) * dt;
 
         const loco = entry.state.locomotion;
+        // Ride comfort: accelerations are low-passed before differentiating so jerk is not dominated by solver noise.
+        if (dt > 0 && entry._spawnSettled) {
+            const filterSec = Math.max(1e-3, Number(this.config.comfortFilterSec) || 0);
+            const k = 1 - Math.exp(-dt / filterSec);
+            const yawRate = wrapAngle(yaw - loco.yaw) / dt;
+            const longAccel = loco.longitudinalAccel + ((speed - loco.speed) / dt - loco.longitudinalAccel) * k;
+            const latAccel = loco.lateralAccel + (speed * yawRate - loco.lateralAccel) * k;
+            loco.longitudinalJerk = (longAccel - loco.longitudinalAccel) / dt;
+            loco.lateralJerk = (latAccel - loco.lateralAccel) / dt;
+            loco.longitudinalAccel = longAccel;
+            loco.lateralAccel = latAccel;
+        }
         loco.position.x = anchorPos.x;
         loco.position.y = anchorPos.y;
         loco.position.z = anchorPos.z;
@@ -740,6 +1296,14 @@ export class RapierVehicleSim {
         }
         susp.bodyHeave = heave;
 
+        if (entry.trailer) {
+            syncArticulationState(entry.trailer, entry.state.articulation, {
+                frontYaw: loco.yaw,
+                trailerYaw: yawFromQuat(entry.trailer.body.rotation()),
+                dt
+            });
+        }
+
         entry.poseBuffer.push(loco);
     }
 
@@ -798,13 +1362,15 @@ export class RapierVehicleSim {
         const startX = entry.anchor.position?.x ?? 0;
         const startY = entry.anchor.position?.y ?? 0;
         const startZ = entry.anchor.position?.z ?? 0;
+        const startHalfYaw = (entry.anchor.rotation?.y ?? 0) * 0.5;
 
         const bodyDesc = this._rapier.RigidBodyDesc.dynamic()
             .setTranslation(startX + centerLocal.x, startY + centerLocal.y, startZ + centerLocal.z)
+            .setRotation({ x: 0, y: Math.sin(startHalfYaw), z: 0, w: Math.cos(startHalfYaw) })
             .enabledRotations(true, true, true)
             .setLinearDamping(tuning.linearDamping ?? 0.2)
             .setAngularDamping(tuning.angularDamping ?? 0.6)
-            .setAdditionalMass(tuning.mass ?? 0);
+            .setAdditionalMass((tuning.mass ?? 0) + (entry.payloadMass ?? 0));
 
         const body = this._world.createRigidBody(bodyDesc);
 
@@ -815,11 +1381,12 @@ export class RapierVehicleSim {
         );
         colliderDesc.setFriction(tuning.chassisFriction ?? DEFAULT_TUNING.chassisFriction);
         colliderDesc.setRestitution(0.0);
-        this._world.createCollider(colliderDesc, body);
+        colliderDesc.setActiveEvents(this._rapier.ActiveEvents.CONTACT_FORCE_EVENTS);
+        const chassisCollider = this._world.createCollider(colliderDesc, body);
+        entry.chassisColliderHandle = chassisCollider.handle;
+        this._vehicleColliderIds.set(chassisCollider.handle, entry.id);
 
-        const controller = this._world.createVehicleController(body);
-        setControllerAxis(controller, 'indexUpAxis', 'setIndexUpAxis', 1);
-        setControllerAxis(controller, 'indexForwardAxis', 'setIndexForwardAxis', 2);
+        const controller = this._createVehicleController(body);
 
         const direction = { x: 0, y: -1, z: 0 };
         const axle = { x: -1, y: 0, z: 0 };
@@ -898,6 +1465,7 @@ export class RapierVehicleSim {
             rearRight: rearRightIndices,
             all: [...frontIndices, ...rearIndices]
         };
+        entry.wheelSurfaces = createWheelSurfaces(controller.numWheels());
         if (frontXs.length >= 2) {
             entry.frontTrack = Math.max(...frontXs) - Math.min(...frontXs);
         } else if (frontXs.length === 1) {
@@ -906,6 +1474,8 @@ export class RapierVehicleSim {
             entry.frontTrack = 0;
         }
         entry.wheelbase = entry.config.wheelbase ?? 0;
+        entry.driverAssistConfig = resolveDriverAssistConfig(tuning.driverAssist, this._driverAssistToggles);
+        entry.driverAssist = createDriverAssistState(entry.wheelIndices.all.length);
         entry.maxSteerRad = degToRad(tuning.maxSteerDeg ?? entry.config.maxSteerDeg ?? DEFAULT_CONFIG.maxSteerDeg);
         entry.engineForce = tuning.engineForce ?? this.config.engineForce ?? DEFAULT_CONFIG.engineForce;
         entry.brakeForce = tuning.brakeForce ?? this.config.brakeForce ?? DEFAULT_CONFIG.brakeForce;
@@ -915,22 +1485,161 @@ export class RapierVehicleSim {
         entry.suspensionTravel = suspension.travel ?? entry.suspensionTravel;
         entry.bodyTiltScale = tuning.bodyTiltScale ?? entry.bodyTiltScale;
         entry.maxBodyAngle = degToRad(tuning.maxBodyAngleDeg ?? 8);
+        entry.powertrain = tuning.powertrain ?? 'diesel';
         entry.engineConfig = tuning.engine ?? null;
+        entry.retarderConfig = buildRetarderConfig(tuning.retarder);
         entry.engine = entry.engineConfig ? createEngineState(entry.engineConfig) : null;
+        entry.electricConfig = tuning.electric ?? null;
+        entry.electric = entry.electricConfig ? createElectricState(entry.electricConfig) : null;
+        entry.input.retarder = this._clampRetarderStage(entry, entry.input.retarder);
+        entry.state.drivetrain.powertrain = entry.powertrain;
+        if (entry.electric) {
+            entry.state.drivetrain.soc = entry.electric.soc;
+            if (!entry.engine) this._syncElectricDirection(entry);
+        }
         if (entry.engine) {
+            this._applyTransmissionPrefs(entry);
             entry.state.drivetrain.rpm = entry.engine.rpm;
             const gear = entry.engine.gears[entry.engine.gearIndex];
             entry.state.drivetrain.gear = gear ? gearLabelToNumber(gear.label) : 1;
             entry.state.drivetrain.torque = entry.engine.torque;
+            this._syncTransmissionState(entry);
+            this._syncFuelState(entry);
+        }
+
+        entry.kneel = createKneelSuspension(tuning.kneel ?? null, {
+            wheelIndices: entry.wheelIndices.all,
+            wheelCenters,
+            baseRestLength: restLength,
+            requested: entry.kneelRequested === true
+        });
+        entry.state.kneel = entry.kneel?.state ?? null;
+        entry.damageConfig = tuning.damage;
+        this._syncDamageEffects(entry);
+
+        entry.trailer = tuning.articulation ? this._createTrailer(entry, { layout, size: safeSize, restLength, suspension, tuning }) : null;
+        entry.state.articulation = entry.trailer ? createArticulationState(entry.trailer, entry.state.locomotion.yaw) : null;
+
+        if (entry._pendingSnapshot) {
+            this._applyVehicleSnapshot(entry, entry._pendingSnapshot);
+            entry._pendingSnapshot = null;
         }
 
         return true;
     }
 
+    _createVehicleController(body) {
+        const controller = this._world.createVehicleController(body);
+        setControllerAxis(controller, 'indexUpAxis', 'setIndexUpAxis', 1);
+        setControllerAxis(controller, 'indexForwardAxis', 'setIndexForwardAxis', 2);
+        return controller;
+    }
+
+    _createTrailer(entry, { layout, size, restLength, suspension, tuning }) {
+        const trailer = createTrailer({
+            rapier: this._rapier,
+            world: this._world,
+            frontBody: entry.body,
+            anchor: entry.anchor,
+            api: entry.api,
+            centerLocal: entry.centerLocal,
+            articulation: tuning.articulation,
+            layout,
+            size,
+            restLength,
+            suspension,
+            tuning,
+            chassisFriction: tuning.chassisFriction ?? DEFAULT_TUNING.chassisFriction,
+            createVehicleController: (body) => this._createVehicleController(body)
+        });
+        trailer.wheelSurfaces = createWheelSurfaces(trailer.controller.numWheels());
+        this._vehicleColliderIds.set(trailer.colliderHandle, entry.id);
+        return trailer;
+    }
+
+    _removeTrailer(entry) {
+        const trailer = entry.trailer;
+        if (!trailer) return;
+        removeTrailer(this._world, trailer);
+        this._vehicleColliderIds.delete(trailer.colliderHandle);
+        entry.trailer = null;
+    }
+
+    _applyVehicleSnapshot(entry, snapshot) {
+        const p = snapshot.position ?? {};
+        const x = Number(p.x) || 0;
+        const y = Number.isFinite(p.y) ? p.y : entry.state.locomotion.position.y;
+        const z = Number(p.z) || 0;
+        const yaw = Number(snapshot.yaw) || 0;
+        const c = entry.centerLocal ?? { x: 0, y: 0, z: 0 };
+        const v = snapshot.linvel ?? {};
+        const w = snapshot.angvel ?? {};
+
+        entry.body.setTranslation({ x: x + c.x, y: y + c.y, z: z + c.z }, true);
+        entry.body.setRotation({ x: 0, y: Math.sin(yaw * 0.5), z: 0, w: Math.cos(yaw * 0.5) }, true);
+        entry.body.setLinvel({ x: Number(v.x) || 0, y: Number(v.y) || 0, z: Number(v.z) || 0 }, true);
+        entry.body.setAngvel({ x: Number(w.x) || 0, y: Number(w.y) || 0, z: Number(w.z) || 0 }, true);
+        if (entry.trailer) {
+            const maxAngle = entry.trailer.config.maxAngle;
+            const angle = clamp(Number(snapshot.articulationAngle) || 0, -maxAngle, maxAngle);
+            placeTrailer(entry.trailer, entry.body, yaw, angle, entry.body.linvel(), entry.body.angvel());
+        }
+        // Restored bodies are already upright; skip the spawn snap so the saved velocity survives.
+        entry._spawnSnapped = true;
+
+        const loco = entry.state.locomotion;
+        loco.position.x = x;
+        loco.position.y = y;
+        loco.position.z = z;
+        loco.yaw = yaw;
+        loco.speed = Number(snapshot.speed) || 0;
+        loco.speedKph = loco.speed * 3.6;
+        entry.poseBuffer.reset({ position: { x, y, z }, yaw });
+
+        if (entry.engine && snapshot.engine) {
+            restoreEngineState(entry.engine, snapshot.engine);
+            this._transmissionPrefs.set(entry.id, { mode: getTransmissionMode(entry.engine), shiftMap: entry.engine.shiftMap });
+            const gear = entry.engine.gears[entry.engine.gearIndex];
+            entry.state.drivetrain.gear = gear ? gearLabelToNumber(gear.label) : 1;
+            entry.state.drivetrain.rpm = entry.engine.rpm;
+            this._syncTransmissionState(entry);
+            this._syncFuelState(entry);
+        }
+        if (entry.electric && snapshot.electric) {
+            restoreElectricState(entry.electric, snapshot.electric);
+            entry.state.drivetrain.soc = entry.electric.soc;
+            if (!entry.engine) this._syncElectricDirection(entry);
+        }
+        if (Array.isArray(snapshot.doors)) {
+            for (let i = 0; i < entry.doorTargets.length; i++) entry.doorTargets[i] = snapshot.doors[i] ? 1 : 0;
+        }
+        entry.kneelRequested = snapshot.kneel === true && !!entry.kneel;
+        if (snapshot.damage) {
+            restoreDamage(entry.damageConfig, entry.state.damage, snapshot.damage);
+            this._syncDamageEffects(entry);
+        }
+    }
+
     setEnvironment(env) {
         this._environment = env ?? null;
         this._groundY = this._resolveGroundY(env);
+        this._surfaceIndex = buildCitySurfaceIndex(env);
         this._refreshGround();
+        this._refreshStaticColliders();
+    }
+
+    /**
+     * Road wetness (0 dry .. 1 soaked); every wheel picks up the new grip on the next step.
+     * @param {number} wetness
+     */
+    setSurfaceWetness(wetness) {
+        const w = Number(wetness);
+        if (!Number.isFinite(w)) return;
+        this._surfaceWetness = clamp(w, 0, 1);
+    }
+
+    getSurfaceWetness() {
+        return this._surfaceWetness;
     }
 
     addVehicle(vehicleId, vehicle, anchor, api) {
@@ -950,7 +1659,7 @@ export class RapierVehicleSim {
             api,
             config: null,
             tuning: null,
-            input: { throttle: 0, brake: 0, steering: 0, handbrake: 0 },
+            input: { throttle: 0, brake: 0, steering: 0, handbrake: 0, clutch: 0, retarder: 0, exhaustBrake: false },
             state: {
                 locomotion: {
                     position: { x: startX, y: startY, z: startZ },
@@ -960,12 +1669,17 @@ export class RapierVehicleSim {
                     steerAngle: 0,
                     steerAngleLeft: 0,
                     steerAngleRight: 0,
-                    wheelSpinAccum: 0
+                    wheelSpinAccum: 0,
+                    longitudinalAccel: 0,
+                    lateralAccel: 0,
+                    longitudinalJerk: 0,
+                    lateralJerk: 0
                 },
                 renderPose: {
                     position: { x: startX, y: startY, z: startZ },
                     yaw: startYaw,
-                    alpha: 0
+                    alpha: 0,
+                    articulationAngle: 0
                 },
                 suspension: {
                     bodyPitch: 0,
@@ -977,13 +1691,27 @@ export class RapierVehicleSim {
                     gear: 1,
                     torque: 0
                 },
+                tyres: {
+                    slip: 0
+                },
                 collision: null,
-                brake: null
+                brake: null,
+                articulation: null,
+                kneel: null,
+                damage: createDamageState(),
+                doors: {
+                    open01: [],
+                    anyOpen: false,
+                    interlock: false
+                }
             },
             body: null,
             controller: null,
+            trailer: null,
             centerLocal: new THREE.Vector3(),
             chassisSize: null,
+            chassisColliderHandle: null,
+            _collisionTimes: new Map(),
             poseBuffer: new FixedTimestepPoseBuffer({ position: { x: startX, y: startY, z: startZ }, yaw: startYaw }),
             wheelRadius: DEFAULT_CONFIG.wheelRadius,
             wheelSpinAccum: 0,
@@ -1003,8 +1731,19 @@ export class RapierVehicleSim {
             suspensionTravel: DEFAULT_TUNING.suspension.travel,
             bodyTiltScale: DEFAULT_TUNING.bodyTiltScale,
             maxBodyAngle: degToRad(DEFAULT_TUNING.maxBodyAngleDeg),
+            powertrain: 'diesel',
             engineConfig: null,
             engine: null,
+            electricConfig: null,
+            electric: null,
+            driverAssistConfig: null,
+            driverAssist: null,
+            payloadMass: 0,
+            doorTargets: [],
+            kneel: null,
+            kneelRequested: false,
+            damageConfig: null,
+            damageEffects: computeDamageEffects(null, null),
             _driveForce: null,
             _brakeForce: null,
             _contactCount: 0,
@@ -1013,6 +1752,10 @@ export class RapierVehicleSim {
             _spawnSnapped: false
         };
 
+        const doorCount = Math.max(0, Math.trunc(api?.getDoorCount?.() ?? 0));
+        entry.doorTargets = new Array(doorCount).fill(0);
+        entry.state.doors.open01 = new Array(doorCount).fill(0);
+
         this._vehicles.set(vehicleId, entry);
         this._vehicleIds.add(vehicleId);
 
@@ -1031,12 +1774,16 @@ export class RapierVehicleSim {
         const entry = this._vehicles.get(vehicleId);
         if (!entry) return;
 
+        this._removeTrailer(entry);
         if (entry.controller && this._world) {
             this._world.removeVehicleController(entry.controller);
         }
         if (entry.body && this._world) {
             this._world.removeRigidBody(entry.body);
         }
+        if (entry.chassisColliderHandle !== null) {
+            this._vehicleColliderIds.delete(entry.chassisColliderHandle);
+        }
 
         this._vehicles.delete(vehicleId);
         this._pendingVehicles.delete(vehicleId);
@@ -1045,6 +1792,122 @@ export class RapierVehicleSim {
         this.eventBus.emit('physics:vehicleUnregistered', { vehicleId });
     }
 
+    /**
+     * Registers an externally driven vehicle (AI traffic). It gets a kinematic cuboid collider
+     * that follows `setKinematicPose`, so dynamic vehicles collide with it, but no raycast wheels.
+     * @param {string} vehicleId
+     * @param {object} vehicle
+     * @param {object} anchor
+     * @param {object} [api] - May expose `getDimensions()` → { length, width, height }.
+     */
+    addKinematicVehicle(vehicleId, vehicle, anchor, api = null) {
+        if (!vehicleId || this._kinematicVehicles.has(vehicleId)) return;
+        let dims = api?.getDimensions?.() ?? null;
+        if (!dims && vehicle) {
+            const size = new THREE.Box3().setFromObject(vehicle).getSize(new THREE.Vector3());
+            dims = { length: size.z, width: size.x, height: size.y };
+        }
+        const entry = {
+            id: vehicleId,
+            anchor,
+            halfExtents: {
+                x: Math.max(0.1, (Number(dims?.width) || 1.8) * 0.5),
+                y: Math.max(0.1, (Number(dims?.height) || 1.5) * 0.5),
+                z: Math.max(0.1, (Number(dims?.length) || 4.4) * 0.5)
+            },
+            pose: {
+                x: anchor?.position?.x ?? 0,
+                y: anchor?.position?.y ?? this._groundY,
+                z: anchor?.position?.z ?? 0,
+                yaw: anchor?.rotation?.y ?? 0
+            },
+            body: null,
+            colliderHandle: null
+        };
+        this._kinematicVehicles.set(vehicleId, entry);
+    }
+
+    removeKinematicVehicle(vehicleId) {
+        const entry = this._kinematicVehicles.get(vehicleId);
+        if (!entry) return;
+        if (entry.body && this._world) this._world.removeRigidBody(entry.body);
+        if (entry.colliderHandle !== null) this._vehicleColliderIds.delete(entry.colliderHandle);
+        this._kinematicVehicles.delete(vehicleId);
+    }
+
+    /**
+     * @param {string} vehicleId
+     * @param {{x:number, y:number, z:number, yaw:number}} pose - Ground contact point and yaw.
+     */
+    setKinematicPose(vehicleId, pose) {
+        const entry = this._kinematicVehicles.get(vehicleId);
+        if (!entry || !pose) return;
+        entry.pose.x = Number(pose.x) || 0;
+        entry.pose.y = Number.isFinite(pose.y) ? pose.y : entry.pose.y;
+        entry.pose.z = Number(pose.z) || 0;
+        entry.pose.yaw = Number(pose.yaw) || 0;
+    }
+
+    _tryCreateKinematicBody(entry) {
+        if (!this._ready || !this._world || !this._rapier) return false;
+        const { x, y, z, yaw } = entry.pose;
+        const h = entry.halfExtents;
+        const half = yaw * 0.5;
+        const body = this._world.createRigidBody(this._rapier.RigidBodyDesc.kinematicPositionBased()
+            .setTranslation(x, y + h.y, z)
+            .setRotation({ x: 0, y: Math.sin(half), z: 0, w: Math.cos(half) }));
+        const collider = this._world.createCollider(this._rapier.ColliderDesc.cuboid(h.x, h.y, h.z).setFriction(0.6), body);
+        entry.body = body;
+        entry.colliderHandle = collider.handle;
+        this._vehicleColliderIds.set(collider.handle, entry.id);
+        return true;
+    }
+
+    /**
+     * Adds carried load (passengers, cargo) on top of the chassis tuning mass.
+     * @param {string} vehicleId
+     * @param {number} massKg
+     */
+    setPayloadMass(vehicleId, massKg) {
+        const entry = this._vehicles.get(vehicleId) ?? this._pendingVehicles.get(vehicleId);
+        if (!entry) return;
+        const payload = Math.max(0, Number(massKg) || 0);
+        if (Math.abs(payload - (entry.payloadMass ?? 0)) < 1e-6) return;
+        entry.payloadMass = payload;
+        if (entry.body && entry.tuning) {
+            entry.body.setAdditionalMass((entry.tuning.mass ?? 0) + payload, true);
+        }
+    }
+
+    /**
+     * Commands passenger doors to open or close; doors travel over `doorTravelTime`.
+     * @param {string} vehicleId
+     * @param {boolean} open
+     * @param {number|null} [doorIndex=null] - Door to command; null commands all doors.
+     */
+    setDoorsOpen(vehicleId, open, doorIndex = null) {
+        const entry = this._vehicles.get(vehicleId) ?? this._pendingVehicles.get(vehicleId);
+        if (!entry) return;
+        const target = open ? 1 : 0;
+        for (let i = 0; i < entry.doorTargets.length; i++) {
+            if (doorIndex === null || doorIndex === i) entry.doorTargets[i] = target;
+        }
+        if (open && entry.body) entry.body.wakeUp();
+    }
+
+    /**
+     * Requests kneeling (and the wheelchair ramp, when fitted) or rising; ignored by buses without `spec.kneel`.
+     * Lowering waits until the bus is stationary; rising stows the ramp first.
+     * @param {string} vehicleId
+     * @param {boolean} kneel
+     */
+    setKneel(vehicleId, kneel) {
+        const entry = this._vehicles.get(vehicleId) ?? this._pendingVehicles.get(vehicleId);
+        if (!entry) return;
+        entry.kneelRequested = !!kneel;
+        if (entry.body) entry.body.wakeUp();
+    }
+
     setInput(vehicleId, input) {
         const entry = this._vehicles.get(vehicleId) ?? this._pendingVehicles.get(vehicleId);
         if (!entry) return;
@@ -1066,6 +1929,16 @@ export class RapierVehicleSim {
             entry.input.handbrake = clamp(input.handbrake, 0, 1);
             brakeDirty = true;
         }
+        if (typeof input.clutch === 'number') {
+            entry.input.clutch = clamp(input.clutch, 0, 1);
+            driveDirty = true;
+        }
+        if (typeof input.retarder === 'number') {
+            entry.input.retarder = this._clampRetarderStage(entry, input.retarder);
+        }
+        if (typeof input.exhaustBrake === 'boolean') {
+            entry.input.exhaustBrake = input.exhaustBrake;
+        }
 
         if (typeof input.steering === 'number') {
             const steering = -entry.input.steering * entry.maxSteerRad;
@@ -1107,6 +1980,85 @@ export class RapierVehicleSim {
         entry.engine.manual = !enabled;
     }
 
+    /**
+     * Sequential shift (+1 up, -1 down). Automatic mode and electric buses move the selector between R, N and D.
+     * @param {string} vehicleId
+     * @param {number} direction
+     * @returns {boolean} True when the gear changed.
+     */
+    shiftGear(vehicleId, direction) {
+        const entry = this._vehicles.get(vehicleId) ?? this._pendingVehicles.get(vehicleId);
+        if (entry?.electric && !entry.engine) {
+            const changed = requestDirectionShift(entry.electric, direction);
+            if (changed) this._syncElectricDirection(entry);
+            return changed;
+        }
+        if (!entry?.engine) return false;
+        const changed = requestGearShift(entry.engineConfig, entry.engine, direction);
+        if (changed) {
+            const gear = entry.engine.gears[entry.engine.gearIndex];
+            entry.state.drivetrain.gear = gearLabelToNumber(gear?.label);
+            this._syncTransmissionState(entry);
+        }
+        return changed;
+    }
+
+    /**
+     * @param {string} vehicleId
+     * @param {'auto'|'manual'} mode - 'manual' hands the clutch to the pedal input and allows stalling.
+     */
+    setTransmissionMode(vehicleId, mode) {
+        const prefs = { ...(this._transmissionPrefs.get(vehicleId) ?? {}), mode: mode === 'manual' ? 'manual' : 'auto' };
+        this._transmissionPrefs.set(vehicleId, prefs);
+        const entry = this._vehicles.get(vehicleId) ?? this._pendingVehicles.get(vehicleId);
+        if (!entry?.engine) return;
+        setTransmissionMode(entry.engine, prefs.mode);
+        this._syncTransmissionState(entry);
+    }
+
+    /**
+     * @param {string} vehicleId
+     * @param {'eco'|'normal'|'power'} map - Automatic shift map.
+     */
+    setShiftMap(vehicleId, map) {
+        const prefs = { ...(this._transmissionPrefs.get(vehicleId) ?? {}), shiftMap: map };
+        this._transmissionPrefs.set(vehicleId, prefs);
+        const entry = this._vehicles.get(vehicleId) ?? this._pendingVehicles.get(vehicleId);
+        if (!entry?.engine) return;
+        setShiftMap(entry.engine, map);
+        this._syncTransmissionState(entry);
+    }
+
+    /**
+     * Adds fuel and/or battery charge (depot refuelling); amounts beyond the tank or battery capacity are ignored.
+     * @param {string} vehicleId
+     * @param {{fuelLiters?:number, energyKwh?:number}} amounts
+     * @returns {{fuelLiters:number, energyKwh:number}} What was actually added.
+     */
+    refuelVehicle(vehicleId, { fuelLiters = 0, energyKwh = 0 } = {}) {
+        const entry = this._vehicles.get(vehicleId) ?? this._pendingVehicles.get(vehicleId);
+        const added = {
+            fuelLiters: refuelEngine(entry?.engine ?? null, fuelLiters),
+            energyKwh: chargeBattery(entry?.electricConfig ?? null, entry?.electric ?? null, energyKwh)
+        };
+        if (entry?.engine) this._syncFuelState(entry);
+        if (entry?.electric) entry.state.drivetrain.soc = entry.electric.soc;
+        return added;
+    }
+
+    /**
+     * Depot repair: clears all zone damage, steering misalignment and broken lights.
+     * @param {string} vehicleId
+     * @returns {boolean} Whether the vehicle exists.
+     */
+    repairVehicle(vehicleId) {
+        const entry = this._vehicles.get(vehicleId) ?? this._pendingVehicles.get(vehicleId);
+        if (!entry) return false;
+        repairDamage(entry.state.damage);
+        this._syncDamageEffects(entry);
+        return true;
+    }
+
     getGearOptions(vehicleId) {
         const entry = this._vehicles.get(vehicleId) ?? this._pendingVehicles.get(vehicleId);
         const gears = entry?.engine?.gears ?? entry?.engineConfig?.gears ?? DEFAULT_ENGINE_GEARS;
@@ -1127,6 +2079,47 @@ export class RapierVehicleSim {
         return entry ? entry.state : null;
     }
 
+    /**
+     * Pose, body velocities, drivetrain, door targets, kneel request and damage of a vehicle (save games).
+     * @param {string} vehicleId
+     * @returns {object|null}
+     */
+    getVehicleSnapshot(vehicleId) {
+        const entry = this._vehicles.get(vehicleId);
+        if (!entry?.body) return null;
+        const loco = entry.state.locomotion;
+        const v = entry.body.linvel();
+        const w = entry.body.angvel();
+        return {
+            position: { x: loco.position.x, y: loco.position.y, z: loco.position.z },
+            yaw: loco.yaw,
+            speed: loco.speed,
+            linvel: { x: v.x, y: v.y, z: v.z },
+            angvel: { x: w.x, y: w.y, z: w.z },
+            engine: snapshotEngineState(entry.engine),
+            electric: snapshotElectricState(entry.electric),
+            doors: entry.doorTargets.map((t) => t > 0.5),
+            kneel: entry.kneelRequested === true,
+            damage: snapshotDamage(entry.state.damage),
+            articulationAngle: entry.trailer?.angle ?? 0
+        };
+    }
+
+    /**
+     * Restores a getVehicleSnapshot() result. Vehicles still waiting for Rapier apply it once their body exists.
+     * @param {string} vehicleId
+     * @param {object} snapshot
+     */
+    restoreVehicleSnapshot(vehicleId, snapshot) {
+        const entry = this._vehicles.get(vehicleId) ?? this._pendingVehicles.get(vehicleId);
+        if (!entry || !snapshot || typeof snapshot !== 'object') return;
+        if (!entry.body) {
+            entry._pendingSnapshot = snapshot;
+            return;
+        }
+        this._applyVehicleSnapshot(entry, snapshot);
+    }
+
     getVehicleDebug(vehicleId) {
         const entry = this._vehicles.get(vehicleId) ?? this._pendingVehicles.get(vehicleId);
         if (!entry) return null;
@@ -1185,7 +2178,9 @@ export class RapierVehicleSim {
                 forwardImpulse: controller?.wheelForwardImpulse ? controller.wheelForwardImpulse(i) : null,
                 sideImpulse: controller?.wheelSideImpulse ? controller.wheelSideImpulse(i) : null,
                 engineForce: controller?.wheelEngineForce ? controller.wheelEngineForce(i) : null,
-                brakeForce: controller?.wheelBrake ? controller.wheelBrake(i) : null
+                brakeForce: controller?.wheelBrake ? controller.wheelBrake(i) : null,
+                surface: entry.wheelSurfaces?.[i]?.id ?? null,
+                friction: entry.wheelSurfaces?.[i]?.friction ?? null
             };
         });
 
@@ -1269,6 +2264,11 @@ export class RapierVehicleSim {
                 gearLabel,
                 gears: engine?.gears ? engine.gears.map((gear, index) => ({ index, label: gear.label, ratio: gear.ratio })) : null
             },
+            driverAssist: getDriverAssistDebug(entry.driverAssist, entry.driverAssistConfig),
+            surfaceWetness: this._surfaceWetness,
+            trailerWheels: entry.trailer?.wheelSurfaces
+                ? entry.trailer.wheelIndices.map((i) => ({ index: i, surface: entry.trailer.wheelSurfaces[i]?.id ?? null, friction: entry.trailer.wheelSurfaces[i]?.friction ?? null }))
+                : null,
             wheels
         };
     }
@@ -1292,7 +2292,7 @@ export class RapierVehicleSim {
 
         const invMass = entry.body?.invMass?.();
         const massKg = (Number.isFinite(invMass) && invMass > 0) ? (1 / invMass) : null;
-        const additionalMassKg = Number.isFinite(tuning?.mass) ? tuning.mass : null;
+        const additionalMassKg = Number.isFinite(tuning?.mass) ? tuning.mass + (entry.payloadMass ?? 0) : null;
         const inertia = computeBoxInertia(
             Number.isFinite(massKg) ? massKg : additionalMassKg,
             width,
@@ -1311,6 +2311,7 @@ export class RapierVehicleSim {
         return {
             massKg,
             additionalMassKg,
+            payloadMassKg: entry.payloadMass ?? 0,
             com,
             inertia,
             dimensions: { width, height, length },
@@ -1364,12 +2365,23 @@ export class RapierVehicleSim {
     dispose() {
         this._unsubAdded?.();
         this._unsubRemoved?.();
+        this._unsubPayload?.();
 
         this.loop.clear();
 
         for (const id of [...this._vehicleIds]) {
             this.removeVehicle(id);
         }
+        for (const id of [...this._kinematicVehicles.keys()]) {
+            this.removeKinematicVehicle(id);
+        }
+
+        this._eventQueue?.free?.();
+        this._eventQueue = null;
+        this._staticBody = null;
+        this._staticEnv = null;
+        this._staticColliderInfo.clear();
+        this._vehicleColliderIds.clear();
 
         if (this._world) {
             this._world.free();
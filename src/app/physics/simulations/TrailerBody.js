@@ -0,0 +1,240 @@
+// src/app/physics/simulations/TrailerBody.js
+// Rapier side of an articulated bus: trailer body and collider, yaw-limited hitch joint and unpowered raycast axle.
+// Geometry (hitch, trailer pose, swept envelope) comes from ArticulationSim; RapierVehicleSim owns the front body.
+import * as THREE from 'three';
+import { clamp } from '../../utils/number.js';
+import { computeArticulationAngle, computeSweptEnvelope, computeTrailerPose } from './ArticulationSim.js';
+
+const AT_LIMIT_MARGIN = Math.PI / 180;
+
+function readObjectLocal(anchor, object) {
+    if (!anchor?.worldToLocal || !object?.getWorldPosition) return null;
+    const tmp = new THREE.Vector3();
+    object.getWorldPosition(tmp);
+    return anchor.worldToLocal(tmp);
+}
+
+/**
+ * Trailer wheels relative to the trailer body center; reads the rig's trailer wheels (articulation angle 0)
+ * and falls back to one axle at `articulation.trailerAxleZ` with the front-section track and wheel height.
+ */
+function computeTrailerWheelLayout(anchor, api, articulation, trailerCenterLocal, frontLayout) {
+    const wheels = [];
+    if (anchor?.updateMatrixWorld) anchor.updateMatrixWorld(true);
+    for (const w of api?.wheelRig?.trailer ?? []) {
+        const p = readObjectLocal(anchor, w?.rollPivot ?? null);
+        if (p) wheels.push({ position: p.sub(trailerCenterLocal) });
+    }
+    if (wheels.length) return wheels;
+
+    const rearWheels = frontLayout.wheels.filter((w) => !w.isFront);
+    const ref = rearWheels.length ? rearWheels : frontLayout.wheels;
+    const halfTrack = ref.reduce((max, w) => Math.max(max, Math.abs(w.position.x)), 0) || articulation.width * 0.4;
+    const wheelY = ref.length ? ref[0].position.y : frontLayout.wheelRadius - trailerCenterLocal.y;
+    for (const x of [-halfTrack, halfTrack]) {
+        wheels.push({ position: new THREE.Vector3(x, wheelY, articulation.trailerAxleZ) });
+    }
+    return wheels;
+}
+
+/**
+ * Builds the trailer section behind `frontBody`: its own body and collider, a revolute (yaw) joint with angle limits at
+ * the hitch and an unpowered raycast axle. Section geometry comes from the rig pivot when the model has one.
+ * @param {object} params
+ * @param {any} params.rapier
+ * @param {any} params.world
+ * @param {any} params.frontBody
+ * @param {any} params.anchor - Vehicle anchor (Object3D) of the front section.
+ * @param {any} [params.api] - Bus rig API; `articulation.pivot` and `wheelRig.trailer` are read when present.
+ * @param {THREE.Vector3} params.centerLocal - Front body center in the anchor frame.
+ * @param {object} params.articulation - buildArticulationConfig() output.
+ * @param {{wheels:object[], wheelRadius:number}} params.layout - Front-section wheel layout.
+ * @param {{x:number, y:number}} params.size - Chassis collider size.
+ * @param {number} params.restLength
+ * @param {object} params.suspension
+ * @param {object} params.tuning
+ * @param {number} params.chassisFriction
+ * @param {(body: any) => any} params.createVehicleController - Returns a raycast controller with the sim's axes.
+ */
+function createTrailer({
+    rapier,
+    world,
+    frontBody,
+    anchor,
+    api = null,
+    centerLocal,
+    articulation,
+    layout,
+    size,
+    restLength,
+    suspension,
+    tuning,
+    chassisFriction,
+    createVehicleController
+}) {
+    api?.setArticulationAngle?.(0);
+    anchor.updateMatrixWorld?.(true);
+    const pivotLocal = readObjectLocal(anchor, api?.articulation?.pivot ?? null);
+    const hitchLocal = new THREE.Vector3(pivotLocal?.x ?? 0, centerLocal.y, pivotLocal?.z ?? articulation.hitchZ);
+    const trailerCenterLocal = new THREE.Vector3(hitchLocal.x, centerLocal.y, hitchLocal.z + articulation.trailerOffsetZ);
+
+    const trailer = {
+        body: null,
+        controller: null,
+        colliderHandle: null,
+        joint: null,
+        // Anchor-frame geometry (swept envelope) and body-frame geometry (placement) of the same hitch.
+        config: { ...articulation, hitchZ: hitchLocal.z },
+        bodyConfig: { ...articulation, hitchZ: hitchLocal.z - centerLocal.z },
+        wheelIndices: [],
+        wheelSurfaces: null,
+        angle: 0,
+        prevAngle: 0
+    };
+
+    const pose = computeTrailerPose(trailer.bodyConfig, {
+        position: frontBody.translation(),
+        yaw: anchor.rotation?.y ?? 0
+    }, 0);
+    const half = pose.yaw * 0.5;
+    const bodyDesc = rapier.RigidBodyDesc.dynamic()
+        .setTranslation(pose.position.x, frontBody.translation().y, pose.position.z)
+        .setRotation({ x: 0, y: Math.sin(half), z: 0, w: Math.cos(half) })
+        .enabledRotations(true, true, true)
+        .setLinearDamping(tuning.linearDamping ?? 0.2)
+        .setAngularDamping(tuning.angularDamping ?? 0.6)
+        .setAdditionalMass(articulation.trailerMass);
+    const body = world.createRigidBody(bodyDesc);
+
+    const colliderDesc = rapier.ColliderDesc.cuboid(size.x * 0.5, size.y * 0.5, articulation.trailerLength * 0.5);
+    colliderDesc.setFriction(chassisFriction);
+    colliderDesc.setRestitution(0.0);
+    colliderDesc.setActiveEvents(rapier.ActiveEvents.CONTACT_FORCE_EVENTS);
+    const collider = world.createCollider(colliderDesc, body);
+
+    const jointData = rapier.JointData.revolute(
+        { x: hitchLocal.x - centerLocal.x, y: 0, z: hitchLocal.z - centerLocal.z },
+        { x: 0, y: 0, z: -articulation.trailerOffsetZ },
+        { x: 0, y: 1, z: 0 }
+    );
+    jointData.limitsEnabled = true;
+    jointData.limits = [-articulation.maxAngle, articulation.maxAngle];
+    const joint = world.createImpulseJoint(jointData, frontBody, body, true);
+    joint.setContactsEnabled?.(false);
+    // A zero-velocity motor acts as turntable damping so the trailer does not shimmy.
+    if (articulation.jointDamping > 0) joint.configureMotorVelocity?.(0, articulation.jointDamping);
+
+    const controller = createVehicleController(body);
+    const wheels = computeTrailerWheelLayout(anchor, api, articulation, trailerCenterLocal, layout);
+    for (const wheel of wheels) {
+        const connection = { x: wheel.position.x, y: wheel.position.y + restLength, z: wheel.position.z };
+        controller.addWheel(connection, { x: 0, y: -1, z: 0 }, { x: -1, y: 0, z: 0 }, restLength, layout.wheelRadius);
+        const idx = controller.numWheels() - 1;
+        controller.setWheelSuspensionRestLength(idx, restLength);
+        if (Number.isFinite(suspension.travel)) controller.setWheelMaxSuspensionTravel(idx, suspension.travel);
+        if (Number.isFinite(suspension.stiffness)) controller.setWheelSuspensionStiffness(idx, suspension.stiffness);
+        if (Number.isFinite(suspension.compression)) controller.setWheelSuspensionCompression(idx, suspension.compression);
+        if (Number.isFinite(suspension.relaxation)) controller.setWheelSuspensionRelaxation(idx, suspension.relaxation);
+        if (Number.isFinite(suspension.maxForce)) controller.setWheelMaxSuspensionForce(idx, suspension.maxForce);
+        if (Number.isFinite(tuning.frictionSlip)) controller.setWheelFrictionSlip(idx, tuning.frictionSlip);
+        if (Number.isFinite(tuning.sideFrictionStiffness)) controller.setWheelSideFrictionStiffness(idx, tuning.sideFrictionStiffness);
+        trailer.wheelIndices.push(idx);
+    }
+
+    trailer.body = body;
+    trailer.controller = controller;
+    trailer.colliderHandle = collider.handle;
+    trailer.joint = joint;
+    return trailer;
+}
+
+/**
+ * Removes the trailer's controller and body; removing the body also removes its collider and the hitch joint.
+ */
+function removeTrailer(world, trailer) {
+    if (!world || !trailer) return;
+    world.removeVehicleController(trailer.controller);
+    world.removeRigidBody(trailer.body);
+}
+
+/**
+ * Puts the trailer body behind the front body at `angle`, upright, with the given velocities.
+ */
+function placeTrailer(trailer, frontBody, yaw, angle, linvel = null, angvel = null) {
+    const front = frontBody.translation();
+    const pose = computeTrailerPose(trailer.bodyConfig, { position: front, yaw }, angle);
+    const half = pose.yaw * 0.5;
+    trailer.body.setTranslation({ x: pose.position.x, y: front.y, z: pose.position.z }, true);
+    trailer.body.setRotation({ x: 0, y: Math.sin(half), z: 0, w: Math.cos(half) }, true);
+    trailer.body.setLinvel(linvel ?? { x: 0, y: 0, z: 0 }, true);
+    trailer.body.setAngvel(angvel ?? { x: 0, y: 0, z: 0 }, true);
+    trailer.angle = angle;
+    trailer.prevAngle = angle;
+}
+
+/**
+ * The trailer axle brakes like a rear axle and is never driven or steered.
+ */
+function applyTrailerBrakes(trailer, brakePerWheel, wake) {
+    for (const i of trailer.wheelIndices) {
+        trailer.controller.setWheelSteering(i, 0);
+        trailer.controller.setWheelEngineForce(i, 0);
+        trailer.controller.setWheelBrake(i, brakePerWheel);
+    }
+    if (wake) trailer.body.wakeUp();
+}
+
+/**
+ * Vehicle state block published for articulated buses (`state.articulation`).
+ */
+function createArticulationState(trailer, yaw) {
+    return {
+        angle: 0,
+        angleRate: 0,
+        maxAngle: trailer.config.maxAngle,
+        atLimit: false,
+        trailerPosition: { x: 0, z: 0 },
+        trailerYaw: yaw,
+        tailSwing: 0,
+        sweptWidth: trailer.config.width,
+        config: trailer.config
+    };
+}
+
+/**
+ * Reads the articulation angle back from the bodies after a physics step and refreshes `art`.
+ */
+function syncArticulationState(trailer, art, { frontYaw, trailerYaw, dt }) {
+    const angle = computeArticulationAngle(frontYaw, trailerYaw);
+    trailer.prevAngle = trailer.angle;
+    trailer.angle = angle;
+
+    const pos = trailer.body.translation();
+    const envelope = computeSweptEnvelope(trailer.config, angle);
+    art.angle = angle;
+    art.angleRate = dt > 0 ? computeArticulationAngle(trailer.prevAngle, angle) / dt : 0;
+    art.atLimit = Math.abs(angle) >= trailer.config.maxAngle - AT_LIMIT_MARGIN;
+    art.trailerPosition.x = pos.x;
+    art.trailerPosition.z = pos.z;
+    art.trailerYaw = trailerYaw;
+    art.tailSwing = envelope.tailSwing;
+    art.sweptWidth = envelope.sweptWidth;
+}
+
+/**
+ * Render-rate articulation angle between the last two physics steps.
+ */
+function interpolateArticulationAngle(trailer, alpha) {
+    return trailer.prevAngle + computeArticulationAngle(trailer.prevAngle, trailer.angle) * clamp(alpha, 0, 1);
+}
+
+export {
+    applyTrailerBrakes,
+    computeTrailerWheelLayout,
+    createArticulationState,
+    createTrailer,
+    interpolateArticulationAngle,
+    placeTrailer,
+    removeTrailer,
+    syncArticulationState
+};
@@ -0,0 +1,265 @@
+// src/app/physics/surfaces/RoadSurfaces.js
+// Classifies ground points into tyre surfaces (asphalt, painted markings, curb, sidewalk, terrain biomes) and maps them to grip.
+// Design: pure data built once per city from road polygons, marking segments and an optional terrain sampler; queries use a uniform grid.
+// @ts-check
+import { toFiniteOr } from '../../utils/number.js';
+
+const EPS = 1e-6;
+
+export const SURFACE_ID = Object.freeze({
+    ASPHALT: 'asphalt',
+    MARKING: 'marking',
+    CURB: 'curb',
+    SIDEWALK: 'sidewalk',
+    STONE: 'stone',
+    GRASS: 'grass',
+    LAND: 'land'
+});
+
+/**
+ * Grip multipliers on the bus `frictionSlip` per surface; `wet` is used at full wetness.
+ */
+export const SURFACE_FRICTION = Object.freeze({
+    [SURFACE_ID.ASPHALT]: Object.freeze({ dry: 1.0, wet: 0.72 }),
+    [SURFACE_ID.MARKING]: Object.freeze({ dry: 0.86, wet: 0.5 }),
+    [SURFACE_ID.CURB]: Object.freeze({ dry: 0.9, wet: 0.62 }),
+    [SURFACE_ID.SIDEWALK]: Object.freeze({ dry: 0.92, wet: 0.68 }),
+    [SURFACE_ID.STONE]: Object.freeze({ dry: 0.85, wet: 0.6 }),
+    [SURFACE_ID.GRASS]: Object.freeze({ dry: 0.55, wet: 0.35 }),
+    [SURFACE_ID.LAND]: Object.freeze({ dry: 0.65, wet: 0.42 })
+});
+
+export const ROAD_SURFACE_DEFAULTS = Object.freeze({
+    cellSize: 16,
+    curbThickness: 0.48,
+    sidewalkWidth: 0,
+    markingWidth: 0.34,
+    offRoadSurface: SURFACE_ID.GRASS
+});
+
+function clamp01(value) {
+    return Math.max(0, Math.min(1, value));
+}
+
+function toPointList(points) {
+    const list = Array.isArray(points) ? points : [];
+    const out = [];
+    for (const p of list) {
+        const x = Number(p?.x);
+        const z = Number(p?.z);
+        if (Number.isFinite(x) && Number.isFinite(z)) out.push({ x, z });
+    }
+    return out;
+}
+
+function aabbOf(points, pad = 0) {
+    let minX = Infinity;
+    let minZ = Infinity;
+    let maxX = -Infinity;
+    let maxZ = -Infinity;
+    for (const p of points) {
+        minX = Math.min(minX, p.x);
+        minZ = Math.min(minZ, p.z);
+        maxX = Math.max(maxX, p.x);
+        maxZ = Math.max(maxZ, p.z);
+    }
+    return { minX: minX - pad, minZ: minZ - pad, maxX: maxX + pad, maxZ: maxZ + pad };
+}
+
+function pointInPolygonXZ(x, z, points) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i];
+        const b = points[j];
+        if ((a.z > z) !== (b.z > z) && x < ((b.x - a.x) * (z - a.z)) / ((b.z - a.z) || EPS) + a.x) inside = !inside;
+    }
+    return inside;
+}
+
+function distanceToSegmentXZ(x, z, ax, az, bx, bz) {
+    const dx = bx - ax;
+    const dz = bz - az;
+    const len2 = dx * dx + dz * dz;
+    const t = len2 > EPS ? Math.max(0, Math.min(1, ((x - ax) * dx + (z - az) * dz) / len2)) : 0;
+    return Math.hypot(x - (ax + dx * t), z - (az + dz * t));
+}
+
+function distanceToPolygonEdgeXZ(x, z, points) {
+    let best = Infinity;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        best = Math.min(best, distanceToSegmentXZ(x, z, points[j].x, points[j].z, points[i].x, points[i].z));
+    }
+    return best;
+}
+
+function createGrid(cellSize) {
+    return { cellSize, cells: new Map() };
+}
+
+function cellKey(ix, iz) {
+    return `${ix},${iz}`;
+}
+
+function insertAabb(grid, aabb, item) {
+    const s = grid.cellSize;
+    for (let ix = Math.floor(aabb.minX / s); ix <= Math.floor(aabb.maxX / s); ix++) {
+        for (let iz = Math.floor(aabb.minZ / s); iz <= Math.floor(aabb.maxZ / s); iz++) {
+            const key = cellKey(ix, iz);
+            let cell = grid.cells.get(key);
+            if (!cell) {
+                cell = [];
+                grid.cells.set(key, cell);
+            }
+            cell.push(item);
+        }
+    }
+}
+
+function queryGrid(grid, x, z) {
+    const s = grid.cellSize;
+    return grid.cells.get(cellKey(Math.floor(x / s), Math.floor(z / s))) ?? [];
+}
+
+/**
+ * Reads flat `[x, y, z, x, y, z, ...]` line segment data (RoadMarkingsBuilder output) into XZ segments.
+ */
+function readSegments(flat) {
+    const arr = flat && typeof flat.length === 'number' ? flat : [];
+    const out = [];
+    for (let i = 0; i + 5 < arr.length; i += 6) {
+        out.push({ ax: Number(arr[i]), az: Number(arr[i + 2]), bx: Number(arr[i + 3]), bz: Number(arr[i + 5]) });
+    }
+    return out.filter((s) => Number.isFinite(s.ax) && Number.isFinite(s.az) && Number.isFinite(s.bx) && Number.isFinite(s.bz));
+}
+
+function readTriangles(flat) {
+    const arr = flat && typeof flat.length === 'number' ? flat : [];
+    const out = [];
+    for (let i = 0; i + 8 < arr.length; i += 9) {
+        out.push(toPointList([
+            { x: arr[i], z: arr[i + 2] },
+            { x: arr[i + 3], z: arr[i + 5] },
+            { x: arr[i + 6], z: arr[i + 8] }
+        ]));
+    }
+    return out.filter((t) => t.length === 3);
+}
+
+function mapBiomeToSurface(biomeId, fallback) {
+    if (biomeId === SURFACE_ID.STONE || biomeId === SURFACE_ID.GRASS || biomeId === SURFACE_ID.LAND) return biomeId;
+    return fallback;
+}
+
+/**
+ * Builds the lookup structure for classifyRoadSurface().
+ * @param {object} params
+ * @param {Array<Array<{x:number,z:number}>>} [params.asphaltPolygons] - Road engine asphalt/junction polygons.
+ * @param {object|null} [params.markings] - Marking mesh data ({ whiteLineSegments, yellowLineSegments, crosswalkPositions, arrowPositions }).
+ * @param {number} [params.markingWidth] - Painted line width (m).
+ * @param {number} [params.curbThickness]
+ * @param {number} [params.sidewalkWidth]
+ * @param {{sample:(x:number, z:number) => any}|null} [params.terrain] - TerrainEngine (biome sampling off the road).
+ * @param {string} [params.offRoadSurface] - Surface used off the road when there is no terrain sampler.
+ * @param {number} [params.cellSize]
+ * @returns {object}
+ */
+export function buildRoadSurfaceIndex({
+    asphaltPolygons = [],
+    markings = null,
+    markingWidth = ROAD_SURFACE_DEFAULTS.markingWidth,
+    curbThickness = ROAD_SURFACE_DEFAULTS.curbThickness,
+    sidewalkWidth = ROAD_SURFACE_DEFAULTS.sidewalkWidth,
+    terrain = null,
+    offRoadSurface = ROAD_SURFACE_DEFAULTS.offRoadSurface,
+    cellSize = ROAD_SURFACE_DEFAULTS.cellSize
+} = {}) {
+    const size = Math.max(1, toFiniteOr(cellSize, ROAD_SURFACE_DEFAULTS.cellSize));
+    const curb = Math.max(0, toFiniteOr(curbThickness, ROAD_SURFACE_DEFAULTS.curbThickness));
+    const sidewalk = Math.max(0, toFiniteOr(sidewalkWidth, ROAD_SURFACE_DEFAULTS.sidewalkWidth));
+    const halfLine = Math.max(0, toFiniteOr(markingWidth, ROAD_SURFACE_DEFAULTS.markingWidth)) * 0.5;
+
+    const polygons = createGrid(size);
+    for (const raw of Array.isArray(asphaltPolygons) ? asphaltPolygons : []) {
+        const points = toPointList(raw);
+        if (points.length < 3) continue;
+        insertAabb(polygons, aabbOf(points, curb + sidewalk), { points, aabb: aabbOf(points) });
+    }
+
+    const lines = createGrid(size);
+    const segments = [
+        ...readSegments(markings?.whiteLineSegments),
+        ...readSegments(markings?.yellowLineSegments)
+    ];
+    for (const seg of segments) {
+        insertAabb(lines, aabbOf([{ x: seg.ax, z: seg.az }, { x: seg.bx, z: seg.bz }], halfLine), { segment: seg });
+    }
+    const triangles = [
+        ...readTriangles(markings?.crosswalkPositions),
+        ...readTriangles(markings?.arrowPositions)
+    ];
+    for (const tri of triangles) insertAabb(lines, aabbOf(tri), { triangle: tri });
+
+    return {
+        polygons,
+        lines,
+        halfLine,
+        curbThickness: curb,
+        sidewalkWidth: sidewalk,
+        terrain: terrain && typeof terrain.sample === 'function' ? terrain : null,
+        offRoadSurface: SURFACE_FRICTION[offRoadSurface] ? offRoadSurface : ROAD_SURFACE_DEFAULTS.offRoadSurface
+    };
+}
+
+/**
+ * Surface under a ground point. Painted markings win over asphalt; the curb and sidewalk bands follow the asphalt edge;
+ * everything else is terrain (biome from the terrain sampler).
+ * @param {object|null} index - buildRoadSurfaceIndex() result.
+ * @param {number} x
+ * @param {number} z
+ * @returns {string} SURFACE_ID value.
+ */
+export function classifyRoadSurface(index, x, z) {
+    if (!index || !Number.isFinite(x) || !Number.isFinite(z)) return SURFACE_ID.ASPHALT;
+
+    const candidates = queryGrid(index.polygons, x, z);
+    for (const poly of candidates) {
+        const b = poly.aabb;
+        if (x < b.minX || x > b.maxX || z < b.minZ || z > b.maxZ) continue;
+        if (!pointInPolygonXZ(x, z, poly.points)) continue;
+        for (const item of queryGrid(index.lines, x, z)) {
+            if (item.segment) {
+                const s = item.segment;
+                if (distanceToSegmentXZ(x, z, s.ax, s.az, s.bx, s.bz) <= index.halfLine) return SURFACE_ID.MARKING;
+            } else if (item.triangle && pointInPolygonXZ(x, z, item.triangle)) {
+                return SURFACE_ID.MARKING;
+            }
+        }
+        return SURFACE_ID.ASPHALT;
+    }
+
+    let edge = Infinity;
+    for (const poly of candidates) edge = Math.min(edge, distanceToPolygonEdgeXZ(x, z, poly.points));
+    if (edge <= index.curbThickness) return SURFACE_ID.CURB;
+    if (edge <= index.curbThickness + index.sidewalkWidth) return SURFACE_ID.SIDEWALK;
+
+    if (index.terrain) {
+        try {
+            return mapBiomeToSurface(index.terrain.sample(x, z)?.primaryBiomeId, index.offRoadSurface);
+        } catch {
+            return index.offRoadSurface;
+        }
+    }
+    return index.offRoadSurface;
+}
+
+/**
+ * Grip multiplier for a surface; `wetness` (0..1) blends toward the wet value.
+ * @param {string} surfaceId
+ * @param {number} [wetness=0]
+ * @returns {number}
+ */
+export function computeSurfaceFriction(surfaceId, wetness = 0) {
+    const entry = SURFACE_FRICTION[surfaceId] ?? SURFACE_FRICTION[SURFACE_ID.ASPHALT];
+    const w = clamp01(toFiniteOr(wetness, 0));
+    return entry.dry + (entry.wet - entry.dry) * w;
+}
@@ -0,0 +1,62 @@
+// src/app/physics/surfaces/WheelSurfaces.js
+// Rapier side of tyre surfaces: per-wheel surface and grip for a raycast vehicle controller, from a RoadSurfaces index.
+// @ts-check
+import { SURFACE_ID, buildRoadSurfaceIndex, classifyRoadSurface, computeSurfaceFriction } from './RoadSurfaces.js';
+
+/**
+ * Surface lookup for a city environment, from its road surface data and its `terrainEngine` biome sampler (off the
+ * road and sidewalk); null when it has neither (every wheel on asphalt).
+ * @param {any} env
+ * @returns {object|null}
+ */
+function buildCitySurfaceIndex(env) {
+    const surfaces = env?.roads?.surfaces ?? null;
+    const terrain = env?.terrainEngine ?? null;
+    if (!surfaces && !terrain) return null;
+    return buildRoadSurfaceIndex({ ...(surfaces ?? {}), terrain });
+}
+
+/**
+ * Per-wheel surface state by controller index; every wheel starts on dry asphalt.
+ * @param {number} count
+ * @returns {{id:string, friction:number}[]}
+ */
+function createWheelSurfaces(count) {
+    return Array.from({ length: count }, () => ({ id: SURFACE_ID.ASPHALT, friction: 1 }));
+}
+
+/**
+ * Classifies each wheel contact and scales its grip; airborne wheels keep their last surface.
+ * Rapier is only told about a wheel when its friction changes.
+ * @param {any} controller - Raycast vehicle controller.
+ * @param {number[]} indices - Controller wheel indices.
+ * @param {{id:string, friction:number}[]|null} surfaces - createWheelSurfaces() result.
+ * @param {object} params
+ * @param {object|null} params.index - buildRoadSurfaceIndex() result.
+ * @param {number} params.wetness - 0 dry .. 1 soaked.
+ * @param {{frictionSlip?:number, sideFrictionStiffness?:number}|null} params.tuning - Dry asphalt grip.
+ */
+function updateWheelSurfaces(controller, indices, surfaces, { index, wetness, tuning }) {
+    if (!surfaces) return;
+    for (const i of indices) {
+        const cur = surfaces[i];
+        if (!cur) continue;
+        let id = cur.id;
+        if (controller.wheelIsInContact?.(i)) {
+            const p = controller.wheelContactPoint?.(i);
+            if (p) id = classifyRoadSurface(index, p.x, p.z);
+        }
+        const friction = computeSurfaceFriction(id, wetness);
+        if (id === cur.id && friction === cur.friction) continue;
+        cur.id = id;
+        cur.friction = friction;
+        if (Number.isFinite(tuning?.frictionSlip)) controller.setWheelFrictionSlip(i, tuning.frictionSlip * friction);
+        if (Number.isFinite(tuning?.sideFrictionStiffness)) controller.setWheelSideFrictionStiffness(i, tuning.sideFrictionStiffness * friction);
+    }
+}
+
+export {
+    buildCitySurfaceIndex,
+    createWheelSurfaces,
+    updateWheelSurfaces
+};
@@ -1,5 +1,7 @@
 // src/app/rigs/buses/BusRig.js
 import * as THREE from 'three';
+import { createNumberProperty, clampNumber } from '../RigSchema.js';
+import { DAMAGE_ZONES, buildDamageConfig, computeDentOffset } from '../../physics/simulations/DamageSim.js';
 
 /**
  * Parts convention (all optional):
@@ -9,6 +11,9 @@ import * as THREE from 'three';
  *   reverseLights: Mesh[] | Light[],
  *   turnLeft: Mesh[] | Light[],
  *   turnRight: Mesh[] | Light[],
+ *   doors: Object3D[],   // each with userData.doorLeaves = [{ object, closed: Vector3, open: Vector3 }]
+ *   ramp: Object3D,      // wheelchair ramp with userData.rampHinge = { object, stowed: number, deployed: number }
+ *   panels: Mesh[],      // body panels dented by crash damage (default: every body mesh that is not a light, door, ramp or wheel)
  * }
  *
  * Suspension tuning convention (optional, owned by the bus):
@@ -48,6 +53,22 @@ function collectByName(root, token) {
     return out;
 }
 
+function collectDoors(root) {
+    const out = [];
+    root.traverse((o) => {
+        if (Array.isArray(o.userData?.doorLeaves)) out.push(o);
+    });
+    return out;
+}
+
+function findRamp(root) {
+    let out = null;
+    root.traverse((o) => {
+        if (!out && o.userData?.rampHinge) out = o;
+    });
+    return out;
+}
+
 function normalizeParts(searchRoot, parts = {}) {
     const p = {
         headlights: asArray(parts.headlights),
@@ -55,6 +76,9 @@ function normalizeParts(searchRoot, parts = {}) {
         reverseLights: asArray(parts.reverseLights),
         turnLeft: asArray(parts.turnLeft),
         turnRight: asArray(parts.turnRight),
+        doors: asArray(parts.doors),
+        ramp: parts.ramp ?? null,
+        panels: asArray(parts.panels),
     };
 
     if (p.headlights.length === 0) p.headlights = collectByName(searchRoot, 'headlight');
@@ -62,10 +86,91 @@ function normalizeParts(searchRoot, parts = {}) {
     if (p.reverseLights.length === 0) p.reverseLights = collectByName(searchRoot, 'reverselight');
     if (p.turnLeft.length === 0) p.turnLeft = collectByName(searchRoot, 'turnleft');
     if (p.turnRight.length === 0) p.turnRight = collectByName(searchRoot, 'turnright');
+    if (p.doors.length === 0) p.doors = collectDoors(searchRoot);
+    if (!p.ramp) p.ramp = findRamp(searchRoot);
 
     return p;
 }
 
+export const BUS_RIG_ID = 'rig.bus.v1';
+
+function doorPropertyId(index) {
+    return `door${index}`;
+}
+
+const RAMP_PROPERTY_ID = 'ramp';
+
+function createBusRigSchema(doorCount, hasRamp) {
+    const properties = [];
+    for (let i = 0; i < doorCount; i++) {
+        properties.push(createNumberProperty({
+            id: doorPropertyId(i),
+            label: `Door ${i + 1}`,
+            min: 0,
+            max: 1,
+            step: 0.01,
+            defaultValue: 0
+        }));
+    }
+    if (hasRamp) {
+        properties.push(createNumberProperty({
+            id: RAMP_PROPERTY_ID,
+            label: 'Ramp',
+            min: 0,
+            max: 1,
+            step: 0.01,
+            defaultValue: 0
+        }));
+    }
+    return Object.freeze({
+        id: BUS_RIG_ID,
+        label: 'Bus',
+        properties: Object.freeze(properties),
+        children: Object.freeze([])
+    });
+}
+
+function applyDoorLeaves(door, open01) {
+    const leaves = door?.userData?.doorLeaves;
+    if (!Array.isArray(leaves)) return;
+    for (const leaf of leaves) {
+        if (!leaf?.object || !leaf.closed || !leaf.open) continue;
+        leaf.object.position.lerpVectors(leaf.closed, leaf.open, open01);
+    }
+}
+
+function applyRampHinge(ramp, open01) {
+    const hinge = ramp?.userData?.rampHinge;
+    if (!hinge?.object || !Number.isFinite(hinge.stowed) || !Number.isFinite(hinge.deployed)) return;
+    hinge.object.rotation.z = hinge.stowed + (hinge.deployed - hinge.stowed) * open01;
+}
+
+// Dent shape only; the mechanical side of `spec.damage` lives in physics.
+const DENT_CONFIG = buildDamageConfig(null);
+
+function isUnder(node, ancestor) {
+    for (let cur = node; cur; cur = cur.parent) {
+        if (cur === ancestor) return true;
+    }
+    return false;
+}
+
+function collectBodyPanels(rig) {
+    const p = rig.parts;
+    const skip = new Set([...p.headlights, ...p.brakeLights, ...p.reverseLights, ...p.turnLeft, ...p.turnRight]);
+    const attachments = [...p.doors, p.ramp].filter(Boolean);
+    const out = [];
+    const roots = [rig.bodyRoot, rig.articulation?.section ?? null].filter(Boolean);
+    for (const root of roots) {
+        root.traverse((o) => {
+            if (!o.isMesh || skip.has(o) || !o.geometry?.attributes?.position) return;
+            if (isWheelLike(o) || attachments.some((a) => isUnder(o, a))) return;
+            out.push(o);
+        });
+    }
+    return out;
+}
+
 function applyToMaterials(mesh, fn) {
     const m = mesh.material;
     if (!m) return;
@@ -125,7 +230,7 @@ function collectWheelRootsFromRig(bus, rig) {
     const roots = new Set();
     if (!rig) return roots;
 
-    const lists = [rig.front ?? [], rig.rear ?? []];
+    const lists = [rig.front ?? [], rig.rear ?? [], rig.trailer ?? []];
     for (const list of lists) {
         for (const w of list) {
             const rp = w?.rollPivot ?? null;
@@ -214,6 +319,9 @@ function mergeSuspensionTuning(bodyRoot, ...overrides) {
  *        -> wheelsRoot (wheels only, planted)
  *        -> bodyTiltPivot (X/Z rotation + Y heave for body only)
  *           -> bodyRoot (everything except wheels)
+ *     -> articulationPivot (articulated buses only: Y rotation at the joint, outside the front-section bounds)
+ *        -> trailer section (body + trailer wheels)
+ *        -> bellows (turns by half the articulation angle)
  */
 export class BusRig {
     constructor({
@@ -226,7 +334,8 @@ export class BusRig {
                     wheelRig,
                     parts,
                     bodyPivotBase,
-                    suspensionTuning
+                    suspensionTuning,
+                    articulation
                 }) {
         this.root = root;
 
@@ -245,8 +354,12 @@ export class BusRig {
             brakeLights: [],
             reverseLights: [],
             turnLeft: [],
-            turnRight: []
+            turnRight: [],
+            doors: []
         };
+        this.parts.doors ??= [];
+        this.parts.ramp ??= null;
+        this.parts.panels ??= [];
 
         this._bodyPivotBase = bodyPivotBase ? bodyPivotBase.clone() : this.bodyTiltPivot.position.clone();
 
@@ -267,7 +380,25 @@ export class BusRig {
         this._bodyHeave = 0;
 
         this._headOn = false;
+        this._headlightIntensity = 1.6;
         this._brakeAmount = 0;
+
+        // Crash damage: [left, right] broken headlights and the rest shapes of the dented panels (captured on first dent)
+        this._brokenHeadlights = [false, false];
+        this._headlightSides = new Map();
+        this._panelRest = null;
+        this._dented = false;
+
+        this._doorOpen = this.parts.doors.map(() => 0);
+        this._rampOpen = 0;
+
+        // { pivot, section, bellows } for articulated buses, null for rigid ones
+        this.articulation = articulation ?? null;
+        this._articulationAngle = 0;
+
+        // Schema-driven controls (RigSchema): one `doorN` number property per door, plus `ramp` when fitted.
+        this.schema = createBusRigSchema(this._doorOpen.length, !!this.parts.ramp);
+        this.children = [];
     }
 
     getSuspensionTuning() {
@@ -309,6 +440,19 @@ export class BusRig {
         );
     }
 
+    /** Trailer section yaw relative to the front section (articulated buses only) */
+    setArticulationAngle(angleRad = 0) {
+        if (!this.articulation) return;
+        const a = Number.isFinite(angleRad) ? angleRad : 0;
+        this._articulationAngle = a;
+        this.articulation.pivot.rotation.y = a;
+        if (this.articulation.bellows) this.articulation.bellows.rotation.y = -a * 0.5;
+    }
+
+    getArticulationAngle() {
+        return this._articulationAngle;
+    }
+
     // ---- wheels ----
     setSteerAngle(angleRad) {
         this._steer = angleRad;
@@ -336,9 +480,26 @@ export class BusRig {
     }
 
     // ---- lights ----
-    setHeadlights(on, intensity = 1.6) {
+    setHeadlights(on, intensity = this._headlightIntensity) {
         this._headOn = !!on;
-        setEmitters(this.parts.headlights, { on: this._headOn, color: 0xffffff, intensity });
+        this._headlightIntensity = intensity;
+        const [brokenL, brokenR] = this._brokenHeadlights;
+        for (const light of this.parts.headlights) {
+            const side = brokenL || brokenR ? this._getHeadlightSide(light) : 0;
+            // A lamp unit spanning the middle only goes dark once both sides are smashed.
+            const broken = side < 0 ? brokenL : (side > 0 ? brokenR : brokenL && brokenR);
+            setEmitter(light, { on: this._headOn && !broken, color: 0xffffff, intensity });
+        }
+    }
+
+    _getHeadlightSide(light) {
+        if (this._headlightSides.has(light)) return this._headlightSides.get(light);
+        this.root.updateMatrixWorld(true);
+        const center = new THREE.Box3().setFromObject(light).getCenter(new THREE.Vector3());
+        this.root.worldToLocal(center);
+        const side = Math.abs(center.x) < 0.1 ? 0 : Math.sign(center.x);
+        this._headlightSides.set(light, side);
+        return side;
     }
 
     /** amount: 0..1 (boolean allowed) */
@@ -360,9 +521,163 @@ export class BusRig {
         const list = side === 'left' ? this.parts.turnLeft : this.parts.turnRight;
         setEmitters(list, { on: !!on, color: 0xffaa22, intensity });
     }
+
+    // ---- doors ----
+    getDoorCount() {
+        return this._doorOpen.length;
+    }
+
+    getDoorState(doorIndex) {
+        return this._doorOpen[doorIndex] ?? 0;
+    }
+
+    /** open01: 0 = closed, 1 = fully open */
+    setDoorState(doorIndex, open01) {
+        const i = Math.trunc(Number(doorIndex));
+        if (!(i >= 0 && i < this._doorOpen.length)) return;
+        const t = clampNumber(open01, { min: 0, max: 1 });
+        this._doorOpen[i] = t;
+        applyDoorLeaves(this.parts.doors[i], t);
+    }
+
+    // ---- wheelchair ramp ----
+    hasRamp() {
+        return !!this.parts.ramp;
+    }
+
+    getRampState() {
+        return this._rampOpen;
+    }
+
+    /** open01: 0 = stowed, 1 = deployed on the curb */
+    setRampState(open01) {
+        if (!this.parts.ramp) return;
+        const t = clampNumber(open01, { min: 0, max: 1 });
+        this._rampOpen = t;
+        applyRampHinge(this.parts.ramp, t);
+    }
+
+    // ---- crash damage ----
+    /**
+     * Shows physics damage ({ zones, headlights }, see DamageSim): dents the body panels and darkens broken headlights.
+     * Panels are rebuilt from their rest shape on every call, so repairing (all zones at 0) restores them exactly.
+     * @param {object|null} damage
+     */
+    setDamage(damage) {
+        const lights = Array.isArray(damage?.headlights) ? damage.headlights : [];
+        this._brokenHeadlights = [lights[0] === true, lights[1] === true];
+        this.setHeadlights(this._headOn);
+
+        const zones = damage?.zones ?? null;
+        const dented = !!zones && DAMAGE_ZONES.some((zone) => zones[zone]?.level > 0);
+        if (!dented && !this._dented) return;
+        const rest = this._panelRest ?? (this._panelRest = this._capturePanelRest());
+        const p = new THREE.Vector3();
+        const offset = new THREE.Vector3();
+        for (const panel of rest.panels) {
+            const position = panel.mesh.geometry.attributes.position;
+            const arr = position.array;
+            arr.set(panel.positions);
+            if (dented) {
+                for (let i = 0; i < position.count; i++) {
+                    p.fromBufferAttribute(position, i).applyMatrix4(panel.toRig);
+                    const d = computeDentOffset(DENT_CONFIG, zones, rest.bounds, rest.center, p);
+                    if (d.x === 0 && d.z === 0) continue;
+                    offset.set(d.x, 0, d.z).applyMatrix3(panel.fromRigLinear);
+                    position.setXYZ(i, arr[i * 3] + offset.x, arr[i * 3 + 1] + offset.y, arr[i * 3 + 2] + offset.z);
+                }
+            }
+            position.needsUpdate = true;
+            const normal = panel.mesh.geometry.attributes.normal;
+            if (normal && panel.normals) {
+                if (dented) panel.mesh.geometry.computeVertexNormals();
+                else normal.array.set(panel.normals);
+                normal.needsUpdate = true;
+            }
+            panel.mesh.geometry.computeBoundingSphere();
+        }
+        this._dented = dented;
+    }
+
+    /**
+     * Rest shapes of the body panels in the rig frame, measured with every pivot at rest.
+     * Geometries are cloned first so shared model templates stay untouched.
+     */
+    _capturePanelRest() {
+        const pivots = [this.yawPivot, this.tiltPivot, this.bodyTiltPivot, this.articulation?.pivot, this.articulation?.bellows].filter(Boolean);
+        const saved = pivots.map((o) => o.rotation.clone());
+        const heave = this.bodyTiltPivot.position.clone();
+        for (const o of pivots) o.rotation.set(0, 0, 0);
+        this.bodyTiltPivot.position.copy(this._bodyPivotBase);
+        this.root.updateMatrixWorld(true);
+
+        const toRoot = this.root.matrixWorld.clone().invert();
+        const meshes = this.parts.panels.length ? this.parts.panels : collectBodyPanels(this);
+        const bounds = new THREE.Box3();
+        const front = new THREE.Box3();
+        const v = new THREE.Vector3();
+        const panels = [];
+        for (const mesh of meshes) {
+            mesh.geometry = mesh.geometry.clone();
+            const toRig = toRoot.clone().multiply(mesh.matrixWorld);
+            const position = mesh.geometry.attributes.position;
+            const onTrailer = !!this.articulation?.section && isUnder(mesh, this.articulation.section);
+            for (let i = 0; i < position.count; i++) {
+                v.fromBufferAttribute(position, i).applyMatrix4(toRig);
+                bounds.expandByPoint(v);
+                if (!onTrailer) front.expandByPoint(v);
+            }
+            panels.push({
+                mesh,
+                toRig,
+                fromRigLinear: new THREE.Matrix3().setFromMatrix4(toRig.clone().invert()),
+                positions: position.array.slice(),
+                normals: mesh.geometry.attributes.normal?.array.slice() ?? null
+            });
+        }
+
+        pivots.forEach((o, i) => o.rotation.copy(saved[i]));
+        this.bodyTiltPivot.position.copy(heave);
+        this.root.updateMatrixWorld(true);
+
+        const center = (front.isEmpty() ? bounds : front).getCenter(new THREE.Vector3());
+        return {
+            panels,
+            bounds: { minX: bounds.min.x, maxX: bounds.max.x, minZ: bounds.min.z, maxZ: bounds.max.z },
+            center: { x: center.x, z: center.z }
+        };
+    }
+
+    // ---- rig schema api ----
+    getValue(propId) {
+        if (propId === RAMP_PROPERTY_ID) return this.parts.ramp ? this._rampOpen : null;
+        const match = typeof propId === 'string' ? /^door(\d+)$/.exec(propId) : null;
+        if (!match) return null;
+        const i = Number(match[1]);
+        return i < this._doorOpen.length ? this._doorOpen[i] : null;
+    }
+
+    setValue(propId, value) {
+        if (propId === RAMP_PROPERTY_ID) {
+            this.setRampState(value);
+            return;
+        }
+        const match = typeof propId === 'string' ? /^door(\d+)$/.exec(propId) : null;
+        if (!match) return;
+        this.setDoorState(Number(match[1]), value);
+    }
+
+    apply() {
+        for (let i = 0; i < this._doorOpen.length; i++) applyDoorLeaves(this.parts.doors[i], this._doorOpen[i]);
+        applyRampHinge(this.parts.ramp, this._rampOpen);
+    }
 }
 
-export function attachBusRig(bus, { wheelRig = null, parts = null, suspensionTuning = null } = {}) {
+/**
+ * `articulation` (optional): { hitchZ, section, bellows } in bus-local units; `section` is placed relative to the joint
+ * and `bellows` is centered on it. Both stay out of bodyRoot so front-section bounds (physics, centering) are unaffected.
+ */
+export function attachBusRig(bus, { wheelRig = null, parts = null, suspensionTuning = null, articulation = null } = {}) {
     if (!bus || !bus.isObject3D) throw new Error('attachBusRig(bus): bus must be a THREE.Object3D');
     if (bus.userData?.rig || bus.userData?.bus) return bus;
 
@@ -404,6 +719,18 @@ export function attachBusRig(bus, { wheelRig = null, parts = null, suspensionTun
         else bodyRoot.add(child);
     }
 
+    let rigArticulation = null;
+    if (articulation?.section?.isObject3D) {
+        const pivot = new THREE.Group();
+        pivot.name = 'bus_articulation';
+        pivot.position.set(0, 0, Number(articulation.hitchZ) || 0);
+        yawPivot.add(pivot);
+        pivot.add(articulation.section);
+        const bellows = articulation.bellows?.isObject3D ? articulation.bellows : null;
+        if (bellows) pivot.add(bellows);
+        rigArticulation = { pivot, section: articulation.section, bellows };
+    }
+
     // Center body tilt pivot in X/Y/Z around BODY (not wheels).
     let bodyPivotBase = new THREE.Vector3(0, 0, 0);
 
@@ -441,7 +768,8 @@ export function attachBusRig(bus, { wheelRig = null, parts = null, suspensionTun
         wheelRig: rig,
         parts: normalizedParts,
         bodyPivotBase,
-        suspensionTuning: tuning
+        suspensionTuning: tuning,
+        articulation: rigArticulation
     });
 
     bus.userData.bus = rigApi;
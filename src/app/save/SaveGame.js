@@ -0,0 +1,185 @@
+// src/app/save/SaveGame.js
+// Save-game format: bus, physics pose/velocity, drivetrain, damage, city, time of day, passengers, energy totals and career progress.
+// Design: plain JSON with a `version`; older saves are upgraded one version at a time through SAVE_GAME_MIGRATIONS.
+// @ts-check
+import { toFiniteOr } from '../utils/number.js';
+
+export const SAVE_GAME_VERSION = 6;
+
+/**
+ * `migrations[n]` upgrades a version-n save to version n + 1 and returns the new object.
+ * @type {Readonly<Record<number, (save: any) => any>>}
+ */
+export const SAVE_GAME_MIGRATIONS = Object.freeze({
+    // v2: electric drive state; v1 buses were all diesel.
+    1: (save) => withVehicleDefaults(save, { electric: null }),
+    // v3: fuel/charge totals; v2 saves kept none.
+    2: (save) => ({ ...save, energy: save.energy ?? null }),
+    // v4: trailer hitch angle; v3 buses were all rigid.
+    3: (save) => withVehicleDefaults(save, { articulationAngle: 0 }),
+    // v5: kneeling suspension; v4 buses always stood at ride height.
+    4: (save) => withVehicleDefaults(save, { kneel: false }),
+    // v6: panel damage; v5 buses were undamaged.
+    5: (save) => withVehicleDefaults(save, { damage: null })
+});
+
+/**
+ * Fills vehicle fields a migration introduces, keeping any the save already has.
+ * @param {any} save
+ * @param {object} defaults
+ */
+function withVehicleDefaults(save, defaults) {
+    if (!save?.vehicle || typeof save.vehicle !== 'object') return save;
+    return { ...save, vehicle: { ...defaults, ...save.vehicle } };
+}
+
+function trimmedString(value) {
+    return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+function sanitizeVec3(input) {
+    const v = input && typeof input === 'object' ? input : {};
+    return { x: toFiniteOr(v.x, 0), y: toFiniteOr(v.y, 0), z: toFiniteOr(v.z, 0) };
+}
+
+function sanitizeScalarRecord(input) {
+    if (!input || typeof input !== 'object') return null;
+    const out = {};
+    for (const [key, value] of Object.entries(input)) {
+        if (typeof value === 'boolean') out[key] = value;
+        else if (Number.isFinite(value)) out[key] = value;
+        else if (typeof value === 'string' && value.length <= 32) out[key] = value;
+    }
+    return out;
+}
+
+function cloneJson(value) {
+    if (!value || typeof value !== 'object') return null;
+    return JSON.parse(JSON.stringify(value));
+}
+
+function sanitizeVehicle(input) {
+    if (!input || typeof input !== 'object' || !input.position || typeof input.position !== 'object') return null;
+    return {
+        position: sanitizeVec3(input.position),
+        yaw: toFiniteOr(input.yaw, 0),
+        speed: toFiniteOr(input.speed, 0),
+        linvel: sanitizeVec3(input.linvel),
+        angvel: sanitizeVec3(input.angvel),
+        engine: sanitizeScalarRecord(input.engine),
+        electric: sanitizeScalarRecord(input.electric),
+        doors: Array.isArray(input.doors) ? input.doors.map((d) => d === true) : [],
+        kneel: input.kneel === true,
+        damage: cloneJson(input.damage),
+        articulationAngle: toFiniteOr(input.articulationAngle, 0)
+    };
+}
+
+function sanitizeCareer(input) {
+    if (!input || typeof input !== 'object') return null;
+    const routeId = trimmedString(input.routeId);
+    const departureMinutes = Number(input.departureMinutes);
+    if (!routeId || !Number.isFinite(departureMinutes)) return null;
+    return { routeId, departureMinutes, progress: cloneJson(input.progress) };
+}
+
+/**
+ * Normalizes a current-version save; returns null when it cannot be restored (no bus or vehicle pose).
+ * @param {any} input
+ * @returns {object|null}
+ */
+export function sanitizeSaveGame(input) {
+    if (!input || typeof input !== 'object') return null;
+    const busId = trimmedString(input.busId);
+    const vehicle = sanitizeVehicle(input.vehicle);
+    if (!busId || !vehicle) return null;
+    const savedAt = toFiniteOr(input.savedAt, 0);
+    return {
+        version: SAVE_GAME_VERSION,
+        savedAt,
+        label: trimmedString(input.label) ?? '',
+        cityId: trimmedString(input.cityId),
+        busId,
+        timeOfDaySec: toFiniteOr(input.timeOfDaySec, 0),
+        vehicle,
+        passengers: cloneJson(input.passengers),
+        energy: cloneJson(input.energy),
+        career: sanitizeCareer(input.career)
+    };
+}
+
+/**
+ * @param {object} params
+ * @param {string} params.busId
+ * @param {object} params.vehicle - RapierVehicleSim.getVehicleSnapshot() output.
+ * @param {string|null} [params.cityId]
+ * @param {number} [params.timeOfDaySec]
+ * @param {object|null} [params.passengers] - PassengerSystem.getSnapshot() output.
+ * @param {object|null} [params.energy] - EnergySystem.getSnapshot() output.
+ * @param {{routeId:string, departureMinutes:number, progress:object|null}|null} [params.career]
+ * @param {string} [params.label]
+ * @param {number} [params.savedAt] - Epoch milliseconds.
+ * @returns {object|null}
+ */
+export function createSaveGame({
+    busId,
+    vehicle,
+    cityId = null,
+    timeOfDaySec = 0,
+    passengers = null,
+    energy = null,
+    career = null,
+    label = '',
+    savedAt = Date.now()
+} = /** @type {any} */ ({})) {
+    return sanitizeSaveGame({ busId, vehicle, cityId, timeOfDaySec, passengers, energy, career, label, savedAt });
+}
+
+/**
+ * Upgrades a raw save to `version`. Returns null for saves from a newer build or with a gap in the migration chain.
+ * @param {any} raw
+ * @param {object} [options]
+ * @param {Readonly<Record<number, (save: any) => any>>} [options.migrations]
+ * @param {number} [options.version]
+ * @returns {any|null}
+ */
+export function migrateSaveGame(raw, { migrations = SAVE_GAME_MIGRATIONS, version = SAVE_GAME_VERSION } = {}) {
+    if (!raw || typeof raw !== 'object') return null;
+    let save = cloneJson(raw);
+    let current = Math.trunc(toFiniteOr(save.version, 0));
+    if (current > version) return null;
+    while (current < version) {
+        const migrate = migrations[current];
+        if (typeof migrate !== 'function') return null;
+        save = migrate(save);
+        if (!save || typeof save !== 'object') return null;
+        current += 1;
+        save.version = current;
+    }
+    return save;
+}
+
+/**
+ * @param {object} save
+ * @returns {string}
+ */
+export function serializeSaveGame(save) {
+    return JSON.stringify(sanitizeSaveGame(save));
+}
+
+/**
+ * @param {string|null} text
+ * @param {object} [options]
+ * @param {Readonly<Record<number, (save: any) => any>>} [options.migrations]
+ * @returns {object|null}
+ */
+export function parseSaveGame(text, { migrations = SAVE_GAME_MIGRATIONS } = {}) {
+    if (typeof text !== 'string' || !text) return null;
+    let raw;
+    try {
+        raw = JSON.parse(text);
+    } catch {
+        return null;
+    }
+    return sanitizeSaveGame(migrateSaveGame(raw, { migrations }));
+}
@@ -0,0 +1,103 @@
+// src/app/save/SaveSlots.js
+// Save slots persisted in Web Storage: an autosave slot plus numbered manual slots.
+// Design: every function takes the storage explicitly so slots can be exercised in Node with an in-memory fake.
+// @ts-check
+
+import { parseSaveGame, serializeSaveGame } from './SaveGame.js';
+
+const STORAGE_PREFIX = 'bus_sim.save.slot.';
+
+export const AUTOSAVE_SLOT_ID = 'auto';
+export const SAVE_SLOT_IDS = Object.freeze([AUTOSAVE_SLOT_ID, '1', '2', '3']);
+export const MANUAL_SAVE_SLOT_IDS = Object.freeze(SAVE_SLOT_IDS.filter((id) => id !== AUTOSAVE_SLOT_ID));
+
+/**
+ * @typedef {{getItem:(key:string)=>string|null, setItem:(key:string, value:string)=>void, removeItem:(key:string)=>void}} SaveStorage
+ */
+
+function isSlotId(slotId) {
+    return SAVE_SLOT_IDS.includes(slotId);
+}
+
+function slotKey(slotId) {
+    return `${STORAGE_PREFIX}${slotId}`;
+}
+
+/**
+ * @returns {SaveStorage|null}
+ */
+export function getDefaultSaveStorage() {
+    if (typeof window === 'undefined') return null;
+    try {
+        return window.localStorage ?? null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * @param {SaveStorage|null} storage
+ * @param {string} slotId
+ * @returns {object|null} Parsed (and migrated) save, or null for empty/unreadable slots.
+ */
+export function readSaveSlot(storage, slotId) {
+    if (!storage || !isSlotId(slotId)) return null;
+    try {
+        return parseSaveGame(storage.getItem(slotKey(slotId)));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * @param {SaveStorage|null} storage
+ * @param {string} slotId
+ * @param {object} save - createSaveGame() output.
+ * @returns {boolean}
+ */
+export function writeSaveSlot(storage, slotId, save) {
+    if (!storage || !isSlotId(slotId) || !save) return false;
+    try {
+        storage.setItem(slotKey(slotId), serializeSaveGame(save));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * @param {SaveStorage|null} storage
+ * @param {string} slotId
+ * @returns {boolean}
+ */
+export function deleteSaveSlot(storage, slotId) {
+    if (!storage || !isSlotId(slotId)) return false;
+    try {
+        storage.removeItem(slotKey(slotId));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * @param {SaveStorage|null} storage
+ * @returns {{slotId:string, save:object|null}[]} One entry per slot in SAVE_SLOT_IDS order.
+ */
+export function listSaveSlots(storage) {
+    return SAVE_SLOT_IDS.map((slotId) => ({ slotId, save: readSaveSlot(storage, slotId) }));
+}
+
+/**
+ * Most recently written slot (the "Continue" target).
+ * @param {SaveStorage|null} storage
+ * @returns {{slotId:string, save:object}|null}
+ */
+export function getLatestSaveSlot(storage) {
+    let latest = null;
+    for (const entry of listSaveSlots(storage)) {
+        if (!entry.save) continue;
+        if (!latest || entry.save.savedAt > latest.save.savedAt) latest = entry;
+    }
+    return latest;
+}
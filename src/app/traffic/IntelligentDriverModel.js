@@ -0,0 +1,41 @@
+// src/app/traffic/IntelligentDriverModel.js
+// Intelligent Driver Model (IDM) car-following acceleration for AI traffic.
+// Design: pure function of own speed, gap and leader speed; no state so agents can be stepped in any order.
+// @ts-check
+
+export const IDM_DEFAULTS = Object.freeze({
+    maxAccel: 1.4,
+    comfortDecel: 2.0,
+    maxDecel: 8.0,
+    minGap: 2.5,
+    timeHeadway: 1.4,
+    exponent: 4
+});
+
+/**
+ * Returns the IDM acceleration (m/s²), clamped to [-maxDecel, maxAccel].
+ * @param {object} params
+ * @param {number} params.speed - Own speed (m/s).
+ * @param {number} params.desiredSpeed - Free-road target speed (m/s).
+ * @param {number} [params.gap=Infinity] - Bumper-to-bumper distance to the leader (m).
+ * @param {number} [params.leaderSpeed=0] - Leader speed (m/s).
+ * @param {object} [params.options] - Overrides for IDM_DEFAULTS.
+ * @returns {number}
+ */
+export function computeIdmAcceleration({ speed, desiredSpeed, gap = Infinity, leaderSpeed = 0, options = null }) {
+    const o = options ? { ...IDM_DEFAULTS, ...options } : IDM_DEFAULTS;
+    const v = Math.max(0, Number(speed) || 0);
+    const v0 = Math.max(0.1, Number(desiredSpeed) || 0);
+    const free = 1 - Math.pow(v / v0, o.exponent);
+
+    let interaction = 0;
+    if (Number.isFinite(gap)) {
+        const dv = v - Math.max(0, Number(leaderSpeed) || 0);
+        const sStar = o.minGap + Math.max(0, v * o.timeHeadway + (v * dv) / (2 * Math.sqrt(o.maxAccel * o.comfortDecel)));
+        const s = Math.max(0.1, gap);
+        interaction = (sStar / s) ** 2;
+    }
+
+    const accel = o.maxAccel * (free - interaction);
+    return Math.max(-o.maxDecel, Math.min(o.maxAccel, accel));
+}
@@ -0,0 +1,96 @@
+// src/app/traffic/TrafficSettings.js
+// Persisted ambient AI traffic settings (enable + density, signal mode, optional fixed seed).
+// @ts-check
+
+import { SIGNAL_MODE } from './TrafficSignalController.js';
+
+const STORAGE_KEY = 'bus_sim.traffic.v1';
+
+export const TRAFFIC_SETTINGS_DEFAULTS = Object.freeze({
+    enabled: true,
+    density: 1,
+    signalMode: SIGNAL_MODE.FIXED,
+    seed: null
+});
+
+function clamp(value, min, max, fallback) {
+    const num = Number(value);
+    if (!Number.isFinite(num)) return fallback;
+    return Math.max(min, Math.min(max, num));
+}
+
+function readUrlParamNumber(params, key, fallback, { min = -Infinity, max = Infinity } = {}) {
+    if (!params?.has?.(key)) return fallback;
+    const num = Number(params.get(key));
+    if (!Number.isFinite(num)) return fallback;
+    return Math.max(min, Math.min(max, num));
+}
+
+function readUrlParamBool(params, key, fallback) {
+    if (!params?.has?.(key)) return fallback;
+    const v = String(params.get(key)).trim().toLowerCase();
+    if (v === '1' || v === 'true' || v === 'yes' || v === 'on') return true;
+    if (v === '0' || v === 'false' || v === 'no' || v === 'off') return false;
+    return fallback;
+}
+
+export function sanitizeTrafficSettings(input) {
+    const src = input && typeof input === 'object' ? input : {};
+    const seed = typeof src.seed === 'string' && src.seed.trim() ? src.seed.trim() : null;
+    return {
+        enabled: src.enabled !== undefined ? !!src.enabled : TRAFFIC_SETTINGS_DEFAULTS.enabled,
+        density: clamp(src.density ?? TRAFFIC_SETTINGS_DEFAULTS.density, 0, 3, TRAFFIC_SETTINGS_DEFAULTS.density),
+        signalMode: src.signalMode === SIGNAL_MODE.ACTUATED ? SIGNAL_MODE.ACTUATED : SIGNAL_MODE.FIXED,
+        seed
+    };
+}
+
+export function loadSavedTrafficSettings() {
+    if (typeof window === 'undefined') return null;
+    const storage = window.localStorage;
+    if (!storage) return null;
+    const raw = storage.getItem(STORAGE_KEY);
+    if (!raw) return null;
+    try {
+        return sanitizeTrafficSettings(JSON.parse(raw));
+    } catch {
+        return null;
+    }
+}
+
+export function saveTrafficSettings(settings) {
+    if (typeof window === 'undefined') return false;
+    const storage = window.localStorage;
+    if (!storage) return false;
+    const payload = sanitizeTrafficSettings(settings);
+    try {
+        storage.setItem(STORAGE_KEY, JSON.stringify(payload));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * URL overrides: `traffic=0|1`, `trafficDensity=<0..3>`, `signalMode=fixed|actuated`, `trafficSeed=<string>` (fixed seed for headless runs).
+ */
+export function getResolvedTrafficSettings({ includeUrlOverrides = true } = {}) {
+    const saved = loadSavedTrafficSettings();
+    const merged = sanitizeTrafficSettings({ ...TRAFFIC_SETTINGS_DEFAULTS, ...(saved ?? {}) });
+
+    if (includeUrlOverrides && typeof window !== 'undefined') {
+        const params = new URLSearchParams(window.location.search);
+        merged.enabled = readUrlParamBool(params, 'traffic', merged.enabled);
+        merged.density = readUrlParamNumber(params, 'trafficDensity', merged.density, { min: 0, max: 3 });
+        const signalMode = params.get('signalMode');
+        if (signalMode) merged.signalMode = sanitizeTrafficSettings({ signalMode }).signalMode;
+        const seed = params.get('trafficSeed');
+        if (seed && seed.trim()) merged.seed = seed.trim();
+    }
+
+    return merged;
+}
+
+export function getDefaultResolvedTrafficSettings() {
+    return sanitizeTrafficSettings(TRAFFIC_SETTINGS_DEFAULTS);
+}
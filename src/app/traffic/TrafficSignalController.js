@@ -0,0 +1,330 @@
+// src/app/traffic/TrafficSignalController.js
+// Per-junction signal phasing for traffic light placements (fixed-time and simple actuated modes).
+// Design: approaches are grouped into phases by travel axis so either placement convention works; signals are queryable by id or by position + heading.
+// @ts-check
+import { TRAFFIC_CONTROL_KIND, TRAFFIC_SIGNAL } from './TrafficSystem.js';
+
+export const SIGNAL_MODE = Object.freeze({
+    FIXED: 'fixed',
+    ACTUATED: 'actuated'
+});
+
+export const SIGNAL_STAGE = Object.freeze({
+    GREEN: 'green',
+    YELLOW: 'yellow',
+    ALL_RED: 'all_red'
+});
+
+export const TRAFFIC_SIGNAL_DEFAULTS = Object.freeze({
+    mode: SIGNAL_MODE.FIXED,
+    greenSeconds: 12,
+    yellowSeconds: 3,
+    allRedSeconds: 1,
+    minGreenSeconds: 5,
+    maxGreenSeconds: 30,
+    gapSeconds: 2.5,
+    detectorRange: 40,
+    phaseAxisDot: 0.7,
+    queryRadius: 30,
+    headingDot: 0.7
+});
+
+const EPS = 1e-6;
+
+function travelDir(yaw) {
+    return { x: Math.sin(yaw), z: Math.cos(yaw) };
+}
+
+function junctionKey(placement) {
+    return placement?.junctionId ?? placement?.nodeId ?? null;
+}
+
+/**
+ * Groups traffic light placements into junctions and phases.
+ * Approaches whose travel axes are parallel (either direction) share a phase; a junction whose props only cover
+ * one axis still gets an empty cross phase so the crossing road is served.
+ * @param {object[]} placements
+ * @param {object} [options]
+ * @param {number} [options.phaseAxisDot]
+ * @returns {object[]} Junctions: { id, center, phases: [{ axis, approaches }] }.
+ */
+export function groupSignalPhases(placements, { phaseAxisDot = TRAFFIC_SIGNAL_DEFAULTS.phaseAxisDot } = {}) {
+    const byJunction = new Map();
+    const list = Array.isArray(placements) ? placements : [];
+    list.forEach((p, index) => {
+        if (p?.kind !== TRAFFIC_CONTROL_KIND.TRAFFIC_LIGHT || !p?.position || !Number.isFinite(p?.rotationY)) return;
+        const id = junctionKey(p);
+        if (id === null) return;
+        if (!byJunction.has(id)) byJunction.set(id, []);
+        byJunction.get(id).push({
+            junctionId: id,
+            id: String(p.approach ?? p.corner ?? index),
+            position: { x: p.position.x, z: p.position.z },
+            axis: travelDir(p.rotationY),
+            placement: p
+        });
+    });
+
+    const junctions = [];
+    for (const [id, approaches] of byJunction) {
+        const center = { x: 0, z: 0 };
+        for (const a of approaches) {
+            center.x += a.position.x / approaches.length;
+            center.z += a.position.z / approaches.length;
+        }
+
+        const phases = [];
+        for (const approach of approaches) {
+            const a = approach.axis;
+            let phase = phases.find((ph) => Math.abs(ph.axis.x * a.x + ph.axis.z * a.z) >= phaseAxisDot);
+            if (!phase) {
+                phase = { axis: { x: a.x, z: a.z }, approaches: [] };
+                phases.push(phase);
+            }
+            phase.approaches.push(approach);
+        }
+        if (phases.length === 1) phases.push({ axis: { x: -phases[0].axis.z, z: phases[0].axis.x }, approaches: [] });
+
+        junctions.push({ id, center, phases });
+    }
+    return junctions;
+}
+
+export class TrafficSignalController {
+    /**
+     * @param {object} params
+     * @param {object[]} params.placements - Traffic control placements (stop signs are ignored).
+     * @param {object} [params.options] - Overrides for TRAFFIC_SIGNAL_DEFAULTS.
+     * @param {() => object[]} [params.getVehicles] - Actuated detection: { position, yaw, speed? } of vehicles near junctions.
+     * @param {(change: {junctionId:string, approachId:string, signal:string}) => void} [params.onSignalChange]
+     */
+    constructor({ placements = [], options = {}, getVehicles = null, onSignalChange = null } = /** @type {any} */ ({})) {
+        this.options = { ...TRAFFIC_SIGNAL_DEFAULTS, ...(options ?? {}) };
+        this._getVehicles = typeof getVehicles === 'function' ? getVehicles : () => [];
+        this._onSignalChange = typeof onSignalChange === 'function' ? onSignalChange : null;
+
+        this._junctions = new Map();
+        for (const j of groupSignalPhases(placements, { phaseAxisDot: this.options.phaseAxisDot })) {
+            this._junctions.set(j.id, {
+                ...j,
+                phaseIndex: 0,
+                stage: SIGNAL_STAGE.GREEN,
+                elapsed: 0,
+                sinceDemand: 0,
+                demand: j.phases.map(() => false)
+            });
+        }
+        this._approaches = new Map();
+        for (const j of this._junctions.values()) {
+            j.phases.forEach((phase, phaseIndex) => {
+                for (const a of phase.approaches) this._approaches.set(`${j.id}|${a.id}`, { junction: j, phaseIndex, approach: a });
+            });
+        }
+    }
+
+    /**
+     * @param {string} mode - SIGNAL_MODE value.
+     */
+    setMode(mode) {
+        this.options.mode = mode === SIGNAL_MODE.ACTUATED ? SIGNAL_MODE.ACTUATED : SIGNAL_MODE.FIXED;
+    }
+
+    getJunctionIds() {
+        return Array.from(this._junctions.keys());
+    }
+
+    /**
+     * @param {string} junctionId
+     * @returns {{phaseIndex:number, phaseCount:number, stage:string, elapsed:number}|null}
+     */
+    getJunctionState(junctionId) {
+        const j = this._junctions.get(junctionId);
+        if (!j) return null;
+        return { phaseIndex: j.phaseIndex, phaseCount: j.phases.length, stage: j.stage, elapsed: j.elapsed };
+    }
+
+    /**
+     * Current phase for one approach of a junction.
+     * @param {string} junctionId
+     * @param {string} approachId - Placement `approach` id.
+     * @returns {{phaseIndex:number, active:boolean, signal:string}|null}
+     */
+    getApproachPhase(junctionId, approachId) {
+        const entry = this._approaches.get(`${junctionId}|${approachId}`);
+        if (!entry) return null;
+        return {
+            phaseIndex: entry.phaseIndex,
+            active: entry.junction.phaseIndex === entry.phaseIndex,
+            signal: this._phaseSignal(entry.junction, entry.phaseIndex)
+        };
+    }
+
+    /**
+     * @param {string} junctionId
+     * @param {string} approachId
+     * @returns {string|null} TRAFFIC_SIGNAL value.
+     */
+    getApproachSignal(junctionId, approachId) {
+        return this.getApproachPhase(junctionId, approachId)?.signal ?? null;
+    }
+
+    /**
+     * Every approach with its current signal (used to sync props on creation).
+     * @returns {{junctionId:string, approachId:string, signal:string}[]}
+     */
+    getApproachSignals() {
+        const out = [];
+        for (const { junction, phaseIndex, approach } of this._approaches.values()) {
+            out.push({ junctionId: junction.id, approachId: approach.id, signal: this._phaseSignal(junction, phaseIndex) });
+        }
+        return out;
+    }
+
+    /**
+     * Signal facing a vehicle at `position` travelling along `yaw` (three.js yaw, +Z forward).
+     * Returns null when no signalised junction is within `queryRadius` ahead.
+     * @param {{x:number, z:number}} position
+     * @param {number} yaw
+     * @returns {string|null}
+     */
+    getSignalAt(position, yaw) {
+        const found = this._findPhaseAt(position, yaw, this.options.queryRadius);
+        return found ? this._phaseSignal(found.junction, found.phaseIndex) : null;
+    }
+
+    /**
+     * Like getSignalAt, plus which junction it belongs to and the distance to its center (red-light detection).
+     * @param {{x:number, z:number}} position
+     * @param {number} yaw
+     * @returns {{junctionId:string, signal:string, distance:number}|null}
+     */
+    getSignalAhead(position, yaw) {
+        const found = this._findPhaseAt(position, yaw, this.options.queryRadius);
+        if (!found) return null;
+        const { junction, phaseIndex } = found;
+        return {
+            junctionId: junction.id,
+            signal: this._phaseSignal(junction, phaseIndex),
+            distance: Math.hypot(junction.center.x - position.x, junction.center.z - position.z)
+        };
+    }
+
+    /**
+     * @returns {object} Signal summary for GameLoop.getTelemetry.
+     */
+    getTelemetry() {
+        let green = 0;
+        for (const j of this._junctions.values()) if (j.stage === SIGNAL_STAGE.GREEN) green++;
+        return { mode: this.options.mode, junctions: this._junctions.size, green };
+    }
+
+    /**
+     * @param {number} dt - Seconds.
+     */
+    update(dt) {
+        const step = Math.max(0, Number(dt) || 0);
+        if (!(step > 0)) return;
+
+        const actuated = this.options.mode === SIGNAL_MODE.ACTUATED;
+        if (actuated) this._detectDemand();
+        for (const j of this._junctions.values()) this._advance(j, step, actuated);
+    }
+
+    dispose() {
+        this._junctions.clear();
+        this._approaches.clear();
+    }
+
+    _phaseSignal(junction, phaseIndex) {
+        if (junction.phaseIndex !== phaseIndex) return TRAFFIC_SIGNAL.RED;
+        if (junction.stage === SIGNAL_STAGE.GREEN) return TRAFFIC_SIGNAL.GREEN;
+        if (junction.stage === SIGNAL_STAGE.YELLOW) return TRAFFIC_SIGNAL.YELLOW;
+        return TRAFFIC_SIGNAL.RED;
+    }
+
+    _findPhaseAt(position, yaw, radius) {
+        if (!position || !Number.isFinite(yaw)) return null;
+        const dir = travelDir(yaw);
+        let best = null;
+        let bestD = Infinity;
+        for (const j of this._junctions.values()) {
+            const dx = j.center.x - position.x;
+            const dz = j.center.z - position.z;
+            const d = Math.hypot(dx, dz);
+            if (d > radius || d >= bestD) continue;
+            if (d > EPS && (dx * dir.x + dz * dir.z) / d < 0) continue;
+            best = j;
+            bestD = d;
+        }
+        if (!best) return null;
+
+        let phaseIndex = -1;
+        let bestDot = this.options.headingDot;
+        best.phases.forEach((phase, i) => {
+            const dot = Math.abs(phase.axis.x * dir.x + phase.axis.z * dir.z);
+            if (dot >= bestDot) {
+                bestDot = dot;
+                phaseIndex = i;
+            }
+        });
+        return phaseIndex >= 0 ? { junction: best, phaseIndex } : null;
+    }
+
+    _detectDemand() {
+        for (const j of this._junctions.values()) j.demand.fill(false);
+        for (const v of this._getVehicles() ?? []) {
+            const found = this._findPhaseAt(v?.position, Number(v?.yaw), this.options.detectorRange);
+            if (found) found.junction.demand[found.phaseIndex] = true;
+        }
+    }
+
+    _advance(j, dt, actuated) {
+        const o = this.options;
+        j.elapsed += dt;
+
+        if (j.stage === SIGNAL_STAGE.GREEN) {
+            if (actuated && j.demand[j.phaseIndex]) j.sinceDemand = 0;
+            else j.sinceDemand += dt;
+
+            let end = false;
+            if (!actuated) {
+                end = j.elapsed >= o.greenSeconds;
+            } else if (j.elapsed >= o.minGreenSeconds && j.demand.some((d, i) => d && i !== j.phaseIndex)) {
+                end = j.sinceDemand >= o.gapSeconds || j.elapsed >= o.maxGreenSeconds;
+            }
+            if (end) this._setStage(j, SIGNAL_STAGE.YELLOW);
+            return;
+        }
+
+        if (j.stage === SIGNAL_STAGE.YELLOW) {
+            if (j.elapsed >= o.yellowSeconds) this._setStage(j, SIGNAL_STAGE.ALL_RED);
+            return;
+        }
+
+        if (j.elapsed >= o.allRedSeconds) {
+            const count = j.phases.length;
+            let next = (j.phaseIndex + 1) % count;
+            if (actuated) {
+                for (let k = 1; k <= count; k++) {
+                    const i = (j.phaseIndex + k) % count;
+                    if (j.demand[i]) {
+                        next = i;
+                        break;
+                    }
+                }
+            }
+            j.phaseIndex = next;
+            j.sinceDemand = 0;
+            this._setStage(j, SIGNAL_STAGE.GREEN);
+        }
+    }
+
+    _setStage(j, stage) {
+        j.stage = stage;
+        j.elapsed = 0;
+        if (!this._onSignalChange) return;
+        // Only the active phase changes on a stage transition; the rest were already red.
+        const signal = this._phaseSignal(j, j.phaseIndex);
+        for (const a of j.phases[j.phaseIndex].approaches) this._onSignalChange({ junctionId: j.id, approachId: a.id, signal });
+    }
+}
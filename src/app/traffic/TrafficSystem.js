@@ -0,0 +1,570 @@
+// src/app/traffic/TrafficSystem.js
+// Ambient AI traffic: cars random-walk the LaneGraph with IDM following, stop-sign yielding and traffic-light stops.
+// Design: agents are kinematic (position along a lane edge); seeded via CityRNG so a seed + inputs reproduces the same traffic.
+// @ts-check
+import { CityRNG } from '../city/CityRNG.js';
+import { LANE_EDGE_KIND } from '../city/roads/LaneGraph.js';
+import { VEHICLE_PHYSICS } from '../core/VehicleManager.js';
+import { IDM_DEFAULTS, computeIdmAcceleration } from './IntelligentDriverModel.js';
+
+export const TRAFFIC_SIGNAL = Object.freeze({
+    RED: 'red',
+    YELLOW: 'yellow',
+    GREEN: 'green'
+});
+
+export const TRAFFIC_CONTROL_KIND = Object.freeze({
+    TRAFFIC_LIGHT: 'traffic_light',
+    STOP_SIGN: 'stop_sign'
+});
+
+export const TRAFFIC_DEFAULTS = Object.freeze({
+    vehiclesPerKm: 12,
+    maxVehicles: 48,
+    carLength: 4.4,
+    carWidth: 1.8,
+    speedJitter: 0.15,
+    lookahead: 60,
+    stopLineOffset: 1.5,
+    stopSignWait: 1.0,
+    stoppedSpeed: 0.3,
+    spawnMinGap: 14,
+    spawnClearRadius: 25,
+    maxStep: 0.05,
+    controlMatchRadius: 20,
+    controlHeadingDot: 0.8,
+    signalGreenSeconds: 12,
+    signalYellowSeconds: 3,
+    signalAllRedSeconds: 1
+});
+
+const EPS = 1e-6;
+
+function isDrivable(edge) {
+    return !!edge && edge.kind !== LANE_EDGE_KIND.LANE_CHANGE;
+}
+
+function buildPolyline(edge) {
+    const pts = Array.isArray(edge?.points) ? edge.points : [];
+    const cum = [0];
+    for (let i = 1; i < pts.length; i++) {
+        cum.push(cum[i - 1] + Math.hypot(pts[i].x - pts[i - 1].x, pts[i].z - pts[i - 1].z));
+    }
+    const total = cum[cum.length - 1] > EPS ? cum[cum.length - 1] : Math.max(EPS, Number(edge?.length) || 0);
+    return { points: pts, cum, total };
+}
+
+function samplePolyline(poly, s) {
+    const pts = poly.points;
+    if (!pts.length) return { x: 0, z: 0, yaw: 0 };
+    if (pts.length === 1) return { x: pts[0].x, z: pts[0].z, yaw: 0 };
+    const d = Math.max(0, Math.min(poly.total, s));
+    let i = 1;
+    while (i < pts.length - 1 && poly.cum[i] < d) i++;
+    const a = pts[i - 1];
+    const b = pts[i];
+    const segLen = Math.max(EPS, poly.cum[i] - poly.cum[i - 1]);
+    const t = Math.max(0, Math.min(1, (d - poly.cum[i - 1]) / segLen));
+    return {
+        x: a.x + (b.x - a.x) * t,
+        z: a.z + (b.z - a.z) * t,
+        yaw: Math.atan2(b.x - a.x, b.z - a.z)
+    };
+}
+
+/**
+ * Binds traffic control placements to the lane exit nodes they govern.
+ * Each placement's approach travel direction is (sin rotationY, cos rotationY), matching
+ * `computeRoadTrafficControlPlacementsFromRoadEngineDerived`.
+ * @param {import('../city/roads/LaneGraph.js').LaneGraph} laneGraph
+ * @param {object[]} placements
+ * @param {object} [options]
+ * @param {number} [options.matchRadius]
+ * @param {number} [options.headingDot]
+ * @returns {Map<string, {kind:string, junctionId:string|null, approach:string|null, axis:number, placement:object}>} Keyed by exit node id.
+ */
+export function bindTrafficControlsToLaneGraph(laneGraph, placements, {
+    matchRadius = TRAFFIC_DEFAULTS.controlMatchRadius,
+    headingDot = TRAFFIC_DEFAULTS.controlHeadingDot
+} = {}) {
+    const out = new Map();
+    const list = (Array.isArray(placements) ? placements : []).filter((p) => p?.position && Number.isFinite(p?.rotationY));
+    if (!laneGraph || !list.length) return out;
+
+    for (const node of laneGraph.getNodes()) {
+        if (node.role !== 'exit') continue;
+        if (!laneGraph.getOutgoing(node.id).some((e) => e.kind === LANE_EDGE_KIND.TURN)) continue;
+        const dir = { x: Math.cos(node.heading), z: Math.sin(node.heading) };
+
+        let best = null;
+        let bestD = Infinity;
+        for (const p of list) {
+            const travel = { x: Math.sin(p.rotationY), z: Math.cos(p.rotationY) };
+            if (dir.x * travel.x + dir.z * travel.z < headingDot) continue;
+            const d = Math.hypot(p.position.x - node.position.x, p.position.z - node.position.z);
+            if (d > matchRadius || d >= bestD - 1e-9) continue;
+            best = p;
+            bestD = d;
+        }
+        if (!best) continue;
+
+        out.set(node.id, {
+            kind: best.kind,
+            junctionId: best.junctionId ?? best.nodeId ?? node.junctionNodeId ?? null,
+            approach: best.approach ?? null,
+            axis: Math.abs(dir.x) >= Math.abs(dir.z) ? 0 : 1,
+            placement: best
+        });
+    }
+    return out;
+}
+
+export class TrafficSystem {
+    /**
+     * @param {object} params
+     * @param {import('../city/roads/LaneGraph.js').LaneGraph} params.laneGraph
+     * @param {object[]} [params.controls] - Placements from computeRoadTrafficControlPlacementsFromRoadEngineDerived().
+     * @param {import('../core/VehicleManager.js').VehicleManager} [params.vehicleManager]
+     * @param {(agent: object) => ({vehicle:object, anchor:object, api:object}|null)} [params.createVehicle]
+     * @param {(agent: object, handle: object) => void} [params.destroyVehicle]
+     * @param {object} [params.physics] - Receives `setKinematicPose(vehicleId, pose)`.
+     * @param {() => object[]} [params.getObstacles] - Non-traffic vehicles: { position, yaw, speed, halfLength, halfWidth }.
+     * @param {(control: object, time: number) => (string|null)} [params.getSignal] - Overrides the built-in fixed-time signals (e.g. TrafficSignalController.getSignalAt); null falls back to them.
+     * @param {string} [params.seed='traffic']
+     * @param {number} [params.density=1]
+     * @param {number} [params.groundY=0]
+     * @param {object} [params.options] - Overrides for TRAFFIC_DEFAULTS.
+     * @param {object} [params.idm] - Overrides for IDM_DEFAULTS.
+     */
+    constructor({
+        laneGraph,
+        controls = [],
+        vehicleManager = null,
+        createVehicle = null,
+        destroyVehicle = null,
+        physics = null,
+        getObstacles = null,
+        getSignal = null,
+        seed = 'traffic',
+        density = 1,
+        groundY = 0,
+        options = {},
+        idm = {}
+    } = /** @type {any} */ ({})) {
+        this.laneGraph = laneGraph ?? null;
+        this.options = { ...TRAFFIC_DEFAULTS, ...(options ?? {}) };
+        this.idm = { ...IDM_DEFAULTS, ...(idm ?? {}) };
+        this.rng = new CityRNG(`${seed}:traffic`);
+        this.vehicleManager = vehicleManager ?? null;
+        this.physics = physics ?? null;
+        this.groundY = Number(groundY) || 0;
+        this._createVehicle = typeof createVehicle === 'function' ? createVehicle : null;
+        this._destroyVehicle = typeof destroyVehicle === 'function' ? destroyVehicle : null;
+        this._getObstacles = typeof getObstacles === 'function' ? getObstacles : () => [];
+        this._getSignal = typeof getSignal === 'function' ? getSignal : null;
+
+        this._time = 0;
+        this._nextId = 1;
+        this._agents = [];
+        this._polylines = new Map();
+        this._stopQueues = new Map();
+        this._reservations = new Map();
+
+        const edges = this.laneGraph?.getEdges?.() ?? [];
+        this._spawnEdges = edges.filter((e) => e.kind === LANE_EDGE_KIND.LANE);
+        this._laneKm = this._spawnEdges.reduce((sum, e) => sum + (Number(e.length) || 0), 0) / 1000;
+        this._controls = bindTrafficControlsToLaneGraph(this.laneGraph, controls, {
+            matchRadius: this.options.controlMatchRadius,
+            headingDot: this.options.controlHeadingDot
+        });
+
+        this.density = 0;
+        this.setDensity(density);
+    }
+
+    /**
+     * @param {number} density - Multiplier on `vehiclesPerKm` (0 disables traffic).
+     */
+    setDensity(density) {
+        this.density = Math.max(0, Math.min(3, Number(density) || 0));
+    }
+
+    getTargetCount() {
+        const raw = Math.round(this._laneKm * this.options.vehiclesPerKm * this.density);
+        return Math.max(0, Math.min(this.options.maxVehicles, raw));
+    }
+
+    getAgents() {
+        return this._agents;
+    }
+
+    getAgent(id) {
+        return this._agents.find((a) => a.id === id) ?? null;
+    }
+
+    /**
+     * @param {string} exitNodeId
+     * @returns {object|null} Control bound to a lane exit node.
+     */
+    getControl(exitNodeId) {
+        return this._controls.get(exitNodeId) ?? null;
+    }
+
+    /**
+     * Current signal for a light-controlled approach (built-in fixed-time plan unless `getSignal` is provided).
+     * @param {object} control
+     * @returns {string}
+     */
+    getSignal(control) {
+        const custom = this._getSignal?.(control, this._time) ?? null;
+        if (custom) return custom;
+        const o = this.options;
+        const half = o.signalGreenSeconds + o.signalYellowSeconds + o.signalAllRedSeconds;
+        const t = (this._time + (control?.axis === 1 ? half : 0)) % (half * 2);
+        if (t < o.signalGreenSeconds) return TRAFFIC_SIGNAL.GREEN;
+        if (t < o.signalGreenSeconds + o.signalYellowSeconds) return TRAFFIC_SIGNAL.YELLOW;
+        return TRAFFIC_SIGNAL.RED;
+    }
+
+    /**
+     * @returns {object} Traffic summary for GameLoop.getTelemetry.
+     */
+    getTelemetry() {
+        return {
+            vehicles: this._agents.length,
+            target: this.getTargetCount(),
+            density: this.density
+        };
+    }
+
+    /**
+     * Places an agent on a lane/turn edge. Returns null if the edge is unknown or a change lane.
+     * Only ambient agents count toward (and are culled by) the density target.
+     * @param {object} params
+     * @param {string} params.edgeId
+     * @param {number} [params.s=0] - Distance along the edge (vehicle center).
+     * @param {number} [params.speed=0]
+     * @param {boolean} [params.ambient=false]
+     * @returns {object|null}
+     */
+    spawnAgent({ edgeId, s = 0, speed = 0, ambient = false }) {
+        const edge = this.laneGraph?.getEdge?.(edgeId) ?? null;
+        if (!isDrivable(edge)) return null;
+        const agent = {
+            id: `traffic_${this._nextId++}`,
+            edgeId,
+            nextEdgeId: null,
+            s: Math.max(0, Number(s) || 0),
+            speed: Math.max(0, Number(speed) || 0),
+            accel: 0,
+            speedFactor: 1 + this.rng.range(-this.options.speedJitter, this.options.speedJitter),
+            ambient: !!ambient,
+            stop: null,
+            pose: { x: 0, y: this.groundY, z: 0, yaw: 0 },
+            handle: null
+        };
+        agent.nextEdgeId = this._pickNext(edge);
+        this._updatePose(agent);
+        this._agents.push(agent);
+
+        const handle = this._createVehicle?.(agent) ?? null;
+        if (handle) {
+            agent.handle = handle;
+            this.vehicleManager?.addVehicle(handle.vehicle, handle.anchor, handle.api, agent.id, { physics: VEHICLE_PHYSICS.KINEMATIC });
+            this._syncVehicle(agent);
+        }
+        return agent;
+    }
+
+    removeAgent(id) {
+        const index = this._agents.findIndex((a) => a.id === id);
+        if (index < 0) return false;
+        const [agent] = this._agents.splice(index, 1);
+        this._leaveStop(agent);
+        this._releaseReservations(agent.id);
+        if (agent.handle) {
+            this.vehicleManager?.removeVehicle(agent.id);
+            this._destroyVehicle?.(agent, agent.handle);
+            agent.handle = null;
+        }
+        return true;
+    }
+
+    /**
+     * @param {number} dt - Seconds.
+     */
+    update(dt) {
+        const total = Math.max(0, Number(dt) || 0);
+        if (!(total > 0) || !this.laneGraph) return;
+        const steps = Math.max(1, Math.ceil(total / this.options.maxStep));
+        const h = total / steps;
+        const obstacles = this._getObstacles() ?? [];
+        for (let i = 0; i < steps; i++) this._step(h, obstacles);
+        for (const agent of this._agents) this._syncVehicle(agent);
+    }
+
+    _step(dt, obstacles) {
+        this._time += dt;
+        this._balancePopulation(obstacles);
+
+        const byEdge = new Map();
+        for (const agent of this._agents) {
+            if (!byEdge.has(agent.edgeId)) byEdge.set(agent.edgeId, []);
+            byEdge.get(agent.edgeId).push(agent);
+        }
+        for (const list of byEdge.values()) list.sort((a, b) => a.s - b.s);
+
+        const agents = this._agents.slice();
+        const plans = agents.map((agent) => this._plan(agent, byEdge, obstacles));
+
+        for (let i = 0; i < agents.length; i++) {
+            const agent = agents[i];
+            const { accel, limit, leaderSpeed } = plans[i];
+            agent.accel = accel;
+            agent.speed = Math.max(0, agent.speed + accel * dt);
+            let ds = agent.speed * dt;
+            if (ds > limit) {
+                ds = Math.max(0, limit);
+                agent.speed = Math.min(agent.speed, leaderSpeed);
+            }
+            this._advance(agent, ds);
+        }
+    }
+
+    _plan(agent, byEdge, obstacles) {
+        const edge = this.laneGraph.getEdge(agent.edgeId);
+        const poly = this._polyline(edge);
+        const half = this.options.carLength * 0.5;
+        const remaining = poly.total - agent.s;
+        let gap = Infinity;
+        let limit = Infinity;
+        let leaderSpeed = 0;
+        // `g` drives IDM; `hard` is the distance the agent may not cover this step.
+        const consider = (g, v, hard = g) => {
+            if (g < gap) {
+                gap = g;
+                leaderSpeed = v;
+            }
+            limit = Math.min(limit, hard - 0.5);
+        };
+
+        const same = byEdge.get(agent.edgeId) ?? [];
+        const ahead = same[same.indexOf(agent) + 1] ?? null;
+        if (ahead) {
+            consider(ahead.s - agent.s - this.options.carLength, ahead.speed);
+        } else if (agent.nextEdgeId && remaining < this.options.lookahead) {
+            const next = byEdge.get(agent.nextEdgeId) ?? [];
+            if (next.length) consider(remaining + next[0].s - this.options.carLength, next[0].speed);
+        }
+
+        const stopGap = this._controlGap(agent, edge, poly);
+        if (stopGap !== null) consider(stopGap + this.idm.minGap, 0, stopGap + 0.5);
+
+        for (const obstacle of obstacles) {
+            const hit = this._obstacleGap(agent, obstacle);
+            if (hit) consider(hit.gap, hit.speed);
+        }
+
+        let desired = Math.max(0.5, (Number(edge?.speed) || 0) * agent.speedFactor);
+        const next = agent.nextEdgeId ? this.laneGraph.getEdge(agent.nextEdgeId) : null;
+        const nextSpeed = Number(next?.speed);
+        if (Number.isFinite(nextSpeed) && nextSpeed < desired) {
+            desired = Math.min(desired, Math.sqrt(nextSpeed * nextSpeed + 2 * this.idm.comfortDecel * Math.max(0, remaining - half)));
+        }
+
+        const accel = computeIdmAcceleration({ speed: agent.speed, desiredSpeed: desired, gap, leaderSpeed, options: this.idm });
+        return { accel, limit, leaderSpeed };
+    }
+
+    _controlGap(agent, edge, poly) {
+        if (edge?.kind !== LANE_EDGE_KIND.LANE) return null;
+        const control = this._controls.get(edge.to);
+        if (!control) return null;
+
+        const toLine = poly.total - this.options.stopLineOffset - (agent.s + this.options.carLength * 0.5);
+        if (toLine < -0.5) return null;
+
+        if (control.kind === TRAFFIC_CONTROL_KIND.TRAFFIC_LIGHT) {
+            const signal = this.getSignal(control);
+            if (signal === TRAFFIC_SIGNAL.GREEN) return null;
+            if (signal === TRAFFIC_SIGNAL.YELLOW) {
+                const brakeDist = (agent.speed * agent.speed) / (2 * this.idm.comfortDecel);
+                if (toLine < brakeDist) return null;
+            }
+            return Math.max(0, toLine);
+        }
+
+        if (control.kind !== TRAFFIC_CONTROL_KIND.STOP_SIGN) return null;
+        const junction = this.laneGraph.getNode(edge.to)?.junctionNodeId ?? control.junctionId;
+        if (!agent.stop) agent.stop = { junction, arrivedAt: null, cleared: false };
+        if (agent.stop.cleared) return null;
+
+        if (agent.stop.arrivedAt === null && toLine < 1.0 && agent.speed < this.options.stoppedSpeed) {
+            agent.stop.arrivedAt = this._time;
+            const queue = this._stopQueues.get(junction) ?? [];
+            queue.push(agent.id);
+            this._stopQueues.set(junction, queue);
+        }
+        if (agent.stop.arrivedAt !== null && this._time - agent.stop.arrivedAt >= this.options.stopSignWait) {
+            const queue = this._stopQueues.get(junction) ?? [];
+            if (queue[0] === agent.id && !this._isJunctionBusy(junction, agent.id)) {
+                queue.shift();
+                agent.stop.cleared = true;
+                this._reservations.set(junction, agent.id);
+                return null;
+            }
+        }
+        return Math.max(0, toLine);
+    }
+
+    _isJunctionBusy(junction, selfId) {
+        const holder = this._reservations.get(junction);
+        if (holder && holder !== selfId) return true;
+        for (const other of this._agents) {
+            if (other.id === selfId) continue;
+            const edge = this.laneGraph.getEdge(other.edgeId);
+            if (edge?.kind === LANE_EDGE_KIND.TURN && edge.junctionNodeId === junction) return true;
+        }
+        return false;
+    }
+
+    _obstacleGap(agent, obstacle) {
+        const p = obstacle?.position;
+        if (!p) return null;
+        const fx = Math.sin(agent.pose.yaw);
+        const fz = Math.cos(agent.pose.yaw);
+        const dx = p.x - agent.pose.x;
+        const dz = p.z - agent.pose.z;
+        const along = dx * fx + dz * fz;
+        if (along <= 0 || along > this.options.lookahead) return null;
+        const lateral = Math.abs(dx * fz - dz * fx);
+        const halfWidth = Math.max(0, Number(obstacle.halfWidth) || 1.25);
+        if (lateral > this.options.carWidth * 0.5 + halfWidth) return null;
+        const halfLength = Math.max(0, Number(obstacle.halfLength) || 3);
+        const yaw = Number(obstacle.yaw) || 0;
+        const speed = Math.max(0, (Number(obstacle.speed) || 0) * Math.cos(yaw - agent.pose.yaw));
+        return { gap: along - this.options.carLength * 0.5 - halfLength, speed };
+    }
+
+    _advance(agent, ds) {
+        agent.s += ds;
+        let edge = this.laneGraph.getEdge(agent.edgeId);
+        let poly = this._polyline(edge);
+        while (agent.s > poly.total) {
+            const next = agent.nextEdgeId ? this.laneGraph.getEdge(agent.nextEdgeId) : null;
+            if (!next) {
+                this._respawn(agent);
+                return;
+            }
+            agent.s -= poly.total;
+            if (edge.kind === LANE_EDGE_KIND.LANE) this._leaveStop(agent);
+            if (edge.kind === LANE_EDGE_KIND.TURN) this._releaseReservations(agent.id);
+            agent.edgeId = next.id;
+            agent.nextEdgeId = this._pickNext(next);
+            edge = next;
+            poly = this._polyline(edge);
+        }
+        this._updatePose(agent);
+    }
+
+    _leaveStop(agent) {
+        const junction = agent.stop?.junction;
+        agent.stop = null;
+        if (!junction) return;
+        const queue = this._stopQueues.get(junction);
+        const index = queue ? queue.indexOf(agent.id) : -1;
+        if (index >= 0) queue.splice(index, 1);
+    }
+
+    _releaseReservations(agentId) {
+        for (const [junction, holder] of this._reservations) {
+            if (holder === agentId) this._reservations.delete(junction);
+        }
+    }
+
+    _pickNext(edge) {
+        const options = this.laneGraph.getOutgoing(edge.to).filter(isDrivable);
+        return options.length ? this.rng.pick(options).id : null;
+    }
+
+    _respawn(agent) {
+        this._leaveStop(agent);
+        this._releaseReservations(agent.id);
+        const spot = this._findSpawnSpot(this._getObstacles() ?? []);
+        if (!spot) {
+            this.removeAgent(agent.id);
+            return;
+        }
+        agent.edgeId = spot.edge.id;
+        agent.s = spot.s;
+        agent.speed = 0;
+        agent.nextEdgeId = this._pickNext(spot.edge);
+        this._updatePose(agent);
+    }
+
+    _balancePopulation(obstacles) {
+        const target = this.getTargetCount();
+        const ambient = this._agents.filter((a) => a.ambient);
+        if (ambient.length > target) {
+            this.removeAgent(ambient[ambient.length - 1].id);
+            return;
+        }
+        if (ambient.length < target) {
+            const spot = this._findSpawnSpot(obstacles);
+            if (spot) this.spawnAgent({ edgeId: spot.edge.id, s: spot.s, ambient: true });
+        }
+    }
+
+    _findSpawnSpot(obstacles) {
+        const o = this.options;
+        for (let attempt = 0; attempt < 8 && this._spawnEdges.length; attempt++) {
+            const edge = this.rng.pick(this._spawnEdges);
+            const poly = this._polyline(edge);
+            if (poly.total < o.carLength * 2 + o.stopLineOffset) continue;
+            const s = this.rng.range(o.carLength, poly.total - o.carLength - o.stopLineOffset);
+            if (this._agents.some((a) => a.edgeId === edge.id && Math.abs(a.s - s) < o.spawnMinGap)) continue;
+            const p = samplePolyline(poly, s);
+            if (obstacles.some((ob) => ob?.position && Math.hypot(ob.position.x - p.x, ob.position.z - p.z) < o.spawnClearRadius)) continue;
+            return { edge, s };
+        }
+        return null;
+    }
+
+    _polyline(edge) {
+        let poly = this._polylines.get(edge?.id);
+        if (!poly) {
+            poly = buildPolyline(edge);
+            this._polylines.set(edge?.id, poly);
+        }
+        return poly;
+    }
+
+    _updatePose(agent) {
+        const p = samplePolyline(this._polyline(this.laneGraph.getEdge(agent.edgeId)), agent.s);
+        agent.pose.x = p.x;
+        agent.pose.y = this.groundY;
+        agent.pose.z = p.z;
+        agent.pose.yaw = p.yaw;
+    }
+
+    _syncVehicle(agent) {
+        const handle = agent.handle;
+        if (!handle) return;
+        const anchor = handle.anchor;
+        if (anchor?.position && anchor?.rotation) {
+            anchor.position.x = agent.pose.x;
+            anchor.position.y = agent.pose.y;
+            anchor.position.z = agent.pose.z;
+            anchor.rotation.y = agent.pose.yaw;
+        }
+        handle.api?.setBrakeLights?.(agent.accel < -0.5 || agent.speed < this.options.stoppedSpeed);
+        this.physics?.setKinematicPose?.(agent.id, agent.pose);
+    }
+
+    dispose() {
+        for (const agent of this._agents.slice()) this.removeAgent(agent.id);
+        this._stopQueues.clear();
+        this._reservations.clear();
+        this._polylines.clear();
+    }
+}
@@ -0,0 +1,93 @@
+// src/app/transit/BusStopService.js
+// Tracks vehicles against bus stop zones and emits stop arrival/departure events.
+// Design: a vehicle "arrives" only when stopped inside the zone with doors open (vehicles without door state: stopped is
+// enough); it "departs" once it leaves the zone.
+// @ts-check
+import { isPointInBusStopZone } from '../city/BusStopPlacement.js';
+
+export const BUS_STOP_SERVICE_DEFAULTS = Object.freeze({
+    stoppedSpeedKph: 2.0
+});
+
+export class BusStopService {
+    /**
+     * @param {object} params
+     * @param {import('../core/EventBus.js').EventBus} params.eventBus
+     * @param {object[]} [params.stops] - Placements from computeBusStopPlacements().
+     * @param {number} [params.stoppedSpeedKph]
+     */
+    constructor({ eventBus, stops = [], stoppedSpeedKph = BUS_STOP_SERVICE_DEFAULTS.stoppedSpeedKph } = {}) {
+        this.eventBus = eventBus ?? null;
+        this.stops = Array.isArray(stops) ? stops.slice() : [];
+        this.stoppedSpeedKph = Math.max(0, Number(stoppedSpeedKph) || 0);
+        this._time = 0;
+        this._vehicles = new Map();
+    }
+
+    getStops() {
+        return this.stops;
+    }
+
+    getStop(stopId) {
+        return this.stops.find((s) => s.id === stopId) ?? null;
+    }
+
+    /**
+     * @param {{x:number,z:number}} position
+     * @returns {object|null} The first stop whose zone contains the point.
+     */
+    findStopAt(position) {
+        return this.stops.find((s) => isPointInBusStopZone(s, position)) ?? null;
+    }
+
+    /**
+     * @param {string} vehicleId
+     * @returns {{stopId:string, arrivedAt:number}|null} Stop the vehicle is currently serving.
+     */
+    getServedStop(vehicleId) {
+        const state = this._vehicles.get(vehicleId);
+        return state?.stopId ? { stopId: state.stopId, arrivedAt: state.arrivedAt } : null;
+    }
+
+    /**
+     * Advances the service loop for one vehicle.
+     * @param {number} dt - Seconds.
+     * @param {object} sample
+     * @param {string} sample.vehicleId
+     * @param {{x:number,z:number}} sample.position
+     * @param {number} sample.speedKph
+     * @param {boolean} [sample.doorsOpen] - Omit for vehicles without door state.
+     */
+    update(dt, { vehicleId, position, speedKph, doorsOpen } = /** @type {any} */ ({})) {
+        this._time += Math.max(0, Number(dt) || 0);
+        if (!vehicleId || !position) return;
+
+        let state = this._vehicles.get(vehicleId);
+        if (!state) {
+            state = { stopId: null, arrivedAt: 0 };
+            this._vehicles.set(vehicleId, state);
+        }
+
+        if (state.stopId) {
+            const stop = this.getStop(state.stopId);
+            if (stop && isPointInBusStopZone(stop, position)) return;
+            const dwell = this._time - state.arrivedAt;
+            const stopId = state.stopId;
+            state.stopId = null;
+            this.eventBus?.emit('stop:departed', { vehicleId, stopId, name: stop?.name ?? null, dwell, time: this._time });
+            return;
+        }
+
+        if (doorsOpen === false || Math.abs(Number(speedKph) || 0) > this.stoppedSpeedKph) return;
+        const stop = this.findStopAt(position);
+        if (!stop) return;
+        state.stopId = stop.id;
+        state.arrivedAt = this._time;
+        this.eventBus?.emit('stop:arrived', { vehicleId, stopId: stop.id, name: stop.name, time: this._time });
+    }
+
+    reset() {
+        this._vehicles.clear();
+        this._time = 0;
+    }
+}
@@ -0,0 +1,306 @@
+// src/app/transit/PassengerSystem.js
+// Simulates waiting passengers at stops and boarding/alighting for buses serving those stops.
+// Design: seeded via CityRNG so a given seed + input sequence reproduces the same passenger flow.
+// Wheelchair passengers only board or alight while the bus has its ramp deployed (when a ramp check is provided).
+// @ts-check
+import { CityRNG } from '../city/CityRNG.js';
+
+export const PASSENGER_DEFAULTS = Object.freeze({
+    spawnPerMinute: 1.5,
+    maxWaitingPerStop: 14,
+    initialWaitingMax: 5,
+    boardSeconds: 2.2,
+    alightSeconds: 1.6,
+    passengerMassKg: 75,
+    patienceSeconds: 90,
+    satisfactionFalloffSeconds: 240,
+    wheelchairShare: 0.05,
+    wheelchairSeconds: 7
+});
+
+function clamp01(v) {
+    return Math.max(0, Math.min(1, v));
+}
+
+function canUseDoor(pax, rampDeployed) {
+    return !pax.wheelchair || rampDeployed;
+}
+
+export class PassengerSystem {
+    /**
+     * @param {object} params
+     * @param {import('../core/EventBus.js').EventBus} params.eventBus
+     * @param {object[]} [params.stops] - Stop placements (need `id`).
+     * @param {string} [params.seed='passengers']
+     * @param {(vehicleId: string) => boolean} [params.isDoorOpen]
+     * @param {(vehicleId: string) => boolean} [params.isRampDeployed] - Omit to let wheelchair passengers use any bus.
+     * @param {object} [params.options] - Overrides for PASSENGER_DEFAULTS.
+     */
+    constructor({ eventBus, stops = [], seed = 'passengers', isDoorOpen = null, isRampDeployed = null, options = {} } = /** @type {any} */ ({})) {
+        this.eventBus = eventBus ?? null;
+        this.options = { ...PASSENGER_DEFAULTS, ...(options ?? {}) };
+        this._seed = String(seed);
+        this.rng = new CityRNG(`${this._seed}:passengers`);
+        this._isDoorOpen = typeof isDoorOpen === 'function' ? isDoorOpen : () => false;
+        this._rampRequired = typeof isRampDeployed === 'function';
+        this._isRampDeployed = this._rampRequired ? isRampDeployed : () => true;
+        this._time = 0;
+        this._nextId = 1;
+
+        this._stopIds = (Array.isArray(stops) ? stops : []).map((s) => s?.id).filter((id) => typeof id === 'string');
+        this._waiting = new Map(this._stopIds.map((id) => [id, []]));
+        this._vehicles = new Map();
+
+        for (const stopId of this._stopIds) {
+            const count = this.rng.int(this.options.initialWaitingMax + 1);
+            for (let i = 0; i < count; i++) this._spawn(stopId);
+        }
+
+        this._unsubArrived = this.eventBus?.on('stop:arrived', (e) => this._onArrived(e)) ?? null;
+        this._unsubDeparted = this.eventBus?.on('stop:departed', (e) => this._onDeparted(e)) ?? null;
+    }
+
+    /**
+     * @param {string} vehicleId
+     * @param {object} params
+     * @param {number} params.capacity
+     */
+    addVehicle(vehicleId, { capacity = 0 } = {}) {
+        if (!vehicleId) return;
+        this._vehicles.set(vehicleId, {
+            capacity: Math.max(0, Number(capacity) | 0),
+            onboard: [],
+            stopId: null,
+            timer: 0,
+            boarded: 0,
+            alighted: 0,
+            satisfactionSum: 0,
+            satisfactionCount: 0
+        });
+        this._emitLoad(vehicleId);
+    }
+
+    removeVehicle(vehicleId) {
+        this._vehicles.delete(vehicleId);
+    }
+
+    getWaitingCount(stopId) {
+        return this._waiting.get(stopId)?.length ?? 0;
+    }
+
+    /**
+     * @param {string} vehicleId
+     * @returns {{onboard:number, capacity:number, payloadKg:number}|null}
+     */
+    getVehicleLoad(vehicleId) {
+        const v = this._vehicles.get(vehicleId);
+        if (!v) return null;
+        return { onboard: v.onboard.length, capacity: v.capacity, payloadKg: v.onboard.length * this.options.passengerMassKg };
+    }
+
+    /**
+     * @param {string} vehicleId
+     * @returns {object|null} Passenger telemetry for GameLoop.getTelemetry.
+     */
+    getTelemetry(vehicleId) {
+        const v = this._vehicles.get(vehicleId);
+        if (!v) return null;
+        const queue = v.stopId ? (this._waiting.get(v.stopId) ?? []) : [];
+        const wheelchairWaiting = queue.filter((pax) => pax.wheelchair).length;
+        const wheelchairAlighting = v.onboard.filter((pax) => pax.wheelchair && pax.destinationStopId === v.stopId).length;
+        return {
+            onboard: v.onboard.length,
+            capacity: v.capacity,
+            waiting: queue.length,
+            wheelchairWaiting,
+            needsRamp: wheelchairWaiting + wheelchairAlighting > 0,
+            boarded: v.boarded,
+            alighted: v.alighted,
+            satisfaction: v.satisfactionCount ? v.satisfactionSum / v.satisfactionCount : 1
+        };
+    }
+
+    /**
+     * @param {number} dt - Seconds.
+     */
+    update(dt) {
+        const step = Math.max(0, Number(dt) || 0);
+        if (!(step > 0)) return;
+        this._time += step;
+
+        const p = clamp01((this.options.spawnPerMinute / 60) * step);
+        for (const stopId of this._stopIds) {
+            if (this.getWaitingCount(stopId) >= this.options.maxWaitingPerStop) continue;
+            if (this.rng.chance(p)) this._spawn(stopId);
+        }
+
+        for (const [vehicleId, v] of this._vehicles) {
+            if (!v.stopId || !this._isDoorOpen(vehicleId)) {
+                v.timer = 0;
+                continue;
+            }
+            v.timer += step;
+            this._processDoors(vehicleId, v);
+        }
+    }
+
+    /**
+     * Waiting queues and per-vehicle passengers (save games).
+     * @returns {object}
+     */
+    getSnapshot() {
+        const waiting = {};
+        for (const [stopId, queue] of this._waiting) waiting[stopId] = queue.map((pax) => ({ ...pax }));
+        const vehicles = {};
+        for (const [vehicleId, v] of this._vehicles) {
+            vehicles[vehicleId] = {
+                onboard: v.onboard.map((pax) => ({ ...pax })),
+                boarded: v.boarded,
+                alighted: v.alighted,
+                satisfactionSum: v.satisfactionSum,
+                satisfactionCount: v.satisfactionCount
+            };
+        }
+        return { time: this._time, nextId: this._nextId, waiting, vehicles };
+    }
+
+    /**
+     * Restores a getSnapshot() result. Vehicles must already be added; unknown stops and vehicles are ignored.
+     * The RNG is reseeded from the seed and restored time since CityRNG state is not serializable.
+     * @param {object} snapshot
+     */
+    restoreSnapshot(snapshot) {
+        if (!snapshot || typeof snapshot !== 'object') return;
+        this._time = Math.max(0, Number(snapshot.time) || 0);
+        this._nextId = Math.max(1, Math.trunc(Number(snapshot.nextId) || 1));
+        this.rng.reset(`${this._seed}:passengers:${this._time.toFixed(3)}`);
+
+        const waiting = snapshot.waiting && typeof snapshot.waiting === 'object' ? snapshot.waiting : {};
+        for (const stopId of this._stopIds) {
+            const queue = Array.isArray(waiting[stopId]) ? waiting[stopId] : [];
+            this._waiting.set(stopId, queue
+                .filter((pax) => pax && this._stopIds.includes(pax.destinationStopId))
+                .map((pax) => ({
+                    id: String(pax.id),
+                    destinationStopId: pax.destinationStopId,
+                    spawnedAt: Number(pax.spawnedAt) || 0,
+                    wheelchair: pax.wheelchair === true
+                })));
+        }
+
+        const vehicles = snapshot.vehicles && typeof snapshot.vehicles === 'object' ? snapshot.vehicles : {};
+        for (const [vehicleId, v] of this._vehicles) {
+            const saved = vehicles[vehicleId];
+            if (!saved) continue;
+            v.onboard = (Array.isArray(saved.onboard) ? saved.onboard : [])
+                .filter((pax) => pax && typeof pax.destinationStopId === 'string')
+                .slice(0, v.capacity)
+                .map((pax) => ({
+                    id: String(pax.id),
+                    destinationStopId: pax.destinationStopId,
+                    boardedAt: Number(pax.boardedAt) || 0,
+                    wheelchair: pax.wheelchair === true
+                }));
+            v.boarded = Math.max(0, Number(saved.boarded) || 0);
+            v.alighted = Math.max(0, Number(saved.alighted) || 0);
+            v.satisfactionSum = Math.max(0, Number(saved.satisfactionSum) || 0);
+            v.satisfactionCount = Math.max(0, Number(saved.satisfactionCount) || 0);
+            v.stopId = null;
+            v.timer = 0;
+            this._emitLoad(vehicleId);
+        }
+    }
+
+    _doorSeconds(pax, seconds) {
+        return pax.wheelchair ? Math.max(seconds, this.options.wheelchairSeconds) : seconds;
+    }
+
+    _processDoors(vehicleId, v) {
+        const ramp = this._isRampDeployed(vehicleId) === true;
+        for (;;) {
+            const alightIndex = v.onboard.findIndex((pax) => pax.destinationStopId === v.stopId && canUseDoor(pax, ramp));
+            if (alightIndex >= 0) {
+                const alightSeconds = this._doorSeconds(v.onboard[alightIndex], this.options.alightSeconds);
+                if (v.timer < alightSeconds) return;
+                v.timer -= alightSeconds;
+                const [pax] = v.onboard.splice(alightIndex, 1);
+                v.alighted += 1;
+                this.eventBus?.emit('passenger:alighted', { vehicleId, stopId: v.stopId, passengerId: pax.id });
+                this._emitLoad(vehicleId);
+                continue;
+            }
+
+            // Passengers behind a wheelchair user waiting for the ramp board first.
+            const queue = this._waiting.get(v.stopId) ?? [];
+            const boardIndex = queue.findIndex((pax) => canUseDoor(pax, ramp));
+            if (boardIndex < 0 || v.onboard.length >= v.capacity) {
+                v.timer = 0;
+                return;
+            }
+            const boardSeconds = this._doorSeconds(queue[boardIndex], this.options.boardSeconds);
+            if (v.timer < boardSeconds) return;
+            v.timer -= boardSeconds;
+
+            const [pax] = queue.splice(boardIndex, 1);
+            const waited = this._time - pax.spawnedAt;
+            const late = Math.max(0, waited - this.options.patienceSeconds);
+            v.satisfactionSum += clamp01(1 - late / Math.max(1, this.options.satisfactionFalloffSeconds));
+            v.satisfactionCount += 1;
+            v.boarded += 1;
+            v.onboard.push({ id: pax.id, destinationStopId: pax.destinationStopId, boardedAt: this._time, wheelchair: pax.wheelchair });
+            this.eventBus?.emit('passenger:boarded', { vehicleId, stopId: v.stopId, passengerId: pax.id, waited });
+            this._emitLoad(vehicleId);
+        }
+    }
+
+    _spawn(stopId) {
+        const others = this._stopIds.filter((id) => id !== stopId);
+        if (!others.length) return;
+        const share = this.options.wheelchairShare;
+        this._waiting.get(stopId)?.push({
+            id: `pax_${this._nextId++}`,
+            destinationStopId: this.rng.pick(others),
+            spawnedAt: this._time,
+            wheelchair: share > 0 && this.rng.chance(share)
+        });
+    }
+
+    _onArrived(e) {
+        const v = this._vehicles.get(e?.vehicleId);
+        if (!v) return;
+        v.stopId = e.stopId ?? null;
+        v.timer = 0;
+    }
+
+    _onDeparted(e) {
+        const v = this._vehicles.get(e?.vehicleId);
+        if (!v) return;
+        const left = this.getWaitingCount(v.stopId);
+        if (left > 0 && v.onboard.length >= v.capacity) {
+            v.satisfactionCount += left;
+        } else if (this._rampRequired) {
+            // Wheelchair users left behind (or carried past their stop) because the ramp was never deployed.
+            const queue = this._waiting.get(v.stopId) ?? [];
+            const stranded = queue.filter((pax) => pax.wheelchair).length
+                + v.onboard.filter((pax) => pax.wheelchair && pax.destinationStopId === v.stopId).length;
+            v.satisfactionCount += stranded;
+        }
+        v.stopId = null;
+        v.timer = 0;
+    }
+
+    _emitLoad(vehicleId) {
+        const load = this.getVehicleLoad(vehicleId);
+        if (!load) return;
+        this.eventBus?.emit('vehicle:payloadChanged', { vehicleId, ...load });
+    }
+
+    dispose() {
+        this._unsubArrived?.();
+        this._unsubDeparted?.();
+        this._unsubArrived = null;
+        this._unsubDeparted = null;
+        this._vehicles.clear();
+        this._waiting.clear();
+    }
+}
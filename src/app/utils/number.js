@@ -0,0 +1,25 @@
+// src/app/utils/number.js
+// Numeric helpers for sanitizing tuning, specs and saves at module boundaries.
+
+export function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+export function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+/**
+ * `value` when it is a finite number, else `fallback` (no coercion: null, strings and booleans fall back).
+ */
+export function finiteOr(value, fallback) {
+    return Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * `Number(value)` when that is finite, else `fallback`; for parsed JSON where numbers may arrive as strings.
+ */
+export function toFiniteOr(value, fallback) {
+    const n = Number(value);
+    return Number.isFinite(n) ? n : fallback;
+}
@@ -0,0 +1,95 @@
+// src/app/vehicle/DamageSystem.js
+// Reports crash damage of the player bus and repairs it on request while the bus stands in the depot bay.
+// Design: a GameLoop system; the damage itself lives in the physics vehicle state (DamageSim), repairs go through a callback.
+// @ts-check
+import { isPointInDepot } from '../city/DepotPlacement.js';
+
+export const DAMAGE_SYSTEM_DEFAULTS = Object.freeze({
+    maxRepairSpeed: 0.5
+});
+
+const EPS = 1e-6;
+
+export class DamageSystem {
+    /**
+     * @param {object} params
+     * @param {import('../core/EventBus.js').EventBus} [params.eventBus]
+     * @param {string} params.vehicleId
+     * @param {object|null} [params.depot] - computeDepotPlacement() result.
+     * @param {() => (object|null)} [params.getState] - Physics vehicle state (`locomotion` + `damage`).
+     * @param {() => boolean} [params.repair] - Clears the physics damage; returns whether it did.
+     * @param {number} [params.maxRepairSpeed] - m/s.
+     */
+    constructor({
+        eventBus = null,
+        vehicleId,
+        depot = null,
+        getState = null,
+        repair = null,
+        maxRepairSpeed = DAMAGE_SYSTEM_DEFAULTS.maxRepairSpeed
+    } = /** @type {any} */ ({})) {
+        this.eventBus = eventBus ?? null;
+        this.vehicleId = vehicleId;
+        this.depot = depot ?? null;
+        this._getState = typeof getState === 'function' ? getState : () => null;
+        this._repair = typeof repair === 'function' ? repair : () => false;
+        this.maxRepairSpeed = Math.max(0, Number(maxRepairSpeed) || 0);
+        this.inDepot = false;
+        this.repairs = 0;
+        this._damage = null;
+        this._speed = 0;
+        this._unsubRepair = this.eventBus?.on('input:repair', () => this.requestRepair()) ?? null;
+    }
+
+    /**
+     * @param {number} dt - Seconds.
+     */
+    update(dt) {
+        const state = this._getState();
+        const loco = state?.locomotion ?? null;
+        this._damage = state?.damage ?? null;
+        if (!loco) return;
+        this._speed = Number(loco.speed) || 0;
+        this.inDepot = !!this.depot && isPointInDepot(this.depot, loco.position);
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    canRepair() {
+        return this.inDepot && Math.abs(this._speed) <= this.maxRepairSpeed && (this._damage?.level ?? 0) > EPS;
+    }
+
+    /**
+     * Repairs the bus if it is stopped in the depot bay with something to fix.
+     * @returns {boolean} Whether a repair happened.
+     */
+    requestRepair() {
+        if (!this.canRepair()) return false;
+        const level = this._damage?.level ?? 0;
+        if (!this._repair()) return false;
+        this.repairs += 1;
+        this.eventBus?.emit('damage:repaired', { vehicleId: this.vehicleId, depotId: this.depot?.id ?? null, level });
+        return true;
+    }
+
+    getTelemetry(vehicleId) {
+        if (vehicleId !== this.vehicleId || !this._damage) return null;
+        const d = this._damage;
+        const zones = {};
+        for (const [zone, value] of Object.entries(d.zones ?? {})) zones[zone] = value?.level ?? 0;
+        return {
+            level: d.level ?? 0,
+            zones,
+            powerFactor: d.powerFactor ?? 1,
+            headlightsBroken: Array.isArray(d.headlights) ? d.headlights.filter(Boolean).length : 0,
+            inDepot: this.inDepot,
+            canRepair: this.canRepair()
+        };
+    }
+
+    dispose() {
+        this._unsubRepair?.();
+        this._unsubRepair = null;
+    }
+}
@@ -0,0 +1,76 @@
+// src/app/vehicle/DriverAssistSettings.js
+// Persisted driver assist toggles (ABS, traction control, stability control).
+// Design: toggles can only switch assists off; per-bus thresholds live in `BUS_CATALOG[].tuning.driverAssist`.
+// @ts-check
+
+const STORAGE_KEY = 'bus_sim.driverAssist.v1';
+
+export const DRIVER_ASSIST_SETTINGS_DEFAULTS = Object.freeze({
+    abs: true,
+    tcs: true,
+    esc: true
+});
+
+function readUrlParamBool(params, key, fallback) {
+    if (!params?.has?.(key)) return fallback;
+    const v = String(params.get(key)).trim().toLowerCase();
+    if (v === '1' || v === 'true' || v === 'yes' || v === 'on') return true;
+    if (v === '0' || v === 'false' || v === 'no' || v === 'off') return false;
+    return fallback;
+}
+
+export function sanitizeDriverAssistSettings(input) {
+    const src = input && typeof input === 'object' ? input : {};
+    return {
+        abs: src.abs !== undefined ? !!src.abs : DRIVER_ASSIST_SETTINGS_DEFAULTS.abs,
+        tcs: src.tcs !== undefined ? !!src.tcs : DRIVER_ASSIST_SETTINGS_DEFAULTS.tcs,
+        esc: src.esc !== undefined ? !!src.esc : DRIVER_ASSIST_SETTINGS_DEFAULTS.esc
+    };
+}
+
+export function loadSavedDriverAssistSettings() {
+    if (typeof window === 'undefined') return null;
+    const storage = window.localStorage;
+    if (!storage) return null;
+    const raw = storage.getItem(STORAGE_KEY);
+    if (!raw) return null;
+    try {
+        return sanitizeDriverAssistSettings(JSON.parse(raw));
+    } catch {
+        return null;
+    }
+}
+
+export function saveDriverAssistSettings(settings) {
+    if (typeof window === 'undefined') return false;
+    const storage = window.localStorage;
+    if (!storage) return false;
+    const payload = sanitizeDriverAssistSettings(settings);
+    try {
+        storage.setItem(STORAGE_KEY, JSON.stringify(payload));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * URL overrides: `abs=0|1`, `tcs=0|1`, `esc=0|1`.
+ */
+export function getResolvedDriverAssistSettings({ includeUrlOverrides = true } = {}) {
+    const saved = loadSavedDriverAssistSettings();
+    const merged = sanitizeDriverAssistSettings({ ...DRIVER_ASSIST_SETTINGS_DEFAULTS, ...(saved ?? {}) });
+
+    if (includeUrlOverrides && typeof window !== 'undefined') {
+        const params = new URLSearchParams(window.location.search);
+        merged.abs = readUrlParamBool(params, 'abs', merged.abs);
+        merged.tcs = readUrlParamBool(params, 'tcs', merged.tcs);
+        merged.esc = readUrlParamBool(params, 'esc', merged.esc);
+    }
+
+    return merged;
+}
+
+export function getDefaultResolvedDriverAssistSettings() {
+    return sanitizeDriverAssistSettings(DRIVER_ASSIST_SETTINGS_DEFAULTS);
+}
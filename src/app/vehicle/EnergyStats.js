@@ -0,0 +1,127 @@
+// src/app/vehicle/EnergyStats.js
+// Pure fuel/energy accounting for a driving session: consumption, idle burn, regen and depot top-ups.
+// Design: samples carry the drivetrain's cumulative counters; stats only add the deltas so resets or restores never double count.
+// @ts-check
+import { toFiniteOr } from '../utils/number.js';
+
+export const ENERGY_STATS_DEFAULTS = Object.freeze({
+    minDistanceKm: 0.05,
+    depotMaxSpeed: 0.5
+});
+
+/**
+ * @returns {{distanceKm:number, fuelUsedLiters:number, idleFuelLiters:number, energyUsedKwh:number, regenKwh:number, refuelledLiters:number, chargedKwh:number, depotVisits:number, last:object|null}}
+ */
+export function createEnergyStats() {
+    return {
+        distanceKm: 0,
+        fuelUsedLiters: 0,
+        idleFuelLiters: 0,
+        energyUsedKwh: 0,
+        regenKwh: 0,
+        refuelledLiters: 0,
+        chargedKwh: 0,
+        depotVisits: 0,
+        last: null
+    };
+}
+
+function counterDelta(current, previous) {
+    const cur = toFiniteOr(current, null);
+    if (cur === null) return 0;
+    const prev = toFiniteOr(previous, null);
+    // A counter that went backwards was reset (new vehicle, restored save): start over from it.
+    return prev === null || cur < prev ? 0 : cur - prev;
+}
+
+/**
+ * Folds one frame of drivetrain counters into the session stats.
+ * @param {ReturnType<typeof createEnergyStats>} stats
+ * @param {object} sample
+ * @param {number} sample.dt
+ * @param {number} [sample.speed] - m/s (sign ignored).
+ * @param {number} [sample.fuelUsedLiters] - Cumulative engine burn.
+ * @param {number} [sample.idleFuelLiters] - Cumulative burn while stationary.
+ * @param {number} [sample.energyUsedKwh] - Cumulative net battery draw.
+ * @param {number} [sample.regenKwh] - Cumulative recovered energy.
+ * @returns {ReturnType<typeof createEnergyStats>}
+ */
+export function accumulateEnergyStats(stats, sample) {
+    const dt = Math.max(0, toFiniteOr(sample?.dt, 0));
+    const last = stats.last ?? {};
+    const next = {
+        fuelUsedLiters: toFiniteOr(sample?.fuelUsedLiters, null),
+        idleFuelLiters: toFiniteOr(sample?.idleFuelLiters, null),
+        energyUsedKwh: toFiniteOr(sample?.energyUsedKwh, null),
+        regenKwh: toFiniteOr(sample?.regenKwh, null)
+    };
+    stats.distanceKm += (Math.abs(toFiniteOr(sample?.speed, 0)) * dt) / 1000;
+    stats.fuelUsedLiters += counterDelta(next.fuelUsedLiters, last.fuelUsedLiters);
+    stats.idleFuelLiters += counterDelta(next.idleFuelLiters, last.idleFuelLiters);
+    stats.energyUsedKwh += counterDelta(next.energyUsedKwh, last.energyUsedKwh);
+    stats.regenKwh += counterDelta(next.regenKwh, last.regenKwh);
+    stats.last = next;
+    return stats;
+}
+
+/**
+ * Fuel and charge a depot hands over in one step; nothing while the bus still rolls.
+ * @param {object} depot - Needs `refuelLitersPerSec` and `chargePowerKw`.
+ * @param {object} params
+ * @param {number} params.dt
+ * @param {number} [params.speed]
+ * @param {boolean} [params.needsFuel]
+ * @param {boolean} [params.needsCharge]
+ * @param {number} [params.maxSpeed]
+ * @returns {{fuelLiters:number, energyKwh:number}}
+ */
+export function computeDepotTransfer(depot, { dt, speed = 0, needsFuel = false, needsCharge = false, maxSpeed = ENERGY_STATS_DEFAULTS.depotMaxSpeed }) {
+    const step = Math.max(0, toFiniteOr(dt, 0));
+    if (!depot || step <= 0 || Math.abs(toFiniteOr(speed, 0)) > maxSpeed) return { fuelLiters: 0, energyKwh: 0 };
+    return {
+        fuelLiters: needsFuel ? Math.max(0, toFiniteOr(depot.refuelLitersPerSec, 0)) * step : 0,
+        energyKwh: needsCharge ? (Math.max(0, toFiniteOr(depot.chargePowerKw, 0)) * step) / 3600 : 0
+    };
+}
+
+/**
+ * Records what the depot actually delivered (after the tank/battery caps).
+ * @param {ReturnType<typeof createEnergyStats>} stats
+ * @param {{fuelLiters?:number, energyKwh?:number}} added
+ * @returns {ReturnType<typeof createEnergyStats>}
+ */
+export function recordDepotTransfer(stats, added) {
+    stats.refuelledLiters += Math.max(0, toFiniteOr(added?.fuelLiters, 0));
+    stats.chargedKwh += Math.max(0, toFiniteOr(added?.energyKwh, 0));
+    return stats;
+}
+
+/**
+ * Report figures for the session (per-distance values are null until the bus has covered `minDistanceKm`).
+ * @param {ReturnType<typeof createEnergyStats>} stats
+ * @param {object} [options]
+ * @param {string} [options.powertrain='diesel']
+ * @param {number} [options.minDistanceKm]
+ * @returns {object}
+ */
+export function summarizeEnergyStats(stats, { powertrain = 'diesel', minDistanceKm = ENERGY_STATS_DEFAULTS.minDistanceKm } = {}) {
+    const distanceKm = Math.max(0, toFiniteOr(stats?.distanceKm, 0));
+    const fuel = Math.max(0, toFiniteOr(stats?.fuelUsedLiters, 0));
+    const idle = Math.max(0, toFiniteOr(stats?.idleFuelLiters, 0));
+    const energy = toFiniteOr(stats?.energyUsedKwh, 0);
+    const covered = distanceKm >= minDistanceKm;
+    return {
+        powertrain,
+        distanceKm,
+        fuelUsedLiters: fuel,
+        litersPer100Km: covered ? (fuel / distanceKm) * 100 : null,
+        idleFuelLiters: idle,
+        idleShare: fuel > 0 ? Math.min(1, idle / fuel) : 0,
+        energyUsedKwh: energy,
+        kwhPerKm: covered ? energy / distanceKm : null,
+        regenKwh: Math.max(0, toFiniteOr(stats?.regenKwh, 0)),
+        refuelledLiters: Math.max(0, toFiniteOr(stats?.refuelledLiters, 0)),
+        chargedKwh: Math.max(0, toFiniteOr(stats?.chargedKwh, 0)),
+        depotVisits: Math.max(0, toFiniteOr(stats?.depotVisits, 0) | 0)
+    };
+}
@@ -0,0 +1,140 @@
+// src/app/vehicle/EnergySystem.js
+// Tracks fuel/battery use of the player bus and refuels or charges it while it stands in the depot bay.
+// Design: a GameLoop system fed by drivetrain samples; accounting and depot rates are delegated to EnergyStats.
+// @ts-check
+import { isPointInDepot } from '../city/DepotPlacement.js';
+import {
+    accumulateEnergyStats,
+    computeDepotTransfer,
+    createEnergyStats,
+    recordDepotTransfer,
+    summarizeEnergyStats
+} from './EnergyStats.js';
+
+const EPS = 1e-6;
+
+export class EnergySystem {
+    /**
+     * @param {object} params
+     * @param {import('../core/EventBus.js').EventBus} [params.eventBus]
+     * @param {string} params.vehicleId
+     * @param {string} [params.powertrain='diesel']
+     * @param {object|null} [params.depot] - computeDepotPlacement() result.
+     * @param {() => (object|null)} [params.getState] - Physics vehicle state (`locomotion` + `drivetrain`).
+     * @param {(amounts: {fuelLiters:number, energyKwh:number}) => ({fuelLiters:number, energyKwh:number}|null)} [params.refuel]
+     */
+    constructor({
+        eventBus = null,
+        vehicleId,
+        powertrain = 'diesel',
+        depot = null,
+        getState = null,
+        refuel = null
+    } = /** @type {any} */ ({})) {
+        this.eventBus = eventBus ?? null;
+        this.vehicleId = vehicleId;
+        this.powertrain = powertrain;
+        this.depot = depot ?? null;
+        this._getState = typeof getState === 'function' ? getState : () => null;
+        this._refuel = typeof refuel === 'function' ? refuel : () => null;
+        this.stats = createEnergyStats();
+        this.inDepot = false;
+        this.refuelling = false;
+        this._drivetrain = null;
+        this._depotDistance = null;
+    }
+
+    /**
+     * @param {number} dt - Seconds.
+     */
+    update(dt) {
+        const step = Math.max(0, Number(dt) || 0);
+        if (!(step > 0)) return;
+        const state = this._getState();
+        const loco = state?.locomotion ?? null;
+        const drivetrain = state?.drivetrain ?? null;
+        if (!loco || !drivetrain) return;
+        this._drivetrain = drivetrain;
+
+        accumulateEnergyStats(this.stats, {
+            dt: step,
+            speed: loco.speed,
+            fuelUsedLiters: drivetrain.fuelUsedLiters,
+            idleFuelLiters: drivetrain.idleFuelLiters,
+            energyUsedKwh: drivetrain.energyUsedKwh,
+            regenKwh: drivetrain.regenKwh
+        });
+
+        const center = this.depot?.zone?.center ?? null;
+        this._depotDistance = center && loco.position ? Math.hypot(loco.position.x - center.x, loco.position.z - center.z) : null;
+        const inside = !!this.depot && isPointInDepot(this.depot, loco.position);
+        if (inside !== this.inDepot) {
+            this.inDepot = inside;
+            this.eventBus?.emit(inside ? 'energy:depotEntered' : 'energy:depotLeft', { vehicleId: this.vehicleId, depotId: this.depot?.id ?? null });
+        }
+
+        let refuelling = false;
+        if (inside) {
+            const transfer = computeDepotTransfer(this.depot, {
+                dt: step,
+                speed: loco.speed,
+                needsFuel: Number.isFinite(drivetrain.fuelTankLiters) && drivetrain.fuelLiters < drivetrain.fuelTankLiters - EPS,
+                needsCharge: Number.isFinite(drivetrain.soc) && drivetrain.soc < 1 - EPS
+            });
+            if (transfer.fuelLiters > 0 || transfer.energyKwh > 0) {
+                const added = this._refuel(transfer);
+                recordDepotTransfer(this.stats, added);
+                refuelling = (added?.fuelLiters ?? 0) > 0 || (added?.energyKwh ?? 0) > 0;
+            }
+        }
+        if (refuelling && !this.refuelling) this.stats.depotVisits += 1;
+        this.refuelling = refuelling;
+    }
+
+    /**
+     * Session consumption figures for the end-of-shift report.
+     * @returns {object}
+     */
+    getStats() {
+        return summarizeEnergyStats(this.stats, { powertrain: this.powertrain });
+    }
+
+    getTelemetry(vehicleId) {
+        if (vehicleId !== this.vehicleId) return null;
+        const d = this._drivetrain;
+        const tank = Number.isFinite(d?.fuelTankLiters) ? d.fuelTankLiters : null;
+        return {
+            powertrain: this.powertrain,
+            fuelLiters: tank !== null ? d.fuelLiters : null,
+            fuelTankLiters: tank,
+            fuelLevel: tank ? d.fuelLiters / tank : null,
+            fuelRateLph: d?.fuelRateLph ?? null,
+            outOfFuel: d?.outOfFuel === true,
+            soc: Number.isFinite(d?.soc) ? d.soc : null,
+            depot: this.depot
+                ? { name: this.depot.name, inside: this.inDepot, refuelling: this.refuelling, distance: this._depotDistance }
+                : null
+        };
+    }
+
+    /**
+     * Session totals (save games); the drivetrain counters themselves live in the vehicle snapshot.
+     * @returns {object}
+     */
+    getSnapshot() {
+        const { last, ...totals } = this.stats;
+        return totals;
+    }
+
+    /**
+     * @param {object} snapshot
+     */
+    restoreSnapshot(snapshot) {
+        if (!snapshot || typeof snapshot !== 'object') return;
+        const base = createEnergyStats();
+        for (const key of Object.keys(base)) {
+            if (key !== 'last' && Number.isFinite(snapshot[key])) base[key] = Math.max(0, snapshot[key]);
+        }
+        this.stats = base;
+    }
+}
@@ -0,0 +1,131 @@
+// src/app/vehicle/SpeedControl.js
+// Cruise control and speed limiter: a PI speed controller that overrides the driver's pedals around a set speed.
+// Design: no EventBus and no physics access; VehicleController owns one per vehicle and feeds it speed and pedal input.
+// @ts-check
+import { clamp, finiteOr } from '../utils/number.js';
+
+export const SPEED_CONTROL_MODES = Object.freeze(['off', 'cruise', 'limiter']);
+
+export const SPEED_CONTROL_DEFAULTS = Object.freeze({
+    minSetKph: 20,
+    maxSetKph: 120,
+    stepKph: 5,
+    kp: 0.08,
+    ki: 0.04,
+    maxBrake: 0.3,
+    brakeDeadbandKph: 2,
+    limiterBandKph: 3,
+    disengageBrake: 0.1
+});
+
+export class SpeedControl {
+    /**
+     * @param {object} [config] - Overrides for SPEED_CONTROL_DEFAULTS.
+     */
+    constructor(config = {}) {
+        const c = { ...SPEED_CONTROL_DEFAULTS, ...(config ?? {}) };
+        this.minSetKph = Math.max(0, finiteOr(c.minSetKph, SPEED_CONTROL_DEFAULTS.minSetKph));
+        this.maxSetKph = Math.max(this.minSetKph, finiteOr(c.maxSetKph, SPEED_CONTROL_DEFAULTS.maxSetKph));
+        this.stepKph = Math.max(1, finiteOr(c.stepKph, SPEED_CONTROL_DEFAULTS.stepKph));
+        this.kp = Math.max(0, finiteOr(c.kp, SPEED_CONTROL_DEFAULTS.kp));
+        this.ki = Math.max(0, finiteOr(c.ki, SPEED_CONTROL_DEFAULTS.ki));
+        this.maxBrake = clamp(finiteOr(c.maxBrake, SPEED_CONTROL_DEFAULTS.maxBrake), 0, 1);
+        this.brakeDeadbandKph = Math.max(0, finiteOr(c.brakeDeadbandKph, SPEED_CONTROL_DEFAULTS.brakeDeadbandKph));
+        this.limiterBandKph = Math.max(0.1, finiteOr(c.limiterBandKph, SPEED_CONTROL_DEFAULTS.limiterBandKph));
+        this.disengageBrake = clamp(finiteOr(c.disengageBrake, SPEED_CONTROL_DEFAULTS.disengageBrake), 0, 1);
+
+        /** @type {'off'|'cruise'|'limiter'} */
+        this.mode = 'off';
+        this.setKph = 0;
+        /** Whether the controller is overriding the pedals this frame. */
+        this.active = false;
+        this._integral = 0;
+    }
+
+    /**
+     * Switch mode. Cruise holds the current speed and needs at least `minSetKph`; the limiter caps at the current speed,
+     * or keeps its previous limit when engaged below `minSetKph`.
+     * @param {'off'|'cruise'|'limiter'} mode
+     * @param {number} speedKph - Current speed.
+     * @param {number} [throttle] - Current pedal, so cruise takes over without a jolt.
+     * @returns {boolean} Whether the mode changed.
+     */
+    setMode(mode, speedKph, throttle = 0) {
+        if (!SPEED_CONTROL_MODES.includes(mode) || mode === this.mode) return false;
+        const speed = Math.abs(finiteOr(speedKph, 0));
+        if (mode === 'cruise') {
+            if (speed < this.minSetKph) return false;
+            this.setKph = clamp(Math.round(speed), this.minSetKph, this.maxSetKph);
+            this._integral = this.ki > 0 ? clamp(finiteOr(throttle, 0), 0, 1) / this.ki : 0;
+        } else if (mode === 'limiter') {
+            const base = speed >= this.minSetKph ? Math.round(speed) : this.setKph;
+            this.setKph = clamp(base, this.minSetKph, this.maxSetKph);
+        }
+        this.mode = mode;
+        this.active = false;
+        return true;
+    }
+
+    /**
+     * Nudge the set speed by whole steps (+1 faster, -1 slower) while engaged.
+     * @param {number} direction
+     */
+    adjust(direction) {
+        if (this.mode === 'off') return;
+        const steps = Math.sign(finiteOr(direction, 0));
+        this.setKph = clamp(this.setKph + steps * this.stepKph, this.minSetKph, this.maxSetKph);
+    }
+
+    /**
+     * Pedal command for this frame. Cruise disengages on the brake or handbrake and lets the driver press past it;
+     * the limiter only ever lowers the throttle.
+     * @param {number} dt - Seconds.
+     * @param {number} speedKph
+     * @param {{throttle?:number, brake?:number, handbrake?:number}} input - Driver pedals.
+     * @returns {{throttle:number, brake:number}}
+     */
+    update(dt, speedKph, input) {
+        const throttle = clamp(finiteOr(input?.throttle, 0), 0, 1);
+        const brake = clamp(finiteOr(input?.brake, 0), 0, 1);
+        const speed = Math.abs(finiteOr(speedKph, 0));
+        const step = Math.max(0, finiteOr(dt, 0));
+        this.active = false;
+
+        if (this.mode === 'cruise' && (brake > this.disengageBrake || finiteOr(input?.handbrake, 0) > 0.5)) {
+            this.mode = 'off';
+        }
+
+        if (this.mode === 'limiter') {
+            const cap = clamp((this.setKph - speed) / this.limiterBandKph, 0, 1);
+            this.active = throttle > cap;
+            return { throttle: Math.min(throttle, cap), brake };
+        }
+
+        if (this.mode !== 'cruise') return { throttle, brake };
+
+        const error = this.setKph - speed;
+        const proportional = this.kp * error;
+        const command = proportional + this.ki * this._integral;
+        if (throttle > 0 && throttle > command) return { throttle, brake };
+
+        // Integrate only while the output is unsaturated (anti-windup).
+        const next = this._integral + error * step;
+        const nextCommand = proportional + this.ki * next;
+        if (nextCommand <= 1 && nextCommand >= -this.maxBrake) this._integral = next;
+
+        this.active = true;
+        const u = proportional + this.ki * this._integral;
+        const braking = u < 0 && error < -this.brakeDeadbandKph;
+        return {
+            throttle: clamp(u, 0, 1),
+            brake: braking ? clamp(-u, 0, this.maxBrake) : 0
+        };
+    }
+
+    /**
+     * @returns {{mode:'off'|'cruise'|'limiter', setKph:number, active:boolean}}
+     */
+    getState() {
+        return { mode: this.mode, setKph: this.setKph, active: this.active };
+    }
+}
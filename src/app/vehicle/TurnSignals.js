@@ -0,0 +1,136 @@
+// src/app/vehicle/TurnSignals.js
+// Indicators and hazard lights: blink cycle and self-cancelling once the steering comes back after a turn.
+// Design: no EventBus and no rig access; VehicleController owns one per vehicle, feeds it steering and drives the lamps.
+// @ts-check
+import { clamp, finiteOr } from '../utils/number.js';
+
+export const TURN_SIGNAL_MODES = Object.freeze(['off', 'left', 'right']);
+
+export const TURN_SIGNAL_DEFAULTS = Object.freeze({
+    // ~80 flashes per minute, lit for half of each cycle
+    periodSec: 0.75,
+    dutyCycle: 0.5,
+    // Steering (-1 left .. +1 right) that counts as having turned towards the indicated side
+    turnSteer: 0.35,
+    // Steering back within this much of centre after the turn cancels the indicator
+    returnSteer: 0.08
+});
+
+export class TurnSignals {
+    /**
+     * @param {object} [config] - Overrides for TURN_SIGNAL_DEFAULTS.
+     */
+    constructor(config = {}) {
+        const c = { ...TURN_SIGNAL_DEFAULTS, ...(config ?? {}) };
+        this.periodSec = Math.max(0.1, finiteOr(c.periodSec, TURN_SIGNAL_DEFAULTS.periodSec));
+        this.dutyCycle = clamp(finiteOr(c.dutyCycle, TURN_SIGNAL_DEFAULTS.dutyCycle), 0.05, 1);
+        this.turnSteer = clamp(finiteOr(c.turnSteer, TURN_SIGNAL_DEFAULTS.turnSteer), 0.01, 1);
+        this.returnSteer = clamp(finiteOr(c.returnSteer, TURN_SIGNAL_DEFAULTS.returnSteer), 0, this.turnSteer);
+
+        /** @type {'off'|'left'|'right'} */
+        this.mode = 'off';
+        this.hazard = false;
+        /** Whether the flashing lamps are lit right now. */
+        this.lampOn = false;
+        this._phase = 0;
+        this._turned = false;
+    }
+
+    /**
+     * @param {'off'|'left'|'right'} mode
+     * @returns {boolean} Whether the mode changed.
+     */
+    setMode(mode) {
+        if (!TURN_SIGNAL_MODES.includes(mode) || mode === this.mode) return false;
+        const wasFlashing = this.isFlashing();
+        this.mode = mode;
+        this._turned = false;
+        if (!wasFlashing) this._restartCycle();
+        return true;
+    }
+
+    /**
+     * Indicate towards `side`, or cancel when already indicating that way.
+     * @param {'left'|'right'} side
+     * @returns {boolean}
+     */
+    toggle(side) {
+        if (side !== 'left' && side !== 'right') return false;
+        return this.setMode(this.mode === side ? 'off' : side);
+    }
+
+    /**
+     * @param {boolean} on
+     * @returns {boolean} Whether the hazard switch changed.
+     */
+    setHazard(on) {
+        const next = !!on;
+        if (next === this.hazard) return false;
+        const wasFlashing = this.isFlashing();
+        this.hazard = next;
+        if (!wasFlashing) this._restartCycle();
+        return true;
+    }
+
+    isFlashing() {
+        return this.hazard || this.mode !== 'off';
+    }
+
+    /**
+     * Advance the blink cycle and self-cancel: the indicator switches off once the steering has turned towards its side
+     * and come back to centre (hazards never self-cancel).
+     * @param {number} dt
+     * @param {number} steering - -1 (left) .. +1 (right).
+     * @returns {{cancelled:boolean}}
+     */
+    update(dt, steering) {
+        let cancelled = false;
+        if (this.mode !== 'off') {
+            const toward = (this.mode === 'left' ? -1 : 1) * finiteOr(steering, 0);
+            if (toward >= this.turnSteer) this._turned = true;
+            else if (this._turned && toward <= this.returnSteer) {
+                this.setMode('off');
+                cancelled = true;
+            }
+        }
+
+        if (!this.isFlashing()) {
+            this.lampOn = false;
+            this._phase = 0;
+        } else {
+            this._phase = (this._phase + Math.max(0, finiteOr(dt, 0))) % this.periodSec;
+            this.lampOn = this._phase < this.periodSec * this.dutyCycle;
+        }
+        return { cancelled };
+    }
+
+    /**
+     * Lamp output this frame: hazards flash both sides.
+     * @returns {{left:boolean, right:boolean}}
+     */
+    getLamps() {
+        return {
+            left: this.lampOn && (this.hazard || this.mode === 'left'),
+            right: this.lampOn && (this.hazard || this.mode === 'right')
+        };
+    }
+
+    /**
+     * @returns {{mode:'off'|'left'|'right', left:boolean, right:boolean, hazard:boolean, lampOn:boolean}}
+     */
+    getState() {
+        return {
+            mode: this.mode,
+            left: this.mode === 'left',
+            right: this.mode === 'right',
+            hazard: this.hazard,
+            lampOn: this.lampOn
+        };
+    }
+
+    _restartCycle() {
+        // A fresh signal lights straight away
+        this._phase = 0;
+        this.lampOn = true;
+    }
+}
@@ -1,4 +1,13 @@
 // src/app/vehicle/VehicleController.js
+import { SHIFT_MAP_IDS } from '../physics/simulations/EngineTransmissionSim.js';
+import { SpeedControl } from './SpeedControl.js';
+import { TurnSignals } from './TurnSignals.js';
+
+function nextShiftMap(current) {
+    const index = SHIFT_MAP_IDS.indexOf(current);
+    return SHIFT_MAP_IDS[(index + 1) % SHIFT_MAP_IDS.length];
+}
+
 /**
  * VehicleController provides high-level control for a single vehicle.
  * 
@@ -6,7 +15,9 @@
  * - Bridge between InputManager and PhysicsController
  * - Apply input to physics systems
  * - Apply physics state to visual representation (3D model)
- * - Manage vehicle-specific settings (headlights, etc.)
+ * - Manage vehicle-specific settings (headlights, doors, etc.)
+ * - Cruise control / speed limiter overriding the pedals sent to physics
+ * - Indicator / hazard blink cycle with self-cancel, horn
  * 
  * Usage:
  *   const controller = new VehicleController(vehicleId, physics, eventBus);
@@ -38,7 +49,10 @@ export class VehicleController {
             throttle: 0,
             brake: 0,
             steering: 0,
-            handbrake: 0
+            handbrake: 0,
+            clutch: 0,
+            retarder: 0,
+            exhaustBrake: false
         };
 
         // Vehicle settings
@@ -46,13 +60,26 @@ export class VehicleController {
             headlightsOn: false,
             brakeLightsOn: false,
             leftTurnSignal: false,
-            rightTurnSignal: false
+            rightTurnSignal: false,
+            hazardLights: false,
+            horn: false,
+            doorsOpen: false,
+            kneel: false
         };
 
         // Reference to vehicle API (set via setVehicleApi)
         this._api = options.api ?? null;
         this._anchor = options.anchor ?? null;
         this._lastWheelSpin = 0;
+        this._damageRevision = -1;
+
+        // Cruise control / speed limiter; `_speedCommand` is its last pedal override (null while off)
+        this.speedControl = new SpeedControl(options.speedControl);
+        this._speedCommand = null;
+
+        // Indicators / hazards; `_turnLamps` is what the rig currently shows (null = not applied yet)
+        this.turnSignals = new TurnSignals(options.turnSignals);
+        this._turnLamps = { left: null, right: null };
 
         // Subscribe to input events
         this._unsubInput = this.eventBus.on('input:controls', (e) => {
@@ -62,6 +89,50 @@ export class VehicleController {
         this._unsubHeadlights = this.eventBus.on('input:headlights', (e) => {
             this.setHeadlights(e.on);
         });
+
+        this._unsubDoors = this.eventBus.on('input:doors', (e) => {
+            this.setDoorsOpen(e.open);
+        });
+
+        this._unsubKneel = this.eventBus.on('input:kneel', (e) => {
+            this.setKneel(e.on);
+        });
+
+        this._unsubShift = this.eventBus.on('input:shift', (e) => {
+            this.shiftGear(e.direction);
+        });
+
+        this._unsubTransmissionMode = this.eventBus.on('input:transmissionMode', (e) => {
+            this.setTransmissionMode(e.mode ?? (this.getTransmissionMode() === 'manual' ? 'auto' : 'manual'));
+        });
+
+        this._unsubRetarder = this.eventBus.on('input:retarder', (e) => {
+            this.setInput({ retarder: e.stage, exhaustBrake: e.exhaustBrake });
+        });
+
+        this._unsubShiftMap = this.eventBus.on('input:shiftMap', (e) => {
+            this.setShiftMap(e.map ?? nextShiftMap(this.getState()?.drivetrain?.shiftMap));
+        });
+
+        this._unsubCruise = this.eventBus.on('input:cruise', (e) => {
+            this.toggleSpeedControl(e.mode ?? 'cruise');
+        });
+
+        this._unsubCruiseAdjust = this.eventBus.on('input:cruiseAdjust', (e) => {
+            this.adjustSpeedControl(e.direction);
+        });
+
+        this._unsubIndicator = this.eventBus.on('input:indicator', (e) => {
+            this.toggleTurnSignal(e.side);
+        });
+
+        this._unsubHazard = this.eventBus.on('input:hazard', () => {
+            this.setHazardLights(!this.settings.hazardLights);
+        });
+
+        this._unsubHorn = this.eventBus.on('input:horn', (e) => {
+            this.setHorn(e.on);
+        });
     }
 
      /**
@@ -73,11 +144,13 @@ export class VehicleController {
         this._api = api;
         this._anchor = anchor;
         this._lastWheelSpin = 0;
+        this._damageRevision = -1;
+        this._turnLamps = { left: null, right: null };
     }
 
     /**
      * Set input values.
-     * @param {object} input - { throttle, brake, steering, handbrake }
+     * @param {object} input - { throttle, brake, steering, handbrake, clutch, retarder, exhaustBrake }
      */
     setInput(input) {
         if (typeof input.throttle === 'number') {
@@ -92,9 +165,25 @@ export class VehicleController {
         if (typeof input.handbrake === 'number') {
             this.input.handbrake = Math.max(0, Math.min(1, input.handbrake));
         }
+        if (typeof input.clutch === 'number') {
+            this.input.clutch = Math.max(0, Math.min(1, input.clutch));
+        }
+        if (typeof input.retarder === 'number') {
+            this.input.retarder = Math.max(0, Math.round(input.retarder));
+        }
+        if (typeof input.exhaustBrake === 'boolean') {
+            this.input.exhaustBrake = input.exhaustBrake;
+        }
+
+        this._sendInput();
+    }
 
-        // Forward to physics
-        this.physics.setInput(this.vehicleId, this.input);
+    /**
+     * Forward the driver input to physics, with the cruise control / limiter pedal override applied.
+     */
+    _sendInput() {
+        const input = this._speedCommand ? { ...this.input, ...this._speedCommand } : this.input;
+        this.physics.setInput(this.vehicleId, input);
     }
 
     /**
@@ -129,6 +218,94 @@ export class VehicleController {
         this.setInput({ handbrake: value });
     }
 
+    /**
+     * Set the retarder stalk position (0 = off).
+     * @param {number} stage
+     */
+    setRetarderStage(stage) {
+        this.setInput({ retarder: stage });
+    }
+
+    /**
+     * Switch the exhaust brake on/off.
+     * @param {boolean} on
+     */
+    setExhaustBrake(on) {
+        this.setInput({ exhaustBrake: !!on });
+    }
+
+    /**
+     * Sequential gear shift.
+     * @param {number} direction - +1 up, -1 down
+     */
+    shiftGear(direction) {
+        this.physics.shiftGear?.(this.vehicleId, direction);
+    }
+
+    /**
+     * Switch between the automatic and the manual (clutch pedal) transmission.
+     * @param {'auto'|'manual'} mode
+     */
+    setTransmissionMode(mode) {
+        this.physics.setTransmissionMode?.(this.vehicleId, mode);
+    }
+
+    /**
+     * @returns {'auto'|'manual'}
+     */
+    getTransmissionMode() {
+        return this.getState()?.drivetrain?.mode ?? 'auto';
+    }
+
+    /**
+     * Select the automatic shift map.
+     * @param {'eco'|'normal'|'power'} map
+     */
+    setShiftMap(map) {
+        this.physics.setShiftMap?.(this.vehicleId, map);
+    }
+
+    /**
+     * Engage cruise control (holds the current speed) or the speed limiter (caps at the current speed).
+     * @param {'off'|'cruise'|'limiter'} mode
+     * @returns {boolean} Whether the mode changed.
+     */
+    setSpeedControl(mode) {
+        const changed = this.speedControl.setMode(mode, this.getState()?.locomotion?.speedKph ?? 0, this.input.throttle);
+        if (changed) this._emitSpeedControl();
+        return changed;
+    }
+
+    /**
+     * Switch cruise control or the limiter on, or off again when it is already engaged.
+     * @param {'cruise'|'limiter'} mode
+     * @returns {boolean}
+     */
+    toggleSpeedControl(mode) {
+        return this.setSpeedControl(this.speedControl.mode === mode ? 'off' : mode);
+    }
+
+    /**
+     * Raise (+1) or lower (-1) the set speed by one step.
+     * @param {number} direction
+     */
+    adjustSpeedControl(direction) {
+        const before = this.speedControl.setKph;
+        this.speedControl.adjust(direction);
+        if (this.speedControl.setKph !== before) this._emitSpeedControl();
+    }
+
+    /**
+     * @returns {{mode:'off'|'cruise'|'limiter', setKph:number, active:boolean}}
+     */
+    getSpeedControl() {
+        return this.speedControl.getState();
+    }
+
+    _emitSpeedControl() {
+        this.eventBus.emit('vehicle:speedControl', { vehicleId: this.vehicleId, ...this.speedControl.getState() });
+    }
+
     /**
      * Set headlights on/off.
      * @param {boolean} on
@@ -143,8 +320,9 @@ export class VehicleController {
      * @param {boolean} on
      */
     setLeftTurnSignal(on) {
-        this.settings.leftTurnSignal = !!on;
-        this._api?.setTurnSignal?.('left', this.settings.leftTurnSignal);
+        if (on) this.turnSignals.setMode('left');
+        else if (this.turnSignals.mode === 'left') this.turnSignals.setMode('off');
+        this._syncTurnSignals();
     }
 
     /**
@@ -152,8 +330,92 @@ export class VehicleController {
      * @param {boolean} on
      */
     setRightTurnSignal(on) {
-        this.settings.rightTurnSignal = !!on;
-        this._api?.setTurnSignal?.('right', this.settings.rightTurnSignal);
+        if (on) this.turnSignals.setMode('right');
+        else if (this.turnSignals.mode === 'right') this.turnSignals.setMode('off');
+        this._syncTurnSignals();
+    }
+
+    /**
+     * Switch one indicator on (the other one off) or, when it is already on, off.
+     * @param {'left'|'right'} side
+     */
+    toggleTurnSignal(side) {
+        if (this.turnSignals.toggle(side)) this._syncTurnSignals();
+    }
+
+    /**
+     * Hazard lights flash both indicators and override them until switched off.
+     * @param {boolean} on
+     */
+    setHazardLights(on) {
+        if (this.turnSignals.setHazard(on)) this._syncTurnSignals();
+    }
+
+    /**
+     * @returns {{mode:'off'|'left'|'right', left:boolean, right:boolean, hazard:boolean, lampOn:boolean}}
+     */
+    getTurnSignals() {
+        return this.turnSignals.getState();
+    }
+
+    /**
+     * Sound the horn (held) and emit `vehicle:horn`.
+     * @param {boolean} on
+     */
+    setHorn(on) {
+        const next = !!on;
+        if (next === this.settings.horn) return;
+        this.settings.horn = next;
+        this.eventBus.emit('vehicle:horn', { vehicleId: this.vehicleId, on: next });
+    }
+
+    /**
+     * Mirror the indicator state into `settings`, emit `vehicle:indicators` when it changed (for scoring, e.g.
+     * indicating before pulling out of a stop) and show the current blink phase on the rig.
+     * @param {{cancelled?:boolean}} [params] - `cancelled`: switched off by the steering self-cancel.
+     */
+    _syncTurnSignals({ cancelled = false } = {}) {
+        const state = this.turnSignals.getState();
+        const changed = state.left !== this.settings.leftTurnSignal
+            || state.right !== this.settings.rightTurnSignal
+            || state.hazard !== this.settings.hazardLights;
+        this.settings.leftTurnSignal = state.left;
+        this.settings.rightTurnSignal = state.right;
+        this.settings.hazardLights = state.hazard;
+        if (changed) {
+            this.eventBus.emit('vehicle:indicators', {
+                vehicleId: this.vehicleId,
+                left: state.left,
+                right: state.right,
+                hazard: state.hazard,
+                cancelled
+            });
+        }
+
+        const lamps = this.turnSignals.getLamps();
+        for (const side of ['left', 'right']) {
+            if (lamps[side] === this._turnLamps[side]) continue;
+            this._turnLamps[side] = lamps[side];
+            this._api?.setTurnSignal?.(side, lamps[side]);
+        }
+    }
+
+    /**
+     * Open/close passenger doors. Physics animates them and holds the brake while any is open.
+     * @param {boolean} open
+     */
+    setDoorsOpen(open) {
+        this.settings.doorsOpen = !!open;
+        this.physics.setDoorsOpen?.(this.vehicleId, this.settings.doorsOpen);
+    }
+
+    /**
+     * Kneel the bus at a stop (and fold out its wheelchair ramp) or rise again. Physics holds the brake while kneeled.
+     * @param {boolean} on
+     */
+    setKneel(on) {
+        this.settings.kneel = !!on;
+        this.physics.setKneel?.(this.vehicleId, this.settings.kneel);
     }
 
     /**
@@ -164,6 +426,20 @@ export class VehicleController {
         const state = this.physics.getVehicleState(this.vehicleId);
         if (!state) return;
 
+        // Cruise control / limiter: new pedal override from the current speed (a brake press disengages cruise)
+        const speedMode = this.speedControl.mode;
+        const command = this.speedControl.update(dt, state.locomotion?.speedKph ?? 0, this.input);
+        const overriding = this.speedControl.mode !== 'off';
+        if (overriding || this._speedCommand) {
+            this._speedCommand = overriding ? command : null;
+            this._sendInput();
+        }
+        if (this.speedControl.mode !== speedMode) this._emitSpeedControl();
+
+        // Indicator blink cycle and self-cancel once the steering comes back after the turn
+        const { cancelled } = this.turnSignals.update(dt, this.input.steering);
+        this._syncTurnSignals({ cancelled });
+
         // Apply locomotion state (position, yaw, steering, wheel spin)
         if (state.locomotion) {
             const loco = state.locomotion;
@@ -214,6 +490,12 @@ export class VehicleController {
             }
         }
 
+        // Trailer section of an articulated bus follows the (interpolated) joint angle
+        if (state.articulation && typeof this._api?.setArticulationAngle === 'function') {
+            const angle = state.renderPose?.articulationAngle ?? state.articulation.angle;
+            this._api.setArticulationAngle(Number.isFinite(angle) ? angle : 0);
+        }
+
         // Apply suspension state
         if (state.suspension && this._api) {
             const susp = state.suspension;
@@ -229,8 +511,32 @@ export class VehicleController {
             }
         }
 
-        // Apply brake lights based on brake input
-        const braking = this.input.brake > 0.1 || this.input.handbrake > 0.5;
+        // Door leaves follow the physics-side door travel
+        const doorStates = state.doors?.open01;
+        if (this._api && Array.isArray(doorStates) && typeof this._api.setDoorState === 'function') {
+            for (let i = 0; i < doorStates.length; i++) {
+                this._api.setDoorState(i, doorStates[i]);
+            }
+        }
+
+        // Wheelchair ramp follows the physics-side kneel sequence
+        if (state.kneel && typeof this._api?.setRampState === 'function') {
+            this._api.setRampState(state.kneel.ramp ?? 0);
+        }
+
+        // Dents and broken lights are only rebuilt when the physics damage changes
+        if (state.damage && state.damage.revision !== this._damageRevision && typeof this._api?.setDamage === 'function') {
+            this._damageRevision = state.damage.revision;
+            this._api.setDamage(state.damage);
+        }
+
+        // Apply brake lights based on brake input (door/kneel interlock and an acting retarder light them too)
+        const braking = this.input.brake > 0.1
+            || (this._speedCommand?.brake ?? 0) > 0.1
+            || this.input.handbrake > 0.5
+            || state.doors?.interlock === true
+            || state.kneel?.interlock === true
+            || state.drivetrain?.retarderActive === true;
         if (braking !== this.settings.brakeLightsOn) {
             this.settings.brakeLightsOn = braking;
             this._api?.setBrake?.(braking ? 1 : 0);
@@ -276,6 +582,17 @@ export class VehicleController {
     dispose() {
         this._unsubInput();
         this._unsubHeadlights();
+        this._unsubDoors();
+        this._unsubKneel();
+        this._unsubShift();
+        this._unsubRetarder();
+        this._unsubTransmissionMode();
+        this._unsubShiftMap();
+        this._unsubCruise();
+        this._unsubCruiseAdjust();
+        this._unsubIndicator();
+        this._unsubHazard();
+        this._unsubHorn();
         this._api = null;
         this._anchor = null;
     }
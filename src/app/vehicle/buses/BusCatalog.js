@@ -5,7 +5,15 @@
 // - Units: meters (Rapier/Three are treated as 1u = 1m)
 // - `dimensions`: approximate chassis bounds { width, height, length }
 // - `wheel`: approximate wheel geometry { radius, width }
-// - `tuning`: gameplay/physics defaults (engine, suspension, damping, etc)
+// - `capacity`: passenger capacity { seated, standing }
+// - `powertrain`: 'diesel' (engine + gearbox), 'electric' (`tuning.electric` motor + battery) or 'hybrid' (both)
+// - `articulation`: optional jointed trailer section { frontLength, bellowsLength, trailerLength, trailerAxleZ, trailerMass, maxAngleDeg }
+//   (`dimensions.length` is then the overall length; the front section carries the steer and drive axles)
+// - `kneel`: optional kneeling suspension { drop, kneelTime, rampTime, ramp } for low-floor buses
+//   (lowers the curb-side suspension at stops; `ramp` deploys the model's wheelchair ramp once kneeled)
+// - `damage`: optional crash damage overrides { zoneEnergy, minEnergy, maxSteerOffsetDeg, maxPowerLoss, headlightBreakEnergy }
+//   (every bus takes damage; see DamageSim for the defaults)
+// - `tuning`: gameplay/physics defaults (engine, electric, retarder, suspension, damping, driver assists, etc)
 
 const ENGINE_POWER_SCALE = 1.3;
 
@@ -18,6 +26,9 @@ export const BUS_CATALOG = [
         wheelCount: 4,
         dimensions: { width: 2.60 * 1.15, height: 3.20 * 1.15, length: 12.00 * 1.15 },
         wheel: { radius: 0.55 * 1.15, width: 0.32 * 1.15 },
+        capacity: { seated: 32, standing: 58 },
+        powertrain: 'diesel',
+        kneel: { drop: 0.09, ramp: true },
         tuning: {
             mass: 10000,
             engineForce: 200000 * ENGINE_POWER_SCALE,
@@ -40,7 +51,14 @@ export const BUS_CATALOG = [
             sideFrictionStiffness: 1.45,
             engine: {
                 maxTorque: 2300 * ENGINE_POWER_SCALE,
-                finalDrive: 4.4
+                finalDrive: 4.4,
+                exhaustBrakeTorque: 480
+            },
+            retarder: { stages: 4, maxTorque: 2600, fullTorqueRpm: 850, maxPowerKw: 300 },
+            driverAssist: {
+                abs: { slipThreshold: 0.2 },
+                tcs: { slipThreshold: 0.18 },
+                esc: { yawRateThreshold: 0.07, understeerGradient: 0.0022 }
             }
         }
     },
@@ -52,6 +70,8 @@ export const BUS_CATALOG = [
         wheelCount: 6,
         dimensions: { width: 2.6, height: 3.35, length: 13.2 },
         wheel: { radius: 0.55, width: 0.32 },
+        capacity: { seated: 53, standing: 0 },
+        powertrain: 'diesel',
         tuning: {
             mass: 11800,
             engineForce: 210000 * ENGINE_POWER_SCALE,
@@ -74,7 +94,15 @@ export const BUS_CATALOG = [
             sideFrictionStiffness: 1.22,
             engine: {
                 maxTorque: 2500 * ENGINE_POWER_SCALE,
-                finalDrive: 4.1
+                finalDrive: 4.1,
+                exhaustBrakeTorque: 560
+            },
+            retarder: { stages: 4, maxTorque: 3200, fullTorqueRpm: 950, maxPowerKw: 400 },
+            driverAssist: {
+                wheelInertia: 30,
+                abs: { slipThreshold: 0.18, releaseRate: 16 },
+                tcs: { slipThreshold: 0.15, recoverRate: 2 },
+                esc: { yawRateThreshold: 0.05, gain: 3, understeerGradient: 0.0028 }
             }
         }
     },
@@ -86,6 +114,9 @@ export const BUS_CATALOG = [
         wheelCount: 6,
         dimensions: { width: 2.7, height: 4.35, length: (12.0 * 1.15 + 13.2) * 0.5 },
         wheel: { radius: 0.55, width: 0.30 },
+        capacity: { seated: 78, standing: 22 },
+        powertrain: 'diesel',
+        kneel: { drop: 0.08, ramp: true },
         tuning: {
             mass: 13500,
             engineForce: 220000 * ENGINE_POWER_SCALE,
@@ -108,7 +139,167 @@ export const BUS_CATALOG = [
             sideFrictionStiffness: 1.35,
             engine: {
                 maxTorque: 2650 * ENGINE_POWER_SCALE,
-                finalDrive: 4.6
+                finalDrive: 4.6,
+                exhaustBrakeTorque: 600
+            },
+            retarder: { stages: 4, maxTorque: 3000, fullTorqueRpm: 850, maxPowerKw: 360 },
+            driverAssist: {
+                wheelInertia: 32,
+                abs: { slipThreshold: 0.18 },
+                tcs: { slipThreshold: 0.15, minFactor: 0.15 },
+                esc: { yawRateThreshold: 0.045, gain: 3.2, maxBrakeFraction: 0.45, understeerGradient: 0.003, gripMu: 0.75 }
+            }
+        }
+    },
+    {
+        id: 'articulated',
+        name: 'Articulated Bus',
+        variant: 'articulated',
+        color: 0x7bd66a,
+        wheelCount: 6,
+        dimensions: { width: 2.55, height: 3.1, length: 18.0 },
+        wheel: { radius: 0.52, width: 0.30 },
+        capacity: { seated: 48, standing: 102 },
+        powertrain: 'diesel',
+        articulation: {
+            frontLength: 10.6,
+            bellowsLength: 1.0,
+            trailerLength: 6.4,
+            trailerAxleZ: -1.0,
+            trailerMass: 5500,
+            maxAngleDeg: 50
+        },
+        kneel: { drop: 0.09, ramp: true },
+        tuning: {
+            mass: 9200,
+            engineForce: 215000 * ENGINE_POWER_SCALE,
+            brakeForce: 15500,
+            handbrakeForce: 17500,
+            maxSteerDeg: 40,
+            linearDamping: 0.3,
+            angularDamping: 1.0,
+            bodyTiltScale: 0.8,
+            maxBodyAngleDeg: 6,
+            suspension: {
+                restLength: 0.34,
+                stiffness: 540,
+                compression: 0.85,
+                relaxation: 0.65,
+                travel: 0.2,
+                maxForce: 100000
+            },
+            frictionSlip: 8.0,
+            sideFrictionStiffness: 1.35,
+            engine: {
+                maxTorque: 2600 * ENGINE_POWER_SCALE,
+                finalDrive: 5.1,
+                exhaustBrakeTorque: 580
+            },
+            retarder: { stages: 4, maxTorque: 3000, fullTorqueRpm: 900, maxPowerKw: 380 },
+            driverAssist: {
+                wheelInertia: 30,
+                abs: { slipThreshold: 0.18 },
+                tcs: { slipThreshold: 0.15 },
+                esc: { yawRateThreshold: 0.05, gain: 2.8, understeerGradient: 0.003 }
+            }
+        }
+    },
+    {
+        id: 'city_electric',
+        name: 'Electric City Bus',
+        variant: 'city',
+        color: 0xffcc00,
+        wheelCount: 4,
+        dimensions: { width: 2.60 * 1.15, height: 3.20 * 1.15, length: 12.00 * 1.15 },
+        wheel: { radius: 0.55 * 1.15, width: 0.32 * 1.15 },
+        capacity: { seated: 32, standing: 58 },
+        powertrain: 'electric',
+        kneel: { drop: 0.09, ramp: true },
+        tuning: {
+            mass: 10000,
+            engineForce: 200000 * ENGINE_POWER_SCALE,
+            brakeForce: 15000,
+            handbrakeForce: 17000,
+            maxSteerDeg: 38,
+            linearDamping: 0.32,
+            angularDamping: 1.0,
+            bodyTiltScale: 0.8,
+            maxBodyAngleDeg: 6,
+            suspension: {
+                restLength: 0.32,
+                stiffness: 500,
+                compression: 0.8,
+                relaxation: 0.6,
+                travel: 0.18,
+                maxForce: 95000
+            },
+            frictionSlip: 8.2,
+            sideFrictionStiffness: 1.45,
+            electric: {
+                motor: {
+                    maxTorque: 2400 * ENGINE_POWER_SCALE,
+                    maxPowerKw: 300 * ENGINE_POWER_SCALE,
+                    maxRpm: 4200,
+                    reduction: 12,
+                    regenMaxPowerKw: 220
+                },
+                battery: { capacityKwh: 350, initialSoc: 0.9, auxPowerKw: 8 }
+            },
+            retarder: false,
+            driverAssist: {
+                abs: { slipThreshold: 0.2 },
+                tcs: { slipThreshold: 0.18 },
+                esc: { yawRateThreshold: 0.07, understeerGradient: 0.0022 }
+            }
+        }
+    },
+    {
+        id: 'double_hybrid',
+        name: 'Hybrid Double Decker',
+        variant: 'double',
+        color: 0xff5aa5,
+        wheelCount: 6,
+        dimensions: { width: 2.7, height: 4.35, length: (12.0 * 1.15 + 13.2) * 0.5 },
+        wheel: { radius: 0.55, width: 0.30 },
+        capacity: { seated: 78, standing: 22 },
+        powertrain: 'hybrid',
+        kneel: { drop: 0.08, ramp: true },
+        tuning: {
+            mass: 13500,
+            engineForce: 220000 * ENGINE_POWER_SCALE,
+            brakeForce: 16500,
+            handbrakeForce: 18500,
+            maxSteerDeg: 32,
+            linearDamping: 0.34,
+            angularDamping: 1.15,
+            bodyTiltScale: 0.75,
+            maxBodyAngleDeg: 5,
+            suspension: {
+                restLength: 0.36,
+                stiffness: 560,
+                compression: 0.9,
+                relaxation: 0.7,
+                travel: 0.2,
+                maxForce: 110000
+            },
+            frictionSlip: 8.6,
+            sideFrictionStiffness: 1.35,
+            engine: {
+                maxTorque: 2650 * ENGINE_POWER_SCALE,
+                finalDrive: 4.6,
+                exhaustBrakeTorque: 600
+            },
+            electric: {
+                motor: { maxTorque: 900 * ENGINE_POWER_SCALE, maxPowerKw: 120, maxRpm: 4000, reduction: 8, regenMaxPowerKw: 120 },
+                battery: { capacityKwh: 30, initialSoc: 0.6 },
+                hybrid: { targetSoc: 0.6, chargePowerKw: 40 }
+            },
+            retarder: { stages: 4, maxTorque: 3000, fullTorqueRpm: 850, maxPowerKw: 360 },
+            driverAssist: {
+                wheelInertia: 32,
+                abs: { slipThreshold: 0.18 },
+                tcs: { slipThreshold: 0.15, minFactor: 0.15 },
+                esc: { yawRateThreshold: 0.045, gain: 3.2, maxBrakeFraction: 0.45, understeerGradient: 0.003, gripMu: 0.75 }
             }
         }
     }
@@ -118,3 +309,11 @@ export function getBusSpec(id) {
     const key = String(id ?? '').toLowerCase();
     return BUS_CATALOG.find((spec) => String(spec.id).toLowerCase() === key) ?? null;
 }
+
+export function getBusCapacity(specOrId) {
+    const spec = typeof specOrId === 'string' ? getBusSpec(specOrId) : specOrId;
+    const cap = spec?.capacity ?? null;
+    const seated = Math.max(0, Number(cap?.seated) || 0);
+    const standing = Math.max(0, Number(cap?.standing) || 0);
+    return { seated, standing, total: seated + standing };
+}
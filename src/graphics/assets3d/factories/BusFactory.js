@@ -3,6 +3,7 @@
 import { createCityBus } from '../models/buses/CityBus.js';
 import { createCoachBus } from '../models/buses/CoachBus.js';
 import { createDoubleDeckerBus } from '../models/buses/DoubleDeckerBus.js';
+import { createArticulatedBus } from '../models/buses/ArticulatedBus.js';
 
 import { attachBusRig } from '../../../app/rigs/buses/BusRig.js';
 
@@ -19,6 +20,9 @@ export function createBus(spec) {
         case 'double':
             bus = createDoubleDeckerBus(spec);
             break;
+        case 'articulated':
+            bus = createArticulatedBus(spec);
+            break;
         default:
             bus = createCityBus(spec);
             break;
@@ -0,0 +1,210 @@
+// src/graphics/assets3d/models/buses/ArticulatedBus.js
+// Procedural 18 m articulated bus: front section, bellows and a jointed trailer section with a third axle.
+// The trailer and bellows hang off the BusRig articulation pivot; section lengths come from `spec.articulation`.
+import * as THREE from 'three';
+import { createBusWheel } from './components/BusWheel.js';
+import { WheelRig } from './components/WheelRig.js';
+import { createBusDoor, positionBusDoors } from './components/BusDoor.js';
+import { createBusRamp } from './components/BusRamp.js';
+import { attachBusRig } from '../../../../app/rigs/buses/BusRig.js';
+import { buildArticulationConfig } from '../../../../app/physics/simulations/ArticulationSim.js';
+
+const DEFAULT_WIDTH = 2.55;
+const DEFAULT_HEIGHT = 3.1;
+const DEFAULT_WHEEL_RADIUS = 0.52;
+const DEFAULT_WHEEL_WIDTH = 0.30;
+const DEFAULT_COLOR = 0x7bd66a;
+
+const FRONT_OVERHANG = 2.75;
+const MID_AXLE_TO_JOINT = 1.9;
+const BELLOWS_FOLDS = 7;
+
+function makeMaterials(color) {
+    return {
+        paint: new THREE.MeshStandardMaterial({ color, roughness: 0.55, metalness: 0.15 }),
+        skirt: new THREE.MeshStandardMaterial({ color: 0x2b2f36, roughness: 0.75, metalness: 0.2 }),
+        roof: new THREE.MeshStandardMaterial({ color: 0xe8ecf0, roughness: 0.6, metalness: 0.1 }),
+        glass: new THREE.MeshStandardMaterial({ color: 0x0b0f1a, roughness: 0.18, metalness: 0.0 }),
+        bellows: new THREE.MeshStandardMaterial({ color: 0x17191d, roughness: 0.95, metalness: 0.0 }),
+        headLight: new THREE.MeshStandardMaterial({
+            color: 0xffffff,
+            emissive: 0xffffff,
+            emissiveIntensity: 0.0,
+            roughness: 0.18,
+            metalness: 0.0
+        }),
+        brakeLight: new THREE.MeshStandardMaterial({
+            color: 0x2a0b0b,
+            emissive: 0xff2222,
+            emissiveIntensity: 0.0,
+            roughness: 0.35,
+            metalness: 0.0
+        })
+    };
+}
+
+function applyShadows(group) {
+    group.traverse((o) => {
+        if (o.isMesh) {
+            o.castShadow = true;
+            o.receiveShadow = true;
+        }
+    });
+}
+
+/**
+ * One body section (box shell with skirt, window band and roof), centered on Z.
+ */
+function createSectionBody(name, { width, height, length, floorY }, mats) {
+    const group = new THREE.Group();
+    group.name = name;
+
+    const skirtH = 0.35;
+    const lowerH = Math.max(0.4, height * 0.38 - floorY);
+    const windowH = height * 0.4;
+    const roofH = Math.max(0.1, height - floorY - skirtH - lowerH - windowH);
+
+    const skirt = new THREE.Mesh(new THREE.BoxGeometry(width, skirtH, length), mats.skirt);
+    skirt.name = `${name}_skirt`;
+    skirt.position.y = floorY + skirtH * 0.5;
+
+    const lower = new THREE.Mesh(new THREE.BoxGeometry(width, lowerH, length), mats.paint);
+    lower.name = `${name}_lower`;
+    lower.position.y = floorY + skirtH + lowerH * 0.5;
+
+    const windows = new THREE.Mesh(new THREE.BoxGeometry(width - 0.04, windowH, length - 0.1), mats.glass);
+    windows.name = `${name}_windows`;
+    windows.position.y = floorY + skirtH + lowerH + windowH * 0.5;
+
+    const roof = new THREE.Mesh(new THREE.BoxGeometry(width, roofH, length), mats.roof);
+    roof.name = `${name}_roof`;
+    roof.position.y = height - roofH * 0.5;
+
+    group.add(skirt, lower, windows, roof);
+    return group;
+}
+
+/**
+ * Accordion bellows centered on the joint; folds alternate in width so the turn reads clearly.
+ */
+function createBellows({ width, height, length, floorY }, mats) {
+    const group = new THREE.Group();
+    group.name = 'bellows';
+    const foldLength = length / BELLOWS_FOLDS;
+    const h = height - floorY - 0.15;
+    for (let i = 0; i < BELLOWS_FOLDS; i++) {
+        const inset = i % 2 === 0 ? 0.1 : 0.22;
+        const fold = new THREE.Mesh(new THREE.BoxGeometry(width - inset, h - inset, foldLength * 0.98), mats.bellows);
+        fold.name = `bellows_fold_${i}`;
+        fold.position.set(0, floorY + 0.1 + h * 0.5, length * 0.5 - foldLength * (i + 0.5));
+        group.add(fold);
+    }
+    return group;
+}
+
+function addAxle(parent, wheelRig, { prefix, z, wheelX, radius, width, steer = false, isTrailer = false }) {
+    for (const side of ['l', 'r']) {
+        const wheel = createBusWheel({ radius, width });
+        wheel.root.name = `wheel_${prefix}${side}_root`;
+        wheel.root.userData.isWheel = true;
+        if (side === 'l') wheel.root.rotation.y = Math.PI;
+        wheel.root.position.set(side === 'l' ? -wheelX : wheelX, radius, z);
+        parent.add(wheel.root);
+        wheelRig.addWheel({
+            rollPivot: wheel.rollPivot,
+            steerPivot: steer ? wheel.steerPivot : null,
+            isFront: steer,
+            isTrailer
+        });
+    }
+}
+
+export function createArticulatedBus(spec) {
+    const width = spec?.dimensions?.width ?? DEFAULT_WIDTH;
+    const height = spec?.dimensions?.height ?? DEFAULT_HEIGHT;
+    const wheelR = spec?.wheel?.radius ?? DEFAULT_WHEEL_RADIUS;
+    const wheelW = spec?.wheel?.width ?? DEFAULT_WHEEL_WIDTH;
+    const art = buildArticulationConfig(spec?.articulation ?? {}, { width });
+
+    const floorY = wheelR * 0.55;
+    const wheelX = width * 0.5 - wheelW * 0.5 - 0.12;
+    const halfFront = art.frontLength * 0.5;
+    const axleFront = halfFront - FRONT_OVERHANG;
+    const axleMid = -halfFront + MID_AXLE_TO_JOINT;
+
+    const bus = new THREE.Group();
+    bus.userData.type = 'bus';
+    bus.userData.id = spec?.id;
+    bus.name = `bus_${spec?.id ?? 'articulated'}`;
+
+    const mats = makeMaterials(spec?.color ?? DEFAULT_COLOR);
+    const wheelRig = new WheelRig({ wheelRadius: wheelR });
+
+    // Front section (owns the anchor, steer axle and drive axle)
+    bus.add(createSectionBody('front_section', { width, height, length: art.frontLength, floorY }, mats));
+    addAxle(bus, wheelRig, { prefix: 'f', z: axleFront, wheelX, radius: wheelR, width: wheelW, steer: true });
+    addAxle(bus, wheelRig, { prefix: 'm', z: axleMid, wheelX, radius: wheelR, width: wheelW });
+
+    const headGeo = new THREE.BoxGeometry(0.24, 0.14, 0.08);
+    const hl = new THREE.Mesh(headGeo, mats.headLight);
+    hl.name = 'headlight_L';
+    hl.position.set(-width * 0.32, floorY + 0.55, halfFront + 0.02);
+    const hr = hl.clone();
+    hr.name = 'headlight_R';
+    hr.position.x = width * 0.32;
+    bus.add(hl, hr);
+
+    const frontDoors = [
+        createBusDoor({ name: 'door_front', width: 1.2, height: 2.05 }),
+        createBusDoor({ name: 'door_middle', width: 1.25, height: 2.05 })
+    ];
+    const frontDoorZ = [halfFront - 1.0, (axleFront + axleMid) * 0.5 - 0.3];
+    positionBusDoors(frontDoors, { width, floorY, z: frontDoorZ });
+    bus.add(...frontDoors);
+
+    // Wheelchair ramp folds out of the middle door
+    const ramp = createBusRamp({ name: 'ramp_middle', width: 0.9, length: 1.0, drop: floorY });
+    positionBusDoors([ramp], { width, floorY, z: [frontDoorZ[1]] });
+    bus.add(ramp);
+
+    // Trailer section, placed relative to the joint
+    const trailer = new THREE.Group();
+    trailer.name = 'trailer_section';
+    trailer.position.z = art.trailerOffsetZ;
+    trailer.add(createSectionBody('trailer_body', { width, height, length: art.trailerLength, floorY }, mats));
+    addAxle(trailer, wheelRig, { prefix: 't', z: art.trailerAxleZ, wheelX, radius: wheelR, width: wheelW, isTrailer: true });
+
+    const brakeGeo = new THREE.BoxGeometry(0.2, 0.14, 0.06);
+    const bl = new THREE.Mesh(brakeGeo, mats.brakeLight);
+    bl.name = 'brakelight_L';
+    bl.position.set(-width * 0.34, floorY + 0.75, -art.trailerLength * 0.5 - 0.02);
+    const br = bl.clone();
+    br.name = 'brakelight_R';
+    br.position.x = width * 0.34;
+    trailer.add(bl, br);
+
+    const trailerDoor = createBusDoor({ name: 'door_rear', width: 1.25, height: 2.05 });
+    positionBusDoors([trailerDoor], { width, floorY, z: [art.trailerAxleZ + 1.6] });
+    trailer.add(trailerDoor);
+
+    const bellows = createBellows({ width, height, length: art.bellowsLength, floorY }, mats);
+
+    bus.userData.wheelRig = wheelRig;
+    bus.userData.parts = {
+        headlights: [hl, hr],
+        brakeLights: [bl, br],
+        doors: [...frontDoors, trailerDoor],
+        ramp
+    };
+
+    attachBusRig(bus, {
+        wheelRig,
+        parts: bus.userData.parts,
+        articulation: { hitchZ: art.hitchZ, section: trailer, bellows }
+    });
+
+    applyShadows(bus);
+    bus.userData.ready = true;
+    bus.userData.readyPromise = Promise.resolve(bus);
+    return bus;
+}
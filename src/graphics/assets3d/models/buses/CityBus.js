@@ -3,6 +3,8 @@ import * as THREE from 'three';
 import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
 import { MTLLoader } from 'three/addons/loaders/MTLLoader.js';
 import { WheelRig } from './components/WheelRig.js';
+import { createBusDoor, positionBusDoors } from './components/BusDoor.js';
+import { createBusRamp } from './components/BusRamp.js';
 import { attachBusRig } from '../../../../app/rigs/buses/BusRig.js';
 
 const TRANSPARENT_BUS = false;
@@ -452,6 +454,20 @@ export function createCityBus(spec) {
     br.visible = false;
     bus.add(hl, hr, bl, br);
 
+    const doors = [
+        createBusDoor({ name: 'door_front', width: 1.25 * MODEL_SCALE, height: 2.05 * MODEL_SCALE }),
+        createBusDoor({ name: 'door_middle', width: 1.25 * MODEL_SCALE, height: 2.05 * MODEL_SCALE })
+    ];
+    const doorFloorY = rideHeight - (0.25 * MODEL_SCALE);
+    const doorZ = [length / 2 - (1.05 * MODEL_SCALE), (axleFront + axleRear) * 0.5 - (0.4 * MODEL_SCALE)];
+    positionBusDoors(doors, { width, floorY: doorFloorY, z: doorZ });
+    bus.add(...doors);
+
+    // Wheelchair ramp folds out of the middle door
+    const ramp = createBusRamp({ name: 'ramp_middle', width: 0.9 * MODEL_SCALE, length: 1.0 * MODEL_SCALE, drop: doorFloorY });
+    positionBusDoors([ramp], { width, floorY: doorFloorY, z: [doorZ[1]] });
+    bus.add(ramp);
+
     const wheelRig = new WheelRig({ wheelRadius: wheelR });
 
     const nodes = {
@@ -478,7 +494,9 @@ export function createCityBus(spec) {
     bus.userData.wheelRig = wheelRig;
     bus.userData.parts = {
         headlights: [hl, hr],
-        brakeLights: [bl, br]
+        brakeLights: [bl, br],
+        doors,
+        ramp
     };
 
     attachBusRig(bus, { wheelRig, parts: bus.userData.parts });
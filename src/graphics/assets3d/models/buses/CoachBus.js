@@ -4,6 +4,7 @@ import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { createBusWheel } from './components/BusWheel.js';
 import { WheelRig } from './components/WheelRig.js';
+import { createBusDoor, positionBusDoors } from './components/BusDoor.js';
 import { attachBusRig } from '../../../../app/rigs/buses/BusRig.js';
 
 const TRANSPARENT_BUS = false;
@@ -304,6 +305,15 @@ function positionLightMeshes(lights, { width, length, wheelRadius, frontZ = null
     lights.br.position.set(width * 0.30, rideHeight + 0.32, rear + 0.05);
 }
 
+function positionDoors(doors, { width, length, wheelRadius, frontZ = null }) {
+    const front = Number.isFinite(frontZ) ? frontZ : length / 2;
+    positionBusDoors(doors, {
+        width,
+        floorY: wheelRadius * 1.15 - 0.3,
+        z: [front - 1.15]
+    });
+}
+
 function createLightMeshes({ width, length, wheelRadius }, mats) {
     const headGeo = new THREE.BoxGeometry(0.22, 0.14, 0.08);
     const hl = new THREE.Mesh(headGeo, mats.headLightMat);
@@ -601,9 +611,14 @@ export function createCoachBus(spec) {
     lights.br.visible = false;
     bus.add(lights.hl, lights.hr, lights.bl, lights.br);
 
+    const doors = [createBusDoor({ name: 'door_front', width: 1.1, height: 2.0 })];
+    positionDoors(doors, { width: DEFAULT_WIDTH, length: TARGET_LENGTH, wheelRadius: DEFAULT_WHEEL_RADIUS });
+    bus.add(...doors);
+
     bus.userData.parts = {
         headlights: [lights.hl, lights.hr],
-        brakeLights: [lights.bl, lights.br]
+        brakeLights: [lights.bl, lights.br],
+        doors
     };
 
     attachBusRig(bus, { wheelRig, parts: bus.userData.parts });
@@ -651,6 +666,12 @@ export function createCoachBus(spec) {
             frontZ: localBounds.max.z,
             rearZ: localBounds.min.z
         });
+        positionDoors(doors, {
+            width: localSize.x || DEFAULT_WIDTH,
+            length: localSize.z || TARGET_LENGTH,
+            wheelRadius: wheelRig?.wheelRadius || DEFAULT_WHEEL_RADIUS,
+            frontZ: localBounds.max.z
+        });
 
         const headMeshes = collectMeshesByMaterial(model, 'lights2');
         const brakeMeshes = collectMeshesByMaterial(model, 'red_lights');
@@ -3,6 +3,8 @@ import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { createBusWheel } from './components/BusWheel.js';
 import { WheelRig } from './components/WheelRig.js';
+import { createBusDoor, positionBusDoors } from './components/BusDoor.js';
+import { createBusRamp } from './components/BusRamp.js';
 import { attachBusRig } from '../../../../app/rigs/buses/BusRig.js';
 
 const BUS_BODY_COLOR = 0xff0000;
@@ -300,6 +302,16 @@ function positionLightMeshes(lights, { width, length, wheelRadius, frontZ = null
     lights.br.position.set(width * 0.30, rideHeight + 0.32, rear + 0.05);
 }
 
+function positionDoors(doors, { width, length, wheelRadius, frontZ = null, rearZ = null, ramp = null }) {
+    const front = Number.isFinite(frontZ) ? frontZ : length / 2;
+    const rear = Number.isFinite(rearZ) ? rearZ : -length / 2;
+    const floorY = wheelRadius * 1.15 - 0.3;
+    const z = [front - 1.05, (front + rear) * 0.5 + 0.2];
+    positionBusDoors(doors, { width, floorY, z });
+    // Wheelchair ramp folds out of the middle door
+    if (ramp) positionBusDoors([ramp], { width, floorY, z: [z[1]] });
+}
+
 function createLightMeshes({ width, length, wheelRadius }, mats) {
     const headGeo = new THREE.BoxGeometry(0.22, 0.14, 0.08);
     const hl = new THREE.Mesh(headGeo, mats.headLightMat);
@@ -599,9 +611,19 @@ export function createDoubleDeckerBus(spec) {
     lights.br.visible = false;
     bus.add(lights.hl, lights.hr, lights.bl, lights.br);
 
+    const doors = [
+        createBusDoor({ name: 'door_front', width: 1.2, height: 2.0 }),
+        createBusDoor({ name: 'door_middle', width: 1.2, height: 2.0 })
+    ];
+    const ramp = createBusRamp({ name: 'ramp_middle', width: 0.9, length: 1.0, drop: DEFAULT_WHEEL_RADIUS * 1.15 - 0.3 });
+    positionDoors(doors, { width: DEFAULT_WIDTH, length: TARGET_LENGTH, wheelRadius: DEFAULT_WHEEL_RADIUS, ramp });
+    bus.add(...doors, ramp);
+
     bus.userData.parts = {
         headlights: [lights.hl, lights.hr],
-        brakeLights: [lights.bl, lights.br]
+        brakeLights: [lights.bl, lights.br],
+        doors,
+        ramp
     };
 
     attachBusRig(bus, { wheelRig, parts: bus.userData.parts });
@@ -649,6 +671,14 @@ export function createDoubleDeckerBus(spec) {
             frontZ: localBounds.max.z,
             rearZ: localBounds.min.z
         });
+        positionDoors(doors, {
+            width: localSize.x || DEFAULT_WIDTH,
+            length: localSize.z || TARGET_LENGTH,
+            wheelRadius: wheelRig?.wheelRadius || DEFAULT_WHEEL_RADIUS,
+            frontZ: localBounds.max.z,
+            rearZ: localBounds.min.z,
+            ramp
+        });
 
         const headMeshes = collectMeshesByMaterial(model, 'bulb');
         setEmissive(headMeshes, 0xffffff);
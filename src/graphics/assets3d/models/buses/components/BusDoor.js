@@ -0,0 +1,94 @@
+// src/graphics/assets3d/models/buses/components/BusDoor.js
+import * as THREE from 'three';
+
+// Procedural passenger doors (two-leaf plug doors) shared by the bus models.
+//
+// Door group convention (consumed by BusRig.setDoorState):
+// door.userData.doorLeaves = [{ object, closed: Vector3, open: Vector3 }]
+// Positions are in the door group's local space; local +X points out of the body.
+
+const LEAF_THICKNESS = 0.05;
+const LEAF_PUSH_OUT = 0.14;
+
+function matsDefault() {
+    return {
+        frame: new THREE.MeshStandardMaterial({
+            color: 0x2b2f36,
+            roughness: 0.55,
+            metalness: 0.45
+        }),
+        glass: new THREE.MeshStandardMaterial({
+            color: 0x0b0f1a,
+            roughness: 0.2,
+            metalness: 0.0,
+            transparent: true,
+            opacity: 0.55
+        })
+    };
+}
+
+function createLeaf(name, { width, height }, mats) {
+    const leaf = new THREE.Group();
+    leaf.name = name;
+
+    const frame = new THREE.Mesh(new THREE.BoxGeometry(LEAF_THICKNESS, height, width), mats.frame);
+    frame.name = `${name}_frame`;
+    leaf.add(frame);
+
+    const glass = new THREE.Mesh(
+        new THREE.BoxGeometry(LEAF_THICKNESS * 0.5, height * 0.72, width * 0.78),
+        mats.glass
+    );
+    glass.name = `${name}_glass`;
+    glass.position.set(LEAF_THICKNESS * 0.4, height * 0.08, 0);
+    leaf.add(glass);
+
+    return leaf;
+}
+
+/**
+ * Creates a two-leaf door. Leaves push out of the body and slide apart when opened.
+ * @param {object} params
+ * @param {string} params.name
+ * @param {number} [params.width=1.2] - Door opening width (both leaves).
+ * @param {number} [params.height=2.1]
+ * @param {object} [params.mats]
+ * @returns {THREE.Group}
+ */
+export function createBusDoor({ name, width = 1.2, height = 2.1, mats = null } = {}) {
+    const m = mats ?? matsDefault();
+    const door = new THREE.Group();
+    door.name = name ?? 'door';
+
+    const leafWidth = width * 0.5;
+    const leaves = [];
+    for (const side of [-1, 1]) {
+        const leaf = createLeaf(`${door.name}_leaf_${side < 0 ? 'a' : 'b'}`, { width: leafWidth, height }, m);
+        const closed = new THREE.Vector3(0, height * 0.5, side * leafWidth * 0.5);
+        const open = new THREE.Vector3(LEAF_PUSH_OUT, height * 0.5, side * leafWidth * 1.4);
+        leaf.position.copy(closed);
+        door.add(leaf);
+        leaves.push({ object: leaf, closed, open });
+    }
+
+    door.userData.doorLeaves = leaves;
+    return door;
+}
+
+/**
+ * Places doors on the curb (right, -X) side of a bus.
+ * @param {THREE.Object3D[]} doors
+ * @param {object} params
+ * @param {number} params.width - Body width.
+ * @param {number} params.floorY - Door sill height.
+ * @param {number[]} params.z - Door center Z per door (bus local, +Z forward).
+ */
+export function positionBusDoors(doors, { width, floorY, z }) {
+    const list = Array.isArray(doors) ? doors : [];
+    for (let i = 0; i < list.length; i++) {
+        const door = list[i];
+        if (!door) continue;
+        door.position.set(-width * 0.5 - 0.01, floorY, z[i] ?? 0);
+        door.rotation.y = Math.PI;
+    }
+}
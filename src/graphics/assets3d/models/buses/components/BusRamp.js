@@ -0,0 +1,63 @@
+// src/graphics/assets3d/models/buses/components/BusRamp.js
+import * as THREE from 'three';
+
+// Procedural fold-out wheelchair ramp shared by the low-floor bus models.
+//
+// Ramp group convention (consumed by BusRig.setRampState):
+// ramp.userData.rampHinge = { object, stowed: number, deployed: number }  // hinge rotation about local Z (radians)
+// The hinge sits on the door sill; local +X points out of the body, so the plate flips from inside the floor onto the curb.
+
+const PLATE_THICKNESS = 0.03;
+const STOWED_CLEARANCE = 0.02;
+
+function matsDefault() {
+    return {
+        plate: new THREE.MeshStandardMaterial({
+            color: 0x3a3f47,
+            roughness: 0.8,
+            metalness: 0.35
+        }),
+        edge: new THREE.MeshStandardMaterial({
+            color: 0xf2c230,
+            roughness: 0.6,
+            metalness: 0.1
+        })
+    };
+}
+
+/**
+ * Creates a hinged ramp plate; stowed it lies folded over inside the door well, deployed it slopes down to the curb.
+ * @param {object} params
+ * @param {string} [params.name='ramp']
+ * @param {number} [params.width=0.9] - Plate width (along the bus).
+ * @param {number} [params.length=1.0] - Plate reach out of the body.
+ * @param {number} [params.drop=0.22] - Height the deployed plate descends over its length.
+ * @param {object} [params.mats]
+ * @returns {THREE.Group}
+ */
+export function createBusRamp({ name = 'ramp', width = 0.9, length = 1.0, drop = 0.22, mats = null } = {}) {
+    const m = mats ?? matsDefault();
+    const ramp = new THREE.Group();
+    ramp.name = name;
+
+    const hinge = new THREE.Group();
+    hinge.name = `${ramp.name}_hinge`;
+    ramp.add(hinge);
+
+    const plate = new THREE.Mesh(new THREE.BoxGeometry(length, PLATE_THICKNESS, width), m.plate);
+    plate.name = `${ramp.name}_plate`;
+    plate.position.set(length * 0.5, PLATE_THICKNESS * 0.5, 0);
+    hinge.add(plate);
+
+    const edge = new THREE.Mesh(new THREE.BoxGeometry(0.06, PLATE_THICKNESS * 1.2, width), m.edge);
+    edge.name = `${ramp.name}_edge`;
+    edge.position.set(length - 0.03, PLATE_THICKNESS * 0.6, 0);
+    hinge.add(edge);
+
+    const stowed = Math.PI - Math.atan2(STOWED_CLEARANCE, length);
+    const deployed = -Math.atan2(Math.max(0, drop), length);
+    hinge.rotation.z = stowed;
+
+    ramp.userData.rampHinge = { object: hinge, stowed, deployed };
+    return ramp;
+}
@@ -5,6 +5,7 @@ export class WheelRig {
 
         this.front = []; // { rollPivot, steerPivot, spinSign }
         this.rear  = []; // { rollPivot, spinSign }
+        this.trailer = []; // { rollPivot, spinSign } (articulated trailer section; not part of the front-section layout)
 
         this._steerAngle = 0;
         this._steerAngleLeft = 0;
@@ -44,7 +45,7 @@ export class WheelRig {
         return this._isYawFlipped(wheelRoot) ? -1 : 1;
     }
 
-    addWheel({ rollPivot, steerPivot = null, isFront = false }) {
+    addWheel({ rollPivot, steerPivot = null, isFront = false, isTrailer = false }) {
         const wheelRoot = this._getWheelRoot(rollPivot, steerPivot);
         const isLeft = this._isYawFlipped(wheelRoot);
         const spinSign = this._inferSpinSign(rollPivot, steerPivot);
@@ -68,7 +69,8 @@ export class WheelRig {
         }
 
         const w = { rollPivot, spinSign };
-        this.rear.push(w);
+        if (isTrailer) this.trailer.push(w);
+        else this.rear.push(w);
 
         // Apply current spin state
         w.rollPivot.rotation.x = this._spinAngle * w.spinSign;
@@ -105,6 +107,7 @@ export class WheelRig {
 
         for (const w of this.front) w.rollPivot.rotation.x = this._spinAngle * w.spinSign;
         for (const w of this.rear)  w.rollPivot.rotation.x = this._spinAngle * w.spinSign;
+        for (const w of this.trailer) w.rollPivot.rotation.x = this._spinAngle * w.spinSign;
     }
 
     addSpin(deltaRad) {
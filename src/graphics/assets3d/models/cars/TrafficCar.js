@@ -0,0 +1,122 @@
+// src/graphics/assets3d/models/cars/TrafficCar.js
+// Low-poly procedural car for ambient AI traffic (+Z forward, origin at ground contact).
+import * as THREE from 'three';
+
+export const TRAFFIC_CAR_DIMENSIONS = Object.freeze({
+    length: 4.4,
+    width: 1.8,
+    height: 1.45
+});
+
+export const TRAFFIC_CAR_COLORS = Object.freeze([
+    0xd8d8d8,
+    0x1c1f24,
+    0x8a1f1f,
+    0x1f4f8a,
+    0x6b6f75,
+    0xc9a227,
+    0x2f6b3a,
+    0xf2f2ee
+]);
+
+const WHEEL_RADIUS = 0.33;
+const BRAKE_EMISSIVE = 2.2;
+
+let shared = null;
+
+// Geometry and non-paint materials are shared across every car so dozens stay cheap.
+function getShared() {
+    if (shared) return shared;
+    const { length, width } = TRAFFIC_CAR_DIMENSIONS;
+    const wheel = new THREE.CylinderGeometry(WHEEL_RADIUS, WHEEL_RADIUS, 0.24, 12);
+    wheel.rotateZ(Math.PI / 2);
+    shared = {
+        geo: {
+            body: new THREE.BoxGeometry(width, 0.62, length),
+            cabin: new THREE.BoxGeometry(width * 0.86, 0.52, length * 0.5),
+            wheel,
+            lamp: new THREE.BoxGeometry(0.36, 0.12, 0.04)
+        },
+        mats: {
+            glass: new THREE.MeshStandardMaterial({ color: 0x10161f, roughness: 0.15, metalness: 0.2 }),
+            tire: new THREE.MeshStandardMaterial({ color: 0x111111, roughness: 0.9, metalness: 0.0 }),
+            head: new THREE.MeshStandardMaterial({ color: 0xfff6d8, emissive: 0xfff6d8, emissiveIntensity: 0.4 })
+        },
+        paint: new Map()
+    };
+    return shared;
+}
+
+function getPaint(color) {
+    const s = getShared();
+    if (!s.paint.has(color)) {
+        s.paint.set(color, new THREE.MeshStandardMaterial({ color, roughness: 0.4, metalness: 0.35 }));
+    }
+    return s.paint.get(color);
+}
+
+/**
+ * Creates a traffic car ready for VehicleManager registration.
+ * @param {object} [params]
+ * @param {string} [params.name='traffic_car']
+ * @param {number} [params.color] - Body color (defaults to the first palette entry).
+ * @returns {{vehicle: THREE.Group, anchor: THREE.Group, api: {getDimensions: Function, setBrakeLights: Function}}}
+ */
+export function createTrafficCar({ name = 'traffic_car', color = TRAFFIC_CAR_COLORS[0] } = {}) {
+    const s = getShared();
+    const { length, width } = TRAFFIC_CAR_DIMENSIONS;
+
+    const anchor = new THREE.Group();
+    anchor.name = `${name}_anchor`;
+    const vehicle = new THREE.Group();
+    vehicle.name = name;
+    anchor.add(vehicle);
+
+    const body = new THREE.Mesh(s.geo.body, getPaint(color));
+    body.position.y = WHEEL_RADIUS + 0.22;
+    vehicle.add(body);
+
+    const cabin = new THREE.Mesh(s.geo.cabin, s.mats.glass);
+    cabin.position.set(0, body.position.y + 0.57, -length * 0.06);
+    vehicle.add(cabin);
+
+    const axleZ = length * 0.5 - 0.8;
+    for (const z of [axleZ, -axleZ]) {
+        for (const x of [width * 0.5 - 0.14, -width * 0.5 + 0.14]) {
+            const wheel = new THREE.Mesh(s.geo.wheel, s.mats.tire);
+            wheel.position.set(x, WHEEL_RADIUS, z);
+            vehicle.add(wheel);
+        }
+    }
+
+    const tail = new THREE.MeshStandardMaterial({ color: 0x5a0b0b, emissive: 0xff1a1a, emissiveIntensity: 0.2 });
+    for (const x of [width * 0.5 - 0.3, -width * 0.5 + 0.3]) {
+        const head = new THREE.Mesh(s.geo.lamp, s.mats.head);
+        head.position.set(x, body.position.y + 0.12, length * 0.5 + 0.01);
+        vehicle.add(head);
+        const rear = new THREE.Mesh(s.geo.lamp, tail);
+        rear.position.set(x, body.position.y + 0.12, -length * 0.5 - 0.01);
+        vehicle.add(rear);
+    }
+
+    vehicle.traverse((o) => {
+        if (o.isMesh) {
+            o.castShadow = true;
+            o.receiveShadow = true;
+        }
+    });
+
+    let braking = false;
+    const api = {
+        getDimensions: () => ({ ...TRAFFIC_CAR_DIMENSIONS }),
+        setBrakeLights: (on) => {
+            const next = !!on;
+            if (next === braking) return;
+            braking = next;
+            tail.emissiveIntensity = braking ? BRAKE_EMISSIVE : 0.2;
+        },
+        dispose: () => tail.dispose()
+    };
+
+    return { vehicle, anchor, api };
+}
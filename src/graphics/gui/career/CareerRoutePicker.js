@@ -0,0 +1,115 @@
+// src/graphics/gui/career/CareerRoutePicker.js
+// Career mode line + departure picker (keyboard or click).
+import { formatClockMinutes } from '../../../app/city/BusRoutes.js';
+
+function makeEl(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text !== undefined) el.textContent = text;
+    return el;
+}
+
+export class CareerRoutePicker {
+    /**
+     * @param {object} params
+     * @param {{route: object, departures: number[], stopNames: string[]}[]} params.entries
+     * @param {(pick: {routeId: string, departureMinutes: number}) => void} [params.onPick]
+     * @param {() => void} [params.onCancel]
+     */
+    constructor({ entries = [], onPick = null, onCancel = null } = {}) {
+        this.entries = Array.isArray(entries) ? entries : [];
+        this._onPick = typeof onPick === 'function' ? onPick : null;
+        this._onCancel = typeof onCancel === 'function' ? onCancel : null;
+        this.routeIndex = 0;
+        this.departureIndex = 0;
+
+        this.root = makeEl('div', 'ui-layer career-layer');
+        const panel = makeEl('div', 'career-panel');
+        panel.appendChild(makeEl('div', 'career-title', 'Career shift'));
+        panel.appendChild(makeEl('div', 'career-subtitle', 'Pick a line and a departure, then your bus.'));
+
+        this.listEl = makeEl('div', 'career-route-list');
+        panel.appendChild(this.listEl);
+
+        this.departureEl = makeEl('div', 'career-departure');
+        panel.appendChild(this.departureEl);
+
+        const actions = makeEl('div', 'career-actions');
+        this.backBtn = makeEl('button', 'career-btn', 'Back');
+        this.backBtn.type = 'button';
+        this.backBtn.addEventListener('click', () => this._onCancel?.());
+        this.startBtn = makeEl('button', 'career-btn is-primary', 'Choose bus');
+        this.startBtn.type = 'button';
+        this.startBtn.addEventListener('click', () => this.confirm());
+        actions.appendChild(this.backBtn);
+        actions.appendChild(this.startBtn);
+        panel.appendChild(actions);
+
+        panel.appendChild(makeEl('div', 'career-hint', '↑/↓ line · ←/→ departure · Enter continue · Esc back'));
+        this.root.appendChild(panel);
+
+        this._render();
+    }
+
+    attach(parent = document.body) {
+        parent.appendChild(this.root);
+    }
+
+    destroy() {
+        this.root.remove();
+    }
+
+    moveRoute(delta) {
+        const n = this.entries.length;
+        if (!n) return;
+        this.routeIndex = (this.routeIndex + delta + n) % n;
+        this.departureIndex = 0;
+        this._render();
+    }
+
+    moveDeparture(delta) {
+        const n = this.entries[this.routeIndex]?.departures?.length ?? 0;
+        if (!n) return;
+        this.departureIndex = (this.departureIndex + delta + n) % n;
+        this._render();
+    }
+
+    confirm() {
+        const entry = this.entries[this.routeIndex] ?? null;
+        const departureMinutes = entry?.departures?.[this.departureIndex];
+        if (!entry || !Number.isFinite(departureMinutes)) return;
+        this._onPick?.({ routeId: entry.route.id, departureMinutes });
+    }
+
+    _render() {
+        this.listEl.textContent = '';
+        if (!this.entries.length) {
+            this.listEl.appendChild(makeEl('div', 'career-empty', 'This city has no bus lines yet. Add one in the Map Debugger.'));
+        }
+        this.entries.forEach(({ route, stopNames }, index) => {
+            const row = makeEl('button', `career-route${index === this.routeIndex ? ' is-active' : ''}`);
+            row.type = 'button';
+            const swatch = makeEl('span', 'career-route-number', route.number);
+            swatch.style.background = route.color;
+            row.appendChild(swatch);
+            const text = makeEl('span', 'career-route-text');
+            text.appendChild(makeEl('span', 'career-route-name', route.name));
+            text.appendChild(makeEl('span', 'career-route-stops', `${stopNames.join(' → ')}${route.loop ? ' ↺' : ''}`));
+            row.appendChild(text);
+            row.addEventListener('click', () => {
+                if (this.routeIndex === index) return this.confirm();
+                this.routeIndex = index;
+                this.departureIndex = 0;
+                this._render();
+            });
+            this.listEl.appendChild(row);
+        });
+
+        const departures = this.entries[this.routeIndex]?.departures ?? [];
+        const minutes = departures[this.departureIndex];
+        this.departureEl.textContent = Number.isFinite(minutes)
+            ? `Departure ${formatClockMinutes(minutes)}  (${this.departureIndex + 1}/${departures.length})`
+            : 'No departures in the timetable';
+        this.startBtn.disabled = !Number.isFinite(minutes);
+    }
+}
@@ -0,0 +1,58 @@
+// src/graphics/gui/career/CareerStatusWidget.js
+// In-drive career strip: shift clock, next stop with its scheduled time and the running schedule offset.
+import { formatClockSeconds } from '../../../app/city/BusRoutes.js';
+
+function makeEl(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text !== undefined) el.textContent = text;
+    return el;
+}
+
+export class CareerStatusWidget {
+    /**
+     * @param {object} params
+     * @param {object} params.route - Normalized route.
+     */
+    constructor({ route } = /** @type {any} */ ({})) {
+        this.root = makeEl('div', 'career-status');
+        const number = makeEl('span', 'career-route-number', route?.number ?? '?');
+        if (route?.color) number.style.background = route.color;
+        this.root.appendChild(number);
+        this.clockEl = makeEl('span', 'career-status-clock', '--:--:--');
+        this.nextEl = makeEl('span', 'career-status-next', '');
+        this.offsetEl = makeEl('span', 'career-status-offset', '');
+        this.root.appendChild(this.clockEl);
+        this.root.appendChild(this.nextEl);
+        this.root.appendChild(this.offsetEl);
+    }
+
+    attach(parent = document.body) {
+        parent.appendChild(this.root);
+    }
+
+    destroy() {
+        this.root.remove();
+    }
+
+    setVisible(visible) {
+        this.root.classList.toggle('hidden', !visible);
+    }
+
+    /**
+     * @param {object|null} t - CareerShift.getTelemetry() output.
+     */
+    update(t) {
+        if (!t) return;
+        this.clockEl.textContent = formatClockSeconds(t.clockSec);
+        if (t.finished || !t.nextStopId) {
+            this.nextEl.textContent = 'End of line';
+            this.offsetEl.textContent = '';
+            return;
+        }
+        this.nextEl.textContent = `${t.servedStops === 0 ? 'Depart' : 'Next'}: ${t.nextStopName} ${formatClockSeconds(t.nextScheduledSec)}`;
+        const late = t.clockSec - t.nextScheduledSec;
+        this.offsetEl.textContent = late > 0 ? `+${Math.floor(late / 60)}:${String(Math.floor(late % 60)).padStart(2, '0')}` : '';
+        this.root.classList.toggle('is-late', late > 0);
+    }
+}
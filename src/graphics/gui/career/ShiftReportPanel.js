@@ -0,0 +1,138 @@
+// src/graphics/gui/career/ShiftReportPanel.js
+// End-of-shift report: score breakdown, per-stop punctuality, fuel/energy use and violations.
+import { formatClockSeconds } from '../../../app/city/BusRoutes.js';
+import { CAREER_VIOLATION, STOP_STATUS } from '../../../app/career/CareerScoring.js';
+
+const STATUS_LABEL = Object.freeze({
+    [STOP_STATUS.EARLY]: 'Early',
+    [STOP_STATUS.ON_TIME]: 'On time',
+    [STOP_STATUS.LATE]: 'Late',
+    [STOP_STATUS.MISSED]: 'Missed'
+});
+
+const VIOLATION_LABEL = Object.freeze({
+    [CAREER_VIOLATION.COLLISION]: 'Collision',
+    [CAREER_VIOLATION.RED_LIGHT]: 'Ran a red light',
+    [CAREER_VIOLATION.SPEEDING]: 'Speeding'
+});
+
+function makeEl(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text !== undefined) el.textContent = text;
+    return el;
+}
+
+function formatClockSec(sec) {
+    return Number.isFinite(sec) ? formatClockSeconds(sec) : '—';
+}
+
+function formatDelta(sec) {
+    if (!Number.isFinite(sec)) return '—';
+    const s = Math.round(Math.abs(sec));
+    return `${sec < 0 ? '-' : '+'}${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+function formatEnergy(energy) {
+    const parts = [`${energy.distanceKm.toFixed(1)} km`];
+    if (energy.powertrain !== 'electric') {
+        const rate = Number.isFinite(energy.litersPer100Km) ? ` (${energy.litersPer100Km.toFixed(1)} L/100 km)` : '';
+        parts.push(`fuel ${energy.fuelUsedLiters.toFixed(1)} L${rate}`);
+        parts.push(`idle ${energy.idleFuelLiters.toFixed(1)} L`);
+    }
+    if (energy.powertrain !== 'diesel') {
+        const rate = Number.isFinite(energy.kwhPerKm) ? ` (${energy.kwhPerKm.toFixed(2)} kWh/km)` : '';
+        parts.push(`battery ${energy.energyUsedKwh.toFixed(1)} kWh${rate}`);
+        parts.push(`regen ${energy.regenKwh.toFixed(1)} kWh`);
+    }
+    if (energy.refuelledLiters > 0) parts.push(`refuelled ${energy.refuelledLiters.toFixed(0)} L`);
+    if (energy.chargedKwh > 0) parts.push(`charged ${energy.chargedKwh.toFixed(0)} kWh`);
+    return `Energy: ${parts.join(' · ')}`;
+}
+
+export class ShiftReportPanel {
+    /**
+     * @param {object} params
+     * @param {object} params.report - CareerShift.finish() report.
+     * @param {() => void} [params.onNext]
+     * @param {() => void} [params.onExit]
+     */
+    constructor({ report, onNext = null, onExit = null } = /** @type {any} */ ({})) {
+        const r = report ?? {};
+        const score = r.score ?? {};
+
+        this.root = makeEl('div', 'ui-layer career-layer');
+        const panel = makeEl('div', 'career-panel career-report');
+
+        const header = makeEl('div', 'career-report-header');
+        const number = makeEl('span', 'career-route-number', r.routeNumber ?? '?');
+        if (r.routeColor) number.style.background = r.routeColor;
+        header.appendChild(number);
+        header.appendChild(makeEl('div', 'career-title', `${r.routeName ?? 'Shift'} · ${r.departure ?? ''}`));
+        header.appendChild(makeEl('div', 'career-grade', score.grade ?? '—'));
+        panel.appendChild(header);
+        panel.appendChild(makeEl('div', 'career-subtitle', r.completed ? 'Shift completed' : 'Shift ended early'));
+
+        const scores = makeEl('div', 'career-score-row');
+        for (const [label, value] of [['Total', score.total], ['Punctuality', score.punctuality], ['Comfort', score.comfort], ['Safety', score.safety]]) {
+            const cell = makeEl('div', 'career-score');
+            cell.appendChild(makeEl('div', 'career-score-value', Number.isFinite(value) ? String(Math.round(value)) : '—'));
+            cell.appendChild(makeEl('div', 'career-score-label', label));
+            scores.appendChild(cell);
+        }
+        panel.appendChild(scores);
+
+        const table = makeEl('table', 'career-table');
+        const head = makeEl('tr');
+        for (const h of ['Stop', 'Scheduled', 'Actual', 'Δ', 'Status']) head.appendChild(makeEl('th', null, h));
+        table.appendChild(head);
+        for (const stop of r.stops ?? []) {
+            const row = makeEl('tr', `is-${stop.status}`);
+            row.appendChild(makeEl('td', null, `${stop.name ?? stop.stopId}${stop.kind === 'departure' ? ' (dep.)' : ''}`));
+            row.appendChild(makeEl('td', null, formatClockSec(stop.scheduledSec)));
+            row.appendChild(makeEl('td', null, formatClockSec(stop.actualSec)));
+            row.appendChild(makeEl('td', null, formatDelta(stop.deltaSec)));
+            row.appendChild(makeEl('td', null, STATUS_LABEL[stop.status] ?? stop.status));
+            table.appendChild(row);
+        }
+        panel.appendChild(table);
+
+        const comfort = r.comfort ?? {};
+        panel.appendChild(makeEl(
+            'div',
+            'career-note',
+            `Ride comfort: ${Math.round(comfort.discomfortSec ?? 0)} s of harsh motion · peak jerk ${(comfort.peakLongitudinalJerk ?? 0).toFixed(1)} m/s³ long., ${(comfort.peakLateralJerk ?? 0).toFixed(1)} m/s³ lat.`
+        ));
+
+        if (r.energy) panel.appendChild(makeEl('div', 'career-note', formatEnergy(r.energy)));
+
+        const violations = makeEl('ul', 'career-violations');
+        for (const v of r.violations ?? []) {
+            violations.appendChild(makeEl('li', null, `${formatClockSec(v.clockSec)}  ${VIOLATION_LABEL[v.type] ?? v.type}  −${Math.round(v.penalty)}`));
+        }
+        if (!(r.violations?.length)) violations.appendChild(makeEl('li', 'is-clean', 'No violations'));
+        panel.appendChild(violations);
+
+        const actions = makeEl('div', 'career-actions');
+        const exitBtn = makeEl('button', 'career-btn', 'Main menu');
+        exitBtn.type = 'button';
+        exitBtn.addEventListener('click', () => onExit?.());
+        const nextBtn = makeEl('button', 'career-btn is-primary', 'Next shift');
+        nextBtn.type = 'button';
+        nextBtn.addEventListener('click', () => onNext?.());
+        actions.appendChild(exitBtn);
+        actions.appendChild(nextBtn);
+        panel.appendChild(actions);
+        panel.appendChild(makeEl('div', 'career-hint', 'Enter next shift · Esc main menu'));
+
+        this.root.appendChild(panel);
+    }
+
+    attach(parent = document.body) {
+        parent.appendChild(this.root);
+    }
+
+    destroy() {
+        this.root.remove();
+    }
+}
@@ -1,5 +1,15 @@
 // src/graphics/gui/debug/VehicleMotionDebugOverlay.js
 // Lightweight text overlay for investigating one-frame vehicle motion discontinuities.
+// Articulated buses also get a top-down swept-path plot (front corners vs trailer tail corners).
+import { computeSweptEnvelope, sectionPointToWorld } from '../../../app/physics/simulations/ArticulationSim.js';
+
+const SWEPT_PLOT = {
+    size: 220,
+    pxPerMeter: 5,
+    centerY: 0.4,
+    sampleSpacing: 0.25,
+    maxSamples: 400
+};
 
 function normalizeAngleRad(rad) {
     let a = Number(rad);
@@ -41,6 +51,33 @@ function readPoseFromObject3D(obj) {
     };
 }
 
+function toPlot(pose, p) {
+    // Front section up; local +X is on the screen's left when seen from above.
+    const dx = p.x - pose.x;
+    const dz = p.z - pose.z;
+    const c = Math.cos(pose.yaw);
+    const s = Math.sin(pose.yaw);
+    const lx = dx * c - dz * s;
+    const lz = dx * s + dz * c;
+    return {
+        x: SWEPT_PLOT.size * 0.5 - lx * SWEPT_PLOT.pxPerMeter,
+        y: SWEPT_PLOT.size * SWEPT_PLOT.centerY - lz * SWEPT_PLOT.pxPerMeter
+    };
+}
+
+function strokePath(ctx, pose, points, color, close = false) {
+    if (points.length < 2) return;
+    ctx.strokeStyle = color;
+    ctx.beginPath();
+    points.forEach((p, i) => {
+        const q = toPlot(pose, p);
+        if (i === 0) ctx.moveTo(q.x, q.y);
+        else ctx.lineTo(q.x, q.y);
+    });
+    if (close) ctx.closePath();
+    ctx.stroke();
+}
+
 function fmt(n, digits = 3) {
     return Number.isFinite(n) ? Number(n).toFixed(digits) : '-';
 }
@@ -85,6 +122,11 @@ export class VehicleMotionDebugOverlay {
         this.pre = document.createElement('pre');
         this.pre.className = 'vehicle-motion-debug-overlay-pre';
         this.root.appendChild(this.pre);
+        this.sweptCanvas = document.createElement('canvas');
+        this.sweptCanvas.className = 'vehicle-motion-debug-overlay-swept hidden';
+        this.sweptCanvas.width = SWEPT_PLOT.size;
+        this.sweptCanvas.height = SWEPT_PLOT.size;
+        this.root.appendChild(this.sweptCanvas);
 
         this._enabled = false;
         this._overlayVisible = false;
@@ -103,6 +145,7 @@ export class VehicleMotionDebugOverlay {
         this._lastNowMs = null;
         this._lastScreen = null;
         this._lastCamera = null;
+        this._sweptTrail = [];
     }
 
     attach(parent = document.body) {
@@ -136,6 +179,50 @@ export class VehicleMotionDebugOverlay {
         this._lastNowMs = null;
         this._lastScreen = null;
         this._lastCamera = null;
+        this._clearSweptPath();
+    }
+
+    _clearSweptPath() {
+        this._sweptTrail.length = 0;
+        this.sweptCanvas.classList.add('hidden');
+    }
+
+    /**
+     * Records the world paths of the front corners and the trailer tail corners and plots them around the bus.
+     * @returns {object|null} Current swept envelope.
+     */
+    _updateSweptPath(pose, articulation) {
+        const config = articulation?.config ?? null;
+        if (!pose || !config) {
+            if (this._sweptTrail.length) this._clearSweptPath();
+            return null;
+        }
+        const envelope = computeSweptEnvelope(config, articulation.angle);
+        const anchorPose = { position: { x: pose.x, z: pose.z }, yaw: pose.yaw };
+        const toWorld = (p) => sectionPointToWorld(anchorPose, p);
+        const sample = {
+            front: [toWorld(envelope.front[0]), toWorld(envelope.front[1])],
+            tail: [toWorld(envelope.tail[0]), toWorld(envelope.tail[1])]
+        };
+        const last = this._sweptTrail[this._sweptTrail.length - 1] ?? null;
+        const moved = last ? Math.hypot(sample.front[0].x - last.front[0].x, sample.front[0].z - last.front[0].z) : Infinity;
+        if (moved >= SWEPT_PLOT.sampleSpacing) {
+            this._sweptTrail.push(sample);
+            if (this._sweptTrail.length > SWEPT_PLOT.maxSamples) this._sweptTrail.shift();
+        }
+
+        this.sweptCanvas.classList.toggle('hidden', !this._overlayVisible);
+        const ctx = this.sweptCanvas.getContext('2d');
+        if (!ctx || !this._overlayVisible) return envelope;
+        ctx.clearRect(0, 0, SWEPT_PLOT.size, SWEPT_PLOT.size);
+        ctx.lineWidth = 1;
+        for (let side = 0; side < 2; side++) {
+            strokePath(ctx, pose, this._sweptTrail.map((t) => t.front[side]), 'rgba(120, 200, 255, 0.8)');
+            strokePath(ctx, pose, this._sweptTrail.map((t) => t.tail[side]), 'rgba(255, 150, 80, 0.9)');
+        }
+        strokePath(ctx, pose, envelope.front.map(toWorld), 'rgba(233, 242, 255, 0.95)', true);
+        strokePath(ctx, pose, envelope.trailer.map(toWorld), articulation.atLimit ? 'rgba(255, 80, 80, 0.95)' : 'rgba(233, 242, 255, 0.95)', true);
+        return envelope;
     }
 
     setOverlayVisible(visible) {
@@ -153,6 +240,7 @@ export class VehicleMotionDebugOverlay {
         physicsLoop = null,
         anchor = null,
         locomotion = null,
+        articulation = null,
         cameraMotion = null,
         camera = null,
         viewport = null,
@@ -418,6 +506,12 @@ export class VehicleMotionDebugOverlay {
         if (wallDt !== null) {
             lines.push(`wall dt: ${fmt(wallDt, 4)}`);
         }
+        const envelope = this._updateSweptPath(pose, articulation);
+        if (envelope) {
+            const deg = 180 / Math.PI;
+            lines.push(`articulation: ${fmt(articulation.angle * deg, 1)}° / ±${fmt(articulation.config.maxAngle * deg, 0)}°${articulation.atLimit ? '  AT LIMIT' : ''}`);
+            lines.push(`tail swing: ${fmt(envelope.tailSwing, 2)}m  swept width: ${fmt(envelope.sweptWidth, 2)}m`);
+        }
         if (backStep || locoBackStep || travelBackStep || locoTravelBackStep) {
             const bits = [];
             if (backStep) bits.push(`anchorFwd<-${fmt(backMinProj, 2)}m`);
@@ -4,6 +4,7 @@ import { RampedControl } from "../../../app/input/RampedControl.js";
 import { SteeringWheelWidget } from "./widgets/SteeringWheelWidget.js";
 import { PedalWidget } from "./widgets/PedalWidget.js";
 import { GaugeWidget } from "./widgets/GaugeWidget.js";
+import { RetarderWidget } from "./widgets/RetarderWidget.js";
 import { DemoModeSim } from "../../../app/physics/simulations/DemoModeSim.js";
 
 function clamp(v, a, b) {
@@ -30,15 +31,21 @@ export class GameHUD {
         this.wheelWidget = new SteeringWheelWidget({ title: "Wheel (270°)" });
 
         this.pedalsWidget = new PedalWidget({ title: "Controls", leftLabel: "Accel", rightLabel: "Brake" });
-        this.pedalsWidget.keysHint.textContent = "Keys: ←/→ steer, ↑ throttle, ↓ brake, Q setup";
+        this._keysHintText = "Keys: ←/→ steer, ↑ throttle, ↓ brake, C clutch, E/Z shift, Q setup";
+        this.pedalsWidget.keysHint.textContent = this._keysHintText;
+        this.retarderWidget = new RetarderWidget({ title: "Retarder" });
 
         this.speedGauge = new GaugeWidget({ label: "Speed", min: 0, max: 140, units: "km/h", angleRangeDeg: 240 });
         this.rpmGauge = new GaugeWidget({ label: "RPM", min: 0, max: 8000, units: "rpm", angleRangeDeg: 240 });
+        // Electric buses swap the RPM gauge for motor power; negative values are regen.
+        this.powerGauge = new GaugeWidget({ label: "Power", min: -300, max: 600, units: "kW", angleRangeDeg: 240 });
+        this.powerGauge.getElement().classList.add("power-gauge", "hidden");
 
         const gaugeRow = document.createElement("div");
         gaugeRow.className = "gauge-row";
         gaugeRow.appendChild(this.speedGauge.getElement());
         gaugeRow.appendChild(this.rpmGauge.getElement());
+        gaugeRow.appendChild(this.powerGauge.getElement());
 
         // Gear indicator (integrated inside gauge-row)
         this.gearIndicator = document.createElement("div");
@@ -48,11 +55,56 @@ export class GameHUD {
         this.gearValueEl.className = "gear-value";
         this.gearValueEl.textContent = "1";
 
+        this.gearModeEl = document.createElement("div");
+        this.gearModeEl.className = "gear-mode";
+
         this.gearIndicator.appendChild(this.gearValueEl);
+        this.gearIndicator.appendChild(this.gearModeEl);
         gaugeRow.appendChild(this.gearIndicator);
 
         this.clusterTelemetry.appendChild(gaugeRow);
 
+        // Cruise control / speed limiter set speed
+        this.cruiseEl = document.createElement("div");
+        this.cruiseEl.className = "cruise-readout hidden";
+        this.clusterTelemetry.appendChild(this.cruiseEl);
+
+        // Battery readout (electric and hybrid buses)
+        this.batteryEl = document.createElement("div");
+        this.batteryEl.className = "battery-readout hidden";
+        this.batteryBar = document.createElement("div");
+        this.batteryBar.className = "battery-bar";
+        this.batteryFill = document.createElement("div");
+        this.batteryFill.className = "battery-fill";
+        this.batteryBar.appendChild(this.batteryFill);
+        this.batteryText = document.createElement("div");
+        this.batteryText.className = "battery-text";
+        this.batteryEl.appendChild(this.batteryBar);
+        this.batteryEl.appendChild(this.batteryText);
+        this.clusterTelemetry.appendChild(this.batteryEl);
+
+        this.fuelEl = document.createElement("div");
+        this.fuelEl.className = "fuel-readout hidden";
+        this.fuelBar = document.createElement("div");
+        this.fuelBar.className = "fuel-bar";
+        this.fuelFill = document.createElement("div");
+        this.fuelFill.className = "fuel-fill";
+        this.fuelBar.appendChild(this.fuelFill);
+        this.fuelText = document.createElement("div");
+        this.fuelText.className = "fuel-text";
+        this.fuelEl.appendChild(this.fuelBar);
+        this.fuelEl.appendChild(this.fuelText);
+        this.clusterTelemetry.appendChild(this.fuelEl);
+
+        this.depotEl = document.createElement("div");
+        this.depotEl.className = "depot-hint hidden";
+        this.clusterTelemetry.appendChild(this.depotEl);
+
+        this.damageEl = document.createElement("div");
+        this.damageEl.className = "damage-readout hidden";
+        this.clusterTelemetry.appendChild(this.damageEl);
+
+        this.clusterControls.appendChild(this.retarderWidget.getElement());
         this.clusterControls.appendChild(this.wheelWidget.getElement());
         this.clusterControls.appendChild(this.pedalsWidget.getElement());
 
@@ -113,9 +165,13 @@ export class GameHUD {
         this._rpmDisplayFallRate = 10.0; // faster fall
 
         // Telemetry (later)
-        this._telemetry = { speedKph: null, rpm: null, gear: null };
+        this._telemetry = { speedKph: null, rpm: null, gear: null, transmission: null, powertrain: null, retarder: null, damage: null, speedControl: null };
         this._telemetryDirty = false;
 
+        // Driver controls from InputManager (keyboard ramps or gamepad / wheel axes); null = HUD's own key ramps
+        this._controls = null;
+        this._controlsDevice = null;
+
         this._onKeyDown = (e) => this._handleKey(e, true);
         this._onKeyUp = (e) => this._handleKey(e, false);
     }
@@ -146,9 +202,38 @@ export class GameHUD {
         if (typeof t.speedKph === "number") this._telemetry.speedKph = t.speedKph;
         if (typeof t.rpm === "number") this._telemetry.rpm = t.rpm;
         if (typeof t.gear === "number") this._telemetry.gear = t.gear;
+        if (t.transmission !== undefined) this._telemetry.transmission = t.transmission;
+        if (t.powertrain !== undefined) this._telemetry.powertrain = t.powertrain;
+        if (t.energy !== undefined) this._telemetry.energy = t.energy;
+        if (t.damage !== undefined) this._telemetry.damage = t.damage;
+        if (t.retarder !== undefined) this._telemetry.retarder = t.retarder;
+        if (t.speedControl !== undefined) this._telemetry.speedControl = t.speedControl;
         this._telemetryDirty = true;
     }
 
+    /**
+     * Show the controls the bus is actually driven with.
+     * @param {object|null} c - InputManager.getControls() plus `device` (active gamepad id or null).
+     */
+    setControls(c) {
+        this._controls = c && typeof c === "object" ? c : null;
+        const device = this._controls?.device ?? null;
+        if (device === this._controlsDevice) return;
+        this._controlsDevice = device;
+        // Gamepad ids often carry vendor/product codes in parentheses; keep the readable part.
+        const name = device ? String(device).replace(/\s*\(.*$/, "").trim() || String(device) : "";
+        this.pedalsWidget.keysHint.textContent = device ? `Controller: ${name}` : this._keysHintText;
+    }
+
+    /**
+     * Keyboard hint under the pedals (shown while no controller drives).
+     * @param {string} text
+     */
+    setKeysHint(text) {
+        this._keysHintText = String(text ?? "");
+        if (!this._controlsDevice) this.pedalsWidget.keysHint.textContent = this._keysHintText;
+    }
+
     getControls() {
         return {
             steer: this.steer.value,
@@ -171,9 +256,14 @@ export class GameHUD {
         const up = this.keys.up ? 1 : 0;
         const down = this.keys.down ? 1 : 0;
 
-        const steerVal = this.steer.update(delta, steerInput);
-        const throttleVal = this.throttle.update(delta, up ? 1 : 0);
-        const brakeVal = this.brake.update(delta, down ? 1 : 0);
+        let steerVal = this.steer.update(delta, steerInput);
+        let throttleVal = this.throttle.update(delta, up ? 1 : 0);
+        let brakeVal = this.brake.update(delta, down ? 1 : 0);
+        if (this._controls) {
+            steerVal = this._controls.steering ?? 0;
+            throttleVal = this._controls.throttle ?? 0;
+            brakeVal = this._controls.brake ?? 0;
+        }
 
         // controls UI
         this.wheelWidget.setSteerNorm(steerVal);
@@ -214,7 +304,119 @@ export class GameHUD {
         // telemetry UI
         this.speedGauge.setValue(speedKph);
         this.rpmGauge.setValue(this.displayRpm); // <-- smooth needle / display RPM
-        this.gearValueEl.textContent = gear > 0 ? String(gear) : "-";
+        this._syncPowertrain(this.mode === "demo" ? null : this._telemetry.powertrain);
+        this._syncEnergy(this.mode === "demo" ? null : this._telemetry.energy);
+        this._syncDamage(this.mode === "demo" ? null : this._telemetry.damage);
+        this._syncGearIndicator(gear, this.mode === "demo" ? null : this._telemetry.transmission);
+        this._syncSpeedControl(this.mode === "demo" ? null : this._telemetry.speedControl);
+        this.retarderWidget.setState(this.mode === "demo" ? null : this._telemetry.retarder);
+    }
+
+    /**
+     * @param {object|null} pt - Electric/hybrid state ({ type, powerKw, soc, charging, consumptionKwhPerKm, rangeKm }).
+     */
+    _syncPowertrain(pt) {
+        const electric = pt?.type === "electric";
+        this.rpmGauge.getElement().classList.toggle("hidden", electric);
+        this.powerGauge.getElement().classList.toggle("hidden", !electric);
+        if (electric) {
+            this.powerGauge.setValue(pt.powerKw ?? 0);
+            this.powerGauge.getElement().classList.toggle("is-regen", (pt.powerKw ?? 0) < -1);
+        }
+
+        this.batteryEl.classList.toggle("hidden", !pt);
+        if (!pt) return;
+        const soc = clamp(pt.soc ?? 0, 0, 1);
+        this.batteryFill.style.width = `${(soc * 100).toFixed(1)}%`;
+        this.batteryEl.classList.toggle("is-low", soc < 0.15);
+        this.batteryEl.classList.toggle("is-charging", !!pt.charging);
+        const parts = [`${Math.round(soc * 100)}%`];
+        if (pt.consumptionKwhPerKm > 0) parts.push(`${pt.consumptionKwhPerKm.toFixed(2)} kWh/km`);
+        if (Number.isFinite(pt.rangeKm)) parts.push(`${Math.round(pt.rangeKm)} km`);
+        this.batteryText.textContent = parts.join(" · ");
+    }
+
+    /**
+     * @param {object|null} e - EnergySystem telemetry ({ fuelLiters, fuelTankLiters, fuelLevel, fuelRateLph, outOfFuel, soc, depot }).
+     */
+    _syncEnergy(e) {
+        const hasFuel = Number.isFinite(e?.fuelLevel);
+        this.fuelEl.classList.toggle("hidden", !hasFuel);
+        if (hasFuel) {
+            const level = clamp(e.fuelLevel, 0, 1);
+            this.fuelFill.style.width = `${(level * 100).toFixed(1)}%`;
+            this.fuelEl.classList.toggle("is-low", level < 0.1);
+            this.fuelEl.classList.toggle("is-refuelling", !!e.depot?.refuelling);
+            const parts = [e.outOfFuel ? "Empty" : `${Math.round(e.fuelLiters)} L`];
+            if (e.fuelRateLph > 0) parts.push(`${e.fuelRateLph.toFixed(1)} L/h`);
+            this.fuelText.textContent = parts.join(" · ");
+        }
+
+        const depot = e?.depot ?? null;
+        this.depotEl.classList.toggle("hidden", !depot?.inside);
+        if (!depot?.inside) return;
+        const label = hasFuel ? (Number.isFinite(e.soc) ? "Refuelling + charging" : "Refuelling") : "Charging";
+        this.depotEl.classList.toggle("is-active", !!depot.refuelling);
+        this.depotEl.textContent = depot.refuelling ? `${depot.name}: ${label}…` : `${depot.name}: stop to refuel`;
+    }
+
+    /**
+     * @param {object|null} d - DamageSystem telemetry ({ level, zones, powerFactor, headlightsBroken, inDepot, canRepair }).
+     */
+    _syncDamage(d) {
+        const level = clamp(d?.level ?? 0, 0, 1);
+        const shown = level > 0.005;
+        this.damageEl.classList.toggle("hidden", !shown);
+        if (!shown) return;
+        this.damageEl.classList.toggle("is-severe", level >= 0.5);
+        let worst = null;
+        for (const [zone, value] of Object.entries(d.zones ?? {})) {
+            if (value > 0 && (!worst || value > d.zones[worst])) worst = zone;
+        }
+        const parts = [`Damage ${Math.max(1, Math.round(level * 100))}%${worst ? ` (${worst})` : ""}`];
+        if (d.powerFactor < 0.99) parts.push(`power -${Math.round((1 - d.powerFactor) * 100)}%`);
+        if (d.headlightsBroken > 0) parts.push(d.headlightsBroken > 1 ? "headlights out" : "headlight out");
+        if (d.canRepair) parts.push("G: repair");
+        else if (d.inDepot) parts.push("stop to repair");
+        this.damageEl.textContent = parts.join(" · ");
+    }
+
+    /**
+     * @param {object|null} sc - VehicleController speed control state ({ mode, setKph, active }).
+     */
+    _syncSpeedControl(sc) {
+        const shown = sc?.mode === "cruise" || sc?.mode === "limiter";
+        this.cruiseEl.classList.toggle("hidden", !shown);
+        if (!shown) return;
+        this.cruiseEl.classList.toggle("is-limiter", sc.mode === "limiter");
+        this.cruiseEl.classList.toggle("is-active", !!sc.active);
+        this.cruiseEl.textContent = `${sc.mode === "cruise" ? "Cruise" : "Limiter"} ${Math.round(sc.setKph)} km/h`;
+    }
+
+    /**
+     * @param {number} gear
+     * @param {object|null} tr - Drivetrain transmission state ({ mode, shiftMap, gearLabel, fromGearLabel, shifting, stalled, hillHold }).
+     */
+    _syncGearIndicator(gear, tr) {
+        if (!tr?.gearLabel) {
+            this.gearValueEl.textContent = gear > 0 ? String(gear) : "-";
+            this.gearModeEl.textContent = "";
+            this.gearIndicator.classList.remove("is-shifting", "is-stalled");
+            return;
+        }
+        const auto = tr.mode !== "manual";
+        const label = (l) => (auto && /^\d+$/.test(String(l)) ? `D${l}` : String(l));
+        const shifting = !!tr.shifting && tr.fromGearLabel !== tr.gearLabel;
+        this.gearValueEl.textContent = shifting ? `${label(tr.fromGearLabel)}›${label(tr.gearLabel)}` : label(tr.gearLabel);
+
+        // Automatic gears already read "D<n>", so the label names the shift map; electric buses have a single speed.
+        let modeText = tr.mode === "direct" ? "EV" : (auto ? (tr.shiftMap ?? "auto") : "Manual");
+        if (tr.kickdown && auto) modeText = "Kickdown";
+        if (tr.hillHold) modeText = "Hold";
+        if (tr.stalled) modeText = "Stall";
+        this.gearModeEl.textContent = modeText;
+        this.gearIndicator.classList.toggle("is-shifting", shifting);
+        this.gearIndicator.classList.toggle("is-stalled", !!tr.stalled);
     }
 
     _handleKey(e, isDown) {
@@ -22,7 +22,12 @@ const HELP = {
         up: 'Throttle input.\n\nWhen pressed, throttle input rises toward 1.0.',
         down: 'Brake input.\n\nWhen pressed, brake input rises toward 1.0.',
         space: 'Handbrake input.\n\nUsed to lock the rear wheels (or increase brake force depending on tuning).',
-        h: 'Headlights toggle.\n\nVisual only (no effect on physics).'
+        h: 'Headlights toggle.\n\nVisual only (no effect on physics).',
+        o: 'Passenger doors toggle.\n\nWhile any door is open the physics interlock holds the brake and ignores throttle.',
+        k: 'Kneel toggle.\n\nLowers the curb-side suspension once stopped, then folds out the wheelchair ramp (low-floor buses only).\nThe brake is held until the ramp is stowed and the bus has risen again.',
+        g: 'Repair.\n\nClears crash damage (dents, steering pull, power loss, broken headlights) while stopped in the depot bay.',
+        v: 'Cruise control toggle.\n\nHolds the current speed (from 20 km/h) by driving the throttle and a light brake; any brake press disengages it.\n+/- change the set speed in 5 km/h steps.',
+        l: 'Speed limiter toggle.\n\nCaps the throttle so the bus does not pass the set speed (the current speed when engaged).\n+/- change the limit in 5 km/h steps.'
     },
     input: {
         steer: 'Raw steering input from `input:controls`.\n\nRange: [-1, 1].\nPositive = right (UI convention).\n\nUsed by RapierVehicleSim to set wheel steering angles.',
@@ -47,6 +52,7 @@ const HELP = {
         yaw: 'Chassis yaw angle (deg).\n\nSource: Rapier rigid-body rotation.\nSign conventions depend on the world axes and camera view; use this to verify steering/yaw direction.',
         driveForce: 'Drive force applied to EACH driven wheel (N).\n\nSource: EngineTransmissionSim → clutchTorque × gearRatio × finalDrive ÷ wheelRadius.\nThen clamped by `tuning.engineForce` as a safety cap.\nHigher values accelerate faster but can cause wheelspin/instability.',
         brakeForce: 'Brake force applied (N).\n\nComputed from brake + handbrake inputs and tuning brake parameters.\nHigher values slow down faster and can prevent engine-driven acceleration.',
+        assists: 'Driver assists (DriverAssistSim).\n\nLit pill: the assist is intervening this frame.\nABS releases brake on wheels heading into lock, TCS cuts drive force on wheelspin, ESC brakes one wheel to correct yaw rate.\nCounts are interventions since the vehicle spawned; struck-through assists are switched off (Options → Driving).',
         wheels: 'Wheel status.\n\nDot: wheel contact with ground.\nArrow: wheel steering/yaw direction.\nNeedle: wheel spin indicator.\n\nUseful to verify wheel order, contact, and steering sign.'
     },
     engineConfig: {
@@ -279,7 +285,12 @@ export class GameplayDebugPanel {
             up: makeKeyPill('↑/W'),
             down: makeKeyPill('↓/S'),
             space: makeKeyPill('Space'),
-            h: makeKeyPill('H')
+            h: makeKeyPill('H'),
+            o: makeKeyPill('O'),
+            k: makeKeyPill('K'),
+            g: makeKeyPill('G'),
+            v: makeKeyPill('V'),
+            l: makeKeyPill('L')
         };
         this.keyPills.left.title = HELP.keys.left;
         this.keyPills.right.title = HELP.keys.right;
@@ -287,6 +298,11 @@ export class GameplayDebugPanel {
         this.keyPills.down.title = HELP.keys.down;
         this.keyPills.space.title = HELP.keys.space;
         this.keyPills.h.title = HELP.keys.h;
+        this.keyPills.o.title = HELP.keys.o;
+        this.keyPills.k.title = HELP.keys.k;
+        this.keyPills.g.title = HELP.keys.g;
+        this.keyPills.v.title = HELP.keys.v;
+        this.keyPills.l.title = HELP.keys.l;
         for (const pill of Object.values(this.keyPills)) {
             this.keysRow.appendChild(pill);
         }
@@ -473,6 +489,22 @@ export class GameplayDebugPanel {
         this.brakeForceRow = makeValueRow('BrakeF (N)', { tooltip: HELP.outputs.brakeForce });
         this.rapierOutGrid.appendChild(this.brakeForceRow.row);
 
+        const assistRow = document.createElement('div');
+        assistRow.className = 'gpd-value-row';
+        assistRow.title = HELP.outputs.assists;
+        const assistLabel = document.createElement('div');
+        assistLabel.textContent = 'Assists';
+        assistLabel.className = 'gpd-value-key';
+        const assistR = document.createElement('div');
+        assistR.className = 'gpd-row-right';
+        this.assistPills = { abs: makeKeyPill('ABS'), tcs: makeKeyPill('TCS'), esc: makeKeyPill('ESC') };
+        for (const pill of Object.values(this.assistPills)) assistR.appendChild(pill);
+        assistRow.appendChild(assistLabel);
+        assistRow.appendChild(assistR);
+        this.rapierOutGrid.appendChild(assistRow);
+        this.assistRow = makeValueRow('Interventions', { tooltip: HELP.outputs.assists });
+        this.rapierOutGrid.appendChild(this.assistRow.row);
+
         const wheelsRow = document.createElement('div');
         wheelsRow.className = 'gpd-value-row gpd-wheels-row';
         wheelsRow.title = HELP.outputs.wheels;
@@ -629,6 +661,11 @@ export class GameplayDebugPanel {
         setKeyPill(this.keyPills.down, !!k.down);
         setKeyPill(this.keyPills.space, !!k.space);
         setKeyPill(this.keyPills.h, !!k.h);
+        setKeyPill(this.keyPills.o, !!k.o);
+        setKeyPill(this.keyPills.k, !!k.k);
+        setKeyPill(this.keyPills.g, !!k.g);
+        setKeyPill(this.keyPills.v, !!k.v);
+        setKeyPill(this.keyPills.l, !!k.l);
     }
 
     setInput(input) {
@@ -660,6 +697,7 @@ export class GameplayDebugPanel {
             this.yawRow.v.textContent = '—';
             this.driveRow.v.textContent = '—';
             this.brakeForceRow.v.textContent = '—';
+            this._syncAssists(null);
             this.engineForceCapRow.v.textContent = '—';
             this.maxTorqueCfgRow.v.textContent = '—';
             this.clutchMaxTorqueCfgRow.v.textContent = '—';
@@ -728,6 +766,7 @@ export class GameplayDebugPanel {
         this.shiftRow.v.textContent = `${fmt(shiftBlend, 2)} t:${fmt(shiftTimer, 2)} cd:${fmt(shiftCooldown, 2)}`;
         this.driveRow.v.textContent = fmt(driveF, 0);
         this.brakeForceRow.v.textContent = fmt(brakeF, 0);
+        this._syncAssists(debug.driverAssist ?? null);
 
         const wheels = Array.isArray(debug.wheels) ? debug.wheels : [];
         this._lastSpinDeg = radToDeg(debug.locomotion?.wheelSpinAccum ?? 0);
@@ -739,6 +778,20 @@ export class GameplayDebugPanel {
         }
     }
 
+    _syncAssists(assist) {
+        for (const [key, pill] of Object.entries(this.assistPills)) {
+            const a = assist?.[key] ?? null;
+            setKeyPill(pill, !!a?.active);
+            pill.style.textDecoration = a && !a.enabled ? 'line-through' : '';
+        }
+        if (!assist) {
+            this.assistRow.v.textContent = '—';
+            return;
+        }
+        const esc = assist.esc.mode ? ` (${assist.esc.mode})` : '';
+        this.assistRow.v.textContent = `ABS ${assist.abs.count} · TCS ${assist.tcs.count} ${fmt(assist.tcs.factor, 2)} · ESC ${assist.esc.count}${esc}`;
+    }
+
     _syncWheelCells(wheels) {
         const list = Array.isArray(wheels) ? wheels : [];
 
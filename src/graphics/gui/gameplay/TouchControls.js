@@ -0,0 +1,154 @@
+// src/graphics/gui/gameplay/TouchControls.js
+// Makes the HUD wheel and pedals draggable and adds touch buttons (doors, handbrake, indicators, hazards, horn) for tablets.
+import { pedalFromPointer, steerFromWheelAngle, wheelAngleFromPointer } from "../../../app/input/TouchInput.js";
+
+// [action, label, hold]: held buttons stay down while touched, the others are taps.
+const BUTTONS = [
+    ["indicator_left", "◀", false],
+    ["toggle_doors", "Doors", false],
+    ["handbrake", "Handbrake", true],
+    ["indicator_right", "▶", false],
+    ["hazard_lights", "⚠", false],
+    ["horn", "Horn", true]
+];
+
+export class TouchControls {
+    /**
+     * @param {object} params
+     * @param {import('./GameHUD.js').GameHUD} params.hud
+     * @param {(values: {steering?:number|null, throttle?:number|null, brake?:number|null}) => void} params.onAnalog
+     * @param {(action: string, isDown: boolean) => void} params.onAction
+     */
+    constructor({ hud, onAnalog, onAction }) {
+        this.hud = hud;
+        this.onAnalog = onAnalog;
+        this.onAction = onAction;
+
+        this.root = document.createElement("div");
+        this.root.className = "hud-panel touch-buttons";
+
+        this.buttons = {};
+        for (const [action, label, hold] of BUTTONS) {
+            const btn = document.createElement("button");
+            btn.type = "button";
+            btn.className = "touch-btn";
+            btn.dataset.action = action;
+            btn.textContent = label;
+            this.root.appendChild(btn);
+            this.buttons[action] = btn;
+        }
+
+        this._steer = 0;
+        this._unbind = [];
+    }
+
+    attach() {
+        if (this._unbind.length) return;
+        const wheel = this.hud.wheelWidget.wrap;
+        const pedals = this.hud.pedalsWidget;
+
+        const steerAt = (e) => {
+            const angle = wheelAngleFromPointer(e.clientX, e.clientY, wheel.getBoundingClientRect());
+            this._steer = steerFromWheelAngle(angle, this._steer);
+            this.onAnalog?.({ steering: this._steer });
+        };
+        this._unbind.push(this._bindPointer(wheel, {
+            down: steerAt,
+            move: steerAt,
+            up: () => {
+                this._steer = 0;
+                this.onAnalog?.({ steering: null });
+            }
+        }));
+
+        for (const name of ["throttle", "brake"]) {
+            const track = pedals[name].track;
+            const pressAt = (e) => this.onAnalog?.({ [name]: pedalFromPointer(e.clientY, track.getBoundingClientRect()) });
+            this._unbind.push(this._bindPointer(track, {
+                down: pressAt,
+                move: pressAt,
+                up: () => this.onAnalog?.({ [name]: null })
+            }));
+        }
+
+        for (const [action, , hold] of BUTTONS) {
+            const btn = this.buttons[action];
+            this._unbind.push(this._bindPointer(btn, {
+                down: () => {
+                    btn.classList.add("is-pressed");
+                    this.onAction?.(action, true);
+                    if (!hold) this.onAction?.(action, false);
+                },
+                up: () => {
+                    btn.classList.remove("is-pressed");
+                    if (hold) this.onAction?.(action, false);
+                }
+            }));
+        }
+
+        this.hud.root.classList.add("touch-mode");
+        this.hud.clusterControls.insertBefore(this.root, this.hud.clusterControls.firstChild);
+    }
+
+    destroy() {
+        for (const unbind of this._unbind) unbind();
+        this._unbind = [];
+        this.hud.root.classList.remove("touch-mode");
+        if (this.root.isConnected) this.root.remove();
+        this.onAnalog?.({ steering: null, throttle: null, brake: null });
+    }
+
+    /**
+     * Light up the buttons whose function is on.
+     * @param {{doorsOpen?:boolean, handbrake?:boolean, leftIndicator?:boolean, rightIndicator?:boolean, hazard?:boolean, horn?:boolean}} state
+     */
+    setState(state = {}) {
+        this.buttons.toggle_doors.classList.toggle("is-on", !!state.doorsOpen);
+        this.buttons.handbrake.classList.toggle("is-on", !!state.handbrake);
+        this.buttons.indicator_left.classList.toggle("is-on", !!state.leftIndicator);
+        this.buttons.indicator_right.classList.toggle("is-on", !!state.rightIndicator);
+        this.buttons.hazard_lights.classList.toggle("is-on", !!state.hazard);
+        this.buttons.horn.classList.toggle("is-on", !!state.horn);
+    }
+
+    /**
+     * One pointer per element (multi-touch: wheel and pedals at once); captured so drags can leave the element.
+     * @returns {() => void} unbind
+     */
+    _bindPointer(el, { down, move = null, up }) {
+        let pointerId = null;
+        const onDown = (e) => {
+            if (pointerId !== null) return;
+            pointerId = e.pointerId;
+            e.preventDefault();
+            try {
+                el.setPointerCapture?.(e.pointerId);
+            } catch {
+                // Synthetic pointers cannot be captured; window listeners below still see them.
+            }
+            down(e);
+        };
+        const onMove = (e) => {
+            if (e.pointerId !== pointerId || !move) return;
+            e.preventDefault();
+            move(e);
+        };
+        const onUp = (e) => {
+            if (e.pointerId !== pointerId) return;
+            pointerId = null;
+            up(e);
+        };
+        el.addEventListener("pointerdown", onDown, { passive: false });
+        window.addEventListener("pointermove", onMove, { passive: false });
+        window.addEventListener("pointerup", onUp);
+        window.addEventListener("pointercancel", onUp);
+        return () => {
+            el.removeEventListener("pointerdown", onDown);
+            window.removeEventListener("pointermove", onMove);
+            window.removeEventListener("pointerup", onUp);
+            window.removeEventListener("pointercancel", onUp);
+            if (pointerId !== null) up({ pointerId });
+            pointerId = null;
+        };
+    }
+}
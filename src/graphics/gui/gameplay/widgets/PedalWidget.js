@@ -60,7 +60,7 @@ export class PedalWidget {
         wrap.appendChild(track);
         wrap.appendChild(value);
 
-        return { wrap, fill, value };
+        return { wrap, track, fill, value };
     }
 
     getElement() {
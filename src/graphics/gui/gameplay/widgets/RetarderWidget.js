@@ -0,0 +1,76 @@
+// src/graphics/gui/gameplay/widgets/RetarderWidget.js
+// Renders the retarder stalk position, its braking force and the exhaust brake lamp for the HUD.
+// On electric buses the same stalk selects the regen level.
+export class RetarderWidget {
+    constructor({ title = "Retarder", stages = 4 } = {}) {
+        this.title = title;
+        this.root = document.createElement("div");
+        this.root.className = "hud-panel retarder-widget";
+
+        const header = document.createElement("div");
+        header.className = "hud-title";
+        header.textContent = title;
+        this.titleEl = header;
+
+        this.stageCol = document.createElement("div");
+        this.stageCol.className = "retarder-stages";
+        this.stageEls = [];
+        this._buildStages(stages);
+
+        this.forceEl = document.createElement("div");
+        this.forceEl.className = "retarder-force";
+        this.forceEl.textContent = "0 kN";
+
+        this.exhaustEl = document.createElement("div");
+        this.exhaustEl.className = "retarder-exhaust";
+        this.exhaustEl.textContent = "Exhaust";
+
+        this.root.appendChild(header);
+        this.root.appendChild(this.stageCol);
+        this.root.appendChild(this.forceEl);
+        this.root.appendChild(this.exhaustEl);
+
+        this.keysHint = document.createElement("div");
+        this.keysHint.className = "hud-keys";
+        this.keysHint.textContent = "R/F, X";
+        this.root.appendChild(this.keysHint);
+    }
+
+    _buildStages(stages) {
+        this.stageCol.textContent = "";
+        this.stageEls = [];
+        // Highest stage on top, like a stalk pulled towards the driver.
+        for (let i = stages; i >= 1; i--) {
+            const el = document.createElement("div");
+            el.className = "retarder-stage";
+            el.textContent = String(i);
+            this.stageCol.appendChild(el);
+            this.stageEls[i - 1] = el;
+        }
+    }
+
+    getElement() {
+        return this.root;
+    }
+
+    /**
+     * @param {object|null} r - { kind ('retarder'|'regen'), stage, stages, force (N), active, exhaustBrake, exhaustActive }
+     */
+    setState(r) {
+        const stages = Math.max(0, r?.stages ?? this.stageEls.length);
+        if (stages && stages !== this.stageEls.length) this._buildStages(stages);
+        const stage = r?.stage ?? 0;
+        this.stageEls.forEach((el, i) => {
+            el.classList.toggle("is-on", i < stage);
+            el.classList.toggle("is-braking", i < stage && !!r?.active);
+        });
+        this.forceEl.textContent = `${Math.round((r?.force ?? 0) / 1000)} kN`;
+        this.exhaustEl.classList.toggle("is-on", !!r?.exhaustBrake);
+        this.exhaustEl.classList.toggle("is-braking", !!r?.exhaustActive);
+        const regen = r?.kind === "regen";
+        this.titleEl.textContent = regen ? "Regen" : this.title;
+        this.exhaustEl.classList.toggle("hidden", regen);
+        this.keysHint.textContent = regen ? "R/F" : "R/F, X";
+        this.root.classList.toggle("is-unavailable", !r || stages === 0);
+    }
+}
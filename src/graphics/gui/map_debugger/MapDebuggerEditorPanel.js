@@ -44,6 +44,21 @@ function makeBuildingConfigSections(configs) {
     }];
 }
 
+function normalizeTab(tab) {
+    return tab === 'building' || tab === 'route' ? tab : 'road';
+}
+
+function formatIssueCounts(report) {
+    const issues = Array.isArray(report?.issues) ? report.issues : [];
+    const errors = issues.filter((i) => i?.severity === 'error').length;
+    const warnings = issues.length - errors;
+    if (!issues.length) return report ? 'ok' : '--';
+    const parts = [];
+    if (errors) parts.push(`${errors} error${errors === 1 ? '' : 's'}`);
+    if (warnings) parts.push(`${warnings} warning${warnings === 1 ? '' : 's'}`);
+    return parts.join(', ');
+}
+
 function resolveConfigLabel(configs, id) {
     const key = typeof id === 'string' ? id : '';
     const list = Array.isArray(configs) ? configs : [];
@@ -66,6 +81,10 @@ export class MapDebuggerEditorPanel {
         buildingModeEnabled = false,
         buildingSelectionCount = 0,
         newBuildingConfigId = null,
+        busOptions = [],
+        routeParams = null,
+        routeModeEnabled = false,
+        routeDraftStops = [],
         onApplyCity = null,
         onClearCity = null,
         onResetDemo = null,
@@ -87,7 +106,15 @@ export class MapDebuggerEditorPanel {
         onBuildingConfigChange = null,
         onRoadHover = null,
         onBuildingHover = null,
-        onLoadCitySpec = null
+        onLoadCitySpec = null,
+        onRouteParamsChange = null,
+        onStartRouteMode = null,
+        onDoneRouteMode = null,
+        onCancelRouteMode = null,
+        onUndoRouteStop = null,
+        onDeleteRoute = null,
+        onRouteHover = null,
+        onImportRoutes = null
     } = {}) {
         this.root = document.createElement('div');
         this.root.className = 'map-debugger-panel map-debugger-editor-panel hidden';
@@ -132,7 +159,7 @@ export class MapDebuggerEditorPanel {
         this._citySpecs = Array.isArray(citySpecs) ? citySpecs.slice() : [];
         this._citySpecId = typeof citySpecId === 'string' ? citySpecId : null;
         this._buildingConfigs = Array.isArray(buildingConfigs) ? buildingConfigs.slice() : [];
-        this._tab = tab === 'building' ? 'building' : 'road';
+        this._tab = normalizeTab(tab);
         this._roadParams = {
             tag: 'road',
             lanesF: 1,
@@ -147,6 +174,19 @@ export class MapDebuggerEditorPanel {
         this._buildingModeEnabled = !!buildingModeEnabled;
         this._buildingSelectionCount = Math.max(0, Number(buildingSelectionCount) | 0);
         this._newBuildingConfigId = typeof newBuildingConfigId === 'string' ? newBuildingConfigId : (this._buildingConfigs[0]?.id ?? null);
+        this._busOptions = Array.isArray(busOptions) ? busOptions.slice() : [];
+        this._routeParams = {
+            number: '1',
+            name: '',
+            color: '#e53935',
+            busId: this._busOptions[0]?.id ?? 'city',
+            headwayMinutes: 10,
+            loop: false,
+            ...(routeParams ?? {})
+        };
+        this._routeModeEnabled = !!routeModeEnabled;
+        this._routeDraftStops = Array.isArray(routeDraftStops) ? routeDraftStops.slice() : [];
+        this._routeReports = new Map();
 
         this._onApplyCity = onApplyCity;
         this._onClearCity = onClearCity;
@@ -170,6 +210,14 @@ export class MapDebuggerEditorPanel {
         this._onRoadHover = onRoadHover;
         this._onBuildingHover = onBuildingHover;
         this._onLoadCitySpec = onLoadCitySpec;
+        this._onRouteParamsChange = onRouteParamsChange;
+        this._onStartRouteMode = onStartRouteMode;
+        this._onDoneRouteMode = onDoneRouteMode;
+        this._onCancelRouteMode = onCancelRouteMode;
+        this._onUndoRouteStop = onUndoRouteStop;
+        this._onDeleteRoute = onDeleteRoute;
+        this._onRouteHover = onRouteHover;
+        this._onImportRoutes = onImportRoutes;
 
         this._pickerPopup = new PickerPopup();
         this._pickerContext = null;
@@ -178,6 +226,7 @@ export class MapDebuggerEditorPanel {
         this._buildToolsSection();
         this._buildRoadsSection();
         this._buildBuildingsSection();
+        this._buildRoutesSection();
         this._buildExportSection();
 
         this.setSpec(spec);
@@ -191,6 +240,7 @@ export class MapDebuggerEditorPanel {
         this.setBuildingModeEnabled(this._buildingModeEnabled);
         this.setBuildingSelectionCount(this._buildingSelectionCount);
         this.setNewBuildingConfigId(this._newBuildingConfigId);
+        this.setRouteModeEnabled(this._routeModeEnabled);
     }
 
     setSpec(spec) {
@@ -206,6 +256,8 @@ export class MapDebuggerEditorPanel {
         const buildings = Array.isArray(this._spec?.buildings) ? this._spec.buildings : [];
         this._renderBuildings(buildings);
 
+        this._renderRoutes(Array.isArray(this._spec?.routes) ? this._spec.routes : []);
+
         this._refreshExportText();
     }
 
@@ -239,12 +291,14 @@ export class MapDebuggerEditorPanel {
     }
 
     setTab(tab) {
-        const next = tab === 'building' ? 'building' : 'road';
+        const next = normalizeTab(tab);
         this._tab = next;
         if (this.tabRoadBtn) this.tabRoadBtn.classList.toggle('is-active', next === 'road');
         if (this.tabBuildingBtn) this.tabBuildingBtn.classList.toggle('is-active', next === 'building');
+        if (this.tabRouteBtn) this.tabRouteBtn.classList.toggle('is-active', next === 'route');
         if (this.roadsSection) this.roadsSection.classList.toggle('hidden', next !== 'road');
         if (this.buildingsSection) this.buildingsSection.classList.toggle('hidden', next !== 'building');
+        if (this.routesSection) this.routesSection.classList.toggle('hidden', next !== 'route');
         this._syncCreateButtons();
     }
 
@@ -293,6 +347,33 @@ export class MapDebuggerEditorPanel {
         this._renderCreatePopup();
     }
 
+    setRouteParams(params) {
+        this._routeParams = { ...this._routeParams, ...(params ?? {}) };
+        this._renderCreatePopup();
+    }
+
+    setRouteModeEnabled(enabled) {
+        this._routeModeEnabled = !!enabled;
+        this._renderCreatePopup();
+        this._syncCreateButtons();
+    }
+
+    /**
+     * @param {{id:string, name:string}[]} stops - Stops picked so far, in route order.
+     */
+    setRouteDraftStops(stops) {
+        this._routeDraftStops = Array.isArray(stops) ? stops.slice() : [];
+        this._renderCreatePopup();
+    }
+
+    /**
+     * @param {object[]} reports - resolveBusRoute() results, matched to routes by `routeId`.
+     */
+    setRouteReports(reports) {
+        this._routeReports = new Map((Array.isArray(reports) ? reports : []).map((r) => [r.routeId, r]));
+        this._renderRoutes(Array.isArray(this._spec?.routes) ? this._spec.routes : []);
+    }
+
     attach(parent = document.body) {
         if (!this.root.isConnected) parent.appendChild(this.root);
     }
@@ -450,11 +531,18 @@ export class MapDebuggerEditorPanel {
         this.tabBuildingBtn.textContent = 'Building';
         row.appendChild(this.tabBuildingBtn);
 
+        this.tabRouteBtn = document.createElement('button');
+        this.tabRouteBtn.type = 'button';
+        this.tabRouteBtn.className = 'map-debugger-editor-tool';
+        this.tabRouteBtn.textContent = 'Route';
+        row.appendChild(this.tabRouteBtn);
+
         section.body.appendChild(row);
         this.sections.appendChild(section.root);
 
         this.tabRoadBtn.addEventListener('click', () => this._emitTabChange('road'));
         this.tabBuildingBtn.addEventListener('click', () => this._emitTabChange('building'));
+        this.tabRouteBtn.addEventListener('click', () => this._emitTabChange('route'));
     }
 
     _emitTabChange(tab) {
@@ -552,6 +640,77 @@ export class MapDebuggerEditorPanel {
         });
     }
 
+    _buildRoutesSection() {
+        const section = this._makeSection('Routes');
+        this.routesSection = section.root;
+
+        const actions = document.createElement('div');
+        actions.className = 'map-debugger-editor-actions';
+
+        this.createRouteBtn = document.createElement('button');
+        this.createRouteBtn.type = 'button';
+        this.createRouteBtn.className = 'map-debugger-editor-btn map-debugger-editor-btn-primary';
+        this.createRouteBtn.textContent = 'Create Route';
+        actions.appendChild(this.createRouteBtn);
+
+        this.downloadRoutesBtn = document.createElement('button');
+        this.downloadRoutesBtn.type = 'button';
+        this.downloadRoutesBtn.className = 'map-debugger-editor-btn';
+        this.downloadRoutesBtn.textContent = 'Download routes';
+        actions.appendChild(this.downloadRoutesBtn);
+
+        this.importRoutesBtn = document.createElement('button');
+        this.importRoutesBtn.type = 'button';
+        this.importRoutesBtn.className = 'map-debugger-editor-btn';
+        this.importRoutesBtn.textContent = 'Import routes';
+        actions.appendChild(this.importRoutesBtn);
+
+        this.importRoutesInput = document.createElement('input');
+        this.importRoutesInput.type = 'file';
+        this.importRoutesInput.accept = 'application/json,.json';
+        this.importRoutesInput.className = 'hidden';
+        actions.appendChild(this.importRoutesInput);
+
+        this.routesImportStatus = document.createElement('div');
+        this.routesImportStatus.className = 'map-debugger-editor-help';
+
+        this.routesWrap = document.createElement('div');
+        this.routesWrap.className = 'map-debugger-list map-debugger-editor-table-wrap';
+
+        this.routesTable = document.createElement('table');
+        this.routesTable.className = 'map-debugger-table';
+
+        const thead = document.createElement('thead');
+        const tr = document.createElement('tr');
+        const headers = ['line', 'name', 'stops', 'length', 'check', ''];
+        for (const label of headers) {
+            const th = document.createElement('th');
+            th.textContent = label;
+            tr.appendChild(th);
+        }
+        thead.appendChild(tr);
+        this.routesTbody = document.createElement('tbody');
+        this.routesTable.appendChild(thead);
+        this.routesTable.appendChild(this.routesTbody);
+        this.routesWrap.appendChild(this.routesTable);
+
+        this.routeIssuesList = document.createElement('ul');
+        this.routeIssuesList.className = 'map-debugger-route-issues';
+
+        section.body.appendChild(actions);
+        section.body.appendChild(this.routesImportStatus);
+        section.body.appendChild(this.routesWrap);
+        section.body.appendChild(this.routeIssuesList);
+        this.sections.appendChild(section.root);
+
+        this.createRouteBtn.addEventListener('click', () => {
+            if (this._onStartRouteMode) this._onStartRouteMode();
+        });
+        this.downloadRoutesBtn.addEventListener('click', () => this._downloadRoutes());
+        this.importRoutesBtn.addEventListener('click', () => this.importRoutesInput.click());
+        this.importRoutesInput.addEventListener('change', () => this._importRoutesFromFile());
+    }
+
     _renderRoads(roads) {
         const list = Array.isArray(roads) ? roads : [];
         this.roadsTbody.textContent = '';
@@ -717,6 +876,69 @@ export class MapDebuggerEditorPanel {
         });
     }
 
+    _renderRoutes(routes) {
+        if (!this.routesTbody) return;
+        const list = Array.isArray(routes) ? routes : [];
+        this.routesTbody.textContent = '';
+        this.routeIssuesList.textContent = '';
+
+        list.forEach((route, index) => {
+            const report = this._routeReports.get(route?.id) ?? null;
+            const row = document.createElement('tr');
+
+            const tdLine = document.createElement('td');
+            const swatch = document.createElement('span');
+            swatch.className = 'map-debugger-route-swatch';
+            swatch.style.background = typeof route?.color === 'string' ? route.color : '#888888';
+            tdLine.appendChild(swatch);
+            tdLine.appendChild(document.createTextNode(String(route?.number ?? index + 1)));
+            row.appendChild(tdLine);
+
+            const addCell = (value) => {
+                const td = document.createElement('td');
+                td.textContent = String(value);
+                row.appendChild(td);
+                return td;
+            };
+
+            addCell(route?.name ?? '');
+            addCell(`${Array.isArray(route?.stops) ? route.stops.length : 0}${route?.loop ? ' (loop)' : ''}`);
+            addCell(report ? `${(report.length / 1000).toFixed(2)} km` : '--');
+            const tdCheck = addCell(formatIssueCounts(report));
+            tdCheck.classList.toggle('is-error', !!report && !report.ok);
+
+            const tdActions = document.createElement('td');
+            tdActions.className = 'map-debugger-row-actions';
+            const delBtn = makeIconButton({ title: 'Delete', pathD: ICON_TRASH });
+            tdActions.appendChild(delBtn);
+            row.appendChild(tdActions);
+
+            delBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                if (this._onDeleteRoute) this._onDeleteRoute(index);
+            });
+
+            row.addEventListener('mouseenter', () => {
+                row.classList.add('map-debugger-row-hover');
+                if (this._onRouteHover) this._onRouteHover(route, index);
+            });
+            row.addEventListener('mouseleave', () => {
+                row.classList.remove('map-debugger-row-hover');
+                if (this._onRouteHover) this._onRouteHover(null, index);
+            });
+
+            this.routesTbody.appendChild(row);
+
+            for (const issue of Array.isArray(report?.issues) ? report.issues : []) {
+                const li = document.createElement('li');
+                li.className = issue?.severity === 'error' ? 'is-error' : 'is-warning';
+                li.textContent = `Line ${route?.number ?? index + 1}: ${issue?.message ?? issue?.code ?? ''}`;
+                this.routeIssuesList.appendChild(li);
+            }
+        });
+    }
+
     _buildExportSection() {
         const section = this._makeSection('Export');
 
@@ -766,12 +988,15 @@ export class MapDebuggerEditorPanel {
     }
 
     _syncCreateButtons() {
-        const creating = this._roadModeEnabled || this._buildingModeEnabled;
+        const creating = this._roadModeEnabled || this._buildingModeEnabled || this._routeModeEnabled;
         const disableTab = creating;
         if (this.tabRoadBtn) this.tabRoadBtn.disabled = disableTab;
         if (this.tabBuildingBtn) this.tabBuildingBtn.disabled = disableTab;
+        if (this.tabRouteBtn) this.tabRouteBtn.disabled = disableTab;
         if (this.createRoadBtn) this.createRoadBtn.disabled = creating;
         if (this.createBuildingBtn) this.createBuildingBtn.disabled = creating;
+        if (this.createRouteBtn) this.createRouteBtn.disabled = creating;
+        if (this.importRoutesBtn) this.importRoutesBtn.disabled = creating;
     }
 
     _renderCreatePopup() {
@@ -780,7 +1005,8 @@ export class MapDebuggerEditorPanel {
 
         const creatingRoad = this._roadModeEnabled;
         const creatingBuilding = this._buildingModeEnabled;
-        const show = creatingRoad || creatingBuilding;
+        const creatingRoute = this._routeModeEnabled;
+        const show = creatingRoad || creatingBuilding || creatingRoute;
 
         if (!show) {
             this._hideCreatePopup();
@@ -791,6 +1017,7 @@ export class MapDebuggerEditorPanel {
 
         if (creatingRoad) this._renderRoadCreatePopup();
         if (creatingBuilding) this._renderBuildingCreatePopup();
+        if (creatingRoute) this._renderRouteCreatePopup();
     }
 
     _showCreatePopup() {
@@ -987,6 +1214,108 @@ export class MapDebuggerEditorPanel {
         });
     }
 
+    _renderRouteCreatePopup() {
+        const stops = this._routeDraftStops;
+        const count = stops.length;
+        const params = this._routeParams;
+        const emit = (patch) => {
+            if (this._onRouteParamsChange) this._onRouteParamsChange({ ...params, ...patch });
+        };
+
+        this.createTitle.textContent = 'Create Route';
+        this.createText.textContent = count > 0
+            ? `Click bus stops in service order. Stops (${count}): ${stops.map((s) => s?.name ?? s?.id).join(' → ')}.`
+            : 'Click bus stops in service order; lanes between them are routed automatically.';
+
+        const controls = document.createElement('div');
+        controls.className = 'map-debugger-create-grid map-debugger-create-grid-road';
+
+        const makeField = (label, input) => {
+            const wrap = document.createElement('div');
+            wrap.className = 'map-debugger-create-field';
+            const lbl = document.createElement('div');
+            lbl.className = 'map-debugger-create-field-label';
+            lbl.textContent = label;
+            wrap.appendChild(lbl);
+            wrap.appendChild(input);
+            controls.appendChild(wrap);
+            return input;
+        };
+
+        const makeInput = (type, value) => {
+            const input = document.createElement('input');
+            input.type = type;
+            input.className = 'map-debugger-create-input';
+            input.value = String(value ?? '');
+            return input;
+        };
+
+        const numberInput = makeField('Line number', makeInput('text', params.number));
+        const nameInput = makeField('Name', makeInput('text', params.name));
+        const colorInput = makeField('Colour', makeInput('color', params.color));
+
+        const busSelect = document.createElement('select');
+        busSelect.className = 'map-debugger-create-input';
+        for (const bus of this._busOptions) {
+            const option = document.createElement('option');
+            option.value = bus.id;
+            option.textContent = bus.name ?? bus.id;
+            busSelect.appendChild(option);
+        }
+        busSelect.value = params.busId;
+        makeField('Bus', busSelect);
+
+        const headwayInput = makeField('Headway (min)', makeInput('number', params.headwayMinutes));
+        headwayInput.min = '1';
+        headwayInput.step = '1';
+
+        const loopInput = document.createElement('input');
+        loopInput.type = 'checkbox';
+        loopInput.checked = !!params.loop;
+        makeField('Loop back to first stop', loopInput);
+
+        this.createControls.appendChild(controls);
+
+        numberInput.addEventListener('change', () => emit({ number: numberInput.value.trim() || params.number }));
+        nameInput.addEventListener('change', () => emit({ name: nameInput.value.trim() }));
+        colorInput.addEventListener('change', () => emit({ color: colorInput.value }));
+        busSelect.addEventListener('change', () => emit({ busId: busSelect.value }));
+        headwayInput.addEventListener('change', () => {
+            const value = Number(headwayInput.value);
+            emit({ headwayMinutes: Number.isFinite(value) ? Math.max(1, Math.round(value)) : params.headwayMinutes });
+        });
+        loopInput.addEventListener('change', () => emit({ loop: loopInput.checked }));
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.type = 'button';
+        cancelBtn.className = 'map-debugger-editor-btn';
+        cancelBtn.textContent = 'Cancel route';
+        this.createActions.appendChild(cancelBtn);
+        cancelBtn.addEventListener('click', () => {
+            if (this._onCancelRouteMode) this._onCancelRouteMode();
+        });
+
+        const undoBtn = document.createElement('button');
+        undoBtn.type = 'button';
+        undoBtn.className = 'map-debugger-editor-btn';
+        undoBtn.textContent = 'Remove last stop';
+        undoBtn.disabled = count <= 0;
+        this.createActions.appendChild(undoBtn);
+        undoBtn.addEventListener('click', () => {
+            if (this._onUndoRouteStop) this._onUndoRouteStop();
+        });
+
+        const doneBtn = document.createElement('button');
+        doneBtn.type = 'button';
+        doneBtn.className = 'map-debugger-editor-btn map-debugger-editor-btn-primary';
+        doneBtn.textContent = 'Done';
+        doneBtn.disabled = count < 2;
+        this.createActions.appendChild(doneBtn);
+        doneBtn.addEventListener('click', () => {
+            if (this._onDoneRouteMode) this._onDoneRouteMode();
+        });
+    }
+
     _openBuildingStylePicker({ title, selectedId, onPick } = {}) {
         const sections = makeBuildingConfigSections(this._buildingConfigs);
         this._pickerContext = { onPick: typeof onPick === 'function' ? onPick : null };
@@ -1056,4 +1385,35 @@ export class MapDebuggerEditorPanel {
         link.remove();
         URL.revokeObjectURL(url);
     }
+
+    _downloadRoutes() {
+        const routes = Array.isArray(this._spec?.routes) ? this._spec.routes : [];
+        const text = JSON.stringify({ version: 1, routes }, null, 2);
+        const blob = new Blob([text], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'bus_routes.json';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    async _importRoutesFromFile() {
+        const file = this.importRoutesInput?.files?.[0] ?? null;
+        if (!file) return;
+        this.importRoutesInput.value = '';
+        let text = '';
+        try {
+            text = await file.text();
+        } catch (err) {
+            this.routesImportStatus.textContent = `Import failed: ${err?.message ?? err}`;
+            return;
+        }
+        const count = this._onImportRoutes ? this._onImportRoutes(text) : null;
+        this.routesImportStatus.textContent = Number.isFinite(count)
+            ? `Imported ${count} route${count === 1 ? '' : 's'} from ${file.name}.`
+            : `${file.name} is not a routes file.`;
+    }
 }
@@ -12,6 +12,11 @@ import { getDefaultResolvedBuildingWindowVisualsSettings } from '../../visuals/b
 import { getDefaultResolvedAsphaltNoiseSettings } from '../../visuals/city/AsphaltNoiseSettings.js';
 import { getDefaultResolvedSunFlareSettings } from '../../visuals/sun/SunFlareSettings.js';
 import { getDefaultResolvedAtmosphereSettings } from '../../visuals/atmosphere/AtmosphereSettings.js';
+import { getDefaultResolvedTrafficSettings } from '../../../app/traffic/TrafficSettings.js';
+import { getDefaultResolvedDriverAssistSettings } from '../../../app/vehicle/DriverAssistSettings.js';
+import { getDefaultResolvedInputDeviceSettings } from '../../../app/input/InputDeviceSettings.js';
+import { getDefaultResolvedInputBindings } from '../../../app/input/InputBindings.js';
+import { getDefaultResolvedAudioSettings } from '../../../app/audio/AudioSettings.js';
 import {
     applyOptionsPresetToDraft,
     createOptionsPresetFromDraft,
@@ -26,6 +31,10 @@ import { renderGrassTab } from './tabs/renderGrassTab.js';
 import { renderGraphicsTab } from './tabs/renderGraphicsTab.js';
 import { renderLightingTab } from './tabs/renderLightingTab.js';
 import { renderSunBloomTab } from './tabs/renderSunBloomTab.js';
+import { renderTrafficTab } from './tabs/renderTrafficTab.js';
+import { renderDrivingTab } from './tabs/renderDrivingTab.js';
+import { renderControlsTab } from './tabs/renderControlsTab.js';
+import { renderAudioTab } from './tabs/renderAudioTab.js';
 
 function downloadTextFile(filename, text) {
     const name = typeof filename === 'string' && filename.trim() ? filename.trim() : 'bus_sim_options_preset.json';
@@ -96,6 +105,11 @@ export class OptionsUI {
         initialPostProcessingActive = null,
         initialColorGradingDebug = null,
         initialVehicleMotionDebug = null,
+        initialTraffic = null,
+        initialDriverAssist = null,
+        initialInputDevice = null,
+        initialInputBindings = null,
+        initialAudio = null,
         markingsCalibration = null,
         getIblDebugInfo = null,
         getPostProcessingDebugInfo = null,
@@ -140,14 +154,14 @@ export class OptionsUI {
         this._visibleTabs = (() => {
             const params = typeof window !== 'undefined' ? new URLSearchParams(window.location.search) : null;
             const wantsDebugTab = params ? (params.get('debug') === 'true' || params.get('debugOptions') === 'true') : false;
-            const base = ['lighting', 'graphics', 'sun_bloom', 'asphalt', 'grass', 'buildings'];
+            const base = ['lighting', 'graphics', 'sun_bloom', 'asphalt', 'grass', 'buildings', 'traffic', 'driving', 'controls', 'audio'];
             if (wantsDebugTab) base.push('debug');
             if (!Array.isArray(visibleTabs)) return base;
             const out = [];
             for (const entry of visibleTabs) {
                 const raw = String(entry ?? '').toLowerCase();
                 const key = raw === 'gameplay' ? 'buildings' : (raw === 'sunbloom' ? 'sun_bloom' : raw);
-                if (key !== 'lighting' && key !== 'graphics' && key !== 'sun_bloom' && key !== 'asphalt' && key !== 'grass' && key !== 'buildings' && key !== 'debug') continue;
+                if (key !== 'lighting' && key !== 'graphics' && key !== 'sun_bloom' && key !== 'asphalt' && key !== 'grass' && key !== 'buildings' && key !== 'traffic' && key !== 'driving' && key !== 'controls' && key !== 'audio' && key !== 'debug') continue;
                 if (out.includes(key)) continue;
                 out.push(key);
             }
@@ -163,6 +177,10 @@ export class OptionsUI {
             asphalt: 'Asphalt',
             grass: 'Grass',
             buildings: 'Buildings',
+            traffic: 'Traffic',
+            driving: 'Driving',
+            controls: 'Controls',
+            audio: 'Audio',
             debug: 'Debug'
         };
 
@@ -209,6 +227,14 @@ export class OptionsUI {
 
         const desiredTab = (initialTab === 'buildings' || initialTab === 'gameplay')
             ? 'buildings'
+            : initialTab === 'traffic'
+            ? 'traffic'
+            : initialTab === 'driving'
+            ? 'driving'
+            : initialTab === 'controls'
+            ? 'controls'
+            : initialTab === 'audio'
+            ? 'audio'
             : (initialTab === 'graphics'
                 ? 'graphics'
                 : (initialTab === 'asphalt'
@@ -253,6 +279,22 @@ export class OptionsUI {
         this._draftVehicleMotionDebug = initialVehicleMotionDebug && typeof initialVehicleMotionDebug === 'object'
             ? JSON.parse(JSON.stringify(initialVehicleMotionDebug))
             : null;
+        this._draftTraffic = initialTraffic && typeof initialTraffic === 'object'
+            ? JSON.parse(JSON.stringify(initialTraffic))
+            : null;
+        this._draftDriverAssist = initialDriverAssist && typeof initialDriverAssist === 'object'
+            ? JSON.parse(JSON.stringify(initialDriverAssist))
+            : null;
+        this._draftInputDevice = initialInputDevice && typeof initialInputDevice === 'object'
+            ? JSON.parse(JSON.stringify(initialInputDevice))
+            : null;
+        this._draftInputBindings = initialInputBindings && typeof initialInputBindings === 'object'
+            ? JSON.parse(JSON.stringify(initialInputBindings))
+            : null;
+        this._draftAudio = initialAudio && typeof initialAudio === 'object'
+            ? JSON.parse(JSON.stringify(initialAudio))
+            : null;
+        this._keyCapture = null;
         this._lightingControls = null;
         this._markingsCalibration = (() => {
             const cfg = markingsCalibration && typeof markingsCalibration === 'object' ? markingsCalibration : null;
@@ -285,6 +327,11 @@ export class OptionsUI {
         if (d.buildingWindowVisuals) this._draftBuildingWindowVisuals = JSON.parse(JSON.stringify(d.buildingWindowVisuals));
         if (d.asphaltNoise) this._draftAsphaltNoise = JSON.parse(JSON.stringify(d.asphaltNoise));
         if (d.vehicleMotionDebug) this._draftVehicleMotionDebug = JSON.parse(JSON.stringify(d.vehicleMotionDebug));
+        if (d.traffic) this._draftTraffic = JSON.parse(JSON.stringify(d.traffic));
+        if (d.driverAssist) this._draftDriverAssist = JSON.parse(JSON.stringify(d.driverAssist));
+        if (d.inputDevice) this._draftInputDevice = JSON.parse(JSON.stringify(d.inputDevice));
+        if (d.inputBindings) this._draftInputBindings = JSON.parse(JSON.stringify(d.inputBindings));
+        if (d.audio) this._draftAudio = JSON.parse(JSON.stringify(d.audio));
     }
 
     async _exportPreset() {
@@ -350,6 +397,7 @@ export class OptionsUI {
     }
 
     unmount() {
+        this._stopKeyCapture();
         this._stopDebugRefresh();
         this.root.remove();
     }
@@ -359,6 +407,14 @@ export class OptionsUI {
             ? 'debug'
             : (key === 'buildings' || key === 'gameplay')
             ? 'buildings'
+            : key === 'traffic'
+            ? 'traffic'
+            : key === 'driving'
+            ? 'driving'
+            : key === 'controls'
+            ? 'controls'
+            : key === 'audio'
+            ? 'audio'
             : (key === 'graphics'
                 ? 'graphics'
                 : (key === 'asphalt'
@@ -373,6 +429,7 @@ export class OptionsUI {
     }
 
     _renderTab() {
+        this._stopKeyCapture();
         this._iblDebugEls = null;
         this._postDebugEls = null;
         this._aaDebugEls = null;
@@ -383,6 +440,10 @@ export class OptionsUI {
         if (this._tab === 'sun_bloom') return this._renderSunBloomTab();
         if (this._tab === 'asphalt') return this._renderAsphaltTab();
         if (this._tab === 'grass') return this._renderGrassTab();
+        if (this._tab === 'traffic') return this._renderTrafficTab();
+        if (this._tab === 'driving') return this._renderDrivingTab();
+        if (this._tab === 'controls') return this._renderControlsTab();
+        if (this._tab === 'audio') return this._renderAudioTab();
         if (this._tab === 'debug') return this._renderDebugTab();
         return this._renderBuildingsTab();
     }
@@ -814,6 +875,48 @@ export class OptionsUI {
         };
     }
 
+    _ensureDraftDriverAssist() {
+        if (this._draftDriverAssist) return;
+        const d = getDefaultResolvedDriverAssistSettings();
+        this._draftDriverAssist = { abs: d.abs, tcs: d.tcs, esc: d.esc };
+    }
+
+    _ensureDraftInputDevice() {
+        if (this._draftInputDevice) return;
+        this._draftInputDevice = JSON.parse(JSON.stringify(getDefaultResolvedInputDeviceSettings()));
+    }
+
+    _ensureDraftInputBindings() {
+        if (this._draftInputBindings) return;
+        this._draftInputBindings = getDefaultResolvedInputBindings();
+    }
+
+    _ensureDraftAudio() {
+        if (this._draftAudio) return;
+        this._draftAudio = { ...getDefaultResolvedAudioSettings() };
+    }
+
+    /**
+     * Whether a key binding button is waiting for a key (the owner should not treat Esc as cancel meanwhile).
+     * @returns {boolean}
+     */
+    isCapturingKey() {
+        return !!this._keyCapture;
+    }
+
+    _stopKeyCapture() {
+        const capture = this._keyCapture;
+        if (!capture) return;
+        this._keyCapture = null;
+        window.removeEventListener('keydown', capture.onKeyDown, { capture: true });
+    }
+
+    _ensureDraftTraffic() {
+        if (this._draftTraffic) return;
+        const d = getDefaultResolvedTrafficSettings();
+        this._draftTraffic = { enabled: d.enabled, density: d.density, signalMode: d.signalMode };
+    }
+
     _ensureDraftLighting() {
         const d = getDefaultResolvedLightingSettings();
         if (!this._draftLighting) {
@@ -1053,6 +1156,22 @@ export class OptionsUI {
         return renderBuildingsTab.call(this);
     }
 
+    _renderTrafficTab() {
+        return renderTrafficTab.call(this);
+    }
+
+    _renderDrivingTab() {
+        return renderDrivingTab.call(this);
+    }
+
+    _renderControlsTab() {
+        return renderControlsTab.call(this);
+    }
+
+    _renderAudioTab() {
+        return renderAudioTab.call(this);
+    }
+
     _renderSunBloomTab() {
         return renderSunBloomTab.call(this);
     }
@@ -1154,6 +1273,16 @@ export class OptionsUI {
             spike: { maxDistMeters: 0.9, maxYawDeg: 25, maxScreenPx: 18 },
             syntheticDt: { enabled: false, pattern: 'off', mode: 'stall', stallMs: 34 }
         };
+
+        const traffic = getDefaultResolvedTrafficSettings();
+        this._draftTraffic = { enabled: traffic.enabled, density: traffic.density, signalMode: traffic.signalMode };
+
+        const driverAssist = getDefaultResolvedDriverAssistSettings();
+        this._draftDriverAssist = { abs: driverAssist.abs, tcs: driverAssist.tcs, esc: driverAssist.esc };
+
+        this._draftInputDevice = JSON.parse(JSON.stringify(getDefaultResolvedInputDeviceSettings()));
+        this._draftInputBindings = getDefaultResolvedInputBindings();
+        this._draftAudio = { ...getDefaultResolvedAudioSettings() };
         this._renderTab();
         this._emitLiveChange();
     }
@@ -1171,6 +1300,11 @@ export class OptionsUI {
         this._ensureDraftColorGrading();
         this._ensureDraftSunFlare();
         this._ensureDraftVehicleMotionDebug();
+        this._ensureDraftTraffic();
+        this._ensureDraftDriverAssist();
+        this._ensureDraftInputDevice();
+        this._ensureDraftInputBindings();
+        this._ensureDraftAudio();
         const d = this._draftLighting;
         const atmo = this._draftAtmosphere;
         const shadows = this._draftShadows;
@@ -1183,6 +1317,11 @@ export class OptionsUI {
         const windowVisuals = this._draftBuildingWindowVisuals;
         const sunFlare = this._draftSunFlare;
         const vehicleMotionDebug = this._draftVehicleMotionDebug;
+        const traffic = this._draftTraffic;
+        const driverAssist = this._draftDriverAssist;
+        const inputDevice = this._draftInputDevice;
+        const inputBindings = this._draftInputBindings;
+        const audio = this._draftAudio;
         return {
             lighting: {
                 exposure: d.exposure,
@@ -1395,6 +1534,23 @@ export class OptionsUI {
                     mode: String(vehicleMotionDebug.syntheticDt?.mode ?? 'stall'),
                     stallMs: vehicleMotionDebug.syntheticDt?.stallMs
                 }
+            },
+            traffic: {
+                enabled: !!traffic.enabled,
+                density: traffic.density,
+                signalMode: traffic.signalMode
+            },
+            driverAssist: {
+                abs: !!driverAssist.abs,
+                tcs: !!driverAssist.tcs,
+                esc: !!driverAssist.esc
+            },
+            inputDevice: JSON.parse(JSON.stringify(inputDevice)),
+            inputBindings: JSON.parse(JSON.stringify(inputBindings)),
+            audio: {
+                enabled: !!audio.enabled,
+                masterVolume: audio.masterVolume,
+                effectsVolume: audio.effectsVolume
             }
         };
     }
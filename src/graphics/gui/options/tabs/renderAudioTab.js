@@ -0,0 +1,56 @@
+import { makeEl, makeNumberSliderRow, makeToggleRow } from '../OptionsUiControls.js';
+
+export function renderAudioTab() {
+    this._ensureDraftAudio();
+
+    const d = this._draftAudio;
+    const emit = () => this._emitLiveChange();
+
+    const section = makeEl('div', 'options-section');
+    section.appendChild(makeEl('div', 'options-section-title', 'Sound'));
+
+    const controls = {
+        enabled: makeToggleRow({
+            label: 'Sound',
+            value: d.enabled,
+            onChange: (v) => { d.enabled = v; emit(); }
+        }),
+        masterVolume: makeNumberSliderRow({
+            label: 'Master volume',
+            value: d.masterVolume ?? 0.8,
+            min: 0,
+            max: 1,
+            step: 0.01,
+            digits: 2,
+            onChange: (v) => { d.masterVolume = v; emit(); }
+        }),
+        effectsVolume: makeNumberSliderRow({
+            label: 'Effects volume',
+            value: d.effectsVolume ?? 1,
+            min: 0,
+            max: 1,
+            step: 0.01,
+            digits: 2,
+            onChange: (v) => { d.effectsVolume = v; emit(); }
+        })
+    };
+
+    section.appendChild(controls.enabled.row);
+    section.appendChild(controls.masterVolume.row);
+    section.appendChild(controls.effectsVolume.row);
+
+    const syncEnabled = (enabled) => {
+        for (const key of ['masterVolume', 'effectsVolume']) {
+            controls[key].range.disabled = !enabled;
+            controls[key].number.disabled = !enabled;
+        }
+    };
+    syncEnabled(!!d.enabled);
+    controls.enabled.toggle.addEventListener('change', () => syncEnabled(!!controls.enabled.toggle.checked));
+
+    const note = makeEl('div', 'options-note');
+    note.textContent = 'Effects: engine, tyres, doors, indicators and horn. City ambience follows the master volume. Gameplay sound is paused while Options is open; changes are heard on return.';
+
+    this.body.appendChild(section);
+    this.body.appendChild(note);
+}
@@ -0,0 +1,132 @@
+import { makeEl } from '../OptionsUiControls.js';
+import {
+    INPUT_ACTIONS,
+    INPUT_ACTION_GROUPS,
+    MAX_KEYS_PER_ACTION,
+    findBindingConflicts,
+    formatKeyCode,
+    getDefaultResolvedInputBindings,
+    getInputAction
+} from '../../../../app/input/InputBindings.js';
+
+const AXIS_LABELS = {
+    'axis:steering': 'Steering axis',
+    'axis:throttle': 'Throttle axis',
+    'axis:brake': 'Brake axis',
+    'axis:clutch': 'Clutch axis'
+};
+
+function actionLabel(id) {
+    return getInputAction(id)?.label ?? AXIS_LABELS[id] ?? id;
+}
+
+function startKeyCapture(action, slot, btn) {
+    this._stopKeyCapture();
+    const b = this._draftInputBindings;
+    btn.classList.add('is-capturing');
+    btn.textContent = 'Press a key…';
+
+    const onKeyDown = (e) => {
+        e.preventDefault();
+        e.stopImmediatePropagation?.();
+        const code = String(e.code ?? '');
+        if (!code) return;
+        this._stopKeyCapture();
+        if (code !== 'Escape') {
+            const keys = [...(b.keys[action] ?? [])];
+            if (code === 'Backspace' || code === 'Delete') keys.splice(slot, 1);
+            else keys[slot] = code;
+            b.keys[action] = keys.filter((k, i) => k && keys.indexOf(k) === i).slice(0, MAX_KEYS_PER_ACTION);
+            this._emitLiveChange();
+        }
+        this._renderTab();
+    };
+    this._keyCapture = { action, slot, onKeyDown };
+    window.addEventListener('keydown', onKeyDown, { capture: true });
+}
+
+export function renderControlsTab() {
+    this._ensureDraftInputBindings();
+    this._ensureDraftInputDevice();
+
+    const b = this._draftInputBindings;
+    const conflicts = findBindingConflicts(b, { axes: this._draftInputDevice?.axes ?? null });
+    const conflictKeys = new Set(conflicts.keys.map((c) => c.code));
+    const conflictButtons = new Set(conflicts.buttons.map((c) => c.button));
+
+    const buttonOptions = [{ id: '', label: '—' }];
+    for (let i = 0; i < 20; i++) buttonOptions.push({ id: String(i), label: `Button ${i}` });
+
+    for (const group of INPUT_ACTION_GROUPS) {
+        const section = makeEl('div', 'options-section');
+        section.appendChild(makeEl('div', 'options-section-title', group.label));
+
+        for (const action of INPUT_ACTIONS) {
+            if (action.group !== group.id) continue;
+            const row = makeEl('div', 'options-row');
+            row.appendChild(makeEl('div', 'options-row-label', action.label));
+            const right = makeEl('div', 'options-row-control options-binding-control');
+
+            const keys = b.keys[action.id] ?? [];
+            for (let slot = 0; slot < MAX_KEYS_PER_ACTION; slot++) {
+                const code = keys[slot] ?? '';
+                const btn = makeEl('button', 'options-btn options-btn-small options-binding-key', code ? formatKeyCode(code) : '—');
+                btn.type = 'button';
+                btn.title = code ? `${code} · click to rebind, then Backspace to clear` : 'Click, then press a key';
+                if (code && conflictKeys.has(code)) btn.classList.add('is-conflict');
+                // The slot after the last key fills the next free one.
+                const target = Math.min(slot, keys.length);
+                btn.addEventListener('click', () => startKeyCapture.call(this, action.id, target, btn));
+                right.appendChild(btn);
+            }
+
+            const select = document.createElement('select');
+            select.className = 'options-select options-binding-button';
+            select.title = 'Gamepad button';
+            for (const opt of buttonOptions) {
+                const optionEl = document.createElement('option');
+                optionEl.value = opt.id;
+                optionEl.textContent = opt.label;
+                select.appendChild(optionEl);
+            }
+            const button = b.buttons[action.id];
+            select.value = Number.isInteger(button) ? String(button) : '';
+            if (Number.isInteger(button) && conflictButtons.has(button)) select.classList.add('is-conflict');
+            select.addEventListener('change', () => {
+                b.buttons[action.id] = select.value === '' ? null : Number(select.value);
+                this._emitLiveChange();
+                this._renderTab();
+            });
+            right.appendChild(select);
+
+            row.appendChild(right);
+            section.appendChild(row);
+        }
+        this.body.appendChild(section);
+    }
+
+    if (conflicts.keys.length || conflicts.buttons.length) {
+        const note = makeEl('div', 'options-note options-binding-conflicts');
+        const lines = [
+            ...conflicts.keys.map((c) => `${formatKeyCode(c.code)}: ${c.actions.map(actionLabel).join(', ')}`),
+            ...conflicts.buttons.map((c) => `Button ${c.button}: ${c.actions.map(actionLabel).join(', ')}`)
+        ];
+        note.textContent = `Conflicts — ${lines.join(' · ')}`;
+        this.body.appendChild(note);
+    }
+
+    const resetRow = makeEl('div', 'options-row options-action-row');
+    const resetBtn = makeEl('button', 'options-btn', 'Reset controls to defaults');
+    resetBtn.type = 'button';
+    resetBtn.addEventListener('click', () => {
+        this._draftInputBindings = getDefaultResolvedInputBindings();
+        this._emitLiveChange();
+        this._renderTab();
+    });
+    resetRow.appendChild(resetBtn);
+    this.body.appendChild(resetRow);
+
+    const note = makeEl('div', 'options-note');
+    note.textContent = 'Click a key slot and press the new key (Esc cancels, Backspace clears). Gamepad buttons use the standard layout. Changes apply live.';
+    this.body.appendChild(note);
+}
@@ -0,0 +1,173 @@
+import { makeEl, makeNumberSliderRow, makeSelectRow, makeToggleRow } from '../OptionsUiControls.js';
+import { listGamepads } from '../../../../app/input/GamepadInput.js';
+import {
+    INPUT_AXIS_CONTROLS,
+    INPUT_DEVICE_AUTO,
+    INPUT_DEVICE_KEYBOARD,
+    getInputDeviceLayoutAxes
+} from '../../../../app/input/InputDeviceSettings.js';
+
+const AXIS_LABELS = {
+    steering: 'Steering',
+    throttle: 'Throttle',
+    brake: 'Brake',
+    clutch: 'Clutch'
+};
+
+function renderDriverAssistSection() {
+    this._ensureDraftDriverAssist();
+
+    const d = this._draftDriverAssist;
+    const emit = () => this._emitLiveChange();
+
+    const section = makeEl('div', 'options-section');
+    section.appendChild(makeEl('div', 'options-section-title', 'Driver Assists'));
+
+    const controls = {
+        abs: makeToggleRow({
+            label: 'Anti-lock brakes (ABS)',
+            value: d.abs,
+            onChange: (v) => { d.abs = v; emit(); }
+        }),
+        tcs: makeToggleRow({
+            label: 'Traction control (TCS)',
+            value: d.tcs,
+            onChange: (v) => { d.tcs = v; emit(); }
+        }),
+        esc: makeToggleRow({
+            label: 'Stability control (ESC)',
+            value: d.esc,
+            onChange: (v) => { d.esc = v; emit(); }
+        })
+    };
+
+    section.appendChild(controls.abs.row);
+    section.appendChild(controls.tcs.row);
+    section.appendChild(controls.esc.row);
+
+    const note = makeEl('div', 'options-note');
+    note.textContent = 'Assist thresholds are tuned per bus. Changes apply live.';
+
+    this.body.appendChild(section);
+    this.body.appendChild(note);
+}
+
+function renderControllerSection() {
+    this._ensureDraftInputDevice();
+
+    const d = this._draftInputDevice;
+    const emit = () => this._emitLiveChange();
+
+    const section = makeEl('div', 'options-section');
+    section.appendChild(makeEl('div', 'options-section-title', 'Controller'));
+
+    const devices = [
+        { id: INPUT_DEVICE_AUTO, label: 'Automatic (first connected)' },
+        { id: INPUT_DEVICE_KEYBOARD, label: 'Keyboard only' }
+    ];
+    for (const pad of listGamepads()) {
+        if (pad.id && !devices.some((o) => o.id === pad.id)) devices.push({ id: pad.id, label: pad.id });
+    }
+    if (!devices.some((o) => o.id === d.deviceId)) devices.push({ id: d.deviceId, label: `${d.deviceId} (not connected)` });
+
+    section.appendChild(makeSelectRow({
+        label: 'Device',
+        value: d.deviceId,
+        options: devices,
+        onChange: (v) => { d.deviceId = v; emit(); }
+    }).row);
+
+    section.appendChild(makeSelectRow({
+        label: 'Layout',
+        value: d.layout,
+        options: [
+            { id: 'gamepad', label: 'Gamepad (stick + triggers)' },
+            { id: 'wheel', label: 'Wheel + pedals' }
+        ],
+        onChange: (v) => {
+            d.layout = v;
+            d.axes = getInputDeviceLayoutAxes(v);
+            emit();
+            this._renderTab();
+        }
+    }).row);
+
+    const sliders = [
+        ['steeringDeadzone', 'Steering deadzone', 0, 0.5, 0.01, 2],
+        ['steeringCurve', 'Steering response curve', 1, 3, 0.05, 2],
+        ['pedalDeadzone', 'Pedal deadzone', 0, 0.5, 0.01, 2],
+        ['pedalCurve', 'Pedal response curve', 1, 3, 0.05, 2]
+    ];
+    for (const [key, label, min, max, step, digits] of sliders) {
+        section.appendChild(makeNumberSliderRow({
+            label,
+            value: d[key],
+            min,
+            max,
+            step,
+            digits,
+            onChange: (v) => { d[key] = v; emit(); }
+        }).row);
+    }
+
+    this.body.appendChild(section);
+
+    const mapping = makeEl('div', 'options-section');
+    mapping.appendChild(makeEl('div', 'options-section-title', 'Axis Mapping'));
+    for (const control of INPUT_AXIS_CONTROLS) {
+        const b = d.axes[control];
+        const label = AXIS_LABELS[control] ?? control;
+        const source = makeSelectRow({
+            label,
+            value: b.source,
+            options: [
+                { id: 'none', label: 'Not mapped' },
+                { id: 'axis', label: 'Axis' },
+                { id: 'button', label: 'Analog button' }
+            ],
+            onChange: (v) => { b.source = v; emit(); syncMapped(); }
+        });
+        const index = makeNumberSliderRow({
+            label: `${label} index`,
+            value: b.index,
+            min: 0,
+            max: 31,
+            step: 1,
+            digits: 0,
+            onChange: (v) => { b.index = Math.round(v); emit(); }
+        });
+        const invert = makeToggleRow({
+            label: `${label} inverted`,
+            value: b.invert,
+            onChange: (v) => { b.invert = v; emit(); }
+        });
+        const fullRange = control === 'steering' ? null : makeToggleRow({
+            label: `${label} uses full axis range`,
+            value: b.fullRange,
+            onChange: (v) => { b.fullRange = v; emit(); }
+        });
+        const syncMapped = () => {
+            const mapped = b.source !== 'none';
+            index.range.disabled = !mapped;
+            index.number.disabled = !mapped;
+            invert.toggle.disabled = !mapped;
+            if (fullRange) fullRange.toggle.disabled = !mapped;
+        };
+        syncMapped();
+
+        mapping.appendChild(source.row);
+        mapping.appendChild(index.row);
+        mapping.appendChild(invert.row);
+        if (fullRange) mapping.appendChild(fullRange.row);
+    }
+    this.body.appendChild(mapping);
+
+    const note = makeEl('div', 'options-note');
+    note.textContent = 'Pedal sets usually rest at one end of their axis: use inverted + full range. Held keys override the controller. Changes apply live.';
+    this.body.appendChild(note);
+}
+
+export function renderDrivingTab() {
+    renderDriverAssistSection.call(this);
+    renderControllerSection.call(this);
+}
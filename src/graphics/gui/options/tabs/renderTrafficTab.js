@@ -0,0 +1,54 @@
+import { makeEl, makeNumberSliderRow, makeSelectRow, makeToggleRow } from '../OptionsUiControls.js';
+
+export function renderTrafficTab() {
+    this._ensureDraftTraffic();
+
+    const d = this._draftTraffic;
+    const emit = () => this._emitLiveChange();
+
+    const section = makeEl('div', 'options-section');
+    section.appendChild(makeEl('div', 'options-section-title', 'AI Traffic'));
+
+    const controls = {
+        enabled: makeToggleRow({
+            label: 'Ambient traffic',
+            value: d.enabled,
+            onChange: (v) => { d.enabled = v; emit(); }
+        }),
+        density: makeNumberSliderRow({
+            label: 'Traffic density',
+            value: d.density ?? 1,
+            min: 0,
+            max: 3,
+            step: 0.05,
+            digits: 2,
+            onChange: (v) => { d.density = v; emit(); }
+        }),
+        signalMode: makeSelectRow({
+            label: 'Traffic lights',
+            value: String(d.signalMode ?? 'fixed'),
+            options: [
+                { id: 'fixed', label: 'Fixed-time cycle' },
+                { id: 'actuated', label: 'Actuated (vehicle detection)' }
+            ],
+            onChange: (v) => { d.signalMode = v; emit(); }
+        })
+    };
+
+    section.appendChild(controls.enabled.row);
+    section.appendChild(controls.density.row);
+    section.appendChild(controls.signalMode.row);
+
+    const syncEnabled = (enabled) => {
+        controls.density.range.disabled = !enabled;
+        controls.density.number.disabled = !enabled;
+    };
+    syncEnabled(!!d.enabled);
+    controls.enabled.toggle.addEventListener('change', () => syncEnabled(!!controls.enabled.toggle.checked));
+
+    const note = makeEl('div', 'options-note');
+    note.textContent = 'Density scales cars per lane-kilometre. Changes apply live; turning traffic on after it was off takes effect on the next drive.';
+
+    this.body.appendChild(section);
+    this.body.appendChild(note);
+}
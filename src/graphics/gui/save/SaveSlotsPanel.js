@@ -0,0 +1,71 @@
+// src/graphics/gui/save/SaveSlotsPanel.js
+// Save / load slot list shared by gameplay (save) and the welcome screen (load).
+import { formatClockSeconds } from '../../../app/city/BusRoutes.js';
+import { AUTOSAVE_SLOT_ID } from '../../../app/save/SaveSlots.js';
+
+function makeEl(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text !== undefined) el.textContent = text;
+    return el;
+}
+
+function describeSave(save) {
+    if (!save) return 'Empty';
+    const when = Number.isFinite(save.savedAt) && save.savedAt > 0 ? new Date(save.savedAt).toLocaleString() : '';
+    const mode = save.career ? `Career ${save.career.routeId}` : 'Free roam';
+    return `${save.label || save.busId} · ${mode} · ${formatClockSeconds(save.timeOfDaySec)}${when ? ` · saved ${when}` : ''}`;
+}
+
+export class SaveSlotsPanel {
+    /**
+     * @param {object} params
+     * @param {'save'|'load'} params.mode - Save hides the autosave slot; load disables empty slots.
+     * @param {{slotId:string, save:object|null}[]} params.slots - listSaveSlots() output.
+     * @param {(slotId: string) => void} [params.onPick]
+     * @param {() => void} [params.onCancel]
+     */
+    constructor({ mode = 'load', slots = [], onPick = null, onCancel = null } = /** @type {any} */ ({})) {
+        this.mode = mode === 'save' ? 'save' : 'load';
+        this._onPick = typeof onPick === 'function' ? onPick : null;
+
+        this.root = makeEl('div', 'ui-layer save-layer');
+        const panel = makeEl('div', 'save-panel');
+        panel.appendChild(makeEl('div', 'save-title', this.mode === 'save' ? 'Save game' : 'Load game'));
+
+        const list = makeEl('div', 'save-slot-list');
+        const shown = this.mode === 'save' ? slots.filter((s) => s.slotId !== AUTOSAVE_SLOT_ID) : slots;
+        for (const { slotId, save } of shown) {
+            const row = makeEl('button', `save-slot${save ? '' : ' is-empty'}`);
+            row.type = 'button';
+            row.disabled = this.mode === 'load' && !save;
+            row.appendChild(makeEl('span', 'save-slot-id', slotId === AUTOSAVE_SLOT_ID ? 'Auto' : slotId));
+            row.appendChild(makeEl('span', 'save-slot-text', describeSave(save)));
+            row.addEventListener('click', () => this.pick(slotId));
+            list.appendChild(row);
+        }
+        panel.appendChild(list);
+
+        const actions = makeEl('div', 'save-actions');
+        const cancel = makeEl('button', 'save-btn', 'Cancel');
+        cancel.type = 'button';
+        cancel.addEventListener('click', () => onCancel?.());
+        actions.appendChild(cancel);
+        panel.appendChild(actions);
+        panel.appendChild(makeEl('div', 'save-hint', this.mode === 'save' ? '1-3 save to slot · Esc cancel' : 'Click a slot · Esc cancel'));
+
+        this.root.appendChild(panel);
+    }
+
+    attach(parent = document.body) {
+        parent.appendChild(this.root);
+    }
+
+    destroy() {
+        this.root.remove();
+    }
+
+    pick(slotId) {
+        this._onPick?.(slotId);
+    }
+}
@@ -0,0 +1,115 @@
+// src/graphics/visuals/city/BusStopProps.js
+// Renders bus stop props (shelter, sign pole, curb lane marking) from placement data.
+import * as THREE from 'three';
+import { BUS_STOP_DEFAULTS } from '../../../app/city/BusStopPlacement.js';
+
+const MARKING_LINE_WIDTH = 0.2;
+const MARKING_LIFT = 0.012;
+
+function createMaterials() {
+    return {
+        frame: new THREE.MeshStandardMaterial({ color: 0x4a5560, metalness: 0.6, roughness: 0.45 }),
+        roof: new THREE.MeshStandardMaterial({ color: 0x2f3a44, metalness: 0.3, roughness: 0.6 }),
+        glass: new THREE.MeshStandardMaterial({ color: 0xbfd9e6, metalness: 0.0, roughness: 0.1, transparent: true, opacity: 0.35 }),
+        bench: new THREE.MeshStandardMaterial({ color: 0x7a5a3a, metalness: 0.0, roughness: 0.8 }),
+        sign: new THREE.MeshStandardMaterial({ color: 0x1f6fd1, metalness: 0.1, roughness: 0.5 }),
+        marking: new THREE.MeshStandardMaterial({ color: 0xf2c230, metalness: 0.0, roughness: 0.7 })
+    };
+}
+
+function addBox(parent, material, { w, h, d, x = 0, y = 0, z = 0, name = null }) {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(w, h, d), material);
+    mesh.position.set(x, y, z);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    if (name) mesh.name = name;
+    parent.add(mesh);
+    return mesh;
+}
+
+function createShelter(mats) {
+    const shelter = new THREE.Group();
+    shelter.name = 'BusStopShelter';
+    const length = BUS_STOP_DEFAULTS.shelterLength;
+    const depth = BUS_STOP_DEFAULTS.shelterDepth;
+    const height = 2.5;
+    const post = 0.08;
+
+    for (const sx of [-1, 1]) {
+        for (const sz of [-1, 1]) {
+            addBox(shelter, mats.frame, { w: post, h: height, d: post, x: sx * (length * 0.5 - post), y: height * 0.5, z: sz * (depth * 0.5 - post) });
+        }
+    }
+    addBox(shelter, mats.roof, { w: length + 0.3, h: 0.08, d: depth + 0.3, y: height + 0.04, name: 'Roof' });
+    addBox(shelter, mats.glass, { w: length - post * 2, h: height - 0.3, d: 0.02, y: height * 0.5 + 0.1, z: -depth * 0.5 + post, name: 'BackPanel' });
+    addBox(shelter, mats.glass, { w: 0.02, h: height - 0.3, d: depth - post * 2, x: -length * 0.5 + post, y: height * 0.5 + 0.1, name: 'SidePanel' });
+    addBox(shelter, mats.bench, { w: length * 0.6, h: 0.06, d: 0.4, y: 0.45, z: -depth * 0.5 + 0.35, name: 'Bench' });
+    return shelter;
+}
+
+function createPole(mats) {
+    const pole = new THREE.Group();
+    pole.name = 'BusStopPole';
+    const height = 2.8;
+    const rod = new THREE.Mesh(new THREE.CylinderGeometry(0.04, 0.04, height, 8), mats.frame);
+    rod.position.y = height * 0.5;
+    rod.castShadow = true;
+    pole.add(rod);
+    addBox(pole, mats.sign, { w: 0.5, h: 0.5, d: 0.03, y: height - 0.2, name: 'Sign' });
+    return pole;
+}
+
+function createMarking(mats, { length, width }) {
+    const marking = new THREE.Group();
+    marking.name = 'BusStopMarking';
+    const lineGeoLong = new THREE.PlaneGeometry(length, MARKING_LINE_WIDTH);
+    const lineGeoShort = new THREE.PlaneGeometry(MARKING_LINE_WIDTH, width);
+    const addLine = (geo, x, z) => {
+        const mesh = new THREE.Mesh(geo, mats.marking);
+        mesh.rotation.x = -Math.PI / 2;
+        mesh.position.set(x, MARKING_LIFT, z);
+        mesh.receiveShadow = true;
+        marking.add(mesh);
+    };
+    addLine(lineGeoLong, 0, -width * 0.5 + MARKING_LINE_WIDTH * 0.5);
+    addLine(lineGeoShort, -length * 0.5, 0);
+    addLine(lineGeoShort, length * 0.5, 0);
+    return marking;
+}
+
+export function createBusStopProps({ placements = [] } = {}) {
+    const group = new THREE.Group();
+    group.name = 'BusStops';
+    const mats = createMaterials();
+
+    const list = Array.isArray(placements) ? placements : [];
+    for (const placement of list) {
+        const instance = new THREE.Group();
+        instance.name = `BusStop:${placement?.id ?? 'stop'}`;
+        instance.userData.busStop = { id: placement?.id ?? null, name: placement?.name ?? null };
+
+        const yaw = Number.isFinite(placement?.rotationY) ? placement.rotationY : 0;
+
+        const shelter = createShelter(mats);
+        const sp = placement?.shelterPosition ?? null;
+        if (sp) shelter.position.set(sp.x, sp.y, sp.z);
+        shelter.rotation.y = yaw;
+        instance.add(shelter);
+
+        const pole = createPole(mats);
+        const pp = placement?.polePosition ?? null;
+        if (pp) pole.position.set(pp.x, pp.y, pp.z);
+        pole.rotation.y = yaw;
+        instance.add(pole);
+
+        const marking = createMarking(mats, placement?.markingSize ?? { length: BUS_STOP_DEFAULTS.zoneLength, width: 3 });
+        const mp = placement?.markingPosition ?? null;
+        if (mp) marking.position.set(mp.x, mp.y, mp.z);
+        marking.rotation.y = yaw;
+        instance.add(marking);
+
+        group.add(instance);
+    }
+
+    return { group, placements: list };
+}
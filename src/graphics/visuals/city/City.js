@@ -6,6 +6,9 @@ import { createCityConfig } from '../../../app/city/CityConfig.js';
 import { CityMap } from '../../../app/city/CityMap.js';
 import { CityRNG } from '../../../app/city/CityRNG.js';
 import { computeTrafficControlPlacements } from '../../../app/city/TrafficControlPlacement.js';
+import { computeBusStopPlacements } from '../../../app/city/BusStopPlacement.js';
+import { computeDepotPlacement } from '../../../app/city/DepotPlacement.js';
+import { createCityTerrainEngine } from '../../../app/city/CityTerrain.js';
 import { createCityWorld } from '../../assets3d/generators/TerrainGenerator.js';
 import { createGeneratorConfig } from '../../assets3d/generators/GeneratorParams.js';
 import { applyAtmosphereToSkyDome, createGradientSkyDome, shouldShowSkyDome } from '../../assets3d/generators/SkyGenerator.js';
@@ -23,6 +26,8 @@ import { getResolvedSunBloomSettings } from '../postprocessing/SunBloomSettings.
 import { SunRaysRig } from '../sun/SunRaysRig.js';
 import { createRoadEngineRoads } from './RoadEngineRoads.js';
 import { createTrafficControlProps } from './TrafficControlProps.js';
+import { createBusStopProps } from './BusStopProps.js';
+import { createDepotProps } from './DepotProps.js';
 
 const MATERIAL_SHADOW_SIDE_ORIGINAL = new WeakMap();
 
@@ -153,6 +158,9 @@ export class City {
         this.roads = createRoadEngineRoads({ map: this.map, config: this.generatorConfig, materials: this.materials });
         this.group.add(this.roads.group);
 
+        // Biome sampler for off-road tyre grip (physics reads `terrainEngine` from the environment).
+        this.terrainEngine = createCityTerrainEngine({ seed: String(this.genConfig.seed), size });
+
         this.trafficControls = null;
         const trafficControlPlacements = computeTrafficControlPlacements({
             map: this.map,
@@ -163,6 +171,26 @@ export class City {
             this.group.add(this.trafficControls.group);
         }
 
+        this.busStops = null;
+        const busStopPlacements = computeBusStopPlacements({
+            map: this.map,
+            generatorConfig: this.generatorConfig
+        });
+        if (busStopPlacements.length) {
+            this.busStops = createBusStopProps({ placements: busStopPlacements });
+            this.group.add(this.busStops.group);
+        }
+
+        this.depot = null;
+        const depotPlacement = computeDepotPlacement({
+            map: this.map,
+            generatorConfig: this.generatorConfig
+        });
+        if (depotPlacement) {
+            this.depot = createDepotProps({ placement: depotPlacement });
+            this.group.add(this.depot.group);
+        }
+
         this.buildings = null;
         const buildingsList = Array.isArray(this.map.buildings) ? this.map.buildings : [];
         if (buildingsList.length) {
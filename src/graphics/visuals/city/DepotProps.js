@@ -0,0 +1,80 @@
+// src/graphics/visuals/city/DepotProps.js
+// Renders the depot bay (lane marking + fuel pump / charger post) from its placement data.
+import * as THREE from 'three';
+import { DEPOT_DEFAULTS } from '../../../app/city/DepotPlacement.js';
+
+const MARKING_LINE_WIDTH = 0.25;
+const MARKING_LIFT = 0.012;
+
+function createMaterials() {
+    return {
+        body: new THREE.MeshStandardMaterial({ color: 0x2e7d32, metalness: 0.3, roughness: 0.5 }),
+        panel: new THREE.MeshStandardMaterial({ color: 0xe8eef2, metalness: 0.1, roughness: 0.4 }),
+        cable: new THREE.MeshStandardMaterial({ color: 0x1b1f23, metalness: 0.0, roughness: 0.8 }),
+        marking: new THREE.MeshStandardMaterial({ color: 0x43a047, metalness: 0.0, roughness: 0.7 })
+    };
+}
+
+function addBox(parent, material, { w, h, d, x = 0, y = 0, z = 0, name = null }) {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(w, h, d), material);
+    mesh.position.set(x, y, z);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    if (name) mesh.name = name;
+    parent.add(mesh);
+    return mesh;
+}
+
+function createPost(mats) {
+    const post = new THREE.Group();
+    post.name = 'DepotPost';
+    const height = 2.1;
+    addBox(post, mats.body, { w: 0.8, h: height, d: 0.5, y: height * 0.5, name: 'Cabinet' });
+    addBox(post, mats.panel, { w: 0.6, h: 0.5, d: 0.02, y: height - 0.5, z: 0.26, name: 'Display' });
+    addBox(post, mats.cable, { w: 0.12, h: 0.9, d: 0.12, x: 0.46, y: 1.0, z: 0.1, name: 'Nozzle' });
+    addBox(post, mats.body, { w: 1.2, h: 0.12, d: 0.8, y: height + 0.06, name: 'Cap' });
+    return post;
+}
+
+function createMarking(mats, { length, width }) {
+    const marking = new THREE.Group();
+    marking.name = 'DepotMarking';
+    const lineGeoLong = new THREE.PlaneGeometry(length, MARKING_LINE_WIDTH);
+    const lineGeoShort = new THREE.PlaneGeometry(MARKING_LINE_WIDTH, width);
+    const addLine = (geo, x, z) => {
+        const mesh = new THREE.Mesh(geo, mats.marking);
+        mesh.rotation.x = -Math.PI / 2;
+        mesh.position.set(x, MARKING_LIFT, z);
+        mesh.receiveShadow = true;
+        marking.add(mesh);
+    };
+    addLine(lineGeoLong, 0, -width * 0.5 + MARKING_LINE_WIDTH * 0.5);
+    addLine(lineGeoLong, 0, width * 0.5 - MARKING_LINE_WIDTH * 0.5);
+    addLine(lineGeoShort, -length * 0.5, 0);
+    addLine(lineGeoShort, length * 0.5, 0);
+    return marking;
+}
+
+export function createDepotProps({ placement = null } = {}) {
+    const group = new THREE.Group();
+    group.name = 'Depot';
+    if (!placement) return { group, placement: null };
+    const mats = createMaterials();
+    group.userData.depot = { id: placement.id ?? null, name: placement.name ?? null };
+
+    const yaw = Number.isFinite(placement.rotationY) ? placement.rotationY : 0;
+
+    const post = createPost(mats);
+    const pp = placement.postPosition ?? null;
+    if (pp) post.position.set(pp.x, pp.y, pp.z);
+    post.rotation.y = yaw;
+    group.add(post);
+
+    const marking = createMarking(mats, placement.markingSize ?? { length: DEPOT_DEFAULTS.zoneLength, width: 3 });
+    const mp = placement.markingPosition ?? null;
+    if (mp) marking.position.set(mp.x, mp.y, mp.z);
+    marking.rotation.y = yaw;
+    group.add(marking);
+
+    return { group, placement };
+}
@@ -1140,6 +1140,15 @@ export function createRoadEngineRoads({
 
     const curbConnectors = includeDebug ? buildCurbConnectorsFromDerived(derived) : [];
 
+    // Plain road surface data for physics (tyre friction classification).
+    const surfaces = {
+        asphaltPolygons: asphaltPolys.map((p) => (Array.isArray(p?.points) ? p.points : [])),
+        markings,
+        markingWidth: Math.max(0.02, clampNumber(roadCfg?.markings?.lineWidth, laneWidth * 0.07)),
+        curbThickness,
+        sidewalkWidth
+    };
+
     return {
         group,
         asphalt: asphaltMesh,
@@ -1150,6 +1159,7 @@ export function createRoadEngineRoads({
         markingsWhite: markingsGroup.getObjectByName('MarkingsWhite') ?? null,
         markingsYellow: markingsGroup.getObjectByName('MarkingsYellow') ?? null,
         curbConnectors,
+        surfaces,
         debug
     };
 }
@@ -8,7 +8,8 @@ export function createTrafficControlProps({ placements = [], useSolidMaterials =
     group.name = 'TrafficControls';
 
     const list = Array.isArray(placements) ? placements : [];
-    for (const placement of list) {
+    const signalTargets = new Map();
+    for (const [index, placement] of list.entries()) {
         const kind = placement?.kind ?? null;
         const entry = createTrafficControlVisualAsset(kind, { useSolidMaterials });
         const asset = entry?.asset ?? null;
@@ -31,8 +32,10 @@ export function createTrafficControlProps({ placements = [], useSolidMaterials =
         const scale = placement?.scale;
         if (Number.isFinite(scale) && scale > 0) instance.scale.setScalar(scale);
 
+        const junctionId = placement?.junctionId ?? placement?.nodeId ?? null;
         instance.userData.trafficControl = {
             kind,
+            junctionId,
             tile: placement?.tile ?? null,
             corner: placement?.corner ?? null,
             approach: placement?.approach ?? null
@@ -40,7 +43,21 @@ export function createTrafficControlProps({ placements = [], useSolidMaterials =
 
         instance.add(mesh);
         group.add(instance);
+
+        if (typeof entry?.spec?.setSignal === 'function' && junctionId !== null) {
+            const key = `${junctionId}|${placement?.approach ?? placement?.corner ?? index}`;
+            if (!signalTargets.has(key)) signalTargets.set(key, []);
+            signalTargets.get(key).push({ spec: entry.spec, asset });
+        }
     }
 
-    return { group, placements: list };
+    // Keys match TrafficSignalController approach ids (`approach`, else `corner`, else placement index).
+    const setSignal = (junctionId, approachId, signal) => {
+        const targets = signalTargets.get(`${junctionId}|${approachId}`) ?? null;
+        if (!targets) return false;
+        for (const { spec, asset } of targets) spec.setSignal(asset, signal);
+        return true;
+    };
+
+    return { group, placements: list, setSignal };
 }
@@ -52,6 +52,9 @@ const TRAFFIC_CONTROL_VISUALS = Object.freeze({
         applyPlacement(asset, placement) {
             if (Number.isFinite(placement?.armLength)) setTrafficLightArmLength(asset, placement.armLength);
             setTrafficLightActive(asset, 'red');
+        },
+        setSignal(asset, signal) {
+            setTrafficLightActive(asset, signal);
         }
     }),
     stop_sign: Object.freeze({
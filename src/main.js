@@ -17,6 +17,8 @@ import { MaterialCalibrationState } from './states/MaterialCalibrationState.js';
 import { RoadDebuggerState } from './states/RoadDebuggerState.js';
 import { MeshFabricationState } from './states/MeshFabricationState.js';
 import { OptionsState } from './states/OptionsState.js';
+import { RouteSelectState } from './states/RouteSelectState.js';
+import { ShiftReportState } from './states/ShiftReportState.js';
 import {
     prehideWelcomeForDirectLaunch,
     readLaunchScreenFromLocation,
@@ -51,6 +53,8 @@ sm.register('bus_select', new BusSelectState(engine, sm));
 sm.register('test_mode', new TestModeState(engine, sm));
 sm.register('map_debugger', new MapDebuggerState(engine, sm));
 sm.register('game_mode', new GameplayState(engine, sm));
+sm.register('route_select', new RouteSelectState(engine, sm));
+sm.register('shift_report', new ShiftReportState(engine, sm));
 sm.register('connector_debugger', new ConnectorDebuggerState(engine, sm));
 sm.register('rapier_debugger', new RapierDebuggerState(engine, sm));
 sm.register('building_fabrication', new BuildingFabricationState(engine, sm));
@@ -6,7 +6,7 @@
  * Uses:
  * - GameLoop for coordinated updates
  * - VehicleController for vehicle control
- * - InputManager for keyboard input
+ * - InputManager for keyboard input (game actions such as pause and setup resolve through InputBindings here)
  * - PhysicsController via SimulationContext
  */
 import * as THREE from 'three';
@@ -16,11 +16,39 @@ import { createBigCity2Spec } from '../app/city/specs/BigCity2Spec.js';
 import { fadeIn } from '../graphics/gui/shared/utils/screenFade.js';
 import { GameHUD } from '../graphics/gui/gameplay/GameHUD.js';
 import { GameplayCameraTour } from '../graphics/gui/gameplay/GameplayCameraTour.js';
+import { TouchControls } from '../graphics/gui/gameplay/TouchControls.js';
 import { GameLoop } from '../app/core/GameLoop.js';
 import { VehicleController } from '../app/vehicle/VehicleController.js';
 import { InputManager } from '../app/input/InputManager.js';
 import { createVehicleFromBus } from '../app/vehicle/createVehicle.js';
+import { BusStopService } from '../app/transit/BusStopService.js';
+import { PassengerSystem } from '../app/transit/PassengerSystem.js';
+import { getBusCapacity, getBusSpec } from '../app/vehicle/buses/BusCatalog.js';
+import { createBus } from '../graphics/assets3d/factories/BusFactory.js';
+import { GameClock } from '../app/core/GameClock.js';
+import { createSaveGame } from '../app/save/SaveGame.js';
+import { AUTOSAVE_SLOT_ID, MANUAL_SAVE_SLOT_IDS, getDefaultSaveStorage, listSaveSlots, writeSaveSlot } from '../app/save/SaveSlots.js';
+import { createLaneGraph } from '../app/city/roads/LaneGraph.js';
+import { resolveBusRoute } from '../app/city/BusRoutes.js';
+import { CareerShift, createCareerTrip, findLaneSpeedLimitKph } from '../app/career/CareerShift.js';
+import { computeRoadTrafficControlPlacementsFromRoadEngineDerived } from '../app/road_decoration/traffic_controls/RoadTrafficControlPlacement.js';
+import { TrafficSystem } from '../app/traffic/TrafficSystem.js';
+import { TrafficSignalController } from '../app/traffic/TrafficSignalController.js';
+import { getResolvedTrafficSettings } from '../app/traffic/TrafficSettings.js';
+import { getResolvedDriverAssistSettings } from '../app/vehicle/DriverAssistSettings.js';
+import { getResolvedInputDeviceSettings } from '../app/input/InputDeviceSettings.js';
+import { createActionLookup, formatActionKeys, getResolvedInputBindings } from '../app/input/InputBindings.js';
+import { getResolvedTouchControlsEnabled } from '../app/input/TouchInput.js';
+import { EnergySystem } from '../app/vehicle/EnergySystem.js';
+import { DamageSystem } from '../app/vehicle/DamageSystem.js';
+import { BusAudio } from '../app/audio/BusAudio.js';
+import { createCityAmbienceEmitters } from '../app/audio/AudioMix.js';
+import { getResolvedAudioSettings } from '../app/audio/AudioSettings.js';
+import { normalizePowertrainType } from '../app/physics/simulations/ElectricPowertrainSim.js';
+import { TRAFFIC_CAR_COLORS, createTrafficCar } from '../graphics/assets3d/models/cars/TrafficCar.js';
 import { GameplayDebugPanel } from '../graphics/gui/gameplay/GameplayDebugPanel.js';
+import { CareerStatusWidget } from '../graphics/gui/career/CareerStatusWidget.js';
+import { SaveSlotsPanel } from '../graphics/gui/save/SaveSlotsPanel.js';
 import { VehicleMotionDebugOverlay } from '../graphics/gui/debug/VehicleMotionDebugOverlay.js';
 import { Q_MENU_GROUP } from './SceneShortcutRegistry.js';
 import { SetupUIController } from '../graphics/gui/setup/SetupUIController.js';
@@ -38,9 +66,13 @@ const CAMERA_TUNE = {
     minHeight: 3.2,
     lookYMul: 0.32,
     minLookY: 1.1,
-    followSharpness: 7.0
+    followSharpness: 7.0,
+    // Articulated buses: share of the joint angle the chase direction turns towards the trailer.
+    articulationFollow: 0.5
 };
 
+const CHASE_UP = new THREE.Vector3(0, 1, 0);
+
 const CAMERA_DRAG = {
     rotateSpeed: 0.0045,
     tiltSpeed: 0.0035,
@@ -56,6 +88,12 @@ const CAMERA_DRAG = {
 
 function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
 
+function formatKeysHint(bindings) {
+    const key = (action) => formatActionKeys(bindings, action).split('/')[0] || '?';
+    return `Keys: ${key('steer_left')}/${key('steer_right')} steer, ${key('throttle')} throttle, ${key('brake')} brake, `
+        + `${key('clutch')} clutch, ${key('shift_up')}/${key('shift_down')} shift, ${key('open_setup')} setup`;
+}
+
 function normalizeCityParam(value) {
     if (typeof value !== 'string') return '';
     return value.trim().toLowerCase().replaceAll('_', '').replaceAll('-', '');
@@ -80,9 +118,9 @@ function isValidGameplayCitySpec(spec) {
     return true;
 }
 
-export function getGameplayCityOptions() {
-    const requestedCityId = resolveCityIdFromUrl();
-    const cityId = requestedCityId === 'bigcity' ? 'bigcity' : 'bigcity2';
+export function getGameplayCityOptions({ cityId: cityOverride = null } = {}) {
+    const requestedCityId = cityOverride ?? resolveCityIdFromUrl();
+    let cityId = requestedCityId === 'bigcity' ? 'bigcity' : 'bigcity2';
 
     let mapSpec = null;
     try {
@@ -93,6 +131,7 @@ export function getGameplayCityOptions() {
     } catch (err) {
         console.warn(`[GameplayState] Failed to load '${cityId}', falling back to 'bigcity'.`, err);
         mapSpec = createBigCitySpec();
+        cityId = 'bigcity';
     }
 
     const mapTileSize = Number.isFinite(mapSpec?.tileSize) ? mapSpec.tileSize : 24;
@@ -104,6 +143,7 @@ export function getGameplayCityOptions() {
         tileMeters: 2,
         mapTileSize,
         seed,
+        cityId,
         mapSpec,
         generatorConfig: { render: { roadMode: 'normal' } }
     };
@@ -158,6 +198,7 @@ export class GameplayState {
         this.gameLoop = null;
         this.inputManager = null;
         this.vehicleController = null;
+        this._audio = null;
 
         // Vehicle (from factory)
         this.vehicle = null;
@@ -205,6 +246,7 @@ export class GameplayState {
 
         this._debugPanel = null;
         this._debugEnabled = false;
+        this._touchControls = null;
         this._vehicleMotionDebugOverlay = null;
 
         this._iblProbe = null;
@@ -238,9 +280,23 @@ export class GameplayState {
 
         this._pausedByOverlay = false;
         this._pauseKeepsCameraInput = false;
+
+        this._laneGraph = null;
+        this._careerStatus = null;
+        this._shiftReport = null;
+
+        this._cityId = null;
+        this._save = null;
+        this._saveVehicleSnapshot = null;
+        this._savePanel = null;
+        this._savePanelPaused = false;
     }
 
-    enter() {
+    /**
+     * @param {object} [params]
+     * @param {object|null} [params.save] - Parsed save game to resume (see src/app/save/SaveGame.js).
+     */
+    enter({ save = null } = {}) {
         // Hide UI overlays and splash background
         document.body.classList.remove('splash-bg');
         document.getElementById('ui-welcome')?.classList.add('hidden');
@@ -251,6 +307,10 @@ export class GameplayState {
         this.engine.clearScene();
         this.engine.context.city = null;
 
+        // Resuming a save replaces the garage pick and career selection
+        this._save = save;
+        if (save) this._applySaveContext(save);
+
         // Get simulation context
         const sim = this.engine.simulation;
 
@@ -258,20 +318,44 @@ export class GameplayState {
         this.gameLoop = new GameLoop(sim, { engine: this.engine });
 
         // Create input manager
-        this.inputManager = new InputManager(sim.events);
+        const inputBindings = getResolvedInputBindings();
+        this._actionLookup = createActionLookup(inputBindings);
+        this.inputManager = new InputManager(sim.events, {
+            inputDevice: getResolvedInputDeviceSettings(),
+            inputBindings
+        });
         this.inputManager.attach();
         this.gameLoop.setInputManager(this.inputManager);
 
         // Setup city
-        this.city = getSharedCity(this.engine, getGameplayCityOptions());
+        const cityOptions = getGameplayCityOptions({ cityId: save?.cityId ?? null });
+        this._cityId = cityOptions.cityId;
+        this.city = getSharedCity(this.engine, cityOptions);
         this.city.attach(this.engine);
         this.gameLoop.setWorld(this.city);
 
         // Setup HUD
         this.hud = new GameHUD({ mode: 'bus' });
+        this.hud.setKeysHint(formatKeysHint(inputBindings));
         this.hud.show();
         this.gameLoop.setUI(this.hud);
 
+        // Touch wheel / pedals / buttons on tablets; they feed the InputManager like any other device
+        if (getResolvedTouchControlsEnabled()) {
+            this._touchControls = new TouchControls({
+                hud: this.hud,
+                onAnalog: (values) => {
+                    this._audio?.resume();
+                    this.inputManager?.setTouchControls(values);
+                },
+                onAction: (action, isDown) => {
+                    this._audio?.resume();
+                    this.inputManager?.setAction(action, isDown);
+                }
+            });
+            this._touchControls.attach();
+        }
+
         this._vehicleMotionDebugOverlay = new VehicleMotionDebugOverlay();
         this._vehicleMotionDebugOverlay.attach(document.body);
 
@@ -310,10 +394,13 @@ export class GameplayState {
         // Store resolved model back to context
         this.engine.context.selectedBus = this.busModel;
 
-        // Position anchor on road
+        // Position anchor on road (saves resume where they left off, career shifts start at the line's first stop)
         const roadY = this.city?.generatorConfig?.ground?.surfaceY ?? this.city?.generatorConfig?.road?.surfaceY ?? 0;
-        this.busAnchor.position.set(0, roadY, 0);
-        this.busAnchor.rotation.set(0, 0, 0);
+        const startPose = save
+            ? { x: save.vehicle.position.x, z: save.vehicle.position.z, yaw: save.vehicle.yaw }
+            : this._getCareerStartPose();
+        this.busAnchor.position.set(startPose?.x ?? 0, roadY, startPose?.z ?? 0);
+        this.busAnchor.rotation.set(0, startPose?.yaw ?? 0, 0);
         snapToGroundY(this.busAnchor, roadY);
         this.engine.scene.add(this.busAnchor);
 
@@ -349,10 +436,15 @@ export class GameplayState {
         });
 
         // ✅ Ensure physics systems have the real anchor/api so locomotion can use rear-axle kinematics.
-        sim.physics?.setEnvironment?.(this.city);
+        sim.setEnvironment(this.city);
+        sim.physics?.setDriverAssists?.(getResolvedDriverAssistSettings());
         sim.physics?.removeVehicle?.(this.vehicle.id);
         sim.physics?.addVehicle?.(this.vehicle.id, this.vehicle.config, this.vehicle.anchor, this.vehicle.api);
         this._debugPanel?.log(`physics.addVehicle(${this.vehicle.id})`);
+        if (save) {
+            this._saveVehicleSnapshot = save.vehicle;
+            sim.physics?.restoreVehicleSnapshot?.(this.vehicle.id, save.vehicle);
+        }
 
         // Create vehicle controller
         this.vehicleController = new VehicleController(this.vehicle.id, sim.physics, sim.events);
@@ -363,9 +455,15 @@ export class GameplayState {
         readyPromise?.then?.(() => {
             if (!this.busAnchor || !this.vehicle?.id) return;
             this._debugPanel?.log('readyPromise: bus model loaded');
+            // A resumed save keeps its motion state across the re-add.
+            const carry = this._saveVehicleSnapshot
+                ? (sim.physics?.getVehicleSnapshot?.(this.vehicle.id) ?? this._saveVehicleSnapshot)
+                : null;
+            this._saveVehicleSnapshot = null;
             snapToGroundY(this.busAnchor, roadY);
             sim.physics?.removeVehicle?.(this.vehicle.id);
             sim.physics?.addVehicle?.(this.vehicle.id, this.vehicle.config, this.busAnchor, this.vehicle.api);
+            if (carry) sim.physics?.restoreVehicleSnapshot?.(this.vehicle.id, carry);
             this.vehicleController?.setVehicleApi?.(this.vehicle.api, this.busAnchor);
             this._debugPanel?.setContext?.({
                 vehicleId: this.vehicle.id,
@@ -377,10 +475,75 @@ export class GameplayState {
             this._debugPanel?.log(`physics.reAddVehicle(${this.vehicle.id})`);
         });
 
+        this.busStopService = new BusStopService({
+            eventBus: sim.events,
+            stops: this.city?.busStops?.placements ?? []
+        });
+
+        const passengers = new PassengerSystem({
+            eventBus: sim.events,
+            stops: this.city?.busStops?.placements ?? [],
+            seed: this.city?.map?.roadNetwork?.seed ?? 'gameplay',
+            isDoorOpen: (vehicleId) => sim.physics?.getVehicleState?.(vehicleId)?.doors?.anyOpen === true,
+            isRampDeployed: (vehicleId) => sim.physics?.getVehicleState?.(vehicleId)?.kneel?.rampDeployed === true
+        });
+        passengers.addVehicle(this.vehicle.id, { capacity: getBusCapacity(this.vehicle.config?.spec).total });
+        if (save?.passengers) passengers.restoreSnapshot(save.passengers);
+        this.gameLoop.addSystem('passengers', passengers);
+
+        const vehicleId = this.vehicle.id;
+        const energy = new EnergySystem({
+            eventBus: sim.events,
+            vehicleId,
+            powertrain: normalizePowertrainType(this.vehicle.config?.spec?.powertrain),
+            depot: this.city?.depot?.placement ?? null,
+            getState: () => sim.physics?.getVehicleState?.(vehicleId) ?? null,
+            refuel: (amounts) => sim.physics?.refuelVehicle?.(vehicleId, amounts) ?? null
+        });
+        if (save?.energy) energy.restoreSnapshot(save.energy);
+        this.gameLoop.addSystem('energy', energy);
+
+        this.gameLoop.addSystem('damage', new DamageSystem({
+            eventBus: sim.events,
+            vehicleId,
+            depot: this.city?.depot?.placement ?? null,
+            getState: () => sim.physics?.getVehicleState?.(vehicleId) ?? null,
+            repair: () => sim.physics?.repairVehicle?.(vehicleId) === true
+        }));
+
+        this._setupSignals(sim);
+        this._setupTraffic(sim, roadY);
+        this._setupCareer(sim);
+
+        const career = this.gameLoop.getSystem('career');
+        this.gameLoop.addSystem('clock', new GameClock({
+            timeOfDaySec: career?.clockSec ?? save?.timeOfDaySec
+        }));
+
+        // Engine, tyre, bus and city sounds; follows the render frames with the listener at the camera
+        this._audio = new BusAudio({
+            eventBus: sim.events,
+            vehicleId,
+            getVehicleState: () => sim.physics?.getVehicleState?.(vehicleId) ?? null,
+            getTurnSignals: () => this.vehicleController?.getTurnSignals?.() ?? null,
+            emitters: createCityAmbienceEmitters({
+                busStops: this.city?.busStops?.placements ?? [],
+                trafficControls: this.city?.trafficControls?.placements ?? []
+            }),
+            settings: getResolvedAudioSettings()
+        });
+        this._audio.attach(this.engine);
+
         // Subscribe to frame events for telemetry
-        this._unsubFrame = sim.events.on('gameloop:frame', () => {
+        this._unsubFrame = sim.events.on('gameloop:frame', (e) => {
+            this._updateBusStops(e?.dt ?? 0);
             this._updateTelemetry();
         });
+        // Game actions bound to gamepad buttons
+        this._unsubAction = sim.events.on('input:action', (e) => {
+            if (this._pausedByOverlay || this._setupUi?.isOpen?.() || this._savePanel) return;
+            this._runGameAction(e?.action);
+        });
 
         window.addEventListener('keydown', this._onKeyDown, { passive: false });
         const canvas = this.engine?.renderer?.domElement;
@@ -395,6 +558,9 @@ export class GameplayState {
 
     exit() {
         this._closeSetupOverlay({ restoreInput: false });
+        this._closeSavePanel();
+        this._save = null;
+        this._saveVehicleSnapshot = null;
 
         window.removeEventListener('keydown', this._onKeyDown);
         const canvas = this.engine?.renderer?.domElement;
@@ -407,6 +573,15 @@ export class GameplayState {
 
         // Unsubscribe from events
         this._unsubFrame?.();
+        this._unsubAction?.();
+        this._unsubAction = null;
+        this.busStopService = null;
+        this._laneGraph = null;
+        this._shiftReport = null;
+        this._careerStatus?.destroy();
+        this._careerStatus = null;
+        this._audio?.dispose();
+        this._audio = null;
 
         // Dispose game loop (disposes controllers and input)
         this.gameLoop?.dispose();
@@ -420,6 +595,8 @@ export class GameplayState {
         this.vehicle = null;
 
         // Cleanup HUD
+        this._touchControls?.destroy();
+        this._touchControls = null;
         this.hud?.destroy();
         this.hud = null;
 
@@ -479,7 +656,9 @@ export class GameplayState {
 
         this.inputManager?.reset?.();
         this.inputManager?.detach?.();
+        this._audio?.setPaused(true);
         this.hud?.hide?.();
+        this._careerStatus?.setVisible(false);
         document.activeElement?.blur?.();
     }
 
@@ -488,8 +667,10 @@ export class GameplayState {
         this._pausedByOverlay = false;
 
         this.hud?.show?.();
+        this._careerStatus?.setVisible(true);
         this.inputManager?.reset?.();
         this.inputManager?.attach?.();
+        this._audio?.setPaused(false);
 
         window.addEventListener('keydown', this._onKeyDown, { passive: false });
         if (!this._pauseKeepsCameraInput) {
@@ -518,6 +699,14 @@ export class GameplayState {
         // Run game loop (handles input, physics, controllers, world, UI)
         this.gameLoop?.update(dt);
 
+        // The shift ends from inside an event handler; leave the state only once the frame is done.
+        if (this._shiftReport) {
+            const report = this._shiftReport;
+            this._shiftReport = null;
+            this.sm.go('shift_report', { report });
+            return;
+        }
+
         // Update chase camera
         let cameraMode = freezeCamera ? 'frozen' : 'none';
         if (!freezeCamera) {
@@ -582,7 +771,8 @@ export class GameplayState {
             this._cameraMotionDebug.desired.y = cam.position.y;
             this._cameraMotionDebug.desired.z = cam.position.z;
         }
-        const loco = this.engine?.simulation?.physics?.getVehicleState?.('player')?.locomotion ?? null;
+        const playerState = this.engine?.simulation?.physics?.getVehicleState?.('player') ?? null;
+        const loco = playerState?.locomotion ?? null;
         const canvas = this.engine?.renderer?.domElement ?? null;
         const vpW = Number(canvas?.clientWidth ?? canvas?.width ?? 0);
         const vpH = Number(canvas?.clientHeight ?? canvas?.height ?? 0);
@@ -593,6 +783,7 @@ export class GameplayState {
             physicsLoop: this.engine?.getPhysicsLoopDebugInfo?.() ?? null,
             anchor: this.busAnchor,
             locomotion: loco,
+            articulation: playerState?.articulation ?? null,
             cameraMotion: this._cameraMotionDebug,
             camera: this.engine?.camera ?? null,
             viewport: { width: vpW, height: vpH },
@@ -600,6 +791,150 @@ export class GameplayState {
         });
     }
 
+    _setupSignals(sim) {
+        const props = this.city?.trafficControls ?? null;
+        if (!props?.placements?.length) return;
+
+        const settings = getResolvedTrafficSettings();
+        const signals = new TrafficSignalController({
+            placements: props.placements,
+            options: { mode: settings.signalMode },
+            onSignalChange: ({ junctionId, approachId, signal }) => props.setSignal?.(junctionId, approachId, signal),
+            getVehicles: () => {
+                const out = [];
+                const loco = sim.physics?.getVehicleState?.(this.vehicle?.id)?.locomotion ?? null;
+                if (loco?.position) out.push({ position: loco.position, yaw: loco.yaw });
+                const traffic = this.gameLoop?.getSystem?.('traffic') ?? null;
+                for (const agent of traffic?.getAgents?.() ?? []) out.push({ position: agent.pose, yaw: agent.pose.yaw });
+                return out;
+            }
+        });
+        for (const { junctionId, approachId, signal } of signals.getApproachSignals()) props.setSignal?.(junctionId, approachId, signal);
+        this.gameLoop.addSystem('signals', signals);
+    }
+
+    _setupTraffic(sim, roadY) {
+        const settings = getResolvedTrafficSettings();
+        const derived = this.city?.roads?.debug?.derived ?? null;
+        const roadNetwork = this.city?.map?.roadNetwork ?? null;
+        if (!settings.enabled || !derived || !roadNetwork) return;
+
+        const laneWidth = derived.settings?.laneWidth;
+        const laneGraph = this._getLaneGraph();
+        const controls = computeRoadTrafficControlPlacementsFromRoadEngineDerived(derived, {
+            laneWidth,
+            tileSize: this.city.map.tileSize,
+            asphaltY: roadY
+        });
+
+        const scene = this.engine.scene;
+        const busSize = new THREE.Box3().setFromObject(this.busModel).getSize(new THREE.Vector3());
+        let colorIndex = 0;
+        const traffic = new TrafficSystem({
+            laneGraph,
+            controls,
+            vehicleManager: sim.vehicles,
+            physics: sim.physics,
+            seed: settings.seed ?? roadNetwork.seed ?? 'gameplay',
+            density: settings.density,
+            groundY: roadY,
+            getSignal: (control) => {
+                const p = control?.placement ?? null;
+                return this.gameLoop?.getSystem?.('signals')?.getSignalAt?.(p?.position, p?.rotationY) ?? null;
+            },
+            createVehicle: (agent) => {
+                const car = createTrafficCar({ name: agent.id, color: TRAFFIC_CAR_COLORS[colorIndex++ % TRAFFIC_CAR_COLORS.length] });
+                scene.add(car.anchor);
+                return car;
+            },
+            destroyVehicle: (agent, car) => {
+                scene.remove(car.anchor);
+                car.api?.dispose?.();
+            },
+            getObstacles: () => {
+                const loco = sim.physics?.getVehicleState?.(this.vehicle?.id)?.locomotion ?? null;
+                if (!loco?.position) return [];
+                return [{
+                    position: loco.position,
+                    yaw: loco.yaw,
+                    speed: loco.speed,
+                    halfLength: Math.max(busSize.z, 6) * 0.5,
+                    halfWidth: Math.max(busSize.x, 2) * 0.5
+                }];
+            }
+        });
+        this.gameLoop.addSystem('traffic', traffic);
+    }
+
+    _getLaneGraph() {
+        if (this._laneGraph) return this._laneGraph;
+        const derived = this.city?.roads?.debug?.derived ?? null;
+        const roadNetwork = this.city?.map?.roadNetwork ?? null;
+        if (!derived || !roadNetwork) return null;
+        this._laneGraph = createLaneGraph({ roadNetwork, roadEngine: derived, laneWidth: derived.settings?.laneWidth });
+        return this._laneGraph;
+    }
+
+    _getCareerRoute() {
+        const routeId = this.engine.context.career?.routeId ?? null;
+        if (!routeId) return null;
+        return (this.city?.map?.routes ?? []).find((r) => r.id === routeId) ?? null;
+    }
+
+    _getCareerStartPose() {
+        const route = this._getCareerRoute();
+        const stop = (this.city?.busStops?.placements ?? []).find((s) => s.id === route?.stops?.[0]) ?? null;
+        const center = stop?.zone?.center ?? null;
+        const dir = stop?.travelDir ?? null;
+        if (!center || !dir) return null;
+        return { x: center.x, z: center.z, yaw: Math.atan2(dir.x, dir.z) };
+    }
+
+    _setupCareer(sim) {
+        const route = this._getCareerRoute();
+        if (!route) return;
+
+        const vehicleId = this.vehicle.id;
+        const stops = this.city?.busStops?.placements ?? [];
+        const laneGraph = this._getLaneGraph();
+        const resolved = laneGraph ? resolveBusRoute({ graph: laneGraph, route, stops }) : null;
+        const edgeIds = resolved ? resolved.legs.flatMap((leg) => leg.edgeIds ?? []) : null;
+
+        const shift = new CareerShift({
+            eventBus: sim.events,
+            vehicleId,
+            route,
+            busId: this.engine.context.selectedBusId ?? route.busId,
+            trip: createCareerTrip({ route, resolved, stops, departureMinutes: this.engine.context.career.departureMinutes }),
+            getSample: () => sim.physics?.getVehicleState?.(vehicleId)?.locomotion ?? null,
+            getSignalAhead: (position, yaw) => this.gameLoop?.getSystem?.('signals')?.getSignalAhead?.(position, yaw) ?? null,
+            getSpeedLimitKph: (position) => findLaneSpeedLimitKph(laneGraph, position, { edgeIds }) ?? findLaneSpeedLimitKph(laneGraph, position),
+            getEnergyStats: () => this.gameLoop?.getSystem?.('energy')?.getStats?.() ?? null,
+            onComplete: (report) => {
+                this._shiftReport = report;
+            }
+        });
+        if (this._save?.career?.progress) shift.restoreSnapshot(this._save.career.progress);
+        this.gameLoop.addSystem('career', shift);
+
+        this._careerStatus = new CareerStatusWidget({ route });
+        this._careerStatus.attach(document.body);
+    }
+
+    _updateBusStops(dt) {
+        if (!this.busStopService || !this.vehicle?.id || !(dt > 0)) return;
+        const state = this.engine.simulation?.physics?.getVehicleState?.(this.vehicle.id) ?? null;
+        const loco = state?.locomotion ?? null;
+        if (!loco) return;
+        const doors = state?.doors ?? null;
+        this.busStopService.update(dt, {
+            vehicleId: this.vehicle.id,
+            position: loco.position,
+            speedKph: loco.speedKph,
+            doorsOpen: doors ? doors.anyOpen === true : undefined
+        });
+    }
+
     _updateTelemetry() {
         if (!this.hud || !this.gameLoop) return;
 
@@ -608,7 +943,26 @@ export class GameplayState {
             this.hud.setTelemetry({
                 speedKph: telemetry.speedKph,
                 rpm: telemetry.rpm,
-                gear: telemetry.gear
+                gear: telemetry.gear,
+                transmission: telemetry.transmission,
+                powertrain: telemetry.powertrain,
+                energy: telemetry.energy,
+                damage: telemetry.damage,
+                retarder: telemetry.retarder,
+                speedControl: telemetry.speedControl
+            });
+            this._careerStatus?.update(telemetry.career ?? null);
+        }
+        if (this.inputManager) {
+            const controls = this.inputManager.getControls();
+            this.hud.setControls({ ...controls, device: this.inputManager.getActiveDevice() });
+            this._touchControls?.setState({
+                doorsOpen: this.inputManager.getDoorsOpen(),
+                handbrake: controls.handbrake > 0,
+                leftIndicator: !!this.vehicleController?.settings?.leftTurnSignal,
+                rightIndicator: !!this.vehicleController?.settings?.rightTurnSignal,
+                hazard: !!this.vehicleController?.settings?.hazardLights,
+                horn: !!this.vehicleController?.settings?.horn
             });
         }
 
@@ -625,6 +979,14 @@ export class GameplayState {
         }
     }
 
+    _getArticulationAngle() {
+        const id = this.vehicle?.id ?? null;
+        const state = id ? this.engine?.simulation?.physics?.getVehicleState?.(id) : null;
+        if (!state?.articulation) return 0;
+        const angle = state.renderPose?.articulationAngle ?? state.articulation.angle;
+        return Number.isFinite(angle) ? angle : 0;
+    }
+
     _getBusCenter() {
         if (!this.busModel) return null;
         if (this.busAnchor?.updateMatrixWorld) this.busAnchor.updateMatrixWorld(true);
@@ -754,6 +1116,12 @@ export class GameplayState {
         if (this._tmpForward.lengthSq() > 1e-8) this._tmpForward.normalize();
         else this._tmpForward.set(0, 0, 1);
 
+        // Multi-body vehicles: swing the camera part of the way towards the trailer so both sections stay in view.
+        const articulationAngle = this._getArticulationAngle();
+        if (articulationAngle !== 0) {
+            this._tmpForward.applyAxisAngle(CHASE_UP, articulationAngle * CAMERA_TUNE.articulationFollow);
+        }
+
         this._tmpDesired.copy(this.busAnchor.position);
         this._tmpDesired.addScaledVector(this._tmpForward, -this._chase.distance);
         this._tmpDesired.y += this._chase.height;
@@ -769,6 +1137,7 @@ export class GameplayState {
     }
 
     _handlePointerDown(e) {
+        this._audio?.resume();
         if (e.button !== 0 || this._cameraTour?.active) return;
         const target = this._getBusCenter();
         if (!target) return;
@@ -833,30 +1202,149 @@ export class GameplayState {
         e.preventDefault();
     }
 
+    _applySaveContext(save) {
+        const spec = getBusSpec(save.busId);
+        if (spec) {
+            this.engine.context.selectedBusId = spec.id;
+            this.engine.context.selectedBus = createBus(spec);
+        } else {
+            console.warn(`[GameplayState] Saved bus '${save.busId}' is not in the catalog.`);
+        }
+        this.engine.context.career = save.career
+            ? { routeId: save.career.routeId, departureMinutes: save.career.departureMinutes }
+            : null;
+    }
+
+    _createSaveGame() {
+        if (!this.vehicle?.id || !this.gameLoop) return null;
+        const vehicle = this.engine.simulation?.physics?.getVehicleSnapshot?.(this.vehicle.id) ?? null;
+        const spec = this.busModel?.userData?.spec ?? null;
+        const career = this.gameLoop.getSystem('career');
+        const careerContext = this.engine.context.career ?? null;
+        return createSaveGame({
+            busId: this.engine.context.selectedBusId ?? spec?.id ?? null,
+            vehicle,
+            cityId: this._cityId,
+            timeOfDaySec: career?.clockSec ?? this.gameLoop.getSystem('clock')?.timeOfDaySec ?? 0,
+            passengers: this.gameLoop.getSystem('passengers')?.getSnapshot?.() ?? null,
+            energy: this.gameLoop.getSystem('energy')?.getSnapshot?.() ?? null,
+            career: career && !career.finished && careerContext
+                ? { routeId: careerContext.routeId, departureMinutes: careerContext.departureMinutes, progress: career.getSnapshot() }
+                : null,
+            label: spec?.name ?? ''
+        });
+    }
+
+    _saveToSlot(slotId) {
+        const save = this._createSaveGame();
+        const ok = !!save && writeSaveSlot(getDefaultSaveStorage(), slotId, save);
+        if (!ok) console.warn(`[GameplayState] Failed to write save slot '${slotId}'.`);
+        return ok;
+    }
+
+    _openSavePanel() {
+        if (this._savePanel || !this.vehicle?.id) return;
+        this._savePanelPaused = this.gameLoop ? !this.gameLoop.paused : false;
+        if (this._savePanelPaused) this.gameLoop.pause();
+        this.inputManager?.reset?.();
+        this._savePanel = new SaveSlotsPanel({
+            mode: 'save',
+            slots: listSaveSlots(getDefaultSaveStorage()),
+            onPick: (slotId) => {
+                this._saveToSlot(slotId);
+                this._closeSavePanel();
+            },
+            onCancel: () => this._closeSavePanel()
+        });
+        this._savePanel.attach(document.body);
+    }
+
+    _closeSavePanel() {
+        if (!this._savePanel) return;
+        this._savePanel.destroy();
+        this._savePanel = null;
+        if (this._savePanelPaused) this.gameLoop?.resume();
+        this._savePanelPaused = false;
+    }
+
+    _handleSavePanelKey(e) {
+        e.preventDefault();
+        if (e.code === 'Escape' || this._actionLookup?.keys?.get(e.code) === 'save_game') {
+            this._closeSavePanel();
+            return;
+        }
+        const digit = /^(?:Digit|Numpad)(\d)$/.exec(e.code)?.[1] ?? null;
+        if (digit && MANUAL_SAVE_SLOT_IDS.includes(digit)) this._savePanel.pick(digit);
+    }
+
     _handleKeyDown(e) {
+        this._audio?.resume();
         if (this._setupUi?.isOpen?.()) return;
 
-        if (e.code === 'KeyQ') {
-            e.preventDefault();
-            this._openSetupOverlay();
+        if (this._savePanel) {
+            this._handleSavePanelKey(e);
             return;
         }
 
-        if (e.code === 'Escape') {
-            e.preventDefault();
-            this.sm.go('welcome');
-        }
+        const action = this._actionLookup?.keys?.get(e.code) ?? null;
+        if (this._runGameAction(action)) e.preventDefault();
+    }
 
-        // Pause toggle
-        if (e.code === 'KeyP') {
-            e.preventDefault();
-            this.gameLoop?.togglePause();
+    /**
+     * Run a game action (InputBindings `game` group) from a key or gamepad button.
+     * @param {string|null} action
+     * @returns {boolean} Whether the action is a game action.
+     */
+    _runGameAction(action) {
+        switch (action) {
+            case 'save_game':
+                this._openSavePanel();
+                return true;
+            case 'open_setup':
+                this._openSetupOverlay();
+                return true;
+            case 'leave': {
+                // Leaving a career shift early still ends it with a report (remaining stops count as missed).
+                const career = this.gameLoop?.getSystem?.('career') ?? null;
+                if (career) {
+                    const report = career.finish();
+                    this._shiftReport = null;
+                    this.sm.go('shift_report', { report });
+                    return true;
+                }
+                if (this.vehicle?.id) this._saveToSlot(AUTOSAVE_SLOT_ID);
+                this.sm.go('welcome');
+                return true;
+            }
+            case 'pause':
+                this.gameLoop?.togglePause();
+                return true;
+            case 'camera_tour':
+                this._cameraTour?.start();
+                return true;
+            default:
+                return false;
         }
+    }
 
-        if (e.code === 'KeyT') {
-            e.preventDefault();
-            this._cameraTour?.start();
-        }
+    /**
+     * Apply new key / gamepad button bindings (Options, live).
+     * @param {object|null} bindings - InputBindings.
+     */
+    setInputBindings(bindings) {
+        if (!bindings) return;
+        this._actionLookup = createActionLookup(bindings);
+        this.inputManager?.setInputBindings?.(bindings);
+        this.hud?.setKeysHint?.(formatKeysHint(bindings));
+    }
+
+    /**
+     * Apply new sound settings (Options, live).
+     * @param {object|null} settings - AudioSettings.
+     */
+    setAudioSettings(settings) {
+        if (!settings) return;
+        this._audio?.setSettings(settings);
     }
 
     _openSetupOverlay() {
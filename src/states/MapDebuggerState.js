@@ -25,6 +25,10 @@ import { createHoverOutlineLine } from '../graphics/visuals/city/HoverOutlineLin
 import { RoadGraphDebugOverlay } from '../graphics/visuals/city/RoadGraphDebugOverlay.js';
 import { createRoadEngineRoads } from '../graphics/visuals/city/RoadEngineRoads.js';
 import { createToolCameraController, getTopDownToolCameraHomeDirection } from '../graphics/engine3d/camera/ToolCameraPrefab.js';
+import { computeBusStopPlacements } from '../app/city/BusStopPlacement.js';
+import { BUS_ROUTE_DEFAULTS, normalizeBusRouteList, normalizeBusRouteSpec, parseBusRoutesJson, resolveBusRoute } from '../app/city/BusRoutes.js';
+import { createLaneGraph, createLaneGraphFromCityMap } from '../app/city/roads/LaneGraph.js';
+import { BUS_CATALOG } from '../app/vehicle/buses/BusCatalog.js';
 
 function clamp(v, a, b) {
     return Math.max(a, Math.min(b, v));
@@ -184,6 +188,13 @@ export class MapDebuggerState {
         this._buildingModeEnabled = false;
         this._buildingSelection = new Set();
         this._newBuildingConfigId = null;
+        this._routeModeEnabled = false;
+        this._routeDraftStops = [];
+        this._routeParams = { number: '1', name: '', color: BUS_ROUTE_DEFAULTS.color, busId: BUS_ROUTE_DEFAULTS.busId, headwayMinutes: BUS_ROUTE_DEFAULTS.headwayMinutes, loop: false };
+        this._routeContext = null;
+        this._routeReports = [];
+        this._routeOverlayGroup = null;
+        this._routeHoverId = null;
         this.debugsPanel = null;
         this.shortcutsPanel = null;
         this.poleInfoPanel = null;
@@ -312,6 +323,10 @@ export class MapDebuggerState {
             buildingModeEnabled: this._buildingModeEnabled,
             buildingSelectionCount: this._buildingSelection.size,
             newBuildingConfigId: this._newBuildingConfigId,
+            busOptions: BUS_CATALOG.map((bus) => ({ id: bus.id, name: bus.name })),
+            routeParams: this._routeParams,
+            routeModeEnabled: this._routeModeEnabled,
+            routeDraftStops: [],
             onApplyCity: (settings) => this._applyCitySettings(settings),
             onClearCity: () => this._clearCity(),
             onResetDemo: () => this._resetDemo(),
@@ -334,6 +349,14 @@ export class MapDebuggerState {
             onBuildingConfigChange: (data) => this._setBuildingConfigForBuilding(data),
             onRoadHover: (road) => this._updateHighlight(road),
             onBuildingHover: (building) => this._setHoveredBuilding(building),
+            onRouteParamsChange: (params) => this._setRouteParams(params),
+            onStartRouteMode: () => this._startRouteMode(),
+            onDoneRouteMode: () => this._doneRouteMode(),
+            onCancelRouteMode: () => this._cancelRouteMode(),
+            onUndoRouteStop: () => this._undoRouteStop(),
+            onDeleteRoute: (index) => this._deleteRouteAtIndex(index),
+            onRouteHover: (route) => this._setHoveredRoute(route),
+            onImportRoutes: (text) => this._importRoutes(text),
         });
         this.editorPanel.attach(this.uiRoot);
         this.editorPanel.root.classList.remove('hidden');
@@ -420,6 +443,7 @@ export class MapDebuggerState {
         this._clearCollisionMarkers();
         this._clearConnectorOverlay();
         this._clearRoadGraphOverlay();
+        this._clearRouteOverlay();
         this._destroyHoverOutline();
         this._stopTour();
         this._stopCameraDrag();
@@ -480,15 +504,20 @@ export class MapDebuggerState {
                 this._cancelBuildingMode();
                 return;
             }
+            if (this._routeModeEnabled) {
+                this._cancelRouteMode();
+                return;
+            }
             this.sm.go('welcome');
             return;
         }
 
         if (code === 'Backspace') {
-            if (!this._roadModeEnabled) return;
+            if (!this._roadModeEnabled && !this._routeModeEnabled) return;
             if (isInteractiveElement(e.target) || isInteractiveElement(document.activeElement)) return;
             e.preventDefault();
-            this._undoRoadDraftPoint();
+            if (this._routeModeEnabled) this._undoRouteStop();
+            else this._undoRoadDraftPoint();
             return;
         }
 
@@ -518,7 +547,7 @@ export class MapDebuggerState {
         }
 
         if (code === 'KeyT') {
-            if (this._roadModeEnabled || this._buildingModeEnabled) return;
+            if (this._roadModeEnabled || this._buildingModeEnabled || this._routeModeEnabled) return;
             if (this._tourActive) return;
             e.preventDefault();
             this._startTour();
@@ -653,6 +682,7 @@ export class MapDebuggerState {
 
     _setCity(mapSpec) {
         this.city?.detach(this.engine);
+        this._clearRouteOverlay();
         this._clearConnectorOverlay();
         this._clearRoadGraphOverlay();
         this._clearCollisionMarkers();
@@ -693,6 +723,11 @@ export class MapDebuggerState {
         this.editorPanel?.setBuildingModeEnabled(this._buildingModeEnabled);
         this.editorPanel?.setBuildingSelectionCount(this._buildingSelection.size);
         this.editorPanel?.setNewBuildingConfigId(this._newBuildingConfigId);
+        this.editorPanel?.setRouteModeEnabled(this._routeModeEnabled);
+        this.editorPanel?.setRouteDraftStops(this._routeDraftStops);
+
+        this._routeContext = null;
+        this._refreshRouteReports();
 
         this._recomputeCameraLimits({ resetPosition: resetCamera });
     }
@@ -701,10 +736,21 @@ export class MapDebuggerState {
         const input = spec && typeof spec === 'object' ? spec : {};
         const roadsIn = Array.isArray(input.roads) ? input.roads : [];
         const buildingsIn = Array.isArray(input.buildings) ? input.buildings : [];
+        const stopsIn = Array.isArray(input.stops) ? input.stops : [];
+
+        // Stops reference roads by index, so remap them onto the filtered road list.
+        const renderedIndex = new Map();
+        roadsIn.forEach((road, index) => {
+            if (road?.rendered !== false) renderedIndex.set(index, renderedIndex.size);
+        });
+
         return {
             ...input,
             roads: roadsIn.filter((road) => road?.rendered !== false),
-            buildings: buildingsIn.filter((building) => building?.rendered !== false)
+            buildings: buildingsIn.filter((building) => building?.rendered !== false),
+            stops: stopsIn
+                .filter((stop) => renderedIndex.has(stop?.roadId))
+                .map((stop) => ({ ...stop, roadId: renderedIndex.get(stop.roadId) }))
         };
     }
 
@@ -748,7 +794,9 @@ export class MapDebuggerState {
             ...full,
             ...sanitized,
             roads: mergedRoads,
-            buildings: mergedBuildings
+            buildings: mergedBuildings,
+            stops: Array.isArray(full.stops) ? full.stops : [],
+            routes: normalizeBusRouteList(full.routes)
         };
     }
 
@@ -770,6 +818,8 @@ export class MapDebuggerState {
 
         const roads = Array.isArray(input.roads) ? input.roads.slice() : [];
         const buildings = Array.isArray(input.buildings) ? input.buildings.slice() : [];
+        const stops = Array.isArray(input.stops) ? input.stops.slice() : [];
+        const routes = Array.isArray(input.routes) ? input.routes.slice() : [];
 
         if (Number.isFinite(tileSize) && tileSize > 0 && tileSize !== this._cityOptions.mapTileSize) {
             this._cityOptions.mapTileSize = tileSize;
@@ -783,7 +833,9 @@ export class MapDebuggerState {
             tileSize,
             origin,
             roads,
-            buildings
+            buildings,
+            stops,
+            routes
         };
     }
 
@@ -863,6 +915,8 @@ export class MapDebuggerState {
         this._roadModeEnabled = false;
         this._buildingModeEnabled = false;
         this._buildingSelection.clear();
+        this._routeModeEnabled = false;
+        this._routeDraftStops = [];
 
         const desiredSize = Math.max(1, Math.max(nextWidth, nextHeight) * tileSize);
         this._cityOptions.size = desiredSize;
@@ -877,6 +931,8 @@ export class MapDebuggerState {
         this._roadModeEnabled = false;
         this._buildingModeEnabled = false;
         this._buildingSelection.clear();
+        this._routeModeEnabled = false;
+        this._routeDraftStops = [];
         this._applySpec({ ...this._spec, roads: [], buildings: [] }, { resetCamera: false });
     }
 
@@ -893,6 +949,8 @@ export class MapDebuggerState {
         this._roadModeEnabled = false;
         this._buildingModeEnabled = false;
         this._buildingSelection.clear();
+        this._routeModeEnabled = false;
+        this._routeDraftStops = [];
 
         this._citySpecId = key;
         this.editorPanel?.setCitySpecId(this._citySpecId);
@@ -911,6 +969,8 @@ export class MapDebuggerState {
         this._roadModeEnabled = false;
         this._buildingModeEnabled = false;
         this._buildingSelection.clear();
+        this._routeModeEnabled = false;
+        this._routeDraftStops = [];
         this._citySpecId = DEFAULT_CITY_SPEC_ID;
         this.editorPanel?.setCitySpecId(this._citySpecId);
         this._applySpec(CityMap.demoSpec(cfg), { resetCamera: true });
@@ -928,11 +988,12 @@ export class MapDebuggerState {
     }
 
     _setEditorTab(tab) {
-        const next = tab === 'building' ? 'building' : 'road';
+        const next = tab === 'building' || tab === 'route' ? tab : 'road';
         if (next === this._editorTab) return;
         this._editorTab = next;
         this._cancelRoadMode();
         this._cancelBuildingMode();
+        this._cancelRouteMode();
         this.editorPanel?.setTab(this._editorTab);
     }
 
@@ -1139,6 +1200,215 @@ export class MapDebuggerState {
         this._syncSelectionOverlay();
     }
 
+    _getRouteContext() {
+        if (this._routeContext) return this._routeContext;
+        const map = this.city?.map ?? null;
+        if (!map) return null;
+        const derived = this.city?.roads?.debug?.derived ?? null;
+        const graph = derived && map.roadNetwork
+            ? createLaneGraph({ roadNetwork: map.roadNetwork, roadEngine: derived, laneWidth: derived.settings?.laneWidth })
+            : createLaneGraphFromCityMap(map);
+        const stops = computeBusStopPlacements({ map, generatorConfig: this.city?.generatorConfig ?? null });
+        this._routeContext = { graph, stops };
+        return this._routeContext;
+    }
+
+    _refreshRouteReports() {
+        const routes = Array.isArray(this._spec?.routes) ? this._spec.routes : [];
+        const ctx = routes.length ? this._getRouteContext() : null;
+        this._routeReports = ctx ? routes.map((route) => resolveBusRoute({ graph: ctx.graph, route, stops: ctx.stops })) : [];
+        this.editorPanel?.setRouteReports(this._routeReports);
+        this._syncRouteOverlay();
+    }
+
+    // Routes do not change city geometry, so route edits update the spec without rebuilding the city.
+    _setRoutes(routes) {
+        if (!this._spec) return;
+        this._spec = { ...this._spec, routes: normalizeBusRouteList(routes) };
+        this.editorPanel?.setSpec(this._spec);
+        this._refreshRouteReports();
+    }
+
+    _nextRouteId(routes) {
+        const used = new Set((Array.isArray(routes) ? routes : []).map((r) => r?.id));
+        let i = used.size + 1;
+        while (used.has(`line_${i}`)) i++;
+        return `line_${i}`;
+    }
+
+    _buildDraftRoute() {
+        const routes = Array.isArray(this._spec?.routes) ? this._spec.routes : [];
+        const p = this._routeParams;
+        return normalizeBusRouteSpec({
+            id: this._nextRouteId(routes),
+            number: p.number,
+            name: p.name,
+            color: p.color,
+            busId: p.busId,
+            loop: p.loop,
+            stops: this._routeDraftStops,
+            timetable: { headwayMinutes: p.headwayMinutes }
+        }, routes.length);
+    }
+
+    _syncRouteDraftPanel() {
+        const stops = this._routeContext?.stops ?? [];
+        this.editorPanel?.setRouteDraftStops(this._routeDraftStops.map((id) => ({ id, name: stops.find((s) => s.id === id)?.name ?? id })));
+    }
+
+    _startRouteMode() {
+        if (!this._getRouteContext()) return;
+        const routes = Array.isArray(this._spec?.routes) ? this._spec.routes : [];
+        this._routeModeEnabled = true;
+        this._routeDraftStops = [];
+        this._routeParams = { ...this._routeParams, number: String(routes.length + 1), name: '' };
+        this.editorPanel?.setRouteParams(this._routeParams);
+        this.editorPanel?.setRouteModeEnabled(this._routeModeEnabled);
+        this._syncRouteDraftPanel();
+        this._syncRouteOverlay();
+    }
+
+    _cancelRouteMode() {
+        this._routeModeEnabled = false;
+        this._routeDraftStops = [];
+        this.editorPanel?.setRouteModeEnabled(this._routeModeEnabled);
+        this._syncRouteDraftPanel();
+        this._syncRouteOverlay();
+    }
+
+    _doneRouteMode() {
+        const route = this._routeDraftStops.length >= 2 ? this._buildDraftRoute() : null;
+        const ctx = this._getRouteContext();
+        if (!route || !ctx || !this._spec) {
+            this._cancelRouteMode();
+            return;
+        }
+
+        const report = resolveBusRoute({ graph: ctx.graph, route, stops: ctx.stops });
+        const routes = Array.isArray(this._spec.routes) ? this._spec.routes.slice() : [];
+        routes.push({ ...route, legs: report.legs.map((leg) => leg.edgeIds) });
+
+        this._routeModeEnabled = false;
+        this._routeDraftStops = [];
+        this.editorPanel?.setRouteModeEnabled(this._routeModeEnabled);
+        this._syncRouteDraftPanel();
+        this._setRoutes(routes);
+    }
+
+    _undoRouteStop() {
+        if (!this._routeModeEnabled || !this._routeDraftStops.length) return;
+        this._routeDraftStops = this._routeDraftStops.slice(0, -1);
+        this._syncRouteDraftPanel();
+        this._syncRouteOverlay();
+    }
+
+    _setRouteParams(params) {
+        const next = params && typeof params === 'object' ? params : {};
+        const headway = Number(next.headwayMinutes);
+        this._routeParams = {
+            number: typeof next.number === 'string' && next.number.trim() ? next.number.trim() : this._routeParams.number,
+            name: typeof next.name === 'string' ? next.name.trim() : this._routeParams.name,
+            color: typeof next.color === 'string' && next.color ? next.color : this._routeParams.color,
+            busId: typeof next.busId === 'string' && next.busId ? next.busId : this._routeParams.busId,
+            headwayMinutes: Number.isFinite(headway) ? Math.max(1, Math.round(headway)) : this._routeParams.headwayMinutes,
+            loop: next.loop !== undefined ? !!next.loop : this._routeParams.loop
+        };
+        this.editorPanel?.setRouteParams(this._routeParams);
+        this._syncRouteOverlay();
+    }
+
+    _handleRouteToolClick(hit) {
+        const ctx = this._getRouteContext();
+        if (!ctx || !hit) return;
+
+        let best = null;
+        let bestD = Infinity;
+        for (const stop of ctx.stops) {
+            const c = stop.zone.center;
+            const d = Math.hypot(hit.x - c.x, hit.z - c.z);
+            if (d <= stop.zone.halfLength + stop.zone.halfWidth && d < bestD) {
+                best = stop;
+                bestD = d;
+            }
+        }
+        if (!best || this._routeDraftStops[this._routeDraftStops.length - 1] === best.id) return;
+
+        this._routeDraftStops = [...this._routeDraftStops, best.id];
+        this._syncRouteDraftPanel();
+        this._syncRouteOverlay();
+    }
+
+    _deleteRouteAtIndex(index) {
+        const routes = Array.isArray(this._spec?.routes) ? this._spec.routes.slice() : [];
+        const idx = Number(index);
+        if (!Number.isInteger(idx) || idx < 0 || idx >= routes.length) return;
+        routes.splice(idx, 1);
+        this._setRoutes(routes);
+    }
+
+    _importRoutes(text) {
+        const routes = parseBusRoutesJson(text);
+        if (!routes) return null;
+        this._setRoutes(routes);
+        return routes.length;
+    }
+
+    _setHoveredRoute(route) {
+        this._routeHoverId = route?.id ?? null;
+        this._syncRouteOverlay();
+    }
+
+    _clearRouteOverlay() {
+        if (!this._routeOverlayGroup) return;
+        this._routeOverlayGroup.removeFromParent();
+        this._routeOverlayGroup.traverse((obj) => {
+            obj.geometry?.dispose?.();
+            obj.material?.dispose?.();
+        });
+        this._routeOverlayGroup = null;
+    }
+
+    _syncRouteOverlay() {
+        this._clearRouteOverlay();
+        const ctx = this._routeContext;
+        if (!this.city?.group || !ctx) return;
+
+        const group = new THREE.Group();
+        group.name = 'BusRouteOverlay';
+        const y = this._overlaySurfaceY() + 0.08;
+
+        const addPath = (report, color, opacity) => {
+            const positions = [];
+            for (const leg of report?.legs ?? []) {
+                for (const edgeId of leg.edgeIds ?? []) {
+                    for (const p of ctx.graph.getEdge(edgeId)?.points ?? []) positions.push(p.x, y, p.z);
+                }
+            }
+            if (positions.length < 6) return;
+            const geo = new THREE.BufferGeometry();
+            geo.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+            const mat = new THREE.LineBasicMaterial({ color, transparent: true, opacity, depthTest: false });
+            const line = new THREE.Line(geo, mat);
+            line.renderOrder = 40;
+            group.add(line);
+        };
+
+        const routes = Array.isArray(this._spec?.routes) ? this._spec.routes : [];
+        const focused = this._routeModeEnabled || this._routeHoverId !== null;
+        routes.forEach((route, i) => {
+            const hovered = route.id === this._routeHoverId;
+            addPath(this._routeReports[i], route.color, focused && !hovered ? 0.25 : 0.9);
+        });
+
+        if (this._routeModeEnabled && this._routeDraftStops.length >= 2) {
+            const draft = this._buildDraftRoute();
+            if (draft) addPath(resolveBusRoute({ graph: ctx.graph, route: draft, stops: ctx.stops }), draft.color, 1);
+        }
+
+        this.city.group.add(group);
+        this._routeOverlayGroup = group;
+    }
+
     _setNewBuildingConfigId(configId) {
         const next = typeof configId === 'string' && configId ? configId : null;
         if (!next) return;
@@ -2707,7 +2977,7 @@ export class MapDebuggerState {
             return;
         }
 
-        if (!this._roadModeEnabled && !this._buildingModeEnabled) return;
+        if (!this._roadModeEnabled && !this._buildingModeEnabled && !this._routeModeEnabled) return;
 
         if (e.button !== 0) return;
         if (!this.city?.map) return;
@@ -2716,6 +2986,11 @@ export class MapDebuggerState {
         const hit = this._intersectHoverPlane();
         if (!hit) return;
 
+        if (this._routeModeEnabled) {
+            this._handleRouteToolClick(hit);
+            return;
+        }
+
         const tile = this.city.map.worldToTile(hit.x, hit.z);
         const x = tile?.x;
         const y = tile?.y;
@@ -2735,7 +3010,7 @@ export class MapDebuggerState {
 
     _handleWheel(e) {
         if (this._tourActive) return;
-        if (this._roadModeEnabled || this._buildingModeEnabled) return;
+        if (this._roadModeEnabled || this._buildingModeEnabled || this._routeModeEnabled) return;
         if (!e) return;
         e.preventDefault();
 
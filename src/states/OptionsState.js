@@ -19,6 +19,11 @@ import { saveColorGradingSettings } from '../graphics/visuals/postprocessing/Col
 import { getResolvedSunFlareSettings, saveSunFlareSettings } from '../graphics/visuals/sun/SunFlareSettings.js';
 import { saveAtmosphereSettings } from '../graphics/visuals/atmosphere/AtmosphereSettings.js';
 import { getResolvedVehicleMotionDebugSettings, saveVehicleMotionDebugSettings } from '../app/vehicle/VehicleMotionDebugSettings.js';
+import { getResolvedTrafficSettings, saveTrafficSettings } from '../app/traffic/TrafficSettings.js';
+import { getResolvedDriverAssistSettings, saveDriverAssistSettings } from '../app/vehicle/DriverAssistSettings.js';
+import { getResolvedInputDeviceSettings, saveInputDeviceSettings } from '../app/input/InputDeviceSettings.js';
+import { getResolvedInputBindings, saveInputBindings } from '../app/input/InputBindings.js';
+import { getResolvedAudioSettings, saveAudioSettings } from '../app/audio/AudioSettings.js';
 
 function isEditableTarget(target) {
     const el = target && typeof target === 'object' ? target : null;
@@ -73,6 +78,11 @@ export class OptionsState {
         const buildingWindowVisuals = getResolvedBuildingWindowVisualsSettings();
         const asphaltNoise = getResolvedAsphaltNoiseSettings();
         const vehicleMotionDebug = this.engine?.vehicleMotionDebugSettings ?? getResolvedVehicleMotionDebugSettings();
+        const traffic = getResolvedTrafficSettings();
+        const driverAssist = getResolvedDriverAssistSettings();
+        const inputDevice = getResolvedInputDeviceSettings();
+        const inputBindings = getResolvedInputBindings();
+        const audio = getResolvedAudioSettings();
 
         this._original = {
             lighting: lighting && typeof lighting === 'object' ? JSON.parse(JSON.stringify(lighting)) : null,
@@ -90,7 +100,12 @@ export class OptionsState {
             asphaltNoise: asphaltNoise && typeof asphaltNoise === 'object' ? JSON.parse(JSON.stringify(asphaltNoise)) : null,
             vehicleMotionDebug: vehicleMotionDebug && typeof vehicleMotionDebug === 'object'
                 ? JSON.parse(JSON.stringify(vehicleMotionDebug))
-                : null
+                : null,
+            traffic: { enabled: traffic.enabled, density: traffic.density, signalMode: traffic.signalMode },
+            driverAssist: { ...driverAssist },
+            inputDevice: JSON.parse(JSON.stringify(inputDevice)),
+            inputBindings: JSON.parse(JSON.stringify(inputBindings)),
+            audio: { ...audio }
         };
         if (this._original.lighting?.ibl && typeof this._original.lighting.ibl === 'object') {
             this._original.lighting.ibl.showProbeSphere = showProbeSphere;
@@ -231,6 +246,11 @@ export class OptionsState {
             initialVehicleMotionDebug: vehicleMotionDebug && typeof vehicleMotionDebug === 'object'
                 ? JSON.parse(JSON.stringify(vehicleMotionDebug))
                 : null,
+            initialTraffic: { enabled: traffic.enabled, density: traffic.density, signalMode: traffic.signalMode },
+            initialDriverAssist: { ...driverAssist },
+            initialInputDevice: JSON.parse(JSON.stringify(inputDevice)),
+            initialInputBindings: JSON.parse(JSON.stringify(inputBindings)),
+            initialAudio: { ...audio },
             getIblDebugInfo: () => this.engine?.getIBLDebugInfo?.() ?? null,
             getPostProcessingDebugInfo: () => ({
                 postActive: !!this.engine?.isPostProcessingActive,
@@ -284,6 +304,11 @@ export class OptionsState {
         saveSunFlareSettings(draft?.sunFlare ?? null);
         saveAsphaltNoiseSettings(draft?.asphaltNoise ?? null);
         saveVehicleMotionDebugSettings(draft?.vehicleMotionDebug ?? null);
+        saveTrafficSettings(draft?.traffic ?? null);
+        saveDriverAssistSettings(draft?.driverAssist ?? null);
+        saveInputDeviceSettings(draft?.inputDevice ?? null);
+        saveInputBindings(draft?.inputBindings ?? null);
+        saveAudioSettings(draft?.audio ?? null);
         if (this._overlay) {
             this.sm.popOverlay();
             return;
@@ -311,6 +336,11 @@ export class OptionsState {
         const sunFlare = d?.sunFlare ?? null;
         const asphaltNoise = d?.asphaltNoise ?? null;
         const vehicleMotionDebug = d?.vehicleMotionDebug ?? null;
+        const traffic = d?.traffic ?? null;
+        const driverAssist = d?.driverAssist ?? null;
+        const inputDevice = d?.inputDevice ?? null;
+        const inputBindings = d?.inputBindings ?? null;
+        const audio = d?.audio ?? null;
 
         this.engine?.setShadowSettings?.(shadows ?? null);
         this.engine?.setLightingSettings?.(lighting ?? null);
@@ -321,6 +351,15 @@ export class OptionsState {
         if (sunBloom) this.engine?.setSunBloomSettings?.(sunBloom);
         if (grading) this.engine?.setColorGradingSettings?.(grading);
         if (vehicleMotionDebug) this.engine?.setVehicleMotionDebugSettings?.(vehicleMotionDebug);
+        if (traffic) {
+            const gameLoop = this.sm?.current?.gameLoop ?? null;
+            gameLoop?.getSystem?.('traffic')?.setDensity?.(traffic.enabled ? traffic.density : 0);
+            gameLoop?.getSystem?.('signals')?.setMode?.(traffic.signalMode);
+        }
+        if (driverAssist) this.engine?.simulation?.physics?.setDriverAssists?.(driverAssist);
+        if (inputDevice) this.sm?.current?.inputManager?.setInputDeviceSettings?.(inputDevice);
+        if (inputBindings) this.sm?.current?.setInputBindings?.(inputBindings);
+        if (audio) this.sm?.current?.setAudioSettings?.(audio);
         const desiredProbeVisible = lighting?.ibl?.showProbeSphere !== undefined ? !!lighting.ibl.showProbeSphere : false;
         const probe = this.engine?.scene?.getObjectByName?.('ibl_probe_sphere') ?? null;
         if (probe) probe.visible = desiredProbeVisible;
@@ -521,6 +560,9 @@ export class OptionsState {
         const key = e.key;
         if (isEditableTarget(e.target) && (code !== 'Escape' && key !== 'Escape')) return;
 
+        // A key binding button is waiting for a key: Esc cancels the capture, not the dialog
+        if (this._ui?.isCapturingKey?.()) return;
+
         const isEsc = code === 'Escape' || key === 'Escape';
         if (isEsc) {
             e.preventDefault();
@@ -0,0 +1,76 @@
+// src/states/RouteSelectState.js
+// Career mode entry: pick a bus line and a timetabled departure, then continue to bus selection.
+// Design: the pick is stored on `engine.context.career`; GameplayState starts a scored shift when it is set.
+import { getGameplayCityOptions } from './GameplayState.js';
+import { getRouteDepartures, normalizeBusRouteList } from '../app/city/BusRoutes.js';
+import { CareerRoutePicker } from '../graphics/gui/career/CareerRoutePicker.js';
+
+export class RouteSelectState {
+    constructor(engine, sm) {
+        this.engine = engine;
+        this.sm = sm;
+
+        this.uiWelcome = document.getElementById('ui-welcome');
+        this.picker = null;
+
+        this._onKeyDown = (e) => this._handleKeyDown(e);
+    }
+
+    enter() {
+        document.body.classList.remove('setup-bg');
+        document.body.classList.add('splash-bg');
+        this.uiWelcome?.classList.add('hidden');
+        this.engine.clearScene();
+
+        const spec = getGameplayCityOptions().mapSpec ?? {};
+        const stopNames = new Map((Array.isArray(spec.stops) ? spec.stops : []).map((s) => [s.id, s.name ?? s.id]));
+        const entries = normalizeBusRouteList(spec.routes ?? []).map((route) => ({
+            route,
+            departures: getRouteDepartures(route),
+            stopNames: route.stops.map((id) => stopNames.get(id) ?? id)
+        }));
+
+        this.picker = new CareerRoutePicker({
+            entries,
+            onPick: (pick) => this._pick(pick),
+            onCancel: () => this.sm.go('welcome')
+        });
+        this.picker.attach(document.body);
+
+        window.addEventListener('keydown', this._onKeyDown, { passive: false });
+    }
+
+    exit() {
+        window.removeEventListener('keydown', this._onKeyDown);
+        this.picker?.destroy();
+        this.picker = null;
+    }
+
+    _pick({ routeId, departureMinutes }) {
+        this.engine.context.career = { routeId, departureMinutes };
+        this.sm.go('bus_select');
+    }
+
+    _handleKeyDown(e) {
+        const code = e.code;
+        if (code === 'Escape') {
+            e.preventDefault();
+            this.sm.go('welcome');
+            return;
+        }
+        if (code === 'ArrowUp' || code === 'ArrowDown') {
+            e.preventDefault();
+            this.picker?.moveRoute(code === 'ArrowUp' ? -1 : 1);
+            return;
+        }
+        if (code === 'ArrowLeft' || code === 'ArrowRight') {
+            e.preventDefault();
+            this.picker?.moveDeparture(code === 'ArrowLeft' ? -1 : 1);
+            return;
+        }
+        if (code === 'Enter' || code === 'Space') {
+            e.preventDefault();
+            this.picker?.confirm();
+        }
+    }
+}
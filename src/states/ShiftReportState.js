@@ -0,0 +1,59 @@
+// src/states/ShiftReportState.js
+// End-of-shift report for career mode.
+// Design: entered from GameplayState with `{ report }`; the last report is kept on `engine.context.lastShiftReport`.
+import { ShiftReportPanel } from '../graphics/gui/career/ShiftReportPanel.js';
+
+export class ShiftReportState {
+    constructor(engine, sm) {
+        this.engine = engine;
+        this.sm = sm;
+
+        this.panel = null;
+
+        this._onKeyDown = (e) => this._handleKeyDown(e);
+    }
+
+    enter({ report = null } = {}) {
+        document.body.classList.add('splash-bg');
+        this.engine.clearScene();
+
+        const shown = report ?? this.engine.context.lastShiftReport ?? null;
+        this.engine.context.lastShiftReport = shown;
+
+        this.panel = new ShiftReportPanel({
+            report: shown,
+            onNext: () => this._next(),
+            onExit: () => this._exit()
+        });
+        this.panel.attach(document.body);
+
+        window.addEventListener('keydown', this._onKeyDown, { passive: false });
+    }
+
+    exit() {
+        window.removeEventListener('keydown', this._onKeyDown);
+        this.panel?.destroy();
+        this.panel = null;
+    }
+
+    _next() {
+        this.sm.go('route_select');
+    }
+
+    _exit() {
+        this.engine.context.career = null;
+        this.sm.go('welcome');
+    }
+
+    _handleKeyDown(e) {
+        if (e.code === 'Escape') {
+            e.preventDefault();
+            this._exit();
+            return;
+        }
+        if (e.code === 'Enter' || e.code === 'Space') {
+            e.preventDefault();
+            this._next();
+        }
+    }
+}
@@ -1,5 +1,7 @@
 // src/states/WelcomeState.js
 import { getSceneShortcutByKey } from './SceneShortcutRegistry.js';
+import { getDefaultSaveStorage, getLatestSaveSlot, listSaveSlots, readSaveSlot } from '../app/save/SaveSlots.js';
+import { SaveSlotsPanel } from '../graphics/gui/save/SaveSlotsPanel.js';
 
 function isEditableTarget(target) {
     const el = target && typeof target === 'object' ? target : null;
@@ -20,9 +22,15 @@ export class WelcomeState {
         this.uiSelect = document.getElementById('ui-select');
         this.uiSetup = document.getElementById('ui-setup');
         this.testErrorWidget = document.getElementById('ui-test-errors');
+        this.continueBtn = document.getElementById('btn-continue');
+        this.continueHint = document.getElementById('hint-continue');
+        this.loadPanel = null;
 
         this._onKeyDown = (e) => this._handleKeyDown(e);
-        this._onPointerDown = () => this._start(); // optional click-to-start
+        this._onPointerDown = () => {
+            if (!this.loadPanel) this._start(); // optional click-to-start
+        };
+        this._onContinueClick = () => this._continue();
         this._testErrorInterval = null;
     }
 
@@ -37,6 +45,11 @@ export class WelcomeState {
         // keep scene clean behind splash
         this.engine.clearScene();
 
+        const hasSave = !!getLatestSaveSlot(getDefaultSaveStorage());
+        this.continueBtn?.classList.toggle('hidden', !hasSave);
+        this.continueHint?.classList.toggle('hidden', !hasSave);
+        this.continueBtn?.addEventListener('click', this._onContinueClick);
+
         window.addEventListener('keydown', this._onKeyDown, { passive: false });
         this.canvas?.addEventListener?.('pointerdown', this._onPointerDown);
         this._startTestErrorWidget();
@@ -45,14 +58,50 @@ export class WelcomeState {
     exit() {
         window.removeEventListener('keydown', this._onKeyDown);
         this.canvas?.removeEventListener?.('pointerdown', this._onPointerDown);
+        this.continueBtn?.removeEventListener('click', this._onContinueClick);
+        this._closeLoadPanel();
         this._stopTestErrorWidget();
     }
 
     _start() {
+        this.engine.context.career = null;
         this.sm.go('bus_select');
     }
 
+    _continue() {
+        const latest = getLatestSaveSlot(getDefaultSaveStorage());
+        if (latest) this._load(latest.save);
+    }
+
+    _load(save) {
+        if (!save) return;
+        this.sm.go('game_mode', { save });
+    }
+
+    _openLoadPanel() {
+        const storage = getDefaultSaveStorage();
+        const slots = listSaveSlots(storage);
+        if (this.loadPanel || !slots.some((s) => s.save)) return;
+        this.loadPanel = new SaveSlotsPanel({
+            mode: 'load',
+            slots,
+            onPick: (slotId) => this._load(readSaveSlot(storage, slotId)),
+            onCancel: () => this._closeLoadPanel()
+        });
+        this.loadPanel.attach(document.body);
+    }
+
+    _closeLoadPanel() {
+        this.loadPanel?.destroy();
+        this.loadPanel = null;
+    }
+
+    _career() {
+        this.sm.go('route_select');
+    }
+
     _garage() {
+        this.engine.context.career = null;
         this.sm.go('bus_select');
     }
 
@@ -103,20 +152,34 @@ export class WelcomeState {
         const code = e.code;
         const key = e.key;
 
+        if (this.loadPanel) {
+            if (code === 'Escape') {
+                e.preventDefault();
+                this._closeLoadPanel();
+            }
+            return;
+        }
+
         const isEnter = code === 'Enter' || key === 'Enter';
         const isSpace = code === 'Space' || key === ' ' || key === 'Spacebar';
         const isG = code === 'KeyG' || key === 'g' || key === 'G';
         const isQ = code === 'KeyQ' || key === 'q' || key === 'Q';
+        const isC = code === 'KeyC' || key === 'c' || key === 'C';
+        const isK = code === 'KeyK' || key === 'k' || key === 'K';
+        const isL = code === 'KeyL' || key === 'l' || key === 'L';
         const is8 = code === 'Digit8' || code === 'Numpad8' || key === '8';
 
         const typed = typeof key === 'string' ? key.toUpperCase() : '';
         const scene = getSceneShortcutByKey(typed);
 
-        if (isEnter || isSpace || scene || isG || isQ || is8) e.preventDefault();
+        if (isEnter || isSpace || scene || isG || isQ || isC || isK || isL || is8) e.preventDefault();
 
         if (scene) return this._goScene(scene.id);
         if (isG) return this._garage();
         if (isQ) return this._setup();
+        if (isC) return this._career();
+        if (isK) return this._continue();
+        if (isL) return this._openLoadPanel();
         if (is8) return this._setupDebugs();
         if (isEnter || isSpace) return this._start();
     }
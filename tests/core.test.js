@@ -1145,6 +1145,55 @@ async function runTests() {
             assertTrue(ctrl.hasVehicle('v1'), 'Should have v1.');
             assertFalse(ctrl.hasVehicle('v2'), 'Should not have v2.');
         });
+
+        // Doors move with the physics step, which runs once the Rapier world exists.
+        const doorCtrl = new PhysicsController(new EventBus(), { doorTravelTime: 1.0, fixedDt: 1 / 16 });
+        await doorCtrl.whenReady();
+
+        test('PhysicsController: doors travel toward target and flag anyOpen', () => {
+            const ctrl = doorCtrl;
+            assertTrue(ctrl.ready, 'Rapier world should be ready.');
+            ctrl.addVehicle('v1', { id: 'v1' }, {}, { getDoorCount: () => 2 });
+            const stepFor = (seconds) => {
+                for (let t = 0; t < seconds; t += 1 / 16) ctrl.update(1 / 16);
+            };
+            let state = ctrl.getVehicleState('v1');
+            assertEqual(state.doors.open01.length, 2, 'Should track one value per rig door.');
+            assertFalse(state.doors.anyOpen, 'Doors should start closed.');
+
+            ctrl.setDoorsOpen('v1', true, 1);
+            stepFor(0.5);
+            state = ctrl.getVehicleState('v1');
+            assertEqual(state.doors.open01[0], 0, 'Uncommanded door should stay closed.');
+            assertEqual(state.doors.open01[1], 0.5, 'Door should be half open after half the travel time.');
+            assertTrue(state.doors.anyOpen, 'anyOpen should be set while a door is ajar.');
+
+            ctrl.setDoorsOpen('v1', false);
+            stepFor(1.0);
+            state = ctrl.getVehicleState('v1');
+            assertEqual(state.doors.open01[1], 0, 'Door should close fully.');
+            assertFalse(state.doors.anyOpen, 'anyOpen should clear once closed.');
+        });
+
+        const stalkCtrl = new PhysicsController(new EventBus());
+        stalkCtrl.addVehicle('early', { id: 'early', spec: getBusSpec('coach') }, {}, {});
+        stalkCtrl.setInput('early', { retarder: 9 });
+        await stalkCtrl.whenReady();
+
+        test('PhysicsController: retarder stalk is clamped once to the bus stages', () => {
+            const ctrl = stalkCtrl;
+            assertTrue(ctrl.ready, 'Rapier world should be ready.');
+            ctrl.update(0.1);
+            assertEqual(ctrl.getVehicleDebug('early').input.retarder, 4, 'Stalk set before the bus existed should clamp when it is built.');
+
+            ctrl.addVehicle('v1', { id: 'v1', spec: getBusSpec('coach') }, {}, {});
+            ctrl.setInput('v1', { retarder: 9 });
+            ctrl.update(0.1);
+            const drivetrain = ctrl.getVehicleState('v1').drivetrain;
+            assertEqual(drivetrain.retarderStages, 4, 'Coach retarder should have 4 stages.');
+            assertEqual(ctrl.getVehicleDebug('v1').input.retarder, 4, 'Stored stalk should stop at the last stage.');
+            assertEqual(drivetrain.retarderStage, 4, 'HUD stage should match the stored stalk.');
+        });
     } catch (e) {
         // PhysicsController not yet created - skip these tests
         console.log('⏭️  PhysicsController tests skipped (not yet created)');
@@ -1335,6 +1384,20 @@ async function runTests() {
             assertFalse(input.getControls().headlights, 'Headlights should be off.');
         });
 
+        test('InputManager: setDoorsOpen emits input:doors', () => {
+            const bus = new EventBus();
+            const input = new InputManager(bus);
+            let received = null;
+            bus.on('input:doors', (e) => { received = e; });
+
+            input.setDoorsOpen(true);
+            assertTrue(received?.open === true, 'Should emit open doors.');
+            assertTrue(input.getDoorsOpen(), 'Doors should be open.');
+
+            input.setDoorsOpen(false);
+            assertTrue(received?.open === false, 'Should emit closed doors.');
+        });
+
         test('InputManager: dispose cleans up', () => {
             const bus = new EventBus();
             const input = new InputManager(bus);
@@ -1433,6 +1496,31 @@ async function runTests() {
             assertEqual(input.steering, 0.2, 'Steering should be 0.2.');
         });
 
+        const doorBus = new EventBus();
+        const doorPhysics = new PhysicsController(doorBus);
+        await doorPhysics.whenReady();
+
+        test('VehicleController: input:doors commands physics and update drives rig doors', () => {
+            const bus = doorBus;
+            const physics = doorPhysics;
+            assertTrue(physics.ready, 'Rapier world should be ready.');
+            const applied = [];
+            const api = {
+                getDoorCount: () => 1,
+                setDoorState: (i, v) => applied.push([i, v])
+            };
+            physics.addVehicle('v1', { id: 'v1' }, {}, api);
+
+            const ctrl = new VehicleController('v1', physics, bus, { api });
+            bus.emit('input:doors', { open: true });
+            assertTrue(ctrl.getSettings().doorsOpen, 'Controller should latch doorsOpen.');
+
+            physics.update(0.1);
+            ctrl.update(0.1);
+            assertEqual(applied.length, 1, 'Rig door should be updated once.');
+            assertTrue(applied[0][1] > 0, 'Rig door should be opening.');
+        });
+
         test('VehicleController: dispose cleans up', () => {
             const bus = new EventBus();
             const physics = new PhysicsController(bus);
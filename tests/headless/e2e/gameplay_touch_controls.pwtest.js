@@ -0,0 +1,112 @@
+// Headless browser tests: touch controls steer, press the pedals and work the bus buttons via synthetic pointers.
+import test, { expect } from '@playwright/test';
+
+async function attachFailFastConsole({ page }) {
+    const errors = [];
+    await page.addInitScript(() => {
+        window.__e2eErrors = [];
+        window.addEventListener('unhandledrejection', (e) => {
+            const msg = e?.reason?.message ?? String(e?.reason ?? 'unhandledrejection');
+            window.__e2eErrors.push({ kind: 'unhandledrejection', message: msg });
+        });
+    });
+    page.on('pageerror', (err) => {
+        errors.push({ kind: 'pageerror', message: err?.message ?? String(err) });
+    });
+    page.on('console', (msg) => {
+        if (msg.type() !== 'error') return;
+        const text = msg.text();
+        const allow = [
+            'ResizeObserver loop limit exceeded'
+        ];
+        if (allow.some((s) => text.includes(s))) return;
+        errors.push({ kind: 'console.error', message: text });
+    });
+    page.on('requestfailed', (req) => {
+        const type = req.resourceType();
+        if (type !== 'script' && type !== 'document') return;
+        errors.push({ kind: 'requestfailed', message: `${req.url()} (${type})` });
+    });
+    page.on('response', (res) => {
+        const req = res.request();
+        const type = req.resourceType();
+        if (type !== 'script' && type !== 'document') return;
+        const status = res.status();
+        if (status < 400) return;
+        errors.push({ kind: 'http', message: `${status} ${res.url()} (${type})` });
+    });
+    return async () => {
+        const fromPage = await page.evaluate(() => Array.isArray(window.__e2eErrors) ? window.__e2eErrors : []);
+        return [...errors, ...fromPage];
+    };
+}
+
+// Synthetic touch pointer at a fraction of an element's box (0..1 each way).
+async function pointer(page, selector, type, fx, fy, pointerId) {
+    await page.evaluate(({ selector, type, fx, fy, pointerId }) => {
+        const el = document.querySelector(selector);
+        if (!el) throw new Error(`Missing element: ${selector}`);
+        const r = el.getBoundingClientRect();
+        const init = {
+            bubbles: true,
+            cancelable: true,
+            pointerId,
+            pointerType: 'touch',
+            isPrimary: pointerId === 1,
+            clientX: r.left + r.width * fx,
+            clientY: r.top + r.height * fy
+        };
+        el.dispatchEvent(new PointerEvent(type, init));
+    }, { selector, type, fx, fy, pointerId });
+}
+
+test('Gameplay: touch wheel, pedals and buttons drive the bus controls', async ({ page }) => {
+    const getErrors = await attachFailFastConsole({ page });
+    await page.setViewportSize({ width: 1280, height: 720 });
+
+    await page.goto('/index.html?ibl=0&bloom=0&coreTests=0&touch=1');
+    await page.waitForSelector('#ui-welcome:not(.hidden)');
+    await page.keyboard.press('Enter');
+    await page.waitForSelector('#ui-select:not(.hidden)');
+    await page.keyboard.press('G');
+    await page.waitForSelector('#hud-game.touch-mode:not(.hidden)');
+    await expect(page.locator('.touch-buttons .touch-btn')).toHaveCount(6);
+
+    const readout = page.locator('.wheel-readout');
+
+    // Grab the wheel at the top and drag it round to the right while the brake is held (second finger).
+    await pointer(page, '.wheel-wrap', 'pointerdown', 0.5, 0.05, 1);
+    await pointer(page, '.pedal:nth-child(2) .pedal-track', 'pointerdown', 0.5, 0.5, 2);
+    await pointer(page, '.wheel-wrap', 'pointermove', 0.95, 0.5, 1);
+    await expect(readout).toHaveText(/^(8\d|9\d|10\d)°$/);
+    await expect(page.locator('.pedal-value').nth(1)).not.toHaveText('0%');
+
+    // Letting go returns the wheel to centre.
+    await pointer(page, '.wheel-wrap', 'pointerup', 0.95, 0.5, 1);
+    await pointer(page, '.pedal:nth-child(2) .pedal-track', 'pointerup', 0.5, 0.5, 2);
+    await expect(readout).toHaveText('0°', { timeout: 5_000 });
+
+    // Throttle follows the finger up the track.
+    await pointer(page, '.pedal:nth-child(1) .pedal-track', 'pointerdown', 0.5, 0.5, 3);
+    await expect(page.locator('.pedal-value').first()).not.toHaveText('0%');
+    await pointer(page, '.pedal:nth-child(1) .pedal-track', 'pointerup', 0.5, 0.5, 3);
+
+    // Doors and indicator buttons toggle; the handbrake is held.
+    const doors = page.locator('.touch-btn[data-action="toggle_doors"]');
+    await pointer(page, '.touch-btn[data-action="toggle_doors"]', 'pointerdown', 0.5, 0.5, 4);
+    await pointer(page, '.touch-btn[data-action="toggle_doors"]', 'pointerup', 0.5, 0.5, 4);
+    await expect(doors).toHaveClass(/is-on/);
+
+    const left = page.locator('.touch-btn[data-action="indicator_left"]');
+    await pointer(page, '.touch-btn[data-action="indicator_left"]', 'pointerdown', 0.5, 0.5, 5);
+    await pointer(page, '.touch-btn[data-action="indicator_left"]', 'pointerup', 0.5, 0.5, 5);
+    await expect(left).toHaveClass(/is-on/);
+
+    const handbrake = page.locator('.touch-btn[data-action="handbrake"]');
+    await pointer(page, '.touch-btn[data-action="handbrake"]', 'pointerdown', 0.5, 0.5, 6);
+    await expect(handbrake).toHaveClass(/is-on/);
+    await pointer(page, '.touch-btn[data-action="handbrake"]', 'pointerup', 0.5, 0.5, 6);
+    await expect(handbrake).not.toHaveClass(/is-on/);
+
+    expect(await getErrors()).toEqual([]);
+});
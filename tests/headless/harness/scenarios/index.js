@@ -2,6 +2,7 @@
 import { scenarioEmpty } from './scenario_empty.js';
 import { scenarioCityStraightRoad } from './scenario_city_straight_road.js';
 import { scenarioCityCrossing } from './scenario_city_crossing.js';
+import { scenarioCityTraffic } from './scenario_city_traffic.js';
 import { scenarioRoadSurfaceVariationCompare } from './scenario_road_surface_variation_compare.js';
 import { scenarioAsphaltNoiseDebug } from './scenario_asphalt_noise_debug.js';
 import { scenarioRoadMarkingsTexturedAsphalt } from './scenario_road_markings_textured_asphalt.js';
@@ -19,6 +20,7 @@ const REGISTRY = new Map([
     [scenarioEmpty.id, scenarioEmpty],
     [scenarioCityStraightRoad.id, scenarioCityStraightRoad],
     [scenarioCityCrossing.id, scenarioCityCrossing],
+    [scenarioCityTraffic.id, scenarioCityTraffic],
     [scenarioRoadSurfaceVariationCompare.id, scenarioRoadSurfaceVariationCompare],
     [scenarioAsphaltNoiseDebug.id, scenarioAsphaltNoiseDebug],
     [scenarioRoadMarkingsTexturedAsphalt.id, scenarioRoadMarkingsTexturedAsphalt],
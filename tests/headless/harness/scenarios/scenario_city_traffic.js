@@ -0,0 +1,112 @@
+// City scenario: crossing with ambient AI traffic (seeded for deterministic runs).
+import { City } from '/src/graphics/visuals/city/City.js';
+import { EventBus } from '/src/app/core/EventBus.js';
+import { VehicleManager } from '/src/app/core/VehicleManager.js';
+import { createLaneGraph } from '/src/app/city/roads/LaneGraph.js';
+import { computeRoadTrafficControlPlacementsFromRoadEngineDerived } from '/src/app/road_decoration/traffic_controls/RoadTrafficControlPlacement.js';
+import { TrafficSystem } from '/src/app/traffic/TrafficSystem.js';
+import { TrafficSignalController } from '/src/app/traffic/TrafficSignalController.js';
+import { TRAFFIC_CAR_COLORS, createTrafficCar } from '/src/graphics/assets3d/models/cars/TrafficCar.js';
+import { createHarnessCitySpec } from './ScenarioCitySpec.js';
+import { createCityMetrics } from './ScenarioMetrics.js';
+
+export const scenarioCityTraffic = {
+    id: 'city_traffic',
+    async create({ engine, seed, options }) {
+        engine.clearScene();
+
+        const mapSpec = createHarnessCitySpec({
+            seed,
+            size: options?.size ?? 240,
+            mapTileSize: options?.mapTileSize ?? 24,
+            roads: [
+                { a: [1, 5], b: [8, 5], lanesF: 2, lanesB: 2, tag: 'east_west' },
+                { a: [4, 1], b: [4, 8], lanesF: 2, lanesB: 2, tag: 'north_south' }
+            ],
+            buildings: []
+        });
+
+        const city = new City({
+            size: options?.size ?? 240,
+            tileMeters: options?.tileMeters ?? 2,
+            mapTileSize: options?.mapTileSize ?? 24,
+            seed,
+            mapSpec,
+            generatorConfig: { render: { treesEnabled: false } }
+        });
+
+        engine.context.city = city;
+        city.attach(engine);
+
+        const derived = city?.roads?.debug?.derived ?? null;
+        const laneWidth = derived?.settings?.laneWidth;
+        const laneGraph = createLaneGraph({ roadNetwork: city.map.roadNetwork, roadEngine: derived, laneWidth });
+        const controls = computeRoadTrafficControlPlacementsFromRoadEngineDerived(derived, {
+            laneWidth,
+            tileSize: city.map.tileSize
+        });
+
+        const props = city.trafficControls ?? null;
+        const signals = new TrafficSignalController({
+            placements: props?.placements ?? [],
+            options: { mode: options?.signalMode ?? 'fixed' },
+            onSignalChange: ({ junctionId, approachId, signal }) => props?.setSignal?.(junctionId, approachId, signal)
+        });
+        for (const { junctionId, approachId, signal } of signals.getApproachSignals()) props?.setSignal?.(junctionId, approachId, signal);
+
+        const vehicles = new VehicleManager(new EventBus());
+        let colorIndex = 0;
+        const traffic = new TrafficSystem({
+            laneGraph,
+            controls,
+            vehicleManager: vehicles,
+            seed: `${seed}:harness`,
+            density: Number.isFinite(options?.trafficDensity) ? Number(options.trafficDensity) : 1,
+            getSignal: (control) => signals.getSignalAt(control?.placement?.position, control?.placement?.rotationY),
+            createVehicle: (agent) => {
+                const car = createTrafficCar({ name: agent.id, color: TRAFFIC_CAR_COLORS[colorIndex++ % TRAFFIC_CAR_COLORS.length] });
+                engine.scene.add(car.anchor);
+                return car;
+            },
+            destroyVehicle: (agent, car) => {
+                engine.scene.remove(car.anchor);
+                car.api?.dispose?.();
+            }
+        });
+
+        engine.camera.position.set(0, 65, 80);
+        engine.camera.lookAt(0, 0, 0);
+
+        return {
+            update(dt) {
+                signals.update(dt);
+                traffic.update(dt);
+                city.update(engine);
+            },
+            getMetrics() {
+                return {
+                    ...createCityMetrics(city),
+                    signals: signals.getTelemetry(),
+                    traffic: {
+                        ...traffic.getTelemetry(),
+                        controls: controls.length,
+                        agents: traffic.getAgents().map((a) => ({
+                            id: a.id,
+                            edgeId: a.edgeId,
+                            s: Math.round(a.s * 100) / 100,
+                            speed: Math.round(a.speed * 100) / 100
+                        }))
+                    }
+                };
+            },
+            dispose() {
+                traffic.dispose();
+                signals.dispose();
+                vehicles.clear();
+                city.detach(engine);
+                engine.context.city = null;
+                engine.clearScene();
+            }
+        };
+    }
+};
@@ -0,0 +1,156 @@
+// Node simulation tests: career shift scoring rules and the shift tracker.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EventBus } from '../../../src/app/core/EventBus.js';
+import { normalizeBusRouteSpec } from '../../../src/app/city/BusRoutes.js';
+import {
+    CAREER_VIOLATION,
+    STOP_STATUS,
+    accumulateComfort,
+    accumulateSpeeding,
+    buildTripSchedule,
+    computeShiftScore,
+    createComfortState,
+    createSpeedingState,
+    detectRedLightRun,
+    flushSpeeding,
+    scoreCollision,
+    scoreStopPunctuality
+} from '../../../src/app/career/CareerScoring.js';
+import { CareerShift, createCareerTrip } from '../../../src/app/career/CareerShift.js';
+import { runFixedSteps } from '../../shared/fixed_step.js';
+
+test('CareerScoring: trip schedule follows leg lengths, dwell and loops', () => {
+    const rules = { scheduleSpeedKph: 36, dwellSec: 20 };
+    const open = buildTripSchedule({ stopIds: ['a', 'b', 'c'], legLengths: [100, 200], departureMinutes: 360, rules });
+    assert.deepEqual(open.map((s) => [s.stopId, s.kind, s.scheduledSec]), [
+        ['a', 'departure', 21600],
+        ['b', 'arrival', 21610],
+        ['c', 'arrival', 21650]
+    ]);
+
+    const loop = buildTripSchedule({ stopIds: ['a', 'b'], legLengths: [100, 100], loop: true, departureMinutes: 360, rules });
+    assert.deepEqual(loop.map((s) => s.stopId), ['a', 'b', 'a']);
+    assert.equal(buildTripSchedule({ stopIds: ['a'], legLengths: [], departureMinutes: 0 }).length, 0);
+});
+
+test('CareerScoring: punctuality windows penalise early more than late', () => {
+    const rules = { earlyToleranceSec: 30, lateToleranceSec: 90, earlyPenaltyPerMin: 40, latePenaltyPerMin: 20 };
+    assert.deepEqual(scoreStopPunctuality({ scheduledSec: 1000, actualSec: 1060, rules }), { status: STOP_STATUS.ON_TIME, deltaSec: 60, points: 100 });
+    assert.deepEqual(scoreStopPunctuality({ scheduledSec: 1000, actualSec: 1210, rules }), { status: STOP_STATUS.LATE, deltaSec: 210, points: 60 });
+    assert.deepEqual(scoreStopPunctuality({ scheduledSec: 1000, actualSec: 850, rules }), { status: STOP_STATUS.EARLY, deltaSec: -150, points: 20 });
+    assert.deepEqual(scoreStopPunctuality({ scheduledSec: 1000, actualSec: null, rules }), { status: STOP_STATUS.MISSED, deltaSec: null, points: 0 });
+});
+
+test('CareerScoring: comfort accumulates weighted time over the jerk limits', () => {
+    const rules = { longitudinalJerkLimit: 2, lateralJerkLimit: 2, comfortPenaltyPerSec: 10 };
+    let comfort = createComfortState();
+    comfort = accumulateComfort(comfort, { dt: 1, speedKph: 20, longitudinalJerk: 1, lateralJerk: -1 }, rules);
+    assert.equal(comfort.discomfortSec, 0);
+    comfort = accumulateComfort(comfort, { dt: 0.5, speedKph: 20, longitudinalJerk: -4, lateralJerk: 0 }, rules);
+    assert.equal(comfort.discomfortSec, 1);
+    assert.equal(comfort.peakLongitudinalJerk, 4);
+    assert.equal(comfort.drivingSec, 1.5);
+    assert.equal(computeShiftScore({ stops: [{ points: 100 }], comfort, violations: [], rules }).comfort, 90);
+});
+
+test('CareerScoring: red lights, speeding episodes and collisions produce penalties', () => {
+    const rules = { junctionEntryDistance: 10, redLightMinSpeedKph: 5 };
+    const far = { junctionId: 'j', signal: 'red', distance: 14 };
+    const inside = { junctionId: 'j', signal: 'red', distance: 8 };
+    assert.equal(detectRedLightRun(far, inside, 30, rules)?.type, CAREER_VIOLATION.RED_LIGHT);
+    assert.equal(detectRedLightRun(far, { ...inside, signal: 'yellow' }, 30, rules), null);
+    assert.equal(detectRedLightRun(far, inside, 2, rules), null);
+    assert.equal(detectRedLightRun(inside, { ...inside, distance: 4 }, 30, rules), null);
+
+    const speedRules = { speedToleranceKph: 5, speedingGraceSec: 2, speedingPenalty: 20, speedingPenaltyPerSec: 1 };
+    let speeding = createSpeedingState();
+    const violations = [];
+    const step = (speedKph) => {
+        const out = accumulateSpeeding(speeding, { dt: 1, speedKph, limitKph: 50 }, speedRules);
+        speeding = out.state;
+        if (out.violation) violations.push(out.violation);
+    };
+    step(60);
+    step(50);
+    assert.equal(violations.length, 0, 'a blip shorter than the grace period is forgiven');
+    step(62);
+    step(64);
+    step(61);
+    step(40);
+    assert.equal(violations.length, 1);
+    assert.equal(violations[0].durationSec, 3);
+    assert.equal(violations[0].penalty, 23);
+    assert.equal(violations[0].peakOverKph, 14);
+    step(70);
+    step(70);
+    assert.equal(flushSpeeding(speeding, speedRules)?.durationSec, 2);
+
+    assert.ok(scoreCollision({ hitType: 'vehicle' }).penalty > scoreCollision({ hitType: 'building' }).penalty);
+
+    const score = computeShiftScore({ stops: [{ points: 100 }, { points: 50 }], comfort: createComfortState(), violations: [{ penalty: 150 }] });
+    assert.equal(score.punctuality, 75);
+    assert.equal(score.safety, 0);
+    assert.equal(score.total, 67.5);
+    assert.equal(score.grade, 'C');
+});
+
+test('CareerShift: scores stops from bus stop events and ends with a report', () => {
+    const events = new EventBus();
+    const route = normalizeBusRouteSpec({ id: 'l1', number: 3, stops: ['a', 'b', 'c'], loop: true });
+    const stops = [
+        { id: 'a', name: 'Alpha', zone: { center: { x: 0, z: 0 } } },
+        { id: 'b', name: 'Bravo', zone: { center: { x: 0, z: 220 } } },
+        { id: 'c', name: 'Charlie', zone: { center: { x: 220, z: 220 } } }
+    ];
+    const trip = createCareerTrip({ route, stops, departureMinutes: 480, rules: { scheduleSpeedKph: 22, dwellSec: 20 } });
+    assert.deepEqual(trip.map((s) => s.name), ['Alpha', 'Bravo', 'Charlie', 'Alpha']);
+    assert.equal(trip[1].scheduledSec, 480 * 60 + 36);
+
+    const reports = [];
+    const scored = [];
+    events.on('career:stopScored', (e) => scored.push(e.stopId));
+    let sample = { position: { x: 0, z: 0 }, yaw: 0, speedKph: 0, longitudinalJerk: 0, lateralJerk: 0 };
+    const shift = new CareerShift({
+        eventBus: events,
+        vehicleId: 'bus',
+        route,
+        trip,
+        rules: { shiftLeadSec: 60 },
+        getSample: () => sample,
+        getSpeedLimitKph: () => 50,
+        onComplete: (report) => reports.push(report)
+    });
+    assert.equal(shift.clockSec, 480 * 60 - 60);
+
+    // Arriving at the first stop of a loop is the start of service, not the end of the loop.
+    events.emit('stop:arrived', { vehicleId: 'bus', stopId: 'a' });
+    runFixedSteps({ ticks: 60, dt: 1, update: (dt) => shift.update(dt) });
+    events.emit('stop:departed', { vehicleId: 'bus', stopId: 'a' });
+    assert.equal(shift.getNextStop().stopId, 'b');
+
+    sample = { ...sample, speedKph: 30 };
+    runFixedSteps({ ticks: 30, dt: 1, update: (dt) => shift.update(dt) });
+    events.emit('vehicle:collision', { vehicleId: 'other', hitType: 'vehicle' });
+    events.emit('vehicle:collision', { vehicleId: 'bus', hitType: 'static' });
+    events.emit('stop:arrived', { vehicleId: 'bus', stopId: 'b' });
+    assert.equal(shift.getTelemetry('bus').servedStops, 2);
+
+    // Skipping Charlie and returning to Alpha closes the loop.
+    runFixedSteps({ ticks: 600, dt: 1, update: (dt) => shift.update(dt) });
+    events.emit('stop:arrived', { vehicleId: 'bus', stopId: 'a' });
+
+    assert.equal(reports.length, 1);
+    const report = shift.report;
+    assert.equal(report, reports[0]);
+    assert.equal(report.completed, true);
+    assert.equal(report.departure, '08:00');
+    assert.deepEqual(report.stops.map((s) => s.status), [STOP_STATUS.ON_TIME, STOP_STATUS.ON_TIME, STOP_STATUS.MISSED, STOP_STATUS.LATE]);
+    assert.deepEqual(scored, ['a', 'b', 'a']);
+    assert.deepEqual(report.violations.map((v) => v.type), [CAREER_VIOLATION.COLLISION]);
+    assert.equal(report.score.safety, 60);
+
+    shift.update(1);
+    assert.equal(shift.clockSec, report.durationSec + shift.startSec, 'the clock stops once the shift has ended');
+    shift.dispose();
+});
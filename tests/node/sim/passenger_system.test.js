@@ -0,0 +1,124 @@
+// Node simulation tests: passenger boarding/alighting and payload reporting.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EventBus } from '../../../src/app/core/EventBus.js';
+import { GameLoop } from '../../../src/app/core/GameLoop.js';
+import { PassengerSystem } from '../../../src/app/transit/PassengerSystem.js';
+import { getBusCapacity } from '../../../src/app/vehicle/buses/BusCatalog.js';
+import { runFixedSteps } from '../../shared/fixed_step.js';
+
+const STOPS = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+
+function waitingSnapshot(system) {
+    return STOPS.map((s) => system.getWaitingCount(s.id));
+}
+
+test('PassengerSystem: spawning is deterministic for a given seed', () => {
+    const run = (seed) => {
+        const system = new PassengerSystem({ eventBus: new EventBus(), stops: STOPS, seed });
+        runFixedSteps({ ticks: 600, dt: 1 / 10, update: (dt) => system.update(dt) });
+        return waitingSnapshot(system);
+    };
+    assert.deepEqual(run('s1'), run('s1'));
+    assert.ok(run('s1').every((n) => n <= 14));
+});
+
+test('PassengerSystem: boards while doors are open and respects capacity', () => {
+    const bus = new EventBus();
+    const payloads = [];
+    bus.on('vehicle:payloadChanged', (e) => payloads.push(e.payloadKg));
+    let doorsOpen = false;
+    const system = new PassengerSystem({
+        eventBus: bus,
+        stops: STOPS,
+        seed: 'board',
+        isDoorOpen: () => doorsOpen,
+        options: { spawnPerMinute: 0, initialWaitingMax: 6, maxWaitingPerStop: 6 }
+    });
+    system.addVehicle('bus', { capacity: 2 });
+    const waiting = system.getWaitingCount('a');
+    assert.ok(waiting > 2);
+
+    bus.emit('stop:arrived', { vehicleId: 'bus', stopId: 'a' });
+    system.update(10);
+    assert.equal(system.getVehicleLoad('bus').onboard, 0);
+
+    doorsOpen = true;
+    runFixedSteps({ ticks: 200, dt: 0.1, update: (dt) => system.update(dt) });
+    const expected = 2;
+    assert.equal(system.getVehicleLoad('bus').onboard, expected);
+    assert.equal(system.getWaitingCount('a'), waiting - expected);
+    assert.equal(payloads.at(-1), expected * 75);
+    assert.equal(system.getTelemetry('bus').boarded, expected);
+});
+
+test('PassengerSystem: passengers alight at their destination stop', () => {
+    const bus = new EventBus();
+    const alighted = [];
+    bus.on('passenger:alighted', (e) => alighted.push(e.stopId));
+    const system = new PassengerSystem({
+        eventBus: bus,
+        stops: [{ id: 'a' }, { id: 'b' }],
+        seed: 'alight',
+        isDoorOpen: () => true,
+        options: { spawnPerMinute: 0, initialWaitingMax: 4 }
+    });
+    system.addVehicle('bus', { capacity: 10 });
+    const waitingAtA = system.getWaitingCount('a');
+    assert.ok(waitingAtA > 0);
+
+    bus.emit('stop:arrived', { vehicleId: 'bus', stopId: 'a' });
+    runFixedSteps({ ticks: 200, dt: 0.1, update: (dt) => system.update(dt) });
+    bus.emit('stop:departed', { vehicleId: 'bus', stopId: 'a' });
+    assert.equal(system.getVehicleLoad('bus').onboard, waitingAtA);
+
+    bus.emit('stop:arrived', { vehicleId: 'bus', stopId: 'b' });
+    runFixedSteps({ ticks: 200, dt: 0.1, update: (dt) => system.update(dt) });
+    assert.equal(alighted.length, waitingAtA);
+    assert.ok(alighted.every((id) => id === 'b'));
+});
+
+test('PassengerSystem: GameLoop reports passenger telemetry for registered systems', () => {
+    const events = new EventBus();
+    const simulation = {
+        events,
+        physics: { update: () => {}, getVehicleState: () => ({ locomotion: { speedKph: 0 } }) }
+    };
+    const loop = new GameLoop(simulation);
+    const system = new PassengerSystem({ eventBus: events, stops: STOPS, seed: 'loop' });
+    system.addVehicle('bus', { capacity: getBusCapacity('city').total });
+    loop.addSystem('passengers', system);
+    loop.update(1 / 60);
+
+    const telemetry = loop.getTelemetry('bus');
+    assert.equal(telemetry.passengers.capacity, 90);
+    assert.equal(telemetry.passengers.onboard, 0);
+    loop.dispose();
+});
+
+test('PassengerSystem: wheelchair passengers need the ramp deployed', () => {
+    const bus = new EventBus();
+    let ramp = false;
+    const system = new PassengerSystem({
+        eventBus: bus,
+        stops: [{ id: 'a' }, { id: 'b' }],
+        seed: 'ramp',
+        isDoorOpen: () => true,
+        isRampDeployed: () => ramp,
+        options: { spawnPerMinute: 0, initialWaitingMax: 5, wheelchairShare: 1 }
+    });
+    system.addVehicle('bus', { capacity: 10 });
+    const waiting = system.getWaitingCount('a');
+    assert.ok(waiting > 0);
+
+    bus.emit('stop:arrived', { vehicleId: 'bus', stopId: 'a' });
+    runFixedSteps({ ticks: 200, dt: 0.1, update: (dt) => system.update(dt) });
+    assert.equal(system.getVehicleLoad('bus').onboard, 0);
+    assert.equal(system.getTelemetry('bus').needsRamp, true);
+
+    ramp = true;
+    runFixedSteps({ ticks: 100 * waiting, dt: 0.1, update: (dt) => system.update(dt) });
+    assert.equal(system.getVehicleLoad('bus').onboard, waiting);
+    assert.equal(system.getTelemetry('bus').needsRamp, false);
+    assert.ok(system.getSnapshot().vehicles.bus.onboard.every((pax) => pax.wheelchair === true));
+});
@@ -0,0 +1,161 @@
+// Node simulation tests: AI traffic on the lane graph (IDM following, controls, determinism).
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRoadNetworkFromWorldSegments } from '../../../src/app/city/roads/RoadNetwork.js';
+import { LANE_EDGE_KIND, createLaneGraph } from '../../../src/app/city/roads/LaneGraph.js';
+import { EventBus } from '../../../src/app/core/EventBus.js';
+import { VEHICLE_PHYSICS, VehicleManager } from '../../../src/app/core/VehicleManager.js';
+import { computeIdmAcceleration } from '../../../src/app/traffic/IntelligentDriverModel.js';
+import {
+    TRAFFIC_CONTROL_KIND,
+    TRAFFIC_SIGNAL,
+    TrafficSystem,
+    bindTrafficControlsToLaneGraph
+} from '../../../src/app/traffic/TrafficSystem.js';
+
+function makeCrossGraph() {
+    const roadNetwork = createRoadNetworkFromWorldSegments([
+        { a: { x: -100, z: 0 }, b: { x: 100, z: 0 }, lanesF: 2, lanesB: 2 },
+        { a: { x: 0, z: -100 }, b: { x: 0, z: 100 }, lanesF: 1, lanesB: 1 }
+    ], { origin: { x: 0, z: 0 }, tileSize: 24 });
+    return createLaneGraph({ roadNetwork, laneWidth: 4 });
+}
+
+// Eastbound lane edge that ends at the central junction.
+function findEastboundApproach(graph) {
+    const edge = graph.getEdges().find((e) => {
+        if (e.kind !== LANE_EDGE_KIND.LANE) return false;
+        const to = graph.getNode(e.to);
+        return Math.abs(to.heading) < 1e-6 && to.position.x < 0 && graph.getOutgoing(to.id).some((o) => o.kind === LANE_EDGE_KIND.TURN);
+    });
+    assert.ok(edge, 'expected an eastbound approach lane');
+    return edge;
+}
+
+function placementAt(graph, edge, kind) {
+    const exit = graph.getNode(edge.to);
+    return {
+        kind,
+        junctionId: exit.junctionNodeId ?? 'j0',
+        approach: edge.id,
+        position: { x: exit.position.x + 1, z: exit.position.z + 2 },
+        rotationY: Math.atan2(1, 0)
+    };
+}
+
+function runSeconds(traffic, seconds, dt = 1 / 30) {
+    for (let t = 0; t < seconds; t += dt) traffic.update(dt);
+}
+
+test('IntelligentDriverModel: accelerates on a free road and brakes when closing on a slow leader', () => {
+    const free = computeIdmAcceleration({ speed: 5, desiredSpeed: 14 });
+    assert.ok(free > 0);
+    const atTarget = computeIdmAcceleration({ speed: 14, desiredSpeed: 14 });
+    assert.ok(Math.abs(atTarget) < 1e-9);
+    const closing = computeIdmAcceleration({ speed: 14, desiredSpeed: 14, gap: 8, leaderSpeed: 0 });
+    assert.ok(closing < -2);
+    assert.ok(closing >= -8);
+});
+
+test('TrafficSystem: binds controls to the approach exit node by heading', () => {
+    const graph = makeCrossGraph();
+    const edge = findEastboundApproach(graph);
+    const controls = bindTrafficControlsToLaneGraph(graph, [placementAt(graph, edge, TRAFFIC_CONTROL_KIND.STOP_SIGN)]);
+    const bound = controls.get(edge.to);
+    assert.ok(bound);
+    assert.equal(bound.kind, TRAFFIC_CONTROL_KIND.STOP_SIGN);
+    assert.equal(bound.axis, 0);
+    for (const [nodeId] of controls) {
+        assert.ok(Math.abs(graph.getNode(nodeId).heading) < 1e-6, 'only eastbound exits match an eastbound placement');
+    }
+});
+
+test('TrafficSystem: same seed produces the same traffic', () => {
+    const run = () => {
+        const traffic = new TrafficSystem({ laneGraph: makeCrossGraph(), seed: 'determinism', density: 1 });
+        runSeconds(traffic, 10);
+        return traffic.getAgents().map((a) => [a.id, a.edgeId, a.s.toFixed(6), a.speed.toFixed(6)]);
+    };
+    const a = run();
+    assert.ok(a.length > 0);
+    assert.equal(a.length, new TrafficSystem({ laneGraph: makeCrossGraph(), density: 1 }).getTargetCount());
+    assert.deepEqual(a, run());
+});
+
+test('TrafficSystem: follower keeps a safe gap behind a slower leader', () => {
+    const graph = makeCrossGraph();
+    const edge = findEastboundApproach(graph);
+    const traffic = new TrafficSystem({ laneGraph: graph, density: 0 });
+    const leader = traffic.spawnAgent({ edgeId: edge.id, s: 40, speed: 2 });
+    const follower = traffic.spawnAgent({ edgeId: edge.id, s: 5, speed: 12 });
+    leader.speedFactor = 0.2;
+
+    let minGap = Infinity;
+    for (let i = 0; i < 300; i++) {
+        traffic.update(1 / 30);
+        if (leader.edgeId !== follower.edgeId) break;
+        minGap = Math.min(minGap, leader.s - follower.s - traffic.options.carLength);
+    }
+    assert.ok(Number.isFinite(minGap));
+    assert.ok(minGap > 1, `gap collapsed to ${minGap}`);
+    assert.ok(follower.speed < 6, 'follower slowed to the leader pace');
+});
+
+test('TrafficSystem: stops at a red light and waits at a stop sign', () => {
+    const graph = makeCrossGraph();
+    const edge = findEastboundApproach(graph);
+
+    const lit = new TrafficSystem({
+        laneGraph: graph,
+        controls: [placementAt(graph, edge, TRAFFIC_CONTROL_KIND.TRAFFIC_LIGHT)],
+        getSignal: () => TRAFFIC_SIGNAL.RED,
+        density: 0
+    });
+    const car = lit.spawnAgent({ edgeId: edge.id, s: 10, speed: 10 });
+    runSeconds(lit, 30);
+    assert.equal(car.edgeId, edge.id);
+    assert.ok(car.speed < 0.1);
+    assert.ok(car.s + lit.options.carLength * 0.5 <= edge.length - lit.options.stopLineOffset + 0.6);
+
+    const signed = new TrafficSystem({
+        laneGraph: graph,
+        controls: [placementAt(graph, edge, TRAFFIC_CONTROL_KIND.STOP_SIGN)],
+        density: 0
+    });
+    const driver = signed.spawnAgent({ edgeId: edge.id, s: 10, speed: 10 });
+    let stopped = false;
+    for (let i = 0; i < 900 && driver.edgeId === edge.id; i++) {
+        signed.update(1 / 30);
+        if (driver.stop?.arrivedAt !== null && driver.stop?.arrivedAt !== undefined) stopped = true;
+    }
+    assert.ok(stopped, 'driver came to a stop at the sign');
+    assert.notEqual(driver.edgeId, edge.id, 'driver proceeded after yielding');
+});
+
+test('TrafficSystem: registers kinematic vehicles with VehicleManager', () => {
+    const bus = new EventBus();
+    const added = [];
+    const removed = [];
+    bus.on('vehicle:added', (e) => added.push(e));
+    bus.on('vehicle:removed', (e) => removed.push(e));
+    const vehicles = new VehicleManager(bus);
+    const poses = [];
+
+    const graph = makeCrossGraph();
+    const traffic = new TrafficSystem({
+        laneGraph: graph,
+        vehicleManager: vehicles,
+        physics: { setKinematicPose: (id, pose) => poses.push([id, pose.x, pose.z]) },
+        createVehicle: () => ({ vehicle: {}, anchor: { position: { set() {} }, rotation: { y: 0 } }, api: {} }),
+        density: 0
+    });
+    const agent = traffic.spawnAgent({ edgeId: findEastboundApproach(graph).id, s: 5 });
+
+    assert.equal(added.length, 1);
+    assert.equal(added[0].physics, VEHICLE_PHYSICS.KINEMATIC);
+    assert.ok(poses.some(([id]) => id === agent.id));
+
+    traffic.dispose();
+    assert.equal(removed.length, 1);
+    assert.equal(vehicles.hasVehicle(agent.id), false);
+});
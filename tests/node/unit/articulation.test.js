@@ -0,0 +1,72 @@
+// Node unit tests: articulated bus config, articulation angle, trailer pose behind the joint and swept envelope.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    buildArticulationConfig,
+    computeArticulationAngle,
+    computeHitchPosition,
+    computeSweptEnvelope,
+    computeTrailerPose,
+    sectionPointToWorld
+} from '../../../src/app/physics/simulations/ArticulationSim.js';
+import { getBusSpec } from '../../../src/app/vehicle/buses/BusCatalog.js';
+
+const DEG = Math.PI / 180;
+
+test('Articulation: rigid buses have no config and defaults fill a partial one', () => {
+    assert.equal(buildArticulationConfig(null), null);
+    assert.equal(buildArticulationConfig(undefined), null);
+    const config = buildArticulationConfig({ maxAngleDeg: 120 }, { width: 2.5 });
+    assert.equal(config.width, 2.5);
+    assert.equal(config.maxAngle, 85 * DEG);
+    assert.ok(Math.abs(config.totalLength - 18) < 1e-9);
+    assert.ok(Math.abs(config.hitchZ + (config.frontLength + config.bellowsLength) * 0.5) < 1e-9);
+});
+
+test('Articulation: angle is the wrapped trailer yaw relative to the front section', () => {
+    assert.ok(Math.abs(computeArticulationAngle(0.2, 0.5) - 0.3) < 1e-9);
+    assert.ok(Math.abs(computeArticulationAngle(Math.PI - 0.1, -Math.PI + 0.1) - 0.2) < 1e-9);
+});
+
+test('Articulation: the trailer sits straight behind the joint and swings about it', () => {
+    const config = buildArticulationConfig({});
+    const pose = { position: { x: 3, z: -4 }, yaw: 0 };
+    const hitch = computeHitchPosition(config, pose);
+    assert.ok(Math.abs(hitch.z - (pose.position.z + config.hitchZ)) < 1e-9);
+
+    const straight = computeTrailerPose(config, pose, 0);
+    assert.ok(Math.abs(straight.position.x - 3) < 1e-9);
+    assert.ok(straight.position.z < hitch.z);
+
+    const bent = computeTrailerPose(config, pose, 30 * DEG);
+    const joint = Math.hypot(bent.position.x - hitch.x, bent.position.z - hitch.z);
+    assert.ok(Math.abs(joint - Math.abs(config.trailerOffsetZ)) < 1e-9);
+    assert.ok(Math.abs(bent.yaw - 30 * DEG) < 1e-9);
+
+    const turned = { position: { x: 0, z: 0 }, yaw: 90 * DEG };
+    const ahead = sectionPointToWorld(turned, { x: 0, z: 1 });
+    assert.ok(Math.abs(ahead.x - 1) < 1e-9 && Math.abs(ahead.z) < 1e-9);
+});
+
+test('Articulation: tail swing and swept width grow as the bus bends', () => {
+    const config = buildArticulationConfig({}, { width: 2.55 });
+    const straight = computeSweptEnvelope(config, 0);
+    assert.ok(straight.tailSwing < 1e-9);
+    assert.ok(Math.abs(straight.sweptWidth - 2.55) < 1e-9);
+
+    const left = computeSweptEnvelope(config, 30 * DEG);
+    const more = computeSweptEnvelope(config, 45 * DEG);
+    assert.ok(left.tailSwing > 0);
+    assert.ok(more.tailSwing > left.tailSwing);
+    assert.ok(more.sweptWidth > left.sweptWidth);
+    assert.equal(computeSweptEnvelope(config, -30 * DEG).tailSide, -left.tailSide);
+});
+
+test('Articulation: the catalog articulated bus is an 18 m three-axle bus', () => {
+    const spec = getBusSpec('articulated');
+    assert.ok(spec);
+    assert.equal(spec.wheelCount, 6);
+    const config = buildArticulationConfig(spec.articulation, { width: spec.dimensions.width });
+    assert.ok(Math.abs(config.totalLength - spec.dimensions.length) < 1e-6);
+    assert.equal(buildArticulationConfig(getBusSpec('city')?.articulation), null);
+});
@@ -0,0 +1,232 @@
+// Node unit tests: engine / tyre sound model, ambience emitters, audio settings and BusAudio on an AudioContext stand-in.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EventBus } from '../../../src/app/core/EventBus.js';
+import {
+    computeEngineSound,
+    computeTyreSound,
+    createCityAmbienceEmitters,
+    pickAmbienceEmitters
+} from '../../../src/app/audio/AudioMix.js';
+import { sanitizeAudioSettings } from '../../../src/app/audio/AudioSettings.js';
+import { BusAudio } from '../../../src/app/audio/BusAudio.js';
+
+// Minimal OfflineAudioContext-style stand-in: params jump to their targets, nodes record what was created / started.
+class FakeParam {
+    constructor(value = 0) {
+        this.value = value;
+    }
+    setTargetAtTime(value) {
+        this.value = value;
+    }
+    setValueAtTime(value) {
+        this.value = value;
+    }
+    linearRampToValueAtTime(value) {
+        this.value = value;
+    }
+}
+
+class FakeNode {
+    constructor(ctx, kind) {
+        this.kind = kind;
+        this.started = false;
+        ctx.nodes.push(this);
+    }
+    connect(node) {
+        return node;
+    }
+    start() {
+        this.started = true;
+    }
+    stop() {}
+}
+
+class FakeAudioContext {
+    constructor() {
+        this.nodes = [];
+        this.sampleRate = 8000;
+        this.currentTime = 0;
+        this.state = 'running';
+        this.destination = {};
+        this.listener = { positionX: new FakeParam(), positionY: new FakeParam(), positionZ: new FakeParam() };
+    }
+    createGain() {
+        return Object.assign(new FakeNode(this, 'gain'), { gain: new FakeParam(1) });
+    }
+    createBiquadFilter() {
+        return Object.assign(new FakeNode(this, 'filter'), { type: 'lowpass', frequency: new FakeParam(350), Q: new FakeParam(1) });
+    }
+    createOscillator() {
+        return Object.assign(new FakeNode(this, 'oscillator'), { type: 'sine', frequency: new FakeParam(440) });
+    }
+    createBufferSource() {
+        return Object.assign(new FakeNode(this, 'source'), { buffer: null, loop: false, playbackRate: new FakeParam(1) });
+    }
+    createPanner() {
+        return Object.assign(new FakeNode(this, 'panner'), {
+            positionX: new FakeParam(),
+            positionY: new FakeParam(),
+            positionZ: new FakeParam()
+        });
+    }
+    createBuffer(channels, length) {
+        const data = new Float32Array(length);
+        return { length, getChannelData: () => data };
+    }
+    suspend() {
+        this.state = 'suspended';
+        return Promise.resolve();
+    }
+    resume() {
+        this.state = 'running';
+        return Promise.resolve();
+    }
+    close() {
+        this.state = 'closed';
+        return Promise.resolve();
+    }
+}
+
+test('AudioMix: engine layers crossfade with rpm and electric buses whine instead', () => {
+    const idle = computeEngineSound({ rpm: 650, load: 0 });
+    assert.deepEqual(idle.layers.map((l) => l.gain), [0.45, 0, 0]);
+    assert.equal(idle.firingHz, 32.5);
+
+    // Halfway between idle and low: equal power, both at cos(45°).
+    const mid = computeEngineSound({ rpm: 975, load: 1 });
+    assert.ok(Math.abs(mid.layers[0].gain - Math.SQRT1_2) < 1e-9);
+    assert.ok(Math.abs(mid.layers[1].gain - Math.SQRT1_2) < 1e-9);
+    assert.ok(mid.layers[1].cutoffHz > idle.layers[1].cutoffHz);
+
+    const high = computeEngineSound({ rpm: 3000, load: 0.5 });
+    assert.deepEqual(high.layers.map((l) => l.gain > 0), [false, false, true]);
+    assert.equal(high.layers[2].hz, 300);
+
+    const off = computeEngineSound({ rpm: 0, load: 0 });
+    assert.ok(off.layers.every((l) => l.gain === 0));
+
+    const electric = computeEngineSound({ rpm: 1500, load: 1, powertrain: 'electric' });
+    assert.ok(electric.layers.every((l) => l.gain === 0));
+    assert.equal(electric.whineHz, 200);
+    assert.equal(electric.whineGain, 1);
+});
+
+test('AudioMix: tyres roll with speed and squeal on slip or hard cornering, never standing still', () => {
+    assert.deepEqual(computeTyreSound({ speedMps: 0, slip: 0.9 }), { roll: 0, rollCutoffHz: 200, skid: 0 });
+    const cruising = computeTyreSound({ speedMps: 22, slip: 0.05, lateralAccel: 1 });
+    assert.equal(cruising.roll, 1);
+    assert.equal(cruising.skid, 0);
+    assert.equal(computeTyreSound({ speedMps: 10, slip: -0.6 }).skid, 1);
+    assert.equal(computeTyreSound({ speedMps: 10, lateralAccel: -5 }).skid, 0.5);
+});
+
+test('AudioMix: ambience emitters from stops and signalled junctions, nearest in range first', () => {
+    const emitters = createCityAmbienceEmitters({
+        busStops: [{ id: 's1', shelterPosition: { x: 10, y: 0.2, z: 0 } }, { id: 'bad' }],
+        trafficControls: [
+            { kind: 'traffic_light', junctionId: 'j1', position: { x: 40, y: 0, z: 0 } },
+            { kind: 'traffic_light', junctionId: 'j1', position: { x: 50, y: 0, z: 10 } },
+            { kind: 'stop_sign', junctionId: 'j2', position: { x: 0, y: 0, z: 0 } }
+        ]
+    });
+    assert.deepEqual(emitters.map((e) => e.id), ['stop:s1', 'junction:j1']);
+    assert.deepEqual(emitters[1].position, { x: 45, y: 1, z: 5 });
+
+    const picked = pickAmbienceEmitters(emitters, { x: 60, z: 0 }, { emitterRangeM: 30 });
+    assert.deepEqual(picked.map((p) => p.emitter.id), ['junction:j1']);
+    assert.deepEqual(pickAmbienceEmitters(emitters, { x: 0, z: 0 }).map((p) => p.emitter.id), ['stop:s1', 'junction:j1']);
+
+    assert.deepEqual(sanitizeAudioSettings({ masterVolume: 3, effectsVolume: 'x', enabled: 0 }), {
+        enabled: false,
+        masterVolume: 1,
+        effectsVolume: 1
+    });
+});
+
+test('BusAudio: follows the bus state, horn, indicator relay, doors and volumes', () => {
+    const bus = new EventBus();
+    const ctx = new FakeAudioContext();
+    const state = {
+        drivetrain: { rpm: 650, torque: 200, powertrain: 'diesel' },
+        locomotion: { speed: 0, lateralAccel: 0, position: { x: 0, y: 0, z: 0 } },
+        tyres: { slip: 0 },
+        doors: { open01: [0, 0] }
+    };
+    const signals = { lampOn: false };
+    const audio = new BusAudio({
+        eventBus: bus,
+        vehicleId: 'player',
+        getVehicleState: () => state,
+        getTurnSignals: () => signals,
+        emitters: [{ id: 'stop:a', kind: 'stop', position: { x: 5, z: 5 } }],
+        settings: { masterVolume: 0.5, effectsVolume: 0.25 },
+        createContext: () => ctx
+    });
+    const g = audio._graph;
+    assert.equal(g.master.gain.value, 0.5);
+    assert.equal(g.effects.gain.value, 0.25);
+
+    audio.update(1 / 60);
+    assert.ok(g.engine[0].gain.gain.value > 0);
+    assert.equal(g.engine[1].gain.gain.value, 0);
+    // Ambience voice parked at the stop.
+    const voice = g.voices.find((v) => v.emitterId === 'stop:a');
+    assert.equal(voice.panner.positionX.value, 5);
+    assert.ok(voice.gain.gain.value > 0);
+
+    state.drivetrain.rpm = 1800;
+    state.locomotion.speed = 15;
+    audio.update(1 / 60);
+    assert.equal(g.engine[0].gain.gain.value, 0);
+    assert.ok(g.engine[2].gain.gain.value > 0);
+    assert.equal(g.engine[2].osc.frequency.value, 180);
+    assert.ok(g.roll.gain.gain.value > 0);
+
+    bus.emit('vehicle:horn', { vehicleId: 'other', on: true });
+    assert.equal(g.horn.gain.value, 0);
+    bus.emit('vehicle:horn', { vehicleId: 'player', on: true });
+    assert.ok(g.horn.gain.value > 0);
+
+    // One relay click per lamp edge, one hiss when the doors start moving.
+    const sources = () => ctx.nodes.filter((n) => n.kind === 'source' && !n.loop).length;
+    const before = sources();
+    signals.lampOn = true;
+    audio.update(1 / 60);
+    audio.update(1 / 60);
+    signals.lampOn = false;
+    audio.update(1 / 60);
+    assert.equal(sources(), before + 2);
+    state.doors.open01 = [0.1, 0.1];
+    audio.update(1 / 60);
+    state.doors.open01 = [0.2, 0.2];
+    audio.update(1 / 60);
+    assert.equal(sources(), before + 3);
+
+    audio.setSettings({ enabled: false, masterVolume: 0.5 });
+    assert.equal(g.master.gain.value, 0);
+
+    audio.setPaused(true);
+    assert.equal(ctx.state, 'suspended');
+    audio.setPaused(false);
+    assert.equal(ctx.state, 'running');
+
+    const frames = new Set();
+    audio.attach({ addFrameListener: (fn) => { frames.add(fn); return () => frames.delete(fn); } });
+    assert.equal(frames.size, 1);
+    audio.dispose();
+    assert.equal(frames.size, 0);
+    assert.equal(ctx.state, 'closed');
+});
+
+test('BusAudio: without Web Audio everything is a silent no-op', () => {
+    const bus = new EventBus();
+    const audio = new BusAudio({ eventBus: bus, vehicleId: 'player', getVehicleState: () => null });
+    assert.equal(audio.ctx, null);
+    audio.update(1 / 60, null);
+    audio.resume();
+    audio.setPaused(true);
+    audio.setSettings({ masterVolume: 0.3 });
+    bus.emit('vehicle:horn', { vehicleId: 'player', on: true });
+    audio.dispose();
+});
@@ -0,0 +1,161 @@
+// Node unit tests: bus route specs, timetables, lane-graph auto-routing and validation.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createCityConfig } from '../../../src/app/city/CityConfig.js';
+import { CityMap } from '../../../src/app/city/CityMap.js';
+import { computeBusStopPlacements } from '../../../src/app/city/BusStopPlacement.js';
+import { LANE_EDGE_KIND, LaneGraph, createLaneGraphFromCityMap } from '../../../src/app/city/roads/LaneGraph.js';
+import {
+    BUS_ROUTE_ISSUE,
+    exportBusRoutesJson,
+    getBusMinTurnRadius,
+    getRouteDepartures,
+    normalizeBusRouteSpec,
+    parseBusRoutesJson,
+    resolveBusRoute
+} from '../../../src/app/city/BusRoutes.js';
+
+function makeLoopCity(routes = []) {
+    const cfg = createCityConfig({ size: 240, mapTileSize: 24, seed: 'routes' });
+    const spec = {
+        version: 1,
+        seed: 'routes',
+        width: cfg.map.width,
+        height: cfg.map.height,
+        tileSize: cfg.map.tileSize,
+        origin: cfg.map.origin,
+        roads: [
+            { a: [1, 1], b: [8, 1], lanesF: 1, lanesB: 1, tag: 'road' },
+            { a: [8, 1], b: [8, 8], lanesF: 1, lanesB: 1, tag: 'road' },
+            { a: [8, 8], b: [1, 8], lanesF: 1, lanesB: 1, tag: 'road' },
+            { a: [1, 8], b: [1, 1], lanesF: 1, lanesB: 1, tag: 'road' }
+        ],
+        buildings: [],
+        stops: [
+            { id: 'a', roadId: 0, offset: 40, side: 'right' },
+            { id: 'b', roadId: 0, offset: 120, side: 'right' },
+            { id: 'c', roadId: 2, offset: 80, side: 'right' },
+            { id: 'd', roadId: 0, offset: 100, side: 'left' }
+        ],
+        routes
+    };
+    const map = CityMap.fromSpec(spec, cfg);
+    return { cfg, map, graph: createLaneGraphFromCityMap(map), stops: computeBusStopPlacements({ map }) };
+}
+
+test('BusRoutes: specs normalize, round-trip through CityMap and JSON', () => {
+    const { cfg, map } = makeLoopCity([
+        { id: 'l1', number: 7, color: '#00AA88', stops: ['a', ' c '], timetable: { headwayMinutes: 15, firstDeparture: '06:00', lastDeparture: '07:00' } },
+        { stops: [] },
+        { id: 'l1', stops: ['b', 'c'] },
+        { stops: ['c', 'a'], loop: true, busId: 'nope', legs: [['x'], ['y']], timetable: { departures: ['09:30', '08:05', 'bad', '08:05'] } }
+    ]);
+
+    assert.deepEqual(map.routes.map((r) => r.id), ['l1', 'route_4']);
+    const [l1, r4] = map.routes;
+    assert.equal(l1.number, '7');
+    assert.equal(l1.name, 'Line 7');
+    assert.equal(l1.color, '#00aa88');
+    assert.deepEqual(l1.stops, ['a', 'c']);
+    assert.equal(l1.legs, null);
+    assert.equal(r4.busId, 'city');
+    assert.deepEqual(r4.legs, [['x'], ['y']]);
+    assert.deepEqual(r4.timetable, { departures: ['08:05', '09:30'] });
+
+    assert.deepEqual(getRouteDepartures(l1), [360, 375, 390, 405, 420]);
+    assert.deepEqual(getRouteDepartures(r4), [485, 570]);
+
+    const round = map.exportSpec({ seed: 'routes', version: 1 });
+    assert.deepEqual(CityMap.fromSpec(round, cfg).exportSpec({ seed: 'routes', version: 1 }).routes, round.routes);
+    assert.deepEqual(parseBusRoutesJson(exportBusRoutesJson(map.routes)), map.routes);
+    assert.deepEqual(parseBusRoutesJson(JSON.stringify(round)), map.routes);
+    assert.equal(parseBusRoutesJson('{"roads":[]}'), null);
+    assert.equal(parseBusRoutesJson('not json'), null);
+});
+
+test('BusRoutes: legs auto-route between stops and flag unreachable stops', () => {
+    const { graph, stops } = makeLoopCity();
+
+    const direct = resolveBusRoute({ graph, route: normalizeBusRouteSpec({ stops: ['a', 'b'] }), stops });
+    assert.equal(direct.ok, true);
+    assert.equal(direct.legs[0].edgeIds.length, 1);
+    assert.ok(Math.abs(direct.length - 80) < 1e-6);
+
+    const around = resolveBusRoute({ graph, route: normalizeBusRouteSpec({ stops: ['a', 'c'] }), stops });
+    assert.equal(around.ok, true);
+    const edges = around.legs[0].edgeIds.map((id) => graph.getEdge(id));
+    assert.ok(edges.some((e) => e.kind === LANE_EDGE_KIND.TURN));
+    for (let i = 1; i < edges.length; i++) assert.equal(edges[i - 1].to, edges[i].from);
+
+    // Stop `d` serves the opposite direction; without U-turn connectors it cannot be reached from `a`.
+    const opposite = resolveBusRoute({ graph, route: normalizeBusRouteSpec({ stops: ['a', 'd'] }), stops });
+    assert.equal(opposite.ok, false);
+    assert.deepEqual(opposite.issues.map((i) => i.code), [BUS_ROUTE_ISSUE.UNREACHABLE]);
+
+    const unknown = resolveBusRoute({ graph, route: normalizeBusRouteSpec({ stops: ['a', 'zz'] }), stops });
+    assert.equal(unknown.ok, false);
+    assert.equal(unknown.issues[0].code, BUS_ROUTE_ISSUE.UNKNOWN_STOP);
+
+    const single = resolveBusRoute({ graph, route: normalizeBusRouteSpec({ stops: ['a'] }), stops });
+    assert.equal(single.issues[0].code, BUS_ROUTE_ISSUE.TOO_FEW_STOPS);
+});
+
+test('BusRoutes: stored legs are reused and stale legs are re-routed', () => {
+    const { graph, stops } = makeLoopCity();
+    const fresh = resolveBusRoute({ graph, route: normalizeBusRouteSpec({ stops: ['a', 'c'] }), stops });
+    const legs = fresh.legs.map((l) => l.edgeIds);
+
+    const stored = resolveBusRoute({ graph, route: normalizeBusRouteSpec({ stops: ['a', 'c'], legs }), stops });
+    assert.deepEqual(stored.legs[0].edgeIds, legs[0]);
+    assert.ok(Math.abs(stored.length - fresh.length) < 1e-6);
+    assert.equal(stored.issues.some((i) => i.code === BUS_ROUTE_ISSUE.STALE_PATH), false);
+
+    const stale = resolveBusRoute({ graph, route: normalizeBusRouteSpec({ stops: ['a', 'c'], legs: [['le:gone']] }), stops });
+    assert.equal(stale.ok, true);
+    assert.deepEqual(stale.legs[0].edgeIds, legs[0]);
+    assert.equal(stale.issues.filter((i) => i.code === BUS_ROUTE_ISSUE.STALE_PATH).length, 1);
+});
+
+test('BusRoutes: tight turns scale with bus length and hairpins are U-turns', () => {
+    assert.ok(getBusMinTurnRadius('coach') > getBusMinTurnRadius({ dimensions: { length: 8 }, tuning: { maxSteerDeg: 38 } }));
+
+    const { graph, stops } = makeLoopCity();
+    const route = normalizeBusRouteSpec({ stops: ['a', 'c'] });
+    const lenient = resolveBusRoute({ graph, route, stops, options: { turnRadiusTolerance: 0 } });
+    assert.equal(lenient.issues.length, 0);
+    const strict = resolveBusRoute({ graph, route, stops, options: { turnRadiusTolerance: 10 } });
+    assert.equal(strict.ok, true);
+    assert.ok(strict.issues.length > 0 && strict.issues.every((i) => i.code === BUS_ROUTE_ISSUE.TIGHT_TURN));
+
+    const hairpin = new LaneGraph();
+    const node = (id, x, z, heading) => hairpin.addNode({ id, role: 'entry', position: { x, z }, heading });
+    const edge = (id, kind, from, to, points) => {
+        let length = 0;
+        for (let i = 1; i < points.length; i++) length += Math.hypot(points[i].x - points[i - 1].x, points[i].z - points[i - 1].z);
+        hairpin.addEdge({ id, kind, from, to, length, cost: length, time: length / 10, speed: 10, points });
+    };
+    node('n0', 0, 0, 0);
+    node('n1', 50, 0, 0);
+    node('n2', 50, 8, Math.PI);
+    node('n3', 0, 8, Math.PI);
+    const arc = [];
+    for (let i = 0; i <= 12; i++) {
+        const t = -Math.PI / 2 + (Math.PI * i) / 12;
+        arc.push({ x: 50 + 4 * Math.cos(t), z: 4 + 4 * Math.sin(t) });
+    }
+    edge('east', LANE_EDGE_KIND.LANE, 'n0', 'n1', [{ x: 0, z: 0 }, { x: 50, z: 0 }]);
+    edge('hairpin', LANE_EDGE_KIND.TURN, 'n1', 'n2', arc);
+    edge('west', LANE_EDGE_KIND.LANE, 'n2', 'n3', [{ x: 50, z: 8 }, { x: 0, z: 8 }]);
+    hairpin.finalize();
+
+    const hairpinStops = [
+        { id: 's1', zone: { center: { x: 10, z: 0 } }, travelDir: { x: 1, z: 0 } },
+        { id: 's2', zone: { center: { x: 10, z: 8 } }, travelDir: { x: -1, z: 0 } }
+    ];
+    const result = resolveBusRoute({ graph: hairpin, route: normalizeBusRouteSpec({ stops: ['s1', 's2'] }), stops: hairpinStops });
+    assert.deepEqual(result.legs[0].edgeIds, ['east', 'hairpin', 'west']);
+    assert.equal(result.ok, false);
+    const codes = result.issues.map((i) => i.code);
+    assert.ok(codes.includes(BUS_ROUTE_ISSUE.U_TURN));
+    assert.ok(codes.includes(BUS_ROUTE_ISSUE.TIGHT_TURN));
+});
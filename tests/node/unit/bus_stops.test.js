@@ -0,0 +1,91 @@
+// Node unit tests: bus stop specs, placements and the stop service loop.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EventBus } from '../../../src/app/core/EventBus.js';
+import { createCityConfig } from '../../../src/app/city/CityConfig.js';
+import { CityMap } from '../../../src/app/city/CityMap.js';
+import { BUS_STOP_SIDE, computeBusStopPlacements, isPointInBusStopZone } from '../../../src/app/city/BusStopPlacement.js';
+import { BusStopService } from '../../../src/app/transit/BusStopService.js';
+
+function makeSpec(cfg, stops) {
+    return {
+        version: 1,
+        seed: 'stops',
+        width: cfg.map.width,
+        height: cfg.map.height,
+        tileSize: cfg.map.tileSize,
+        origin: cfg.map.origin,
+        roads: [{ a: [0, 2], b: [cfg.map.width - 1, 2], lanesF: 2, lanesB: 1, tag: 'road' }],
+        buildings: [],
+        stops
+    };
+}
+
+test('BusStopPlacement: stops round-trip through CityMap spec and drop invalid records', () => {
+    const cfg = createCityConfig({ size: 120, mapTileSize: 24, seed: 'stops' });
+    const map = CityMap.fromSpec(makeSpec(cfg, [
+        { id: 'a', name: 'Alpha', roadId: 0, offset: 30, side: 'right' },
+        { roadId: 0, offset: 50, side: 'left' },
+        { id: 'bad_road', roadId: 7, offset: 10 },
+        { id: 'bad_offset', roadId: 0, offset: -1 },
+        { id: 'a', roadId: 0, offset: 60 }
+    ]), cfg);
+
+    assert.deepEqual(map.stops.map((s) => s.id), ['a', 'stop_2']);
+    const round = map.exportSpec({ seed: 'stops', version: 1 });
+    assert.deepEqual(round.stops, [
+        { id: 'a', name: 'Alpha', roadId: 0, offset: 30, side: 'right' },
+        { id: 'stop_2', name: 'stop_2', roadId: 0, offset: 50, side: 'left' }
+    ]);
+    assert.deepEqual(CityMap.fromSpec(round, cfg).exportSpec({ seed: 'stops', version: 1 }).stops, round.stops);
+});
+
+test('BusStopPlacement: zones sit in the curb lane on the requested side', () => {
+    const cfg = createCityConfig({ size: 120, mapTileSize: 24, seed: 'stops' });
+    const map = CityMap.fromSpec(makeSpec(cfg, [
+        { id: 'r', roadId: 0, offset: 30, side: BUS_STOP_SIDE.RIGHT },
+        { id: 'l', roadId: 0, offset: 30, side: BUS_STOP_SIDE.LEFT }
+    ]), cfg);
+    const [r, l] = computeBusStopPlacements({ map, generatorConfig: { road: { laneWidth: 4 } } });
+    const centerZ = map.tileToWorldCenter(0, 2).z;
+
+    assert.ok(Math.abs(r.zone.center.z - (centerZ + 6)) < 1e-9);
+    assert.ok(Math.abs(l.zone.center.z - (centerZ - 2)) < 1e-9);
+    assert.ok(r.travelDir.x > 0.99 && l.travelDir.x < -0.99);
+    assert.ok(r.shelterPosition.z > r.zone.center.z);
+    assert.equal(isPointInBusStopZone(r, { x: r.zone.center.x + 8, z: r.zone.center.z + 1 }), true);
+    assert.equal(isPointInBusStopZone(r, { x: r.zone.center.x, z: centerZ }), false);
+});
+
+test('BusStopService: arrival needs doors open and low speed; departure fires on leaving the zone', () => {
+    const bus = new EventBus();
+    const events = [];
+    bus.on('stop:arrived', (e) => events.push(['arrived', e.stopId]));
+    bus.on('stop:departed', (e) => events.push(['departed', e.stopId, e.dwell]));
+
+    const stop = {
+        id: 's1',
+        name: 'Stop 1',
+        zone: { center: { x: 0, z: 0 }, dir: { x: 1, z: 0 }, halfLength: 9, halfWidth: 2 }
+    };
+    const service = new BusStopService({ eventBus: bus, stops: [stop] });
+    const sample = (x, speedKph, doorsOpen) => ({ vehicleId: 'player', position: { x, z: 0 }, speedKph, doorsOpen });
+
+    service.update(0.5, sample(0, 20, true));
+    service.update(0.5, sample(0, 0, false));
+    assert.equal(events.length, 0);
+
+    service.update(0.5, sample(1, 0.5, true));
+    assert.deepEqual(events, [['arrived', 's1']]);
+    assert.equal(service.getServedStop('player').stopId, 's1');
+
+    service.update(2.0, sample(3, 10, false));
+    assert.equal(events.length, 1);
+    service.update(1.0, sample(20, 25, false));
+    assert.deepEqual(events[1], ['departed', 's1', 3]);
+    assert.equal(service.getServedStop('player'), null);
+
+    // Without door state, stopping in the zone is enough.
+    service.update(0.5, { vehicleId: 'player', position: { x: 0, z: 0 }, speedKph: 0 });
+    assert.deepEqual(events[2], ['arrived', 's1']);
+});
@@ -0,0 +1,93 @@
+// Node unit tests: static city collider descriptors.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createCityConfig } from '../../../src/app/city/CityConfig.js';
+import { CityMap } from '../../../src/app/city/CityMap.js';
+import { createDemoCitySpec } from '../../../src/app/city/specs/DemoCitySpec.js';
+import {
+    STATIC_COLLIDER_TYPE,
+    buildBuildingColliderShapes,
+    buildCityStaticColliderShapes,
+    buildCurbColliderShape,
+    buildTrafficControlColliderShapes
+} from '../../../src/app/physics/colliders/CityStaticColliders.js';
+
+test('CityStaticColliders: footprint loops become rotated wall boxes', () => {
+    const map = {
+        buildings: [{
+            id: 'b1',
+            floors: 2,
+            floorHeight: 3,
+            footprintLoops: [[{ x: 0, z: 0 }, { x: 10, z: 0 }, { x: 10, z: 4 }, { x: 0, z: 4 }]]
+        }]
+    };
+    const shapes = buildBuildingColliderShapes(map, { groundY: 1, wallThickness: 0.4 });
+    assert.equal(shapes.length, 4);
+    for (const s of shapes) {
+        assert.equal(s.type, STATIC_COLLIDER_TYPE.BUILDING);
+        assert.equal(s.shape, 'cuboid');
+        assert.equal(s.sourceId, 'b1');
+        assert.equal(s.halfExtents.y, 3);
+        assert.equal(s.center.y, 4);
+    }
+    assert.equal(shapes[0].halfExtents.x, 5.2);
+    assert.equal(shapes[0].center.x, 5);
+    assert.ok(Math.abs(shapes[0].rotationY) < 1e-9);
+    assert.ok(Math.abs(Math.abs(shapes[1].rotationY) - Math.PI / 2) < 1e-9);
+});
+
+test('CityStaticColliders: tile buildings fall back to per-tile blocks', () => {
+    const config = createCityConfig({ size: 200, mapTileSize: 24, seed: 'demo' });
+    const map = CityMap.fromSpec(createDemoCitySpec(config), config);
+    const shapes = buildBuildingColliderShapes({
+        tileSize: map.tileSize,
+        tileToWorldCenter: (x, y) => map.tileToWorldCenter(x, y),
+        buildings: [{ id: 'tiles', floors: 3, floorHeight: 3, tiles: [[0, 0], [1, 0]] }]
+    });
+    assert.equal(shapes.length, 2);
+    assert.equal(shapes[0].halfExtents.x, map.tileSize * 0.5);
+    assert.equal(shapes[0].halfExtents.y, 4.5);
+});
+
+test('CityStaticColliders: curb triangles are indexed sequentially', () => {
+    const shape = buildCurbColliderShape(new Float32Array([0, 0, 0, 1, 0, 0, 0, 0, 1, 5]));
+    assert.equal(shape.shape, 'trimesh');
+    assert.equal(shape.type, STATIC_COLLIDER_TYPE.CURB);
+    assert.equal(shape.vertices.length, 9);
+    assert.deepEqual(Array.from(shape.indices), [0, 1, 2]);
+    assert.equal(buildCurbColliderShape(null), null);
+});
+
+test('CityStaticColliders: traffic control poles scale with placement', () => {
+    const shapes = buildTrafficControlColliderShapes([
+        { kind: 'traffic_light', nodeId: 'n1', position: { x: 1, y: 0.2, z: 2 }, scale: 2 },
+        { kind: 'stop_sign', nodeId: 'n2', position: { x: 3, y: 0.2, z: 4 }, scale: 1.1 },
+        { kind: 'unknown', position: { x: 0, y: 0, z: 0 } }
+    ]);
+    assert.equal(shapes.length, 2);
+    assert.equal(shapes[0].type, STATIC_COLLIDER_TYPE.TRAFFIC_LIGHT);
+    assert.equal(shapes[0].shape, 'cylinder');
+    assert.equal(shapes[0].sourceId, 'n1');
+    assert.ok(Math.abs(shapes[0].halfHeight - 2.2) < 1e-9);
+    assert.ok(Math.abs(shapes[0].center.y - 2.4) < 1e-9);
+    assert.equal(shapes[1].type, STATIC_COLLIDER_TYPE.STOP_SIGN);
+});
+
+test('CityStaticColliders: demo city yields deterministic building colliders', () => {
+    const config = createCityConfig({ size: 200, mapTileSize: 24, seed: 'demo' });
+    const map = CityMap.fromSpec(createDemoCitySpec(config), config);
+    const a = buildCityStaticColliderShapes({ map });
+    const b = buildCityStaticColliderShapes({ map });
+    assert.deepEqual(a, b);
+    assert.ok(a.length > 0);
+    assert.equal(a.every((s) => s.type === STATIC_COLLIDER_TYPE.BUILDING), true);
+});
+
+test('CityStaticColliders: broken city numbers throw instead of turning into colliders at the origin', () => {
+    const loop = [{ x: 0, z: 0 }, { x: 10, z: 0 }, { x: 10, z: Number.NaN }];
+    assert.throws(() => buildBuildingColliderShapes({ buildings: [{ id: 'b1', footprintLoops: [loop] }] }), /footprint point 2\.z/);
+    assert.throws(() => buildBuildingColliderShapes({ buildings: [{ id: 'b1', floors: '2' }] }), /floors/);
+    assert.throws(() => buildCurbColliderShape([0, 0, 0, 1, 0, 0, 0, Infinity, 1]), /curb position 7/);
+    assert.throws(() => buildTrafficControlColliderShapes([{ kind: 'stop_sign', position: { x: 1, z: null } }]), /position\.z/);
+    assert.throws(() => buildCityStaticColliderShapes({ groundY: Number.NaN }), /groundY/);
+});
@@ -0,0 +1,159 @@
+// Node unit tests: crash damage zones, mechanical effects, panel dents, collision reports, snapshots and the depot repair action.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EventBus } from '../../../src/app/core/EventBus.js';
+import {
+    applyImpact,
+    buildDamageConfig,
+    classifyImpactZone,
+    computeDamageEffects,
+    computeDentOffset,
+    computeImpactEnergy,
+    createDamageState,
+    repairDamage,
+    restoreDamage,
+    snapshotDamage
+} from '../../../src/app/physics/simulations/DamageSim.js';
+import { applyCollisionDamage, syncDamageEffects } from '../../../src/app/physics/simulations/CollisionDamage.js';
+import { DamageSystem } from '../../../src/app/vehicle/DamageSystem.js';
+
+const HALF = { x: 1.3, z: 6 };
+
+test('Damage: impacts land in the zone facing the contact point', () => {
+    assert.equal(classifyImpactZone({ x: 0.2, z: 6 }, HALF), 'front');
+    assert.equal(classifyImpactZone({ x: -0.5, z: -6 }, HALF), 'rear');
+    assert.equal(classifyImpactZone({ x: -1.3, z: 3 }, HALF), 'left');
+    assert.equal(classifyImpactZone({ x: 1.3, z: -2 }, HALF), 'right');
+    assert.ok(Math.abs(computeImpactEnergy(60000, 12000) - 150000) < 1e-6);
+});
+
+test('Damage: scrapes are ignored, hits accumulate up to a wrecked zone', () => {
+    const config = buildDamageConfig({ zoneEnergy: 100000 });
+    const state = createDamageState();
+    assert.equal(applyImpact(config, state, { energy: 500, local: { x: 0, z: 6 }, halfExtents: HALF }), null);
+    assert.equal(state.revision, 0);
+
+    const hit = applyImpact(config, state, { energy: 40000, local: { x: -1, z: -6 }, halfExtents: HALF });
+    assert.deepEqual(hit, { zone: 'rear', amount: 0.4 });
+    assert.ok(Math.abs(state.zones.rear.at + 1) < 1e-9);
+    applyImpact(config, state, { energy: 90000, local: { x: 1, z: -6 }, halfExtents: HALF });
+    assert.equal(state.zones.rear.level, 1);
+    assert.ok(state.zones.rear.at > -1 && state.zones.rear.at < 1);
+
+    const effects = computeDamageEffects(config, state);
+    assert.ok(Math.abs(effects.powerFactor - (1 - config.maxPowerLoss)) < 1e-9);
+    assert.equal(effects.steerOffset, 0);
+    assert.equal(effects.level, 0.25);
+});
+
+test('Damage: front corner hits pull the steering and break the headlight on that side', () => {
+    const config = buildDamageConfig({});
+    const state = createDamageState();
+    applyImpact(config, state, { energy: 80000, local: { x: 1.0, z: 6 }, halfExtents: HALF });
+    assert.ok(state.alignment > 0);
+    assert.deepEqual(state.headlights, [false, true]);
+
+    for (let i = 0; i < 20; i++) applyImpact(config, state, { energy: 300000, local: { x: 1.3, z: 4 }, halfExtents: HALF });
+    assert.ok(Math.abs(state.alignment - config.maxSteerOffset) < 1e-9);
+    applyImpact(config, state, { energy: 80000, local: { x: 0, z: 6 }, halfExtents: HALF });
+    assert.deepEqual(state.headlights, [true, true]);
+
+    const restored = restoreDamage(config, createDamageState(), JSON.parse(JSON.stringify(snapshotDamage(state))));
+    assert.deepEqual(snapshotDamage(restored), snapshotDamage(state));
+
+    const revision = state.revision;
+    repairDamage(state);
+    assert.equal(state.revision, revision + 1);
+    assert.deepEqual(computeDamageEffects(config, state), { steerOffset: 0, powerFactor: 1, headlights: [false, false], level: 0 });
+});
+
+test('Damage: dents push the struck face in and fade with depth and distance', () => {
+    const config = buildDamageConfig({});
+    const state = createDamageState();
+    applyImpact(config, state, { energy: 200000, local: { x: -1.3, z: 2 }, halfExtents: HALF });
+    const bounds = { minX: -1.3, maxX: 1.3, minZ: -6, maxZ: 6 };
+    const center = { x: 0, z: 0 };
+    const atHit = computeDentOffset(config, state.zones, bounds, center, { x: -1.3, y: 1, z: 2 });
+    const inside = computeDentOffset(config, state.zones, bounds, center, { x: -0.5, y: 1, z: 2 });
+    const far = computeDentOffset(config, state.zones, bounds, center, { x: -1.3, y: 1, z: -5 });
+    assert.ok(atHit.x > 0);
+    assert.ok(inside.x < atHit.x);
+    assert.equal(far.x, 0);
+    assert.deepEqual(computeDentOffset(config, state.zones, bounds, center, { x: 1.3, y: 1, z: 2 }), { x: 0, z: 0 });
+});
+
+test('CollisionDamage: contact points are read in the frame of the body that was hit', () => {
+    const config = buildDamageConfig(null);
+    const state = createDamageState();
+    // Front body at (10, 0, 5) turned 90° left, so its nose points along +X.
+    const s45 = Math.SQRT1_2;
+    const front = { translation: () => ({ x: 10, y: 0, z: 5 }), rotation: () => ({ x: 0, y: s45, z: 0, w: s45 }) };
+    const collision = { point: { x: 16, y: 0.5, z: 5.8 }, impulse: 8000 };
+    const hit = applyCollisionDamage(config, state, collision, { body: front, halfExtents: HALF, mass: 12000 });
+    assert.equal(hit.zone, 'front');
+    assert.equal(collision.damageZone, 'front');
+    assert.equal(collision.damageAmount, hit.amount);
+    assert.ok(state.zones.front.level > 0);
+
+    const effects = syncDamageEffects(config, state);
+    assert.equal(state.level, effects.level);
+    assert.equal(state.powerFactor, effects.powerFactor);
+    assert.ok(effects.steerOffset !== 0);
+
+    // Trailer hits: its tail is the bus rear and its front half counts as the flanks.
+    const trailerBody = { translation: () => ({ x: 0, y: 0, z: 0 }), rotation: () => ({ x: 0, y: 0, z: 0, w: 1 }) };
+    const trailer = { config: { trailerLength: 6 }, bodyConfig: { hitchZ: -5, trailerOffsetZ: -3.5 } };
+    const onTrailer = (point) => applyCollisionDamage(config, createDamageState(), { point, impulse: 8000 }, {
+        body: trailerBody, trailer, halfExtents: HALF, mass: 12000
+    })?.zone;
+    assert.equal(onTrailer({ x: 0.2, y: 0, z: -3 }), 'rear');
+    assert.equal(onTrailer({ x: -0.2, y: 0, z: 3 }), 'left');
+    assert.equal(onTrailer({ x: 0.2, y: 0, z: 3 }), 'right');
+
+    assert.equal(applyCollisionDamage(null, state, collision, { body: front, halfExtents: HALF, mass: 12000 }), null);
+    assert.equal(applyCollisionDamage(config, state, { point: null, impulse: 8000 }, { body: front, halfExtents: HALF, mass: 12000 }), null);
+});
+
+test('DamageSystem: repairs only a damaged bus stopped in the depot bay', () => {
+    const bus = new EventBus();
+    const depot = { id: 'd', zone: { center: { x: 0, z: 0 }, halfLength: 15, halfWidth: 2, dir: { x: 1, z: 0 } } };
+    const damage = { ...createDamageState(), level: 0.3, powerFactor: 0.8 };
+    const locomotion = { position: { x: 100, z: 0 }, speed: 0 };
+    const repaired = [];
+    let repairs = 0;
+    const system = new DamageSystem({
+        eventBus: bus,
+        vehicleId: 'bus',
+        depot,
+        getState: () => ({ locomotion, damage }),
+        repair: () => {
+            repairs += 1;
+            damage.level = 0;
+            return true;
+        }
+    });
+    bus.on('damage:repaired', (e) => repaired.push(e));
+
+    system.update(1 / 60);
+    bus.emit('input:repair', {});
+    assert.equal(repairs, 0);
+
+    locomotion.position.x = 0;
+    locomotion.speed = 3;
+    system.update(1 / 60);
+    assert.equal(system.getTelemetry('bus').inDepot, true);
+    assert.equal(system.requestRepair(), false);
+
+    locomotion.speed = 0;
+    system.update(1 / 60);
+    assert.equal(system.getTelemetry('bus').canRepair, true);
+    bus.emit('input:repair', {});
+    assert.equal(repairs, 1);
+    assert.deepEqual(repaired, [{ vehicleId: 'bus', depotId: 'd', level: 0.3 }]);
+    assert.equal(system.requestRepair(), false);
+
+    system.dispose();
+    damage.level = 0.5;
+    bus.emit('input:repair', {});
+    assert.equal(repairs, 1);
+});
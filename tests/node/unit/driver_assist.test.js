@@ -0,0 +1,120 @@
+// Node unit tests: driver assists (ABS, traction control, stability control) and their player settings.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    computeDriverAssist,
+    computeReferenceYawRate,
+    createDriverAssistState,
+    getDriverAssistDebug,
+    resolveDriverAssistConfig
+} from '../../../src/app/physics/simulations/DriverAssistSim.js';
+import {
+    DRIVER_ASSIST_SETTINGS_DEFAULTS,
+    sanitizeDriverAssistSettings
+} from '../../../src/app/vehicle/DriverAssistSettings.js';
+import { getBusSpec } from '../../../src/app/vehicle/buses/BusCatalog.js';
+
+const NORMAL = 25000;
+const FRICTION_SLIP = 1;
+
+function makeWheels({ brake = 0, drive = 0 } = {}) {
+    return [
+        { x: -1.2, isFront: true, brakeForce: brake, driveForce: 0, normalForce: NORMAL },
+        { x: 1.2, isFront: true, brakeForce: brake, driveForce: 0, normalForce: NORMAL },
+        { x: -1.2, isFront: false, brakeForce: brake, driveForce: drive, normalForce: NORMAL },
+        { x: 1.2, isFront: false, brakeForce: brake, driveForce: drive, normalForce: NORMAL }
+    ];
+}
+
+function run(state, config, frames, input) {
+    let out = null;
+    for (let i = 0; i < frames; i++) {
+        out = computeDriverAssist(state, config, {
+            dt: 1 / 60,
+            yawRate: 0,
+            steerAngle: 0,
+            wheelbase: 6,
+            wheelRadius: 0.55,
+            frictionSlip: FRICTION_SLIP,
+            maxBrakeForce: 40000,
+            ...input
+        });
+    }
+    return out;
+}
+
+test('DriverAssist: ABS releases brake force on wheels heading into lock', () => {
+    const config = resolveDriverAssistConfig(null);
+    const state = createDriverAssistState(4);
+    const out = run(state, config, 30, { speed: 15, wheels: makeWheels({ brake: NORMAL * 3 }) });
+    assert.ok(state.abs.active);
+    assert.equal(state.abs.count, 1);
+    for (const f of out.brakeForces) assert.ok(f < NORMAL * 3);
+
+    const off = resolveDriverAssistConfig(null, { abs: false });
+    const offState = createDriverAssistState(4);
+    const offOut = run(offState, off, 30, { speed: 15, wheels: makeWheels({ brake: NORMAL * 3 }) });
+    assert.equal(offState.abs.active, false);
+    assert.deepEqual(offOut.brakeForces, [NORMAL * 3, NORMAL * 3, NORMAL * 3, NORMAL * 3]);
+    assert.ok(offState.wheels[0].slip < -0.5);
+});
+
+test('DriverAssist: ABS leaves a brake within grip alone', () => {
+    const state = createDriverAssistState(4);
+    const out = run(state, resolveDriverAssistConfig(null), 60, { speed: 15, wheels: makeWheels({ brake: NORMAL * 0.5 }) });
+    assert.equal(state.abs.active, false);
+    assert.deepEqual(out.brakeForces, [NORMAL * 0.5, NORMAL * 0.5, NORMAL * 0.5, NORMAL * 0.5]);
+});
+
+test('DriverAssist: traction control cuts drive force on wheelspin and recovers', () => {
+    const config = resolveDriverAssistConfig(null);
+    const state = createDriverAssistState(4);
+    const out = run(state, config, 30, { speed: 2, wheels: makeWheels({ drive: NORMAL * 4 }) });
+    assert.ok(state.tcs.active);
+    assert.ok(state.tcsFactor < 1);
+    assert.ok(out.driveForces[2] < NORMAL * 4);
+    assert.equal(out.driveForces[0], 0);
+
+    run(state, config, 120, { speed: 2, wheels: makeWheels({ drive: NORMAL * 0.3 }) });
+    assert.equal(state.tcsFactor, 1);
+    assert.equal(state.tcs.active, false);
+    assert.equal(getDriverAssistDebug(state, config).tcs.count, 1);
+});
+
+test('DriverAssist: stability control brakes the outer front on oversteer and the inner rear on understeer', () => {
+    const config = resolveDriverAssistConfig(null);
+    const steerAngle = 0.1;
+    const ref = computeReferenceYawRate(12, steerAngle, 6, config.esc);
+    assert.ok(ref > 0);
+
+    // Oversteer: yaw rate too high; a corrective (negative) yaw moment comes from braking a wheel at negative x.
+    const over = createDriverAssistState(4);
+    const outOver = run(over, config, 1, { speed: 12, steerAngle, yawRate: ref + 0.4, wheels: makeWheels() });
+    assert.equal(over.esc.mode, 'oversteer');
+    assert.ok(outOver.brakeForces[0] > 0);
+    assert.deepEqual(outOver.brakeForces.slice(1), [0, 0, 0]);
+
+    // Understeer: yaw rate too low; brake the rear wheel at positive x.
+    const under = createDriverAssistState(4);
+    const outUnder = run(under, config, 1, { speed: 12, steerAngle, yawRate: ref * 0.2, wheels: makeWheels({ drive: 5000 }) });
+    assert.equal(under.esc.mode, 'understeer');
+    assert.ok(outUnder.brakeForces[3] > 0);
+    assert.equal(outUnder.driveForces[3], 0);
+    assert.ok(outUnder.driveForces[2] < 5000);
+
+    const off = createDriverAssistState(4);
+    run(off, resolveDriverAssistConfig(null, { esc: false }), 1, { speed: 12, steerAngle, yawRate: ref + 0.4, wheels: makeWheels() });
+    assert.equal(off.esc.active, false);
+});
+
+test('DriverAssist: bus tuning overrides defaults and toggles can only disable', () => {
+    const config = resolveDriverAssistConfig(getBusSpec('coach').tuning.driverAssist, { abs: true, tcs: false });
+    assert.equal(config.wheelInertia, 30);
+    assert.equal(config.abs.slipThreshold, 0.18);
+    assert.equal(config.abs.enabled, true);
+    assert.equal(config.tcs.enabled, false);
+    assert.equal(resolveDriverAssistConfig({ esc: { enabled: false } }, { esc: true }).esc.enabled, false);
+
+    assert.deepEqual(sanitizeDriverAssistSettings(null), DRIVER_ASSIST_SETTINGS_DEFAULTS);
+    assert.deepEqual(sanitizeDriverAssistSettings({ abs: false, tcs: 'no' }), { abs: false, tcs: true, esc: true });
+});
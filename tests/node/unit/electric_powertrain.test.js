@@ -0,0 +1,143 @@
+// Node unit tests: electric motor torque curve, regen blending, battery state of charge, hybrid assist and the catalog powertrain pick.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    buildElectricConfig,
+    computeElectricOutput,
+    computeMotorTorqueLimit,
+    computeRegenForceLimit,
+    createElectricState,
+    normalizePowertrainType,
+    requestDirectionShift,
+    restoreElectricState,
+    snapshotElectricState
+} from '../../../src/app/physics/simulations/ElectricPowertrainSim.js';
+import { getBusSpec } from '../../../src/app/vehicle/buses/BusCatalog.js';
+
+const DT = 1 / 60;
+const WHEEL_RADIUS = 0.55;
+const MASS = 12000;
+
+function makeElectric(electric = null, type = 'electric') {
+    const config = buildElectricConfig(electric, 1, type);
+    return { config, state: createElectricState(config) };
+}
+
+// Point-mass bus: motor force accelerates it, regen slows it, friction brakes are ignored.
+function drive({ config, state }, { seconds, speed = 0, ...input }) {
+    let v = speed;
+    let out = null;
+    const frames = Math.round(seconds / DT);
+    for (let i = 0; i < frames; i++) {
+        out = computeElectricOutput(config, state, { speed: v, wheelRadius: WHEEL_RADIUS, dt: DT, ...input });
+        v = Math.max(0, v + ((out.driveForceTotal - out.regenForce) / MASS) * DT);
+    }
+    return { out, speed: v };
+}
+
+test('ElectricPowertrain: flat torque up to base speed, constant power above, nothing past max rpm', () => {
+    const { motor } = buildElectricConfig({ motor: { maxTorque: 2000, maxPowerKw: 200, maxRpm: 4000 } }, 1);
+    const omegaAt = (rpm) => rpm * Math.PI * 2 / 60;
+    assert.equal(computeMotorTorqueLimit(motor, 0), 2000);
+    assert.equal(computeMotorTorqueLimit(motor, omegaAt(900)), 2000);
+    const high = computeMotorTorqueLimit(motor, omegaAt(3000));
+    assert.ok(Math.abs(high * omegaAt(3000) - 200000) < 1);
+    assert.equal(computeMotorTorqueLimit(motor, omegaAt(4100)), 0);
+});
+
+test('ElectricPowertrain: driving drains the battery and reports consumption per km', () => {
+    const bus = makeElectric();
+    const { out, speed } = drive(bus, { seconds: 20, throttle: 0.7 });
+    assert.ok(speed > 8, `speed ${speed}`);
+    assert.ok(out.powerKw > 0);
+    assert.ok(bus.state.soc < bus.config.battery.initialSoc);
+    assert.ok(out.consumptionKwhPerKm > 0);
+    assert.ok(out.rangeKm > 0);
+
+    // An empty battery cuts traction.
+    bus.state.soc = bus.config.battery.minSoc;
+    const empty = computeElectricOutput(bus.config, bus.state, { speed: 5, wheelRadius: WHEEL_RADIUS, throttle: 1, dt: DT });
+    assert.equal(empty.driveForceTotal, 0);
+});
+
+test('ElectricPowertrain: regen takes the brake demand first and leaves the rest to the friction brakes', () => {
+    const bus = makeElectric();
+    const limit = computeRegenForceLimit(bus.config, bus.state, 12, WHEEL_RADIUS);
+    assert.ok(limit > 0);
+
+    const light = computeElectricOutput(bus.config, bus.state, { speed: 12, wheelRadius: WHEEL_RADIUS, throttle: 0, brakeForce: limit * 0.5, dt: DT });
+    assert.equal(light.frictionBrakeForce, 0);
+    assert.ok(light.powerKw < 0);
+
+    const hard = computeElectricOutput(bus.config, bus.state, { speed: 12, wheelRadius: WHEEL_RADIUS, throttle: 0, brakeForce: limit * 3, dt: DT });
+    assert.ok(Math.abs(hard.frictionBrakeForce - limit * 2) < 1);
+
+    // Regen fades out near standstill.
+    const crawl = computeElectricOutput(bus.config, bus.state, { speed: 0, wheelRadius: WHEEL_RADIUS, throttle: 0, brakeForce: 5000, dt: DT });
+    assert.equal(crawl.frictionBrakeForce, 5000);
+
+    // Braking from speed recovers charge; a full battery refuses it.
+    const before = bus.state.soc;
+    drive(bus, { seconds: 3, speed: 15, throttle: 0, brakeForce: limit * 2 });
+    assert.ok(bus.state.soc > before);
+    assert.ok(bus.state.regenKwh > 0);
+    bus.state.soc = 1;
+    assert.equal(computeRegenForceLimit(bus.config, bus.state, 12, WHEEL_RADIUS), 0);
+});
+
+test('ElectricPowertrain: the regen stalk adds off-throttle regen over the coast level', () => {
+    const coast = (regenLevel, throttle = 0) => {
+        const bus = makeElectric();
+        return computeElectricOutput(bus.config, bus.state, { speed: 12, wheelRadius: WHEEL_RADIUS, throttle, regenLevel, dt: DT }).regenForce;
+    };
+    assert.ok(coast(0) > 0);
+    assert.ok(coast(1) > coast(0.5));
+    assert.ok(coast(0.5) > coast(0));
+    assert.equal(coast(1, 0.5), 0);
+});
+
+test('ElectricPowertrain: a hybrid assists above its target charge and recharges from the engine below it', () => {
+    const hybrid = makeElectric({ battery: { capacityKwh: 20, initialSoc: 0.7 }, hybrid: { targetSoc: 0.6 } }, 'hybrid');
+    const step = (input) => computeElectricOutput(hybrid.config, hybrid.state, { speed: 10, wheelRadius: WHEEL_RADIUS, dt: DT, throttle: 0.6, engineDriving: true, ...input });
+    const assist = step({});
+    assert.ok(assist.driveForceTotal > 0);
+    assert.equal(step({ direction: 0 }).driveForceTotal, 0);
+
+    hybrid.state.soc = 0.4;
+    const charge = step({});
+    assert.ok(charge.driveForceTotal < 0);
+    assert.ok(charge.charging);
+    assert.ok(hybrid.state.soc > 0.4);
+    assert.equal(step({ engineDriving: false }).driveForceTotal, 0);
+});
+
+test('ElectricPowertrain: drive selector and snapshot round trip', () => {
+    const bus = makeElectric();
+    assert.equal(bus.state.direction, 1);
+    assert.equal(requestDirectionShift(bus.state, 1), false);
+    requestDirectionShift(bus.state, -1);
+    requestDirectionShift(bus.state, -1);
+    assert.equal(bus.state.direction, -1);
+    const reverse = computeElectricOutput(bus.config, bus.state, { speed: 0, wheelRadius: WHEEL_RADIUS, throttle: 1, dt: DT });
+    assert.ok(reverse.driveForceTotal < 0);
+
+    drive(bus, { seconds: 2, throttle: 0.5 });
+    const snap = JSON.parse(JSON.stringify(snapshotElectricState(bus.state)));
+    const restored = restoreElectricState(createElectricState(bus.config), snap);
+    assert.deepEqual(snapshotElectricState(restored), snap);
+    assert.equal(restoreElectricState(createElectricState(bus.config), { soc: 4, direction: 9 }).soc, 1);
+});
+
+test('ElectricPowertrain: catalog buses pick a powertrain, unknown values fall back to diesel', () => {
+    assert.equal(getBusSpec('city').powertrain, 'diesel');
+    assert.equal(getBusSpec('coach').powertrain, 'diesel');
+    assert.equal(getBusSpec('double').powertrain, 'diesel');
+    assert.equal(getBusSpec('city_electric').powertrain, 'electric');
+    assert.equal(getBusSpec('double_hybrid').powertrain, 'hybrid');
+    assert.equal(normalizePowertrainType('Electric'), 'electric');
+    assert.equal(normalizePowertrainType('steam'), 'diesel');
+
+    const double = buildElectricConfig(getBusSpec('double_hybrid').tuning.electric, 1, 'hybrid');
+    assert.equal(double.hybrid.targetSoc, 0.6);
+    assert.equal(buildElectricConfig(getBusSpec('city_electric').tuning.electric, 1).hybrid, null);
+});
@@ -0,0 +1,152 @@
+// Node unit tests: engine fuel burn, running dry, depot placement, refuel/charge transfers and session consumption stats.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createCityConfig } from '../../../src/app/city/CityConfig.js';
+import { CityMap } from '../../../src/app/city/CityMap.js';
+import { computeDepotPlacement, isPointInDepot } from '../../../src/app/city/DepotPlacement.js';
+import {
+    buildEngineConfig,
+    computeEngineOutput,
+    computeFuelRate,
+    createEngineState,
+    refuelEngine,
+    setTransmissionMode
+} from '../../../src/app/physics/simulations/EngineTransmissionSim.js';
+import { buildElectricConfig, chargeBattery, createElectricState } from '../../../src/app/physics/simulations/ElectricPowertrainSim.js';
+import {
+    accumulateEnergyStats,
+    computeDepotTransfer,
+    createEnergyStats,
+    recordDepotTransfer,
+    summarizeEnergyStats
+} from '../../../src/app/vehicle/EnergyStats.js';
+import { EnergySystem } from '../../../src/app/vehicle/EnergySystem.js';
+
+const DT = 1 / 60;
+const WHEEL_RADIUS = 0.55;
+
+function makeMap(depot) {
+    const cfg = createCityConfig({ size: 120, mapTileSize: 24, seed: 'depot' });
+    return CityMap.fromSpec({
+        version: 1,
+        seed: 'depot',
+        width: cfg.map.width,
+        height: cfg.map.height,
+        tileSize: cfg.map.tileSize,
+        origin: cfg.map.origin,
+        roads: [{ a: [0, 2], b: [cfg.map.width - 1, 2], lanesF: 2, lanesB: 1, tag: 'road' }],
+        buildings: [],
+        depot
+    }, cfg);
+}
+
+test('Fuel: idle burn is the floor and consumption rises with load', () => {
+    const config = buildEngineConfig({ maxTorque: 2300 }, 1);
+    assert.equal(computeFuelRate(config, { rpm: 0, torque: 0, running: false }), 0);
+    const idle = computeFuelRate(config, { rpm: config.idleRpm, torque: 0, running: true });
+    assert.equal(idle, config.idleFuelLph);
+    const part = computeFuelRate(config, { rpm: 1400, torque: 800, running: true });
+    const full = computeFuelRate(config, { rpm: 1400, torque: 2000, running: true });
+    assert.ok(part > idle);
+    assert.ok(full > part);
+    // Part load costs more fuel per kWh than full load.
+    assert.ok(part / 800 > full / 2000);
+});
+
+test('Fuel: an idling engine burns its tank, stalls when dry and restarts after refuelling', () => {
+    const config = buildEngineConfig({ maxTorque: 2300, tankLiters: 1, initialFuel: 0.01 }, 1);
+    const state = createEngineState(config);
+    setTransmissionMode(state, 'auto');
+    let out = null;
+    for (let i = 0; i < 60 * 30; i++) out = computeEngineOutput(config, state, 0, WHEEL_RADIUS, 0, DT, 2);
+    assert.equal(out.outOfFuel, true);
+    assert.equal(out.stalled, true);
+    assert.ok(state.idleFuelLiters > 0);
+    assert.ok(Math.abs(state.fuelUsedLiters - 0.01) < 1e-9);
+
+    assert.equal(refuelEngine(state, 5), 1);
+    assert.equal(state.fuelLiters, 1);
+    for (let i = 0; i < 120; i++) out = computeEngineOutput(config, state, 0, WHEEL_RADIUS, 0, DT, 2);
+    assert.equal(out.stalled, false);
+});
+
+test('Charge: the battery takes energy up to its capacity', () => {
+    const config = buildElectricConfig({ battery: { capacityKwh: 100, initialSoc: 0.5 } }, 1);
+    const state = createElectricState(config);
+    assert.equal(chargeBattery(config, state, 20), 20);
+    assert.ok(Math.abs(state.soc - 0.7) < 1e-9);
+    assert.ok(Math.abs(chargeBattery(config, state, 80) - 30) < 1e-9);
+    assert.equal(state.soc, 1);
+    assert.equal(chargeBattery(null, null, 10), 0);
+});
+
+test('Depot: spec round trip and a bay in the curb lane', () => {
+    const map = makeMap({ id: 'd', name: 'Depot', roadId: 0, offset: 40, side: 'right' });
+    assert.equal(map.depot.zoneLength, 30);
+    assert.deepEqual(CityMap.fromSpec(map.exportSpec({ seed: 'depot', version: 1 })).depot, map.depot);
+    assert.equal(makeMap({ id: 'x', roadId: 4, offset: 10 }).depot, null);
+    assert.equal(makeMap(undefined).depot, null);
+
+    const placement = computeDepotPlacement({ map, generatorConfig: { road: { laneWidth: 4 } } });
+    assert.equal(placement.zone.halfWidth, 2);
+    assert.ok(isPointInDepot(placement, placement.zone.center));
+    assert.equal(isPointInDepot(placement, { x: placement.zone.center.x + 20, z: placement.zone.center.z }), false);
+    assert.equal(computeDepotPlacement({ map: makeMap(null) }), null);
+});
+
+test('EnergyStats: deltas of the drivetrain counters build the session report', () => {
+    const stats = createEnergyStats();
+    accumulateEnergyStats(stats, { dt: 1, speed: 0, fuelUsedLiters: 10, idleFuelLiters: 2 });
+    for (let i = 1; i <= 100; i++) {
+        accumulateEnergyStats(stats, { dt: 1, speed: 10, fuelUsedLiters: 10 + i * 0.005, idleFuelLiters: 2 });
+    }
+    // A reset counter (vehicle re-added) is not a negative burn.
+    accumulateEnergyStats(stats, { dt: 1, speed: 0, fuelUsedLiters: 0, idleFuelLiters: 0 });
+    accumulateEnergyStats(stats, { dt: 1, speed: 0, fuelUsedLiters: 0.1, idleFuelLiters: 0.1 });
+    recordDepotTransfer(stats, { fuelLiters: 12, energyKwh: 0 });
+
+    const report = summarizeEnergyStats(stats);
+    assert.ok(Math.abs(report.distanceKm - 1) < 1e-9);
+    assert.ok(Math.abs(report.fuelUsedLiters - 0.6) < 1e-9);
+    assert.ok(Math.abs(report.litersPer100Km - 60) < 1e-6);
+    assert.ok(Math.abs(report.idleFuelLiters - 0.1) < 1e-9);
+    assert.ok(Math.abs(report.idleShare - 0.1 / 0.6) < 1e-9);
+    assert.equal(report.refuelledLiters, 12);
+    assert.equal(summarizeEnergyStats(createEnergyStats()).litersPer100Km, null);
+});
+
+test('EnergySystem: refuels and charges a stationary bus in the depot bay only', () => {
+    const map = makeMap({ id: 'd', roadId: 0, offset: 40, side: 'right', refuelLitersPerSec: 2, chargePowerKw: 360 });
+    const depot = computeDepotPlacement({ map });
+    assert.deepEqual(computeDepotTransfer(depot, { dt: 1, speed: 3, needsFuel: true }), { fuelLiters: 0, energyKwh: 0 });
+
+    const drivetrain = { fuelLiters: 10, fuelTankLiters: 100, fuelUsedLiters: 0, idleFuelLiters: 0, soc: 0.5 };
+    const locomotion = { position: { ...depot.zone.center }, speed: 0 };
+    const requested = [];
+    const system = new EnergySystem({
+        vehicleId: 'bus',
+        powertrain: 'hybrid',
+        depot,
+        getState: () => ({ locomotion, drivetrain }),
+        refuel: (amounts) => {
+            requested.push(amounts);
+            drivetrain.fuelLiters += amounts.fuelLiters;
+            return amounts;
+        }
+    });
+    system.update(1);
+    assert.deepEqual(requested, [{ fuelLiters: 2, energyKwh: 0.1 }]);
+    assert.equal(system.getTelemetry('bus').depot.refuelling, true);
+
+    locomotion.position.x += 50;
+    system.update(1);
+    assert.equal(requested.length, 1);
+    assert.equal(system.getTelemetry('bus').depot.inside, false);
+
+    const stats = system.getStats();
+    assert.equal(stats.refuelledLiters, 2);
+    assert.equal(stats.depotVisits, 1);
+    const restored = new EnergySystem({ vehicleId: 'bus' });
+    restored.restoreSnapshot(JSON.parse(JSON.stringify(system.getSnapshot())));
+    assert.deepEqual(restored.getSnapshot(), system.getSnapshot());
+});
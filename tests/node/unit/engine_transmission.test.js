@@ -0,0 +1,195 @@
+// Node unit tests: manual transmission (clutch pedal, stalling, sequential shifts), shift maps, kickdown, hill-hold, retarder and exhaust brake.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    buildEngineConfig,
+    buildRetarderConfig,
+    computeEngineOutput,
+    computeRetarderTorque,
+    createEngineState,
+    requestGearShift,
+    restoreEngineState,
+    setShiftMap,
+    setTransmissionMode,
+    snapshotEngineState,
+    updateHillHold
+} from '../../../src/app/physics/simulations/EngineTransmissionSim.js';
+
+const DT = 1 / 60;
+const WHEEL_RADIUS = 0.55;
+const MASS = 11000;
+
+function makeEngine(mode = 'auto') {
+    const config = buildEngineConfig({ maxTorque: 2300 }, 1);
+    const state = createEngineState(config);
+    setTransmissionMode(state, mode);
+    return { config, state };
+}
+
+// Point-mass bus: drive force accelerates it, nothing else.
+function drive({ config, state }, { seconds, throttle = 0, clutch = null, speed = 0 }) {
+    let v = speed;
+    let out = null;
+    const frames = Math.round(seconds / DT);
+    for (let i = 0; i < frames; i++) {
+        if (clutch) state.clutchPedal = clutch(i * DT);
+        out = computeEngineOutput(config, state, v, WHEEL_RADIUS, throttle, DT, 2);
+        v = Math.max(0, v + (out.driveForceTotal / MASS) * DT);
+    }
+    return { out, speed: v };
+}
+
+test('EngineTransmission: dumping the clutch at standstill stalls a manual engine', () => {
+    const engine = makeEngine('manual');
+    const { out, speed } = drive(engine, { seconds: 1, throttle: 0, clutch: () => 0 });
+    assert.equal(out.stalled, true);
+    assert.equal(out.rpm, 0);
+    assert.ok(speed < 0.5);
+    assert.equal(engine.state.stallCount, 1);
+
+    // Pressing the clutch restarts it.
+    const restarted = drive(engine, { seconds: 1.2, clutch: () => 1 });
+    assert.equal(restarted.out.stalled, false);
+    assert.ok(restarted.out.rpm > engine.config.idleRpm * 0.9);
+});
+
+test('EngineTransmission: slipping the clutch with throttle launches without stalling', () => {
+    const engine = makeEngine('manual');
+    const { out, speed } = drive(engine, {
+        seconds: 4,
+        throttle: 0.6,
+        clutch: (t) => Math.max(0, 1 - t / 2.5)
+    });
+    assert.equal(out.stalled, false);
+    assert.ok(speed > 2, `speed ${speed}`);
+    assert.equal(engine.state.stallCount, 0);
+});
+
+test('EngineTransmission: the automatic clutch never stalls', () => {
+    const engine = makeEngine('auto');
+    const { out } = drive(engine, { seconds: 1, throttle: 0 });
+    assert.equal(out.stalled, false);
+    assert.ok(out.rpm >= engine.config.idleRpm - 1);
+});
+
+test('EngineTransmission: sequential shifts walk the gears in manual and the R/N/D selector in auto', () => {
+    const manual = makeEngine('manual');
+    const labels = (s) => s.gears[s.gearIndex].label;
+    assert.equal(labels(manual.state), '1');
+    assert.equal(requestGearShift(manual.config, manual.state, 1), true);
+    assert.equal(labels(manual.state), '2');
+    assert.ok(manual.state.shiftTimer > 0);
+    requestGearShift(manual.config, manual.state, -1);
+    requestGearShift(manual.config, manual.state, -1);
+    assert.equal(labels(manual.state), 'N');
+
+    const auto = makeEngine('auto');
+    auto.state.gearIndex = auto.state.forwardIndices[2];
+    assert.equal(requestGearShift(auto.config, auto.state, -1), false);
+    auto.state.gearIndex = auto.state.forwardIndices[0];
+    requestGearShift(auto.config, auto.state, -1);
+    assert.equal(labels(auto.state), 'N');
+    requestGearShift(auto.config, auto.state, -1);
+    assert.equal(labels(auto.state), 'R');
+    requestGearShift(auto.config, auto.state, 1);
+    requestGearShift(auto.config, auto.state, 1);
+    assert.equal(labels(auto.state), '1');
+
+    // Auto mode leaves N alone instead of forcing a forward gear.
+    auto.state.gearIndex = auto.state.gears.findIndex((g) => g.label === 'N');
+    const held = drive(auto, { seconds: 0.5, throttle: 0.5 });
+    assert.equal(held.out.gearLabel, 'N');
+});
+
+test('EngineTransmission: eco shifts up earlier than power, kickdown drops a gear', () => {
+    const upshiftSpeed = (map) => {
+        const engine = makeEngine('auto');
+        setShiftMap(engine.state, map);
+        let v = 0;
+        for (let i = 0; i < 60 * 30; i++) {
+            const out = computeEngineOutput(engine.config, engine.state, v, WHEEL_RADIUS, 0.6, DT, 2);
+            if (out.gearIndex !== engine.state.forwardIndices[0]) return v;
+            v += (out.driveForceTotal / MASS) * DT;
+        }
+        return Infinity;
+    };
+    assert.ok(upshiftSpeed('eco') < upshiftSpeed('normal'));
+    assert.ok(upshiftSpeed('normal') < upshiftSpeed('power'));
+
+    const engine = makeEngine('auto');
+    const third = engine.state.forwardIndices[2];
+    engine.state.gearIndex = third;
+    const cruise = computeEngineOutput(engine.config, engine.state, 12, WHEEL_RADIUS, 0.3, DT, 2);
+    assert.equal(cruise.gearIndex, third);
+    const floored = computeEngineOutput(engine.config, engine.state, 12, WHEEL_RADIUS, 1, DT, 2);
+    assert.equal(floored.kickdown, true);
+    assert.equal(floored.gearIndex, engine.state.forwardIndices[1]);
+});
+
+test('EngineTransmission: hill-hold keeps the brake after a stop until the drivetrain bites', () => {
+    const { config, state } = makeEngine('manual');
+    const step = (input) => updateHillHold(config, state, { speed: 0, dt: DT, throttle: 0, ...input });
+
+    assert.equal(step({ brake: 1 }), 0);
+    assert.ok(step({ brake: 0 }) > 0);
+    assert.equal(state.hillHold, true);
+
+    state.clutch = 0.8;
+    assert.equal(step({ brake: 0, throttle: 0.4 }), 0);
+    assert.equal(state.hillHold, false);
+
+    // Without throttle the hold times out.
+    step({ brake: 1 });
+    let held = 0;
+    for (let i = 0; i < 300; i++) if (step({ brake: 0 }) > 0) held += DT;
+    assert.ok(Math.abs(held - config.hillHoldSec) < 0.05);
+});
+
+test('EngineTransmission: mode, shift map and stall survive a snapshot', () => {
+    const a = makeEngine('manual');
+    setShiftMap(a.state, 'power');
+    drive(a, { seconds: 1, clutch: () => 0 });
+    const snap = JSON.parse(JSON.stringify(snapshotEngineState(a.state)));
+    assert.equal(snap.stalled, true);
+
+    const b = makeEngine('auto');
+    restoreEngineState(b.state, snap);
+    assert.equal(b.state.clutchByPedal, true);
+    assert.equal(b.state.manual, true);
+    assert.equal(b.state.shiftMap, 'power');
+    assert.equal(b.state.stalled, true);
+});
+
+test('Retarder: torque scales with stage, builds with shaft speed and respects the power cap', () => {
+    const config = buildRetarderConfig({ stages: 4, maxTorque: 3000, fullTorqueRpm: 900, maxPowerKw: 300 });
+    const omegaAt = (rpm) => rpm * Math.PI * 2 / 60;
+    assert.equal(computeRetarderTorque(config, omegaAt(900), 0), 0);
+    assert.equal(computeRetarderTorque(config, 0, 4), 0);
+    assert.ok(Math.abs(computeRetarderTorque(config, omegaAt(900), 2) - 1500) < 1e-6);
+    assert.ok(Math.abs(computeRetarderTorque(config, omegaAt(450), 4) - 750) < 1e-6);
+
+    // Above ~955 rpm the 300 kW cap limits full-stage torque.
+    const high = computeRetarderTorque(config, omegaAt(2000), 4);
+    assert.ok(Math.abs(high * omegaAt(2000) - 300000) < 1);
+    assert.equal(buildRetarderConfig(false), null);
+    assert.equal(computeRetarderTorque(null, omegaAt(900), 4), 0);
+});
+
+test('Exhaust brake: adds engine drag through the engaged clutch only off throttle', () => {
+    const coast = (exhaustBrake, throttle = 0) => {
+        const { config, state } = makeEngine('auto');
+        state.gearIndex = state.forwardIndices[1];
+        state.exhaustBrake = exhaustBrake;
+        let out = null;
+        for (let i = 0; i < 120; i++) out = computeEngineOutput(config, state, 8, WHEEL_RADIUS, throttle, DT, 2);
+        return out;
+    };
+    const plain = coast(false);
+    const braked = coast(true);
+    assert.ok(braked.exhaustBrakeActive);
+    assert.ok(braked.exhaustBrakeTorque > 0);
+    assert.ok(braked.driveForceTotal < plain.driveForceTotal - 1000);
+
+    const onThrottle = coast(true, 0.5);
+    assert.equal(onThrottle.exhaustBrakeActive, false);
+});
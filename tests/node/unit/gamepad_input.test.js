@@ -0,0 +1,141 @@
+// Node unit tests: gamepad / wheel axis mapping, deadzones and curves, device selection and InputManager analog input.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EventBus } from '../../../src/app/core/EventBus.js';
+import {
+    GamepadInput,
+    applyDeadzone,
+    applyResponseCurve,
+    mapPedal,
+    selectGamepad
+} from '../../../src/app/input/GamepadInput.js';
+import {
+    getInputDeviceLayoutAxes,
+    sanitizeInputDeviceSettings
+} from '../../../src/app/input/InputDeviceSettings.js';
+import { InputManager } from '../../../src/app/input/InputManager.js';
+
+function makePad({ id = 'Pad', axes = [0, 0, 0, 0], buttons = {} } = {}) {
+    const list = [];
+    for (let i = 0; i < 16; i++) list.push({ value: buttons[i] ?? 0, pressed: (buttons[i] ?? 0) > 0.5 });
+    return { id, index: 0, connected: true, mapping: 'standard', axes: [...axes], buttons: list };
+}
+
+test('GamepadInput: deadzone rescales without a step and curves keep the sign', () => {
+    assert.equal(applyDeadzone(0.05, 0.1), 0);
+    assert.ok(Math.abs(applyDeadzone(0.1001, 0.1)) < 1e-3);
+    assert.equal(applyDeadzone(-1, 0.1), -1);
+    assert.ok(Math.abs(applyDeadzone(0.55, 0.1) - 0.5) < 1e-9);
+    assert.equal(applyResponseCurve(-0.5, 2), -0.25);
+    assert.equal(applyResponseCurve(1, 3), 1);
+
+    const pedal = { invert: true, fullRange: true };
+    assert.equal(mapPedal(1, pedal), 0);
+    assert.equal(mapPedal(-1, pedal), 1);
+    assert.equal(mapPedal(0.8, { invert: false, fullRange: false }), 0.8);
+});
+
+test('GamepadInput: device selection and settings sanitizing', () => {
+    const a = makePad({ id: 'Pad A' });
+    const b = makePad({ id: 'Wheel B' });
+    assert.equal(selectGamepad([null, a, b], 'auto'), a);
+    assert.equal(selectGamepad([a, b], 'Wheel B'), b);
+    assert.equal(selectGamepad([a], 'Wheel B'), null);
+    assert.equal(selectGamepad([a, b], 'keyboard'), null);
+
+    const s = sanitizeInputDeviceSettings({ layout: 'wheel', steeringDeadzone: 9, axes: { brake: { source: 'bogus', index: 99 } } });
+    assert.equal(s.steeringDeadzone, 0.5);
+    assert.equal(s.deviceId, 'auto');
+    assert.deepEqual(s.axes.throttle, getInputDeviceLayoutAxes('wheel').throttle);
+    assert.equal(s.axes.brake.source, 'axis');
+    assert.equal(s.axes.brake.index, 31);
+});
+
+test('GamepadInput: gamepad triggers and a wheel with inverted full-range pedals', () => {
+    let pads = [makePad({ axes: [0.5, 0, 0, 0], buttons: { 6: 0.25, 7: 1 } })];
+    const input = new GamepadInput({ settings: { steeringDeadzone: 0, steeringCurve: 1, pedalDeadzone: 0, pedalCurve: 1 }, getGamepads: () => pads });
+    const { buttons, ...axes } = input.poll();
+    assert.deepEqual(axes, { steering: 0.5, throttle: 1, brake: 0.25, clutch: null, deviceId: 'Pad' });
+    assert.equal(buttons[7], true);
+    assert.equal(buttons[6], false);
+
+    input.setSettings({
+        deviceId: 'Wheel',
+        layout: 'wheel',
+        steeringDeadzone: 0,
+        steeringCurve: 1,
+        pedalDeadzone: 0,
+        pedalCurve: 1,
+        axes: getInputDeviceLayoutAxes('wheel')
+    });
+    assert.equal(input.poll(), null);
+
+    // Untouched pedal axes read exactly 0 until first moved: released, not half travel.
+    pads = [makePad({ id: 'Wheel', axes: [-0.25, 0, 0, 0] })];
+    let out = input.poll();
+    assert.equal(out.steering, -0.25);
+    assert.equal(out.throttle, 0);
+    assert.equal(out.brake, 0);
+    assert.equal(out.clutch, 0);
+
+    pads[0].axes = [0, 1, -1, 0.5];
+    out = input.poll();
+    assert.equal(out.brake, 0.25);
+    pads[0].axes = [0, 1, -1, 1];
+    out = input.poll();
+    assert.equal(out.throttle, 1);
+    assert.equal(out.brake, 0);
+    assert.equal(out.clutch, 0);
+    pads[0].axes = [0, 1, 0, 1];
+    out = input.poll();
+    assert.equal(out.throttle, 0.5);
+    assert.equal(out.steering, 0);
+});
+
+test('InputManager: analog axes drive the controls, held keys override and reconnects are reported', () => {
+    const bus = new EventBus();
+    const pad = makePad({ id: 'Pad', axes: [-0.6, 0, 0, 0], buttons: { 7: 0.4 } });
+    let pads = [pad];
+    const manager = new InputManager(bus, {
+        inputDevice: { steeringDeadzone: 0, steeringCurve: 1, pedalDeadzone: 0, pedalCurve: 1 },
+        getGamepads: () => pads
+    });
+    const devices = [];
+    const controls = [];
+    bus.on('input:device', (e) => devices.push(e.id));
+    bus.on('input:controls', (e) => controls.push(e));
+
+    manager.update(1 / 60);
+    assert.equal(controls.at(-1).steering, -0.6);
+    assert.ok(Math.abs(controls.at(-1).throttle - 0.4) < 1e-9);
+    assert.equal(manager.getActiveDevice(), 'Pad');
+
+    manager.keys.down = true;
+    for (let i = 0; i < 10; i++) manager.update(1 / 60);
+    assert.ok(controls.at(-1).brake > 0 && controls.at(-1).brake < 0.3);
+    manager.keys.down = false;
+    // The idle trigger does not snap the released key back: the keyboard ramp returns it.
+    manager.update(1 / 60);
+    assert.ok(controls.at(-1).brake > 0);
+
+    // Stick released: steering is back at centre immediately, no ramp.
+    pad.axes[0] = 0;
+    manager.update(1 / 60);
+    assert.equal(controls.at(-1).steering, 0);
+
+    // Disconnect mid-turn: the keyboard ramp takes over from the last value and returns to centre.
+    pad.axes[0] = 1;
+    manager.update(1 / 60);
+    pads = [];
+    manager.update(1 / 60);
+    const afterDrop = controls.at(-1).steering;
+    assert.ok(afterDrop < 1 && afterDrop > 0.9);
+    for (let i = 0; i < 120; i++) manager.update(1 / 60);
+    assert.equal(controls.at(-1).steering, 0);
+    assert.deepEqual(devices, ['Pad', null]);
+
+    manager.setInputDeviceSettings({ deviceId: 'keyboard' });
+    pads = [pad];
+    manager.update(1 / 60);
+    assert.equal(manager.getActiveDevice(), null);
+});
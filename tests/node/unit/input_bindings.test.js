@@ -0,0 +1,113 @@
+// Node unit tests: action map bindings, versioned migration, conflict detection and InputManager dispatch.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EventBus } from '../../../src/app/core/EventBus.js';
+import {
+    INPUT_ACTIONS,
+    INPUT_BINDINGS_VERSION,
+    createActionLookup,
+    findBindingConflicts,
+    formatActionKeys,
+    getDefaultInputBindings,
+    migrateInputBindings,
+    sanitizeInputBindings
+} from '../../../src/app/input/InputBindings.js';
+import { InputManager } from '../../../src/app/input/InputManager.js';
+
+function key(code) {
+    return { code, target: null, preventDefault() {} };
+}
+
+test('InputBindings: defaults have no conflicts and sanitizing keeps known actions only', () => {
+    const defaults = getDefaultInputBindings();
+    assert.deepEqual(findBindingConflicts(defaults), { keys: [], buttons: [] });
+    assert.equal(formatActionKeys(defaults, 'steer_left'), '←/A');
+
+    const s = sanitizeInputBindings({
+        keys: { steer_left: ['KeyJ', 'KeyJ', 7, 'KeyU', 'KeyI'], handbrake: [], bogus: ['KeyB'] },
+        buttons: { pause: 99, shift_up: 'x' }
+    });
+    assert.deepEqual(s.keys.steer_left, ['KeyJ', 'KeyU']);
+    assert.deepEqual(s.keys.handbrake, []);
+    assert.deepEqual(s.keys.throttle, ['ArrowUp', 'KeyW']);
+    assert.equal('bogus' in s.keys, false);
+    assert.equal(s.buttons.pause, 31);
+    assert.equal(s.buttons.shift_up, null);
+});
+
+test('InputBindings: migration keeps saved keys, drops newer payloads and adds new actions without stealing keys', () => {
+    const saved = { version: INPUT_BINDINGS_VERSION, keys: { toggle_headlights: ['KeyL'] }, buttons: {} };
+    assert.deepEqual(migrateInputBindings(saved).keys.toggle_headlights, ['KeyL']);
+    assert.equal(migrateInputBindings({ version: INPUT_BINDINGS_VERSION + 1, keys: {} }), null);
+    assert.equal(migrateInputBindings({ keys: {} }), null);
+
+    // An action introduced after the save gets its default key only where the player has not used it.
+    const actions = [
+        ...INPUT_ACTIONS,
+        { id: 'horn', label: 'Horn', group: 'vehicle', keys: ['KeyJ', 'KeyB'], button: 10, since: INPUT_BINDINGS_VERSION + 1 }
+    ];
+    const old = { version: INPUT_BINDINGS_VERSION, keys: { steer_left: ['KeyJ'] }, buttons: { pause: 10 } };
+    const next = migrateInputBindings(old, actions);
+    assert.deepEqual(next.keys.steer_left, ['KeyJ']);
+    assert.deepEqual(next.keys.horn, ['KeyB']);
+    assert.equal(next.buttons.pause, 10);
+    assert.equal(next.buttons.horn, null);
+});
+
+test('InputBindings: conflicts cover duplicate keys, buttons and analog axes on buttons', () => {
+    const b = getDefaultInputBindings();
+    b.keys.toggle_doors = ['KeyH'];
+    b.buttons.repair = 5;
+    const conflicts = findBindingConflicts(b, { axes: { throttle: { source: 'button', index: 2 }, brake: { source: 'axis', index: 5 } } });
+    assert.deepEqual(conflicts.keys, [{ code: 'KeyH', actions: ['toggle_headlights', 'toggle_doors'] }]);
+    assert.deepEqual(conflicts.buttons, [
+        { button: 5, actions: ['shift_up', 'repair'] },
+        { button: 2, actions: ['toggle_headlights', 'axis:throttle'] }
+    ]);
+    // The first action in the list wins a conflicting key at runtime.
+    assert.equal(createActionLookup(b).keys.get('KeyH'), 'toggle_headlights');
+});
+
+test('InputManager: rebound keys and gamepad buttons dispatch actions', () => {
+    const bus = new EventBus();
+    const buttons = [];
+    for (let i = 0; i < 16; i++) buttons.push({ value: 0, pressed: false });
+    const pad = { id: 'Pad', connected: true, axes: [0, 0, 0, 0], buttons };
+    const bindings = getDefaultInputBindings();
+    bindings.keys.steer_left = ['KeyJ'];
+    bindings.keys.toggle_doors = ['KeyL'];
+    bindings.keys.limiter_toggle = [];
+    const manager = new InputManager(bus, { inputBindings: bindings, getGamepads: () => [pad] });
+    const doors = [];
+    const actions = [];
+    const cruise = [];
+    bus.on('input:doors', (e) => doors.push(e.open));
+    bus.on('input:action', (e) => actions.push(e.action));
+    bus.on('input:cruise', (e) => cruise.push(e.mode));
+
+    manager._handleKey(key('KeyA'), true);
+    assert.equal(manager.keys.left, false);
+    manager._handleKey(key('KeyJ'), true);
+    assert.equal(manager.keys.left, true);
+    manager._handleKey(key('KeyJ'), false);
+
+    manager._handleKey(key('KeyL'), true);
+    manager._handleKey(key('KeyL'), true);
+    manager._handleKey(key('KeyL'), false);
+    assert.deepEqual(doors, [true]);
+    assert.deepEqual(cruise, []);
+
+    // Start (9) pauses through `input:action`; A (0) toggles the doors like its key.
+    buttons[9].pressed = true;
+    buttons[0].pressed = true;
+    manager.update(1 / 60);
+    manager.update(1 / 60);
+    buttons[9].pressed = false;
+    manager.pollButtons();
+    assert.deepEqual(actions, ['pause']);
+    assert.deepEqual(doors, [true, false]);
+
+    manager.setInputBindings(getDefaultInputBindings());
+    manager._handleKey(key('KeyL'), true);
+    assert.deepEqual(cruise, ['limiter']);
+});
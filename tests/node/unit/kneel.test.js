@@ -0,0 +1,107 @@
+// Node unit tests: kneeling suspension sequencing, curb-side rest lengths and the wheelchair ramp interlock.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    buildKneelConfig,
+    computeKneelRestLength,
+    createKneelState,
+    stepKneel
+} from '../../../src/app/physics/simulations/KneelSim.js';
+import {
+    createKneelSuspension,
+    getKneelHoldBrake,
+    updateKneelSuspension
+} from '../../../src/app/physics/simulations/KneelSuspension.js';
+import { getBusSpec } from '../../../src/app/vehicle/buses/BusCatalog.js';
+
+const DT = 1 / 60;
+
+function run(config, state, seconds, speed = 0) {
+    for (let i = 0; i < Math.round(seconds / DT); i++) stepKneel(config, state, { dt: DT, speed });
+    return state;
+}
+
+test('Kneel: only buses with a kneel spec can kneel', () => {
+    assert.equal(buildKneelConfig(null), null);
+    assert.equal(buildKneelConfig(getBusSpec('coach')?.kneel), null);
+    const config = buildKneelConfig(getBusSpec('city').kneel);
+    assert.equal(config.side, -1);
+    assert.equal(config.ramp, true);
+    assert.equal(buildKneelConfig({ drop: 5 }).drop, 0.2);
+});
+
+test('Kneel: lowers only once stationary, then deploys the ramp', () => {
+    const config = buildKneelConfig({ kneelTime: 1, rampTime: 2 });
+    const state = createKneelState();
+    state.requested = true;
+    run(config, state, 1, 3);
+    assert.equal(state.level, 0);
+    assert.equal(state.phase, 'pending');
+    assert.equal(state.interlock, false);
+
+    run(config, state, 0.5);
+    assert.equal(state.phase, 'lowering');
+    assert.equal(state.interlock, true);
+    assert.equal(state.ramp, 0);
+
+    run(config, state, 0.6);
+    assert.equal(state.kneeled, true);
+    run(config, state, 2.1);
+    assert.equal(state.rampDeployed, true);
+    assert.equal(state.phase, 'deployed');
+});
+
+test('Kneel: rising stows the ramp first and keeps the interlock until fully up', () => {
+    const config = buildKneelConfig({ kneelTime: 1, rampTime: 1 });
+    const state = run(config, Object.assign(createKneelState(), { requested: true }), 2.2);
+    assert.equal(state.rampDeployed, true);
+
+    state.requested = false;
+    run(config, state, 0.5);
+    assert.equal(state.phase, 'stowing');
+    assert.equal(state.level, 1);
+    run(config, state, 1);
+    assert.equal(state.ramp, 0);
+    assert.ok(state.level < 1);
+    assert.equal(state.interlock, true);
+    run(config, state, 1);
+    assert.equal(state.phase, 'up');
+    assert.equal(state.interlock, false);
+
+    const noRamp = buildKneelConfig({ kneelTime: 1, ramp: false });
+    const kneeled = run(noRamp, Object.assign(createKneelState(), { requested: true }), 1.2);
+    assert.equal(kneeled.phase, 'kneeled');
+    assert.equal(kneeled.ramp, 0);
+});
+
+test('Kneel: only curb-side wheels get a shorter rest length', () => {
+    const config = buildKneelConfig({ drop: 0.1 });
+    assert.ok(Math.abs(computeKneelRestLength(config, 0.32, 1, -1.1) - 0.22) < 1e-9);
+    assert.ok(Math.abs(computeKneelRestLength(config, 0.32, 0.5, -1.1) - 0.27) < 1e-9);
+    assert.equal(computeKneelRestLength(config, 0.32, 1, 1.1), 0.32);
+    assert.equal(computeKneelRestLength(null, 0.32, 1, -1.1), 0.32);
+});
+
+test('KneelSuspension: curb-side controller wheels follow the kneel level and the brake is held', () => {
+    assert.equal(createKneelSuspension(null, { wheelIndices: [0], wheelCenters: [{ x: -1 }], baseRestLength: 0.3 }), null);
+    assert.equal(getKneelHoldBrake(null), 0);
+
+    const config = buildKneelConfig({ drop: 0.1, kneelTime: 0.5, holdBrake: 0.7 });
+    const kneel = createKneelSuspension(config, {
+        wheelIndices: [0, 1, 2, 3],
+        wheelCenters: [{ x: -1.1 }, { x: 1.1 }, { x: -1.1 }, { x: 1.1 }],
+        baseRestLength: 0.32
+    });
+    assert.deepEqual(kneel.wheels.map((w) => w.index), [0, 2]);
+
+    const restLengths = new Map();
+    const controller = { setWheelSuspensionRestLength: (i, len) => restLengths.set(i, len) };
+    assert.equal(updateKneelSuspension(kneel, controller, { requested: false, dt: DT, speed: 0 }), false);
+    assert.equal(restLengths.size, 0);
+
+    for (let i = 0; i < 40; i++) updateKneelSuspension(kneel, controller, { requested: true, dt: DT, speed: 0 });
+    assert.equal(kneel.state.kneeled, true);
+    assert.deepEqual([...restLengths.keys()].sort(), [0, 2]);
+    assert.ok(Math.abs(restLengths.get(0) - 0.22) < 1e-9);
+    assert.equal(getKneelHoldBrake(kneel), 0.7);
+});
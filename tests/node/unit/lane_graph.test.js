@@ -0,0 +1,81 @@
+// Node unit tests: LaneGraph derivation, routing and serialization.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createCityConfig } from '../../../src/app/city/CityConfig.js';
+import { CityMap } from '../../../src/app/city/CityMap.js';
+import { createDemoCitySpec } from '../../../src/app/city/specs/DemoCitySpec.js';
+import { createRoadNetworkFromWorldSegments } from '../../../src/app/city/roads/RoadNetwork.js';
+import {
+    LANE_EDGE_KIND,
+    LANE_TURN,
+    LaneGraph,
+    createLaneGraph,
+    createLaneGraphFromCityMap
+} from '../../../src/app/city/roads/LaneGraph.js';
+
+function makeCrossNetwork() {
+    return createRoadNetworkFromWorldSegments([
+        { a: { x: -100, z: 0 }, b: { x: 100, z: 0 }, lanesF: 2, lanesB: 2 },
+        { a: { x: 0, z: -100 }, b: { x: 0, z: 100 }, lanesF: 1, lanesB: 1 }
+    ], { origin: { x: 0, z: 0 }, tileSize: 24 });
+}
+
+test('LaneGraph: builds entry/exit nodes per lane with right-hand offsets', () => {
+    const graph = createLaneGraph({ roadNetwork: makeCrossNetwork(), laneWidth: 4 });
+    const lanes = graph.getEdges().filter((e) => e.kind === LANE_EDGE_KIND.LANE);
+    assert.equal(lanes.length, 12);
+
+    const eastbound = graph.getNodes().filter((n) => n.role === 'entry' && Math.abs(n.heading) < 1e-6);
+    assert.ok(eastbound.length >= 2);
+    for (const n of eastbound) assert.ok(n.position.z > 0, 'eastbound lanes sit on +Z (right of travel)');
+});
+
+test('LaneGraph: junctions get turn connectors and lane changes along long segments', () => {
+    const graph = createLaneGraph({ roadNetwork: makeCrossNetwork(), laneWidth: 4 });
+    const turns = graph.getEdges().filter((e) => e.kind === LANE_EDGE_KIND.TURN);
+    assert.ok(turns.some((e) => e.turn === LANE_TURN.LEFT));
+    assert.ok(turns.some((e) => e.turn === LANE_TURN.RIGHT));
+    assert.ok(turns.some((e) => e.turn === LANE_TURN.STRAIGHT));
+    for (const e of turns.filter((t) => t.turn !== LANE_TURN.STRAIGHT)) {
+        assert.ok(e.points.length > 2);
+        const chord = Math.hypot(e.points[0].x - e.points.at(-1).x, e.points[0].z - e.points.at(-1).z);
+        assert.ok(e.length >= chord - 1e-6);
+    }
+    assert.ok(graph.getEdges().some((e) => e.kind === LANE_EDGE_KIND.LANE_CHANGE));
+});
+
+test('LaneGraph: A* is deterministic and honors the cost mode', () => {
+    const graph = createLaneGraph({ roadNetwork: makeCrossNetwork(), laneWidth: 4 });
+    const from = graph.findClosestNode({ x: -90, z: 2 }, { role: 'entry' });
+    const to = graph.findClosestNode({ x: 2, z: 90 }, { role: 'exit' });
+    assert.ok(from && to);
+
+    const a = graph.findPath(from.id, to.id);
+    const b = graph.findPath(from.id, to.id);
+    assert.ok(a);
+    assert.deepEqual(a, b);
+    assert.equal(a.nodeIds[0], from.id);
+    assert.equal(a.nodeIds.at(-1), to.id);
+    assert.ok(a.edgeIds.some((id) => graph.getEdge(id).turn === LANE_TURN.RIGHT));
+
+    const t = graph.findPath(from.id, to.id, { cost: 'time' });
+    assert.ok(t && t.cost > 0 && t.cost < a.cost);
+    assert.equal(graph.findPath(to.id, from.id), null);
+});
+
+test('LaneGraph: JSON round-trip preserves graph and routing', () => {
+    const config = createCityConfig({ size: 200, mapTileSize: 24, seed: 'demo' });
+    const map = CityMap.fromSpec(createDemoCitySpec(config), config);
+    const graph = createLaneGraphFromCityMap(map);
+    assert.ok(graph.nodeIds.length > 0);
+
+    const json = JSON.parse(JSON.stringify(graph.toJSON()));
+    const restored = LaneGraph.fromJSON(json);
+    assert.deepEqual(restored.toJSON(), json);
+
+    const from = graph.getNodes().find((n) => n.role === 'entry');
+    const reachable = graph.getNodes().filter((n) => n.role === 'exit').map((n) => graph.findPath(from.id, n.id)).filter(Boolean);
+    assert.ok(reachable.length > 0);
+    const last = reachable.at(-1);
+    assert.deepEqual(restored.findPath(from.id, last.nodeIds.at(-1)), last);
+});
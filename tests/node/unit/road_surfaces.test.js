@@ -0,0 +1,132 @@
+// Node unit tests: tyre surface classification (asphalt, markings, curb, sidewalk, terrain), surface grip and per-wheel grip.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    SURFACE_FRICTION,
+    SURFACE_ID,
+    buildRoadSurfaceIndex,
+    classifyRoadSurface,
+    computeSurfaceFriction
+} from '../../../src/app/physics/surfaces/RoadSurfaces.js';
+import {
+    buildCitySurfaceIndex,
+    createWheelSurfaces,
+    updateWheelSurfaces
+} from '../../../src/app/physics/surfaces/WheelSurfaces.js';
+import { createCityTerrainEngine } from '../../../src/app/city/CityTerrain.js';
+
+// A 40 m straight road, 10 m wide, along X with a center line and one crosswalk triangle.
+const ROAD = [{ x: -20, z: -5 }, { x: 20, z: -5 }, { x: 20, z: 5 }, { x: -20, z: 5 }];
+const MARKINGS = {
+    whiteLineSegments: [-20, 0.01, 0, 20, 0.01, 0],
+    yellowLineSegments: [],
+    crosswalkPositions: [10, 0.01, -4, 12, 0.01, -4, 10, 0.01, -2],
+    arrowPositions: []
+};
+
+function makeIndex(extra = {}) {
+    return buildRoadSurfaceIndex({
+        asphaltPolygons: [ROAD],
+        markings: MARKINGS,
+        markingWidth: 0.3,
+        curbThickness: 0.5,
+        sidewalkWidth: 2,
+        ...extra
+    });
+}
+
+test('RoadSurfaces: asphalt, painted lines and crosswalks inside the road polygon', () => {
+    const index = makeIndex();
+    assert.equal(classifyRoadSurface(index, -5, 2.5), SURFACE_ID.ASPHALT);
+    assert.equal(classifyRoadSurface(index, -5, 0.1), SURFACE_ID.MARKING);
+    assert.equal(classifyRoadSurface(index, -5, 0.2), SURFACE_ID.ASPHALT);
+    assert.equal(classifyRoadSurface(index, 10.5, -3.5), SURFACE_ID.MARKING);
+});
+
+test('RoadSurfaces: curb and sidewalk bands follow the asphalt edge, terrain beyond', () => {
+    const index = makeIndex();
+    assert.equal(classifyRoadSurface(index, 0, 5.3), SURFACE_ID.CURB);
+    assert.equal(classifyRoadSurface(index, 0, 6.5), SURFACE_ID.SIDEWALK);
+    assert.equal(classifyRoadSurface(index, 0, 9), SURFACE_ID.GRASS);
+    assert.equal(classifyRoadSurface(index, 200, 200), SURFACE_ID.GRASS);
+
+    const terrain = { sample: (x) => ({ primaryBiomeId: x > 0 ? 'land' : 'stone' }) };
+    const withTerrain = makeIndex({ terrain });
+    assert.equal(classifyRoadSurface(withTerrain, 30, 30), SURFACE_ID.LAND);
+    assert.equal(classifyRoadSurface(withTerrain, -30, 30), SURFACE_ID.STONE);
+    assert.equal(classifyRoadSurface(withTerrain, 0, 2.5), SURFACE_ID.ASPHALT);
+});
+
+test('RoadSurfaces: no index means asphalt, and grip drops on paint, grass and in the wet', () => {
+    assert.equal(classifyRoadSurface(null, 1, 2), SURFACE_ID.ASPHALT);
+    assert.equal(computeSurfaceFriction(SURFACE_ID.ASPHALT), 1);
+    assert.ok(computeSurfaceFriction(SURFACE_ID.MARKING) < computeSurfaceFriction(SURFACE_ID.ASPHALT));
+    assert.ok(computeSurfaceFriction(SURFACE_ID.GRASS) < computeSurfaceFriction(SURFACE_ID.SIDEWALK));
+    for (const id of Object.keys(SURFACE_FRICTION)) {
+        assert.ok(computeSurfaceFriction(id, 1) < computeSurfaceFriction(id, 0));
+        assert.equal(computeSurfaceFriction(id, 5), computeSurfaceFriction(id, 1));
+    }
+    assert.equal(computeSurfaceFriction('unknown'), computeSurfaceFriction(SURFACE_ID.ASPHALT));
+});
+
+test('WheelSurfaces: wheel grip follows the contact surface, airborne wheels keep theirs', () => {
+    const index = buildCitySurfaceIndex({ roads: { surfaces: { asphaltPolygons: [ROAD], markings: MARKINGS, markingWidth: 0.3 } } });
+    assert.equal(buildCitySurfaceIndex({}), null);
+
+    // Wheel 0 on the center line, wheel 1 on asphalt, wheel 2 airborne.
+    const contacts = [{ x: -5, z: 0.1 }, { x: -5, z: 2.5 }, null];
+    const calls = [];
+    const controller = {
+        wheelIsInContact: (i) => contacts[i] !== null,
+        wheelContactPoint: (i) => contacts[i],
+        setWheelFrictionSlip: (i, v) => calls.push(['slip', i, v]),
+        setWheelSideFrictionStiffness: (i, v) => calls.push(['side', i, v])
+    };
+    const surfaces = createWheelSurfaces(3);
+    const tuning = { frictionSlip: 10, sideFrictionStiffness: 2 };
+
+    updateWheelSurfaces(controller, [0, 1, 2], surfaces, { index, wetness: 0, tuning });
+    const paint = computeSurfaceFriction(SURFACE_ID.MARKING);
+    assert.deepEqual(surfaces.map((s) => s.id), [SURFACE_ID.MARKING, SURFACE_ID.ASPHALT, SURFACE_ID.ASPHALT]);
+    assert.deepEqual(calls, [['slip', 0, 10 * paint], ['side', 0, 2 * paint]]);
+
+    calls.length = 0;
+    contacts[0] = null;
+    updateWheelSurfaces(controller, [0, 1, 2], surfaces, { index, wetness: 1, tuning });
+    assert.equal(surfaces[0].id, SURFACE_ID.MARKING);
+    assert.equal(surfaces[0].friction, computeSurfaceFriction(SURFACE_ID.MARKING, 1));
+    assert.deepEqual(calls.map((c) => c[1]), [0, 0, 1, 1, 2, 2]);
+});
+
+test('WheelSurfaces: off-road grip follows the city terrain biome', () => {
+    const terrainEngine = createCityTerrainEngine({ seed: 'surface-test', size: 400 });
+    const index = buildCitySurfaceIndex({ roads: { surfaces: { asphaltPolygons: [ROAD] } }, terrainEngine });
+    assert.throws(() => createCityTerrainEngine({ seed: 'surface-test', size: 0 }), /size/);
+
+    // One off-road contact point per biome the sampler lays out.
+    const byBiome = new Map();
+    for (let x = -190; x <= 190; x += 10) {
+        for (let z = 20; z <= 190; z += 10) {
+            const biome = terrainEngine.sample(x, z).primaryBiomeId;
+            if (!byBiome.has(biome)) byBiome.set(biome, { x, z });
+        }
+    }
+    assert.ok(byBiome.size >= 2, 'Expected the city terrain to mix biomes.');
+
+    const contacts = [...byBiome.values()];
+    const slips = new Map();
+    const controller = {
+        wheelIsInContact: () => true,
+        wheelContactPoint: (i) => contacts[i],
+        setWheelFrictionSlip: (i, v) => slips.set(i, v),
+        setWheelSideFrictionStiffness: () => {}
+    };
+    const surfaces = createWheelSurfaces(contacts.length);
+    updateWheelSurfaces(controller, contacts.map((_, i) => i), surfaces, { index, wetness: 0, tuning: { frictionSlip: 10 } });
+
+    for (const [i, biome] of [...byBiome.keys()].entries()) {
+        assert.equal(surfaces[i].id, biome);
+        assert.equal(slips.get(i), 10 * computeSurfaceFriction(biome));
+    }
+    assert.equal(classifyRoadSurface(index, 0, 2.5), SURFACE_ID.ASPHALT);
+});
@@ -0,0 +1,246 @@
+// Node unit tests: save-game format round trip, versioned migrations, save slots and subsystem snapshots.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    SAVE_GAME_MIGRATIONS,
+    SAVE_GAME_VERSION,
+    createSaveGame,
+    migrateSaveGame,
+    parseSaveGame,
+    serializeSaveGame
+} from '../../../src/app/save/SaveGame.js';
+import {
+    AUTOSAVE_SLOT_ID,
+    SAVE_SLOT_IDS,
+    deleteSaveSlot,
+    getLatestSaveSlot,
+    listSaveSlots,
+    readSaveSlot,
+    writeSaveSlot
+} from '../../../src/app/save/SaveSlots.js';
+import {
+    buildEngineConfig,
+    createEngineState,
+    restoreEngineState,
+    snapshotEngineState
+} from '../../../src/app/physics/simulations/EngineTransmissionSim.js';
+import { EventBus } from '../../../src/app/core/EventBus.js';
+import { GameClock } from '../../../src/app/core/GameClock.js';
+import { PassengerSystem } from '../../../src/app/transit/PassengerSystem.js';
+import { CareerShift, createCareerTrip } from '../../../src/app/career/CareerShift.js';
+import { normalizeBusRouteSpec } from '../../../src/app/city/BusRoutes.js';
+
+function createMemoryStorage() {
+    const map = new Map();
+    return {
+        map,
+        getItem: (key) => (map.has(key) ? map.get(key) : null),
+        setItem: (key, value) => map.set(key, String(value)),
+        removeItem: (key) => map.delete(key)
+    };
+}
+
+function makeSave(overrides = {}) {
+    return createSaveGame({
+        busId: 'city',
+        cityId: 'bigcity2',
+        timeOfDaySec: 8 * 3600 + 125,
+        vehicle: {
+            position: { x: 12.5, y: 0.4, z: -40 },
+            yaw: 1.2,
+            speed: 6,
+            linvel: { x: 5.6, y: 0, z: 2.2 },
+            angvel: { x: 0, y: 0.05, z: 0 },
+            engine: { manual: false, gearIndex: 3, rpm: 1450, omega: 151.8, drivelineRpm: 1440, clutch: 1, shiftTimer: 0, shiftCooldown: 0.2 },
+            doors: [false, true]
+        },
+        passengers: { time: 30, nextId: 4, waiting: { a: [] }, vehicles: {} },
+        career: { routeId: 'l1', departureMinutes: 480, progress: { clockSec: 28900, nextIndex: 1 } },
+        label: 'City Bus',
+        savedAt: 1000,
+        ...overrides
+    });
+}
+
+function makeRawSave(version, vehicle = {}) {
+    return {
+        version,
+        savedAt: 500,
+        label: 'Old',
+        cityId: 'bigcity2',
+        busId: 'city',
+        timeOfDaySec: 3600,
+        vehicle: {
+            position: { x: 1, y: 0.4, z: 2 },
+            yaw: 0.5,
+            speed: 0,
+            linvel: { x: 0, y: 0, z: 0 },
+            angvel: { x: 0, y: 0, z: 0 },
+            engine: { manual: false, gearIndex: 1, rpm: 700 },
+            doors: [true],
+            ...vehicle
+        },
+        passengers: null,
+        career: null
+    };
+}
+
+test('SaveGame: serialize/parse round trip keeps every field', () => {
+    const save = makeSave();
+    assert.equal(save.version, SAVE_GAME_VERSION);
+    const parsed = parseSaveGame(serializeSaveGame(save));
+    assert.deepEqual(parsed, save);
+    assert.deepEqual(parsed.vehicle.doors, [false, true]);
+    assert.equal(parsed.career.progress.nextIndex, 1);
+});
+
+test('SaveGame: rejects unusable saves and drops invalid career picks', () => {
+    assert.equal(parseSaveGame('not json'), null);
+    assert.equal(parseSaveGame(''), null);
+    assert.equal(makeSave({ busId: '' }), null);
+    assert.equal(makeSave({ vehicle: null }), null);
+    assert.equal(makeSave({ career: { routeId: 'l1' } }).career, null);
+    assert.equal(parseSaveGame(JSON.stringify({ ...makeSave(), version: SAVE_GAME_VERSION + 1 })), null);
+});
+
+test('SaveGame: migrations upgrade one version at a time', () => {
+    const migrations = {
+        1: (save) => ({ ...save, weather: 'clear' }),
+        2: (save) => ({ ...save, weather: undefined, climate: { weather: save.weather } })
+    };
+    const migrated = migrateSaveGame({ version: 1, busId: 'city' }, { migrations, version: 3 });
+    assert.equal(migrated.version, 3);
+    assert.deepEqual(migrated.climate, { weather: 'clear' });
+
+    assert.equal(migrateSaveGame({ version: 1 }, { migrations: { 2: migrations[2] }, version: 3 }), null);
+    assert.equal(migrateSaveGame({ version: 4 }, { migrations, version: 3 }), null);
+
+    // Unversioned saves are version 0 and upgrade to the current format.
+    const legacy = { ...makeSave(), version: undefined, bus: 'city', busId: undefined };
+    const parsed = parseSaveGame(JSON.stringify(legacy), {
+        migrations: { ...SAVE_GAME_MIGRATIONS, 0: ({ bus, ...rest }) => ({ ...rest, busId: bus }) }
+    });
+    assert.equal(parsed.busId, 'city');
+    assert.equal(parsed.version, SAVE_GAME_VERSION);
+});
+
+test('SaveGame: v1 saves upgrade to v2 without electric drive state', () => {
+    const migrated = migrateSaveGame(makeRawSave(1), { version: 2 });
+    assert.equal(migrated.version, 2);
+    assert.equal(migrated.vehicle.electric, null);
+    assert.deepEqual(migrated.vehicle.doors, [true]);
+
+    const parsed = parseSaveGame(JSON.stringify(makeRawSave(1)));
+    assert.equal(parsed.vehicle.electric, null);
+    assert.equal(parsed.vehicle.engine.gearIndex, 1);
+});
+
+test('SaveGame: v2 saves upgrade to v3 without energy totals', () => {
+    const migrated = migrateSaveGame(makeRawSave(2, { electric: null }), { version: 3 });
+    assert.equal(migrated.version, 3);
+    assert.equal(migrated.energy, null);
+    assert.equal(parseSaveGame(JSON.stringify(makeRawSave(2))).energy, null);
+});
+
+test('SaveGame: v3 saves upgrade to v4 with a straight trailer', () => {
+    const migrated = migrateSaveGame({ ...makeRawSave(3, { electric: null }), energy: null }, { version: 4 });
+    assert.equal(migrated.version, 4);
+    assert.equal(migrated.vehicle.articulationAngle, 0);
+    assert.equal(parseSaveGame(JSON.stringify(makeRawSave(3))).vehicle.articulationAngle, 0);
+});
+
+test('SaveGame: v4 saves upgrade to v5 at ride height', () => {
+    const v4 = { ...makeRawSave(4, { electric: null, articulationAngle: 0 }), energy: null };
+    const migrated = migrateSaveGame(v4, { version: 5 });
+    assert.equal(migrated.version, 5);
+    assert.equal(migrated.vehicle.kneel, false);
+    assert.equal(parseSaveGame(JSON.stringify(makeRawSave(4, { kneel: true }))).vehicle.kneel, true);
+});
+
+test('SaveGame: v5 saves upgrade to v6 undamaged', () => {
+    const v5 = { ...makeRawSave(5, { electric: null, articulationAngle: 0, kneel: false }), energy: null };
+    const migrated = migrateSaveGame(v5, { version: 6 });
+    assert.equal(migrated.version, 6);
+    assert.equal(migrated.vehicle.damage, null);
+    assert.equal(migrated.vehicle.kneel, false);
+    assert.equal(parseSaveGame(JSON.stringify(makeRawSave(5))).vehicle.damage, null);
+});
+
+test('SaveSlots: write, list, read latest and delete', () => {
+    const storage = createMemoryStorage();
+    assert.equal(getLatestSaveSlot(storage), null);
+    assert.equal(writeSaveSlot(storage, '2', makeSave({ savedAt: 2000 })), true);
+    assert.equal(writeSaveSlot(storage, AUTOSAVE_SLOT_ID, makeSave({ savedAt: 3000, label: 'auto' })), true);
+    assert.equal(writeSaveSlot(storage, 'nope', makeSave()), false);
+
+    const slots = listSaveSlots(storage);
+    assert.deepEqual(slots.map((s) => s.slotId), SAVE_SLOT_IDS);
+    assert.deepEqual(slots.map((s) => !!s.save), [true, false, true, false]);
+    assert.equal(getLatestSaveSlot(storage).slotId, AUTOSAVE_SLOT_ID);
+
+    storage.setItem('bus_sim.save.slot.1', '{broken');
+    assert.equal(readSaveSlot(storage, '1'), null);
+
+    assert.equal(deleteSaveSlot(storage, AUTOSAVE_SLOT_ID), true);
+    assert.equal(getLatestSaveSlot(storage).slotId, '2');
+    assert.equal(readSaveSlot(null, '2'), null);
+});
+
+test('Snapshots: engine state round trip clamps the gear index', () => {
+    const config = buildEngineConfig(null, 1);
+    const engine = createEngineState(config);
+    engine.gearIndex = 3;
+    engine.rpm = 1700;
+    engine.manual = true;
+    const snap = snapshotEngineState(engine);
+
+    const restored = restoreEngineState(createEngineState(config), JSON.parse(JSON.stringify(snap)));
+    assert.deepEqual(snapshotEngineState(restored), snap);
+    assert.equal(restoreEngineState(createEngineState(config), { gearIndex: 99 }).gearIndex, engine.gears.length - 1);
+});
+
+test('Snapshots: passengers and career progress survive a save round trip', () => {
+    const stopsSpec = [
+        { id: 'a', name: 'Alpha', zone: { center: { x: 0, z: 0 } } },
+        { id: 'b', name: 'Bravo', zone: { center: { x: 0, z: 220 } } }
+    ];
+    const bus = new EventBus();
+    const passengers = new PassengerSystem({ eventBus: bus, stops: stopsSpec, seed: 'save', isDoorOpen: () => true });
+    passengers.addVehicle('bus', { capacity: 10 });
+    bus.emit('stop:arrived', { vehicleId: 'bus', stopId: 'a' });
+    for (let i = 0; i < 200; i++) passengers.update(0.1);
+    const paxSnap = passengers.getSnapshot();
+    assert.ok(paxSnap.vehicles.bus.onboard.length > 0);
+
+    const route = normalizeBusRouteSpec({ id: 'l1', number: 3, stops: ['a', 'b'] });
+    const trip = createCareerTrip({ route, stops: stopsSpec, departureMinutes: 480 });
+    const makeShift = (eventBus) => new CareerShift({ eventBus, vehicleId: 'bus', route, trip, getSample: () => null });
+    const shift = makeShift(bus);
+    shift.update(90);
+    bus.emit('stop:departed', { vehicleId: 'bus', stopId: 'a' });
+
+    const save = parseSaveGame(serializeSaveGame(makeSave({
+        passengers: paxSnap,
+        career: { routeId: 'l1', departureMinutes: 480, progress: shift.getSnapshot() }
+    })));
+
+    const bus2 = new EventBus();
+    const restoredPax = new PassengerSystem({ eventBus: bus2, stops: stopsSpec, seed: 'save' });
+    restoredPax.addVehicle('bus', { capacity: 10 });
+    restoredPax.restoreSnapshot(save.passengers);
+    assert.deepEqual(restoredPax.getSnapshot(), paxSnap);
+    assert.equal(restoredPax.getVehicleLoad('bus').onboard, passengers.getVehicleLoad('bus').onboard);
+
+    const restoredShift = makeShift(bus2);
+    restoredShift.restoreSnapshot(save.career.progress);
+    assert.deepEqual(restoredShift.getTelemetry('bus'), shift.getTelemetry('bus'));
+    assert.equal(restoredShift.stops[0].result.status, shift.stops[0].result.status);
+});
+
+test('GameClock: advances and wraps at midnight', () => {
+    const clock = new GameClock({ timeOfDaySec: 86390 });
+    clock.update(15);
+    assert.equal(clock.timeOfDaySec, 5);
+    clock.setTime(-60);
+    assert.equal(clock.getTelemetry().timeOfDaySec, 86340);
+});
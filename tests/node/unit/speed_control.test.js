@@ -0,0 +1,104 @@
+// Node unit tests: cruise control PI loop, speed limiter cap and their VehicleController wiring.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EventBus } from '../../../src/app/core/EventBus.js';
+import { SpeedControl } from '../../../src/app/vehicle/SpeedControl.js';
+import { VehicleController } from '../../../src/app/vehicle/VehicleController.js';
+
+// Crude bus: full throttle ~1.2 m/s², full brake ~6 m/s², drag and a slope term, in km/h.
+function drive(sc, { seconds, speedKph, slope = 0, input = {} }) {
+    let speed = speedKph;
+    const dt = 1 / 60;
+    for (let t = 0; t < seconds; t += dt) {
+        const out = sc.update(dt, speed, { throttle: 0, brake: 0, ...input });
+        const accel = out.throttle * 1.2 - out.brake * 6 - 0.0015 * (speed / 3.6) ** 2 - slope;
+        speed = Math.max(0, speed + accel * dt * 3.6);
+    }
+    return speed;
+}
+
+test('SpeedControl: cruise holds the set speed on the flat and downhill', () => {
+    const sc = new SpeedControl();
+    assert.equal(sc.setMode('cruise', 12, 0.5), false);
+    assert.equal(sc.mode, 'off');
+
+    assert.equal(sc.setMode('cruise', 61.4, 0.4), true);
+    assert.equal(sc.setKph, 61);
+    assert.ok(Math.abs(drive(sc, { seconds: 60, speedKph: 61 }) - 61) < 1);
+
+    sc.adjust(1);
+    assert.equal(sc.setKph, 66);
+    assert.ok(Math.abs(drive(sc, { seconds: 90, speedKph: 61 }) - 66) < 1);
+
+    // Steep downhill: the controller has to brake to stay near the set speed.
+    const down = drive(sc, { seconds: 60, speedKph: 66, slope: -0.6 });
+    assert.ok(Math.abs(down - 66) < sc.brakeDeadbandKph + 1);
+});
+
+test('SpeedControl: brake disengages cruise, the driver can press past it', () => {
+    const sc = new SpeedControl();
+    sc.setMode('cruise', 50, 0.3);
+    const pressed = sc.update(1 / 60, 50, { throttle: 1, brake: 0 });
+    assert.equal(pressed.throttle, 1);
+    assert.equal(sc.active, false);
+    assert.equal(sc.mode, 'cruise');
+
+    const braking = sc.update(1 / 60, 50, { throttle: 0, brake: 0.5 });
+    assert.equal(sc.mode, 'off');
+    assert.deepEqual(braking, { throttle: 0, brake: 0.5 });
+});
+
+test('SpeedControl: limiter caps the throttle at the limit and never brakes', () => {
+    const sc = new SpeedControl();
+    assert.equal(sc.setMode('limiter', 5), true);
+    assert.equal(sc.setKph, sc.minSetKph);
+    sc.adjust(1);
+    sc.adjust(1);
+    assert.equal(sc.setKph, 30);
+
+    const speed = drive(sc, { seconds: 60, speedKph: 0, input: { throttle: 1 } });
+    assert.ok(speed <= 30.5 && speed > 27);
+    assert.equal(sc.active, true);
+
+    assert.deepEqual(sc.update(1 / 60, 20, { throttle: 0.2, brake: 0 }), { throttle: 0.2, brake: 0 });
+    assert.deepEqual(sc.update(1 / 60, 40, { throttle: 1, brake: 0.3 }), { throttle: 0, brake: 0.3 });
+    assert.equal(sc.mode, 'limiter');
+});
+
+test('VehicleController: cruise overrides the pedals sent to physics until the brake is pressed', () => {
+    const bus = new EventBus();
+    const sent = [];
+    const loco = { position: { x: 0, y: 0, z: 0 }, yaw: 0, speedKph: 55 };
+    const physics = {
+        setInput: (id, input) => sent.push({ ...input }),
+        getVehicleState: () => ({ locomotion: loco })
+    };
+    const ctrl = new VehicleController('v1', physics, bus);
+    const events = [];
+    bus.on('vehicle:speedControl', (e) => events.push(e.mode));
+
+    bus.emit('input:cruise', { mode: 'cruise' });
+    assert.deepEqual(ctrl.getSpeedControl(), { mode: 'cruise', setKph: 55, active: false });
+    bus.emit('input:cruiseAdjust', { direction: 1 });
+    assert.equal(ctrl.getSpeedControl().setKph, 60);
+
+    ctrl.update(1 / 60);
+    bus.emit('input:controls', { throttle: 0, brake: 0, steering: 0.1 });
+    const last = sent.at(-1);
+    assert.ok(last.throttle > 0);
+    assert.equal(last.steering, 0.1);
+    assert.equal(ctrl.getInput().throttle, 0);
+
+    bus.emit('input:controls', { throttle: 0, brake: 0.6 });
+    ctrl.update(1 / 60);
+    assert.equal(ctrl.getSpeedControl().mode, 'off');
+    assert.equal(sent.at(-1).throttle, 0);
+    assert.equal(sent.at(-1).brake, 0.6);
+    assert.deepEqual(events, ['cruise', 'cruise', 'off']);
+
+    bus.emit('input:cruise', { mode: 'limiter' });
+    assert.equal(ctrl.getSpeedControl().mode, 'limiter');
+    bus.emit('input:cruise', { mode: 'limiter' });
+    assert.equal(ctrl.getSpeedControl().mode, 'off');
+    ctrl.dispose();
+});
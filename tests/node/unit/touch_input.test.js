@@ -0,0 +1,73 @@
+// Node unit tests: touch wheel / pedal geometry and InputManager touch input.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EventBus } from '../../../src/app/core/EventBus.js';
+import {
+    pedalFromPointer,
+    steerFromWheelAngle,
+    wheelAngleFromPointer
+} from '../../../src/app/input/TouchInput.js';
+import { migrateInputBindings } from '../../../src/app/input/InputBindings.js';
+import { InputManager } from '../../../src/app/input/InputManager.js';
+
+const rect = { left: 100, top: 200, width: 100, height: 100 };
+
+test('TouchInput: wheel angle and steering keep their lock across the bottom gap', () => {
+    assert.equal(wheelAngleFromPointer(150, 210, rect), 0);
+    assert.equal(wheelAngleFromPointer(190, 250, rect), 90);
+    assert.equal(wheelAngleFromPointer(110, 250, rect), -90);
+    assert.equal(wheelAngleFromPointer(150, 250, rect), 0);
+
+    assert.equal(steerFromWheelAngle(67.5, 0), 0.5);
+    assert.equal(steerFromWheelAngle(-135, 0), -1);
+    // Dragged past full right lock into the gap and over to the left side: stays at right lock.
+    assert.equal(steerFromWheelAngle(170, 0.9), 1);
+    assert.equal(steerFromWheelAngle(-170, 1), 1);
+    assert.equal(steerFromWheelAngle(-170, 0), -1);
+
+    assert.equal(pedalFromPointer(300, rect), 0);
+    assert.equal(pedalFromPointer(250, rect), 0.5);
+    assert.equal(pedalFromPointer(150, rect), 1);
+    assert.equal(pedalFromPointer(250, { top: 0, height: 0 }), 0);
+});
+
+test('InputManager: touch values drive the controls and released ones ramp back', () => {
+    const bus = new EventBus();
+    const manager = new InputManager(bus, { getGamepads: () => [] });
+    const controls = [];
+    const indicators = [];
+    bus.on('input:controls', (e) => controls.push(e));
+    bus.on('input:indicator', (e) => indicators.push(e.side));
+
+    manager.setTouchControls({ steering: -0.4, brake: 0.6 });
+    manager.update(1 / 60);
+    assert.equal(controls.at(-1).steering, -0.4);
+    assert.equal(controls.at(-1).brake, 0.6);
+    assert.equal(controls.at(-1).throttle, 0);
+
+    manager.setTouchControls({ steering: null });
+    manager.update(1 / 60);
+    const released = controls.at(-1).steering;
+    assert.ok(released > -0.4 && released < 0);
+    assert.equal(controls.at(-1).brake, 0.6);
+
+    // Touch buttons go through the same actions as keys.
+    manager.setAction('indicator_left', true);
+    manager.setAction('indicator_left', false);
+    manager.setAction('handbrake', true);
+    manager.update(1 / 60);
+    assert.equal(controls.at(-1).handbrake, 1);
+    assert.deepEqual(indicators, ['left']);
+
+    manager.reset();
+    manager.update(1 / 60);
+    assert.equal(controls.at(-1).brake, 0);
+});
+
+test('InputBindings: version 1 saves pick up the indicator keys unless already used', () => {
+    const v1 = migrateInputBindings({ version: 1, keys: { toggle_doors: ['Comma'] }, buttons: { pause: 15 } });
+    assert.deepEqual(v1.keys.indicator_left, []);
+    assert.deepEqual(v1.keys.indicator_right, ['Period']);
+    assert.equal(v1.buttons.indicator_left, 14);
+    assert.equal(v1.buttons.indicator_right, null);
+});
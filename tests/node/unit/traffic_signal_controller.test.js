@@ -0,0 +1,119 @@
+// Node unit tests: traffic light phase grouping, fixed-time and actuated cycling, approach queries.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    SIGNAL_MODE,
+    SIGNAL_STAGE,
+    TrafficSignalController,
+    groupSignalPhases
+} from '../../../src/app/traffic/TrafficSignalController.js';
+import { TRAFFIC_SIGNAL } from '../../../src/app/traffic/TrafficSystem.js';
+
+// Four-way signalised junction at the origin; rotationY is the approach travel yaw.
+function makeCrossPlacements() {
+    const light = (approach, x, z, rotationY) => ({
+        kind: 'traffic_light',
+        junctionId: 'j0',
+        approach,
+        position: { x, y: 0, z },
+        rotationY
+    });
+    return [
+        light('west', -10, 6, Math.PI / 2),
+        light('east', 10, -6, -Math.PI / 2),
+        light('south', -6, -10, 0),
+        light('north', 6, 10, Math.PI),
+        { kind: 'stop_sign', junctionId: 'j1', approach: 'x', position: { x: 100, y: 0, z: 0 }, rotationY: 0 }
+    ];
+}
+
+function run(controller, seconds, dt = 0.25) {
+    const steps = Math.round(seconds / dt);
+    for (let i = 0; i < steps; i++) controller.update(dt);
+}
+
+test('TrafficSignalController: groups opposing approaches into shared phases', () => {
+    const junctions = groupSignalPhases(makeCrossPlacements());
+    assert.equal(junctions.length, 1);
+    const [j] = junctions;
+    assert.equal(j.phases.length, 2);
+    assert.deepEqual(j.phases.map((p) => p.approaches.map((a) => a.id).sort()), [['east', 'west'], ['north', 'south']]);
+    assert.ok(Math.hypot(j.center.x, j.center.z) < 1e-9);
+
+    const singleAxis = groupSignalPhases(makeCrossPlacements().slice(0, 2));
+    assert.equal(singleAxis[0].phases.length, 2, 'a cross phase is added when props only cover one axis');
+    assert.equal(singleAxis[0].phases[1].approaches.length, 0);
+});
+
+test('TrafficSignalController: fixed-time mode cycles green, yellow, all-red then the next phase', () => {
+    const changes = [];
+    const signals = new TrafficSignalController({
+        placements: makeCrossPlacements(),
+        options: { greenSeconds: 10, yellowSeconds: 3, allRedSeconds: 1 },
+        onSignalChange: (c) => changes.push(c)
+    });
+
+    assert.equal(signals.getApproachSignal('j0', 'west'), TRAFFIC_SIGNAL.GREEN);
+    assert.equal(signals.getApproachSignal('j0', 'north'), TRAFFIC_SIGNAL.RED);
+    assert.equal(signals.getApproachSignal('j1', 'x'), null, 'stop signs are not signalised');
+
+    run(signals, 10.25);
+    assert.equal(signals.getApproachSignal('j0', 'east'), TRAFFIC_SIGNAL.YELLOW);
+    assert.deepEqual(changes.map((c) => c.approachId).sort(), ['east', 'west']);
+    run(signals, 3);
+    assert.equal(signals.getJunctionState('j0').stage, SIGNAL_STAGE.ALL_RED);
+    assert.equal(signals.getApproachSignal('j0', 'west'), TRAFFIC_SIGNAL.RED);
+    run(signals, 1);
+
+    const phase = signals.getApproachPhase('j0', 'south');
+    assert.equal(phase.active, true);
+    assert.equal(phase.signal, TRAFFIC_SIGNAL.GREEN);
+    assert.equal(signals.getApproachSignal('j0', 'west'), TRAFFIC_SIGNAL.RED);
+    assert.deepEqual(changes.slice(-2).map((c) => c.signal), [TRAFFIC_SIGNAL.GREEN, TRAFFIC_SIGNAL.GREEN]);
+});
+
+test('TrafficSignalController: actuated mode rests on green until cross traffic is detected', () => {
+    const vehicles = [];
+    const signals = new TrafficSignalController({
+        placements: makeCrossPlacements(),
+        options: { mode: SIGNAL_MODE.ACTUATED, minGreenSeconds: 5, maxGreenSeconds: 20, gapSeconds: 2 },
+        getVehicles: () => vehicles
+    });
+
+    run(signals, 60);
+    assert.equal(signals.getApproachSignal('j0', 'west'), TRAFFIC_SIGNAL.GREEN, 'no demand: stays on the current phase');
+
+    // Northbound car waiting on the south approach.
+    vehicles.push({ position: { x: 2, z: -20 }, yaw: 0 });
+    run(signals, 0.25);
+    assert.equal(signals.getApproachSignal('j0', 'west'), TRAFFIC_SIGNAL.YELLOW, 'gaps out once the green has no demand');
+    run(signals, 4);
+    assert.equal(signals.getApproachSignal('j0', 'south'), TRAFFIC_SIGNAL.GREEN);
+
+    // Continuous demand on both phases: the green is capped at maxGreen.
+    vehicles.push({ position: { x: -20, z: -2 }, yaw: Math.PI / 2 });
+    let green = 0;
+    while (signals.getApproachSignal('j0', 'south') === TRAFFIC_SIGNAL.GREEN && green < 60) {
+        run(signals, 0.25);
+        green += 0.25;
+    }
+    assert.equal(signals.getApproachSignal('j0', 'south'), TRAFFIC_SIGNAL.YELLOW);
+    assert.ok(green >= 19.75 && green <= 20.25, `green lasted ${green}s`);
+});
+
+test('TrafficSignalController: signal is queryable by position and heading', () => {
+    const signals = new TrafficSignalController({ placements: makeCrossPlacements() });
+    assert.equal(signals.getSignalAt({ x: -20, z: 2 }, Math.PI / 2), TRAFFIC_SIGNAL.GREEN);
+    assert.equal(signals.getSignalAt({ x: 20, z: -2 }, -Math.PI / 2), TRAFFIC_SIGNAL.GREEN);
+    assert.equal(signals.getSignalAt({ x: 2, z: -20 }, 0), TRAFFIC_SIGNAL.RED);
+    assert.equal(signals.getSignalAt({ x: 20, z: 2 }, Math.PI / 2), null, 'junction behind the vehicle');
+    assert.equal(signals.getSignalAt({ x: -200, z: 0 }, Math.PI / 2), null, 'out of range');
+
+    const ahead = signals.getSignalAhead({ x: 2, z: -20 }, 0);
+    assert.equal(ahead.signal, TRAFFIC_SIGNAL.RED);
+    assert.equal(ahead.junctionId, signals.getJunctionIds()[0]);
+    assert.ok(Math.abs(ahead.distance - Math.hypot(2, 20)) < 3);
+    assert.equal(signals.getSignalAhead({ x: 20, z: 2 }, Math.PI / 2), null);
+
+    assert.deepEqual(signals.getTelemetry(), { mode: SIGNAL_MODE.FIXED, junctions: 1, green: 1 });
+});
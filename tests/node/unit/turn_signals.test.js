@@ -0,0 +1,130 @@
+// Node unit tests: indicator blink cycle and self-cancel, hazard lights, horn and their controller / input wiring.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EventBus } from '../../../src/app/core/EventBus.js';
+import { TurnSignals } from '../../../src/app/vehicle/TurnSignals.js';
+import { VehicleController } from '../../../src/app/vehicle/VehicleController.js';
+import { InputManager } from '../../../src/app/input/InputManager.js';
+
+function run(ts, { seconds, steering = 0, dt = 0.125 }) {
+    const lamps = [];
+    let cancelled = false;
+    for (let t = 0; t < seconds - 1e-9; t += dt) {
+        cancelled = ts.update(dt, steering).cancelled || cancelled;
+        lamps.push(ts.getLamps());
+    }
+    return { lamps, cancelled };
+}
+
+test('TurnSignals: blinks at the configured period, lit straight away', () => {
+    const ts = new TurnSignals({ periodSec: 1, dutyCycle: 0.5 });
+    assert.equal(ts.toggle('left'), true);
+    assert.equal(ts.lampOn, true);
+
+    const { lamps } = run(ts, { seconds: 2 });
+    const lit = lamps.filter((l) => l.left).length;
+    assert.equal(lit, lamps.length / 2);
+    assert.ok(lamps.every((l) => !l.right));
+    // Two full on/off cycles in 2 s.
+    const edges = lamps.filter((l, i) => i > 0 && l.left !== lamps[i - 1].left).length;
+    assert.equal(edges, 4);
+
+    assert.equal(ts.toggle('left'), true);
+    ts.update(0.125, 0);
+    assert.deepEqual(ts.getLamps(), { left: false, right: false });
+});
+
+test('TurnSignals: cancels once the steering comes back after the turn, not before it', () => {
+    const ts = new TurnSignals();
+    ts.setMode('right');
+
+    // Small corrections and steering the other way do not count as the turn.
+    assert.equal(run(ts, { seconds: 1, steering: 0.2 }).cancelled, false);
+    assert.equal(run(ts, { seconds: 1, steering: -0.6 }).cancelled, false);
+    assert.equal(run(ts, { seconds: 1, steering: 0 }).cancelled, false);
+    assert.equal(ts.mode, 'right');
+
+    run(ts, { seconds: 1, steering: 0.7 });
+    assert.equal(ts.mode, 'right');
+    assert.equal(run(ts, { seconds: 0.1, steering: 0.3 }).cancelled, false);
+    assert.equal(run(ts, { seconds: 0.1, steering: 0.02 }).cancelled, true);
+    assert.equal(ts.mode, 'off');
+});
+
+test('TurnSignals: hazards flash both sides and outlast the indicator self-cancel', () => {
+    const ts = new TurnSignals();
+    ts.setMode('left');
+    ts.update(0.1, 0);
+    assert.equal(ts.setHazard(true), true);
+    assert.deepEqual(ts.getLamps(), { left: true, right: true });
+
+    run(ts, { seconds: 1, steering: -0.8 });
+    assert.equal(run(ts, { seconds: 0.1, steering: 0 }).cancelled, true);
+    assert.equal(ts.hazard, true);
+    assert.ok(run(ts, { seconds: 1 }).lamps.some((l) => l.left && l.right));
+});
+
+test('VehicleController: indicators blink on the rig, cancel on steering return and publish their state', () => {
+    const bus = new EventBus();
+    const physics = {
+        setInput: () => {},
+        getVehicleState: () => ({ locomotion: { position: { x: 0, y: 0, z: 0 }, yaw: 0, speedKph: 20 } })
+    };
+    const ctrl = new VehicleController('v1', physics, bus);
+    const rig = [];
+    ctrl.setVehicleApi({ setTurnSignal: (side, on) => rig.push([side, on]) }, null);
+    const events = [];
+    const horns = [];
+    bus.on('vehicle:indicators', (e) => events.push(e));
+    bus.on('vehicle:horn', (e) => horns.push(e.on));
+
+    bus.emit('input:indicator', { side: 'left' });
+    assert.equal(ctrl.settings.leftTurnSignal, true);
+    assert.deepEqual(events.at(-1), { vehicleId: 'v1', left: true, right: false, hazard: false, cancelled: false });
+    assert.deepEqual(rig, [['left', true], ['right', false]]);
+
+    for (let i = 0; i < 30; i++) ctrl.update(1 / 60);
+    assert.deepEqual(rig.at(-1), ['left', false]);
+    assert.equal(events.length, 1);
+
+    bus.emit('input:controls', { steering: -0.8, throttle: 0, brake: 0 });
+    ctrl.update(1 / 60);
+    bus.emit('input:controls', { steering: 0, throttle: 0, brake: 0 });
+    ctrl.update(1 / 60);
+    assert.equal(ctrl.settings.leftTurnSignal, false);
+    assert.equal(events.at(-1).cancelled, true);
+
+    bus.emit('input:hazard', {});
+    assert.equal(ctrl.getTurnSignals().hazard, true);
+    assert.deepEqual(rig.slice(-1), [['right', true]]);
+    bus.emit('input:hazard', {});
+    assert.equal(ctrl.settings.hazardLights, false);
+
+    bus.emit('input:horn', { on: true });
+    bus.emit('input:horn', { on: true });
+    bus.emit('input:horn', { on: false });
+    assert.deepEqual(horns, [true, false]);
+    ctrl.dispose();
+});
+
+test('InputManager: horn follows the key while held, hazard toggles on press', () => {
+    const bus = new EventBus();
+    const manager = new InputManager(bus, { getGamepads: () => [] });
+    const horns = [];
+    let hazards = 0;
+    bus.on('input:horn', (e) => horns.push(e.on));
+    bus.on('input:hazard', () => hazards++);
+
+    manager.setAction('horn', true);
+    manager.setAction('horn', true);
+    manager.setAction('horn', false);
+    manager.setAction('hazard_lights', true);
+    manager.setAction('hazard_lights', false);
+    assert.deepEqual(horns, [true, false]);
+    assert.equal(hazards, 1);
+
+    // Losing focus with the horn held silences it.
+    manager.setAction('horn', true);
+    manager.reset();
+    assert.deepEqual(horns, [true, false, true, false]);
+});